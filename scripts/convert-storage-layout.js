@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+/**
+ * Storage Layout Converter
+ *
+ * Converts a Nightingale CMS data folder between the single-file layout
+ * (everything in nightingale-data.json) and the sharded layout (a manifest in
+ * nightingale-data.json plus nightingale-data.shard-*.json files).
+ *
+ * Usage:
+ *   node scripts/convert-storage-layout.js <sharded|single> [dir] [--buckets N]
+ *
+ * Encrypted data files are not supported here; use Settings → Storage layout
+ * in the app, which converts with the unlocked key.
+ *
+ * Exit codes:
+ *   0 = converted (or already in the requested layout)
+ *   1 = bad arguments / file not found / unreadable data
+ */
+import fs from 'fs';
+import path from 'path';
+import {
+  SHARD_PREFIX,
+  isShardManifest,
+  toShardedLayout,
+  fromShardedLayout,
+} from '../src/services/nightingale.shards.js';
+
+const DATA_FILE = 'nightingale-data.json';
+
+function fail(message) {
+  console.error('[layout]', message);
+  process.exit(1);
+}
+
+function parseArgs(argv) {
+  const args = { target: argv[0], dir: 'Data', bucketCount: undefined };
+  for (let i = 1; i < argv.length; i++) {
+    if (argv[i] === '--buckets') {
+      args.bucketCount = parseInt(argv[++i], 10);
+    } else {
+      args.dir = argv[i];
+    }
+  }
+  if (args.target !== 'sharded' && args.target !== 'single') {
+    fail(
+      'Usage: convert-storage-layout.js <sharded|single> [dir] [--buckets N]',
+    );
+  }
+  if (args.bucketCount !== undefined && !(args.bucketCount > 0)) {
+    fail('--buckets must be a positive number');
+  }
+  return args;
+}
+
+function shardFiles(dir) {
+  return fs.readdirSync(dir).filter((name) => name.startsWith(SHARD_PREFIX));
+}
+
+function main() {
+  const { target, dir, bucketCount } = parseArgs(process.argv.slice(2));
+  const dataPath = path.resolve(process.cwd(), dir, DATA_FILE);
+  if (!fs.existsSync(dataPath)) fail(`File not found: ${dataPath}`);
+
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  } catch (err) {
+    fail(`Failed to parse JSON: ${err.message}`);
+  }
+  if (stored?.format === 'nightingale-encrypted') {
+    fail('Data file is encrypted; convert it from Settings in the app');
+  }
+
+  const sharded = isShardManifest(stored);
+  if ((target === 'sharded') === sharded) {
+    console.log(`[layout] Already ${target}: ${dataPath}`);
+    return;
+  }
+
+  const folder = path.dirname(dataPath);
+  if (target === 'sharded') {
+    const { manifest, files } = toShardedLayout(stored, { bucketCount });
+    Object.entries(files).forEach(([name, text]) => {
+      fs.writeFileSync(path.join(folder, name), text);
+    });
+    fs.writeFileSync(dataPath, JSON.stringify(manifest, null, 2));
+    console.log(
+      `[layout] Wrote ${Object.keys(files).length} shard files and manifest`,
+    );
+    return;
+  }
+
+  const files = {};
+  shardFiles(folder).forEach((name) => {
+    files[name] = fs.readFileSync(path.join(folder, name), 'utf8');
+  });
+  let data;
+  try {
+    data = fromShardedLayout(stored, files);
+  } catch (err) {
+    fail(err.message);
+  }
+  fs.writeFileSync(dataPath, JSON.stringify(data, null, 2));
+  shardFiles(folder).forEach((name) => fs.unlinkSync(path.join(folder, name)));
+  console.log(`[layout] Wrote single-file ${dataPath}`);
+}
+
+main();
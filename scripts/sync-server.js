@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+/**
+ * Nightingale Sync Server
+ *
+ * Serves one data directory (for example on a shared drive) over localhost so
+ * browsers without the File System Access API can use it through the 'http'
+ * storage adapter (Settings → Storage location → Sync server).
+ *
+ * API:
+ *   GET    /api/health                 → { ok, dataFile }
+ *   GET    /api/files?prefix=backup-   → [{ name, size, lastModified }]
+ *   GET    /api/files/:name            → file contents (ETag, X-Last-Modified)
+ *   HEAD   /api/files/:name            → headers only
+ *   PUT    /api/files/:name            → { etag, lastModified }; If-Match / If-None-Match: *
+ *   POST   /api/files/:name            → append the body (journal lines)
+ *   DELETE /api/files/:name            → 204
+ *   /api/data                          → alias for /api/files/nightingale-data.json
+ *
+ * A PUT whose If-Match does not match the current ETag fails with 412, so two
+ * workstations never silently overwrite each other. Writes go to a temp file
+ * first and are renamed into place.
+ *
+ * Requests must name the server by its loopback address in the Host header
+ * (localhost, 127.0.0.1 or [::1] with the port, or the --host given), so a page
+ * on another site cannot reach it through a rebound DNS name.
+ *
+ * Usage:
+ *   node scripts/sync-server.js [dir] [--port 8787] [--host 127.0.0.1]
+ *                               [--allow-origin http://localhost:3000]...
+ */
+import fs from 'fs';
+import path from 'path';
+import http from 'http';
+import crypto from 'crypto';
+
+const DATA_FILE = 'nightingale-data.json';
+const MAX_BODY_BYTES = 256 * 1024 * 1024;
+const SAFE_NAME = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+const DEFAULT_ORIGINS = [
+  'http://localhost:3000',
+  'http://localhost:5173',
+  'http://127.0.0.1:3000',
+  'http://127.0.0.1:5173',
+];
+
+function parseArgs(argv) {
+  const args = { dir: 'Data', port: 8787, host: '127.0.0.1', origins: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--port') args.port = parseInt(argv[++i], 10);
+    else if (arg === '--host') args.host = argv[++i];
+    else if (arg === '--allow-origin') args.origins.push(argv[++i]);
+    else args.dir = arg;
+  }
+  if (args.origins.length === 0) args.origins = DEFAULT_ORIGINS;
+  return args;
+}
+
+function etagOf(contents) {
+  return `"${crypto.createHash('sha1').update(contents).digest('hex')}"`;
+}
+
+/** Current state of a file, or null when missing */
+function describe(filePath) {
+  if (!fs.existsSync(filePath)) return null;
+  const contents = fs.readFileSync(filePath);
+  return {
+    contents,
+    etag: etagOf(contents),
+    lastModified: Math.round(fs.statSync(filePath).mtimeMs),
+  };
+}
+
+function writeAtomic(filePath, contents) {
+  const tmp = `${filePath}.tmp-${process.pid}-${Date.now()}`;
+  fs.writeFileSync(tmp, contents);
+  fs.renameSync(tmp, filePath);
+}
+
+/**
+ * Read the request body. Past `limit` bytes it stops reading and rejects with
+ * status 413; the caller answers and then drops the connection.
+ */
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('Body too large'), { status: 413 }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+function send(res, status, body = null, headers = {}) {
+  const payload =
+    body === null || Buffer.isBuffer(body) ? body : JSON.stringify(body);
+  res.writeHead(status, {
+    ...(body !== null && !Buffer.isBuffer(body)
+      ? { 'Content-Type': 'application/json' }
+      : {}),
+    ...headers,
+  });
+  res.end(payload);
+}
+
+function fileHeaders(state) {
+  return {
+    ETag: state.etag,
+    'X-Last-Modified': String(state.lastModified),
+    'Cache-Control': 'no-store',
+  };
+}
+
+/** Host header values the server answers to */
+function allowedHosts(host, port) {
+  const names = new Set(LOOPBACK_HOSTS);
+  if (host && host !== '0.0.0.0' && host !== '::') {
+    names.add(host.includes(':') ? `[${host}]` : host);
+  }
+  return new Set([...names].map((name) => `${name}:${port}`));
+}
+
+/**
+ * Build the request handler for a data directory
+ * @param {Object} options - { dir, origins, host, port, maxBodyBytes }
+ */
+export function createHandler({
+  dir,
+  origins,
+  host,
+  port,
+  maxBodyBytes = MAX_BODY_BYTES,
+}) {
+  const allowed = new Set(origins);
+  const hosts = allowedHosts(host, port);
+
+  const handleFile = async (req, res, name) => {
+    if (!SAFE_NAME.test(name) || name.includes('..')) {
+      send(res, 400, { error: 'Invalid file name' });
+      return;
+    }
+    const filePath = path.join(dir, name);
+    const current = describe(filePath);
+
+    if (req.method === 'GET' || req.method === 'HEAD') {
+      if (!current) {
+        send(res, 404, { error: 'Not found' });
+        return;
+      }
+      res.writeHead(200, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Length': current.contents.length,
+        ...fileHeaders(current),
+      });
+      res.end(req.method === 'HEAD' ? undefined : current.contents);
+      return;
+    }
+
+    if (req.method === 'PUT' || req.method === 'POST') {
+      const body = await readBody(req, maxBodyBytes);
+      // Re-check after the body arrived; the sync section below cannot interleave
+      const latest = describe(filePath);
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+      if (
+        req.method === 'PUT' &&
+        ((ifMatch &&
+          (!latest || (ifMatch !== '*' && ifMatch !== latest.etag))) ||
+          (ifNoneMatch === '*' && latest))
+      ) {
+        send(
+          res,
+          412,
+          { error: 'Precondition failed', etag: latest?.etag || null },
+          latest ? fileHeaders(latest) : {},
+        );
+        return;
+      }
+      if (req.method === 'POST') {
+        fs.appendFileSync(filePath, body);
+      } else {
+        writeAtomic(filePath, body);
+      }
+      const written = describe(filePath);
+      send(
+        res,
+        latest ? 200 : 201,
+        { etag: written.etag, lastModified: written.lastModified },
+        fileHeaders(written),
+      );
+      return;
+    }
+
+    if (req.method === 'DELETE') {
+      if (!current) {
+        send(res, 404, { error: 'Not found' });
+        return;
+      }
+      fs.unlinkSync(filePath);
+      send(res, 204);
+      return;
+    }
+
+    send(res, 405, { error: 'Method not allowed' });
+  };
+
+  return async (req, res) => {
+    const hostHeader = (req.headers.host || '').toLowerCase();
+    if (!hosts.has(hostHeader)) {
+      send(res, 403, { error: `Host not allowed: ${hostHeader || '(none)'}` });
+      return;
+    }
+    const origin = req.headers.origin;
+    if (origin) {
+      if (!allowed.has(origin)) {
+        send(res, 403, { error: `Origin not allowed: ${origin}` });
+        return;
+      }
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+      res.setHeader(
+        'Access-Control-Expose-Headers',
+        'ETag, X-Last-Modified, Content-Length',
+      );
+    }
+    if (req.method === 'OPTIONS') {
+      const headers = {
+        'Access-Control-Allow-Methods': 'GET, HEAD, PUT, POST, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+        'Access-Control-Max-Age': '600',
+      };
+      if (req.headers['access-control-request-private-network']) {
+        headers['Access-Control-Allow-Private-Network'] = 'true';
+      }
+      send(res, 204, null, headers);
+      return;
+    }
+
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname === '/api/health') {
+        send(res, 200, { ok: true, dataFile: DATA_FILE });
+      } else if (url.pathname === '/api/files') {
+        const prefix = url.searchParams.get('prefix') || '';
+        const files = fs
+          .readdirSync(dir, { withFileTypes: true })
+          .filter(
+            (entry) =>
+              entry.isFile() &&
+              SAFE_NAME.test(entry.name) &&
+              !entry.name.includes('.tmp-') &&
+              entry.name.startsWith(prefix),
+          )
+          .map((entry) => {
+            const stat = fs.statSync(path.join(dir, entry.name));
+            return {
+              name: entry.name,
+              size: stat.size,
+              lastModified: Math.round(stat.mtimeMs),
+            };
+          });
+        send(res, 200, files);
+      } else if (url.pathname === '/api/data') {
+        await handleFile(req, res, DATA_FILE);
+      } else if (url.pathname.startsWith('/api/files/')) {
+        await handleFile(
+          req,
+          res,
+          decodeURIComponent(url.pathname.slice('/api/files/'.length)),
+        );
+      } else {
+        send(res, 404, { error: 'Not found' });
+      }
+    } catch (err) {
+      console.error('[sync]', req.method, req.url, err.message);
+      if (err.status === 413) {
+        // Answer first; dropping the unread upload before that would reset the socket
+        res.once('finish', () => req.destroy());
+        send(res, 413, { error: err.message }, { Connection: 'close' });
+        return;
+      }
+      send(res, err.status || 500, { error: err.message });
+    }
+  };
+}
+
+function main() {
+  const { dir, port, host, origins } = parseArgs(process.argv.slice(2));
+  const root = path.resolve(process.cwd(), dir);
+  if (!fs.existsSync(root) || !fs.statSync(root).isDirectory()) {
+    console.error('[sync] Directory not found:', root);
+    process.exit(1);
+  }
+
+  const server = http.createServer(
+    createHandler({ dir: root, origins, host, port }),
+  );
+  server.listen(port, host, () => {
+    console.log(`[sync] Serving ${root} at http://${host}:${port}`);
+    console.log(`[sync] Allowed origins: ${origins.join(', ')}`);
+  });
+  process.on('SIGINT', () => server.close(() => process.exit(0)));
+  process.on('SIGTERM', () => server.close(() => process.exit(0)));
+}
+
+// Only start when run directly, not when the tests import createHandler
+if (path.basename(process.argv[1] || '') === 'sync-server.js') {
+  main();
+}
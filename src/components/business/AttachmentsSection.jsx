@@ -0,0 +1,396 @@
+/**
+ * AttachmentsSection.jsx - Files attached to a case
+ *
+ * Business component embedded in CaseDetailsView. Files dropped on the section (or
+ * picked with the file input) are copied into the connected data folder under
+ * `attachments/<caseId>/` and linked to the case, one of its financial items or
+ * one of its VR requests. Images and PDFs open in an inline preview. "Check for
+ * Orphaned Files" compares the folder with the dataset's attachment records.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  describeSoftDelete,
+  softDeleteRecord,
+} from '../../services/nightingale.recyclebin.js';
+import {
+  ATTACHMENT_ENTITY_TYPES,
+  addAttachment,
+  attachmentTargets,
+  attachmentUnavailableReason,
+  caseAttachments,
+  findOrphans,
+  formatFileSize,
+  previewKind,
+  readAttachment,
+  removeOrphanFiles,
+} from '../../services/nightingale.attachments.js';
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+const buttonClass =
+  'px-2 py-1 rounded text-xs font-medium bg-gray-700 hover:bg-gray-600 text-white';
+
+const targetKey = (target) => `${target.entityType}:${target.entityId}`;
+
+/**
+ * AttachmentsSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.caseData - The case
+ * @param {Object} props.fullData - In-memory dataset
+ * @param {Function} props.onUpdateData - Called with (data, label) after a change
+ * @param {Object} [props.fileService] - AutosaveFileService holding the data folder
+ * @returns {React.Element} AttachmentsSection component
+ */
+function AttachmentsSection({ caseData, fullData, onUpdateData, fileService }) {
+  const [target, setTarget] = useState(`case:${caseData.id}`);
+  const [isDragging, setIsDragging] = useState(false);
+  const [isUploading, setIsUploading] = useState(false);
+  const [errors, setErrors] = useState([]);
+  const [preview, setPreview] = useState(null);
+  const [orphanCheck, setOrphanCheck] = useState(null);
+
+  const unavailable = attachmentUnavailableReason(fileService);
+  const canStore = !!fileService?.supportsBlobFiles?.();
+  const targets = attachmentTargets(fullData, caseData);
+  const targetLabels = new Map(targets.map((t) => [targetKey(t), t.label]));
+  const attachments = caseAttachments(fullData, caseData.id);
+
+  // Release the preview's object URL when it changes or the section unmounts
+  useEffect(
+    () => () => {
+      if (preview?.url) URL.revokeObjectURL?.(preview.url);
+    },
+    [preview],
+  );
+
+  const upload = async (files) => {
+    const list = [...(files || [])];
+    if (list.length === 0) return;
+    const [entityType, ...rest] = target.split(':');
+    setIsUploading(true);
+    const failures = [];
+    const added = [];
+    let data = fullData;
+    for (const file of list) {
+      try {
+        const result = await addAttachment(fileService, data, file, {
+          caseId: caseData.id,
+          entityType,
+          entityId: rest.join(':'),
+          actor: getWorkerName(),
+        });
+        data = result.data;
+        added.push(result.attachment.name);
+      } catch (error) {
+        failures.push(error.message);
+      }
+    }
+    setIsUploading(false);
+    setErrors(failures);
+    if (added.length > 0) {
+      onUpdateData?.(
+        data,
+        added.length === 1
+          ? `Attach "${added[0]}"`
+          : `Attach ${added.length} files`,
+      );
+    }
+  };
+
+  const openPreview = async (attachment) => {
+    try {
+      const blob = await readAttachment(fileService, attachment);
+      setPreview({ attachment, url: URL.createObjectURL(blob) });
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const download = async (attachment) => {
+    try {
+      const blob = await readAttachment(fileService, attachment);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = attachment.name;
+      link.click();
+      URL.revokeObjectURL?.(url);
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const remove = (attachment) => {
+    try {
+      const { data, impact } = softDeleteRecord(
+        fullData,
+        'attachments',
+        attachment.id,
+        { actor: getWorkerName() },
+      );
+      if (preview?.attachment.id === attachment.id) setPreview(null);
+      onUpdateData?.(data, `Delete ${impact.target.label}`);
+      Toast.showToast?.(describeSoftDelete(impact), 'success');
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const checkOrphans = async () => {
+    try {
+      setOrphanCheck(await findOrphans(fileService, fullData));
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const deleteOrphans = async () => {
+    const removed = await removeOrphanFiles(
+      fileService,
+      orphanCheck.orphanFiles,
+    );
+    Toast.showToast?.(
+      `Deleted ${removed} orphaned file${removed === 1 ? '' : 's'}`,
+      'success',
+    );
+    setOrphanCheck(await findOrphans(fileService, fullData));
+  };
+
+  const handleDrop = (event) => {
+    event.preventDefault();
+    setIsDragging(false);
+    if (!unavailable) upload(event.dataTransfer?.files);
+  };
+
+  return (
+    <section
+      aria-label="Attachments"
+      className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700"
+    >
+      <h3 className="text-lg font-semibold text-white">
+        Attachments ({attachments.length})
+      </h3>
+
+      {!unavailable ? (
+        <div
+          aria-label="Drop files to attach"
+          onDragOver={(event) => {
+            event.preventDefault();
+            setIsDragging(true);
+          }}
+          onDragLeave={() => setIsDragging(false)}
+          onDrop={handleDrop}
+          className={`flex flex-wrap items-center gap-3 p-4 rounded-lg border-2 border-dashed text-sm text-gray-300 ${
+            isDragging ? 'border-blue-400 bg-gray-700' : 'border-gray-600'
+          }`}
+        >
+          <span>{isUploading ? 'Saving files…' : 'Drop files here or'}</span>
+          <input
+            type="file"
+            multiple
+            aria-label="Choose files"
+            disabled={isUploading}
+            onChange={(event) => {
+              upload(event.target.files);
+              event.target.value = '';
+            }}
+            className="text-sm text-gray-300"
+          />
+          <label className="flex items-center gap-2">
+            <span>Attach to</span>
+            <select
+              aria-label="Attach to"
+              value={target}
+              onChange={(event) => setTarget(event.target.value)}
+              className={inputClass}
+            >
+              {targets.map((t) => (
+                <option
+                  key={targetKey(t)}
+                  value={targetKey(t)}
+                >
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-400">{unavailable}.</p>
+      )}
+
+      {errors.length > 0 && (
+        <ul
+          role="alert"
+          className="text-sm text-red-400 list-disc pl-5"
+        >
+          {errors.map((message) => (
+            <li key={message}>{message}</li>
+          ))}
+        </ul>
+      )}
+
+      {attachments.length === 0 ? (
+        <p className="text-sm text-gray-400">No attachments for this case.</p>
+      ) : (
+        <ul
+          aria-label="Attached files"
+          className="divide-y divide-gray-700"
+        >
+          {attachments.map((attachment) => {
+            const key = `${attachment.entityType}:${attachment.entityId}`;
+            const linkedTo =
+              targetLabels.get(key) ||
+              `Removed ${ATTACHMENT_ENTITY_TYPES[attachment.entityType] || 'record'}`;
+            return (
+              <li
+                key={attachment.id}
+                className="flex flex-wrap items-center justify-between gap-2 py-2"
+              >
+                <div>
+                  <p className="text-sm text-white">{attachment.name}</p>
+                  <p className="text-xs text-gray-400">
+                    {`${linkedTo} · ${formatFileSize(attachment.size)} · ${
+                      dateUtils.format?.(attachment.uploadedAt) ||
+                      attachment.uploadedAt
+                    }`}
+                  </p>
+                </div>
+                {canStore && (
+                  <div className="flex gap-2">
+                    {previewKind(attachment) && (
+                      <button
+                        onClick={() => openPreview(attachment)}
+                        aria-label={`Preview ${attachment.name}`}
+                        className={buttonClass}
+                      >
+                        Preview
+                      </button>
+                    )}
+                    <button
+                      onClick={() => download(attachment)}
+                      aria-label={`Download ${attachment.name}`}
+                      className={buttonClass}
+                    >
+                      Download
+                    </button>
+                    <button
+                      onClick={() => remove(attachment)}
+                      aria-label={`Remove ${attachment.name}`}
+                      className={buttonClass}
+                    >
+                      Remove
+                    </button>
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {preview && (
+        <figure
+          aria-label="Attachment preview"
+          className="space-y-2"
+        >
+          <div className="flex items-center justify-between">
+            <figcaption className="text-sm text-gray-300">
+              {preview.attachment.name}
+            </figcaption>
+            <button
+              onClick={() => setPreview(null)}
+              className={buttonClass}
+            >
+              Close Preview
+            </button>
+          </div>
+          {previewKind(preview.attachment) === 'image' ? (
+            <img
+              src={preview.url}
+              alt={preview.attachment.name}
+              className="max-h-96 rounded border border-gray-700"
+            />
+          ) : (
+            <iframe
+              src={preview.url}
+              title={preview.attachment.name}
+              className="w-full h-96 rounded border border-gray-700 bg-white"
+            />
+          )}
+        </figure>
+      )}
+
+      {canStore && (
+        <div className="space-y-2">
+          <button
+            onClick={checkOrphans}
+            className={buttonClass}
+          >
+            Check for Orphaned Files
+          </button>
+          {orphanCheck && (
+            <div
+              role="status"
+              className="text-sm text-gray-300 space-y-1"
+            >
+              {orphanCheck.orphanFiles.length === 0 &&
+              orphanCheck.missingFiles.length === 0 ? (
+                <p>Every attachment file has a record.</p>
+              ) : (
+                <>
+                  {orphanCheck.orphanFiles.length > 0 && (
+                    <p>
+                      {`${orphanCheck.orphanFiles.length} file(s) in the attachments folder have no record (${formatFileSize(
+                        orphanCheck.orphanFiles.reduce(
+                          (sum, file) => sum + (file.size || 0),
+                          0,
+                        ),
+                      )})`}
+                    </p>
+                  )}
+                  {orphanCheck.missingFiles.length > 0 && (
+                    <p>
+                      {`Missing from the folder: ${orphanCheck.missingFiles
+                        .map((item) => item.name)
+                        .join(', ')}`}
+                    </p>
+                  )}
+                  {orphanCheck.orphanFiles.length > 0 && (
+                    <button
+                      onClick={deleteOrphans}
+                      className={buttonClass}
+                    >
+                      Delete Orphaned Files
+                    </button>
+                  )}
+                </>
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+AttachmentsSection.propTypes = {
+  caseData: PropTypes.object.isRequired,
+  fullData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+  fileService: PropTypes.object,
+};
+
+// Register with business registry
+registerComponent('business', 'AttachmentsSection', AttachmentsSection);
+
+export default AttachmentsSection;
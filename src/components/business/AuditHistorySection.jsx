@@ -0,0 +1,195 @@
+/**
+ * AuditHistorySection.jsx - Filterable audit trail of a case or person
+ *
+ * Business component shown in CaseDetailsView and PersonDetailsView. Lists the
+ * `auditLog` entries of one record (newest first) with who changed which field,
+ * when, from what to what, and through which action. Entries can be filtered by
+ * entity type, source action, worker and free text.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_SOURCES,
+  filterAuditEntries,
+  formatAuditValue,
+} from '../../services/nightingale.audit.js';
+
+const MAX_SHOWN_ENTRIES = 100;
+
+function describeEntry(entry) {
+  if (entry.action === 'created') return 'Created';
+  if (entry.action === 'deleted') return 'Moved to the Recycle Bin';
+  if (entry.action === 'restored') return 'Restored from the Recycle Bin';
+  if (entry.action === 'purged') return 'Permanently deleted';
+  if (entry.action === 'merged') {
+    return `Merged with ${entry.oldValue}${
+      entry.newValue ? ` (kept its ${entry.newValue})` : ''
+    }`;
+  }
+  return (
+    <>
+      <span className="text-blue-300">{entry.field}</span>:{' '}
+      <span className="text-gray-400">{formatAuditValue(entry.oldValue)}</span>
+      {' → '}
+      <span className="text-white">{formatAuditValue(entry.newValue)}</span>
+    </>
+  );
+}
+
+/**
+ * AuditHistorySection Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array<Object>} [props.auditLog] - Dataset `auditLog`
+ * @param {string|number} [props.caseId] - Show entries of this case (and its items)
+ * @param {string|number} [props.personId] - Show entries of this person
+ * @returns {React.Element} AuditHistorySection component
+ */
+function AuditHistorySection({ auditLog, caseId, personId }) {
+  const [entityType, setEntityType] = useState('');
+  const [source, setSource] = useState('');
+  const [actor, setActor] = useState('');
+  const [search, setSearch] = useState('');
+
+  const recordEntries = useMemo(
+    () => filterAuditEntries(auditLog, { caseId, personId }),
+    [auditLog, caseId, personId],
+  );
+  const actors = useMemo(
+    () => [...new Set(recordEntries.map((e) => e.actor).filter(Boolean))],
+    [recordEntries],
+  );
+  const entries = filterAuditEntries(auditLog, {
+    caseId,
+    personId,
+    entityType,
+    source,
+    actor,
+    search,
+  });
+
+  return (
+    <section
+      aria-label="History"
+      className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700"
+    >
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">History</h3>
+        <span className="text-xs text-gray-400">
+          {recordEntries.length} change{recordEntries.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select
+          aria-label="Entity filter"
+          value={entityType}
+          onChange={(e) => setEntityType(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-1"
+        >
+          <option value="">All records</option>
+          {Object.entries(AUDIT_ENTITY_TYPES).map(([key, label]) => (
+            <option
+              key={key}
+              value={key}
+            >
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Source filter"
+          value={source}
+          onChange={(e) => setSource(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-1"
+        >
+          <option value="">All actions</option>
+          {Object.entries(AUDIT_SOURCES).map(([key, label]) => (
+            <option
+              key={key}
+              value={key}
+            >
+              {label}
+            </option>
+          ))}
+        </select>
+        <select
+          aria-label="Worker filter"
+          value={actor}
+          onChange={(e) => setActor(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-1"
+        >
+          <option value="">All workers</option>
+          {actors.map((name) => (
+            <option
+              key={name}
+              value={name}
+            >
+              {name}
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          aria-label="Search history"
+          placeholder="Field or value..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-1"
+        />
+      </div>
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-400">No changes recorded.</p>
+      ) : (
+        <ul
+          aria-label="History entries"
+          className="max-h-80 overflow-y-auto text-sm space-y-1 bg-gray-900 rounded p-2"
+        >
+          {entries.slice(0, MAX_SHOWN_ENTRIES).map((entry) => (
+            <li
+              key={entry.id}
+              className="flex flex-wrap gap-x-2"
+            >
+              <span className="text-gray-500 font-mono text-xs">
+                {dateUtils.format?.(entry.timestamp, 'MM/DD/YYYY HH:mm') ||
+                  entry.timestamp}
+              </span>
+              <span className="text-gray-300">
+                {entry.actor || 'Unknown worker'}
+              </span>
+              <span className="text-gray-400">
+                {AUDIT_ENTITY_TYPES[entry.entityType] || entry.entityType}{' '}
+                {entry.label}
+              </span>
+              <span>{describeEntry(entry)}</span>
+              <span className="text-xs text-gray-500">
+                ({AUDIT_SOURCES[entry.source] || entry.source})
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+      {entries.length > MAX_SHOWN_ENTRIES && (
+        <p className="text-xs text-gray-400">
+          Showing the latest {MAX_SHOWN_ENTRIES} of {entries.length} changes.
+        </p>
+      )}
+    </section>
+  );
+}
+
+AuditHistorySection.propTypes = {
+  auditLog: PropTypes.arrayOf(PropTypes.object),
+  caseId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  personId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+};
+
+// Register with business registry
+registerComponent('business', 'AuditHistorySection', AuditHistorySection);
+
+export default AuditHistorySection;
@@ -0,0 +1,384 @@
+/**
+ * BackupsPanel.jsx - Backup retention and restore browser
+ *
+ * Business component embedded in SettingsModal. Lists the timestamped
+ * nightingale-data.backup-*.json files in the connected folder with entity counts,
+ * edits the retention policy, and lets the user preview, diff against current data,
+ * or restore a backup (a fresh backup of the current data is written first).
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent, getComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  getBackupRetention,
+  setBackupRetention,
+} from '../../services/settings.js';
+import {
+  listBackups,
+  summarizeDataset,
+  diffDatasets,
+  applyBackupRetention,
+  restoreBackup,
+} from '../../services/backups.js';
+
+const MAX_LISTED_RECORDS = 10;
+
+const RETENTION_FIELDS = [
+  { key: 'keepLast', label: 'Keep last' },
+  { key: 'dailyDays', label: 'Daily for (days)' },
+  { key: 'monthlyMonths', label: 'Monthly for (months)' },
+];
+
+const COLLECTIONS = ['cases', 'people', 'organizations'];
+
+function formatCounts(summary) {
+  if (!summary) return '—';
+  return `${summary.cases} cases · ${summary.people} people · ${summary.organizations} orgs`;
+}
+
+function RecordList({ title, records, className }) {
+  if (!records.length) return null;
+  return (
+    <div>
+      <span className={className}>
+        {title} ({records.length}):
+      </span>{' '}
+      {records
+        .slice(0, MAX_LISTED_RECORDS)
+        .map((r) => r.label)
+        .join(', ')}
+      {records.length > MAX_LISTED_RECORDS &&
+        ` …and ${records.length - MAX_LISTED_RECORDS} more`}
+    </div>
+  );
+}
+
+RecordList.propTypes = {
+  title: PropTypes.string.isRequired,
+  records: PropTypes.arrayOf(
+    PropTypes.shape({ id: PropTypes.string, label: PropTypes.string }),
+  ).isRequired,
+  className: PropTypes.string,
+};
+
+/**
+ * BackupsPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.fileService - AutosaveFileService (listFiles/readNamedFile/writeNamedFile/removeNamedFile/writeFile)
+ * @param {string} props.fileStatus - Current file connection status
+ * @param {Object} props.currentData - In-memory dataset used for diffs and the pre-restore backup
+ * @param {Function} props.onRestored - Called with the restored dataset
+ * @returns {React.Element} BackupsPanel component
+ */
+function BackupsPanel({ fileService, fileStatus, currentData, onRestored }) {
+  const [policy, setPolicy] = useState(getBackupRetention());
+  const [backups, setBackups] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [inspection, setInspection] = useState(null);
+  const [pendingRestore, setPendingRestore] = useState(null);
+
+  const connected = fileStatus === 'connected';
+
+  const loadBackups = useCallback(async () => {
+    if (!connected || !fileService) return;
+    setIsLoading(true);
+    try {
+      const list = await listBackups(fileService);
+      const withCounts = await Promise.all(
+        list.map(async (backup) => {
+          try {
+            const data = await fileService.readNamedFile(backup.name);
+            return { ...backup, summary: data ? summarizeDataset(data) : null };
+          } catch (_) {
+            return { ...backup, summary: null };
+          }
+        }),
+      );
+      setBackups(withCounts);
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('settings:backups');
+      logger?.error('Listing backups failed', { error: error.message });
+      Toast.showToast?.('Unable to list backups', 'error');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [connected, fileService]);
+
+  useEffect(() => {
+    loadBackups();
+  }, [loadBackups]);
+
+  const getCurrentData = async () =>
+    currentData || (await fileService.readNamedFile(fileService.fileName));
+
+  const handleSavePolicy = () => {
+    const next = {};
+    RETENTION_FIELDS.forEach(({ key }) => {
+      next[key] = Math.max(0, parseInt(policy[key], 10) || 0);
+    });
+    setBackupRetention(next);
+    setPolicy(next);
+    Toast.showToast?.('Backup retention saved', 'success');
+  };
+
+  const handleApplyRetention = async () => {
+    setIsBusy(true);
+    try {
+      const { removed } = await applyBackupRetention(
+        fileService,
+        getBackupRetention(),
+      );
+      Toast.showToast?.(
+        `Removed ${removed.length} old backup${removed.length === 1 ? '' : 's'}`,
+        'info',
+      );
+      await loadBackups();
+    } catch (_) {
+      Toast.showToast?.('Applying retention failed', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleInspect = async (backup, mode) => {
+    setIsBusy(true);
+    try {
+      const data = await fileService.readNamedFile(backup.name);
+      if (!data) {
+        Toast.showToast?.('Backup file not found', 'warning');
+        return;
+      }
+      const diff =
+        mode === 'diff' ? diffDatasets(await getCurrentData(), data) : null;
+      setInspection({ backup, mode, data, diff });
+    } catch (_) {
+      Toast.showToast?.('Unable to read backup', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    const backup = pendingRestore;
+    setPendingRestore(null);
+    setIsBusy(true);
+    try {
+      const result = await restoreBackup(fileService, backup.name, currentData);
+      if (!result.restored) {
+        Toast.showToast?.('Restore failed; current data was kept', 'error');
+        return;
+      }
+      onRestored?.(result.data);
+      Toast.showToast?.(
+        `Restored backup${result.safetyBackup ? ` (previous data saved as ${result.safetyBackup})` : ''}`,
+        'success',
+      );
+      setInspection(null);
+      await loadBackups();
+    } catch (_) {
+      Toast.showToast?.('Restore failed', 'error');
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const ConfirmationModal = getComponent('ui', 'ConfirmationModal', true);
+  const buttonClass = (enabled) =>
+    `px-3 py-1 rounded text-xs font-medium transition-colors ${
+      enabled
+        ? 'bg-gray-600 hover:bg-gray-500 text-white'
+        : 'bg-gray-700 text-gray-500 cursor-not-allowed'
+    }`;
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <h3 className="text-lg font-semibold text-white">Backups</h3>
+      <p className="text-gray-400 text-sm">
+        Timestamped backups are written before migrations and restores. Older
+        backups are pruned with the policy below.
+      </p>
+      <div className="flex flex-wrap items-end gap-3">
+        {RETENTION_FIELDS.map(({ key, label }) => (
+          <label
+            key={key}
+            className="text-sm text-gray-300 flex flex-col"
+          >
+            {label}
+            <input
+              type="number"
+              min="0"
+              aria-label={label}
+              value={policy[key]}
+              onChange={(e) => setPolicy({ ...policy, [key]: e.target.value })}
+              className="mt-1 w-24 bg-gray-700 text-white rounded px-2 py-1"
+            />
+          </label>
+        ))}
+        <button
+          onClick={handleSavePolicy}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Save Policy
+        </button>
+        <button
+          onClick={handleApplyRetention}
+          disabled={!connected || isBusy}
+          className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+            !connected || isBusy
+              ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+              : 'bg-indigo-600 hover:bg-indigo-700 text-white'
+          }`}
+        >
+          Apply Retention Now
+        </button>
+      </div>
+
+      {!connected && (
+        <p className="text-sm text-gray-400">
+          Connect to a directory to browse backups.
+        </p>
+      )}
+      {connected && isLoading && (
+        <p className="text-sm text-gray-300">Loading backups…</p>
+      )}
+      {connected && !isLoading && backups.length === 0 && (
+        <p className="text-sm text-gray-300">No backups found.</p>
+      )}
+      {backups.length > 0 && (
+        <ul className="divide-y divide-gray-700 text-sm">
+          {backups.map((backup) => (
+            <li
+              key={backup.name}
+              className="py-2 flex items-center justify-between gap-3"
+            >
+              <div>
+                <div className="text-gray-200">
+                  {backup.date.toLocaleString()}
+                </div>
+                <div className="text-gray-400 text-xs">
+                  {formatCounts(backup.summary)}
+                </div>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleInspect(backup, 'preview')}
+                  disabled={isBusy}
+                  className={buttonClass(!isBusy)}
+                >
+                  Preview
+                </button>
+                <button
+                  onClick={() => handleInspect(backup, 'diff')}
+                  disabled={isBusy}
+                  className={buttonClass(!isBusy)}
+                >
+                  Diff
+                </button>
+                <button
+                  onClick={() => setPendingRestore(backup)}
+                  disabled={isBusy}
+                  className={buttonClass(!isBusy)}
+                >
+                  Restore
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {inspection && (
+        <div className="p-3 bg-gray-700 rounded text-sm text-gray-300 space-y-2">
+          <div className="flex items-center justify-between">
+            <h4 className="text-white font-medium">
+              {inspection.mode === 'diff' ? 'Diff vs current' : 'Preview'} ·{' '}
+              {inspection.backup.date.toLocaleString()}
+            </h4>
+            <button
+              onClick={() => setInspection(null)}
+              className="text-gray-400 hover:text-white text-xs"
+            >
+              Close
+            </button>
+          </div>
+          {inspection.mode === 'preview' && (
+            <>
+              <div>{formatCounts(summarizeDataset(inspection.data))}</div>
+              <RecordList
+                title="Cases"
+                records={(inspection.data.cases || []).map((c) => ({
+                  id: String(c.id),
+                  label: c.mcn || c.clientName || String(c.id),
+                }))}
+              />
+            </>
+          )}
+          {inspection.mode === 'diff' &&
+            COLLECTIONS.map((key) => {
+              const d = inspection.diff[key];
+              const unchanged =
+                !d.added.length && !d.removed.length && !d.changed.length;
+              return (
+                <div key={key}>
+                  <div className="capitalize text-gray-200">{key}</div>
+                  {unchanged ? (
+                    <div className="text-gray-400">No differences</div>
+                  ) : (
+                    <>
+                      <RecordList
+                        title="Only in backup"
+                        records={d.added}
+                        className="text-green-300"
+                      />
+                      <RecordList
+                        title="Only in current"
+                        records={d.removed}
+                        className="text-red-300"
+                      />
+                      <RecordList
+                        title="Changed"
+                        records={d.changed}
+                        className="text-yellow-300"
+                      />
+                    </>
+                  )}
+                </div>
+              );
+            })}
+        </div>
+      )}
+
+      {ConfirmationModal && (
+        <ConfirmationModal
+          isOpen={!!pendingRestore}
+          onCancel={() => setPendingRestore(null)}
+          onConfirm={handleRestore}
+          title="Restore Backup"
+          message={`Replace the current data with the backup from ${
+            pendingRestore ? pendingRestore.date.toLocaleString() : ''
+          }? A backup of the current data is created first.`}
+          confirmText="Restore"
+          variant="warning"
+        />
+      )}
+    </section>
+  );
+}
+
+BackupsPanel.propTypes = {
+  fileService: PropTypes.object,
+  fileStatus: PropTypes.string,
+  currentData: PropTypes.object,
+  onRestored: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'BackupsPanel', BackupsPanel);
+
+export default BackupsPanel;
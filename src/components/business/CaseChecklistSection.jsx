@@ -0,0 +1,155 @@
+/**
+ * CaseChecklistSection.jsx - Document checklist of a case
+ *
+ * Business component embedded in CaseDetailsView. Lists the documents the case's
+ * checklist tracks with their status (pending, received, waived, not applicable)
+ * and received date, and counts the required documents still missing. Cases without
+ * a checklist, or whose case type changed, can start the checklist of their type.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  CHECKLIST_STATUSES,
+  applyChecklist,
+  checklistProgress,
+  checklistTemplate,
+  updateChecklistItem,
+} from '../../services/nightingale.checklists.js';
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+
+/**
+ * CaseChecklistSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.caseData - The case
+ * @param {Object} props.fullData - Dataset holding the checklist templates
+ * @param {Function} props.onUpdateCase - Called with the changed case
+ * @returns {React.Element} CaseChecklistSection component
+ */
+function CaseChecklistSection({ caseData, fullData, onUpdateCase }) {
+  const checklist = caseData.documentChecklist;
+  const progress = checklistProgress(checklist);
+  const canStart =
+    !!caseData.caseType &&
+    checklist?.caseType !== caseData.caseType &&
+    checklistTemplate(fullData, caseData.caseType).length > 0;
+
+  const setItem = (itemId, patch) => {
+    try {
+      onUpdateCase(updateChecklistItem(caseData, itemId, patch));
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  return (
+    <section
+      aria-label="Documents"
+      className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700"
+    >
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-white">Documents</h3>
+          {progress && (
+            <p
+              className={`text-xs ${progress.complete ? 'text-green-400' : 'text-gray-400'}`}
+            >
+              {progress.complete
+                ? `All ${progress.required} required documents in`
+                : `${progress.settled} of ${progress.required} required documents in · ${progress.missing.length} missing`}
+            </p>
+          )}
+        </div>
+        {canStart && (
+          <button
+            onClick={() => onUpdateCase(applyChecklist(caseData, fullData))}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            {checklist
+              ? `Switch to ${caseData.caseType} checklist`
+              : `Start ${caseData.caseType} checklist`}
+          </button>
+        )}
+      </div>
+      {!checklist ? (
+        <p className="text-sm text-gray-400">
+          No document checklist for this case.
+        </p>
+      ) : (
+        <ul
+          aria-label="Document checklist"
+          className="divide-y divide-gray-700 text-sm"
+        >
+          {checklist.items.map((entry) => (
+            <li
+              key={entry.id}
+              className="py-2 flex flex-wrap items-center gap-3"
+            >
+              <span className="flex-1 text-gray-200">
+                {entry.name}
+                {entry.required && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-gray-600 text-white">
+                    Required
+                  </span>
+                )}
+              </span>
+              <select
+                value={entry.status}
+                onChange={(event) =>
+                  setItem(entry.id, { status: event.target.value })
+                }
+                aria-label={`${entry.name} status`}
+                className={`${inputClass} ${
+                  entry.required && entry.status === 'pending'
+                    ? 'text-yellow-300'
+                    : ''
+                }`}
+              >
+                {Object.entries(CHECKLIST_STATUSES).map(([key, text]) => (
+                  <option
+                    key={key}
+                    value={key}
+                  >
+                    {text}
+                  </option>
+                ))}
+              </select>
+              {entry.status === 'received' && (
+                <input
+                  type="date"
+                  value={entry.receivedDate || ''}
+                  onChange={(event) =>
+                    setItem(entry.id, {
+                      status: 'received',
+                      receivedDate: event.target.value,
+                    })
+                  }
+                  aria-label={`${entry.name} received date`}
+                  className={inputClass}
+                />
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+CaseChecklistSection.propTypes = {
+  caseData: PropTypes.object.isRequired,
+  fullData: PropTypes.object,
+  onUpdateCase: PropTypes.func.isRequired,
+};
+
+// Register with business registry
+registerComponent('business', 'CaseChecklistSection', CaseChecklistSection);
+
+export default CaseChecklistSection;
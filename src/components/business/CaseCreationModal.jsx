@@ -6,6 +6,14 @@ import { registerComponent, getComponent } from '../../services/registry';
 import dateUtils from '../../services/nightingale.dayjs.js';
 import Toast from '../../services/nightingale.toast.js';
 import { getStrictValidationEnabled } from '../../services/settings.js';
+import { activeRecords } from '../../services/nightingale.recyclebin.js';
+import {
+  applyInitialStatus,
+  applyStatusChange,
+  currentCaseWorkflow,
+  findTransition,
+} from '../../services/nightingale.workflow.js';
+import { applyChecklist } from '../../services/nightingale.checklists.js';
 
 // Access utilities via module import
 const getDateUtils = () => dateUtils || {};
@@ -16,7 +24,7 @@ const getInitialCaseData = () => {
     mcn: '',
     personId: '',
     spouseId: '',
-    status: 'Pending',
+    status: currentCaseWorkflow().initialStatus,
     applicationDate: dateUtils.todayForInput ? dateUtils.todayForInput() : '',
     description: '',
     caseType: 'LTC',
@@ -30,6 +38,34 @@ const getInitialCaseData = () => {
   };
 };
 
+/**
+ * Edited case with its status change checked against the case workflow; the reason
+ * a transition requires is read from the case (e.g. `denialReason`). Throws a
+ * WorkflowError when the change is not allowed.
+ */
+const withWorkflowStatus = (storedCase, editedCase, workflow) => {
+  const from = storedCase.status || '';
+  const to = editedCase.status || '';
+  if (from === to || !to) return { ...editedCase, status: storedCase.status };
+  const transition = findTransition(workflow, from, to);
+  return applyStatusChange({ ...editedCase, status: storedCase.status }, to, {
+    workflow,
+    reason: transition?.reason
+      ? editedCase[transition.reason.field]
+      : undefined,
+  });
+};
+
+/**
+ * Edited case whose type changed switches to the new type's document checklist,
+ * keeping the items both checklists share.
+ */
+const withChecklist = (caseItem, data) =>
+  caseItem.documentChecklist &&
+  caseItem.documentChecklist.caseType !== caseItem.caseType
+    ? applyChecklist(caseItem, data)
+    : caseItem;
+
 // Step Components - Integrated directly into the modal
 function BasicInfoStep({ caseData, updateField, validationErrors }) {
   const e = React.createElement;
@@ -147,7 +183,7 @@ function ClientSelectionStep({
   );
 
   // Filter out client and spouse from rep options
-  const repOptions = (fullData?.people || []).filter(
+  const repOptions = activeRecords(fullData?.people).filter(
     (p) =>
       String(p.id) !== String(caseData.personId) &&
       String(p.id) !== String(caseData.spouseId),
@@ -219,7 +255,7 @@ function ClientSelectionStep({
   };
 
   // Prepare people data for search
-  const peopleData = fullData?.people || [];
+  const peopleData = activeRecords(fullData?.people);
   const spouseOptions = peopleData.filter(
     (p) => String(p.id) !== String(caseData.personId),
   );
@@ -326,10 +362,12 @@ function CaseDetailsStep({
 }) {
   const e = React.createElement;
 
-  const organizationOptions = (fullData?.organizations || []).map((o) => ({
-    value: o.id,
-    label: o.name,
-  }));
+  const organizationOptions = activeRecords(fullData?.organizations).map(
+    (o) => ({
+      value: o.id,
+      label: o.name,
+    }),
+  );
 
   // Auto-populate living arrangement data from selected person
   useEffect(() => {
@@ -911,20 +949,28 @@ function CaseCreationModal({
       let resultCase;
       let successMessage;
 
+      const workflow = currentCaseWorkflow();
       if (editCaseId) {
         // Update existing case
         updatedData = {
           ...currentData,
           cases: currentData.cases.map((caseItem) =>
             caseItem.id === editCaseId
-              ? {
-                  ...caseItem,
-                  ...caseData,
-                  updatedDate: new Date().toISOString(),
-                  // Don't change the original creation date
-                  createdDate: caseItem.createdDate,
-                  id: caseItem.id, // Keep the original ID
-                }
+              ? withChecklist(
+                  withWorkflowStatus(
+                    caseItem,
+                    {
+                      ...caseItem,
+                      ...caseData,
+                      updatedDate: new Date().toISOString(),
+                      // Don't change the original creation date
+                      createdDate: caseItem.createdDate,
+                      id: caseItem.id, // Keep the original ID
+                    },
+                    workflow,
+                  ),
+                  currentData,
+                )
               : caseItem,
           ),
         };
@@ -932,12 +978,19 @@ function CaseCreationModal({
         successMessage = 'Case updated successfully!';
       } else {
         // Create new case
-        const newCase = {
-          id: `case-${Date.now()}`,
-          ...caseData,
-          createdDate: new Date().toISOString(),
-          updatedDate: new Date().toISOString(),
-        };
+        // New cases start with the document checklist of their case type
+        const newCase = applyChecklist(
+          applyInitialStatus(
+            {
+              id: `case-${Date.now()}`,
+              ...caseData,
+              createdDate: new Date().toISOString(),
+              updatedDate: new Date().toISOString(),
+            },
+            { workflow },
+          ),
+          currentData,
+        );
 
         updatedData = {
           ...currentData,
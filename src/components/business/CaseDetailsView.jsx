@@ -18,6 +18,13 @@ import {
   resolvePerson as prResolvePerson,
   derivePersonName,
 } from '../../services/personResolution.js';
+import { activeRecords } from '../../services/nightingale.recyclebin.js';
+import {
+  applyStatusChange,
+  currentCaseWorkflow,
+  nextStatuses,
+} from '../../services/nightingale.workflow.js';
+import Toast from '../../services/nightingale.toast.js';
 
 /**
  * CaseDetailsView Component
@@ -44,6 +51,9 @@ function CaseDetailsView({
   const [isNotesModalOpen, setIsNotesModalOpen] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [graceDone, setGraceDone] = useState(false); // grace period for fallback flicker
+  // Status change waiting for its required reason: { to, label }
+  const [pendingStatus, setPendingStatus] = useState(null);
+  const [statusReason, setStatusReason] = useState('');
   useEffect(() => {
     const t = setTimeout(() => setGraceDone(true), 250);
     return () => clearTimeout(t);
@@ -128,6 +138,12 @@ function CaseDetailsView({
     'FinancialManagementSection',
   );
   const NotesModal = getComponent('business', 'NotesModal');
+  const AuditHistorySection = getComponent('business', 'AuditHistorySection');
+  const CaseTasksSection = getComponent('business', 'CaseTasksSection');
+  const AttachmentsSection = getComponent('business', 'AttachmentsSection');
+  const CaseRenewalSection = getComponent('business', 'CaseRenewalSection');
+  const DeadlineBanner = getComponent('business', 'DeadlineBanner');
+  const CaseChecklistSection = getComponent('business', 'CaseChecklistSection');
 
   // Derive display name with richer fallbacks (do not perform heavy work inline in JSX)
   const displayPersonName = derivePersonName(
@@ -168,6 +184,45 @@ function CaseDetailsView({
     onUpdateData(safeMergeFullData(fullData, { cases: updatedCases }));
   };
 
+  // Status changes follow the case workflow (allowed transitions, reasons, date stamps)
+  const workflow = currentCaseWorkflow();
+  const commitStatus = (to, reason) => {
+    if (!caseData) return;
+    let updatedCase;
+    try {
+      updatedCase = applyStatusChange(caseData, to, { reason, workflow });
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+      return;
+    }
+    setPendingStatus(null);
+    setStatusReason('');
+    if (updatedCase === caseData) return;
+    const updatedCases = fullData.cases.map((c) =>
+      c.id === caseData.id ? updatedCase : c,
+    );
+    onUpdateData(safeMergeFullData(fullData, { cases: updatedCases }));
+  };
+  const handleStatusSelect = (to) => {
+    const next = nextStatuses(workflow, caseData?.status || '').find(
+      (option) => option.to === to,
+    );
+    if (next?.reason) {
+      setStatusReason('');
+      setPendingStatus({ to, label: next.reason.label });
+      return;
+    }
+    commitStatus(to);
+  };
+
+  // Deadline events and checklist changes replace the whole case
+  const replaceCase = (updatedCase) => {
+    const updatedCases = fullData.cases.map((c) =>
+      c.id === caseData.id ? updatedCase : c,
+    );
+    onUpdateData(safeMergeFullData(fullData, { cases: updatedCases }));
+  };
+
   // Update notes handler
   const handleNotesUpdate = (caseId, updatedNotes) => {
     if (!caseData) return;
@@ -287,17 +342,25 @@ function CaseDetailsView({
               e(
                 'select',
                 {
-                  value: caseData.status || '',
-                  onChange: (e) => updateCaseField('status', e.target.value),
+                  value: pendingStatus?.to ?? (caseData.status || ''),
+                  onChange: (e) => handleStatusSelect(e.target.value),
+                  'aria-label': 'Case status',
                   className:
                     'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm',
                 },
-                e('option', { value: '' }, '-- No Status --'),
-                e('option', { value: 'Pending' }, 'Pending'),
-                e('option', { value: 'In Progress' }, 'In Progress'),
-                e('option', { value: 'Approved' }, 'Approved'),
-                e('option', { value: 'Denied' }, 'Denied'),
-                e('option', { value: 'Closed' }, 'Closed'),
+                // Current status first, then the statuses the workflow allows next
+                e(
+                  'option',
+                  { value: caseData.status || '' },
+                  caseData.status || '-- No Status --',
+                ),
+                nextStatuses(workflow, caseData.status || '').map((option) =>
+                  e(
+                    'option',
+                    { key: option.to, value: option.to },
+                    option.reason ? `${option.to}…` : option.to,
+                  ),
+                ),
               ),
             ),
             e(
@@ -324,6 +387,48 @@ function CaseDetailsView({
               }),
             ),
           ),
+          pendingStatus &&
+            e(
+              'form',
+              {
+                'aria-label': 'Status change reason',
+                className: 'mt-3 flex items-start gap-2 max-w-xl',
+                onSubmit: (ev) => {
+                  ev.preventDefault();
+                  commitStatus(pendingStatus.to, statusReason);
+                },
+              },
+              e('textarea', {
+                value: statusReason,
+                onChange: (ev) => setStatusReason(ev.target.value),
+                'aria-label': pendingStatus.label,
+                placeholder: `${pendingStatus.label} (required to move to ${pendingStatus.to})`,
+                rows: 2,
+                autoFocus: true,
+                className:
+                  'flex-1 bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white',
+              }),
+              e(
+                'button',
+                {
+                  type: 'submit',
+                  disabled: !statusReason.trim(),
+                  className:
+                    'bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white py-1 px-3 rounded-md text-sm',
+                },
+                `Set ${pendingStatus.to}`,
+              ),
+              e(
+                'button',
+                {
+                  type: 'button',
+                  onClick: () => setPendingStatus(null),
+                  className:
+                    'bg-gray-600 hover:bg-gray-700 text-white py-1 px-3 rounded-md text-sm',
+                },
+                'Cancel',
+              ),
+            ),
         ),
         e(
           'div',
@@ -351,7 +456,7 @@ function CaseDetailsView({
                 d: 'M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z',
               }),
             ),
-            `Notes (${caseData.notes?.length || 0})`,
+            `Notes (${activeRecords(caseData.notes).length})`,
           ),
           e(
             'button',
@@ -379,10 +484,41 @@ function CaseDetailsView({
       ),
     ),
 
+    // Processing deadline (due date, pauses, extensions)
+    DeadlineBanner &&
+      e(DeadlineBanner, { caseData, onUpdateCase: replaceCase }),
+
     // Financial Management Section
     FinancialManagementSection &&
       e(FinancialManagementSection, { caseData, fullData, onUpdateData }),
 
+    // Document checklist of the case type
+    CaseChecklistSection &&
+      e(CaseChecklistSection, {
+        caseData,
+        fullData,
+        onUpdateCase: replaceCase,
+      }),
+
+    // Certification period and renewals
+    CaseRenewalSection &&
+      e(CaseRenewalSection, { caseData, fullData, onUpdateData }),
+
+    // Files attached to the case, its financial items and VR requests
+    AttachmentsSection &&
+      e(AttachmentsSection, { caseData, fullData, onUpdateData, fileService }),
+
+    // Open tasks of the case
+    CaseTasksSection &&
+      e(CaseTasksSection, { caseId: caseData.id, fullData, onUpdateData }),
+
+    // Audit trail of the case, its financial items, notes, VR requests and tasks
+    AuditHistorySection &&
+      e(AuditHistorySection, {
+        auditLog: fullData.auditLog || [],
+        caseId: caseData.id,
+      }),
+
     // Notes Modal
     NotesModal &&
       e(NotesModal, {
@@ -0,0 +1,227 @@
+/**
+ * CaseRenewalSection.jsx - Certification period and renewals of a case
+ *
+ * Business component embedded in CaseDetailsView. Shows the current certification
+ * period and renewal due date, the renewal in progress with the financial items
+ * still to re-verify, and the renewal history. Renewals start on their own at the
+ * lead time set in Settings → Renewals; they can also be started early here.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  RENEWAL_OUTCOMES,
+  completeRenewal,
+  ensureCertification,
+  itemsToReverify,
+  markReverified,
+  renewalStatus,
+  startRenewal,
+} from '../../services/nightingale.renewals.js';
+
+const buttonClass =
+  'px-3 py-1 rounded-lg text-sm font-medium transition-colors text-white';
+
+const formatDate = (value) => dateUtils.format?.(value) || value;
+
+/**
+ * CaseRenewalSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.caseData - The case
+ * @param {Object} props.fullData - In-memory dataset
+ * @param {Function} props.onUpdateData - Called with (data, label) after a change
+ * @param {string} [props.today] - YYYY-MM-DD (defaults to today)
+ * @returns {React.Element} CaseRenewalSection component
+ */
+function CaseRenewalSection({ caseData, fullData, onUpdateData, today }) {
+  const status = renewalStatus(caseData, { today });
+  const renewal = status?.renewal;
+  const toReverify = itemsToReverify(caseData);
+  const history = (caseData.renewals || []).filter((r) => r.completedDate);
+
+  const apply = (change, label) => {
+    try {
+      onUpdateData?.(change(), label);
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const replaceCase = (updated) => ({
+    ...fullData,
+    cases: (fullData.cases || []).map((item) =>
+      item.id === caseData.id ? updated : item,
+    ),
+  });
+
+  const certify = () =>
+    apply(
+      () =>
+        replaceCase(
+          ensureCertification(caseData, {
+            start: caseData.approvedDate || today || new Date(),
+          }),
+        ),
+      'Start certification period',
+    );
+
+  const start = () =>
+    apply(
+      () =>
+        startRenewal(fullData, caseData.id, { today, actor: getWorkerName() })
+          .data,
+      'Start renewal',
+    );
+
+  const complete = (outcome) =>
+    apply(
+      () =>
+        completeRenewal(fullData, caseData.id, {
+          outcome,
+          today,
+          actor: getWorkerName(),
+        }),
+      `Complete renewal: ${RENEWAL_OUTCOMES[outcome]}`,
+    );
+
+  const reverified = (item) =>
+    apply(
+      () => replaceCase(markReverified(caseData, item.id)),
+      `Re-verified ${item.description || item.type || 'financial item'}`,
+    );
+
+  return (
+    <section
+      aria-label="Renewal"
+      className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700"
+    >
+      <h3 className="text-lg font-semibold text-white">Renewal</h3>
+
+      {!status ? (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-gray-400">
+            No certification period. One starts when the case is approved.
+          </p>
+          <button
+            onClick={certify}
+            className={`${buttonClass} bg-gray-600 hover:bg-gray-700`}
+          >
+            Start Certification Period
+          </button>
+        </div>
+      ) : (
+        <>
+          <p className="text-sm text-gray-300">
+            {`Certified ${formatDate(status.period.start)} – ${formatDate(
+              status.period.end,
+            )} · renewal due ${formatDate(status.dueDate)} (${
+              status.daysLeft < 0
+                ? `${-status.daysLeft} days overdue`
+                : `${status.daysLeft} days left`
+            })`}
+          </p>
+
+          {renewal ? (
+            <div className="space-y-2">
+              <p className="text-sm text-yellow-300">
+                {`Renewal in progress since ${formatDate(renewal.startedDate)}`}
+              </p>
+              {toReverify.length > 0 && (
+                <ul
+                  aria-label="Financial items to re-verify"
+                  className="text-sm text-gray-300 space-y-1"
+                >
+                  {toReverify.map((item) => (
+                    <li
+                      key={item.id}
+                      className="flex items-center justify-between gap-2"
+                    >
+                      <span>
+                        {`${item.description || item.type || 'Item'} (${item.group})`}
+                      </span>
+                      <button
+                        onClick={() => reverified(item)}
+                        aria-label={`Mark ${item.description || item.type || 'item'} re-verified`}
+                        className="text-xs text-blue-400 hover:text-blue-300"
+                      >
+                        Re-verified
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              <div className="flex gap-2">
+                <button
+                  onClick={() => complete('renewed')}
+                  className={`${buttonClass} bg-green-600 hover:bg-green-700`}
+                >
+                  Mark Renewed
+                </button>
+                <button
+                  onClick={() => complete('not-renewed')}
+                  className={`${buttonClass} bg-red-600 hover:bg-red-700`}
+                >
+                  Mark Not Renewed
+                </button>
+              </div>
+            </div>
+          ) : status.completed ? (
+            <p className="text-sm text-gray-400">
+              {`${RENEWAL_OUTCOMES[status.completed.outcome]} on ${formatDate(
+                status.completed.completedDate,
+              )}; no further renewal.`}
+            </p>
+          ) : (
+            <div className="flex items-center justify-between gap-3">
+              <p className="text-sm text-gray-400">
+                {status.due
+                  ? 'Renewal is due to start.'
+                  : `Renewal starts ${formatDate(status.startDate)}.`}
+              </p>
+              <button
+                onClick={start}
+                className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}
+              >
+                Start Renewal
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {history.length > 0 && (
+        <ul
+          aria-label="Renewal history"
+          className="text-xs text-gray-400 space-y-1"
+        >
+          {history.map((item) => (
+            <li key={item.id}>
+              {`Due ${formatDate(item.dueDate)} · ${
+                RENEWAL_OUTCOMES[item.outcome] || item.outcome
+              } ${formatDate(item.completedDate)}`}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
+
+CaseRenewalSection.propTypes = {
+  caseData: PropTypes.object.isRequired,
+  fullData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+  today: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'CaseRenewalSection', CaseRenewalSection);
+
+export default CaseRenewalSection;
@@ -0,0 +1,78 @@
+/**
+ * CaseTasksSection.jsx - Open tasks of a case
+ *
+ * Business component embedded in CaseDetailsView. Lists the case's open tasks,
+ * soonest first (including the automatic "VR due back" reminders), completes them
+ * and adds new ones for the case.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import { caseTasks } from '../../services/nightingale.tasks.js';
+import TaskList, { taskActions } from './TaskList.jsx';
+import TaskFormModal from './TaskFormModal.jsx';
+
+/**
+ * CaseTasksSection Component
+ *
+ * @param {Object} props - Component props
+ * @param {string|number} props.caseId - Case whose tasks are shown
+ * @param {Object} props.fullData - In-memory dataset
+ * @param {Function} props.onUpdateData - Called with (data, label) after a change
+ * @returns {React.Element} CaseTasksSection component
+ */
+function CaseTasksSection({ caseId, fullData, onUpdateData }) {
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const tasks = caseTasks(fullData?.tasks, caseId);
+  const actions = taskActions(fullData, onUpdateData);
+
+  return (
+    <section
+      aria-label="Tasks"
+      className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700"
+    >
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">
+          Tasks ({tasks.length})
+        </h3>
+        <button
+          onClick={() => setIsFormOpen(true)}
+          className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Add Task
+        </button>
+      </div>
+      {tasks.length === 0 ? (
+        <p className="text-sm text-gray-400">No open tasks for this case.</p>
+      ) : (
+        <TaskList
+          tasks={tasks}
+          onComplete={actions.complete}
+          label="Open tasks"
+        />
+      )}
+      <TaskFormModal
+        isOpen={isFormOpen}
+        caseId={caseId}
+        onClose={() => setIsFormOpen(false)}
+        onSave={(fields) => {
+          if (actions.add({ ...fields, caseId })) setIsFormOpen(false);
+        }}
+      />
+    </section>
+  );
+}
+
+CaseTasksSection.propTypes = {
+  caseId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  fullData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'CaseTasksSection', CaseTasksSection);
+
+export default CaseTasksSection;
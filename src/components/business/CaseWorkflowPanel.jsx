@@ -0,0 +1,136 @@
+/**
+ * CaseWorkflowPanel.jsx - Case status workflow settings
+ *
+ * Business component embedded in SettingsModal. Summarizes the case workflow in use
+ * (each status with the statuses it can move to; * marks a required reason) and
+ * edits its definition as JSON. The definition is validated before it is saved to
+ * the settings; Reset returns to the built-in workflow.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { getCaseWorkflow, setCaseWorkflow } from '../../services/settings.js';
+import {
+  DEFAULT_CASE_WORKFLOW,
+  currentCaseWorkflow,
+  nextStatuses,
+  validateWorkflow,
+} from '../../services/nightingale.workflow.js';
+
+const toJson = (workflow) => JSON.stringify(workflow, null, 2);
+
+/**
+ * CaseWorkflowPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSaved] - Called with the saved definition (null on reset)
+ * @returns {React.Element} CaseWorkflowPanel component
+ */
+function CaseWorkflowPanel({ onSaved }) {
+  const [workflow, setWorkflow] = useState(() => currentCaseWorkflow());
+  const [text, setText] = useState(() => toJson(workflow));
+  const [errors, setErrors] = useState([]);
+  const isCustom = !!getCaseWorkflow();
+
+  const handleSave = () => {
+    let definition;
+    try {
+      definition = JSON.parse(text);
+    } catch (error) {
+      setErrors([`Invalid JSON: ${error.message}`]);
+      return;
+    }
+    const problems = validateWorkflow(definition);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    setCaseWorkflow(definition);
+    setWorkflow(definition);
+    Toast.showToast?.('Case workflow saved', 'success');
+    onSaved?.(definition);
+  };
+
+  const handleReset = () => {
+    setCaseWorkflow(null);
+    setWorkflow(DEFAULT_CASE_WORKFLOW);
+    setText(toJson(DEFAULT_CASE_WORKFLOW));
+    setErrors([]);
+    Toast.showToast?.('Case workflow reset to the default', 'info');
+    onSaved?.(null);
+  };
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">Case Workflow</h3>
+        <span className="text-xs text-gray-400">
+          {isCustom ? 'Custom' : 'Default'}
+        </span>
+      </div>
+      <ul
+        aria-label="Status transitions"
+        className="text-sm text-gray-300 space-y-1"
+      >
+        {workflow.statuses.map((status) => (
+          <li key={status.name}>
+            <span className="text-white">{status.name}</span>
+            {status.active === false && (
+              <span className="text-gray-400"> (closed)</span>
+            )}
+            {' → '}
+            {nextStatuses(workflow, status.name)
+              .map((option) => (option.reason ? `${option.to}*` : option.to))
+              .join(', ') || 'none'}
+          </li>
+        ))}
+      </ul>
+      <p className="text-xs text-gray-400">
+        * requires a reason. New cases start as {workflow.initialStatus}.
+      </p>
+      <textarea
+        aria-label="Workflow definition"
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        rows={10}
+        spellCheck={false}
+        className="w-full bg-gray-900 text-gray-200 font-mono text-xs rounded p-2 border border-gray-700"
+      />
+      {errors.length > 0 && (
+        <ul
+          role="alert"
+          className="text-sm text-red-400 list-disc list-inside"
+        >
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleSave}
+          className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Save Workflow
+        </button>
+        <button
+          onClick={handleReset}
+          className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-gray-600 hover:bg-gray-700 text-white"
+        >
+          Reset to Default
+        </button>
+      </div>
+    </section>
+  );
+}
+
+CaseWorkflowPanel.propTypes = {
+  onSaved: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'CaseWorkflowPanel', CaseWorkflowPanel);
+
+export default CaseWorkflowPanel;
@@ -9,6 +9,28 @@ import { registerComponent, getComponent } from '../../services/registry';
 import { safeMergeFullData } from '../../services/safeDataMerge.js';
 import { createBusinessComponent } from '../ui/TabBase.jsx';
 import dateUtils from '../../services/nightingale.dayjs.js';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  getProcessingDeadlines,
+  getWorkerName,
+} from '../../services/settings.js';
+import {
+  activeRecords,
+  describeSoftDelete,
+  previewSoftDelete,
+  softDeleteRecord,
+} from '../../services/nightingale.recyclebin.js';
+import {
+  currentCaseWorkflow,
+  isActiveStatus,
+  statusColor,
+} from '../../services/nightingale.workflow.js';
+import {
+  computeCaseDeadline,
+  createHolidayCalendar,
+  describeDeadline,
+} from '../../services/nightingale.deadlines.js';
+import { checklistProgress } from '../../services/nightingale.checklists.js';
 // (findPersonById kept available via personResolution fallback, no direct import needed)
 import {
   buildPeopleIndex,
@@ -22,7 +44,7 @@ import {
  * Manages case listing, search, CRUD operations, and details view navigation
  *
  * Features:
- * - Case search and filtering
+ * - Case search and filtering (status filters come from the case workflow)
  * - Case creation and editing via modals
  * - Case details view integration
  * - DataTable integration with sorting and actions
@@ -40,14 +62,22 @@ import {
  * Custom hook for CasesTab data management
  * Implements the TabBase.js useData pattern for standardized data handling
  */
-function useCasesData({ fullData, onViewModeChange, onBackToList }) {
+function useCasesData({
+  fullData,
+  onUpdateData,
+  onViewModeChange,
+  onBackToList,
+}) {
   // State management - all hooks must be called unconditionally
   const [searchTerm, setSearchTerm] = useState('');
+  // 'all', 'open', 'closed' or a status name
+  const [statusFilter, setStatusFilter] = useState('all');
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [editCaseId, setEditCaseId] = useState(null);
   const [viewMode, setViewMode] = useState('list'); // 'list' or 'details'
   const [detailsCaseId, setDetailsCaseId] = useState(null);
+  const [confirmingCaseDelete, setConfirmingCaseDelete] = useState(null);
 
   // Back to list function that can be called externally
   const backToList = useCallback(() => {
@@ -73,7 +103,20 @@ function useCasesData({ fullData, onViewModeChange, onBackToList }) {
   const filteredCases = useMemo(() => {
     if (!fullData?.cases) return [];
 
-    let filtered = fullData.cases;
+    let filtered = activeRecords(fullData.cases);
+
+    if (statusFilter !== 'all') {
+      const workflow = currentCaseWorkflow();
+      filtered = filtered.filter((caseItem) => {
+        if (statusFilter === 'open' || statusFilter === 'closed') {
+          return (
+            isActiveStatus(workflow, caseItem.status) ===
+            (statusFilter === 'open')
+          );
+        }
+        return caseItem.status === statusFilter;
+      });
+    }
 
     // Apply search filter only (DataTable component handles sorting)
     // Ensure searchTerm is a string before using string methods
@@ -106,7 +149,7 @@ function useCasesData({ fullData, onViewModeChange, onBackToList }) {
     }
 
     return filtered;
-  }, [fullData, searchTerm, peopleIndex]);
+  }, [fullData, searchTerm, statusFilter, peopleIndex]);
 
   // Event handlers
   const handleCaseClick = (caseItem) => {
@@ -148,6 +191,28 @@ function useCasesData({ fullData, onViewModeChange, onBackToList }) {
     }
   }, [peopleReady, pendingDetailsCaseId, viewMode, onViewModeChange]);
 
+  const handleDeleteCase = (caseItem, e) => {
+    e?.stopPropagation();
+    setConfirmingCaseDelete(caseItem.id);
+  };
+
+  const confirmCaseDelete = () => {
+    try {
+      // Verification requests of the case go to the Recycle Bin with it
+      const { data: updatedData, impact } = softDeleteRecord(
+        fullData,
+        'cases',
+        confirmingCaseDelete,
+        { actor: getWorkerName() },
+      );
+      onUpdateData?.(updatedData, `Delete ${impact.target.label}`);
+      Toast.showToast?.(describeSoftDelete(impact), 'success');
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+    setConfirmingCaseDelete(null);
+  };
+
   const formatDate = (dateString) =>
     dateUtils.format?.(dateString) || dateString;
 
@@ -158,6 +223,8 @@ function useCasesData({ fullData, onViewModeChange, onBackToList }) {
     // State
     searchTerm,
     setSearchTerm,
+    statusFilter,
+    setStatusFilter,
     isCreateModalOpen,
     setIsCreateModalOpen,
     isEditModalOpen,
@@ -168,10 +235,14 @@ function useCasesData({ fullData, onViewModeChange, onBackToList }) {
     setViewMode,
     detailsCaseId,
     setDetailsCaseId,
+    confirmingCaseDelete,
+    setConfirmingCaseDelete,
     // Functions
     backToList,
     handleCaseClick,
     handleOpenCaseDetails,
+    handleDeleteCase,
+    confirmCaseDelete,
     formatDate,
   };
 }
@@ -186,8 +257,39 @@ function renderCasesContent({ components, data: dataResult, props }) {
   const isTestEnv =
     typeof process !== 'undefined' && process?.env?.NODE_ENV === 'test';
   const canUseGrid = !isTestEnv;
+  const workflow = currentCaseWorkflow();
   // Local people index for fast lookup during row mapping (non-hook context)
   const peopleIndex = buildPeopleIndex(props.fullData?.people || []);
+  // Processing deadlines; due date and days left are row fields so they sort
+  const deadlineOptions = {
+    config: getProcessingDeadlines(),
+    calendar: createHolidayCalendar(),
+  };
+  const caseRows = dataResult.data.map((c) => {
+    const deadline = computeCaseDeadline(c, deadlineOptions);
+    const shown = deadline && deadline.state !== 'stopped';
+    const documents = checklistProgress(c.documentChecklist);
+    return {
+      ...c,
+      documents,
+      // Share of the required documents in; sorts cases with missing ones first
+      documentsIn: documents
+        ? documents.settled / Math.max(documents.required, 1)
+        : null,
+      deadline,
+      deadlineDue: shown ? deadline.dueDate : null,
+      daysLeft:
+        deadline?.running && !deadline.paused ? deadline.daysRemaining : null,
+    };
+  });
+  const documentsLabel = (documents) =>
+    documents ? `${documents.settled}/${documents.required} docs` : '';
+  const deadlineClass = (deadline) => {
+    if (deadline?.overdue || deadline?.state === 'missed')
+      return 'text-red-400';
+    if (deadline?.approaching) return 'text-yellow-300';
+    return 'text-gray-300';
+  };
 
   // Conditional rendering for details view
   if (dataResult.viewMode === 'details' && dataResult.detailsCaseId) {
@@ -255,14 +357,43 @@ function renderCasesContent({ components, data: dataResult, props }) {
         </Button>
       </Box>
       {e(SearchSection, {
-        searchBar: e(SearchBar, {
-          value: dataResult.searchTerm,
-          onChange: (ev) => {
-            const value = typeof ev === 'string' ? ev : ev?.target?.value || '';
-            dataResult.setSearchTerm(value);
-          },
-          placeholder: 'Search cases by MCN, person name, status...',
-        }),
+        searchBar: e(
+          'div',
+          { className: 'flex flex-col sm:flex-row gap-3' },
+          e(
+            'div',
+            { className: 'flex-1' },
+            e(SearchBar, {
+              value: dataResult.searchTerm,
+              onChange: (ev) => {
+                const value =
+                  typeof ev === 'string' ? ev : ev?.target?.value || '';
+                dataResult.setSearchTerm(value);
+              },
+              placeholder: 'Search cases by MCN, person name, status...',
+            }),
+          ),
+          e(
+            'select',
+            {
+              value: dataResult.statusFilter,
+              onChange: (ev) => dataResult.setStatusFilter(ev.target.value),
+              'aria-label': 'Status filter',
+              className:
+                'bg-gray-700 border border-gray-600 rounded-md py-2 px-3 text-sm text-white',
+            },
+            e('option', { value: 'all' }, 'All statuses'),
+            e('option', { value: 'open' }, 'Open cases'),
+            e('option', { value: 'closed' }, 'Closed cases'),
+            workflow.statuses.map((status) =>
+              e(
+                'option',
+                { key: status.name, value: status.name },
+                status.name,
+              ),
+            ),
+          ),
+        ),
       })}
 
       {dataResult.data.length === 0 ? (
@@ -281,7 +412,7 @@ function renderCasesContent({ components, data: dataResult, props }) {
           e(DataGrid, {
             autoHeight: true,
             sx: { width: '100%' },
-            rows: dataResult.data.map((c) => {
+            rows: caseRows.map((c) => {
               const people = props.fullData?.people || [];
               const person = prResolvePerson(peopleIndex, people, c.personId);
               const personName = derivePersonName(
@@ -297,6 +428,11 @@ function renderCasesContent({ components, data: dataResult, props }) {
                 personName,
                 status: c.status || 'Unknown',
                 applicationDate: dataResult.formatDate(c.applicationDate),
+                deadlineDue: c.deadlineDue
+                  ? dataResult.formatDate(c.deadlineDue)
+                  : '',
+                daysLeft: describeDeadline(c.deadline),
+                documentsIn: documentsLabel(c.documents),
               };
             }),
             columns: [
@@ -313,6 +449,30 @@ function renderCasesContent({ components, data: dataResult, props }) {
                 headerName: 'Application Date',
                 width: 180,
               },
+              { field: 'deadlineDue', headerName: 'Due Date', width: 130 },
+              { field: 'daysLeft', headerName: 'Days Left', width: 150 },
+              { field: 'documentsIn', headerName: 'Documents', width: 120 },
+              {
+                field: 'actions',
+                headerName: 'Actions',
+                width: 110,
+                sortable: false,
+                renderCell: (params) =>
+                  e(
+                    Button,
+                    {
+                      size: 'small',
+                      color: 'error',
+                      onClick: (ev) => {
+                        const caseItem = dataResult.data.find(
+                          (x) => x.id === params.id,
+                        );
+                        if (caseItem) dataResult.handleDeleteCase(caseItem, ev);
+                      },
+                    },
+                    'Delete',
+                  ),
+              },
             ],
             disableRowSelectionOnClick: true,
             initialState: {
@@ -327,7 +487,7 @@ function renderCasesContent({ components, data: dataResult, props }) {
         )
       ) : (
         e(DataTable, {
-          data: dataResult.data,
+          data: caseRows,
           columns: [
             {
               field: 'mcn',
@@ -370,14 +530,7 @@ function renderCasesContent({ components, data: dataResult, props }) {
               label: 'Status',
               sortable: true,
               render: (value) => {
-                const statusColors = {
-                  Pending: 'bg-yellow-500',
-                  'In Progress': 'bg-blue-500',
-                  Active: 'bg-green-500',
-                  Closed: 'bg-gray-500',
-                  Denied: 'bg-red-500',
-                };
-                const colorClass = statusColors[value] || 'bg-gray-500';
+                const colorClass = statusColor(workflow, value);
                 return e(
                   'span',
                   {
@@ -398,6 +551,65 @@ function renderCasesContent({ components, data: dataResult, props }) {
                   dataResult.formatDate(value),
                 ),
             },
+            {
+              field: 'deadlineDue',
+              label: 'Due Date',
+              sortable: true,
+              render: (value) =>
+                e(
+                  'span',
+                  { className: 'text-gray-300' },
+                  value ? dataResult.formatDate(value) : '—',
+                ),
+            },
+            {
+              field: 'daysLeft',
+              label: 'Days Left',
+              sortable: true,
+              render: (value, caseRow) =>
+                e(
+                  'span',
+                  { className: deadlineClass(caseRow?.deadline) },
+                  describeDeadline(caseRow?.deadline) || '—',
+                ),
+            },
+            {
+              field: 'documentsIn',
+              label: 'Documents',
+              sortable: true,
+              render: (value, caseRow) =>
+                caseRow?.documents
+                  ? e(
+                      'span',
+                      {
+                        className: `px-2 py-1 rounded text-xs text-white ${
+                          caseRow.documents.complete
+                            ? 'bg-green-600'
+                            : 'bg-yellow-600'
+                        }`,
+                        title: caseRow.documents.missing
+                          .map((entry) => entry.name)
+                          .join(', '),
+                      },
+                      documentsLabel(caseRow.documents),
+                    )
+                  : e('span', { className: 'text-gray-500' }, '—'),
+            },
+            {
+              field: 'actions',
+              label: 'Actions',
+              sortable: false,
+              render: (value, caseRow) =>
+                e(
+                  'button',
+                  {
+                    className: 'text-red-400 hover:text-red-300 text-sm',
+                    onClick: (ev) => dataResult.handleDeleteCase(caseRow, ev),
+                    'aria-label': `Delete case ${caseRow?.mcn || caseRow?.id}`,
+                  },
+                  'Delete',
+                ),
+            },
           ],
           onRowClick: dataResult.handleCaseClick,
           className: 'w-full',
@@ -456,9 +668,26 @@ function renderCasesModals({ data: dataResult, props }) {
           )
         : null);
 
+  const DeleteImpactModal = getComponent('business', 'DeleteImpactModal');
+
   return e(
     'div',
     null,
+    // Delete confirmation with the records the delete would touch
+    DeleteImpactModal &&
+      dataResult.confirmingCaseDelete &&
+      e(DeleteImpactModal, {
+        isOpen: true,
+        impact: previewSoftDelete(
+          props.fullData,
+          'cases',
+          dataResult.confirmingCaseDelete,
+        ),
+        entityName: 'Case',
+        softDelete: true,
+        onCancel: () => dataResult.setConfirmingCaseDelete(null),
+        onConfirm: dataResult.confirmCaseDelete,
+      }),
     // Case Creation Modal
     e(CaseCreationModal, {
       isOpen: dataResult.isCreateModalOpen,
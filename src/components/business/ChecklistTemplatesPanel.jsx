@@ -0,0 +1,195 @@
+/**
+ * ChecklistTemplatesPanel.jsx - Document checklist templates
+ *
+ * Business component embedded in SettingsModal. Edits the document checklist
+ * template of each case type: the documents, their names and whether they are
+ * required. Templates are saved in the dataset (`checklistTemplates`), so they travel
+ * with the data file; Reset returns a case type to the built-in template. Cases
+ * keep their own checklist; a changed template applies to new cases.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  CHECKLIST_CASE_TYPES,
+  checklistTemplate,
+  setChecklistTemplate,
+  validateChecklistTemplate,
+} from '../../services/nightingale.checklists.js';
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+const buttonClass =
+  'px-3 py-2 rounded-lg text-sm font-medium transition-colors text-white';
+
+/**
+ * ChecklistTemplatesPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.currentData - In-memory dataset
+ * @param {Function} props.onUpdateData - Called with (data, label) after a save
+ * @returns {React.Element} ChecklistTemplatesPanel component
+ */
+function ChecklistTemplatesPanel({ currentData, onUpdateData }) {
+  const [caseType, setCaseType] = useState(CHECKLIST_CASE_TYPES[0]);
+  const [items, setItems] = useState(() =>
+    checklistTemplate(currentData, caseType),
+  );
+  const [newName, setNewName] = useState('');
+  const [errors, setErrors] = useState([]);
+  const isCustom = Array.isArray(currentData?.checklistTemplates?.[caseType]);
+
+  useEffect(() => {
+    setItems(checklistTemplate(currentData, caseType));
+    setErrors([]);
+  }, [currentData, caseType]);
+
+  const setItem = (index, patch) =>
+    setItems((prev) =>
+      prev.map((entry, i) => (i === index ? { ...entry, ...patch } : entry)),
+    );
+
+  const addItem = () => {
+    if (!newName.trim()) return;
+    setItems((prev) => [...prev, { name: newName.trim(), required: true }]);
+    setNewName('');
+  };
+
+  const handleSave = () => {
+    const problems = validateChecklistTemplate(items);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    onUpdateData?.(
+      setChecklistTemplate(currentData, caseType, items),
+      `Save ${caseType} document checklist`,
+    );
+    Toast.showToast?.(`${caseType} checklist saved`, 'success');
+  };
+
+  const handleReset = () => {
+    onUpdateData?.(
+      setChecklistTemplate(currentData, caseType, null),
+      `Reset ${caseType} document checklist`,
+    );
+    Toast.showToast?.(`${caseType} checklist reset to the default`, 'info');
+  };
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">
+          Document Checklists
+        </h3>
+        <span className="text-xs text-gray-400">
+          {isCustom ? 'Custom' : 'Default'}
+        </span>
+      </div>
+      <select
+        value={caseType}
+        onChange={(event) => setCaseType(event.target.value)}
+        aria-label="Checklist case type"
+        className={inputClass}
+      >
+        {CHECKLIST_CASE_TYPES.map((type) => (
+          <option key={type}>{type}</option>
+        ))}
+      </select>
+      <ul
+        aria-label="Checklist items"
+        className="space-y-2"
+      >
+        {items.map((entry, index) => (
+          <li
+            key={entry.id || `new-${index}`}
+            className="flex items-center gap-2"
+          >
+            <input
+              value={entry.name}
+              onChange={(event) => setItem(index, { name: event.target.value })}
+              aria-label={`Document ${index + 1} name`}
+              className={`${inputClass} flex-1`}
+            />
+            <label className="flex items-center gap-1 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={entry.required !== false}
+                onChange={(event) =>
+                  setItem(index, { required: event.target.checked })
+                }
+              />
+              <span>Required</span>
+            </label>
+            <button
+              onClick={() =>
+                setItems((prev) => prev.filter((_, i) => i !== index))
+              }
+              aria-label={`Remove ${entry.name || `document ${index + 1}`}`}
+              className="text-red-400 hover:text-red-300 text-xs"
+            >
+              Remove
+            </button>
+          </li>
+        ))}
+      </ul>
+      <div className="flex items-center gap-2">
+        <input
+          value={newName}
+          onChange={(event) => setNewName(event.target.value)}
+          aria-label="New document"
+          placeholder="Document name"
+          className={`${inputClass} flex-1`}
+        />
+        <button
+          onClick={addItem}
+          disabled={!newName.trim()}
+          className={`${buttonClass} bg-gray-600 hover:bg-gray-700 disabled:opacity-50`}
+        >
+          Add Document
+        </button>
+      </div>
+      {errors.length > 0 && (
+        <ul
+          role="alert"
+          className="text-sm text-red-400 list-disc list-inside"
+        >
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleSave}
+          className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}
+        >
+          Save Checklist
+        </button>
+        <button
+          onClick={handleReset}
+          disabled={!isCustom}
+          className={`${buttonClass} bg-gray-600 hover:bg-gray-700 disabled:opacity-50`}
+        >
+          Reset to Default
+        </button>
+      </div>
+    </section>
+  );
+}
+
+ChecklistTemplatesPanel.propTypes = {
+  currentData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent(
+  'business',
+  'ChecklistTemplatesPanel',
+  ChecklistTemplatesPanel,
+);
+
+export default ChecklistTemplatesPanel;
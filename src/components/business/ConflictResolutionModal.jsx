@@ -0,0 +1,230 @@
+/**
+ * ConflictResolutionModal.jsx - External modification conflict resolution
+ *
+ * Business component shown when nightingale-data.json changed on disk since this tab
+ * last read it. Autosave stays paused until the user keeps their data, adopts the
+ * file on disk, or applies a field-level three-way merge.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent, getComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+
+const MAX_LISTED_CONFLICTS = 10;
+
+function describeValue(value) {
+  if (value === undefined) return '(deleted)';
+  if (value === null || value === '') return '(empty)';
+  if (typeof value === 'object') return 'edited record';
+  return String(value);
+}
+
+function countsOf(data) {
+  return {
+    cases: data?.cases?.length || 0,
+    people: data?.people?.length || 0,
+    organizations: data?.organizations?.length || 0,
+  };
+}
+
+/**
+ * ConflictResolutionModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Callback to close without resolving (autosave stays paused)
+ * @param {Object} props.fileService - AutosaveFileService with an open conflict
+ * @param {Function} props.onResolved - Called with the dataset to display after resolution
+ * @returns {React.Element} ConflictResolutionModal component
+ */
+function ConflictResolutionModal({ isOpen, onClose, fileService, onResolved }) {
+  const [preview, setPreview] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [isResolving, setIsResolving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !fileService?.previewConflictResolution) return;
+    let cancelled = false;
+    setIsLoading(true);
+    setError(null);
+    fileService
+      .previewConflictResolution()
+      .then((result) => {
+        if (!cancelled) setPreview(result);
+      })
+      .catch(() => {
+        if (!cancelled) setError('Unable to read the changed data file.');
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [isOpen, fileService]);
+
+  const Modal = getComponent('ui', 'Modal');
+  if (!Modal || !isOpen) return null;
+
+  const handleResolve = async (strategy) => {
+    setIsResolving(true);
+    try {
+      const result = await fileService.resolveConflict(strategy);
+      if (!result) {
+        Toast.showToast?.('Could not write the data file', 'error');
+        return;
+      }
+      onResolved?.(result.data, result);
+      const note =
+        strategy === 'merge' && result.conflicts.length > 0
+          ? ` (${result.conflicts.length} field conflict${
+              result.conflicts.length === 1 ? '' : 's'
+            } kept your version)`
+          : '';
+      Toast.showToast?.(`Conflict resolved${note}`, 'success');
+      onClose?.();
+    } catch (err) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:conflict');
+      logger?.error('Conflict resolution failed', { error: err.message });
+      Toast.showToast?.('Conflict resolution failed', 'error');
+    } finally {
+      setIsResolving(false);
+    }
+  };
+
+  const mineCounts = countsOf(preview?.mine);
+  const theirsCounts = countsOf(preview?.theirs);
+  const mergeConflicts = preview?.merge?.conflicts || [];
+  const disabled = isLoading || isResolving || !preview;
+  const buttonClass = (color) =>
+    `px-4 py-2 rounded-lg font-medium transition-colors ${
+      disabled
+        ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+        : `${color} text-white`
+    }`;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="Data File Changed on Disk"
+      size="large"
+      footerContent={
+        <div className="flex space-x-3">
+          <button
+            onClick={() => handleResolve('mine')}
+            disabled={disabled}
+            className={buttonClass('bg-blue-600 hover:bg-blue-700')}
+          >
+            Keep Mine
+          </button>
+          <button
+            onClick={() => handleResolve('theirs')}
+            disabled={disabled}
+            className={buttonClass('bg-orange-600 hover:bg-orange-700')}
+          >
+            Keep Theirs
+          </button>
+          <button
+            onClick={() => handleResolve('merge')}
+            disabled={disabled}
+            className={buttonClass('bg-green-600 hover:bg-green-700')}
+          >
+            Merge
+          </button>
+        </div>
+      }
+    >
+      <div className="space-y-4 text-sm text-gray-300">
+        <p>
+          Another tab, the Reports page, or someone on a shared folder saved{' '}
+          <code>{fileService?.fileName || 'nightingale-data.json'}</code> after
+          this tab loaded it. Autosave is paused until you choose how to
+          continue.
+        </p>
+        {isLoading && <p>Comparing versions…</p>}
+        {error && <p className="text-red-400">{error}</p>}
+        {preview && (
+          <>
+            <table className="w-full text-left">
+              <thead>
+                <tr className="text-gray-400">
+                  <th className="py-1">Collection</th>
+                  <th className="py-1">Mine</th>
+                  <th className="py-1">On disk</th>
+                  <th className="py-1">Merged</th>
+                </tr>
+              </thead>
+              <tbody>
+                {['cases', 'people', 'organizations'].map((key) => (
+                  <tr key={key}>
+                    <td className="py-1 capitalize">{key}</td>
+                    <td className="py-1">{mineCounts[key]}</td>
+                    <td className="py-1">{theirsCounts[key]}</td>
+                    <td className="py-1">
+                      {preview.merge?.summary?.[key]?.records ?? '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div>
+              <h4 className="text-white font-semibold mb-1">
+                Merge conflicts ({mergeConflicts.length})
+              </h4>
+              {mergeConflicts.length === 0 ? (
+                <p>No overlapping edits; a merge keeps both sets of changes.</p>
+              ) : (
+                <ul className="list-disc list-inside space-y-1">
+                  {mergeConflicts.slice(0, MAX_LISTED_CONFLICTS).map((c, i) => (
+                    <li key={i}>
+                      {c.collection ? `${c.collection} ${c.id}` : 'dataset'}
+                      {c.field ? ` · ${c.field}` : ''}: mine{' '}
+                      <span className="text-blue-300">
+                        {describeValue(c.mine)}
+                      </span>
+                      , on disk{' '}
+                      <span className="text-orange-300">
+                        {describeValue(c.theirs)}
+                      </span>
+                    </li>
+                  ))}
+                  {mergeConflicts.length > MAX_LISTED_CONFLICTS && (
+                    <li>
+                      …and {mergeConflicts.length - MAX_LISTED_CONFLICTS} more
+                    </li>
+                  )}
+                </ul>
+              )}
+              {mergeConflicts.length > 0 && (
+                <p className="mt-2 text-gray-400">
+                  Merge keeps your version for conflicting fields.
+                </p>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    </Modal>
+  );
+}
+
+ConflictResolutionModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onClose: PropTypes.func.isRequired,
+  fileService: PropTypes.object,
+  onResolved: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent(
+  'business',
+  'ConflictResolutionModal',
+  ConflictResolutionModal,
+);
+
+export default ConflictResolutionModal;
@@ -1,35 +1,70 @@
 /**
  * Nightingale CMS - Dashboard Tab Component (JSX Refactor)
- * Provides summary statistics and quick actions.
+ * Provides summary statistics, the worker's tasks (MyTasksPanel), cases whose
+ * processing deadline is approaching or past, and quick actions.
  */
 import React, { useMemo } from 'react';
 import PropTypes from 'prop-types';
-import { registerComponent } from '../../services/registry';
+import { registerComponent, getComponent } from '../../services/registry';
+import { activeRecords } from '../../services/nightingale.recyclebin.js';
+import { useCases, useTasks, useVrRequests } from '../../hooks/useDataStore.js';
+import {
+  currentCaseWorkflow,
+  isActiveStatus,
+  statusColor,
+} from '../../services/nightingale.workflow.js';
+import {
+  approachingDeadlines,
+  describeDeadline,
+} from '../../services/nightingale.deadlines.js';
+import { describeRecord } from '../../services/nightingale.integrity.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+
+function DashboardTab({ fullData, onUpdateData }) {
+  // Read from the data store when rendered inside the app; `fullData` otherwise
+  const storeCases = useCases();
+  const storeVrRequests = useVrRequests();
+  const storeTasks = useTasks();
+  const MyTasksPanel = getComponent('business', 'MyTasksPanel');
 
-function DashboardTab({ fullData }) {
   const stats = useMemo(() => {
-    if (!fullData)
+    if (!fullData && !storeCases)
       return {
         totalCases: 0,
         totalVrRequests: 0,
         activeCases: 0,
         pendingVr: 0,
+        byStatus: [],
+        deadlines: [],
       };
 
-    const activeCases =
-      fullData.cases?.filter(
-        (c) => c.status !== 'Closed' && c.status !== 'Denied',
-      ).length || 0;
-    const pendingVr =
-      fullData.vrRequests?.filter((vr) => vr.status === 'Pending').length || 0;
+    // Records in the Recycle Bin are not counted
+    const cases = storeCases ?? activeRecords(fullData.cases);
+    const vrRequests = storeVrRequests ?? activeRecords(fullData.vrRequests);
+    // Open statuses and the per-status breakdown come from the case workflow
+    const workflow = currentCaseWorkflow();
+    const activeCases = cases.filter((c) =>
+      isActiveStatus(workflow, c.status),
+    ).length;
+    const byStatus = workflow.statuses
+      .map((status) => ({
+        name: status.name,
+        color: statusColor(workflow, status.name),
+        count: cases.filter((c) => c.status === status.name).length,
+      }))
+      .filter((entry) => entry.count > 0);
+    const pendingVr = vrRequests.filter((vr) => vr.status === 'Pending').length;
+    const deadlines = approachingDeadlines(cases);
 
     return {
-      totalCases: fullData.cases?.length || 0,
-      totalVrRequests: fullData.vrRequests?.length || 0,
+      totalCases: cases.length,
+      totalVrRequests: vrRequests.length,
       activeCases,
       pendingVr,
+      byStatus,
+      deadlines,
     };
-  }, [fullData]);
+  }, [fullData, storeCases, storeVrRequests]);
 
   const statCards = [
     {
@@ -121,6 +156,63 @@ function DashboardTab({ fullData }) {
           </div>
         ))}
       </div>
+      {MyTasksPanel && (
+        <MyTasksPanel
+          fullData={fullData}
+          tasks={storeTasks}
+          onUpdateData={onUpdateData}
+        />
+      )}
+      {stats.deadlines.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+          <h3 className="text-lg font-semibold text-white mb-4">
+            Approaching Deadlines
+          </h3>
+          <ul
+            aria-label="Approaching deadlines"
+            className="divide-y divide-gray-700 text-sm"
+          >
+            {stats.deadlines.map(({ caseItem, deadline }) => (
+              <li
+                key={caseItem.id}
+                className="py-2 flex justify-between gap-3"
+              >
+                <span className="text-gray-200">
+                  {describeRecord('cases', caseItem)}
+                  {caseItem.caseType ? ` (${caseItem.caseType})` : ''}
+                </span>
+                <span
+                  className={
+                    deadline.overdue ? 'text-red-400' : 'text-yellow-300'
+                  }
+                >
+                  {`Due ${dateUtils.format(deadline.dueDate)} · ${describeDeadline(deadline)}`}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      {stats.byStatus.length > 0 && (
+        <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
+          <h3 className="text-lg font-semibold text-white mb-4">
+            Cases by Status
+          </h3>
+          <ul
+            aria-label="Cases by status"
+            className="flex flex-wrap gap-3"
+          >
+            {stats.byStatus.map((entry) => (
+              <li
+                key={entry.name}
+                className={`px-2 py-1 rounded text-xs text-white ${entry.color}`}
+              >
+                {`${entry.name}: ${entry.count}`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
       <div className="bg-gray-800 rounded-lg p-6 border border-gray-700">
         <h3 className="text-lg font-semibold text-white mb-4">Quick Actions</h3>
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
@@ -142,6 +234,7 @@ function DashboardTab({ fullData }) {
 
 DashboardTab.propTypes = {
   fullData: PropTypes.object,
+  onUpdateData: PropTypes.func,
 };
 
 registerComponent('business', 'DashboardTab', DashboardTab);
@@ -0,0 +1,190 @@
+/**
+ * DeadlineBanner.jsx - Processing deadline of a case
+ *
+ * Business component embedded in CaseDetailsView. Shows the case's processing
+ * deadline (due date, days left, the case type's standard, pauses and extensions),
+ * colored by urgency, and lets the worker pause or resume the clock and grant an
+ * extension. Nothing is shown for cases without an application date or whose clock
+ * stopped without a decision.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  DEADLINE_UNITS,
+  computeCaseDeadline,
+  describeDeadline,
+  extendDeadline,
+  pauseDeadline,
+  resumeDeadline,
+} from '../../services/nightingale.deadlines.js';
+
+const STATE_CLASSES = {
+  overdue: 'bg-red-900/40 border-red-600 text-red-200',
+  missed: 'bg-red-900/40 border-red-600 text-red-200',
+  approaching: 'bg-yellow-900/40 border-yellow-600 text-yellow-100',
+  paused: 'bg-gray-800 border-gray-500 text-gray-200',
+  'on-track': 'bg-gray-800 border-gray-700 text-gray-200',
+  met: 'bg-gray-800 border-green-700 text-green-200',
+};
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+const buttonClass =
+  'px-3 py-1 rounded-md text-sm font-medium transition-colors text-white';
+
+/**
+ * DeadlineBanner Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.caseData - The case
+ * @param {Function} props.onUpdateCase - Called with the changed case
+ * @param {string} [props.today] - YYYY-MM-DD (defaults to today)
+ * @returns {React.Element|null} DeadlineBanner component
+ */
+function DeadlineBanner({ caseData, onUpdateCase, today }) {
+  const [form, setForm] = useState(null); // 'pause' | 'extend'
+  const [reason, setReason] = useState('');
+  const [days, setDays] = useState('');
+
+  const deadline = computeCaseDeadline(caseData, today ? { today } : {});
+  if (!deadline || deadline.state === 'stopped') return null;
+
+  const apply = (change) => {
+    try {
+      onUpdateCase(change(caseData));
+      setForm(null);
+      setReason('');
+      setDays('');
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+  const openForm = (name) => {
+    setReason('');
+    setDays('');
+    setForm(name);
+  };
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    const options = { reason, date: today, actor: getWorkerName() };
+    apply((c) =>
+      form === 'extend'
+        ? extendDeadline(c, { ...options, days: Number(days) })
+        : pauseDeadline(c, options),
+    );
+  };
+
+  const adjustments = [
+    deadline.pausedDays > 0 &&
+      `${deadline.pausedDays} paused day${deadline.pausedDays === 1 ? '' : 's'}`,
+    deadline.extensionDays > 0 &&
+      `${deadline.extensionDays} day${deadline.extensionDays === 1 ? '' : 's'} extension`,
+  ].filter(Boolean);
+  const status = describeDeadline(deadline);
+
+  return (
+    <section
+      aria-label="Processing deadline"
+      className={`rounded-lg border p-4 space-y-2 ${STATE_CLASSES[deadline.state]}`}
+    >
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <p className="font-semibold">
+            {`Processing deadline: ${dateUtils.format(deadline.dueDate)} (${status})`}
+          </p>
+          <p className="text-xs opacity-80">
+            {deadline.rule.days} {DEADLINE_UNITS[deadline.rule.unit]}
+            {caseData.caseType ? ` (${caseData.caseType})` : ''} from{' '}
+            {dateUtils.format(deadline.startDate)}
+            {adjustments.length > 0 && ` + ${adjustments.join(' + ')}`}
+            {deadline.decidedDate &&
+              ` · decided ${dateUtils.format(deadline.decidedDate)}`}
+          </p>
+        </div>
+        {deadline.running && !form && (
+          <div className="flex gap-2">
+            {deadline.paused ? (
+              <button
+                onClick={() => apply((c) => resumeDeadline(c, { date: today }))}
+                className={`${buttonClass} bg-blue-600 hover:bg-blue-700`}
+              >
+                Resume Clock
+              </button>
+            ) : (
+              <button
+                onClick={() => openForm('pause')}
+                className={`${buttonClass} bg-gray-600 hover:bg-gray-700`}
+              >
+                Pause Clock
+              </button>
+            )}
+            <button
+              onClick={() => openForm('extend')}
+              className={`${buttonClass} bg-gray-600 hover:bg-gray-700`}
+            >
+              Extend
+            </button>
+          </div>
+        )}
+      </div>
+      {form && (
+        <form
+          onSubmit={handleSubmit}
+          aria-label={form === 'extend' ? 'Extend deadline' : 'Pause clock'}
+          className="flex flex-wrap items-center gap-2"
+        >
+          {form === 'extend' && (
+            <input
+              type="number"
+              min="1"
+              value={days}
+              onChange={(event) => setDays(event.target.value)}
+              aria-label="Extension days"
+              placeholder="Days"
+              className={`${inputClass} w-24`}
+            />
+          )}
+          <input
+            value={reason}
+            onChange={(event) => setReason(event.target.value)}
+            aria-label="Reason"
+            placeholder="Reason"
+            className={`${inputClass} flex-1`}
+          />
+          <button
+            type="submit"
+            disabled={form === 'extend' && !days}
+            className={`${buttonClass} bg-blue-600 hover:bg-blue-700 disabled:opacity-50`}
+          >
+            {form === 'extend' ? 'Add Extension' : 'Pause'}
+          </button>
+          <button
+            type="button"
+            onClick={() => setForm(null)}
+            className={`${buttonClass} bg-gray-600 hover:bg-gray-700`}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+    </section>
+  );
+}
+
+DeadlineBanner.propTypes = {
+  caseData: PropTypes.object.isRequired,
+  onUpdateCase: PropTypes.func.isRequired,
+  today: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'DeadlineBanner', DeadlineBanner);
+
+export default DeadlineBanner;
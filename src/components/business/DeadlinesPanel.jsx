@@ -0,0 +1,250 @@
+/**
+ * DeadlinesPanel.jsx - Processing deadline settings
+ *
+ * Business component embedded in SettingsModal. Edits the standard processing
+ * timeframe of each case type (days, calendar or business days), how many days
+ * before the due date a deadline counts as approaching, and the holiday calendar:
+ * observed US federal holidays on or off plus custom closure dates.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  getHolidayCalendar,
+  getProcessingDeadlines,
+  setHolidayCalendar,
+  setProcessingDeadlines,
+} from '../../services/settings.js';
+import dateUtils, { dayjs } from '../../services/nightingale.dayjs.js';
+import {
+  DEADLINE_UNITS,
+  createHolidayCalendar,
+} from '../../services/nightingale.deadlines.js';
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+
+const isPositiveWhole = (value) =>
+  Number.isInteger(Number(value)) && Number(value) > 0;
+
+/**
+ * DeadlinesPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSaved] - Called with { deadlines, calendar } after a save
+ * @returns {React.Element} DeadlinesPanel component
+ */
+function DeadlinesPanel({ onSaved }) {
+  const [rules, setRules] = useState(() => getProcessingDeadlines().byCaseType);
+  const [warningDays, setWarningDays] = useState(
+    () => getProcessingDeadlines().warningDays,
+  );
+  const [calendar, setCalendar] = useState(() => getHolidayCalendar());
+  const [newHoliday, setNewHoliday] = useState({ date: '', name: '' });
+  const [errors, setErrors] = useState([]);
+  const year = dayjs().year();
+  const holidays = createHolidayCalendar(calendar).holidays(year);
+
+  const setRule = (caseType, field, value) =>
+    setRules((prev) => ({
+      ...prev,
+      [caseType]: { ...prev[caseType], [field]: value },
+    }));
+
+  const addHoliday = () => {
+    if (!newHoliday.date) return;
+    setCalendar((prev) => ({
+      ...prev,
+      custom: [
+        ...prev.custom.filter((h) => h.date !== newHoliday.date),
+        { date: newHoliday.date, name: newHoliday.name.trim() || 'Closed' },
+      ].sort((a, b) => (a.date < b.date ? -1 : 1)),
+    }));
+    setNewHoliday({ date: '', name: '' });
+  };
+
+  const removeHoliday = (date) =>
+    setCalendar((prev) => ({
+      ...prev,
+      custom: prev.custom.filter((h) => h.date !== date),
+    }));
+
+  const handleSave = () => {
+    const problems = Object.entries(rules)
+      .filter(([, rule]) => !isPositiveWhole(rule.days))
+      .map(([caseType]) => `${caseType}: days must be a positive whole number`);
+    if (!(Number.isInteger(Number(warningDays)) && Number(warningDays) >= 0)) {
+      problems.push('Warning days must be zero or more');
+    }
+    setErrors(problems);
+    if (problems.length > 0) return;
+    const byCaseType = Object.fromEntries(
+      Object.entries(rules).map(([caseType, rule]) => [
+        caseType,
+        { days: Number(rule.days), unit: rule.unit },
+      ]),
+    );
+    const deadlines = setProcessingDeadlines({
+      byCaseType,
+      warningDays: Number(warningDays),
+    }).processingDeadlines;
+    const saved = setHolidayCalendar(calendar).holidayCalendar;
+    Toast.showToast?.('Deadline settings saved', 'success');
+    onSaved?.({ deadlines, calendar: saved });
+  };
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <h3 className="text-lg font-semibold text-white">Processing Deadlines</h3>
+      <table
+        aria-label="Deadline rules"
+        className="text-sm text-gray-300"
+      >
+        <tbody>
+          {Object.entries(rules).map(([caseType, rule]) => (
+            <tr key={caseType}>
+              <td className="pr-3 py-1 text-white">{caseType}</td>
+              <td className="pr-2 py-1">
+                <input
+                  type="number"
+                  min="1"
+                  value={rule.days}
+                  onChange={(e) => setRule(caseType, 'days', e.target.value)}
+                  aria-label={`${caseType} days`}
+                  className={`${inputClass} w-20`}
+                />
+              </td>
+              <td className="py-1">
+                <select
+                  value={rule.unit}
+                  onChange={(e) => setRule(caseType, 'unit', e.target.value)}
+                  aria-label={`${caseType} unit`}
+                  className={inputClass}
+                >
+                  {Object.entries(DEADLINE_UNITS).map(([unit, text]) => (
+                    <option
+                      key={unit}
+                      value={unit}
+                    >
+                      {text}
+                    </option>
+                  ))}
+                </select>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <span>Approaching when</span>
+        <input
+          type="number"
+          min="0"
+          value={warningDays}
+          onChange={(e) => setWarningDays(e.target.value)}
+          aria-label="Warning days"
+          className={`${inputClass} w-20`}
+        />
+        <span>days or fewer remain</span>
+      </label>
+
+      <h4 className="text-sm font-medium text-white pt-2">Holiday Calendar</h4>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <input
+          type="checkbox"
+          checked={calendar.federal}
+          onChange={(e) =>
+            setCalendar((prev) => ({ ...prev, federal: e.target.checked }))
+          }
+        />
+        <span>Observed US federal holidays</span>
+      </label>
+      {calendar.custom.length > 0 && (
+        <ul
+          aria-label="Custom holidays"
+          className="text-sm text-gray-300 space-y-1"
+        >
+          {calendar.custom.map((holiday) => (
+            <li
+              key={holiday.date}
+              className="flex items-center gap-2"
+            >
+              <span>
+                {dateUtils.format(holiday.date)} · {holiday.name}
+              </span>
+              <button
+                onClick={() => removeHoliday(holiday.date)}
+                aria-label={`Remove ${holiday.name} ${holiday.date}`}
+                className="text-red-400 hover:text-red-300 text-xs"
+              >
+                Remove
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="date"
+          value={newHoliday.date}
+          onChange={(e) =>
+            setNewHoliday((prev) => ({ ...prev, date: e.target.value }))
+          }
+          aria-label="Holiday date"
+          className={inputClass}
+        />
+        <input
+          value={newHoliday.name}
+          onChange={(e) =>
+            setNewHoliday((prev) => ({ ...prev, name: e.target.value }))
+          }
+          aria-label="Holiday name"
+          placeholder="Name"
+          className={inputClass}
+        />
+        <button
+          onClick={addHoliday}
+          disabled={!newHoliday.date}
+          className="px-3 py-1 rounded-md text-sm font-medium transition-colors bg-gray-600 hover:bg-gray-700 disabled:opacity-50 text-white"
+        >
+          Add Holiday
+        </button>
+      </div>
+      <p className="text-xs text-gray-400">
+        {holidays.length} non-business day{holidays.length === 1 ? '' : 's'}{' '}
+        besides weekends in {year}
+        {holidays.length > 0 &&
+          `: ${holidays.map((h) => dateUtils.format(h.date, 'MMM D')).join(', ')}`}
+      </p>
+      {errors.length > 0 && (
+        <ul
+          role="alert"
+          className="text-sm text-red-400 list-disc list-inside"
+        >
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      <button
+        onClick={handleSave}
+        className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+      >
+        Save Deadlines
+      </button>
+    </section>
+  );
+}
+
+DeadlinesPanel.propTypes = {
+  onSaved: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'DeadlinesPanel', DeadlinesPanel);
+
+export default DeadlinesPanel;
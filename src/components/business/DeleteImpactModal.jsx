@@ -0,0 +1,164 @@
+/**
+ * DeleteImpactModal.jsx - Delete confirmation with referential impact preview
+ *
+ * Business component shown before a person, organization or case is deleted. Lists
+ * every record the delete would touch according to the relationship map in
+ * nightingale.integrity.js: records that prevent it, records deleted along with it,
+ * and records whose reference is cleared. With `softDelete` the record and the records
+ * deleted with it go to the Recycle Bin and references are only cleared when it is
+ * purged.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent, getComponent } from '../../services/registry';
+
+const MAX_LISTED_RECORDS = 20;
+
+function ImpactList({ title, entries, className }) {
+  if (entries.length === 0) return null;
+  return (
+    <div className="space-y-1">
+      <h4 className={`font-semibold ${className}`}>
+        {title} ({entries.length})
+      </h4>
+      <ul
+        aria-label={title}
+        className="list-disc list-inside text-sm text-gray-300"
+      >
+        {entries.slice(0, MAX_LISTED_RECORDS).map((entry) => (
+          <li key={`${entry.collection}-${entry.id}-${entry.field}`}>
+            {entry.label}{' '}
+            <span className="text-gray-400">({entry.reason})</span>
+          </li>
+        ))}
+        {entries.length > MAX_LISTED_RECORDS && (
+          <li className="text-gray-400">
+            …and {entries.length - MAX_LISTED_RECORDS} more
+          </li>
+        )}
+      </ul>
+    </div>
+  );
+}
+
+ImpactList.propTypes = {
+  title: PropTypes.string.isRequired,
+  entries: PropTypes.arrayOf(PropTypes.object).isRequired,
+  className: PropTypes.string,
+};
+
+/**
+ * DeleteImpactModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Object|null} props.impact - previewDelete() result
+ * @param {string} [props.entityName='Record'] - e.g. 'Person', used in the title
+ * @param {boolean} [props.softDelete=false] - Delete moves records to the Recycle Bin
+ * @param {Function} props.onConfirm - Called when the delete is confirmed
+ * @param {Function} props.onCancel - Called when the modal is dismissed
+ * @returns {React.Element|null} DeleteImpactModal component
+ */
+function DeleteImpactModal({
+  isOpen,
+  impact,
+  entityName = 'Record',
+  softDelete = false,
+  onConfirm,
+  onCancel,
+}) {
+  const Modal = getComponent('ui', 'Modal');
+  if (!Modal || !isOpen || !impact?.target) return null;
+
+  const { target, allowed, blocked, cascaded, nullified } = impact;
+  const untouched = cascaded.length === 0 && nullified.length === 0;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onCancel}
+      title={`Delete ${entityName}`}
+      size="default"
+      footerContent={
+        <div className="flex space-x-3">
+          <button
+            onClick={onCancel}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={onConfirm}
+            disabled={!allowed}
+            className={`px-4 py-2 rounded-lg font-medium transition-colors ${
+              allowed
+                ? 'bg-red-600 hover:bg-red-700 text-white'
+                : 'bg-gray-600 text-gray-400 cursor-not-allowed'
+            }`}
+          >
+            Delete
+          </button>
+        </div>
+      }
+    >
+      <div className="space-y-4">
+        {allowed ? (
+          <p className="text-gray-300">
+            Delete <strong className="text-white">{target.label}</strong>?
+            {untouched && ' No other records refer to it.'}
+            {softDelete &&
+              ' It will be moved to the Recycle Bin and can be restored from Settings.'}
+          </p>
+        ) : (
+          <p
+            role="alert"
+            className="text-red-400"
+          >
+            <strong>{target.label}</strong> cannot be deleted while other
+            records depend on it. Reassign or delete them first.
+          </p>
+        )}
+        <ImpactList
+          title="Prevent deletion"
+          entries={blocked}
+          className="text-red-400"
+        />
+        <ImpactList
+          title={softDelete ? 'Also moved to the Recycle Bin' : 'Also deleted'}
+          entries={cascaded}
+          className="text-yellow-300"
+        />
+        <ImpactList
+          title={
+            softDelete ? 'Reference cleared when purged' : 'Reference cleared'
+          }
+          entries={nullified}
+          className="text-blue-300"
+        />
+      </div>
+    </Modal>
+  );
+}
+
+DeleteImpactModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  impact: PropTypes.shape({
+    target: PropTypes.object,
+    allowed: PropTypes.bool,
+    blocked: PropTypes.array,
+    cascaded: PropTypes.array,
+    nullified: PropTypes.array,
+  }),
+  entityName: PropTypes.string,
+  softDelete: PropTypes.bool,
+  onConfirm: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+};
+
+// Register with business registry
+registerComponent('business', 'DeleteImpactModal', DeleteImpactModal);
+
+export default DeleteImpactModal;
@@ -0,0 +1,309 @@
+/**
+ * DuplicatePeopleModal.jsx - Likely duplicate people with a guided merge
+ *
+ * Business component opened from the People tab. Lists pairs of people that were
+ * probably entered twice (see nightingale.duplicates.js) with their score and the
+ * fields they agree on. Reviewing a pair shows both records side by side: choose the
+ * record to keep and, field by field, which value it keeps. Merging repoints every
+ * case and person reference to the kept record and removes the other one.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent, getComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import { describeRecord } from '../../services/nightingale.integrity.js';
+import {
+  MERGE_FIELDS,
+  defaultMergeChoices,
+  describeDuplicateMatch,
+  findDuplicatePeople,
+  mergePeople,
+  personReferences,
+} from '../../services/nightingale.duplicates.js';
+
+const isBlank = (value) =>
+  value == null ||
+  value === '' ||
+  (typeof value === 'object' && Object.values(value).every((part) => !part));
+
+function formatValue(field, value, fullData) {
+  if (isBlank(value)) return '—';
+  if (field === 'dateOfBirth') return dateUtils.format?.(value) || value;
+  if (field === 'organizationId') {
+    const organization = (fullData?.organizations || []).find(
+      (org) => String(org.id) === String(value),
+    );
+    return organization ? organization.name : String(value);
+  }
+  if (typeof value === 'object') {
+    return [value.street, value.city, value.state, value.zip]
+      .filter(Boolean)
+      .join(', ');
+  }
+  return String(value);
+}
+
+/**
+ * Side-by-side merge of one pair
+ */
+function MergeReview({ pair, fullData, keepId, choices, onKeep, onChoose }) {
+  const people = [pair.a, pair.b];
+  const merged = people.find((p) => String(p.id) !== String(keepId));
+  const references = personReferences(fullData, merged.id);
+  const fields = Object.keys(MERGE_FIELDS).filter(
+    (field) => !isBlank(pair.a[field]) || !isBlank(pair.b[field]),
+  );
+
+  return (
+    <div className="space-y-4">
+      <table
+        aria-label="Merge fields"
+        className="w-full text-sm text-gray-300"
+      >
+        <thead>
+          <tr className="text-left text-gray-400">
+            <th className="py-1 pr-3">Field</th>
+            {people.map((person) => (
+              <th
+                key={person.id}
+                className="py-1 pr-3"
+              >
+                <label className="flex items-center gap-2 text-white">
+                  <input
+                    type="radio"
+                    name="merge-keep"
+                    aria-label={`Keep ${describeRecord('people', person)}`}
+                    checked={String(keepId) === String(person.id)}
+                    onChange={() => onKeep(person.id)}
+                  />
+                  {describeRecord('people', person)}
+                  {String(keepId) === String(person.id) && (
+                    <span className="text-xs text-green-400">(kept)</span>
+                  )}
+                </label>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody className="divide-y divide-gray-700">
+          {fields.map((field) => {
+            const same =
+              JSON.stringify(pair.a[field] ?? null) ===
+              JSON.stringify(pair.b[field] ?? null);
+            return (
+              <tr key={field}>
+                <td className="py-1 pr-3 text-gray-400">
+                  {MERGE_FIELDS[field]}
+                </td>
+                {people.map((person) => (
+                  <td
+                    key={person.id}
+                    className="py-1 pr-3"
+                  >
+                    {same ? (
+                      formatValue(field, person[field], fullData)
+                    ) : (
+                      <label className="flex items-center gap-2">
+                        <input
+                          type="radio"
+                          name={`merge-${field}`}
+                          aria-label={`Use ${MERGE_FIELDS[field]} from ${describeRecord('people', person)}`}
+                          checked={String(choices[field]) === String(person.id)}
+                          onChange={() => onChoose(field, person.id)}
+                        />
+                        {formatValue(field, person[field], fullData)}
+                      </label>
+                    )}
+                  </td>
+                ))}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      <p className="text-sm text-gray-300">
+        {describeRecord('people', merged)} will be removed.{' '}
+        {references.length === 0
+          ? 'No other records refer to it.'
+          : `${references.length} reference${references.length === 1 ? '' : 's'} will point to the kept record:`}
+      </p>
+      {references.length > 0 && (
+        <ul
+          aria-label="Repointed references"
+          className="list-disc list-inside text-sm text-gray-300"
+        >
+          {references.map((ref) => (
+            <li key={`${ref.collection}-${ref.id}-${ref.field}`}>
+              {ref.label} <span className="text-gray-400">({ref.reason})</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+MergeReview.propTypes = {
+  pair: PropTypes.object.isRequired,
+  fullData: PropTypes.object,
+  keepId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]).isRequired,
+  choices: PropTypes.object.isRequired,
+  onKeep: PropTypes.func.isRequired,
+  onChoose: PropTypes.func.isRequired,
+};
+
+/**
+ * DuplicatePeopleModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Object} props.fullData - In-memory dataset
+ * @param {Function} props.onMerge - Called with the mergePeople() result
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @returns {React.Element|null} DuplicatePeopleModal component
+ */
+function DuplicatePeopleModal({ isOpen, fullData, onMerge, onClose }) {
+  const [review, setReview] = useState(null); // { pair, keepId, choices }
+
+  const pairs = useMemo(
+    () => (isOpen ? findDuplicatePeople(fullData?.people) : []),
+    [isOpen, fullData],
+  );
+
+  const Modal = getComponent('ui', 'Modal');
+  if (!Modal || !isOpen) return null;
+
+  const startReview = (pair) =>
+    setReview({
+      pair,
+      keepId: pair.a.id,
+      choices: defaultMergeChoices(pair.a, pair.b),
+    });
+
+  const setKeep = (keepId) => {
+    const { pair } = review;
+    const keep = String(pair.a.id) === String(keepId) ? pair.a : pair.b;
+    const merged = keep === pair.a ? pair.b : pair.a;
+    setReview({ pair, keepId, choices: defaultMergeChoices(keep, merged) });
+  };
+
+  const handleMerge = () => {
+    const { pair, keepId, choices } = review;
+    const mergeId =
+      String(pair.a.id) === String(keepId) ? pair.b.id : pair.a.id;
+    try {
+      onMerge?.(mergePeople(fullData, keepId, mergeId, choices));
+      setReview(null);
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const handleClose = () => {
+    setReview(null);
+    onClose?.();
+  };
+
+  const buttonClass =
+    'px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors';
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={review ? 'Merge People' : 'Possible Duplicate People'}
+      size="large"
+      footerContent={
+        <div className="flex space-x-3">
+          {review ? (
+            <>
+              <button
+                onClick={() => setReview(null)}
+                className={buttonClass}
+              >
+                Back
+              </button>
+              <button
+                onClick={handleMerge}
+                className="px-4 py-2 rounded-lg font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+              >
+                Merge
+              </button>
+            </>
+          ) : (
+            <button
+              onClick={handleClose}
+              className={buttonClass}
+            >
+              Close
+            </button>
+          )}
+        </div>
+      }
+    >
+      {review ? (
+        <MergeReview
+          pair={review.pair}
+          fullData={fullData}
+          keepId={review.keepId}
+          choices={review.choices}
+          onKeep={setKeep}
+          onChoose={(field, personId) =>
+            setReview({
+              ...review,
+              choices: { ...review.choices, [field]: personId },
+            })
+          }
+        />
+      ) : pairs.length === 0 ? (
+        <p className="text-gray-300">No likely duplicate people found.</p>
+      ) : (
+        <ul
+          aria-label="Duplicate candidates"
+          className="divide-y divide-gray-700 text-sm"
+        >
+          {pairs.map((pair) => {
+            const names = `${describeRecord('people', pair.a)} and ${describeRecord('people', pair.b)}`;
+            return (
+              <li
+                key={pair.key}
+                className="py-2 flex items-center justify-between gap-3"
+              >
+                <div>
+                  <div className="text-gray-200">{names}</div>
+                  <div className="text-gray-400 text-xs">
+                    {Math.round(pair.score * 100)}% match ·{' '}
+                    {describeDuplicateMatch(pair)}
+                  </div>
+                </div>
+                <button
+                  onClick={() => startReview(pair)}
+                  aria-label={`Review ${names}`}
+                  className="px-3 py-1 rounded text-xs font-medium transition-colors bg-gray-600 hover:bg-gray-500 text-white"
+                >
+                  Review
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </Modal>
+  );
+}
+
+DuplicatePeopleModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  fullData: PropTypes.object,
+  onMerge: PropTypes.func,
+  onClose: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'DuplicatePeopleModal', DuplicatePeopleModal);
+
+export default DuplicatePeopleModal;
@@ -0,0 +1,188 @@
+/**
+ * EncryptionPanel.jsx - Encryption at rest settings
+ *
+ * Business component embedded in SettingsModal. Encrypts a plaintext data file
+ * (and its backups) with a passphrase, or rotates the passphrase of an encrypted one.
+ * The passphrase is never stored; losing it means losing the data.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { MIN_PASSPHRASE_LENGTH } from '../../services/nightingale.encryption.js';
+
+const EMPTY_FORM = { current: '', next: '', confirm: '' };
+
+function PassphraseInput({ label, value, onChange }) {
+  return (
+    <label className="text-sm text-gray-300 flex flex-col">
+      {label}
+      <input
+        type="password"
+        autoComplete="new-password"
+        aria-label={label}
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-1 w-64 bg-gray-700 text-white rounded px-2 py-1"
+      />
+    </label>
+  );
+}
+
+PassphraseInput.propTypes = {
+  label: PropTypes.string.isRequired,
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+};
+
+/**
+ * EncryptionPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.fileService - AutosaveFileService (getEncryptionStatus/enableEncryption/changePassphrase)
+ * @param {string} props.fileStatus - Current file connection status
+ * @returns {React.Element} EncryptionPanel component
+ */
+function EncryptionPanel({ fileService, fileStatus }) {
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+  // Bumped after a change so the status below is re-read from the service
+  const [, setRevision] = useState(0);
+
+  const status = fileService?.getEncryptionStatus?.() || {
+    supported: false,
+    encrypted: false,
+    locked: false,
+  };
+  const connected = fileStatus === 'connected';
+  const update = (key) => (value) => setForm({ ...form, [key]: value });
+
+  const validate = () => {
+    if (form.next.length < MIN_PASSPHRASE_LENGTH) {
+      return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    if (form.next !== form.confirm) return 'Passphrases do not match';
+    if (status.encrypted && !form.current) {
+      return 'Enter the current passphrase';
+    }
+    return null;
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const problem = validate();
+    setError(problem);
+    if (problem) return;
+
+    setIsBusy(true);
+    try {
+      const result = status.encrypted
+        ? await fileService.changePassphrase(form.current, form.next)
+        : await fileService.enableEncryption(form.next);
+      if (!result) {
+        setError('Current passphrase is incorrect');
+        return;
+      }
+      setForm(EMPTY_FORM);
+      setRevision((n) => n + 1);
+      Toast.showToast?.(
+        status.encrypted ? 'Passphrase changed' : 'Data file encrypted',
+        'success',
+      );
+      if (result.failed.length > 0) {
+        Toast.showToast?.(
+          `${result.failed.length} backup(s) could not be re-encrypted`,
+          'warning',
+        );
+      }
+    } catch (err) {
+      const logger = globalThis.NightingaleLogger?.get('settings:encryption');
+      logger?.error('Encryption update failed', { error: err.message });
+      setError(err.message);
+    } finally {
+      setIsBusy(false);
+    }
+  };
+
+  const disabled = !connected || !status.supported || status.locked || isBusy;
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <h3 className="text-lg font-semibold text-white">Encryption</h3>
+      <p className="text-gray-400 text-sm">
+        {status.encrypted
+          ? 'The data file, backups and journal are encrypted with your passphrase. Attachments are not encrypted, so no files can be attached.'
+          : 'Encrypt the data file, backups and journal with a passphrase. The passphrase is not stored and cannot be recovered. Attachments are not encrypted and cannot be added while encryption is on.'}
+      </p>
+      {!status.supported && (
+        <p className="text-sm text-yellow-300">
+          This browser does not support WebCrypto encryption.
+        </p>
+      )}
+      {!connected && (
+        <p className="text-sm text-gray-400">
+          Connect to a directory to manage encryption.
+        </p>
+      )}
+      <form
+        onSubmit={handleSubmit}
+        className="flex flex-wrap items-end gap-3"
+      >
+        {status.encrypted && (
+          <PassphraseInput
+            label="Current passphrase"
+            value={form.current}
+            onChange={update('current')}
+          />
+        )}
+        <PassphraseInput
+          label={status.encrypted ? 'New passphrase' : 'Passphrase'}
+          value={form.next}
+          onChange={update('next')}
+        />
+        <PassphraseInput
+          label="Confirm passphrase"
+          value={form.confirm}
+          onChange={update('confirm')}
+        />
+        <button
+          type="submit"
+          disabled={disabled}
+          className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+            disabled
+              ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 text-white'
+          }`}
+        >
+          {isBusy
+            ? 'Working…'
+            : status.encrypted
+              ? 'Change Passphrase'
+              : 'Encrypt Data File'}
+        </button>
+      </form>
+      {error && (
+        <p
+          role="alert"
+          className="text-sm text-red-400"
+        >
+          {error}
+        </p>
+      )}
+    </section>
+  );
+}
+
+EncryptionPanel.propTypes = {
+  fileService: PropTypes.object,
+  fileStatus: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'EncryptionPanel', EncryptionPanel);
+
+export default EncryptionPanel;
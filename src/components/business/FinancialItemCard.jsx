@@ -9,9 +9,15 @@
  * Preview-style card designed for financial management sections.
  * Migrated to ES module component registry.
  */
-import React, { useMemo, useCallback } from 'react';
+import React, { useMemo, useCallback, useState } from 'react';
 import PropTypes from 'prop-types';
 import { registerComponent, getComponent } from '../../services/registry';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  balanceHistory,
+  balanceTrend,
+  sparklinePoints,
+} from '../../services/nightingale.balancehistory.js';
 function FinancialItemCard({
   item,
   itemType,
@@ -26,6 +32,7 @@ function FinancialItemCard({
   // Retrieve UI components via registry (avoid window.* globals)
   const Badge = getComponent('ui', 'Badge');
   const Button = getComponent('ui', 'Button');
+  const [showHistory, setShowHistory] = useState(false);
 
   // Get verification status text for Badge component
   const getVerificationStatus = useMemo(() => {
@@ -121,6 +128,96 @@ function FinancialItemCard({
     [onDeleteConfirm, item],
   );
 
+  // Balance history: sparkline and a table of dated amounts with their sources
+  const historySection = useMemo(() => {
+    if (!item?.balanceHistory?.length) return null;
+    const history = balanceHistory(item);
+    const trend = balanceTrend(item);
+    const label = item.description || item.type || 'item';
+
+    return e(
+      'div',
+      {
+        className: 'space-y-2',
+        onClick: (event) => event.stopPropagation(),
+      },
+      e(
+        'div',
+        { className: 'flex justify-between items-center' },
+        trend
+          ? e(
+              'svg',
+              {
+                role: 'img',
+                'aria-label': `Balance trend: ${formatCurrency(
+                  trend.first.amount,
+                )} to ${formatCurrency(trend.last.amount)}`,
+                width: 100,
+                height: 24,
+                viewBox: '0 0 100 24',
+                className: trend.change < 0 ? 'text-red-400' : 'text-green-400',
+              },
+              e('polyline', {
+                points: sparklinePoints(history),
+                fill: 'none',
+                stroke: 'currentColor',
+                strokeWidth: 1.5,
+              }),
+            )
+          : e('div'),
+        e(
+          'button',
+          {
+            type: 'button',
+            onClick: () => setShowHistory((open) => !open),
+            'aria-expanded': showHistory,
+            'aria-label': `Balance history of ${label}`,
+            className: 'text-xs text-blue-400 hover:text-blue-300',
+          },
+          `History (${history.length})`,
+        ),
+      ),
+      showHistory &&
+        e(
+          'table',
+          {
+            'aria-label': `Balance history of ${label}`,
+            className: 'w-full text-xs text-gray-300',
+          },
+          e(
+            'thead',
+            null,
+            e(
+              'tr',
+              { className: 'text-left text-gray-400' },
+              e('th', { className: 'pr-2' }, 'Date'),
+              e('th', { className: 'pr-2 text-right' }, 'Amount'),
+              e('th', { className: 'pr-2' }, 'Source'),
+              e('th', null, 'Recorded by'),
+            ),
+          ),
+          e(
+            'tbody',
+            null,
+            history.map((entry, index) =>
+              e(
+                'tr',
+                { key: entry.id || index },
+                e('td', { className: 'pr-2' }, dateUtils.format(entry.date)),
+                e(
+                  'td',
+                  { className: 'pr-2 text-right' },
+                  formatCurrency(entry.amount),
+                ),
+                e('td', { className: 'pr-2' }, entry.source || '—'),
+                e('td', null, entry.recordedBy || '—'),
+              ),
+            ),
+          ),
+        ),
+    );
+  }, [item, showHistory, e]);
+
   // Card content for preview display
   const cardContent = useMemo(() => {
     if (!item) return null;
@@ -165,15 +262,31 @@ function FinancialItemCard({
               formatAccountNumber(item.accountNumber),
             )
           : e('div'), // Empty div to maintain flex layout
-        // Badge - right side
-        Badge &&
-          e(Badge, {
-            status: getVerificationStatus.text,
-            variant: 'verification',
-            size: 'sm',
-          }),
+        // Badges - right side (re-verification flag set by a renewal)
+        e(
+          'div',
+          { className: 'flex items-center gap-1' },
+          item.needsReverification &&
+            e(
+              'span',
+              {
+                className:
+                  'px-2 py-0.5 rounded-full text-xs bg-yellow-700 text-yellow-100',
+                title: 'Re-verify for renewal',
+              },
+              'Re-verify',
+            ),
+          Badge &&
+            e(Badge, {
+              status: getVerificationStatus.text,
+              variant: 'verification',
+              size: 'sm',
+            }),
+        ),
       ),
 
+      historySection,
+
       // Action buttons (only shown when confirming delete)
       showActions &&
         confirmingDelete &&
@@ -205,6 +318,7 @@ function FinancialItemCard({
     item,
     getDisplayAmount,
     getVerificationStatus,
+    historySection,
     showActions,
     confirmingDelete,
     handleDeleteConfirm,
@@ -394,6 +508,14 @@ FinancialItemCard.propTypes = {
     frequency: PropTypes.string,
     accountNumber: PropTypes.string,
     verificationStatus: PropTypes.string,
+    needsReverification: PropTypes.bool,
+    balanceHistory: PropTypes.arrayOf(
+      PropTypes.shape({
+        date: PropTypes.string,
+        amount: PropTypes.number,
+        source: PropTypes.string,
+      }),
+    ),
     verificationSource: PropTypes.string,
     location: PropTypes.string,
   }),
@@ -10,6 +10,8 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { registerComponent, getComponent } from '../../services/registry';
 import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import { trackBalanceChange } from '../../services/nightingale.balancehistory.js';
 
 function FinancialItemModal({
   isOpen,
@@ -118,18 +120,22 @@ function FinancialItemModal({
   const handleSave = () => {
     if (!validateForm()) return;
 
-    const itemData = {
-      ...formData,
-      id: formData.id || Date.now(),
-      amount: parseFloat(formData.amount) || 0,
-      // Store both description and type for backward compatibility
-      description: formData.description,
-      type: formData.description, // Ensure CMSOld compatibility
-      // Store both amount and value for backward compatibility
-      value: parseFloat(formData.amount) || 0, // Ensure CMSOld compatibility
-      // Store both verificationSource and source for backward compatibility
-      source: formData.verificationSource, // Ensure CMSOld compatibility
-    };
+    const itemData = trackBalanceChange(
+      editingItem,
+      {
+        ...formData,
+        id: formData.id || Date.now(),
+        amount: parseFloat(formData.amount) || 0,
+        // Store both description and type for backward compatibility
+        description: formData.description,
+        type: formData.description, // Ensure CMSOld compatibility
+        // Store both amount and value for backward compatibility
+        value: parseFloat(formData.amount) || 0, // Ensure CMSOld compatibility
+        // Store both verificationSource and source for backward compatibility
+        source: formData.verificationSource, // Ensure CMSOld compatibility
+      },
+      { actor: getWorkerName() },
+    );
 
     // Update the case data
     const updatedFinancials = { ...caseData.financials };
@@ -12,6 +12,21 @@
 import React, { useState } from 'react';
 import { registerComponent, getComponent } from '../../services/registry';
 import { safeMergeFullData } from '../../services/safeDataMerge.js';
+import { getWorkerName } from '../../services/settings.js';
+import {
+  activeRecords,
+  markDeleted,
+} from '../../services/nightingale.recyclebin.js';
+import { removeFinancialItem as removeFinancialItemAction } from '../../services/nightingale.store.js';
+import { mergeAvsResources } from '../../services/nightingale.balancehistory.js';
+import {
+  financialTotals,
+  itemOwner,
+  monthlyTotal,
+  oneTimeTotal,
+  resourceTotal,
+} from '../../services/nightingale.financials.js';
+import { useStoreDispatch } from '../../hooks/useDataStore.js';
 function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
   const e = React.createElement;
 
@@ -26,6 +41,8 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
   const [editingItem, setEditingItem] = useState(null);
   const [confirmingDelete, setConfirmingDelete] = useState(null); // Store item ID being confirmed
   const [isAvsImportOpen, setIsAvsImportOpen] = useState(false); // AVS import modal state
+  // Data store of the app (null in standalone renders, which use onUpdateData)
+  const dispatch = useStoreDispatch();
   const isSimpCase = caseData.appDetails?.caseType === 'SIMP';
 
   // Ensure financials structure exists
@@ -37,6 +54,34 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
     };
   }
 
+  // Items in the Recycle Bin are hidden
+  const visibleFinancials = {
+    resources: activeRecords(caseData.financials.resources),
+    income: activeRecords(caseData.financials.income),
+    expenses: activeRecords(caseData.financials.expenses),
+  };
+
+  // Totals per owner for the SIMP accordion headers
+  const ownerTotals = financialTotals({
+    financials: visibleFinancials,
+  }).byOwner;
+
+  const formatCurrency = (amount) =>
+    new Intl.NumberFormat('en-US', {
+      style: 'currency',
+      currency: 'USD',
+    }).format(amount);
+
+  // Resources add up balances; income and expenses are monthly equivalents
+  const describeTotal = (type, items) => {
+    if (type === 'resources')
+      return `Total ${formatCurrency(resourceTotal(items))}`;
+    const oneTime = oneTimeTotal(items);
+    return `${formatCurrency(monthlyTotal(items))}/mo${
+      oneTime ? ` + ${formatCurrency(oneTime)} one-time` : ''
+    }`;
+  };
+
   const toggleSection = (section) => {
     setExpandedSections((prev) => ({
       ...prev,
@@ -50,12 +95,25 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
     setIsFinancialModalOpen(true);
   };
 
+  // Moves the item to the Recycle Bin; it is restored or purged from Settings
   const removeFinancialItem = (type, itemId) => {
+    if (dispatch) {
+      dispatch(
+        removeFinancialItemAction(caseData.id, type, itemId, {
+          actor: getWorkerName(),
+        }),
+      );
+      return;
+    }
     const updatedCase = {
       ...caseData,
       financials: {
         ...caseData.financials,
-        [type]: caseData.financials[type].filter((item) => item.id !== itemId),
+        [type]: caseData.financials[type].map((item) =>
+          item.id === itemId
+            ? markDeleted(item, { actor: getWorkerName() })
+            : item,
+        ),
       },
     };
 
@@ -90,24 +148,25 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
     setIsFinancialModalOpen(true);
   };
 
-  // AVS Import Handler
+  // AVS Import Handler: matched accounts get a new balance entry, others are added
   const handleAvsImport = (importedItems) => {
-    // AVS data import processed
-
-    // Transform imported items using helper function
-    const transformedItems = window.NightingaleUtils.transformFinancialItems
-      ? window.NightingaleUtils.transformFinancialItems(importedItems)
-      : importedItems;
+    const { resources, added, updated } = mergeAvsResources(
+      caseData.financials.resources,
+      importedItems,
+      {
+        actor: getWorkerName(),
+        transform: window.NightingaleUtils.transformFinancialItems
+          ? window.NightingaleUtils.transformFinancialItems
+          : (items) => items,
+      },
+    );
+    const count = added + updated;
 
-    // Add to case financial resources
     const updatedCase = {
       ...caseData,
       financials: {
         ...caseData.financials,
-        resources: [
-          ...(caseData.financials.resources || []),
-          ...transformedItems,
-        ],
+        resources,
       },
     };
 
@@ -118,12 +177,16 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
         caseData.id,
         updatedCase,
       );
-    onUpdateData(safeMergeFullData(fullData, { cases: updatedCases }));
+    onUpdateData(
+      safeMergeFullData(fullData, { cases: updatedCases }),
+      `Imported ${count} AVS item${count !== 1 ? 's' : ''}`,
+      'avs-import',
+    );
 
     // Show success notification
     if (window.NightingaleToast && window.NightingaleToast.showSuccessToast) {
       window.NightingaleToast.showSuccessToast(
-        `Successfully imported ${transformedItems.length} financial item${transformedItems.length !== 1 ? 's' : ''} from AVS`,
+        `Successfully imported ${count} financial item${count !== 1 ? 's' : ''} from AVS`,
       );
     }
 
@@ -143,7 +206,19 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
       e(
         'div',
         { className: 'flex justify-between items-center mb-3' },
-        e('h4', { className: 'text-md font-bold text-blue-400' }, title),
+        e(
+          'div',
+          {},
+          e('h4', { className: 'text-md font-bold text-blue-400' }, title),
+          e(
+            'p',
+            {
+              className: 'text-xs text-gray-400',
+              'aria-label': `${title} total`,
+            },
+            describeTotal(type, items),
+          ),
+        ),
         e(
           'div',
           { className: 'flex items-center space-x-2' },
@@ -220,12 +295,13 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
     const sectionKey = `${owner}_accordion`;
     const isExpanded = expandedSections[sectionKey];
 
+    // Same owner rule as the header totals: items without an owner are the applicant's
+    const owned = (items) =>
+      items?.filter((item) => itemOwner(item) === owner) || [];
     const ownerFinancials = {
-      resources:
-        financials.resources?.filter((item) => item.owner === owner) || [],
-      income: financials.income?.filter((item) => item.owner === owner) || [],
-      expenses:
-        financials.expenses?.filter((item) => item.owner === owner) || [],
+      resources: owned(financials.resources),
+      income: owned(financials.income),
+      expenses: owned(financials.expenses),
     };
 
     const totalItems =
@@ -248,6 +324,16 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
           {},
           e('h4', { className: 'text-lg font-semibold text-blue-400' }, title),
           e('p', { className: 'text-sm text-gray-400' }, `${totalItems} items`),
+          e(
+            'p',
+            {
+              className: 'text-xs text-gray-400',
+              'aria-label': `${title} totals`,
+            },
+            `Resources ${formatCurrency(ownerTotals[owner].resources)} · Income ${formatCurrency(
+              ownerTotals[owner].income,
+            )}/mo · Expenses ${formatCurrency(ownerTotals[owner].expenses)}/mo`,
+          ),
         ),
         e(
           'svg',
@@ -303,17 +389,17 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
             renderSimpAccordionSection(
               'Applicant Financials',
               'applicant',
-              caseData.financials,
+              visibleFinancials,
             ),
             renderSimpAccordionSection(
               'Joint Financials',
               'joint',
-              caseData.financials,
+              visibleFinancials,
             ),
             renderSimpAccordionSection(
               'Spouse Financials',
               'spouse',
-              caseData.financials,
+              visibleFinancials,
             ),
           )
         : // Regular Case - Grid Layout
@@ -322,17 +408,13 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
             { className: 'grid grid-cols-1 md:grid-cols-3 gap-6' },
             renderFinancialTable(
               'resources',
-              caseData.financials.resources || [],
+              visibleFinancials.resources,
               'Resources',
             ),
-            renderFinancialTable(
-              'income',
-              caseData.financials.income || [],
-              'Income',
-            ),
+            renderFinancialTable('income', visibleFinancials.income, 'Income'),
             renderFinancialTable(
               'expenses',
-              caseData.financials.expenses || [],
+              visibleFinancials.expenses,
               'Expenses',
             ),
           ),
@@ -362,7 +444,7 @@ function FinancialManagementSection({ caseData, fullData, onUpdateData }) {
         onImport: handleAvsImport,
         masterCaseId: caseData.mcn || caseData.id,
         ownerFilter: 'applicant',
-        existingResources: caseData.financials?.resources || [],
+        existingResources: visibleFinancials.resources,
       }),
   );
 }
@@ -0,0 +1,123 @@
+/**
+ * FrequencyFactorsPanel.jsx - Monthly conversion settings
+ *
+ * Business component embedded in SettingsModal. Edits the factors that turn weekly,
+ * daily and yearly income and expense amounts into monthly equivalents for the
+ * financial totals.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  getFrequencyFactors,
+  setFrequencyFactors,
+} from '../../services/settings.js';
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+
+// Monthly is always × 1 and one-time items are not recurring
+const EDITABLE = [
+  { frequency: 'weekly', label: 'Weekly' },
+  { frequency: 'daily', label: 'Daily' },
+  { frequency: 'yearly', label: 'Yearly' },
+];
+
+/**
+ * FrequencyFactorsPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSaved] - Called with the saved factors
+ * @returns {React.Element} FrequencyFactorsPanel component
+ */
+function FrequencyFactorsPanel({ onSaved }) {
+  const [factors, setFactors] = useState(() => getFrequencyFactors());
+  const [errors, setErrors] = useState([]);
+
+  const handleSave = () => {
+    const problems = EDITABLE.filter(({ frequency }) => {
+      const value = Number(factors[frequency]);
+      return factors[frequency] === '' || !Number.isFinite(value) || value <= 0;
+    }).map(({ label }) => `${label}: factor must be a positive number`);
+    setErrors(problems);
+    if (problems.length > 0) return;
+    const saved = setFrequencyFactors(
+      Object.fromEntries(
+        EDITABLE.map(({ frequency }) => [
+          frequency,
+          Number(factors[frequency]),
+        ]),
+      ),
+    ).frequencyFactors;
+    Toast.showToast?.('Monthly conversion saved', 'success');
+    onSaved?.(saved);
+  };
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <h3 className="text-lg font-semibold text-white">Monthly Conversion</h3>
+      <p className="text-sm text-gray-400">
+        Income and expense totals are monthly: each amount is multiplied by the
+        factor of its frequency. One-time items are totalled separately.
+      </p>
+      <table
+        aria-label="Monthly factors"
+        className="text-sm text-gray-300"
+      >
+        <tbody>
+          {EDITABLE.map(({ frequency, label }) => (
+            <tr key={frequency}>
+              <td className="pr-3 py-1 text-white">{label}</td>
+              <td className="py-1">
+                <span className="mr-1">×</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={factors[frequency]}
+                  onChange={(e) =>
+                    setFactors((prev) => ({
+                      ...prev,
+                      [frequency]: e.target.value,
+                    }))
+                  }
+                  aria-label={`${label} factor`}
+                  className={`${inputClass} w-28`}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {errors.length > 0 && (
+        <ul
+          role="alert"
+          className="text-sm text-red-400 list-disc list-inside"
+        >
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      <button
+        onClick={handleSave}
+        className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+      >
+        Save Factors
+      </button>
+    </section>
+  );
+}
+
+FrequencyFactorsPanel.propTypes = {
+  onSaved: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'FrequencyFactorsPanel', FrequencyFactorsPanel);
+
+export default FrequencyFactorsPanel;
@@ -0,0 +1,114 @@
+/**
+ * MyTasksPanel.jsx - Dashboard task list of the current worker
+ *
+ * Business component embedded in DashboardTab. Shows the open tasks assigned to the
+ * worker named in Settings → Worker Identity, or to nobody (all tasks when no name
+ * is set), grouped as overdue, due today and upcoming. Tasks are completed here and
+ * new ones added with a case picker.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import { getWorkerName } from '../../services/settings.js';
+import { activeRecords } from '../../services/nightingale.recyclebin.js';
+import {
+  groupTasksByDue,
+  tasksForWorker,
+} from '../../services/nightingale.tasks.js';
+import TaskList, { taskActions } from './TaskList.jsx';
+import TaskFormModal from './TaskFormModal.jsx';
+
+const GROUPS = [
+  { key: 'overdue', title: 'Overdue', className: 'text-red-400' },
+  { key: 'today', title: 'Today', className: 'text-yellow-300' },
+  { key: 'upcoming', title: 'Upcoming', className: 'text-gray-300' },
+];
+
+/**
+ * MyTasksPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.fullData - In-memory dataset
+ * @param {Function} [props.onUpdateData] - Called with (data, label) after a change
+ * @param {Array} [props.tasks] - Tasks to group (defaults to fullData.tasks)
+ * @param {string} [props.today] - YYYY-MM-DD (defaults to today)
+ * @returns {React.Element} MyTasksPanel component
+ */
+function MyTasksPanel({ fullData, onUpdateData, tasks, today }) {
+  const [isFormOpen, setIsFormOpen] = useState(false);
+  const worker = getWorkerName();
+  const groups = groupTasksByDue(
+    tasksForWorker(tasks ?? activeRecords(fullData?.tasks), worker),
+    today ? { today } : {},
+  );
+  const cases = activeRecords(fullData?.cases);
+  const actions = taskActions(fullData, onUpdateData);
+  const total = GROUPS.reduce((sum, g) => sum + groups[g.key].length, 0);
+
+  return (
+    <section
+      aria-label="My Tasks"
+      className="bg-gray-800 rounded-lg p-6 border border-gray-700 space-y-4"
+    >
+      <div className="flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-semibold text-white">My Tasks</h3>
+          <p className="text-xs text-gray-400">
+            {worker
+              ? `Assigned to ${worker} or unassigned`
+              : 'All open tasks (set your name in Settings → Worker Identity)'}
+          </p>
+        </div>
+        {onUpdateData && (
+          <button
+            onClick={() => setIsFormOpen(true)}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            Add Task
+          </button>
+        )}
+      </div>
+      {total === 0 ? (
+        <p className="text-sm text-gray-400">No open tasks.</p>
+      ) : (
+        GROUPS.filter((g) => groups[g.key].length > 0).map((g) => (
+          <div key={g.key}>
+            <h4 className={`text-sm font-medium ${g.className}`}>
+              {g.title} ({groups[g.key].length})
+            </h4>
+            <TaskList
+              tasks={groups[g.key]}
+              cases={cases}
+              today={today}
+              onComplete={actions.complete}
+              label={`${g.title} tasks`}
+            />
+          </div>
+        ))
+      )}
+      <TaskFormModal
+        isOpen={isFormOpen}
+        cases={cases}
+        onClose={() => setIsFormOpen(false)}
+        onSave={(fields) => {
+          if (actions.add(fields)) setIsFormOpen(false);
+        }}
+      />
+    </section>
+  );
+}
+
+MyTasksPanel.propTypes = {
+  fullData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+  tasks: PropTypes.array,
+  today: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'MyTasksPanel', MyTasksPanel);
+
+export default MyTasksPanel;
@@ -15,19 +15,36 @@ import React, {
   useRef,
   useMemo,
   useCallback,
+  useSyncExternalStore,
 } from 'react';
 import DashboardTab from './DashboardTab.jsx';
 import CasesTab from './CasesTab.jsx';
 import PeopleTab from './PeopleTab.jsx';
 import OrganizationsTab from './OrganizationsTab.jsx';
 import EligibilityTab from './EligibilityTab.jsx';
+import RenewalsTab from './RenewalsTab.jsx';
 import { ThemeProvider, createTheme } from '@mui/material/styles';
 import CssBaseline from '@mui/material/CssBaseline';
 import { registerComponent, getComponent } from '../../services/registry';
 import Toast from '../../services/nightingale.toast.js';
 import { getFileService } from '../../services/fileServiceProvider.js';
+import UndoHistory from '../../services/nightingale.history.js';
+import { recordChanges } from '../../services/nightingale.audit.js';
+import { applyTaskRules } from '../../services/nightingale.tasks.js';
+import {
+  getRecycleBinRetentionDays,
+  getWorkerName,
+} from '../../services/settings.js';
+import { purgeExpired } from '../../services/nightingale.recyclebin.js';
+import { applyRenewalCycle } from '../../services/nightingale.renewals.js';
+import { createDataStore } from '../../services/nightingale.store.js';
+import { DataStoreProvider } from '../../hooks/useDataStore.js';
 // Keep Header / Sidebar / SettingsModal via global for now (can be migrated later)
 
+// How often scheduled data maintenance (Recycle Bin retention, renewal cycle)
+// runs while the app is open
+const MAINTENANCE_INTERVAL_MS = 60 * 60 * 1000;
+
 /**
  * NightingaleCMSApp Component
  * Main application component with global state management
@@ -36,13 +53,24 @@ import { getFileService } from '../../services/fileServiceProvider.js';
  */
 function NightingaleCMSApp() {
   // Main application state - hooks must be called unconditionally
-  const [fullData, setFullData] = useState(null);
+  // Central data store (see nightingale.store.js); `fullData` follows it
+  const storeRef = useRef(null);
+  if (!storeRef.current) storeRef.current = createDataStore();
+  const dataStore = storeRef.current;
+  const fullData = useSyncExternalStore(dataStore.subscribe, dataStore.getData);
   const [activeTab, setActiveTab] = useState('dashboard');
   const [fileStatus, setFileStatus] = useState('disconnected');
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [caseViewMode, setCaseViewMode] = useState('list'); // Track if we're in case details view
   const [caseBackFunction, setCaseBackFunction] = useState(null); // Function to go back from case details
   const [isBugModalOpen, setIsBugModalOpen] = useState(false);
+  const [isConflictOpen, setIsConflictOpen] = useState(false);
+  const [journalRecovery, setJournalRecovery] = useState(null);
+  const [isLocked, setIsLocked] = useState(false);
+  // False while the data file is loading, until the journal has been checked
+  const [isLoadSettled, setIsLoadSettled] = useState(false);
+  // Edits buffered while the data folder cannot be written ({ count, since } or null)
+  const [pendingChanges, setPendingChanges] = useState(null);
   // TODO: Implement people and organizations navigation in sidebar
   // const [peopleViewMode, setPeopleViewMode] = useState('list'); // Track if we're in person details view
   // const [peopleBackFunction, setPeopleBackFunction] = useState(null); // Function to go back from person details
@@ -59,27 +87,32 @@ function NightingaleCMSApp() {
     try {
       if (typeof fileService.initializeWithReactState === 'function') {
         fileService.initializeWithReactState(
-          () => fullDataRef.current,
+          () => dataStore.getData(),
           (status) => {
             setAutosaveStatus(status);
             if (status?.status === 'waiting') {
               setFileStatus('reconnect');
             }
+            if (status?.status === 'conflict') {
+              setIsConflictOpen(true);
+            }
+            if (status?.status === 'locked') {
+              setIsLocked(true);
+            }
           },
         );
       } else if (typeof fileService.setDataProvider === 'function') {
         // Fallback: at least ensure provider is set
-        fileService.setDataProvider(() => fullDataRef.current);
+        fileService.setDataProvider(() => dataStore.getData());
       }
     } catch (_) {
       // no-op; UI will show disconnected
     }
+    // Edits on the store's change feed schedule autosave (journal, other tabs)
+    return fileService.connectStore?.(dataStore);
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [fileService]);
 
-  // Use ref for live data access to avoid stale closure issues
-  const fullDataRef = useRef(null);
-
   // Opt-in navigation logging via localStorage flag
   const navLogsEnabled = useMemo(() => {
     try {
@@ -90,24 +123,179 @@ function NightingaleCMSApp() {
     }
   }, []);
 
-  // Data update handler - must be defined before useMemo that uses it
-  const handleDataUpdate = useCallback(
-    (newData) => {
-      setFullData(newData);
-      // Notify autosave service debounced save may proceed
-      try {
-        fileService?.notifyDataChange?.();
-      } catch (_) {
-        /* ignore */
+  // Undo/redo history of fullData states (listed in the Header dropdown)
+  const historyRef = useRef(null);
+  if (!historyRef.current) historyRef.current = new UndoHistory();
+
+  // Every edit is audited (see nightingale.audit.js) and recorded in the undo history.
+  // Undo/redo steps are audited too; the history adopts the audited state.
+  // Tasks for new records (nightingale.tasks.js) are added first, so they are audited
+  // and undone with the edit that caused them. Loading data never adds them.
+  useEffect(() => {
+    const removeTaskRules = dataStore.use((previous, next, meta) =>
+      meta.source === 'undo'
+        ? next
+        : applyTaskRules(previous, next, { actor: getWorkerName() }),
+    );
+    const removeAudit = dataStore.use((previous, next, meta) =>
+      recordChanges(previous, next, {
+        actor: getWorkerName(),
+        source: meta.source,
+        entries: meta.auditEntries,
+      }),
+    );
+    const unsubscribe = dataStore.subscribeChanges((change) => {
+      if (change.source === 'undo') {
+        historyRef.current.adopt(change.action.payload.data, change.data);
+      } else {
+        historyRef.current.record(change.previous, change.data, change.label);
       }
+    });
+    return () => {
+      removeTaskRules();
+      removeAudit();
+      unsubscribe();
+    };
+  }, [dataStore]);
+
+  // Data update handler for components that build the whole dataset themselves.
+  // `label` names the change in the undo history (derived from the data when omitted);
+  // `source` is the action recorded in the audit trail (see nightingale.audit.js);
+  // `auditEntries` are audit changes the diff cannot see (a person merge).
+  const handleDataUpdate = useCallback(
+    (newData, label, source = 'manual', auditEntries) => {
+      dataStore.replaceData(newData, { label, source, auditEntries });
     },
-    [fileService],
+    [dataStore],
+  );
+
+  // Scheduled maintenance: Recycle Bin entries older than the retention period are
+  // purged, then approved cases are certified and renewals whose lead time has come
+  // are started (see Settings). Each is a change of its own, audited as 'retention'
+  // or 'renewal' and undone on its own. Only the tab that saves runs it, once loading
+  // has settled and no journal recovery is waiting, then every MAINTENANCE_INTERVAL_MS.
+  const runMaintenance = useCallback(() => {
+    if (fileService?.isWriter && !fileService.isWriter()) return;
+    const data = dataStore.getData();
+    if (!data || Object.keys(data).length === 0) return;
+    const { data: purgedData, purged } = purgeExpired(
+      data,
+      getRecycleBinRetentionDays(),
+    );
+    if (purged.length > 0) {
+      dataStore.replaceData(purgedData, {
+        label: `Purge ${purged.length} expired Recycle Bin ${
+          purged.length === 1 ? 'entry' : 'entries'
+        }`,
+        source: 'retention',
+      });
+    }
+    const {
+      data: renewedData,
+      certified,
+      started,
+    } = applyRenewalCycle(dataStore.getData(), { actor: getWorkerName() });
+    if (certified.length > 0 || started.length > 0) {
+      dataStore.replaceData(renewedData, {
+        label: [
+          certified.length > 0 && `Certify ${certified.length} case(s)`,
+          started.length > 0 && `Start ${started.length} renewal(s)`,
+        ]
+          .filter(Boolean)
+          .join(', '),
+        source: 'renewal',
+      });
+    }
+  }, [dataStore, fileService]);
+
+  const hasData = !!fullData && Object.keys(fullData).length > 0;
+  useEffect(() => {
+    if (!isLoadSettled || journalRecovery || isLocked || !hasData) {
+      return undefined;
+    }
+    runMaintenance();
+    const timer = setInterval(runMaintenance, MAINTENANCE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [isLoadSettled, journalRecovery, isLocked, hasData, runMaintenance]);
+
+  // Apply an undo/redo step through the normal change path so autosave persists it.
+  // The audit log continues from the current state, so undone changes stay on record.
+  const applyHistoryStep = useCallback(
+    (step, message) => {
+      if (!step) return;
+      dataStore.replaceData(step.data, { source: 'undo' });
+      Toast.showToast?.(message, 'info');
+    },
+    [dataStore],
+  );
+
+  const handleUndo = useCallback(() => {
+    const step = historyRef.current.undo(dataStore.getData());
+    applyHistoryStep(step, step && `Undid: ${step.entry.label}`);
+  }, [applyHistoryStep, dataStore]);
+
+  const handleRedo = useCallback(() => {
+    const step = historyRef.current.redo(dataStore.getData());
+    applyHistoryStep(step, step && `Redid: ${step.entry.label}`);
+  }, [applyHistoryStep, dataStore]);
+
+  const handleUndoTo = useCallback(
+    (id) => {
+      const step = historyRef.current.undoTo(dataStore.getData(), id);
+      applyHistoryStep(
+        step,
+        step &&
+          `Undid ${step.entries.length} change${step.entries.length === 1 ? '' : 's'}`,
+      );
+    },
+    [applyHistoryStep, dataStore],
   );
 
-  // Keep ref synchronized with state
+  // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); text fields keep their own undo
   useEffect(() => {
-    fullDataRef.current = fullData;
-  }, [fullData]);
+    const onKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (String(e.key).toLowerCase() !== 'z') return;
+      const target = e.target;
+      if (
+        target?.isContentEditable ||
+        ['INPUT', 'TEXTAREA', 'SELECT'].includes(target?.tagName)
+      ) {
+        return;
+      }
+      e.preventDefault();
+      if (e.shiftKey) handleRedo();
+      else handleUndo();
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [handleUndo, handleRedo]);
+
+  // Apply edits and saves coming from other open tabs (Reports, Correspondence, another CMS tab)
+  useEffect(() => {
+    if (typeof fileService?.subscribeTabEvents !== 'function') return;
+    const unsubscribe = fileService.subscribeTabEvents((event) => {
+      if (!event?.data || Object.keys(event.data).length === 0) return;
+      // Load without a change-feed entry: autosave would echo the change back to the sender
+      dataStore.load(event.data);
+    });
+    return unsubscribe;
+  }, [fileService, dataStore]);
+
+  // Offline buffer: show the unsaved-changes banner; adopt the buffered dataset on flush
+  useEffect(() => {
+    if (typeof fileService?.subscribePendingChanges !== 'function') return;
+    setPendingChanges(fileService.getPendingChanges?.() || null);
+    const unsubscribe = fileService.subscribePendingChanges((event) => {
+      if (event?.type === 'change') {
+        setPendingChanges(event.pending);
+      } else if (event?.type === 'restore' && event.data) {
+        // Load without a change-feed entry: the flush that emitted this saves it
+        dataStore.load(event.data);
+      }
+    });
+    return unsubscribe;
+  }, [fileService, dataStore]);
 
   // Instrumentation: log orphan case.personId and persons missing name (dev only)
   useEffect(() => {
@@ -207,8 +395,12 @@ function NightingaleCMSApp() {
   // When fileService changes, reflect connection status and auto-load data
   useEffect(() => {
     let cancelled = false;
+    if (!fileService?.checkPermission) {
+      setIsLoadSettled(true);
+      return undefined;
+    }
+    setIsLoadSettled(false);
     (async () => {
-      if (!fileService?.checkPermission) return;
       try {
         const perm = await fileService.checkPermission();
         if (cancelled) return;
@@ -218,8 +410,19 @@ function NightingaleCMSApp() {
             const data = await fileService.readFile();
             if (cancelled) return;
             if (data && Object.keys(data).length > 0) {
-              setFullData(data);
+              dataStore.load(data);
+            }
+            // Encrypted data file: the unlock screen loads it and checks the journal
+            if (fileService.getEncryptionStatus?.().locked) {
+              setIsLocked(true);
+              return;
             }
+            // Save edits buffered while the folder was not writable
+            await fileService.flushPendingChanges?.();
+            if (cancelled) return;
+            // Offer edits journaled after the last save (e.g. before a crash)
+            const recovery = await fileService.checkJournalRecovery?.();
+            if (!cancelled && recovery) setJournalRecovery(recovery);
           }
         } else {
           setFileStatus('reconnect');
@@ -227,11 +430,12 @@ function NightingaleCMSApp() {
       } catch (_) {
         setFileStatus('disconnected');
       }
+      if (!cancelled) setIsLoadSettled(true);
     })();
     return () => {
       cancelled = true;
     };
-  }, [fileService]);
+  }, [fileService, dataStore]);
 
   // Memoize non-tab components (tabs imported directly above)
   const components = useMemo(
@@ -240,6 +444,18 @@ function NightingaleCMSApp() {
       Header: getComponent('ui', 'Header'),
       SettingsModal: getComponent('business', 'SettingsModal'),
       BugReportModal: getComponent('business', 'BugReportModal'),
+      ConflictResolutionModal: getComponent(
+        'business',
+        'ConflictResolutionModal',
+        true,
+      ),
+      ConfirmationModal: getComponent('ui', 'ConfirmationModal', true),
+      UnlockScreen: getComponent('business', 'UnlockScreen', true),
+      PendingChangesBanner: getComponent(
+        'business',
+        'PendingChangesBanner',
+        true,
+      ),
     }),
     [],
   );
@@ -272,6 +488,7 @@ function NightingaleCMSApp() {
         // onBackToList: setOrganizationsBackFunction,
       },
       eligibility: { fullData },
+      renewals: { fullData, onUpdateData: handleDataUpdate },
     }),
     [
       fullData,
@@ -296,6 +513,67 @@ function NightingaleCMSApp() {
   // Toast function - module based
   const showToast = (msg, type) => Toast.showToast?.(msg, type);
 
+  const handleReplayJournal = useCallback(async () => {
+    setJournalRecovery(null);
+    try {
+      const data = await fileService.replayJournal();
+      // Goes through the normal update path so autosave persists it
+      handleDataUpdate(data);
+      showToast('Recovered unsaved changes', 'success');
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:journal');
+      logger?.error('Journal replay failed', { error: error.message });
+      showToast('Failed to recover unsaved changes', 'error');
+    }
+  }, [fileService, handleDataUpdate]);
+
+  // Request folder permission again (user gesture); true when granted
+  const handleReconnect = useCallback(async () => {
+    if (!fileService?.ensurePermission) return false;
+    // Buffered edits are flushed (and shown) by the service once permission is back
+    const hadPending = !!fileService.getPendingChanges?.();
+    const granted = await fileService.ensurePermission();
+    if (!granted) return false;
+    setFileStatus('connected');
+    if (!hadPending) {
+      // Attempt to read data after reconnect
+      try {
+        const data = await fileService.readFile?.();
+        if (data && Object.keys(data).length > 0) {
+          dataStore.load(data);
+        }
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    return true;
+  }, [fileService, dataStore]);
+
+  const handleUnlock = useCallback(
+    async (passphrase) => {
+      const data = await fileService.unlock(passphrase);
+      if (fileService.getEncryptionStatus?.().locked) return false;
+      setIsLocked(false);
+      if (data && Object.keys(data).length > 0) {
+        dataStore.load(data);
+      }
+      const recovery = await fileService.checkJournalRecovery?.();
+      if (recovery) setJournalRecovery(recovery);
+      setIsLoadSettled(true);
+      return true;
+    },
+    [fileService, dataStore],
+  );
+
+  const handleDiscardJournal = useCallback(async () => {
+    setJournalRecovery(null);
+    try {
+      await fileService?.discardJournal?.();
+    } catch (_) {
+      /* journal is compacted again after the next save */
+    }
+  }, [fileService]);
+
   const handleSubmitBug = useCallback(
     async ({ content, activeTab: tab, createdAt, diagnostics }) => {
       try {
@@ -404,14 +682,14 @@ function NightingaleCMSApp() {
       } catch (_) {
         // Silent; fallback to given data
       }
-      setFullData(normalized);
+      dataStore.load(normalized);
       try {
         fileService?.notifyDataChange?.();
       } catch (_) {
         /* ignore */
       }
     },
-    [fileService],
+    [fileService, dataStore],
   );
 
   // Render active tab using lookup mapping (JSX friendly)
@@ -422,6 +700,7 @@ function NightingaleCMSApp() {
       people: PeopleTab,
       organizations: OrganizationsTab,
       eligibility: EligibilityTab,
+      renewals: RenewalsTab,
     };
     const TabComponent = tabComponents[activeTab];
     const props = tabProps[activeTab];
@@ -511,91 +790,127 @@ function NightingaleCMSApp() {
   );
 
   return React.createElement(
-    ThemeProvider,
-    { theme },
-    React.createElement(CssBaseline, null),
+    DataStoreProvider,
+    { store: dataStore },
     React.createElement(
-      'div',
-      { className: 'h-screen w-screen flex' },
-      components.Sidebar &&
-        React.createElement(components.Sidebar, {
-          activeTab,
-          onTabChange: handleTabChange,
-          onSettingsClick: () => setIsSettingsOpen(true),
-          onReportBugClick: () => setIsBugModalOpen(true),
-          caseViewMode,
-          onCaseBackToList: () => {
-            if (navLogsEnabled) {
-              try {
-                const logger = globalThis.NightingaleLogger?.get('nav:cases');
-                logger?.info('Back to cases list');
-              } catch (_) {
-                /* ignore */
-              }
-            }
-            if (caseBackFunction) caseBackFunction();
-          },
-        }),
+      ThemeProvider,
+      { theme },
+      React.createElement(CssBaseline, null),
       React.createElement(
         'div',
-        { className: 'flex-1 flex flex-col overflow-hidden min-h-0 min-w-0' },
-        components.Header &&
-          React.createElement(components.Header, {
-            fileStatus,
-            autosaveStatus,
-            onSettingsClick: async () => {
-              // If we are in reconnect state, try to request permission via user gesture first
-              if (fileStatus === 'reconnect' && fileService?.ensurePermission) {
-                const granted = await fileService.ensurePermission();
-                if (granted) {
-                  setFileStatus('connected');
-                  // Attempt to read data after reconnect
-                  try {
-                    const data = await fileService.readFile?.();
-                    if (data && Object.keys(data).length > 0) {
-                      setFullData(data);
-                    }
-                  } catch (_) {
-                    /* ignore */
-                  }
-                  return; // No need to open settings if permission granted
+        { className: 'h-screen w-screen flex' },
+        components.Sidebar &&
+          React.createElement(components.Sidebar, {
+            activeTab,
+            onTabChange: handleTabChange,
+            onSettingsClick: () => setIsSettingsOpen(true),
+            onReportBugClick: () => setIsBugModalOpen(true),
+            caseViewMode,
+            onCaseBackToList: () => {
+              if (navLogsEnabled) {
+                try {
+                  const logger = globalThis.NightingaleLogger?.get('nav:cases');
+                  logger?.info('Back to cases list');
+                } catch (_) {
+                  /* ignore */
                 }
               }
-              setIsSettingsOpen(true);
+              if (caseBackFunction) caseBackFunction();
             },
-            onManualSave: handleManualSave,
           }),
         React.createElement(
-          'main',
-          { className: 'flex-1 min-h-0 overflow-auto p-6 bg-gray-900' },
-          renderActiveTab(),
+          'div',
+          { className: 'flex-1 flex flex-col overflow-hidden min-h-0 min-w-0' },
+          components.Header &&
+            React.createElement(components.Header, {
+              fileStatus,
+              autosaveStatus,
+              onSettingsClick: async () => {
+                // If we are in reconnect state, try to request permission via user gesture first
+                if (fileStatus === 'reconnect' && (await handleReconnect())) {
+                  return; // No need to open settings if permission granted
+                }
+                setIsSettingsOpen(true);
+              },
+              onManualSave: handleManualSave,
+              history: fullData
+                ? historyRef.current.list(fullData)
+                : { undo: [], redo: [] },
+              onUndo: handleUndo,
+              onRedo: handleRedo,
+              onUndoTo: handleUndoTo,
+            }),
+          components.PendingChangesBanner &&
+            React.createElement(components.PendingChangesBanner, {
+              pending: pendingChanges,
+              onReconnect: handleReconnect,
+            }),
+          React.createElement(
+            'main',
+            { className: 'flex-1 min-h-0 overflow-auto p-6 bg-gray-900' },
+            renderActiveTab(),
+          ),
         ),
-      ),
-      components.SettingsModal &&
-        React.createElement(components.SettingsModal, {
-          isOpen: isSettingsOpen,
-          onClose: () => setIsSettingsOpen(false),
-          fileService,
-          onDataLoaded: handleDataLoaded,
-          fileStatus,
-          onFileStatusChange: setFileStatus,
-        }),
-      components.BugReportModal &&
-        React.createElement(components.BugReportModal, {
-          isOpen: isBugModalOpen,
-          onClose: () => setIsBugModalOpen(false),
-          onSubmit: handleSubmitBug,
-          activeTab,
-          includeDiagnostics: true,
-          diagnostics: {
-            appVersion: '1.0.0-rc.1',
-            git: undefined,
-            locale: globalThis?.navigator?.language || 'unknown',
-            storage: {
-              localStorage: !!globalThis.localStorage,
+        components.SettingsModal &&
+          React.createElement(components.SettingsModal, {
+            isOpen: isSettingsOpen,
+            onClose: () => setIsSettingsOpen(false),
+            fileService,
+            onDataLoaded: handleDataLoaded,
+            fileStatus,
+            onFileStatusChange: setFileStatus,
+            currentData: fullData,
+            onUpdateData: handleDataUpdate,
+          }),
+        components.ConflictResolutionModal &&
+          React.createElement(components.ConflictResolutionModal, {
+            isOpen: isConflictOpen,
+            onClose: () => setIsConflictOpen(false),
+            fileService,
+            onResolved: (data) => {
+              if (data) dataStore.load(data);
             },
-          },
-        }),
+          }),
+        components.ConfirmationModal &&
+          React.createElement(components.ConfirmationModal, {
+            isOpen: !!journalRecovery,
+            onConfirm: handleReplayJournal,
+            onCancel: handleDiscardJournal,
+            title: 'Recover Unsaved Changes',
+            message: journalRecovery
+              ? `Found ${journalRecovery.count} change${
+                  journalRecovery.count === 1 ? '' : 's'
+                } made after the data file was last saved (latest ${new Date(
+                  journalRecovery.lastChange,
+                ).toLocaleString()}). Replay them, or discard them?`
+              : '',
+            confirmText: 'Replay',
+            cancelText: 'Discard',
+            variant: 'info',
+          }),
+        components.UnlockScreen &&
+          React.createElement(components.UnlockScreen, {
+            isOpen: isLocked,
+            onUnlock: handleUnlock,
+            fileName: fileService?.fileName,
+          }),
+        components.BugReportModal &&
+          React.createElement(components.BugReportModal, {
+            isOpen: isBugModalOpen,
+            onClose: () => setIsBugModalOpen(false),
+            onSubmit: handleSubmitBug,
+            activeTab,
+            includeDiagnostics: true,
+            diagnostics: {
+              appVersion: '1.0.0-rc.1',
+              git: undefined,
+              locale: globalThis?.navigator?.language || 'unknown',
+              storage: {
+                localStorage: !!globalThis.localStorage,
+              },
+            },
+          }),
+      ),
     ),
   );
 }
@@ -11,6 +11,11 @@ import { registerComponent, getComponent } from '../../services/registry';
 import Toast from '../../services/nightingale.toast.js';
 import { dayjs } from '../../services/nightingale.dayjs.js';
 import { findPersonById } from '../../services/nightingale.datamanagement.js';
+import { getWorkerName } from '../../services/settings.js';
+import {
+  activeRecords,
+  markDeleted,
+} from '../../services/nightingale.recyclebin.js';
 
 function NotesModal({
   isOpen,
@@ -44,6 +49,9 @@ function NotesModal({
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [noteToDelete, setNoteToDelete] = useState(null);
 
+  // Deleted notes stay in notesList (and the case) until purged from the Recycle Bin
+  const visibleNotes = activeRecords(notesList);
+
   // Note categories for dropdown
   const noteCategories = useMemo(
     () => [
@@ -190,7 +198,11 @@ function NotesModal({
     if (!noteToDelete) return;
 
     try {
-      const updatedNotes = notesList.filter((note) => note.id !== noteToDelete);
+      const updatedNotes = notesList.map((note) =>
+        note.id === noteToDelete
+          ? markDeleted(note, { actor: getWorkerName() })
+          : note,
+      );
       setNotesList(updatedNotes);
 
       // Notify parent component
@@ -198,7 +210,7 @@ function NotesModal({
         onNotesUpdate(caseId, updatedNotes);
       }
 
-      showToast('Note deleted successfully', 'success');
+      showToast('Note moved to the Recycle Bin', 'success');
     } catch (error) {
       const logger = globalThis.NightingaleLogger?.get('notes:delete');
       logger?.error('Note deletion failed', { error: error.message });
@@ -274,7 +286,7 @@ function NotesModal({
   };
 
   const renderNotesList = () => {
-    if (notesList.length === 0) {
+    if (visibleNotes.length === 0) {
       return e(
         'div',
         { className: 'text-center py-8 text-gray-400' },
@@ -293,7 +305,7 @@ function NotesModal({
     return e(
       'div',
       { className: 'space-y-4 max-h-96 overflow-y-auto' },
-      notesList.map((note) =>
+      visibleNotes.map((note) =>
         e(
           'div',
           {
@@ -451,7 +463,7 @@ function NotesModal({
             e(
               'h3',
               { className: 'text-lg font-medium text-white mb-4' },
-              `Existing Notes (${notesList.length})`,
+              `Existing Notes (${visibleNotes.length})`,
             ),
             renderNotesList(),
           ),
@@ -489,7 +501,7 @@ function NotesModal({
         e(
           'p',
           { className: 'text-sm text-gray-400 mt-2' },
-          'This action cannot be undone.',
+          'It can be restored from the Recycle Bin in Settings.',
         ),
       ),
     ),
@@ -10,6 +10,13 @@ import PropTypes from 'prop-types';
 import { registerComponent } from '../../services/registry';
 import { createBusinessComponent } from '../ui/TabBase.jsx';
 import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import {
+  activeRecords,
+  describeSoftDelete,
+  previewSoftDelete,
+  softDeleteRecord,
+} from '../../services/nightingale.recyclebin.js';
 
 /**
  * Data management hook for Organizations Tab
@@ -46,7 +53,7 @@ function useOrganizationsData(props) {
 
   const filteredOrganizations = useMemo(() => {
     if (!fullData?.organizations) return [];
-    let filtered = fullData.organizations;
+    let filtered = activeRecords(fullData.organizations);
     const searchString = typeof searchTerm === 'string' ? searchTerm : '';
     if (searchString && searchString.trim()) {
       const term = searchString.toLowerCase();
@@ -91,15 +98,19 @@ function useOrganizationsData(props) {
 
   const confirmOrganizationDelete = useCallback(
     (organization) => {
-      const updatedData = { ...fullData };
-      updatedData.organizations = updatedData.organizations.filter(
-        (o) => o.id !== organization.id,
-      );
-      onUpdateData(updatedData);
-      showToast(
-        `Organization ${organization.name} deleted successfully`,
-        'success',
-      );
+      try {
+        // References from cases and people are cleared when it is purged
+        const { data: updatedData, impact } = softDeleteRecord(
+          fullData,
+          'organizations',
+          organization.id,
+          { actor: getWorkerName() },
+        );
+        onUpdateData(updatedData, `Delete ${impact.target.label}`);
+        showToast(describeSoftDelete(impact), 'success');
+      } catch (error) {
+        showToast(error.message, 'error');
+      }
       setConfirmingOrganizationDelete(null);
     },
     [fullData, onUpdateData, showToast],
@@ -187,7 +198,7 @@ function useOrganizationsData(props) {
       handleSaveEdit,
     },
     meta: {
-      totalCount: fullData?.organizations?.length || 0,
+      totalCount: activeRecords(fullData?.organizations).length,
       filteredCount: filteredOrganizations.length,
     },
   };
@@ -283,6 +294,21 @@ function renderOrganizationsContent({ components, data }) {
             })
           : e('div', { className: 'text-gray-300' }, org?.phone || 'N/A'),
     },
+    {
+      field: 'actions',
+      label: 'Actions',
+      sortable: false,
+      render: (value, org) =>
+        e(
+          'button',
+          {
+            className: 'text-red-400 hover:text-red-300 text-sm',
+            onClick: (ev) => handlers.handleDeleteOrganization(org, ev),
+            'aria-label': `Delete ${org?.name || 'organization'}`,
+          },
+          'Delete',
+        ),
+    },
   ];
 
   return (
@@ -381,6 +407,25 @@ function renderOrganizationsContent({ components, data }) {
               { field: 'type', headerName: 'Type', width: 140 },
               { field: 'email', headerName: 'Email', flex: 1, minWidth: 220 },
               { field: 'phone', headerName: 'Phone', width: 160 },
+              {
+                field: 'actions',
+                headerName: 'Actions',
+                width: 110,
+                sortable: false,
+                renderCell: (params) =>
+                  e(
+                    Button,
+                    {
+                      size: 'small',
+                      color: 'error',
+                      onClick: (ev) => {
+                        const org = data.data.find((o) => o.id === params.id);
+                        if (org) handlers.handleDeleteOrganization(org, ev);
+                      },
+                    },
+                    'Delete',
+                  ),
+              },
             ],
             disableRowSelectionOnClick: true,
             initialState: {
@@ -411,30 +456,31 @@ function renderOrganizationsContent({ components, data }) {
  */
 function renderOrganizationsModals({ components, data, props }) {
   const e = React.createElement;
-  const { ConfirmationModal, OrganizationModal } = components;
+  const { DeleteImpactModal, OrganizationModal } = components;
   const { state, handlers } = data;
   const { fullData, fileService, onUpdateData } = props;
 
   const modals = [];
 
-  // Delete Confirmation Modal
-  if (state.confirmingOrganizationDelete) {
+  // Delete confirmation with the records the delete would touch
+  if (state.confirmingOrganizationDelete && DeleteImpactModal) {
     const org = fullData.organizations.find(
       (o) => o.id === state.confirmingOrganizationDelete,
     );
 
     modals.push(
-      e(ConfirmationModal, {
+      e(DeleteImpactModal, {
         key: 'delete-confirmation',
         isOpen: true,
-        onClose: handlers.cancelOrganizationDelete,
+        impact: previewSoftDelete(
+          fullData,
+          'organizations',
+          state.confirmingOrganizationDelete,
+        ),
+        entityName: 'Organization',
+        softDelete: true,
+        onCancel: handlers.cancelOrganizationDelete,
         onConfirm: () => handlers.confirmOrganizationDelete(org),
-        title: 'Delete Organization',
-        message:
-          'Are you sure you want to delete this organization? This action cannot be undone.',
-        confirmText: 'Delete',
-        cancelText: 'Cancel',
-        variant: 'danger',
       }),
     );
   }
@@ -0,0 +1,77 @@
+/**
+ * PendingChangesBanner.jsx - Unsaved offline changes notice
+ *
+ * Business component shown by NightingaleCMSApp above the active tab while edits
+ * are buffered because the data folder cannot be written (permission lost).
+ * Reconnecting saves them after checking the file on disk for conflicts.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+
+/**
+ * PendingChangesBanner Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object|null} props.pending - Buffer summary ({ count, since }) or null
+ * @param {Function} props.onReconnect - async () => called from the Reconnect button
+ * @returns {React.Element|null} PendingChangesBanner component
+ */
+function PendingChangesBanner({ pending, onReconnect }) {
+  const [isReconnecting, setIsReconnecting] = useState(false);
+
+  if (!pending || !(pending.count > 0)) return null;
+
+  const handleReconnect = async () => {
+    setIsReconnecting(true);
+    try {
+      await onReconnect();
+    } finally {
+      setIsReconnecting(false);
+    }
+  };
+
+  const noun = pending.count === 1 ? 'change' : 'changes';
+
+  return (
+    <div
+      role="alert"
+      className="flex items-center justify-between bg-yellow-700 text-yellow-50 px-4 py-2 text-sm flex-shrink-0"
+    >
+      <span>
+        <strong>
+          {pending.count} unsaved {noun}
+        </strong>
+        , reconnect to save.
+        {pending.since && (
+          <span className="ml-2 text-yellow-200">
+            Not saved since {new Date(pending.since).toLocaleString()}
+          </span>
+        )}
+      </span>
+      <button
+        className="px-3 py-1 rounded bg-yellow-500 hover:bg-yellow-400 text-gray-900 font-medium disabled:opacity-60"
+        onClick={handleReconnect}
+        disabled={isReconnecting}
+      >
+        {isReconnecting ? 'Reconnecting...' : 'Reconnect'}
+      </button>
+    </div>
+  );
+}
+
+PendingChangesBanner.propTypes = {
+  pending: PropTypes.shape({
+    count: PropTypes.number,
+    since: PropTypes.number,
+  }),
+  onReconnect: PropTypes.func.isRequired,
+};
+
+// Register component
+registerComponent('business', 'PendingChangesBanner', PendingChangesBanner);
+
+export default PendingChangesBanner;
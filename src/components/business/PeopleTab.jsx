@@ -3,10 +3,27 @@ import PropTypes from 'prop-types';
 import { registerComponent } from '../../services/registry';
 import { createBusinessComponent } from '../ui/TabBase.jsx';
 import dateUtils from '../../services/nightingale.dayjs.js';
+import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import {
+  activeRecords,
+  describeSoftDelete,
+  previewSoftDelete,
+  softDeleteRecord,
+} from '../../services/nightingale.recyclebin.js';
+import {
+  describeMerge,
+  mergeAuditChange,
+} from '../../services/nightingale.duplicates.js';
 /**
  * Nightingale CMS - People Tab Component (JSX)
  */
-function usePeopleData({ fullData, onViewModeChange, onBackToList }) {
+function usePeopleData({
+  fullData,
+  onUpdateData,
+  onViewModeChange,
+  onBackToList,
+}) {
   const [searchTerm, setSearchTerm] = useState('');
   const [isCreateModalOpen, setIsCreateModalOpen] = useState(false);
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
@@ -14,6 +31,8 @@ function usePeopleData({ fullData, onViewModeChange, onBackToList }) {
   const [viewMode, setViewMode] = useState('list');
   const [detailsPersonId, setDetailsPersonId] = useState(null);
   const [selectedPersonId, setSelectedPersonId] = useState(null);
+  const [confirmingPersonDelete, setConfirmingPersonDelete] = useState(null);
+  const [isDuplicatesOpen, setIsDuplicatesOpen] = useState(false);
   const backToList = useCallback(() => {
     setViewMode('list');
     setDetailsPersonId(null);
@@ -25,7 +44,7 @@ function usePeopleData({ fullData, onViewModeChange, onBackToList }) {
   }, [onBackToList, backToList]);
   const filteredPeople = useMemo(() => {
     if (!fullData?.people) return [];
-    let filtered = fullData.people;
+    let filtered = activeRecords(fullData.people);
     const searchString = typeof searchTerm === 'string' ? searchTerm : '';
     if (searchString.trim()) {
       const term = searchString.toLowerCase();
@@ -61,6 +80,36 @@ function usePeopleData({ fullData, onViewModeChange, onBackToList }) {
     if (person) setSelectedPersonId(person.id);
   };
   const handleBackToList = () => backToList();
+  const handleDeletePerson = (person, e) => {
+    e?.stopPropagation();
+    setConfirmingPersonDelete(person.id);
+  };
+  const confirmPersonDelete = () => {
+    try {
+      // Cases referring to the person as client block the delete (see nightingale.integrity.js)
+      const { data: updatedData, impact } = softDeleteRecord(
+        fullData,
+        'people',
+        confirmingPersonDelete,
+        { actor: getWorkerName() },
+      );
+      onUpdateData?.(updatedData, `Delete ${impact.target.label}`);
+      Toast.showToast?.(describeSoftDelete(impact), 'success');
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+    setConfirmingPersonDelete(null);
+  };
+  // Merged person is removed; references were repointed by mergePeople()
+  const handleMergePeople = ({ data, merge }) => {
+    onUpdateData?.(
+      data,
+      `Merge ${merge.mergedLabel} into ${merge.label}`,
+      'merge',
+      [mergeAuditChange(merge)],
+    );
+    Toast.showToast?.(describeMerge(merge), 'success');
+  };
   const formatDate = (dateString) =>
     dateUtils.format?.(dateString) || dateString;
   return {
@@ -85,6 +134,13 @@ function usePeopleData({ fullData, onViewModeChange, onBackToList }) {
     handlePersonClick,
     handleViewDetails,
     handleBackToList,
+    confirmingPersonDelete,
+    setConfirmingPersonDelete,
+    handleDeletePerson,
+    confirmPersonDelete,
+    isDuplicatesOpen,
+    setIsDuplicatesOpen,
+    handleMergePeople,
     formatDate,
   };
 }
@@ -137,14 +193,22 @@ function renderPeopleContent({ components, data: dataResult }) {
             color="text.secondary"
           >{`${dataResult.data.length} ${dataResult.data.length !== 1 ? 'people' : 'person'}`}</Typography>
         </Box>
-        <Button
-          variant="contained"
-          color="primary"
-          onClick={() => dataResult.setIsCreateModalOpen(true)}
-          aria-label="New Person"
-        >
-          Add Person
-        </Button>
+        <Box sx={{ display: 'flex', gap: 1 }}>
+          <Button
+            variant="outlined"
+            onClick={() => dataResult.setIsDuplicatesOpen(true)}
+          >
+            Find Duplicates
+          </Button>
+          <Button
+            variant="contained"
+            color="primary"
+            onClick={() => dataResult.setIsCreateModalOpen(true)}
+            aria-label="New Person"
+          >
+            Add Person
+          </Button>
+        </Box>
       </Box>
       <SearchSection
         searchBar={
@@ -200,6 +264,26 @@ function renderPeopleContent({ components, data: dataResult }) {
                 flex: 1,
                 minWidth: 220,
               },
+              {
+                field: 'actions',
+                headerName: 'Actions',
+                width: 110,
+                sortable: false,
+                renderCell: (params) => (
+                  <Button
+                    size="small"
+                    color="error"
+                    onClick={(e) => {
+                      const person = dataResult.data.find(
+                        (p) => p.id === params.id,
+                      );
+                      if (person) dataResult.handleDeletePerson(person, e);
+                    }}
+                  >
+                    Delete
+                  </Button>
+                ),
+              },
             ]}
             disableRowSelectionOnClick
             initialState={{
@@ -224,14 +308,16 @@ function renderPeopleContent({ components, data: dataResult }) {
           >
             <TableHead>
               <TableRow>
-                {['Name', 'Email', 'Phone', 'Address'].map((header) => (
-                  <TableCell
-                    key={header}
-                    sx={{ fontWeight: 600 }}
-                  >
-                    {header}
-                  </TableCell>
-                ))}
+                {['Name', 'Email', 'Phone', 'Address', 'Actions'].map(
+                  (header) => (
+                    <TableCell
+                      key={header}
+                      sx={{ fontWeight: 600 }}
+                    >
+                      {header}
+                    </TableCell>
+                  ),
+                )}
               </TableRow>
             </TableHead>
             <TableBody>
@@ -261,6 +347,18 @@ function renderPeopleContent({ components, data: dataResult }) {
                     <TableCell>{person.email || 'N/A'}</TableCell>
                     <TableCell>{person.phone || 'N/A'}</TableCell>
                     <TableCell>{addressText}</TableCell>
+                    <TableCell>
+                      <Button
+                        size="small"
+                        color="error"
+                        aria-label={`Delete ${person.name || 'person'}`}
+                        onClick={(e) =>
+                          dataResult.handleDeletePerson(person, e)
+                        }
+                      >
+                        Delete
+                      </Button>
+                    </TableCell>
                   </TableRow>
                 );
               })}
@@ -301,8 +399,31 @@ function renderPeopleModals({ components, data: dataResult, props }) {
           </div>
         </div>
       ) : null);
+  const { DeleteImpactModal, DuplicatePeopleModal } = components;
   return (
     <div>
+      {DuplicatePeopleModal && (
+        <DuplicatePeopleModal
+          isOpen={dataResult.isDuplicatesOpen}
+          fullData={props.fullData}
+          onMerge={dataResult.handleMergePeople}
+          onClose={() => dataResult.setIsDuplicatesOpen(false)}
+        />
+      )}
+      {DeleteImpactModal && dataResult.confirmingPersonDelete && (
+        <DeleteImpactModal
+          isOpen
+          impact={previewSoftDelete(
+            props.fullData,
+            'people',
+            dataResult.confirmingPersonDelete,
+          )}
+          entityName="Person"
+          softDelete
+          onCancel={() => dataResult.setConfirmingPersonDelete(null)}
+          onConfirm={dataResult.confirmPersonDelete}
+        />
+      )}
       <PersonCreationModal
         isOpen={dataResult.isCreateModalOpen}
         onClose={() => dataResult.setIsCreateModalOpen(false)}
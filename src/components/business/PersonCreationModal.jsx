@@ -14,6 +14,7 @@ import { formatSSN, formatUSPhone } from '../../services/formatters.js';
 import dateUtils from '../../services/nightingale.dayjs.js';
 import Toast from '../../services/nightingale.toast.js';
 import { getStrictValidationEnabled } from '../../services/settings.js';
+import { activeRecords } from '../../services/nightingale.recyclebin.js';
 import {
   generateSecureId,
   ensureStringId,
@@ -899,11 +900,12 @@ function PersonCreationModal({
           organizations: [],
           cases: [],
         };
+        const organizations = activeRecords(safeFullData.organizations);
         const organizationOptions =
-          safeFullData.organizations?.length > 0
+          organizations.length > 0
             ? [
                 { value: null, label: 'No organization' },
-                ...safeFullData.organizations.map((org) => ({
+                ...organizations.map((org) => ({
                   value: org.id,
                   label: org.name,
                 })),
@@ -8,6 +8,7 @@ import Paper from '@mui/material/Paper';
 import Typography from '@mui/material/Typography';
 import Button from '@mui/material/Button';
 import { registerComponent } from '../../services/registry';
+import AuditHistorySection from './AuditHistorySection.jsx';
 
 function PersonDetailsView(props) {
   const { personId, fullData, onBackToList } = props; // onUpdateData reserved for future enhancements
@@ -66,6 +67,10 @@ function PersonDetailsView(props) {
           <Typography variant="body1">{`Email: ${person.email || 'N/A'}`}</Typography>
           <Typography variant="body1">{`Phone: ${person.phone || 'N/A'}`}</Typography>
         </Box>
+        <AuditHistorySection
+          auditLog={fullData.auditLog || []}
+          personId={person.id}
+        />
       </Paper>
     </Box>
   );
@@ -88,6 +93,7 @@ PersonDetailsView.propTypes = {
         phone: PropTypes.string,
       }),
     ),
+    auditLog: PropTypes.arrayOf(PropTypes.object),
   }),
   onBackToList: PropTypes.func,
 };
@@ -0,0 +1,279 @@
+/**
+ * RecycleBinPanel.jsx - Deleted records with restore and purge
+ *
+ * Business component embedded in SettingsModal. Lists the records in the Recycle
+ * Bin (see nightingale.recyclebin.js) with who deleted them and when, filtered by
+ * type and free text. A record can be restored together with the records deleted
+ * with it, or purged for good; entries older than the retention period are purged
+ * automatically after loading and hourly (see NightingaleCMSApp), or with "Purge Expired".
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useMemo, useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent, getComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  getRecycleBinRetentionDays,
+  setRecycleBinRetentionDays,
+} from '../../services/settings.js';
+import {
+  listDeleted,
+  purgeDeleted,
+  purgeExpired,
+  restoreDeleted,
+} from '../../services/nightingale.recyclebin.js';
+
+const TYPE_LABELS = {
+  cases: 'Case',
+  people: 'Person',
+  organizations: 'Organization',
+  vrRequests: 'VR request',
+  tasks: 'Task',
+  attachments: 'Attachment',
+  financialItems: 'Financial item',
+  notes: 'Note',
+};
+
+/**
+ * RecycleBinPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.currentData - In-memory dataset
+ * @param {Function} props.onUpdateData - Called with (data, label, source) after a restore or purge
+ * @returns {React.Element} RecycleBinPanel component
+ */
+function RecycleBinPanel({ currentData, onUpdateData }) {
+  const [type, setType] = useState('');
+  const [search, setSearch] = useState('');
+  const [retentionDays, setRetentionDays] = useState(
+    getRecycleBinRetentionDays(),
+  );
+  const [pendingPurge, setPendingPurge] = useState(null);
+
+  const entries = useMemo(() => listDeleted(currentData), [currentData]);
+  const term = search.trim().toLowerCase();
+  const shown = entries.filter(
+    (entry) =>
+      (!type || entry.collection === type) &&
+      (!term ||
+        [entry.label, entry.parentLabel, entry.deletedBy]
+          .join(' ')
+          .toLowerCase()
+          .includes(term)),
+  );
+
+  const handleRestore = (entry) => {
+    onUpdateData?.(
+      restoreDeleted(currentData, entry),
+      `Restore ${entry.label}`,
+      'recycle-bin',
+    );
+    Toast.showToast?.(
+      `${entry.label} restored${
+        entry.children
+          ? ` with ${entry.children} related record${entry.children === 1 ? '' : 's'}`
+          : ''
+      }`,
+      'success',
+    );
+  };
+
+  const handlePurge = () => {
+    const entry = pendingPurge;
+    setPendingPurge(null);
+    try {
+      onUpdateData?.(
+        purgeDeleted(currentData, entry),
+        `Purge ${entry.label}`,
+        'recycle-bin',
+      );
+      Toast.showToast?.(`${entry.label} permanently deleted`, 'success');
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const handleSaveRetention = () => {
+    const saved = setRecycleBinRetentionDays(retentionDays);
+    setRetentionDays(saved.recycleBinRetentionDays);
+    Toast.showToast?.('Recycle Bin retention saved', 'success');
+  };
+
+  const handlePurgeExpired = () => {
+    const { data, purged, skipped } = purgeExpired(
+      currentData,
+      getRecycleBinRetentionDays(),
+    );
+    if (purged.length > 0) {
+      onUpdateData?.(
+        data,
+        `Purged ${purged.length} expired Recycle Bin item${purged.length === 1 ? '' : 's'}`,
+        'retention',
+      );
+    }
+    Toast.showToast?.(
+      `Purged ${purged.length} expired item${purged.length === 1 ? '' : 's'}${
+        skipped.length ? ` (${skipped.length} still referenced)` : ''
+      }`,
+      'info',
+    );
+  };
+
+  const ConfirmationModal = getComponent('ui', 'ConfirmationModal', true);
+  const buttonClass =
+    'px-3 py-1 rounded text-xs font-medium transition-colors bg-gray-600 hover:bg-gray-500 text-white';
+
+  return (
+    <section
+      aria-label="Recycle Bin"
+      className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700"
+    >
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">Recycle Bin</h3>
+        <span className="text-xs text-gray-400">
+          {entries.length} item{entries.length === 1 ? '' : 's'}
+        </span>
+      </div>
+      <p className="text-gray-400 text-sm">
+        Deleted records are kept here until they are purged. Records older than
+        the retention period are purged automatically.
+      </p>
+      <div className="flex flex-wrap items-end gap-3">
+        <label className="text-sm text-gray-300 flex flex-col">
+          Keep for (days)
+          <input
+            type="number"
+            min="1"
+            aria-label="Keep for (days)"
+            value={retentionDays}
+            onChange={(e) => setRetentionDays(e.target.value)}
+            className="mt-1 w-24 bg-gray-700 text-white rounded px-2 py-1"
+          />
+        </label>
+        <button
+          onClick={handleSaveRetention}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-blue-600 hover:bg-blue-700 text-white"
+        >
+          Save Retention
+        </button>
+        <button
+          onClick={handlePurgeExpired}
+          disabled={!currentData}
+          className="px-3 py-2 rounded-lg text-sm font-medium bg-indigo-600 hover:bg-indigo-700 text-white"
+        >
+          Purge Expired
+        </button>
+      </div>
+      <div className="flex flex-wrap items-center gap-3 text-sm">
+        <select
+          aria-label="Type filter"
+          value={type}
+          onChange={(e) => setType(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-1"
+        >
+          <option value="">All types</option>
+          {Object.entries(TYPE_LABELS).map(([key, label]) => (
+            <option
+              key={key}
+              value={key}
+            >
+              {label}
+            </option>
+          ))}
+        </select>
+        <input
+          type="search"
+          aria-label="Search Recycle Bin"
+          placeholder="Name, case or worker..."
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          className="bg-gray-700 text-white rounded px-2 py-1"
+        />
+      </div>
+      {shown.length === 0 ? (
+        <p className="text-sm text-gray-400">
+          {entries.length === 0
+            ? 'The Recycle Bin is empty.'
+            : 'No deleted records match the filters.'}
+        </p>
+      ) : (
+        <ul
+          aria-label="Deleted records"
+          className="divide-y divide-gray-700 text-sm"
+        >
+          {shown.map((entry) => (
+            <li
+              key={entry.key}
+              className="py-2 flex items-center justify-between gap-3"
+            >
+              <div>
+                <div className="text-gray-200">
+                  <span className="text-gray-400">
+                    {TYPE_LABELS[entry.collection]}
+                  </span>{' '}
+                  {entry.label}
+                  {entry.parentLabel && (
+                    <span className="text-gray-400">
+                      {' '}
+                      · {entry.parentLabel}
+                    </span>
+                  )}
+                </div>
+                <div className="text-gray-400 text-xs">
+                  Deleted{' '}
+                  {dateUtils.format?.(entry.deletedAt, 'MM/DD/YYYY HH:mm') ||
+                    entry.deletedAt}
+                  {entry.deletedBy && ` by ${entry.deletedBy}`}
+                  {entry.children > 0 &&
+                    ` · ${entry.children} related record${entry.children === 1 ? '' : 's'}`}
+                </div>
+              </div>
+              <div className="flex space-x-2">
+                <button
+                  onClick={() => handleRestore(entry)}
+                  aria-label={`Restore ${entry.label}`}
+                  className={buttonClass}
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => setPendingPurge(entry)}
+                  aria-label={`Purge ${entry.label}`}
+                  className={buttonClass}
+                >
+                  Purge
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+      {ConfirmationModal && (
+        <ConfirmationModal
+          isOpen={!!pendingPurge}
+          onCancel={() => setPendingPurge(null)}
+          onConfirm={handlePurge}
+          title="Purge Record"
+          message={`Permanently delete ${
+            pendingPurge ? pendingPurge.label : ''
+          }? References to it are cleared and it cannot be restored.`}
+          confirmText="Purge"
+          variant="danger"
+        />
+      )}
+    </section>
+  );
+}
+
+RecycleBinPanel.propTypes = {
+  currentData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'RecycleBinPanel', RecycleBinPanel);
+
+export default RecycleBinPanel;
@@ -0,0 +1,153 @@
+/**
+ * RenewalsPanel.jsx - Renewal settings
+ *
+ * Business component embedded in SettingsModal. Edits the certification period
+ * length of each case type (in months, with a default for the other types) and how
+ * many days before a period ends its renewal starts.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import {
+  getRenewalSettings,
+  setRenewalSettings,
+} from '../../services/settings.js';
+
+const inputClass =
+  'bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+
+const isWhole = (value, min) =>
+  value !== '' && Number.isInteger(Number(value)) && Number(value) >= min;
+
+/**
+ * RenewalsPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Function} [props.onSaved] - Called with the saved renewal settings
+ * @returns {React.Element} RenewalsPanel component
+ */
+function RenewalsPanel({ onSaved }) {
+  const [months, setMonths] = useState(() => getRenewalSettings().byCaseType);
+  const [defaultMonths, setDefaultMonths] = useState(
+    () => getRenewalSettings().defaultMonths,
+  );
+  const [leadDays, setLeadDays] = useState(() => getRenewalSettings().leadDays);
+  const [errors, setErrors] = useState([]);
+
+  const handleSave = () => {
+    const problems = Object.entries(months)
+      .filter(([, value]) => !isWhole(value, 1))
+      .map(
+        ([caseType]) => `${caseType}: months must be a positive whole number`,
+      );
+    if (!isWhole(defaultMonths, 1)) {
+      problems.push('Other case types: months must be a positive whole number');
+    }
+    if (!isWhole(leadDays, 0)) {
+      problems.push('Lead days must be zero or more');
+    }
+    setErrors(problems);
+    if (problems.length > 0) return;
+    const saved = setRenewalSettings({
+      byCaseType: Object.fromEntries(
+        Object.entries(months).map(([caseType, value]) => [
+          caseType,
+          Number(value),
+        ]),
+      ),
+      defaultMonths: Number(defaultMonths),
+      leadDays: Number(leadDays),
+    }).renewals;
+    Toast.showToast?.('Renewal settings saved', 'success');
+    onSaved?.(saved);
+  };
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <h3 className="text-lg font-semibold text-white">Renewals</h3>
+      <table
+        aria-label="Certification periods"
+        className="text-sm text-gray-300"
+      >
+        <tbody>
+          {Object.entries(months).map(([caseType, value]) => (
+            <tr key={caseType}>
+              <td className="pr-3 py-1 text-white">{caseType}</td>
+              <td className="pr-2 py-1">
+                <input
+                  type="number"
+                  min="1"
+                  value={value}
+                  onChange={(e) =>
+                    setMonths((prev) => ({
+                      ...prev,
+                      [caseType]: e.target.value,
+                    }))
+                  }
+                  aria-label={`${caseType} certification months`}
+                  className={`${inputClass} w-20`}
+                />
+              </td>
+              <td className="py-1">months</td>
+            </tr>
+          ))}
+          <tr>
+            <td className="pr-3 py-1 text-white">Other case types</td>
+            <td className="pr-2 py-1">
+              <input
+                type="number"
+                min="1"
+                value={defaultMonths}
+                onChange={(e) => setDefaultMonths(e.target.value)}
+                aria-label="Default certification months"
+                className={`${inputClass} w-20`}
+              />
+            </td>
+            <td className="py-1">months</td>
+          </tr>
+        </tbody>
+      </table>
+      <label className="flex items-center gap-2 text-sm text-gray-300">
+        <span>Start renewals</span>
+        <input
+          type="number"
+          min="0"
+          value={leadDays}
+          onChange={(e) => setLeadDays(e.target.value)}
+          aria-label="Renewal lead days"
+          className={`${inputClass} w-20`}
+        />
+        <span>days before the period ends</span>
+      </label>
+      {errors.length > 0 && (
+        <ul
+          role="alert"
+          className="text-sm text-red-400 list-disc list-inside"
+        >
+          {errors.map((error) => (
+            <li key={error}>{error}</li>
+          ))}
+        </ul>
+      )}
+      <button
+        onClick={handleSave}
+        className="px-3 py-2 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+      >
+        Save Renewals
+      </button>
+    </section>
+  );
+}
+
+RenewalsPanel.propTypes = {
+  onSaved: PropTypes.func,
+};
+
+// Register with business registry
+registerComponent('business', 'RenewalsPanel', RenewalsPanel);
+
+export default RenewalsPanel;
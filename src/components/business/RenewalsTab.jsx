@@ -0,0 +1,135 @@
+/**
+ * RenewalsTab.jsx - Renewals due this month and next month
+ *
+ * Business tab listing the certified cases whose renewal is due this month or next
+ * month (and overdue ones first), with the client, case type, due date and whether
+ * the renewal has started. Renewals that have not started yet can be started here.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import { describeRecord } from '../../services/nightingale.integrity.js';
+import {
+  startRenewal,
+  upcomingRenewals,
+} from '../../services/nightingale.renewals.js';
+
+const formatDate = (value) => dateUtils.format?.(value) || value;
+
+const GROUPS = [
+  { key: 'overdue', title: 'Overdue' },
+  { key: 'thisMonth', title: 'Due this month' },
+  { key: 'nextMonth', title: 'Due next month' },
+];
+
+/**
+ * RenewalsTab Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} props.fullData - In-memory dataset
+ * @param {Function} props.onUpdateData - Called with (data, label) after a change
+ * @param {string} [props.today] - YYYY-MM-DD (defaults to today)
+ * @returns {React.Element} RenewalsTab component
+ */
+function RenewalsTab({ fullData, onUpdateData, today }) {
+  const groups = upcomingRenewals(fullData?.cases, { today });
+  const people = new Map(
+    (fullData?.people || []).map((person) => [String(person.id), person]),
+  );
+
+  const start = (caseItem) => {
+    try {
+      const { data } = startRenewal(fullData, caseItem.id, {
+        today,
+        actor: getWorkerName(),
+      });
+      onUpdateData?.(
+        data,
+        `Start renewal of ${describeRecord('cases', caseItem)}`,
+      );
+    } catch (error) {
+      Toast.showToast?.(error.message, 'error');
+    }
+  };
+
+  const renderEntry = ({ caseItem, dueDate, daysLeft, renewal }) => {
+    const client = people.get(String(caseItem.personId));
+    return (
+      <li
+        key={caseItem.id}
+        className="flex flex-wrap items-center justify-between gap-2 py-2"
+      >
+        <div>
+          <p className="text-sm text-white">
+            {`${describeRecord('cases', caseItem)}${
+              client?.name ? ` · ${client.name}` : ''
+            }${caseItem.caseType ? ` (${caseItem.caseType})` : ''}`}
+          </p>
+          <p className="text-xs text-gray-400">
+            {`Due ${formatDate(dueDate)} · ${
+              daysLeft < 0
+                ? `${-daysLeft} days overdue`
+                : `${daysLeft} days left`
+            } · ${
+              renewal
+                ? `Started ${formatDate(renewal.startedDate)}`
+                : 'Not started'
+            }`}
+          </p>
+        </div>
+        {!renewal && (
+          <button
+            onClick={() => start(caseItem)}
+            aria-label={`Start renewal of ${describeRecord('cases', caseItem)}`}
+            className="px-3 py-1 rounded-lg text-sm font-medium transition-colors bg-blue-600 hover:bg-blue-700 text-white"
+          >
+            Start Renewal
+          </button>
+        )}
+      </li>
+    );
+  };
+
+  return (
+    <div className="space-y-6">
+      <h2 className="text-2xl font-bold text-white">Renewals</h2>
+      {GROUPS.filter(
+        ({ key }) => key !== 'overdue' || groups.overdue.length > 0,
+      ).map(({ key, title }) => (
+        <section
+          key={key}
+          aria-label={title}
+          className="bg-gray-800 rounded-lg p-6 border border-gray-700"
+        >
+          <h3 className="text-lg font-semibold text-white">
+            {`${title} (${groups[key].length})`}
+          </h3>
+          {groups[key].length === 0 ? (
+            <p className="text-sm text-gray-400">No renewals.</p>
+          ) : (
+            <ul className="divide-y divide-gray-700">
+              {groups[key].map(renderEntry)}
+            </ul>
+          )}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+RenewalsTab.propTypes = {
+  fullData: PropTypes.object,
+  onUpdateData: PropTypes.func,
+  today: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'RenewalsTab', RenewalsTab);
+
+export default RenewalsTab;
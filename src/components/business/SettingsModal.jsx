@@ -16,11 +16,20 @@ import {
   getStrictValidationEnabled,
   toggleStrictValidation,
   subscribeSettings,
+  getStorageAdapter,
+  setStorageAdapter,
+  getSyncServerUrl,
+  setSyncServerUrl,
+  getWorkerName,
+  setWorkerName,
 } from '../../services/settings.js';
+import { listStorageAdapters } from '../../services/nightingale.storage.js';
 import { normalizeDataset } from '../../services/dataFixes.js';
 import {
   detectLegacyProfile,
+  previewMigrations,
   runFullMigration,
+  writeWithBackup,
 } from '../../services/migration.js';
 
 /**
@@ -34,6 +43,8 @@ import {
  * @param {Function} props.onDataLoaded - Callback when data is loaded
  * @param {string} props.fileStatus - Current file connection status
  * @param {Function} props.onFileStatusChange - Callback when file status changes
+ * @param {Object} props.currentData - In-memory dataset (used by the Backups panel)
+ * @param {Function} [props.onUpdateData] - Apply a change to the dataset (used by the Recycle Bin)
  * @returns {React.Element} SettingsModal component
  */
 function SettingsModal({
@@ -43,6 +54,8 @@ function SettingsModal({
   onDataLoaded,
   fileStatus,
   onFileStatusChange,
+  currentData,
+  onUpdateData,
 }) {
   const [isConnecting, setIsConnecting] = useState(false);
   const [loadingData, setLoadingData] = useState(false);
@@ -54,6 +67,9 @@ function SettingsModal({
   const [migrationReport, setMigrationReport] = useState(null);
   const [migrationError, setMigrationError] = useState(null);
   const [migratedData, setMigratedData] = useState(null);
+  // Stored data the migration started from (backed up before writing) and its dry run
+  const [sourceData, setSourceData] = useState(null);
+  const [migrationPreview, setMigrationPreview] = useState(null);
   // Diagnostics state
   const initialNavLogs = (() => {
     try {
@@ -81,9 +97,48 @@ function SettingsModal({
     });
     return () => unsub();
   }, []);
+  // Storage location ('auto' or an adapter kind) and the adapter in use
+  const [storageKind, setStorageKind] = useState(getStorageAdapter());
+  const [activeStorage, setActiveStorage] = useState(null);
+  const [isSwitchingStorage, setIsSwitchingStorage] = useState(false);
+  const [syncServerUrl, setSyncServerUrlInput] = useState(getSyncServerUrl());
+  // Worker name recorded with every audit trail entry
+  const [workerName, setWorkerNameInput] = useState(getWorkerName());
+  // Single-file or sharded data file layout
+  const [storageLayout, setStorageLayout] = useState('single');
+  const [isConvertingLayout, setIsConvertingLayout] = useState(false);
+  useEffect(() => {
+    let cancelled = false;
+    Promise.resolve(fileService?.getStorageInfo?.())
+      .then((info) => {
+        if (!cancelled) setActiveStorage(info || null);
+      })
+      .catch(() => {});
+    setStorageLayout(fileService?.getLayoutInfo?.().layout || 'single');
+    return () => {
+      cancelled = true;
+    };
+  }, [fileService, fileStatus]);
 
   // Get dependencies (resolved after state/effect declarations to avoid conditional hook ordering issues)
   const Modal = getComponent('ui', 'Modal');
+  const BackupsPanel = getComponent('business', 'BackupsPanel', true);
+  const EncryptionPanel = getComponent('business', 'EncryptionPanel', true);
+  const ValidationPanel = getComponent('business', 'ValidationPanel', true);
+  const RecycleBinPanel = getComponent('business', 'RecycleBinPanel', true);
+  const CaseWorkflowPanel = getComponent('business', 'CaseWorkflowPanel', true);
+  const DeadlinesPanel = getComponent('business', 'DeadlinesPanel', true);
+  const RenewalsPanel = getComponent('business', 'RenewalsPanel', true);
+  const FrequencyFactorsPanel = getComponent(
+    'business',
+    'FrequencyFactorsPanel',
+    true,
+  );
+  const ChecklistTemplatesPanel = getComponent(
+    'business',
+    'ChecklistTemplatesPanel',
+    true,
+  );
   const showToast = (msg, type) => {
     // Call module toast
     Toast.showToast?.(msg, type);
@@ -198,6 +253,72 @@ function SettingsModal({
     }
   };
 
+  const handleStorageChange = async (kind) => {
+    setStorageKind(kind);
+    setStorageAdapter(kind);
+    if (!fileService?.switchAdapter) {
+      showToast('Storage location applies after reload', 'info');
+      return;
+    }
+
+    setIsSwitchingStorage(true);
+    try {
+      const connected = await fileService.switchAdapter(kind);
+      setActiveStorage((await fileService.getStorageInfo?.()) || null);
+      onFileStatusChange?.(connected ? 'connected' : 'disconnected');
+      if (connected) {
+        const data = await fileService.readFile();
+        if (data) onDataLoaded?.(data);
+        showToast('Storage location changed', 'success');
+      } else {
+        showToast('Connect to finish switching storage', 'info');
+      }
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('settings:storage');
+      logger?.error('Storage switch failed', { error: error.message });
+      showToast('Failed to switch storage location', 'error');
+    } finally {
+      setIsSwitchingStorage(false);
+    }
+  };
+
+  // Reconnect the sync server adapter when its URL changes
+  const handleSyncServerUrlCommit = async () => {
+    if (syncServerUrl.trim() === getSyncServerUrl()) return;
+    setSyncServerUrl(syncServerUrl);
+    setSyncServerUrlInput(getSyncServerUrl());
+    if (storageKind === 'http') {
+      await handleStorageChange('http');
+    }
+  };
+
+  const handleWorkerNameCommit = () => {
+    if (workerName.trim() === getWorkerName()) return;
+    setWorkerName(workerName);
+    setWorkerNameInput(getWorkerName());
+    showToast('Worker name saved', 'success');
+  };
+
+  const handleLayoutChange = async (layout) => {
+    setIsConvertingLayout(true);
+    try {
+      const info = await fileService.convertLayout(layout);
+      setStorageLayout(info.layout);
+      showToast(
+        info.layout === 'sharded'
+          ? `Data file split into ${info.shards} shards`
+          : 'Data file merged into a single file',
+        'success',
+      );
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('settings:storage');
+      logger?.error('Layout conversion failed', { error: error.message });
+      showToast(`Failed to convert data file: ${error.message}`, 'error');
+    } finally {
+      setIsConvertingLayout(false);
+    }
+  };
+
   const handleDisconnect = async () => {
     try {
       await fileService?.disconnect?.();
@@ -343,6 +464,8 @@ function SettingsModal({
     setMigrationReport(null);
     setMigrationError(null);
     setMigratedData(null);
+    setSourceData(null);
+    setMigrationPreview(null);
     try {
       const rawData = await fileService.readFile();
       if (!rawData || Object.keys(rawData).length === 0) {
@@ -351,6 +474,7 @@ function SettingsModal({
       }
       const det = detectLegacyProfile(rawData);
       setDetection(det);
+      setMigrationPreview(previewMigrations(rawData));
     } catch (err) {
       setMigrationError('Failed to analyze data');
     } finally {
@@ -371,6 +495,7 @@ function SettingsModal({
         applyFixes: true,
       });
       // Do not write immediately; store results and let user choose action
+      setSourceData(rawData);
       setMigratedData(migratedData);
       setMigrationReport(report);
       showToast('Migration analysis complete. Choose how to proceed.', 'info');
@@ -414,17 +539,16 @@ function SettingsModal({
       let written = false;
       let backupName = '';
 
-      if (typeof fileService.backupAndWrite === 'function') {
-        const res = await fileService.backupAndWrite(migratedData);
-        backupCreated = !!res?.backupCreated;
-        written = !!res?.written;
-        backupName = res?.backupName || '';
-      } else if (typeof fileService.writeNamedFile === 'function') {
-        const ts = new Date().toISOString().replace(/[:]/g, '-');
-        const name = `nightingale-data.backup-${ts}.json`;
-        backupCreated = await fileService.writeNamedFile(name, migratedData);
-        written = await fileService.writeFile(migratedData);
-        backupName = name;
+      if (typeof fileService.writeNamedFile === 'function') {
+        // Back up the data as it was before migrating, then write
+        const res = await writeWithBackup(
+          fileService,
+          sourceData,
+          migratedData,
+        );
+        backupCreated = true;
+        written = res.written;
+        backupName = res.backupName;
       } else if (typeof fileService.writeFile === 'function') {
         // Fallback: write without backup, and notify user
         written = await fileService.writeFile(migratedData);
@@ -444,8 +568,13 @@ function SettingsModal({
         );
         handleDownloadMigrated();
       }
-    } catch (_) {
-      showToast('Write & backup failed', 'error');
+    } catch (err) {
+      showToast(
+        err?.name === 'MigrationError'
+          ? 'Backup failed; migration was not written'
+          : 'Write & backup failed',
+        'error',
+      );
     } finally {
       setIsMigrating(false);
     }
@@ -495,6 +624,31 @@ function SettingsModal({
               <span>Strict validation {strictValidation ? 'ON' : 'OFF'}</span>
             </label>
           </section>
+          <section className="p-4 border border-gray-700 rounded">
+            <h3 className="text-lg font-semibold text-white mb-2">
+              Worker Identity
+            </h3>
+            <p className="text-sm text-gray-300 mb-3">
+              Recorded with every change in the case and person history.
+            </p>
+            <label
+              htmlFor="settings-worker-name"
+              className="block text-sm text-gray-200 mb-1"
+            >
+              Worker name
+            </label>
+            <input
+              id="settings-worker-name"
+              type="text"
+              value={workerName}
+              onChange={(e) => setWorkerNameInput(e.target.value)}
+              onBlur={handleWorkerNameCommit}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') handleWorkerNameCommit();
+              }}
+              className="w-64 bg-gray-600 text-white rounded px-2 py-1"
+            />
+          </section>
           <div className="space-y-4">
             <h3 className="text-lg font-semibold text-white">
               File System Connection
@@ -530,6 +684,88 @@ function SettingsModal({
                 {fileStatus === 'connected' ? 'Connected' : 'Disconnected'}
               </div>
             </div>
+            <div className="p-3 bg-gray-700 rounded-lg flex items-center justify-between">
+              <label
+                htmlFor="settings-storage-location"
+                className="text-gray-200"
+              >
+                Storage location
+                {activeStorage?.label && (
+                  <span className="block text-xs text-gray-400">
+                    Using {activeStorage.label}
+                  </span>
+                )}
+              </label>
+              <select
+                id="settings-storage-location"
+                value={storageKind}
+                disabled={isSwitchingStorage}
+                onChange={(e) => handleStorageChange(e.target.value)}
+                className="bg-gray-600 text-white rounded px-2 py-1"
+              >
+                <option value="auto">Automatic</option>
+                {listStorageAdapters().map((adapter) => (
+                  <option
+                    key={adapter.kind}
+                    value={adapter.kind}
+                    disabled={!adapter.supported}
+                  >
+                    {adapter.label}
+                    {adapter.supported ? '' : ' (unsupported)'}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {storageKind === 'http' && (
+              <div className="p-3 bg-gray-700 rounded-lg flex items-center justify-between">
+                <label
+                  htmlFor="settings-sync-server-url"
+                  className="text-gray-200"
+                >
+                  Sync server URL
+                  <span className="block text-xs text-gray-400">
+                    Run node scripts/sync-server.js on this workstation
+                  </span>
+                </label>
+                <input
+                  id="settings-sync-server-url"
+                  type="url"
+                  value={syncServerUrl}
+                  disabled={isSwitchingStorage}
+                  onChange={(e) => setSyncServerUrlInput(e.target.value)}
+                  onBlur={handleSyncServerUrlCommit}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') handleSyncServerUrlCommit();
+                  }}
+                  className="w-64 bg-gray-600 text-white rounded px-2 py-1"
+                />
+              </div>
+            )}
+            <div className="p-3 bg-gray-700 rounded-lg flex items-center justify-between">
+              <label
+                htmlFor="settings-storage-layout"
+                className="text-gray-200"
+              >
+                Storage layout
+                <span className="block text-xs text-gray-400">
+                  Sharded saves only the parts of large datasets that changed
+                </span>
+              </label>
+              <select
+                id="settings-storage-layout"
+                value={storageLayout}
+                disabled={
+                  isConvertingLayout ||
+                  fileStatus !== 'connected' ||
+                  !fileService?.convertLayout
+                }
+                onChange={(e) => handleLayoutChange(e.target.value)}
+                className="bg-gray-600 text-white rounded px-2 py-1"
+              >
+                <option value="single">Single file</option>
+                <option value="sharded">Sharded</option>
+              </select>
+            </div>
           </div>
           <div className="space-y-4">
             <h3 className="text-lg font-semibold text-white">
@@ -587,6 +823,42 @@ function SettingsModal({
               </button>
             </div>
           </div>
+          {BackupsPanel && (
+            <BackupsPanel
+              fileService={fileService}
+              fileStatus={fileStatus}
+              currentData={currentData}
+              onRestored={(data) => onDataLoaded?.(data)}
+            />
+          )}
+          {RecycleBinPanel && currentData && (
+            <RecycleBinPanel
+              currentData={currentData}
+              onUpdateData={onUpdateData}
+            />
+          )}
+          {CaseWorkflowPanel && <CaseWorkflowPanel />}
+          {DeadlinesPanel && <DeadlinesPanel />}
+          {RenewalsPanel && <RenewalsPanel />}
+          {FrequencyFactorsPanel && <FrequencyFactorsPanel />}
+          {ChecklistTemplatesPanel && currentData && (
+            <ChecklistTemplatesPanel
+              currentData={currentData}
+              onUpdateData={onUpdateData}
+            />
+          )}
+          {EncryptionPanel && (
+            <EncryptionPanel
+              fileService={fileService}
+              fileStatus={fileStatus}
+            />
+          )}
+          {ValidationPanel && (
+            <ValidationPanel
+              fileService={fileService}
+              currentData={currentData}
+            />
+          )}
           {/* Diagnostics & Logging */}
           <div className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
             <h3 className="text-lg font-semibold text-white">
@@ -843,6 +1115,12 @@ function SettingsModal({
                 )}
               </div>
             )}
+            {(migrationReport?.migrations || migrationPreview) && (
+              <MigrationSteps
+                migrations={migrationReport?.migrations || migrationPreview}
+                applied={!!migrationReport}
+              />
+            )}
             {migrationReport && (
               <div className="space-y-2">
                 <h4 className="text-white font-semibold">Migration Report</h4>
@@ -891,6 +1169,56 @@ function SettingsModal({
   );
 }
 
+/**
+ * Pending (dry run) or applied schema migration steps with their change counts
+ */
+function MigrationSteps({ migrations, applied }) {
+  const { fromVersion, toVersion, unknownVersion, steps } = migrations;
+  return (
+    <div className="space-y-2">
+      <h4 className="text-white font-semibold">Schema Migrations</h4>
+      {unknownVersion ? (
+        <p className="text-yellow-300 text-sm">
+          Schema version {fromVersion} is not known to this version of the app;
+          no migrations will run.
+        </p>
+      ) : steps.length === 0 ? (
+        <p className="text-gray-300 text-sm">
+          Schema is up to date (v{fromVersion}).
+        </p>
+      ) : (
+        <>
+          <p className="text-gray-300 text-sm">
+            Schema version {fromVersion} → {toVersion}
+            {applied ? '' : ' (dry run)'}
+          </p>
+          <ol
+            aria-label="Migration steps"
+            className="list-decimal list-inside text-gray-300 text-sm"
+          >
+            {steps.map((step) => (
+              <li key={step.id}>
+                {step.name} ({step.from} → {step.to}): {step.changes}{' '}
+                {step.changes === 1 ? 'change' : 'changes'}
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+    </div>
+  );
+}
+
+MigrationSteps.propTypes = {
+  migrations: PropTypes.shape({
+    fromVersion: PropTypes.string,
+    toVersion: PropTypes.string,
+    unknownVersion: PropTypes.bool,
+    steps: PropTypes.arrayOf(PropTypes.object).isRequired,
+  }).isRequired,
+  applied: PropTypes.bool,
+};
+
 SettingsModal.propTypes = {
   isOpen: PropTypes.bool.isRequired,
   onClose: PropTypes.func.isRequired,
@@ -904,6 +1232,8 @@ SettingsModal.propTypes = {
     'reconnect',
   ]),
   onFileStatusChange: PropTypes.func,
+  currentData: PropTypes.object,
+  onUpdateData: PropTypes.func,
 };
 
 // Register with business registry (legacy global removed)
@@ -0,0 +1,190 @@
+/**
+ * TaskFormModal.jsx - New task form
+ *
+ * Business component used by the case Tasks section and the Dashboard's My Tasks
+ * panel. Collects a title, due date, priority, assignee (the current worker by
+ * default) and recurrence; outside a case it also offers a case picker.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useEffect, useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent, getComponent } from '../../services/registry';
+import { getWorkerName } from '../../services/settings.js';
+import { describeRecord } from '../../services/nightingale.integrity.js';
+import {
+  TASK_PRIORITIES,
+  TASK_RECURRENCES,
+} from '../../services/nightingale.tasks.js';
+
+const emptyTask = (caseId) => ({
+  title: '',
+  caseId: caseId || '',
+  dueDate: '',
+  priority: 'Normal',
+  assignee: getWorkerName(),
+  recurrence: 'none',
+});
+
+const inputClass =
+  'w-full bg-gray-700 border border-gray-600 rounded-md py-1 px-2 text-sm text-white';
+
+/**
+ * TaskFormModal Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onSave - Called with the task fields
+ * @param {Function} props.onClose - Called when the modal is dismissed
+ * @param {string|number} [props.caseId] - Case the task belongs to (no case picker)
+ * @param {Array} [props.cases] - Cases offered by the picker
+ * @returns {React.Element|null} TaskFormModal component
+ */
+function TaskFormModal({ isOpen, onSave, onClose, caseId, cases = [] }) {
+  const [fields, setFields] = useState(() => emptyTask(caseId));
+
+  useEffect(() => {
+    if (isOpen) setFields(emptyTask(caseId));
+  }, [isOpen, caseId]);
+
+  const Modal = getComponent('ui', 'Modal');
+  if (!Modal || !isOpen) return null;
+
+  const isValid = fields.title.trim().length > 0;
+  const handleSubmit = (e) => {
+    e?.preventDefault();
+    if (isValid) onSave?.(fields);
+  };
+
+  const set = (field) => (e) =>
+    setFields((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const label = (text, control) => (
+    <label className="block space-y-1 text-sm text-gray-300">
+      <span>{text}</span>
+      {control}
+    </label>
+  );
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title="New Task"
+      size="small"
+      footerContent={
+        <div className="flex space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 bg-gray-600 hover:bg-gray-700 text-white rounded-lg transition-colors"
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSubmit}
+            disabled={!isValid}
+            className="px-4 py-2 bg-blue-600 hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed text-white rounded-lg transition-colors"
+          >
+            Add Task
+          </button>
+        </div>
+      }
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="space-y-3"
+      >
+        {label(
+          'Title',
+          <input
+            value={fields.title}
+            onChange={set('title')}
+            className={inputClass}
+          />,
+        )}
+        {caseId == null &&
+          label(
+            'Case',
+            <select
+              value={fields.caseId}
+              onChange={set('caseId')}
+              className={inputClass}
+            >
+              <option value="">No case</option>
+              {cases.map((caseItem) => (
+                <option
+                  key={caseItem.id}
+                  value={caseItem.id}
+                >
+                  {describeRecord('cases', caseItem)}
+                </option>
+              ))}
+            </select>,
+          )}
+        <div className="grid grid-cols-2 gap-3">
+          {label(
+            'Due date',
+            <input
+              type="date"
+              value={fields.dueDate}
+              onChange={set('dueDate')}
+              className={inputClass}
+            />,
+          )}
+          {label(
+            'Priority',
+            <select
+              value={fields.priority}
+              onChange={set('priority')}
+              className={inputClass}
+            >
+              {TASK_PRIORITIES.map((priority) => (
+                <option key={priority}>{priority}</option>
+              ))}
+            </select>,
+          )}
+          {label(
+            'Assignee',
+            <input
+              value={fields.assignee}
+              onChange={set('assignee')}
+              placeholder="Unassigned"
+              className={inputClass}
+            />,
+          )}
+          {label(
+            'Repeats',
+            <select
+              value={fields.recurrence}
+              onChange={set('recurrence')}
+              className={inputClass}
+            >
+              {Object.entries(TASK_RECURRENCES).map(([key, text]) => (
+                <option
+                  key={key}
+                  value={key}
+                >
+                  {text}
+                </option>
+              ))}
+            </select>,
+          )}
+        </div>
+      </form>
+    </Modal>
+  );
+}
+
+TaskFormModal.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onSave: PropTypes.func,
+  onClose: PropTypes.func,
+  caseId: PropTypes.oneOfType([PropTypes.string, PropTypes.number]),
+  cases: PropTypes.array,
+};
+
+// Register with business registry
+registerComponent('business', 'TaskFormModal', TaskFormModal);
+
+export default TaskFormModal;
@@ -0,0 +1,142 @@
+/**
+ * TaskList.jsx - Task rows with completion
+ *
+ * Business component shared by the case Tasks section and the Dashboard's My Tasks
+ * panel: one row per task with its due text (overdue in red), priority, assignee,
+ * recurrence and, optionally, its case. Checking a task completes it.
+ *
+ * taskActions() holds the add/complete handlers both panels use.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import Toast from '../../services/nightingale.toast.js';
+import { getWorkerName } from '../../services/settings.js';
+import { describeRecord } from '../../services/nightingale.integrity.js';
+import dateUtils from '../../services/nightingale.dayjs.js';
+import {
+  TASK_RECURRENCES,
+  addTask,
+  completeTask,
+  createTask,
+  describeDue,
+} from '../../services/nightingale.tasks.js';
+
+/**
+ * Add and complete handlers writing through `onUpdateData(data, label)`
+ * @param {Object} fullData
+ * @param {Function} onUpdateData
+ * @returns {{ add:Function, complete:Function }}
+ */
+export function taskActions(fullData, onUpdateData) {
+  return {
+    add(fields) {
+      try {
+        const task = createTask(fields, { actor: getWorkerName() });
+        onUpdateData?.(addTask(fullData, task), `Add task ${task.title}`);
+        return true;
+      } catch (error) {
+        Toast.showToast?.(error.message, 'error');
+        return false;
+      }
+    },
+    complete(task) {
+      try {
+        const { data, next } = completeTask(fullData, task.id, {
+          actor: getWorkerName(),
+        });
+        onUpdateData?.(data, `Complete task ${task.title}`);
+        Toast.showToast?.(
+          next
+            ? `Task completed; next one due ${dateUtils.format(next.dueDate)}`
+            : 'Task completed',
+          'success',
+        );
+      } catch (error) {
+        Toast.showToast?.(error.message, 'error');
+      }
+    },
+  };
+}
+
+/**
+ * TaskList Component
+ *
+ * @param {Object} props - Component props
+ * @param {Array} props.tasks - Tasks to list (in order)
+ * @param {Function} props.onComplete - Called with the task when it is checked
+ * @param {Array} [props.cases] - Cases for the case label; omit to hide it
+ * @param {string} [props.today] - YYYY-MM-DD (defaults to today)
+ * @param {string} [props.label] - Accessible name of the list
+ * @returns {React.Element} TaskList component
+ */
+function TaskList({ tasks, onComplete, cases, today, label }) {
+  const caseLabel = (task) => {
+    if (!cases || task.caseId == null) return null;
+    const caseItem = cases.find((c) => String(c.id) === String(task.caseId));
+    return caseItem ? describeRecord('cases', caseItem) : null;
+  };
+
+  return (
+    <ul
+      aria-label={label}
+      className="divide-y divide-gray-700 text-sm"
+    >
+      {tasks.map((task) => {
+        const due = today ? describeDue(task, today) : describeDue(task);
+        const overdue = due.startsWith('Overdue');
+        const caseText = caseLabel(task);
+        return (
+          <li
+            key={task.id}
+            className="py-2 flex items-start gap-3"
+          >
+            <input
+              type="checkbox"
+              checked={false}
+              onChange={() => onComplete(task)}
+              aria-label={`Complete ${task.title}`}
+              className="mt-1 h-4 w-4 rounded"
+            />
+            <div className="flex-1">
+              <div className="text-gray-200">
+                {task.title}
+                {task.priority === 'High' && (
+                  <span className="ml-2 px-1.5 py-0.5 rounded text-xs bg-red-600 text-white">
+                    High
+                  </span>
+                )}
+              </div>
+              <div className="text-xs text-gray-400 space-x-2">
+                <span className={overdue ? 'text-red-400' : undefined}>
+                  {due}
+                </span>
+                {caseText && <span>· {caseText}</span>}
+                {task.assignee && <span>· {task.assignee}</span>}
+                {task.recurrence && task.recurrence !== 'none' && (
+                  <span>· ↻ {TASK_RECURRENCES[task.recurrence]}</span>
+                )}
+              </div>
+            </div>
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+TaskList.propTypes = {
+  tasks: PropTypes.array.isRequired,
+  onComplete: PropTypes.func.isRequired,
+  cases: PropTypes.array,
+  today: PropTypes.string,
+  label: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'TaskList', TaskList);
+
+export default TaskList;
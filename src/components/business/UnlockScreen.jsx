@@ -0,0 +1,118 @@
+/**
+ * UnlockScreen.jsx - Passphrase prompt for an encrypted data file
+ *
+ * Business component shown by NightingaleCMSApp over the whole app while the
+ * data file is encrypted and locked (at startup, or after another tab rotated the
+ * passphrase). Nothing is saved until the file is unlocked.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+
+/**
+ * UnlockScreen Component
+ *
+ * @param {Object} props - Component props
+ * @param {boolean} props.isOpen - Whether the data file is locked
+ * @param {Function} props.onUnlock - async (passphrase) => true when unlocked
+ * @param {string} [props.fileName] - Data file name shown to the user
+ * @returns {React.Element|null} UnlockScreen component
+ */
+function UnlockScreen({
+  isOpen,
+  onUnlock,
+  fileName = 'nightingale-data.json',
+}) {
+  const [passphrase, setPassphrase] = useState('');
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  const [error, setError] = useState(null);
+
+  if (!isOpen) return null;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setIsUnlocking(true);
+    setError(null);
+    try {
+      const unlocked = await onUnlock(passphrase);
+      if (unlocked) {
+        setPassphrase('');
+      } else {
+        setError('Incorrect passphrase');
+      }
+    } catch (err) {
+      setError(err.message || 'Unlock failed');
+    } finally {
+      setIsUnlocking(false);
+    }
+  };
+
+  return (
+    <div
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="unlock-screen-title"
+      className="fixed inset-0 z-50 flex items-center justify-center bg-gray-900"
+    >
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm space-y-4 p-6 bg-gray-800 rounded-lg border border-gray-700"
+      >
+        <h2
+          id="unlock-screen-title"
+          className="text-xl font-semibold text-white"
+        >
+          Unlock Data File
+        </h2>
+        <p className="text-sm text-gray-400">
+          {fileName} is encrypted. Enter the passphrase to open it.
+        </p>
+        <label className="text-sm text-gray-300 flex flex-col">
+          Passphrase
+          <input
+            type="password"
+            autoComplete="current-password"
+            aria-label="Passphrase"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            className="mt-1 bg-gray-700 text-white rounded px-2 py-1"
+          />
+        </label>
+        {error && (
+          <p
+            role="alert"
+            className="text-sm text-red-400"
+          >
+            {error}
+          </p>
+        )}
+        <button
+          type="submit"
+          disabled={!passphrase || isUnlocking}
+          className={`w-full px-4 py-2 rounded-lg font-medium transition-colors ${
+            !passphrase || isUnlocking
+              ? 'bg-gray-600 text-gray-400 cursor-not-allowed'
+              : 'bg-blue-600 hover:bg-blue-700 text-white'
+          }`}
+        >
+          {isUnlocking ? 'Unlocking…' : 'Unlock'}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+UnlockScreen.propTypes = {
+  isOpen: PropTypes.bool.isRequired,
+  onUnlock: PropTypes.func.isRequired,
+  fileName: PropTypes.string,
+};
+
+// Register with business registry
+registerComponent('business', 'UnlockScreen', UnlockScreen);
+
+export default UnlockScreen;
@@ -0,0 +1,136 @@
+/**
+ * ValidationPanel.jsx - Dataset schema validation report
+ *
+ * Business component embedded in SettingsModal. Shows the schema validation of the
+ * data as last loaded and saved by the file service, and validates the in-memory
+ * dataset on demand, listing each issue with its JSON path and severity.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { registerComponent } from '../../services/registry';
+import {
+  validateDataset,
+  describeValidation,
+} from '../../services/nightingale.validator.js';
+import { DATASET_SCHEMA_VERSION } from '../../services/nightingale.schema.js';
+
+const MAX_SHOWN_ISSUES = 100;
+
+const SEVERITY_CLASSES = {
+  error: 'text-red-400',
+  warning: 'text-yellow-300',
+};
+
+/**
+ * ValidationPanel Component
+ *
+ * @param {Object} props - Component props
+ * @param {Object} [props.fileService] - AutosaveFileService (getValidationReport)
+ * @param {Object} [props.currentData] - In-memory dataset validated on demand
+ * @returns {React.Element} ValidationPanel component
+ */
+function ValidationPanel({ fileService, currentData }) {
+  const [report, setReport] = useState(null);
+  const [filter, setFilter] = useState('all');
+
+  const stored = fileService?.getValidationReport?.() || {
+    load: null,
+    save: null,
+  };
+  const shown = report || stored.save || stored.load;
+  const issues = (shown?.issues || []).filter(
+    (issue) => filter === 'all' || issue.severity === filter,
+  );
+
+  const handleValidate = () => {
+    setReport(validateDataset(currentData));
+  };
+
+  return (
+    <section className="space-y-3 p-4 bg-gray-800 rounded-lg border border-gray-700">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-semibold text-white">Data Validation</h3>
+        <span className="text-xs text-gray-400">
+          Schema v{DATASET_SCHEMA_VERSION}
+        </span>
+      </div>
+      <dl className="grid grid-cols-2 gap-2 text-sm">
+        <dt className="text-gray-400">Last load</dt>
+        <dd className="text-gray-200">{describeValidation(stored.load)}</dd>
+        <dt className="text-gray-400">Last save</dt>
+        <dd className="text-gray-200">{describeValidation(stored.save)}</dd>
+      </dl>
+      <div className="flex items-center gap-3">
+        <button
+          onClick={handleValidate}
+          disabled={!currentData}
+          className={`px-3 py-2 rounded-lg text-sm font-medium transition-colors ${
+            currentData
+              ? 'bg-blue-600 hover:bg-blue-700 text-white'
+              : 'bg-gray-600 text-gray-400 cursor-not-allowed'
+          }`}
+        >
+          Validate Current Data
+        </button>
+        <label className="text-sm text-gray-300">
+          Show{' '}
+          <select
+            aria-label="Severity filter"
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            className="bg-gray-700 text-white rounded px-2 py-1"
+          >
+            <option value="all">All</option>
+            <option value="error">Errors</option>
+            <option value="warning">Warnings</option>
+          </select>
+        </label>
+      </div>
+      {shown && (
+        <div className="space-y-2">
+          <p
+            className={`text-sm ${shown.valid ? 'text-green-400' : 'text-red-400'}`}
+          >
+            {report ? 'Current data' : 'Last checked data'}:{' '}
+            {describeValidation(shown)}
+          </p>
+          {issues.length > 0 && (
+            <ul
+              aria-label="Validation issues"
+              className="max-h-64 overflow-y-auto text-xs font-mono space-y-1 bg-gray-900 rounded p-2"
+            >
+              {issues.slice(0, MAX_SHOWN_ISSUES).map((issue, index) => (
+                <li key={`${issue.path}-${issue.keyword}-${index}`}>
+                  <span className={SEVERITY_CLASSES[issue.severity]}>
+                    {issue.severity}
+                  </span>{' '}
+                  <span className="text-blue-300">{issue.path}</span>{' '}
+                  <span className="text-gray-300">{issue.message}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+          {(issues.length > MAX_SHOWN_ISSUES || shown.truncated) && (
+            <p className="text-xs text-gray-400">
+              Showing the first {Math.min(issues.length, MAX_SHOWN_ISSUES)}{' '}
+              issues.
+            </p>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+ValidationPanel.propTypes = {
+  fileService: PropTypes.object,
+  currentData: PropTypes.object,
+};
+
+// Register with business registry
+registerComponent('business', 'ValidationPanel', ValidationPanel);
+
+export default ValidationPanel;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState } from 'react';
 import PropTypes from 'prop-types';
 import { registerComponent } from '../../services/registry';
 
@@ -21,6 +21,10 @@ import { registerComponent } from '../../services/registry';
  * @param {Object} [props.autosaveStatus] - Autosave status object with status and message
  * @param {Function} [props.onSettingsClick] - Callback when settings button is clicked
  * @param {Function} [props.onManualSave] - Callback when manual save button is clicked
+ * @param {Object} [props.history] - Undo/redo entries ({ undo, redo }, newest first)
+ * @param {Function} [props.onUndo] - Undo the latest change (enables the undo controls)
+ * @param {Function} [props.onRedo] - Redo the latest undone change
+ * @param {Function} [props.onUndoTo] - Undo back to and including the entry with the given id
  * @returns {React.Element} Header component
  */
 function Header({
@@ -28,7 +32,15 @@ function Header({
   autosaveStatus,
   onSettingsClick,
   onManualSave,
+  history,
+  onUndo,
+  onRedo,
+  onUndoTo,
 }) {
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const undoEntries = history?.undo || [];
+  const redoEntries = history?.redo || [];
+
   // Local fallback button (no global window fallback)
   const PrimaryButton = function FallbackButton({ children, onClick, title }) {
     return (
@@ -67,9 +79,18 @@ function Header({
         return { text: 'Waiting', className: 'text-yellow-300', icon: '…' };
       case 'error':
         return { text: 'Error', className: 'text-red-400', icon: '⚠️' };
+      case 'conflict':
+        return { text: 'Conflict', className: 'text-orange-400', icon: '⚠️' };
+      case 'locked':
+        return { text: 'Locked', className: 'text-yellow-300', icon: '🔒' };
+      case 'recovery':
+        return { text: 'Recovery', className: 'text-yellow-300', icon: '⏸' };
       case 'initialized':
       case 'started':
+      case 'leader':
         return { text: 'Auto', className: 'text-green-400', icon: '🔄' };
+      case 'follower':
+        return { text: 'Synced', className: 'text-blue-300', icon: '🔗' };
       default:
         return { text: 'Manual', className: 'text-gray-400', icon: '⚙️' };
     }
@@ -80,6 +101,7 @@ function Header({
     !autosaveStatus ||
     autosaveStatus.status === 'error' ||
     autosaveStatus.status === 'stopped' ||
+    autosaveStatus.status === 'conflict' ||
     autosaveStatus.status === 'waiting';
 
   const getFileStatusText = () => {
@@ -175,6 +197,72 @@ function Header({
           </button>
         </div>
 
+        {/* Undo / Redo with history dropdown */}
+        {onUndo && (
+          <div className="relative flex items-center space-x-1 text-sm">
+            <button
+              className="px-2 py-1 rounded text-gray-200 hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+              onClick={onUndo}
+              disabled={undoEntries.length === 0}
+              title={
+                undoEntries.length > 0
+                  ? `Undo: ${undoEntries[0].label} (Ctrl+Z)`
+                  : 'Nothing to undo'
+              }
+              aria-label="Undo"
+            >
+              ↶
+            </button>
+            <button
+              className="px-2 py-1 rounded text-gray-200 hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+              onClick={onRedo}
+              disabled={!onRedo || redoEntries.length === 0}
+              title={
+                redoEntries.length > 0
+                  ? `Redo: ${redoEntries[0].label} (Ctrl+Shift+Z)`
+                  : 'Nothing to redo'
+              }
+              aria-label="Redo"
+            >
+              ↷
+            </button>
+            <button
+              className="px-2 py-1 rounded text-xs text-gray-300 hover:bg-gray-700 disabled:opacity-40 disabled:hover:bg-transparent"
+              onClick={() => setHistoryOpen((open) => !open)}
+              disabled={undoEntries.length === 0}
+              aria-haspopup="menu"
+              aria-expanded={historyOpen}
+            >
+              History ▾
+            </button>
+            {historyOpen && undoEntries.length > 0 && (
+              <ul
+                role="menu"
+                className="absolute right-0 top-full mt-1 w-72 max-h-80 overflow-y-auto bg-gray-700 rounded shadow-lg z-50 py-1"
+              >
+                {undoEntries.map((entry) => (
+                  <li key={entry.id}>
+                    <button
+                      role="menuitem"
+                      className="w-full text-left px-3 py-1.5 text-xs text-gray-100 hover:bg-gray-600"
+                      onClick={() => {
+                        setHistoryOpen(false);
+                        onUndoTo?.(entry.id);
+                      }}
+                      title="Undo back to before this change"
+                    >
+                      <span className="block truncate">{entry.label}</span>
+                      <span className="block text-gray-400">
+                        {new Date(entry.timestamp).toLocaleTimeString()}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         {/* Autosave Status Display */}
         <div
           className="flex items-center space-x-1.5"
@@ -220,6 +308,25 @@ Header.propTypes = {
   }),
   onSettingsClick: PropTypes.func,
   onManualSave: PropTypes.func,
+  history: PropTypes.shape({
+    undo: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        label: PropTypes.string.isRequired,
+        timestamp: PropTypes.number,
+      }),
+    ),
+    redo: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.number.isRequired,
+        label: PropTypes.string.isRequired,
+        timestamp: PropTypes.number,
+      }),
+    ),
+  }),
+  onUndo: PropTypes.func,
+  onRedo: PropTypes.func,
+  onUndoTo: PropTypes.func,
 };
 
 // Register component
@@ -63,6 +63,11 @@ function Sidebar({
       label: 'Eligibility',
       icon: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z',
     },
+    {
+      id: 'renewals',
+      label: 'Renewals',
+      icon: 'M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15',
+    },
   ];
 
   const renderTabButton = (tab) => {
@@ -341,6 +341,18 @@ function resolveComponents() {
       true,
     ),
     NotesModal: getRegistryComponent('NotesModal', null, ['business'], true),
+    DeleteImpactModal: getRegistryComponent(
+      'DeleteImpactModal',
+      null,
+      ['business'],
+      true,
+    ),
+    DuplicatePeopleModal: getRegistryComponent(
+      'DuplicatePeopleModal',
+      null,
+      ['business'],
+      true,
+    ),
   };
 }
 
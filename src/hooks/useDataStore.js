@@ -0,0 +1,96 @@
+/**
+ * useDataStore.js - React bindings for the Nightingale data store
+ *
+ * NightingaleCMSApp renders its tree inside <DataStoreProvider store={…}>; components
+ * read records with the hooks below instead of receiving `fullData`, and re-render
+ * only when the records they read change (see nightingale.store.js selectors).
+ *
+ * Outside a provider (standalone pages, component tests) the hooks return
+ * `undefined` and useStoreDispatch() returns null, so components that are still
+ * migrating can fall back to their `fullData` / `onUpdateData` props.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+import React, { createContext, useContext, useSyncExternalStore } from 'react';
+import PropTypes from 'prop-types';
+import {
+  selectCase,
+  selectCases,
+  selectData,
+  selectOrganizations,
+  selectPeople,
+  selectPerson,
+  selectTasks,
+  selectVrRequests,
+} from '../services/nightingale.store.js';
+
+export const DataStoreContext = createContext(null);
+
+const noSubscription = () => () => {};
+
+/**
+ * Provide a store (createDataStore()) to the component tree
+ */
+export function DataStoreProvider({ store, children }) {
+  return React.createElement(
+    DataStoreContext.Provider,
+    { value: store },
+    children,
+  );
+}
+
+DataStoreProvider.propTypes = {
+  store: PropTypes.shape({
+    getState: PropTypes.func.isRequired,
+    subscribe: PropTypes.func.isRequired,
+    dispatch: PropTypes.func.isRequired,
+  }),
+  children: PropTypes.node,
+};
+
+/** The store of the nearest provider, or null */
+export function useDataStore() {
+  return useContext(DataStoreContext);
+}
+
+/**
+ * Subscribe to a selector result: `selector(state)` must return the same value
+ * until its data changes (all selectors in nightingale.store.js do).
+ * @param {function(Object):*} selector
+ * @returns {*} Selector result, or undefined outside a provider
+ */
+export function useStoreSelector(selector) {
+  const store = useDataStore();
+  const getSnapshot = () => (store ? selector(store.getState()) : undefined);
+  return useSyncExternalStore(
+    store ? store.subscribe : noSubscription,
+    getSnapshot,
+  );
+}
+
+/** `store.dispatch`, or null outside a provider */
+export function useStoreDispatch() {
+  const store = useDataStore();
+  return store ? store.dispatch : null;
+}
+
+/** Whole dataset (`fullData` shape) */
+export const useStoreData = () => useStoreSelector(selectData);
+
+// Records not in the Recycle Bin
+export const useCases = () => useStoreSelector(selectCases);
+export const usePeople = () => useStoreSelector(selectPeople);
+export const useOrganizations = () => useStoreSelector(selectOrganizations);
+export const useVrRequests = () => useStoreSelector(selectVrRequests);
+export const useTasks = () => useStoreSelector(selectTasks);
+
+/** One case by id (null when missing) */
+export function useCase(id) {
+  return useStoreSelector((state) => selectCase(state, id));
+}
+
+/** One person by id (null when missing) */
+export function usePerson(id) {
+  return useStoreSelector((state) => selectPerson(state, id));
+}
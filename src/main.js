@@ -25,7 +25,17 @@ import './components/business/CasesTab.jsx';
 import './components/business/PeopleTab.jsx';
 import './components/business/OrganizationsTab.jsx';
 import './components/business/EligibilityTab.jsx';
+import './components/business/RenewalsTab.jsx';
+import './components/business/AuditHistorySection.jsx';
+import './components/business/CaseTasksSection.jsx';
+import './components/business/MyTasksPanel.jsx';
+import './components/business/DeadlineBanner.jsx';
+import './components/business/CaseChecklistSection.jsx';
+import './components/business/CaseRenewalSection.jsx';
+import './components/business/AttachmentsSection.jsx';
 import './components/business/AvsImportModal.jsx';
+import './components/business/DeleteImpactModal.jsx';
+import './components/business/DuplicatePeopleModal.jsx';
 import './components/business/CaseCreationModal.jsx';
 import './components/business/CaseDetailsView.jsx';
 import './components/business/FinancialItemCard.jsx';
@@ -36,6 +46,18 @@ import './components/business/OrganizationModal.jsx';
 import './components/business/PersonCreationModal.jsx';
 import './components/business/PersonDetailsView.jsx';
 import './components/business/BugReportModal.jsx';
+import './components/business/ConflictResolutionModal.jsx';
+import './components/business/BackupsPanel.jsx';
+import './components/business/RecycleBinPanel.jsx';
+import './components/business/CaseWorkflowPanel.jsx';
+import './components/business/DeadlinesPanel.jsx';
+import './components/business/RenewalsPanel.jsx';
+import './components/business/FrequencyFactorsPanel.jsx';
+import './components/business/ChecklistTemplatesPanel.jsx';
+import './components/business/EncryptionPanel.jsx';
+import './components/business/ValidationPanel.jsx';
+import './components/business/UnlockScreen.jsx';
+import './components/business/PendingChangesBanner.jsx';
 
 // Import the root app last so all dependencies are registered
 import NightingaleCMSApp from './components/business/NightingaleCMSApp.jsx';
@@ -70,7 +92,9 @@ function initializeProviders() {
     }
 
     // Create autosave-enabled file service instance
+    // Storage adapter comes from Settings ('auto' picks the best supported one)
     const fileService = new AutosaveFileService({
+      adapter: 'auto',
       errorCallback: (msg, type = 'error') => Toast.showToast?.(msg, type),
     });
     // Provide to services via provider
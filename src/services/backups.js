@@ -0,0 +1,275 @@
+/**
+ * backups.js
+ * Timestamped backup files (nightingale-data.backup-<ts>.json) in the connected data folder:
+ * naming, listing, retention pruning, summaries/diffs for the Backups panel, and restore.
+ *
+ * Works against any file service exposing listFiles / readNamedFile / writeNamedFile /
+ * removeNamedFile / writeFile (AutosaveFileService).
+ */
+
+import { ensureStringId } from './nightingale.datamanagement.js';
+
+export const BACKUP_PREFIX = 'nightingale-data.backup-';
+
+const BACKUP_NAME_PATTERN =
+  /^nightingale-data\.backup-(\d{4}-\d{2}-\d{2}T\d{2})-(\d{2})-(\d{2}(?:\.\d+)?Z)\.json$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Collections compared by id in summaries and diffs */
+const DIFF_COLLECTIONS = {
+  cases: (c) => c.mcn || c.clientName || ensureStringId(c.id),
+  people: (p) => p.name || ensureStringId(p.id),
+  organizations: (o) => o.name || ensureStringId(o.id),
+};
+
+/**
+ * Backup file name for a point in time (colons are not allowed in file names).
+ * @param {Date} [date]
+ * @returns {string}
+ */
+export function backupFileName(date = new Date()) {
+  return `${BACKUP_PREFIX}${date.toISOString().replace(/[:]/g, '-')}.json`;
+}
+
+/**
+ * Recover the timestamp from a backup file name.
+ * @param {string} name
+ * @returns {Date|null}
+ */
+export function parseBackupDate(name) {
+  const m = BACKUP_NAME_PATTERN.exec(name || '');
+  if (!m) return null;
+  const date = new Date(`${m[1]}:${m[2]}:${m[3]}`);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * List backups in the connected directory, newest first.
+ * @param {Object} fileService
+ * @returns {Promise<Array<{name:string, date:Date, size:number|null}>>}
+ */
+export async function listBackups(fileService) {
+  if (typeof fileService?.listFiles !== 'function') return [];
+  const files = await fileService.listFiles(BACKUP_PREFIX);
+  return files
+    .map((f) => ({
+      name: f.name,
+      size: f.size ?? null,
+      date: parseBackupDate(f.name),
+    }))
+    .filter((b) => b.date)
+    .sort((a, b) => b.date - a.date);
+}
+
+/**
+ * Decide which backups a retention policy keeps.
+ * A backup is kept when it is one of the `keepLast` newest, the newest of its
+ * day within `dailyDays`, or the newest of its month within `monthlyMonths`.
+ *
+ * @param {Array<{name:string, date:Date}>} backups
+ * @param {{keepLast?:number, dailyDays?:number, monthlyMonths?:number}} policy
+ * @param {Date} [now]
+ * @returns {{ keep:string[], prune:string[] }}
+ */
+export function selectBackupsToPrune(backups, policy = {}, now = new Date()) {
+  const { keepLast = 0, dailyDays = 0, monthlyMonths = 0 } = policy;
+  const sorted = [...(backups || [])]
+    .filter((b) => b?.date)
+    .sort((a, b) => b.date - a.date);
+  const nowMonth = now.getUTCFullYear() * 12 + now.getUTCMonth();
+
+  const keep = new Set();
+  const seenDays = new Set();
+  const seenMonths = new Set();
+
+  sorted.forEach((backup, index) => {
+    if (index < keepLast) keep.add(backup.name);
+
+    const day = backup.date.toISOString().slice(0, 10);
+    if (now - backup.date < dailyDays * DAY_MS && !seenDays.has(day)) {
+      seenDays.add(day);
+      keep.add(backup.name);
+    }
+
+    const month = backup.date.toISOString().slice(0, 7);
+    const monthsAgo =
+      nowMonth -
+      (backup.date.getUTCFullYear() * 12 + backup.date.getUTCMonth());
+    if (monthsAgo < monthlyMonths && !seenMonths.has(month)) {
+      seenMonths.add(month);
+      keep.add(backup.name);
+    }
+  });
+
+  return {
+    keep: sorted.filter((b) => keep.has(b.name)).map((b) => b.name),
+    prune: sorted.filter((b) => !keep.has(b.name)).map((b) => b.name),
+  };
+}
+
+/**
+ * Remove backups the policy does not keep.
+ * @returns {Promise<{ kept:string[], removed:string[] }>}
+ */
+export async function applyBackupRetention(
+  fileService,
+  policy,
+  now = new Date(),
+) {
+  if (typeof fileService?.removeNamedFile !== 'function') {
+    return { kept: [], removed: [] };
+  }
+  const backups = await listBackups(fileService);
+  const { keep, prune } = selectBackupsToPrune(backups, policy, now);
+  const removed = [];
+  for (const name of prune) {
+    if (await fileService.removeNamedFile(name)) removed.push(name);
+  }
+  if (removed.length > 0) {
+    const logger = globalThis.NightingaleLogger?.get('backups:retention');
+    logger?.info('Pruned backups', {
+      removed: removed.length,
+      kept: keep.length,
+    });
+  }
+  return { kept: keep, removed };
+}
+
+/**
+ * Entity counts for a dataset (cases, people, organizations, financial items, notes, VR requests).
+ * @param {Object} data
+ * @returns {Object}
+ */
+export function summarizeDataset(data) {
+  const cases = Array.isArray(data?.cases) ? data.cases : [];
+  return {
+    cases: cases.length,
+    people: Array.isArray(data?.people) ? data.people.length : 0,
+    organizations: Array.isArray(data?.organizations)
+      ? data.organizations.length
+      : 0,
+    financialItems: cases.reduce(
+      (sum, c) =>
+        sum +
+        ['resources', 'income', 'expenses'].reduce(
+          (n, k) => n + (c.financials?.[k]?.length || 0),
+          0,
+        ),
+      0,
+    ),
+    notes: cases.reduce((sum, c) => sum + (c.notes?.length || 0), 0),
+    vrRequests: Array.isArray(data?.vrRequests) ? data.vrRequests.length : 0,
+  };
+}
+
+/**
+ * Compare two datasets by record id per collection.
+ * `added` are records only in `other`, `removed` only in `current`.
+ *
+ * @param {Object} current
+ * @param {Object} other
+ * @returns {Object<string, {added:Array, removed:Array, changed:Array}>} entries are { id, label }
+ */
+export function diffDatasets(current, other) {
+  const result = {};
+  Object.entries(DIFF_COLLECTIONS).forEach(([key, labelOf]) => {
+    const a = new Map(
+      (current?.[key] || []).map((r) => [ensureStringId(r.id), r]),
+    );
+    const b = new Map(
+      (other?.[key] || []).map((r) => [ensureStringId(r.id), r]),
+    );
+    const entry = (id, r) => ({ id, label: labelOf(r) });
+    result[key] = {
+      added: [...b].filter(([id]) => !a.has(id)).map(([id, r]) => entry(id, r)),
+      removed: [...a]
+        .filter(([id]) => !b.has(id))
+        .map(([id, r]) => entry(id, r)),
+      changed: [...b]
+        .filter(
+          ([id, r]) =>
+            a.has(id) && JSON.stringify(a.get(id)) !== JSON.stringify(r),
+        )
+        .map(([id, r]) => entry(id, r)),
+    };
+  });
+  return result;
+}
+
+/**
+ * Write a new timestamped backup of `data` and apply retention.
+ * @returns {Promise<{ created:boolean, name:string }>}
+ */
+export async function createBackup(fileService, data, policy) {
+  const name = backupFileName();
+  const created = !!(await fileService?.writeNamedFile?.(name, data));
+  if (created && policy) {
+    await applyBackupRetention(fileService, policy);
+  }
+  return { created, name };
+}
+
+/**
+ * Restore a backup over the primary data file. A fresh backup of the current
+ * data is written first; the restore is aborted if that safety backup fails.
+ *
+ * @param {Object} fileService
+ * @param {string} name - Backup file to restore
+ * @param {Object} [currentData] - Current dataset (read from disk when omitted)
+ * @returns {Promise<{ restored:boolean, data:Object|null, safetyBackup:string|null, reason?:string }>}
+ */
+export async function restoreBackup(fileService, name, currentData) {
+  const data = await fileService.readNamedFile(name);
+  if (!data) {
+    return {
+      restored: false,
+      data: null,
+      safetyBackup: null,
+      reason: 'missing',
+    };
+  }
+
+  const current =
+    currentData || (await fileService.readNamedFile(fileService.fileName));
+  let safetyBackup = null;
+  if (current) {
+    const backup = await createBackup(fileService, current);
+    if (!backup.created) {
+      return {
+        restored: false,
+        data: null,
+        safetyBackup: null,
+        reason: 'backup-failed',
+      };
+    }
+    safetyBackup = backup.name;
+  }
+
+  const written = await fileService.writeFile(data);
+  if (!written) {
+    return {
+      restored: false,
+      data: null,
+      safetyBackup,
+      reason: 'write-failed',
+    };
+  }
+
+  const logger = globalThis.NightingaleLogger?.get('backups:restore');
+  logger?.info('Backup restored', { name, safetyBackup });
+  return { restored: true, data, safetyBackup };
+}
+
+export default {
+  BACKUP_PREFIX,
+  backupFileName,
+  parseBackupDate,
+  listBackups,
+  selectBackupsToPrune,
+  applyBackupRetention,
+  summarizeDataset,
+  diffDatasets,
+  createBackup,
+  restoreBackup,
+};
@@ -17,6 +17,8 @@
  * @author Nightingale CMS Team
  */
 
+import { financialTotals } from './nightingale.financials.js';
+
 /**
  * CMS Business Utilities Service
  */
@@ -108,20 +110,9 @@ class NightingaleCMSUtilities {
       (o) => o.id === caseObject.organizationId,
     );
 
-    // Calculate financial totals
+    // Calculate financial totals (income and expenses as monthly equivalents)
     const flatFinancials = this.getFlatFinancials(caseObject);
-    const totalResources = (caseObject.financials?.resources || []).reduce(
-      (sum, item) => sum + (parseFloat(item.value) || 0),
-      0,
-    );
-    const totalIncome = (caseObject.financials?.income || []).reduce(
-      (sum, item) => sum + (parseFloat(item.value) || 0),
-      0,
-    );
-    const totalExpenses = (caseObject.financials?.expenses || []).reduce(
-      (sum, item) => sum + (parseFloat(item.value) || 0),
-      0,
-    );
+    const totals = financialTotals(caseObject);
 
     // Count notes by category
     const noteCategories = this.getUniqueNoteCategories(caseObject);
@@ -168,10 +159,15 @@ class NightingaleCMSUtilities {
       // Financial summary
       financials: {
         totalItems: flatFinancials.length,
-        totalResources: totalResources,
-        totalIncome: totalIncome,
-        totalExpenses: totalExpenses,
-        netWorth: totalResources - totalExpenses,
+        totalResources: totals.resources,
+        totalIncome: totals.income,
+        totalExpenses: totals.expenses,
+        // Countable resources; expenses are monthly and are not subtracted
+        netWorth: totals.resources,
+        monthlyNet: totals.net,
+        oneTimeIncome: totals.oneTime.income,
+        oneTimeExpenses: totals.oneTime.expenses,
+        byOwner: totals.byOwner,
         resourcesCount: (caseObject.financials?.resources || []).length,
         incomeCount: (caseObject.financials?.income || []).length,
         expensesCount: (caseObject.financials?.expenses || []).length,
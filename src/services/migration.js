@@ -1,14 +1,20 @@
 /**
  * migration.js
  * Legacy detection + full migration orchestration wrapper.
- * UI can call detectLegacyProfile() for a preview, then runFullMigration() to transform.
+ * UI can call detectLegacyProfile() / previewMigrations() for a preview, then
+ * runFullMigration() to transform and writeWithBackup() to save.
  */
 
 import {
-  normalizeDataMigrations,
+  DATA_MIGRATIONS,
   ensureStringId,
 } from './nightingale.datamanagement.js';
 import { normalizeDataset } from './dataFixes.js';
+import { planMigrations, runMigrations } from './nightingale.migrations.js';
+import { recordChanges } from './nightingale.audit.js';
+import { getWorkerName } from './settings.js';
+
+export { writeWithBackup } from './nightingale.migrations.js';
 
 /**
  * Inspect a raw dataset and return legacy indicators.
@@ -27,6 +33,7 @@ export function detectLegacyProfile(data) {
     financialTypeWithoutDescription: false,
     missingMetadata: false,
     casePersonIdNumeric: false,
+    pendingMigrations: false,
   };
 
   const summary = [];
@@ -80,26 +87,60 @@ export function detectLegacyProfile(data) {
   indicators.missingMetadata = !data.metadata || !data.metadata.schemaVersion;
   if (indicators.missingMetadata) summary.push('missing metadata');
 
+  // versioned migrations not applied yet
+  const plan = planMigrations(data, DATA_MIGRATIONS);
+  indicators.pendingMigrations = plan.steps.length > 0;
+  if (indicators.pendingMigrations) {
+    summary.push(
+      `schema ${plan.fromVersion} → ${plan.steps[plan.steps.length - 1].to}`,
+    );
+  }
+
   const isLegacy = Object.values(indicators).some((v) => v === true);
 
   return { isLegacy, indicators, summary };
 }
 
 /**
- * Run full migration pipeline (normalize + optional fixers) and produce a report.
+ * Dry run of the pending schema migrations: versions and per-step change counts.
+ * @param {Object} data
+ * @returns {{ fromVersion:string, toVersion:string, unknownVersion:boolean,
+ *   steps:Array<{ id, name, from, to, changes }> }}
+ */
+export function previewMigrations(data) {
+  const { fromVersion, toVersion, unknownVersion, steps } = runMigrations(
+    data || {},
+    DATA_MIGRATIONS,
+    { dryRun: true },
+  );
+  return { fromVersion, toVersion, unknownVersion, steps };
+}
+
+/**
+ * Run full migration pipeline (schema migrations + optional fixers) and produce a report.
+ * With `dryRun` only the report is produced; `migratedData` is then the unchanged input.
+ * Otherwise the changed fields are added to the audit trail with source 'migration'.
  * @param {Object} rawData
- * @param {{ applyFixes?: boolean }} [options]
+ * @param {{ applyFixes?: boolean, dryRun?: boolean, actor?: string }} [options]
  * @returns {Promise<{ migratedData:Object, report:Object }>}
  */
 export async function runFullMigration(rawData, options = {}) {
-  const { applyFixes = true } = options;
+  const {
+    applyFixes = true,
+    dryRun = false,
+    actor = getWorkerName(),
+  } = options;
   const before = rawData ? JSON.parse(JSON.stringify(rawData)) : rawData;
   const detection = detectLegacyProfile(before);
 
-  const migratedData = await normalizeDataMigrations(before);
+  const migration =
+    before && Object.keys(before).length > 0
+      ? runMigrations(before, DATA_MIGRATIONS, { dryRun })
+      : null;
+  let migratedData = migration ? migration.data : before;
 
   let normalizationResult = { changed: 0, summary: {} };
-  if (applyFixes) {
+  if (applyFixes && !dryRun) {
     normalizationResult = await normalizeDataset(migratedData, null, false);
     // Use potentially updated data (people/cases) after normalization step
     if (normalizationResult.changed) {
@@ -107,6 +148,13 @@ export async function runFullMigration(rawData, options = {}) {
     }
   }
 
+  if (migration && !dryRun) {
+    migratedData = recordChanges(before, migratedData, {
+      actor,
+      source: 'migration',
+    });
+  }
+
   // orphan personId warnings
   let orphanCasePersonIds = [];
   if (Array.isArray(migratedData.cases)) {
@@ -122,6 +170,14 @@ export async function runFullMigration(rawData, options = {}) {
     legacyDetected: detection.isLegacy,
     indicators: detection.indicators,
     appliedTransforms: detection.summary,
+    migrations: migration
+      ? {
+          fromVersion: migration.fromVersion,
+          toVersion: migration.toVersion,
+          unknownVersion: migration.unknownVersion,
+          steps: migration.steps,
+        }
+      : null,
     counts: {
       before: {
         cases: before?.cases?.length || 0,
@@ -150,4 +206,4 @@ export async function runFullMigration(rawData, options = {}) {
   return { migratedData, report };
 }
 
-export default { detectLegacyProfile, runFullMigration };
+export default { detectLegacyProfile, previewMigrations, runFullMigration };
@@ -0,0 +1,336 @@
+/**
+ * Nightingale CMS Case Attachments
+ *
+ * Files attached to a case, one of its financial items or one of its VR requests.
+ * The file itself is copied into the connected data folder under
+ * `attachments/<caseId>/` (see AutosaveFileService.writeBlobFile); the dataset's
+ * top-level `attachments` list holds the metadata: name, MIME type, size, SHA-256
+ * hash, linked entity, path and upload date. Attachment files are stored as-is,
+ * so no files can be attached while the data file is encrypted; files attached
+ * before encryption was turned on stay readable (and unencrypted).
+ *
+ * Removing an attachment moves its record to the Recycle Bin and keeps the file,
+ * so it can be restored. Once the record is purged the file is an orphan: a file
+ * under `attachments/` no record points to. findOrphans() lists those (and records
+ * whose file went missing); removeOrphanFiles() deletes them.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import {
+  ensureStringId,
+  generateSecureId,
+} from './nightingale.datamanagement.js';
+import { isDeleted } from './nightingale.recyclebin.js';
+
+export const ATTACHMENT_FOLDER = 'attachments';
+
+/** Entity types an attachment can be linked to, with their display names */
+export const ATTACHMENT_ENTITY_TYPES = {
+  case: 'Case',
+  financialItem: 'Financial item',
+  vrRequest: 'VR request',
+};
+
+const FINANCIAL_GROUPS = ['resources', 'income', 'expenses'];
+
+function attachmentError(message) {
+  const error = new Error(message);
+  error.name = 'AttachmentError';
+  return error;
+}
+
+const sameId = (a, b) =>
+  a != null && b != null && ensureStringId(a) === ensureStringId(b);
+
+/**
+ * Why files cannot be attached through a file service, or null when they can
+ * @param {Object} fileService - AutosaveFileService
+ * @returns {string|null}
+ */
+export function attachmentUnavailableReason(fileService) {
+  if (!fileService?.supportsBlobFiles?.()) {
+    return 'Connect a data folder to store attachments';
+  }
+  if (fileService.getEncryptionStatus?.().encrypted) {
+    return 'Attachments cannot be added while the data file is encrypted, because attachment files are stored unencrypted';
+  }
+  return null;
+}
+
+/**
+ * File name safe for every storage backend (no path separators or reserved characters)
+ * @param {string} name
+ * @returns {string}
+ */
+export function safeFileName(name) {
+  const cleaned = String(name || '')
+    .replace(/[^\w.\- ]+/g, '_')
+    .replace(/^[.\s]+/, '')
+    .trim()
+    .slice(-100);
+  return cleaned || 'file';
+}
+
+/**
+ * Storage path of an attachment file, e.g. "attachments/case-1/att-2-scan.pdf"
+ * @param {string|number} caseId
+ * @param {string} attachmentId
+ * @param {string} name - Original file name
+ * @returns {string}
+ */
+export function attachmentPath(caseId, attachmentId, name) {
+  return [
+    ATTACHMENT_FOLDER,
+    safeFileName(ensureStringId(caseId)),
+    `${attachmentId}-${safeFileName(name)}`,
+  ].join('/');
+}
+
+async function blobBuffer(blob) {
+  if (typeof blob.arrayBuffer === 'function') return blob.arrayBuffer();
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * SHA-256 of a file's contents as lowercase hex
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+export async function hashBlob(blob) {
+  const digest = await globalThis.crypto.subtle.digest(
+    'SHA-256',
+    new Uint8Array(await blobBuffer(blob)),
+  );
+  return [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, '0'))
+    .join('');
+}
+
+/**
+ * How an attachment can be previewed in the browser
+ * @param {Object} attachment
+ * @returns {'image'|'pdf'|null}
+ */
+export function previewKind(attachment) {
+  const type = String(attachment?.type || '').toLowerCase();
+  if (type.startsWith('image/')) return 'image';
+  if (type === 'application/pdf') return 'pdf';
+  return null;
+}
+
+/**
+ * Human-readable file size, e.g. "12.5 KB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+export function formatFileSize(bytes) {
+  const size = Number(bytes) || 0;
+  if (size < 1024) return `${size} B`;
+  if (size < 1024 * 1024) return `${(size / 1024).toFixed(1)} KB`;
+  return `${(size / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+/**
+ * Records a case's files can be attached to: the case, its financial items and
+ * its VR requests
+ * @param {Object} data - Dataset
+ * @param {Object} caseItem
+ * @returns {Array<{ entityType:string, entityId:string, label:string }>}
+ */
+export function attachmentTargets(data, caseItem) {
+  if (!caseItem) return [];
+  const caseLabel = caseItem.mcn ? `Case MCN ${caseItem.mcn}` : 'Case';
+  const targets = [
+    {
+      entityType: 'case',
+      entityId: ensureStringId(caseItem.id),
+      label: caseLabel,
+    },
+  ];
+  FINANCIAL_GROUPS.forEach((group) => {
+    (caseItem.financials?.[group] || []).forEach((item) => {
+      if (item?.id == null) return;
+      targets.push({
+        entityType: 'financialItem',
+        entityId: ensureStringId(item.id),
+        label: `${item.description || item.type || 'Financial item'} (${group})`,
+      });
+    });
+  });
+  (data?.vrRequests || [])
+    .filter((vr) => !isDeleted(vr) && sameId(vr.caseId, caseItem.id))
+    .forEach((vr) => {
+      targets.push({
+        entityType: 'vrRequest',
+        entityId: ensureStringId(vr.id),
+        label: `VR: ${vr.title || vr.id}`,
+      });
+    });
+  return targets;
+}
+
+/**
+ * Attachments of a case not in the Recycle Bin, newest first
+ * @param {Object} data - Dataset
+ * @param {string|number} caseId
+ * @returns {Array<Object>}
+ */
+export function caseAttachments(data, caseId) {
+  return (data?.attachments || [])
+    .filter((item) => !isDeleted(item) && sameId(item.caseId, caseId))
+    .sort((a, b) => String(b.uploadedAt).localeCompare(String(a.uploadedAt)));
+}
+
+/**
+ * Copy a file into the data folder and add its record to the dataset.
+ *
+ * @param {Object} fileService - AutosaveFileService
+ * @param {Object} data - Dataset (not mutated)
+ * @param {File|Blob} file
+ * @param {Object} options
+ * @param {string|number} options.caseId
+ * @param {string} [options.entityType='case'] - Key of ATTACHMENT_ENTITY_TYPES
+ * @param {string|number} [options.entityId] - Defaults to the case id
+ * @param {string} [options.actor]
+ * @param {string} [options.timestamp]
+ * @returns {Promise<{ data:Object, attachment:Object }>}
+ * @throws {Error} name 'AttachmentError' when storage cannot hold files, the data
+ *   file is encrypted, the entity type is unknown, the same file is already
+ *   attached to the entity or the write fails
+ */
+export async function addAttachment(fileService, data, file, options = {}) {
+  const {
+    caseId,
+    entityType = 'case',
+    entityId = caseId,
+    actor = null,
+    timestamp = new Date().toISOString(),
+  } = options;
+  const unavailable = attachmentUnavailableReason(fileService);
+  if (unavailable) {
+    throw attachmentError(unavailable);
+  }
+  if (caseId == null || caseId === '') {
+    throw attachmentError('An attachment needs a case');
+  }
+  if (!(entityType in ATTACHMENT_ENTITY_TYPES)) {
+    throw attachmentError(`Unknown attachment target: ${entityType}`);
+  }
+
+  const name = String(file?.name || 'file');
+  const hash = await hashBlob(file);
+  const duplicate = (data?.attachments || []).find(
+    (item) =>
+      !isDeleted(item) &&
+      item.hash === hash &&
+      item.entityType === entityType &&
+      sameId(item.entityId, entityId),
+  );
+  if (duplicate) {
+    throw attachmentError(
+      `"${name}" is already attached as "${duplicate.name}"`,
+    );
+  }
+
+  const id = generateSecureId('att');
+  const path = attachmentPath(caseId, id, name);
+  if (!(await fileService.writeBlobFile(path, file))) {
+    throw attachmentError(`Could not save "${name}" to the data folder`);
+  }
+
+  const attachment = {
+    id,
+    caseId: ensureStringId(caseId),
+    entityType,
+    entityId: ensureStringId(entityId),
+    name,
+    type: file.type || 'application/octet-stream',
+    size: file.size ?? 0,
+    hash,
+    path,
+    uploadedAt: timestamp,
+    uploadedBy: actor || null,
+  };
+  return {
+    data: { ...data, attachments: [...(data?.attachments || []), attachment] },
+    attachment,
+  };
+}
+
+/**
+ * Contents of an attachment
+ * @param {Object} fileService - AutosaveFileService
+ * @param {Object} attachment
+ * @returns {Promise<Blob>}
+ * @throws {Error} name 'AttachmentError' when the file is missing
+ */
+export async function readAttachment(fileService, attachment) {
+  const blob = await fileService?.readBlobFile?.(attachment.path);
+  if (!blob) {
+    throw attachmentError(
+      `"${attachment.name}" is missing from the data folder`,
+    );
+  }
+  return blob;
+}
+
+/**
+ * Files under `attachments/` without a record, and records without a file.
+ * Records in the Recycle Bin still own their file.
+ *
+ * @param {Object} fileService - AutosaveFileService
+ * @param {Object} data - Dataset
+ * @returns {Promise<{ orphanFiles:Array<{ path, size, lastModified }>,
+ *   missingFiles:Array<Object> }>}
+ */
+export async function findOrphans(fileService, data) {
+  const files = await fileService.listBlobFiles(ATTACHMENT_FOLDER);
+  const records = data?.attachments || [];
+  const recordPaths = new Set(records.map((item) => item.path));
+  const filePaths = new Set(files.map((file) => file.path));
+  return {
+    orphanFiles: files.filter((file) => !recordPaths.has(file.path)),
+    missingFiles: records.filter(
+      (item) => !isDeleted(item) && !filePaths.has(item.path),
+    ),
+  };
+}
+
+/**
+ * Delete orphaned attachment files
+ * @param {Object} fileService - AutosaveFileService
+ * @param {Array<{ path:string }>} orphanFiles - From findOrphans()
+ * @returns {Promise<number>} Files removed
+ */
+export async function removeOrphanFiles(fileService, orphanFiles) {
+  let removed = 0;
+  for (const file of orphanFiles) {
+    if (!String(file.path).startsWith(`${ATTACHMENT_FOLDER}/`)) continue;
+    if (await fileService.removeBlobFile(file.path)) removed += 1;
+  }
+  return removed;
+}
+
+export default {
+  ATTACHMENT_FOLDER,
+  ATTACHMENT_ENTITY_TYPES,
+  attachmentUnavailableReason,
+  safeFileName,
+  attachmentPath,
+  hashBlob,
+  previewKind,
+  formatFileSize,
+  attachmentTargets,
+  caseAttachments,
+  addAttachment,
+  readAttachment,
+  findOrphans,
+  removeOrphanFiles,
+};
@@ -0,0 +1,325 @@
+/**
+ * Nightingale CMS Audit Trail
+ *
+ * Field-level record of every change to cases, people, organizations, financial
+ * items, notes, VR requests, tasks and attachments. Entries are computed by comparing the dataset before
+ * and after a change and are stored in the dataset itself (`auditLog`), so they are
+ * saved, backed up and synced with the data they describe.
+ *
+ * Each entry names who made the change (worker name from Settings), when, which
+ * entity and field, the old and new value, and the action that caused it (`source`).
+ * Records are matched by id; a new record is one `created` entry rather than one
+ * entry per field. Moving a record to the Recycle Bin and back is one `deleted` /
+ * `restored` entry, and removing it for good is one `purged` entry. A person merge
+ * adds one `merged` entry on the person kept.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { ensureStringId } from './nightingale.datamanagement.js';
+
+/** Actions that cause a change, with their display names */
+export const AUDIT_SOURCES = {
+  manual: 'Manual edit',
+  'avs-import': 'AVS import',
+  migration: 'Migration',
+  'vr-status': 'VR status change',
+  undo: 'Undo/redo',
+  'recycle-bin': 'Recycle Bin',
+  retention: 'Recycle Bin retention',
+  merge: 'Person merge',
+  renewal: 'Renewal cycle',
+};
+
+/** Entity types with their display names */
+export const AUDIT_ENTITY_TYPES = {
+  case: 'Case',
+  person: 'Person',
+  organization: 'Organization',
+  financialItem: 'Financial item',
+  note: 'Note',
+  vrRequest: 'VR request',
+  task: 'Task',
+  attachment: 'Attachment',
+};
+
+const COLLECTIONS = {
+  cases: 'case',
+  people: 'person',
+  organizations: 'organization',
+  vrRequests: 'vrRequest',
+  tasks: 'task',
+  attachments: 'attachment',
+};
+
+const FINANCIAL_GROUPS = ['resources', 'income', 'expenses'];
+
+// Bookkeeping fields that change with every save and nested lists audited on their own
+const IGNORED_FIELDS = new Set([
+  'id',
+  'updatedDate',
+  'modifiedDate',
+  'lastUpdated',
+  'updatedAt',
+  'deletedAt',
+  'deletedBy',
+  'deletedWith',
+]);
+const CASE_NESTED_FIELDS = new Set(['financials', 'notes']);
+
+let sequence = 0;
+
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function indexById(list) {
+  const map = new Map();
+  (Array.isArray(list) ? list : []).forEach((item) => {
+    if (item && item.id != null) map.set(ensureStringId(item.id), item);
+  });
+  return map;
+}
+
+function entityLabel(type, record) {
+  switch (type) {
+    case 'case':
+      return record.mcn ? `MCN ${record.mcn}` : ensureStringId(record.id);
+    case 'financialItem':
+      return (
+        [record.description || record.type, record.location]
+          .filter(Boolean)
+          .join(' - ') || ensureStringId(record.id)
+      );
+    case 'note':
+      return record.category || 'Note';
+    default:
+      return (
+        record.name ||
+        [record.firstName, record.lastName].filter(Boolean).join(' ') ||
+        record.title ||
+        ensureStringId(record.id)
+      );
+  }
+}
+
+/**
+ * Entries for one list of records matched by id
+ * @param {Array} prev
+ * @param {Array} next
+ * @param {string} type - Entity type
+ * @param {function(Object):Object} context - Extra entity fields (caseId, personId, group)
+ * @param {function(Object, Object):Array} [nested] - Entries for nested lists of an updated record
+ */
+function diffRecords(prev, next, type, context, nested) {
+  if (prev === next) return [];
+  const before = indexById(prev);
+  const after = indexById(next);
+  const changes = [];
+  const entity = (record) => ({
+    entityType: type,
+    entityId: ensureStringId(record.id),
+    label: entityLabel(type, record),
+    ...context(record),
+  });
+
+  after.forEach((record, id) => {
+    const previous = before.get(id);
+    if (!previous) {
+      changes.push({ ...entity(record), action: 'created', field: null });
+      return;
+    }
+    if (previous === record) return;
+    if (!!previous.deletedAt !== !!record.deletedAt) {
+      changes.push({
+        ...entity(record),
+        action: record.deletedAt ? 'deleted' : 'restored',
+        field: null,
+      });
+    }
+    Object.keys({ ...previous, ...record }).forEach((field) => {
+      if (IGNORED_FIELDS.has(field)) return;
+      if (nested && CASE_NESTED_FIELDS.has(field)) return;
+      if (same(previous[field], record[field])) return;
+      changes.push({
+        ...entity(record),
+        action: 'updated',
+        field,
+        oldValue: previous[field] ?? null,
+        newValue: record[field] ?? null,
+      });
+    });
+    if (nested) changes.push(...nested(previous, record));
+  });
+  before.forEach((record, id) => {
+    if (!after.has(id)) {
+      changes.push({ ...entity(record), action: 'purged', field: null });
+    }
+  });
+  return changes;
+}
+
+function diffCaseContents(prev, next) {
+  const caseId = ensureStringId(next.id);
+  const changes = [];
+  FINANCIAL_GROUPS.forEach((group) => {
+    changes.push(
+      ...diffRecords(
+        prev.financials?.[group],
+        next.financials?.[group],
+        'financialItem',
+        () => ({ caseId, group }),
+      ),
+    );
+  });
+  changes.push(
+    ...diffRecords(prev.notes, next.notes, 'note', () => ({ caseId })),
+  );
+  return changes;
+}
+
+/**
+ * Field-level changes between two snapshots of the dataset (without metadata).
+ * Financial items and notes of a deleted or created case are covered by the
+ * case entry.
+ *
+ * @param {Object|null} before
+ * @param {Object|null} after
+ * @returns {Array<Object>} { entityType, entityId, label, caseId?, personId?, group?,
+ *   action, field, oldValue?, newValue? }
+ */
+export function diffDataset(before, after) {
+  if (!before || !after || before === after) return [];
+  const changes = [];
+  Object.entries(COLLECTIONS).forEach(([collection, type]) => {
+    const context = (record) => {
+      if (type === 'case') return { caseId: ensureStringId(record.id) };
+      if (type === 'person') return { personId: ensureStringId(record.id) };
+      if (
+        ['vrRequest', 'task', 'attachment'].includes(type) &&
+        record.caseId != null
+      ) {
+        return { caseId: ensureStringId(record.caseId) };
+      }
+      return {};
+    };
+    changes.push(
+      ...diffRecords(
+        before[collection],
+        after[collection],
+        type,
+        context,
+        type === 'case' ? diffCaseContents : undefined,
+      ),
+    );
+  });
+  return changes;
+}
+
+/**
+ * Append audit entries for the change from `before` to `after`.
+ *
+ * The log is continued from `before`, so data restored from an older state (undo,
+ * history) keeps the entries recorded since then.
+ *
+ * @param {Object|null} before - Dataset before the change
+ * @param {Object} after - Dataset after the change (not mutated)
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Worker name
+ * @param {string} [options.source='manual'] - Key of AUDIT_SOURCES
+ * @param {string} [options.timestamp] - ISO time (defaults to now)
+ * @param {Array<Object>} [options.entries] - Changes the diff cannot see (e.g. a
+ *   person merge, see nightingale.duplicates.js), in the diffDataset() shape
+ * @returns {Object} `after` with `auditLog` extended, or `after` itself when nothing
+ *   was audited
+ */
+export function recordChanges(before, after, options = {}) {
+  const changes = [...diffDataset(before, after), ...(options.entries || [])];
+  const previousLog = Array.isArray(before?.auditLog) ? before.auditLog : [];
+  if (changes.length === 0) {
+    return after?.auditLog === before?.auditLog || !before?.auditLog
+      ? after
+      : { ...after, auditLog: previousLog };
+  }
+  const {
+    actor = null,
+    source = 'manual',
+    timestamp = new Date().toISOString(),
+  } = options;
+  const stamp = Date.parse(timestamp).toString(36);
+  const entries = changes.map((change) => ({
+    id: `audit-${stamp}-${(sequence++).toString(36)}${Math.random().toString(36).slice(2, 6)}`,
+    timestamp,
+    actor: actor || null,
+    source,
+    ...change,
+  }));
+  return { ...after, auditLog: [...previousLog, ...entries] };
+}
+
+/**
+ * Audit entries matching a filter, newest first.
+ *
+ * @param {Array<Object>} log - `auditLog` of the dataset
+ * @param {Object} [filter]
+ * @param {string|number} [filter.caseId] - Entries of a case and its items, notes, VR
+ *   requests and tasks
+ * @param {string|number} [filter.personId] - Entries of a person
+ * @param {string} [filter.entityType]
+ * @param {string} [filter.source]
+ * @param {string} [filter.actor]
+ * @param {string} [filter.field]
+ * @param {string} [filter.search] - Matched against label, field and values
+ * @returns {Array<Object>}
+ */
+export function filterAuditEntries(log, filter = {}) {
+  const { caseId, personId, entityType, source, actor, field, search } = filter;
+  const term = String(search || '')
+    .trim()
+    .toLowerCase();
+  return (Array.isArray(log) ? log : [])
+    .filter((entry) => {
+      if (caseId != null && entry.caseId !== ensureStringId(caseId)) {
+        return false;
+      }
+      if (personId != null && entry.personId !== ensureStringId(personId)) {
+        return false;
+      }
+      if (entityType && entry.entityType !== entityType) return false;
+      if (source && entry.source !== source) return false;
+      if (actor && entry.actor !== actor) return false;
+      if (field && entry.field !== field) return false;
+      if (term) {
+        const text = [
+          entry.label,
+          entry.field,
+          formatAuditValue(entry.oldValue),
+          formatAuditValue(entry.newValue),
+        ]
+          .join(' ')
+          .toLowerCase();
+        if (!text.includes(term)) return false;
+      }
+      return true;
+    })
+    .reverse();
+}
+
+/**
+ * Display text of an audited value
+ * @param {*} value
+ * @returns {string}
+ */
+export function formatAuditValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+export default {
+  AUDIT_SOURCES,
+  diffDataset,
+  recordChanges,
+  filterAuditEntries,
+};
@@ -5,11 +5,16 @@
  * service coordination complexity and timing issues.
  *
  * Features:
- * - File System Access API with IndexedDB persistence
+ * - Pluggable storage adapters (File System Access, OPFS, IndexedDB, sync server, memory)
  * - Intelligent autosave with permission awareness
  * - Single service initialization (no dependency injection)
  * - Graceful degradation when permissions unavailable
- * - Multi-tab coordination and conflict resolution
+ * - Multi-tab coordination (leader election, change relay, reload on save)
+ * - Write-ahead journal of edits between saves, replayable after a crash
+ * - Offline buffer of unsaved changes while storage permission is missing
+ * - Dataset schema validation on load and before every save
+ * - Optional passphrase encryption at rest (AES-GCM envelope)
+ * - Single-file or sharded layout (manifest + per-collection/case-bucket shards)
  *
  * @version 1.0.0
  * @author Nightingale CMS Team
@@ -18,6 +23,44 @@
 // TODO: Replace with proper imports once logger and datamanagement are modernized
 // import NightingaleLogger from './nightingale.logger.js';
 // import NightingaleDataManagement from './nightingale.datamanagement.js';
+import TabCoordinator, { TAB_MESSAGES } from './nightingale.tabcoordinator.js';
+import { threeWayMergeDataset } from './threeWayMerge.js';
+import {
+  BACKUP_PREFIX,
+  backupFileName,
+  applyBackupRetention,
+} from './backups.js';
+import { getBackupRetention } from './settings.js';
+import WriteAheadJournal, {
+  applyJournalEntries,
+} from './nightingale.journal.js';
+import PendingChangesBuffer from './nightingale.pendingchanges.js';
+import {
+  validateDataset,
+  describeValidation,
+} from './nightingale.validator.js';
+import { createStorageAdapter } from './nightingale.storage.js';
+import { hashContent } from './nightingale.storage.base.js';
+import {
+  SHARD_PREFIX,
+  isShardManifest,
+  planShardWrite,
+  staleShardFiles,
+  loadShardedLayout,
+} from './nightingale.shards.js';
+import {
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptionSupported,
+  parseEnvelope,
+  deriveKey,
+  deriveKeyForEnvelope,
+  encryptText,
+  decryptText,
+} from './nightingale.encryption.js';
+
+function pendingMessage(count) {
+  return `${count} unsaved change${count === 1 ? '' : 's'}, reconnect to save`;
+}
 
 /**
  * Combined Autosave and File Service
@@ -30,29 +73,58 @@ class AutosaveFileService {
     sanitizeFn = (str) => str,
     tabId = null,
 
+    // Storage adapter instance or kind ('fsa', 'opfs', 'indexeddb', 'http', 'memory', 'auto')
+    adapter = 'fsa',
+
     // Autosave configuration
     enabled = true,
     saveInterval = 120000, // 2 minutes
     debounceDelay = 5000, // 5 seconds
     maxRetries = 3,
 
+    // Multi-tab coordination
+    multiTab = true,
+    coordinator = null,
+
+    // Crash recovery journal (true, false, or a WriteAheadJournal instance)
+    journal = true,
+
+    // Unsaved changes while permission is missing (true, false, or a PendingChangesBuffer)
+    pendingChanges = true,
+
+    // Schema validation: 'off', 'warn' (report only) or 'block' (refuse saves with errors)
+    validation = 'warn',
+
     // Service callbacks
     statusCallback = null,
   } = {}) {
     // File service properties
-    this.directoryHandle = null;
     this.fileName = fileName;
+    this.adapter =
+      adapter && typeof adapter === 'object'
+        ? adapter
+        : createStorageAdapter(adapter, { fileName });
     this.errorCallback = errorCallback;
     this.sanitizeFn = sanitizeFn;
     this.tabId = tabId || `cms-tab-${Date.now()}`;
-    this.dbName = 'NightingaleFileAccess';
-    this.storeName = 'directoryHandles';
-    this.dbKey = 'nightingaleDirectory';
 
     // Write operation queue to prevent race conditions
     this.writeQueue = [];
     this.isWriting = false;
 
+    // Snapshot of the data file as last read or written ({ lastModified, hash, contents })
+    this.lastKnownFile = null;
+
+    // Derived key ({ key, kdf }) while the data file is encrypted and unlocked
+    this.encryption = null;
+
+    // 'single' or 'sharded' (detected when the data file is read)
+    this.layout = 'single';
+    // Sharded layout: { generation, bucketCount, entries } of the committed shards
+    this.shards = null;
+    // Data file as stored, when loading upgraded its schema; backed up before the next save
+    this.unmigratedData = null;
+
     // Autosave properties
     this.config = {
       enabled,
@@ -68,6 +140,11 @@ class AutosaveFileService {
       lastDataChange: null,
       consecutiveFailures: 0,
       pendingSave: false,
+      conflict: null,
+      locked: false,
+      // Journaled edits found at startup wait for replay or discard; saving would
+      // compact them away
+      recoveryPending: false,
     };
 
     this.statusCallback = statusCallback;
@@ -78,6 +155,50 @@ class AutosaveFileService {
       permissionCheck: null,
     };
 
+    // Cross-tab coordination (one writer tab, others follow)
+    this.coordinator =
+      coordinator ||
+      (multiTab ? new TabCoordinator({ tabId: this.tabId }) : null);
+    this.tabListeners = new Set();
+    this.coordinatorUnsubscribers = [];
+
+    // Edits since the last save, kept until the next successful write
+    this.journal =
+      journal && typeof journal === 'object'
+        ? journal
+        : journal
+          ? new WriteAheadJournal({
+              tabId: this.tabId,
+              getStorage: () => this.getWritableStorage(),
+              codec: {
+                encode: (text) => this.encodeContents(text),
+                decode: (text) => this.decodeContents(text),
+              },
+            })
+          : null;
+
+    // Latest unsaved dataset while the storage cannot be written (IndexedDB)
+    this.pendingChanges =
+      pendingChanges && typeof pendingChanges === 'object'
+        ? pendingChanges
+        : pendingChanges
+          ? new PendingChangesBuffer({
+              codec: {
+                encode: (text) => this.encodeContents(text),
+                decode: (text) => this.decodeContents(text),
+              },
+            })
+          : null;
+    this.pendingListeners = new Set();
+    this.pendingRestored = this.pendingChanges
+      ? this.pendingChanges.restore().catch(() => null)
+      : Promise.resolve(null);
+    this.flushingPending = false;
+
+    // Latest schema validation reports of loaded and saved data
+    this.validationMode = validation;
+    this.validation = { load: null, save: null };
+
     // Auto-initialize
     this.initialize();
   }
@@ -96,6 +217,9 @@ class AutosaveFileService {
         // non-fatal
       }
 
+      // Join leader election before autosave starts writing
+      this.startCoordination();
+
       // Try to restore previous directory access
       await this.restoreLastDirectoryAccess();
 
@@ -116,25 +240,34 @@ class AutosaveFileService {
   // FILE SYSTEM OPERATIONS
   // =============================================================================
 
+  /** Directory handle of directory-backed adapters (File System Access, OPFS) */
+  get directoryHandle() {
+    return this.adapter.directoryHandle ?? null;
+  }
+
+  set directoryHandle(handle) {
+    this.adapter.directoryHandle = handle;
+  }
+
   isSupported() {
-    return 'showDirectoryPicker' in window;
+    return this.adapter.isSupported();
   }
 
   async connect() {
     if (!this.isSupported()) {
       this.errorCallback(
-        'File System Access API is not supported in this browser.',
+        `${this.adapter.label} is not supported in this browser.`,
         'error',
       );
       return false;
     }
 
     try {
-      this.directoryHandle = await window.showDirectoryPicker();
-      const permissionGranted = await this.requestPermission();
+      const permissionGranted = await this.adapter.connect();
 
-      if (permissionGranted) {
-        await this.storeDirectoryHandle();
+      if (!permissionGranted) {
+        this.errorCallback('Permission denied for the directory.', 'error');
+      } else {
         this.state.permissionStatus = 'granted';
         this.updateStatus('connected', 'Connected to data folder');
 
@@ -154,17 +287,12 @@ class AutosaveFileService {
   }
 
   async checkPermission() {
-    if (!this.directoryHandle) return 'prompt';
-    return await this.directoryHandle.queryPermission({ mode: 'readwrite' });
+    return await this.adapter.permission();
   }
 
   async requestPermission() {
-    if (!this.directoryHandle) return false;
-
-    const permission = await this.directoryHandle.requestPermission({
-      mode: 'readwrite',
-    });
-    if (permission === 'granted') {
+    if (await this.adapter.requestPermission()) {
+      await this.flushPendingChanges();
       return true;
     }
 
@@ -206,37 +334,90 @@ class AutosaveFileService {
     }
   }
 
-  async _performWrite(data) {
-    // Check if we have a directory handle and permissions
-    if (!this.directoryHandle) {
-      return false;
-    }
+  async _performWrite(data, { force = false } = {}) {
+    const startedAt = Date.now();
 
+    // Check that the storage is connected and writable
     const permission = await this.checkPermission();
     if (permission !== 'granted') {
       return false;
     }
 
+    // Never replace an encrypted file we cannot read
+    if (!(await this.canWriteOverStoredFile())) {
+      return false;
+    }
+
+    // Never overwrite changes made on disk since we last read/wrote the file
+    if (!force) {
+      if (this.state.conflict || this.state.recoveryPending) {
+        return false;
+      }
+      const external = await this.detectExternalChange();
+      if (external && !this.canDecrypt(external.contents)) {
+        this.lock('Data file was encrypted elsewhere; enter the passphrase');
+        return false;
+      }
+      if (external) {
+        this.openConflict(external);
+        return false;
+      }
+    }
+
+    const report = this.recordValidation('save', data);
+    if (this.validationMode === 'block' && report && !report.valid) {
+      this.errorCallback(
+        `Save blocked by validation: ${describeValidation(report)}`,
+        'error',
+      );
+      return false;
+    }
+
+    // Keep the data file as it was before a load-time schema upgrade replaces it
+    if (this.unmigratedData && !(await this.backupUnmigratedData())) {
+      return false;
+    }
+
     try {
-      const fileHandleWrite = await this.directoryHandle.getFileHandle(
-        this.fileName,
-        { create: true },
+      // Sharded: write dirty shards first; the manifest below commits them
+      const plan =
+        this.layout === 'sharded' ? await this.writeShards(data) : null;
+      const contents = await this.encodeContents(
+        JSON.stringify(plan ? plan.manifest : data, null, 2),
       );
-      const writable = await fileHandleWrite.createWritable();
-      await writable.write(JSON.stringify(data, null, 2));
-      await writable.close();
+      const { lastModified } = (await this.adapter.write(contents)) || {};
+      this.rememberFile(contents, lastModified);
+      if (plan) {
+        await this.commitShards(plan);
+      }
+
+      // Journal entries up to this save are now on disk
+      this.journal?.compact({ before: startedAt, base: data });
+      this.clearPendingChanges();
 
       // Store last save timestamp
+      const timestamp = Date.now();
       localStorage.setItem(
         'nightingale-last-save',
         JSON.stringify({
-          timestamp: Date.now(),
+          timestamp,
           tabId: this.tabId,
         }),
       );
 
+      // Let other tabs reload what was just written
+      this.coordinator?.broadcast(TAB_MESSAGES.SAVED, {
+        timestamp,
+        fileName: this.fileName,
+      });
+
       return true;
     } catch (err) {
+      // The storage refused a stale write (sync server 412): resolve as a conflict
+      if (err.name === 'ConflictError') {
+        await this.handleRejectedWrite();
+        return false;
+      }
       this.errorCallback(
         `Error writing file "${this.fileName}": ${err.message}`,
         'error',
@@ -246,30 +427,189 @@ class AutosaveFileService {
   }
 
   /**
-   * Write JSON data to an arbitrary file name in the connected directory.
+   * Open the conflict flow with the data file that made the storage reject our write
+   */
+  async handleRejectedWrite() {
+    let file = null;
+    try {
+      file = await this.adapter.read(this.fileName);
+    } catch (_) {
+      file = null;
+    }
+    if (!file) return;
+    if (!this.canDecrypt(file.contents)) {
+      this.lock('Data file was encrypted elsewhere; enter the passphrase');
+      return;
+    }
+    this.openConflict({
+      lastModified: file.lastModified,
+      hash: hashContent(file.contents),
+      contents: file.contents,
+    });
+  }
+
+  /**
+   * Write JSON data to an arbitrary file name in the connected storage.
    * Returns true on success, false otherwise.
    */
   async writeNamedFile(fileName, data) {
-    if (!this.directoryHandle) {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted' || this.state.locked) {
       return false;
     }
 
+    try {
+      await this.adapter.writeNamed(
+        fileName,
+        await this.encodeContents(JSON.stringify(data, null, 2)),
+      );
+      return true;
+    } catch (err) {
+      this.errorCallback(
+        `Error writing file "${fileName}": ${err.message}`,
+        'error',
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Read and parse a JSON file from the connected storage (no migrations).
+   * Returns null when the file is missing or access is unavailable.
+   */
+  async readNamedFile(fileName) {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted') {
+      return null;
+    }
+
+    try {
+      const file = await this.adapter.read(fileName);
+      return file ? JSON.parse(await this.decodeContents(file.contents)) : null;
+    } catch (err) {
+      if (err.name === 'NotFoundError') {
+        return null;
+      }
+      this.errorCallback(
+        `Error reading file "${fileName}": ${err.message}`,
+        'error',
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * List files in the connected storage, optionally filtered by name prefix.
+   * Returns [{ name, size, lastModified }].
+   */
+  async listFiles(prefix = '') {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted') {
+      return [];
+    }
+
+    return this.adapter.list(prefix);
+  }
+
+  /**
+   * Delete a file from the connected storage. Returns true on success.
+   */
+  async removeNamedFile(fileName) {
     const permission = await this.checkPermission();
     if (permission !== 'granted') {
       return false;
     }
 
     try {
-      const fileHandle = await this.directoryHandle.getFileHandle(fileName, {
-        create: true,
-      });
-      const writable = await fileHandle.createWritable();
-      await writable.write(JSON.stringify(data, null, 2));
-      await writable.close();
+      return await this.adapter.remove(fileName);
+    } catch (err) {
+      this.errorCallback(
+        `Error removing file "${fileName}": ${err.message}`,
+        'error',
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Whether the connected storage can hold binary files in sub-folders
+   * (attachments).
+   */
+  supportsBlobFiles() {
+    return !!this.adapter?.supportsBlobs;
+  }
+
+  /**
+   * Write a binary file (Blob/File) to a '/'-separated path in the connected
+   * storage. Blobs are stored as-is, so writes are refused while the data file
+   * is encrypted (or locked). Returns true on success.
+   */
+  async writeBlobFile(path, blob) {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted' || this.state.locked || this.encryption) {
+      return false;
+    }
+
+    try {
+      await this.adapter.writeBlob(path, blob);
       return true;
     } catch (err) {
       this.errorCallback(
-        `Error writing file "${fileName}": ${err.message}`,
+        `Error writing file "${path}": ${err.message}`,
+        'error',
+      );
+      return false;
+    }
+  }
+
+  /**
+   * Read a binary file from the connected storage.
+   * Returns null when the file is missing or access is unavailable.
+   */
+  async readBlobFile(path) {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted') {
+      return null;
+    }
+
+    try {
+      return await this.adapter.readBlob(path);
+    } catch (err) {
+      this.errorCallback(
+        `Error reading file "${path}": ${err.message}`,
+        'error',
+      );
+      throw err;
+    }
+  }
+
+  /**
+   * List binary files below a folder, recursively.
+   * Returns [{ path, size, lastModified }].
+   */
+  async listBlobFiles(folder = '') {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted') {
+      return [];
+    }
+
+    return this.adapter.listBlobs(folder);
+  }
+
+  /**
+   * Delete a binary file from the connected storage. Returns true on success.
+   */
+  async removeBlobFile(path) {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted') {
+      return false;
+    }
+
+    try {
+      return await this.adapter.removeBlob(path);
+    } catch (err) {
+      this.errorCallback(
+        `Error removing file "${path}": ${err.message}`,
         'error',
       );
       return false;
@@ -278,45 +618,59 @@ class AutosaveFileService {
 
   /**
    * Create a timestamped backup file, then write to the primary file.
+   * Old backups are pruned according to the retention policy in settings.
    * Returns { backupCreated, written, backupName }.
    */
   async backupAndWrite(data) {
-    const ts = new Date().toISOString().replace(/[:]/g, '-');
-    const backupName = `nightingale-data.backup-${ts}.json`;
+    const backupName = backupFileName();
 
     const backupCreated = await this.writeNamedFile(backupName, data);
     const written = await this._performWrite(data);
+    if (backupCreated) {
+      await this.pruneBackups();
+    }
     return { backupCreated, written, backupName };
   }
 
-  async readFile() {
-    if (!this.directoryHandle) {
+  /**
+   * Apply the configured backup retention policy to the connected storage.
+   * Returns { kept, removed } (file names) or null when pruning failed.
+   */
+  async pruneBackups(policy = getBackupRetention()) {
+    try {
+      return await applyBackupRetention(this, policy);
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:backups');
+      logger?.warn('Backup retention failed', { error: error.message });
       return null;
     }
+  }
 
+  async readFile() {
     const permission = await this.checkPermission();
     if (permission !== 'granted') {
       return null;
     }
 
     try {
-      const fileHandle = await this.directoryHandle.getFileHandle(
-        this.fileName,
-      );
-      const file = await fileHandle.getFile();
-      const contents = await file.text();
-      const rawData = JSON.parse(contents);
-
-      // Apply data migrations if available
-      if (globalThis.NightingaleDataManagement?.normalizeDataMigrations) {
-        const migratedData =
-          await globalThis.NightingaleDataManagement.normalizeDataMigrations(
-            rawData,
-          );
-        return migratedData;
-      } else {
-        return rawData;
+      const file = await this.adapter.read(this.fileName);
+      if (!file) {
+        return null;
+      }
+      const { contents } = file;
+      if (!this.canDecrypt(contents)) {
+        this.lock('Data file is encrypted; enter the passphrase to unlock');
+        return null;
       }
+      const data = await this.parseContents(contents, { track: true });
+      this.recordValidation('load', data);
+      this.lastKnownFile = {
+        lastModified: file.lastModified,
+        hash: hashContent(contents),
+        contents,
+      };
+      this.journal?.setBase(data);
+      return data;
     } catch (err) {
       if (err.name === 'NotFoundError') {
         return null;
@@ -330,129 +684,659 @@ class AutosaveFileService {
     }
   }
 
-  async restoreLastDirectoryAccess() {
-    if (!this.isSupported()) {
-      this.state.permissionStatus = 'unsupported';
-      return { handle: null, permission: 'unsupported' };
-    }
-
-    try {
-      const handle = await this.getStoredDirectoryHandle();
-      if (handle) {
-        this.directoryHandle = handle;
-        // Only query permission on restore; request must happen via user gesture later
-        const permission = await this.checkPermission();
-        this.state.permissionStatus = permission;
+  /**
+   * Parse file contents and apply data migrations if available.
+   * A sharded-layout manifest is expanded from its shard files; with `track`
+   * the layout and shard state are adopted for the next write, and data the
+   * migrations upgraded is kept for backupUnmigratedData().
+   */
+  async parseContents(contents, { track = false } = {}) {
+    let rawData = JSON.parse(await this.decodeContents(contents));
+    if (isShardManifest(rawData)) {
+      const { data, state } = await this.readShards(rawData);
+      if (track) {
+        this.layout = 'sharded';
+        this.shards = state;
+      }
+      rawData = data;
+    } else if (track) {
+      this.layout = 'single';
+      this.shards = null;
+    }
+    if (!globalThis.NightingaleDataManagement?.normalizeDataMigrations) {
+      return rawData;
+    }
+    const data =
+      await globalThis.NightingaleDataManagement.normalizeDataMigrations(
+        rawData,
+      );
+    if (track) {
+      const from = rawData?.metadata?.schemaVersion ?? null;
+      const to = data?.metadata?.schemaVersion ?? null;
+      this.unmigratedData = from !== to ? rawData : null;
+      if (this.unmigratedData) {
+        const logger = globalThis.NightingaleLogger?.get('autosave:migration');
+        logger?.info('Data file upgraded on load', { from, to });
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Back up the data file as it was before a load-time schema upgrade. Saves are
+   * refused until the backup is written, as with migrations run from Settings
+   * (see writeWithBackup in nightingale.migrations.js).
+   * @returns {Promise<boolean>}
+   */
+  async backupUnmigratedData() {
+    const backupName = backupFileName();
+    if (!(await this.writeNamedFile(backupName, this.unmigratedData))) {
+      this.errorCallback(
+        `Save blocked: could not back up the data file before its schema upgrade (${backupName})`,
+        'error',
+      );
+      return false;
+    }
+    this.unmigratedData = null;
+    await this.pruneBackups();
+    return true;
+  }
+
+  // =============================================================================
+  // SCHEMA VALIDATION
+  // =============================================================================
+
+  /**
+   * Validate `data` and keep the report as the latest for `stage` ('load' | 'save').
+   * Returns the report, or null when validation is off.
+   */
+  recordValidation(stage, data) {
+    if (this.validationMode === 'off' || !data) return null;
+    try {
+      const report = validateDataset(data);
+      this.validation[stage] = report;
+      if (!report.valid) {
+        const logger = globalThis.NightingaleLogger?.get('autosave:validation');
+        logger?.warn(`Dataset validation (${stage})`, {
+          ...report.summary,
+          first: report.issues[0]?.path,
+        });
+      }
+      return report;
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:validation');
+      logger?.error('Dataset validation failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Latest validation reports ({ load, save }; each null until run)
+   */
+  getValidationReport() {
+    return { ...this.validation };
+  }
+
+  // =============================================================================
+  // EXTERNAL CHANGE DETECTION
+  // =============================================================================
+
+  /**
+   * Record the state of the data file right after we wrote it
+   */
+  rememberFile(contents, lastModified = null) {
+    // Without lastModified the hash check still applies
+    this.lastKnownFile = {
+      lastModified,
+      hash: hashContent(contents),
+      contents,
+    };
+  }
+
+  /**
+   * Compare the data file on disk with what we last read or wrote.
+   * An unchanged lastModified skips reading the file; otherwise the content
+   * hash decides (a touched file with identical contents is not a conflict).
+   * Returns null when safe to write, or { lastModified, hash, contents }.
+   */
+  async detectExternalChange() {
+    if (!this.lastKnownFile) return null;
+
+    let file;
+    try {
+      const stat = await this.adapter.stat(this.fileName);
+      if (
+        stat &&
+        this.lastKnownFile.lastModified != null &&
+        stat.lastModified === this.lastKnownFile.lastModified
+      ) {
+        return null;
+      }
+      file = stat && (await this.adapter.read(this.fileName));
+    } catch (_) {
+      // Missing file (or unreadable storage): writing recreates it
+      return null;
+    }
+    if (!file) return null;
+
+    const { contents } = file;
+    const hash = hashContent(contents);
+    if (hash === this.lastKnownFile.hash) {
+      this.lastKnownFile.lastModified = file.lastModified;
+      return null;
+    }
+
+    return { lastModified: file.lastModified, hash, contents };
+  }
+
+  /**
+   * Pause autosave and publish the conflict for the resolution flow
+   */
+  openConflict(external) {
+    this.state.conflict = {
+      detectedAt: Date.now(),
+      lastModified: external.lastModified,
+      hash: external.hash,
+      contents: external.contents,
+      baseContents: this.lastKnownFile?.contents || null,
+    };
+
+    const logger = globalThis.NightingaleLogger?.get('autosave:conflict');
+    logger?.warn('Data file changed on disk; autosave paused', {
+      fileName: this.fileName,
+      lastModified: external.lastModified,
+    });
+
+    this.updateStatus(
+      'conflict',
+      `${this.fileName} was changed outside this tab. Autosave paused.`,
+    );
+  }
+
+  /**
+   * Current conflict details, or null
+   */
+  getConflict() {
+    if (!this.state.conflict) return null;
+    const { detectedAt, lastModified } = this.state.conflict;
+    return { detectedAt, lastModified, fileName: this.fileName };
+  }
+
+  /**
+   * Build the candidate results for each resolution strategy without writing.
+   * @returns {Promise<{ mine:Object, theirs:Object, merge:{ merged:Object, conflicts:Array, summary:Object } }|null>}
+   */
+  async previewConflictResolution() {
+    const conflict = this.state.conflict;
+    if (!conflict) return null;
+
+    const mine = this.dataProvider?.() || null;
+    const theirs = await this.parseContents(conflict.contents);
+    let base = {};
+    if (conflict.baseContents) {
+      try {
+        base = await this.parseContents(conflict.baseContents);
+      } catch (_) {
+        // The other writer may already have removed the shards of our base
+        base = {};
+      }
+    }
+    const merge = threeWayMergeDataset(base, mine, theirs);
+    return { mine, theirs, merge };
+  }
+
+  /**
+   * Write `data`; when the stored file changed meanwhile (another tab or workstation,
+   * or a sync server 412), merge three-way with it and write the result.
+   * For pages without a conflict dialog (Reports, Correspondence).
+   * Resolves to { written, data, conflicts } where data is what the page should display.
+   */
+  async writeFileMerging(data) {
+    if (await this.writeFile(data)) {
+      return { written: true, data, conflicts: [] };
+    }
+    if (!this.state.conflict) {
+      return { written: false, data, conflicts: [] };
+    }
+    const dataProvider = this.dataProvider;
+    this.dataProvider = () => data;
+    try {
+      const result = await this.resolveConflict('merge');
+      return result
+        ? { written: true, data: result.data, conflicts: result.conflicts }
+        : { written: false, data, conflicts: [] };
+    } finally {
+      this.dataProvider = dataProvider;
+    }
+  }
+
+  /**
+   * Resolve the open conflict and resume autosave.
+   * - 'mine': overwrite the file with the in-memory data
+   * - 'theirs': adopt the file on disk (nothing written)
+   * - 'merge': field-level three-way merge by id, then write
+   * Returns { strategy, data, conflicts } where data is what the app should display.
+   */
+  async resolveConflict(strategy) {
+    const preview = await this.previewConflictResolution();
+    if (!preview) return null;
+
+    let data;
+    let conflicts = [];
+    if (strategy === 'theirs') {
+      data = preview.theirs;
+    } else if (strategy === 'mine') {
+      data = preview.mine;
+    } else if (strategy === 'merge') {
+      data = preview.merge.merged;
+      conflicts = preview.merge.conflicts;
+    } else {
+      throw new Error(`Unknown conflict strategy: ${strategy}`);
+    }
+
+    const { contents, lastModified, hash } = this.state.conflict;
+    if (strategy === 'theirs') {
+      await this.parseContents(contents, { track: true });
+      this.lastKnownFile = { lastModified, hash, contents };
+    } else {
+      const written = await this._performWrite(data, { force: true });
+      if (!written) {
+        return null;
+      }
+    }
+
+    this.state.conflict = null;
+    this.updateStatus(
+      'saved',
+      `Conflict resolved (${strategy}) at ${new Date().toLocaleTimeString()}`,
+    );
+    return { strategy, data, conflicts };
+  }
+
+  async restoreLastDirectoryAccess() {
+    if (!this.isSupported()) {
+      this.state.permissionStatus = 'unsupported';
+      return { handle: null, permission: 'unsupported' };
+    }
+
+    try {
+      // Only query permission on restore; request must happen via user gesture later
+      const { handle, permission } = await this.adapter.restore();
+      if (handle || permission === 'granted') {
+        this.state.permissionStatus = permission;
+
+        if (permission === 'granted') {
+          this.updateStatus('connected', 'Restored connection to data folder');
+        } else {
+          this.updateStatus(
+            'disconnected',
+            'Please reconnect to your data folder',
+          );
+        }
+
+        return { handle, permission };
+      }
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:directory');
+      logger?.warn('Directory handle verification failed', {
+        error: error.message,
+      });
+      await this.adapter.disconnect();
+    }
+
+    this.state.permissionStatus = 'prompt';
+    this.updateStatus('disconnected', 'No data folder connected');
+    return { handle: null, permission: 'prompt' };
+  }
+
+  /**
+   * Attempt to request permission for the current storage location.
+   * Should be called in response to a user gesture (e.g., button click).
+   * Returns true if granted.
+   */
+  async ensurePermission() {
+    try {
+      const granted = await this.adapter.requestPermission();
+      this.state.permissionStatus = granted
+        ? 'granted'
+        : await this.checkPermission();
+      if (granted) {
+        this.updateStatus('connected', 'Connected to data folder');
+        await this.flushPendingChanges();
+        return true;
+      }
+      this.updateStatus('waiting', 'Waiting for folder connection');
+      return false;
+    } catch (_) {
+      this.updateStatus('waiting', 'Waiting for folder connection');
+      return false;
+    }
+  }
+
+  // =============================================================================
+  // CRASH RECOVERY JOURNAL
+  // =============================================================================
+
+  /**
+   * Storage adapter usable for journal writes, or null (journal falls back to IndexedDB)
+   */
+  async getWritableStorage() {
+    const permission = await this.checkPermission();
+    return permission === 'granted' ? this.adapter : null;
+  }
+
+  /**
+   * Append a mutation to the journal; failures are logged, never thrown
+   */
+  recordJournal(data) {
+    if (!this.journal) return;
+    this.journal.record(data).catch((error) => {
+      const logger = globalThis.NightingaleLogger?.get('autosave:journal');
+      logger?.warn('Journal record failed', { error: error.message });
+    });
+  }
+
+  /**
+   * Journal entries written after the data file was last modified
+   */
+  async getPendingJournalEntries() {
+    if (!this.journal) return [];
+    const since = this.lastKnownFile?.lastModified || 0;
+    const entries = await this.journal.readEntries();
+    return entries.filter((entry) => entry.ts > since);
+  }
+
+  /**
+   * Check for edits that never reached the data file (e.g. after a crash).
+   * Call after readFile(). Returns { count, since, lastChange } or null.
+   * Saving pauses while edits are pending, until replayJournal() or
+   * discardJournal().
+   */
+  async checkJournalRecovery() {
+    try {
+      const entries = await this.getPendingJournalEntries();
+      if (entries.length === 0) return null;
+      this.state.recoveryPending = true;
+      this.updateStatus(
+        'recovery',
+        'Recover or discard unsaved changes to resume saving',
+      );
+      return {
+        count: entries.length,
+        since: this.lastKnownFile?.lastModified || null,
+        lastChange: entries[entries.length - 1].ts,
+      };
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:journal');
+      logger?.warn('Journal recovery check failed', { error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Replay pending journal entries on top of the data file.
+   * Returns the recovered dataset; the caller applies it and notifies a change
+   * so the next save persists it and compacts the journal.
+   */
+  async replayJournal() {
+    try {
+      const entries = await this.getPendingJournalEntries();
+      const base = this.lastKnownFile
+        ? await this.parseContents(this.lastKnownFile.contents)
+        : null;
+      return applyJournalEntries(base, entries);
+    } finally {
+      this.state.recoveryPending = false;
+    }
+  }
+
+  /**
+   * Drop all journal entries without replaying them (after checkJournalRecovery)
+   */
+  async discardJournal() {
+    this.state.recoveryPending = false;
+    if (!this.journal) return false;
+    return this.journal.compact();
+  }
+
+  // =============================================================================
+  // OFFLINE CHANGE BUFFER
+  // =============================================================================
+
+  /**
+   * Unsaved changes buffered while permission was missing
+   * @returns {{ count:number, since:number, updatedAt:number }|null}
+   */
+  getPendingChanges() {
+    return this.pendingChanges?.getSummary() || null;
+  }
+
+  /**
+   * Subscribe to the offline buffer. Events:
+   * - { type: 'change', pending } count changed (pending is null once saved)
+   * - { type: 'restore', data } buffered dataset about to be saved; show it
+   * Returns an unsubscribe function.
+   */
+  subscribePendingChanges(fn) {
+    if (typeof fn !== 'function') return () => {};
+    this.pendingListeners.add(fn);
+    return () => this.pendingListeners.delete(fn);
+  }
+
+  emitPendingEvent(event) {
+    this.pendingListeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (_) {
+        /* ignore listener errors */
+      }
+    });
+  }
+
+  /**
+   * Keep `data` in the offline buffer when the storage location is known but
+   * cannot be written. Only the writer tab buffers (followers relay to it).
+   * Resolves to the buffer summary, or null when nothing was buffered.
+   */
+  async bufferPendingChange(data) {
+    if (!this.pendingChanges || this.state.locked || !this.isWriter()) {
+      return null;
+    }
+    try {
+      await this.pendingRestored;
+      const hasLocation =
+        !!this.lastKnownFile ||
+        !!this.directoryHandle ||
+        !!this.pendingChanges.getSummary();
+      if (!hasLocation || !this.isSupported()) return null;
+      if ((await this.checkPermission()) === 'granted') return null;
+
+      const pending = await this.pendingChanges.add(data, {
+        base: this.lastKnownFile,
+      });
+      if (!pending) return null;
+      this.emitPendingEvent({ type: 'change', pending });
+      this.updateStatus('waiting', pendingMessage(pending.count));
+      return pending;
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:pending');
+      logger?.warn('Buffering unsaved changes failed', {
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Drop the buffer after a successful save of the current data
+   */
+  clearPendingChanges() {
+    if (!this.pendingChanges?.getSummary()) return;
+    this.pendingChanges.clear();
+    this.emitPendingEvent({ type: 'change', pending: null });
+  }
+
+  /**
+   * Save the buffered dataset once the storage is writable again. The usual
+   * external-change check applies against the data file the changes started
+   * from, so edits made elsewhere meanwhile open the conflict flow.
+   * Resolves to { status: 'saved'|'conflict'|'failed', count } or null when
+   * there was nothing to flush (or it cannot be yet: locked, no permission).
+   */
+  async flushPendingChanges() {
+    if (!this.pendingChanges || this.flushingPending) return null;
+    await this.pendingRestored;
+    if (!this.pendingChanges.getSummary() || this.state.locked) return null;
+
+    this.flushingPending = true;
+    try {
+      if ((await this.checkPermission()) !== 'granted') return null;
+      const pending = await this.pendingChanges.load();
+      if (!pending) return null;
+
+      // A new session has not read the file yet: compare with the buffered base
+      if (!this.lastKnownFile && pending.base) {
+        this.lastKnownFile = { ...pending.base };
+      }
+      const current = this.dataProvider?.() || null;
+      if (
+        !current ||
+        JSON.stringify(current) !== JSON.stringify(pending.data)
+      ) {
+        this.emitPendingEvent({ type: 'restore', data: pending.data });
+      }
+
+      const written = await this.writeFile(pending.data);
+      if (written) {
+        this.state.lastSaveTime = Date.now();
+        this.updateStatus(
+          'saved',
+          `Saved ${pending.count} offline change${pending.count === 1 ? '' : 's'}`,
+        );
+      }
+      return {
+        status: written ? 'saved' : this.state.conflict ? 'conflict' : 'failed',
+        count: pending.count,
+      };
+    } catch (error) {
+      // e.g. sealed with a key this session does not hold yet; kept for later
+      const logger = globalThis.NightingaleLogger?.get('autosave:pending');
+      logger?.warn('Flushing unsaved changes failed', { error: error.message });
+      return null;
+    } finally {
+      this.flushingPending = false;
+    }
+  }
+
+  // =============================================================================
+  // MULTI-TAB COORDINATION
+  // =============================================================================
 
-        if (permission === 'granted') {
-          this.updateStatus('connected', 'Restored connection to data folder');
+  /**
+   * Join leader election and listen for messages from other tabs
+   */
+  startCoordination() {
+    if (!this.coordinator || this.coordinatorUnsubscribers.length > 0) return;
+
+    this.coordinatorUnsubscribers.push(
+      this.coordinator.subscribe((message) => this.handleTabMessage(message)),
+      this.coordinator.onLeadershipChange((isLeader) => {
+        if (isLeader) {
+          this.updateStatus('leader', 'This tab is saving changes');
         } else {
-          this.updateStatus(
-            'disconnected',
-            'Please reconnect to your data folder',
-          );
+          this.updateStatus('follower', 'Another tab is saving changes');
         }
+      }),
+    );
+    this.coordinator.start({ candidate: !!this.dataProvider });
+  }
 
-        return { handle, permission };
-      }
-    } catch (error) {
-      const logger = globalThis.NightingaleLogger?.get('autosave:directory');
-      logger?.warn('Directory handle verification failed', {
-        error: error.message,
-      });
-      await this.clearStoredDirectoryHandle();
+  /**
+   * Compete for the writer role once there is data to save. Pages that only read
+   * and merge (Reports, Correspondence) set no data provider, so they never take
+   * the role from the app and leave its edits unsaved.
+   */
+  joinElection() {
+    if (this.dataProvider && this.coordinatorUnsubscribers.length > 0) {
+      this.coordinator.joinElection();
     }
+  }
 
-    this.state.permissionStatus = 'prompt';
-    this.updateStatus('disconnected', 'No data folder connected');
-    return { handle: null, permission: 'prompt' };
+  /**
+   * Leave leader election so another tab can take over writing
+   */
+  stopCoordination() {
+    this.coordinatorUnsubscribers.forEach((unsubscribe) => unsubscribe());
+    this.coordinatorUnsubscribers = [];
+    this.coordinator?.stop();
   }
 
   /**
-   * Attempt to request permission for the current directory handle.
-   * Should be called in response to a user gesture (e.g., button click).
-   * Returns true if granted.
+   * Whether this tab is allowed to run autosave writes.
+   * Tabs without coordination always write.
    */
-  async ensurePermission() {
-    if (!this.directoryHandle || !this.directoryHandle.requestPermission) {
-      return false;
-    }
-    try {
-      const result = await this.directoryHandle.requestPermission({
-        mode: 'readwrite',
-      });
-      this.state.permissionStatus = result;
-      if (result === 'granted') {
-        this.updateStatus('connected', 'Connected to data folder');
-        return true;
-      }
-      this.updateStatus('waiting', 'Waiting for folder connection');
-      return false;
-    } catch (_) {
-      this.updateStatus('waiting', 'Waiting for folder connection');
-      return false;
-    }
+  isLeader() {
+    return !this.coordinator || this.coordinator.isLeader();
   }
 
-  // IndexedDB operations for directory handle persistence
-  async getStoredDirectoryHandle() {
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
-      request.onerror = () => reject(request.error);
-      request.onsuccess = () => {
-        const db = request.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          resolve(null);
-          return;
-        }
-        const getRequest = db
-          .transaction(this.storeName)
-          .objectStore(this.storeName)
-          .get(this.dbKey);
-        getRequest.onsuccess = () => resolve(getRequest.result?.handle || null);
-        getRequest.onerror = () => resolve(null);
-      };
-      request.onupgradeneeded = (e) => {
-        e.target.result.createObjectStore(this.storeName);
-      };
-    });
+  /**
+   * Whether this tab saves its own edits: the leader does, and so does every tab
+   * when messages cannot carry the dataset to the leader (storage-event fallback).
+   */
+  isWriter() {
+    return this.isLeader() || !this.coordinator.relaysData();
   }
 
-  async storeDirectoryHandle() {
-    if (!this.directoryHandle) return;
-    return new Promise((resolve, reject) => {
-      const request = indexedDB.open(this.dbName, 1);
-      request.onerror = (e) => reject(e);
-      request.onsuccess = () => {
-        const db = request.result;
-        const putRequest = db
-          .transaction(this.storeName, 'readwrite')
-          .objectStore(this.storeName)
-          .put({ handle: this.directoryHandle }, this.dbKey);
-        putRequest.onsuccess = () => resolve();
-        putRequest.onerror = (e) => reject(e);
-      };
+  /**
+   * Subscribe to data arriving from other tabs. Events:
+   * - { type: 'remote-change', data, tabId } another tab edited data
+   * - { type: 'external-save', data, tabId } another tab saved; data reloaded from disk
+   * Returns an unsubscribe function.
+   */
+  subscribeTabEvents(fn) {
+    if (typeof fn !== 'function') return () => {};
+    this.tabListeners.add(fn);
+    return () => this.tabListeners.delete(fn);
+  }
+
+  emitTabEvent(event) {
+    this.tabListeners.forEach((listener) => {
+      try {
+        listener(event);
+      } catch (_) {
+        /* ignore listener errors */
+      }
     });
   }
 
-  async clearStoredDirectoryHandle() {
-    return new Promise((resolve) => {
-      const request = indexedDB.open(this.dbName, 1);
-      request.onsuccess = () => {
-        const db = request.result;
-        if (!db.objectStoreNames.contains(this.storeName)) {
-          resolve();
-          return;
+  /**
+   * Route a message received from another tab
+   */
+  async handleTabMessage(message) {
+    const { type, tabId, payload = {} } = message || {};
+
+    if (type === TAB_MESSAGES.DATA_CHANGED && payload.data) {
+      this.emitTabEvent({ type: 'remote-change', data: payload.data, tabId });
+      // The leader persists edits made in follower tabs
+      if (this.isLeader()) {
+        this.scheduleSave();
+      }
+      return;
+    }
+
+    if (type === TAB_MESSAGES.SAVED && payload.fileName === this.fileName) {
+      try {
+        const data = await this.readFile();
+        if (data) {
+          this.emitTabEvent({ type: 'external-save', data, tabId });
         }
-        const deleteRequest = db
-          .transaction(this.storeName, 'readwrite')
-          .objectStore(this.storeName)
-          .delete(this.dbKey);
-        deleteRequest.onsuccess = () => resolve();
-        deleteRequest.onerror = () => resolve();
-      };
-      request.onerror = () => resolve();
-    });
+      } catch (error) {
+        const logger = globalThis.NightingaleLogger?.get('autosave:tabs');
+        logger?.warn('Reload after external save failed', {
+          error: error.message,
+        });
+      }
+    }
   }
 
   // =============================================================================
@@ -464,6 +1348,7 @@ class AutosaveFileService {
    */
   setDataProvider(dataProvider) {
     this.dataProvider = dataProvider;
+    this.joinElection();
   }
 
   /**
@@ -477,6 +1362,7 @@ class AutosaveFileService {
       }
       return data;
     };
+    this.joinElection();
   }
 
   /**
@@ -496,6 +1382,8 @@ class AutosaveFileService {
       return data;
     };
 
+    this.joinElection();
+
     // Set up status callback if provided
     if (statusCallback) {
       this.statusCallback = statusCallback;
@@ -574,9 +1462,42 @@ class AutosaveFileService {
   }
 
   /**
-   * Notify that data has changed (for debounced saves)
+   * Notify that data has changed (for debounced saves).
+   * When the new dataset is passed it is also sent to other open tabs (or, in
+   * the storage-event fallback, a signal without it).
+   */
+  notifyDataChange(data = null) {
+    if (data && typeof data === 'object') {
+      this.recordJournal(data);
+      this.bufferPendingChange(data);
+      this.coordinator?.broadcast(TAB_MESSAGES.DATA_CHANGED, { data });
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Save from a data store (nightingale.store.js): read its current data and
+   * treat each entry of its change feed as a data change
+   * @param {Object} store - Store created by createDataStore()
+   * @returns {Function} Disconnects from the change feed
+   */
+  connectStore(store) {
+    if (!store || typeof store.subscribeChanges !== 'function') {
+      return () => {};
+    }
+    if (!this.dataProvider) {
+      this.setDataProvider(() => store.getData());
+    }
+    return store.subscribeChanges((change) =>
+      this.notifyDataChange(change.data),
+    );
+  }
+
+  /**
+   * Schedule a debounced autosave
    */
-  notifyDataChange() {
+  scheduleSave() {
     if (!this.state.isRunning) return;
 
     this.state.lastDataChange = Date.now();
@@ -595,7 +1516,7 @@ class AutosaveFileService {
   /**
    * Perform an autosave operation
    */
-  async performAutosave() {
+  async performAutosave(reason = 'interval') {
     if (!this.state.isRunning || this.state.pendingSave) {
       return;
     }
@@ -605,10 +1526,43 @@ class AutosaveFileService {
       return;
     }
 
+    // Only the writer tab autosaves; manual saves are always honored
+    if (reason !== 'manual' && !this.isWriter()) {
+      this.updateStatus('follower', 'Another tab is saving changes');
+      return;
+    }
+
+    // Paused until the user resolves an external modification
+    if (this.state.conflict) {
+      this.updateStatus('conflict', 'Resolve the file conflict to resume');
+      return;
+    }
+
+    // Paused until the encrypted data file is unlocked
+    if (this.state.locked) {
+      this.updateStatus('locked', 'Unlock the data file to resume saving');
+      return;
+    }
+
+    // Paused until journaled edits are replayed or discarded
+    if (this.state.recoveryPending) {
+      this.updateStatus(
+        'recovery',
+        'Recover or discard unsaved changes to resume saving',
+      );
+      return;
+    }
+
     // Check permissions
     const permission = await this.checkPermission();
     if (permission !== 'granted') {
-      this.updateStatus('waiting', 'Waiting for folder connection');
+      const pending = this.getPendingChanges();
+      this.updateStatus(
+        'waiting',
+        pending
+          ? pendingMessage(pending.count)
+          : 'Waiting for folder connection',
+      );
       return;
     }
 
@@ -634,6 +1588,8 @@ class AutosaveFileService {
           'saved',
           `Last saved: ${new Date().toLocaleTimeString()}`,
         );
+      } else if (this.state.conflict) {
+        // Conflict status already reported; retrying would not help
       } else {
         this.handleSaveFailure('Write operation failed');
       }
@@ -681,12 +1637,11 @@ class AutosaveFileService {
       this.state.permissionStatus = permission;
 
       if (previousStatus !== permission) {
-        if (
-          permission === 'granted' &&
-          this.config.enabled &&
-          !this.state.isRunning
-        ) {
-          this.startAutosave();
+        if (permission === 'granted') {
+          if (this.config.enabled && !this.state.isRunning) {
+            this.startAutosave();
+          }
+          await this.flushPendingChanges();
         } else if (permission !== 'granted' && this.state.isRunning) {
           this.updateStatus('waiting', 'Waiting for folder permissions');
         }
@@ -758,18 +1713,21 @@ class AutosaveFileService {
    */
   destroy() {
     this.stopAutosave();
+    this.stopCoordination();
+    this.tabListeners.clear();
+    this.pendingListeners.clear();
     this.dataProvider = null;
     this.statusCallback = null;
   }
 
   /**
-   * Disconnect from current directory and clear persisted handle.
+   * Disconnect from the current storage and clear any persisted handle.
    * Does not prompt for permissions; intended to be called from a user action.
    */
   async disconnect() {
     try {
       this.stopAutosave();
-      await this.clearStoredDirectoryHandle();
+      await this.adapter.disconnect();
     } catch (_) {
       // ignore
     } finally {
@@ -779,6 +1737,376 @@ class AutosaveFileService {
     }
   }
 
+  // =============================================================================
+  // ENCRYPTION AT REST
+  // =============================================================================
+
+  /**
+   * Encrypt text with the active key; plaintext passes through when encryption is off
+   */
+  async encodeContents(text) {
+    return this.encryption ? encryptText(text, this.encryption) : text;
+  }
+
+  /**
+   * Decrypt an envelope with the active key; plaintext passes through.
+   * Throws LockedError without a key and DecryptionError for another key.
+   */
+  async decodeContents(contents) {
+    if (!parseEnvelope(contents)) return contents;
+    if (!this.encryption) {
+      const error = new Error('Data file is encrypted');
+      error.name = 'LockedError';
+      throw error;
+    }
+    return decryptText(contents, this.encryption);
+  }
+
+  /**
+   * Whether the active key (if any) can open `contents` (same salt; no decrypt)
+   */
+  canDecrypt(contents) {
+    const envelope = parseEnvelope(contents);
+    return !envelope || envelope.kdf?.salt === this.encryption?.kdf?.salt;
+  }
+
+  /**
+   * Guard for writes before the data file was read: an encrypted file on disk
+   * must not be replaced by a tab that has not unlocked it.
+   */
+  async canWriteOverStoredFile() {
+    if (this.state.locked) return false;
+    if (this.encryption) return true;
+    let contents = this.lastKnownFile?.contents;
+    if (contents === undefined) {
+      try {
+        contents = (await this.adapter.read(this.fileName))?.contents;
+      } catch (_) {
+        contents = null;
+      }
+    }
+    if (!this.canDecrypt(contents)) {
+      this.lock('Data file is encrypted; enter the passphrase to unlock');
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Stop reading/writing until unlock(passphrase) succeeds
+   */
+  lock(message = 'Data file is locked') {
+    this.encryption = null;
+    this.state.locked = true;
+    this.updateStatus('locked', message);
+  }
+
+  /**
+   * Encryption state for the UI
+   * @returns {{ supported: boolean, encrypted: boolean, locked: boolean }}
+   */
+  getEncryptionStatus() {
+    return {
+      supported: isEncryptionSupported(),
+      encrypted: !!this.encryption || this.state.locked,
+      locked: this.state.locked,
+    };
+  }
+
+  /**
+   * Unlock an encrypted data file. Resolves to the data, or null for a wrong passphrase.
+   */
+  async unlock(passphrase) {
+    const file = await this.adapter.read(this.fileName);
+    const envelope = parseEnvelope(file?.contents);
+    if (envelope) {
+      try {
+        const keyInfo = await deriveKeyForEnvelope(passphrase, envelope);
+        await decryptText(envelope, keyInfo);
+        this.encryption = keyInfo;
+      } catch (error) {
+        const logger = globalThis.NightingaleLogger?.get('autosave:encryption');
+        logger?.warn('Unlock failed', { error: error.message });
+        return null;
+      }
+    }
+
+    this.state.locked = false;
+    const data = await this.readFile();
+    this.updateStatus('connected', 'Data file unlocked');
+    if (this.config.enabled && !this.state.isRunning) {
+      this.startAutosave();
+    }
+    // Changes buffered while locked out are sealed with this key
+    await this.flushPendingChanges();
+    return data;
+  }
+
+  /**
+   * Encrypt an existing plaintext data file and its backups with a new passphrase.
+   * Returns { backups, failed } (backup file names that could not be converted).
+   */
+  async enableEncryption(passphrase, { kdf } = {}) {
+    this.assertPassphrase(passphrase);
+    if (this.state.locked || this.encryption) {
+      throw new Error('Data file is already encrypted');
+    }
+    const keyInfo = await deriveKey(passphrase, kdf ? { kdf } : undefined);
+    return this.reencryptStoredFiles(keyInfo);
+  }
+
+  /**
+   * Re-encrypt the data file and backups under a new passphrase (fresh salt).
+   * Resolves to { backups, failed }, or null when the current passphrase is wrong.
+   */
+  async changePassphrase(currentPassphrase, nextPassphrase, { kdf } = {}) {
+    this.assertPassphrase(nextPassphrase);
+    const file = await this.adapter.read(this.fileName);
+    const envelope = parseEnvelope(file?.contents);
+    if (!envelope) {
+      throw new Error('Data file is not encrypted');
+    }
+    let current;
+    try {
+      current = await deriveKeyForEnvelope(currentPassphrase, envelope);
+      await decryptText(envelope, current);
+    } catch (_) {
+      return null;
+    }
+    this.encryption = current;
+    this.state.locked = false;
+    const next = await deriveKey(nextPassphrase, {
+      kdf: { ...(kdf || envelope.kdf), salt: undefined },
+    });
+    return this.reencryptStoredFiles(next);
+  }
+
+  assertPassphrase(passphrase) {
+    if (!isEncryptionSupported()) {
+      throw new Error('Encryption is not supported in this browser');
+    }
+    if (!passphrase || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      throw new Error(
+        `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`,
+      );
+    }
+  }
+
+  /**
+   * Rewrite backups, then the data file, decoded with the active key (or as
+   * plaintext) and encoded with `nextKey`. The data file is written last so a
+   * failure part-way leaves it readable with the previous passphrase.
+   */
+  async reencryptStoredFiles(nextKey) {
+    const permission = await this.checkPermission();
+    if (permission !== 'granted') {
+      throw new Error('Storage is not connected');
+    }
+    const file = await this.adapter.read(this.fileName);
+    const plaintext = file ? await this.decodeContents(file.contents) : null;
+    let data = plaintext !== null ? JSON.parse(plaintext) : null;
+    if (isShardManifest(data)) {
+      const { data: joined, state } = await this.readShards(data);
+      data = joined;
+      // Every shard is rewritten under the new key
+      this.layout = 'sharded';
+      this.shards = { ...state, entries: new Map() };
+    }
+
+    const backups = await this.listFiles(BACKUP_PREFIX);
+    const failed = [];
+    let converted = 0;
+    for (const backup of backups) {
+      try {
+        const stored = await this.adapter.read(backup.name);
+        if (!stored) continue;
+        const text = await this.decodeContents(stored.contents);
+        await this.adapter.writeNamed(
+          backup.name,
+          await encryptText(text, nextKey),
+        );
+        converted += 1;
+      } catch (error) {
+        failed.push(backup.name);
+        const logger = globalThis.NightingaleLogger?.get('autosave:encryption');
+        logger?.warn('Backup re-encryption failed', {
+          name: backup.name,
+          error: error.message,
+        });
+      }
+    }
+
+    const previousKey = this.encryption;
+    this.encryption = nextKey;
+    if (data !== null) {
+      const written = await this._performWrite(data, { force: true });
+      if (!written) {
+        this.encryption = previousKey;
+        throw new Error('Failed to write the encrypted data file');
+      }
+    }
+    this.updateStatus('connected', 'Data file encrypted');
+    return { backups: converted, failed };
+  }
+
+  // =============================================================================
+  // SHARDED LAYOUT
+  // =============================================================================
+
+  /**
+   * Read and decode every shard a manifest references.
+   * @returns {Promise<{ data: Object, state: Object }>}
+   */
+  async readShards(manifest) {
+    const files = {};
+    for (const name of Object.values(manifest.shards || {})) {
+      const file = await this.adapter.read(name);
+      if (file) {
+        files[name] = await this.decodeContents(file.contents);
+      }
+    }
+    return loadShardedLayout(manifest, files);
+  }
+
+  /**
+   * Write the shards of `data` that changed since the last commit.
+   * Returns the plan whose manifest must be written to commit them.
+   */
+  async writeShards(data) {
+    const plan = planShardWrite(data, this.shards);
+    for (const { name, text } of plan.writes) {
+      await this.adapter.writeNamed(name, await this.encodeContents(text));
+    }
+    return plan;
+  }
+
+  /**
+   * Adopt a written manifest's shard state and remove unreferenced shard files
+   */
+  async commitShards(plan) {
+    this.shards = plan.state;
+    await this.removeShardFiles(plan.manifest);
+  }
+
+  /**
+   * Remove shard files not referenced by `manifest` (all of them when null).
+   * Best effort: leftovers are retried after the next save.
+   */
+  async removeShardFiles(manifest = null) {
+    try {
+      const names = (await this.adapter.list(SHARD_PREFIX)).map((f) => f.name);
+      for (const name of staleShardFiles(names, manifest)) {
+        await this.adapter.remove(name);
+      }
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:shards');
+      logger?.warn('Removing stale shard files failed', {
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Storage layout for the UI
+   * @returns {{ layout: 'single'|'sharded', shards: number }}
+   */
+  getLayoutInfo() {
+    return {
+      layout: this.layout,
+      shards: this.shards ? this.shards.entries.size : 0,
+    };
+  }
+
+  /**
+   * Convert the stored data file between the single-file and sharded layouts.
+   * The data is read back from storage, rewritten in the target layout, and
+   * files of the old layout are removed.
+   *
+   * @param {'single'|'sharded'} layout
+   * @param {Object} [options]
+   * @param {number} [options.bucketCount] - Case buckets for the sharded layout
+   * @returns {Promise<{ layout: string, shards: number }>}
+   */
+  async convertLayout(layout, { bucketCount } = {}) {
+    if (layout !== 'single' && layout !== 'sharded') {
+      throw new Error(`Unknown storage layout: ${layout}`);
+    }
+    if (this.state.locked) {
+      throw new Error('Unlock the data file before converting it');
+    }
+    const data = await this.readFile();
+    if (!data) {
+      throw new Error('No data file to convert');
+    }
+    if (this.layout !== layout) {
+      const previousLayout = this.layout;
+      const previousShards = this.shards;
+      this.layout = layout;
+      this.shards =
+        layout === 'sharded'
+          ? {
+              generation: previousShards?.generation || 0,
+              bucketCount,
+              entries: new Map(),
+            }
+          : null;
+      const written = await this._performWrite(data, { force: true });
+      if (!written) {
+        this.layout = previousLayout;
+        this.shards = previousShards;
+        throw new Error('Failed to write the converted data file');
+      }
+      if (layout === 'single') {
+        await this.removeShardFiles(null);
+      }
+    }
+    return this.getLayoutInfo();
+  }
+
+  // =============================================================================
+  // STORAGE ADAPTER
+  // =============================================================================
+
+  /**
+   * Describe the active storage adapter ({ kind, label, permission, connected })
+   */
+  async getStorageInfo() {
+    return this.adapter.status();
+  }
+
+  /**
+   * Move to another storage adapter (instance or kind). The in-memory dataset is
+   * copied over when the new location has no data file yet.
+   * Returns true when the new storage is connected; File System Access may still
+   * need connect() from a user gesture.
+   */
+  async switchAdapter(adapter) {
+    const next =
+      adapter && typeof adapter === 'object'
+        ? adapter
+        : createStorageAdapter(adapter, { fileName: this.fileName });
+    const current = this.dataProvider?.() || null;
+
+    this.stopAutosave();
+    this.adapter = next;
+    this.lastKnownFile = null;
+    this.state.conflict = null;
+    this.state.recoveryPending = false;
+    this.layout = 'single';
+    this.shards = null;
+    this.unmigratedData = null;
+
+    const { permission } = await this.restoreLastDirectoryAccess();
+    const connected = permission === 'granted';
+    if (connected && current && !(await this.adapter.stat(this.fileName))) {
+      await this.writeFile(current);
+    }
+    if (this.config.enabled) {
+      this.startAutosave();
+    }
+    return connected;
+  }
+
   /**
    * Static factory method for React integration
    * Creates and configures service for typical React use case
@@ -789,12 +2117,18 @@ class AutosaveFileService {
     sanitizeFn = (str) => str,
     tabId = null,
 
+    // Storage adapter instance or kind ('fsa', 'opfs', 'indexeddb', 'http', 'memory', 'auto')
+    adapter = 'fsa',
+
     // Autosave configuration
     enabled = true,
     saveInterval = 120000, // 2 minutes
     debounceDelay = 5000, // 5 seconds
     maxRetries = 3,
 
+    // Multi-tab coordination
+    multiTab = true,
+
     // React integration
     getFullData,
     statusCallback = null,
@@ -804,10 +2138,12 @@ class AutosaveFileService {
       errorCallback,
       sanitizeFn,
       tabId,
+      adapter,
       enabled,
       saveInterval,
       debounceDelay,
       maxRetries,
+      multiTab,
       statusCallback,
     });
 
@@ -0,0 +1,257 @@
+/**
+ * Nightingale CMS Financial Balance History
+ *
+ * Each financial item keeps the amounts it has had in `balanceHistory`, oldest
+ * first: { id, date (YYYY-MM-DD the amount was as of), amount, source (the
+ * verification source), verificationStatus, recordedAt, recordedBy }. The item's
+ * `amount`/`value` stay the current amount, so everything reading them is unchanged.
+ *
+ * A manual edit that changes the amount appends an entry (trackBalanceChange) and an
+ * AVS import appends one to the matching account instead of adding a second item
+ * (mergeAvsResources). Items saved before histories existed get an entry for their
+ * previous amount, dated when they were added, the first time they change.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { dayjs } from './nightingale.dayjs.js';
+import {
+  generateSecureId,
+  transformFinancialItems,
+} from './nightingale.datamanagement.js';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+const toDate = (value) => {
+  const date = value ? dayjs(value) : null;
+  return date?.isValid() ? date.format(DATE_FORMAT) : null;
+};
+
+/**
+ * Current amount of a financial item (`amount`, or the legacy `value`)
+ * @param {Object} item
+ * @returns {number}
+ */
+export function itemAmount(item) {
+  const amount = Number(item?.amount ?? item?.value);
+  return Number.isFinite(amount) ? amount : 0;
+}
+
+/**
+ * A balance history entry
+ * @param {Object} fields - { amount, date, source, verificationStatus }
+ * @param {Object} [options] - { actor, timestamp (ISO) }
+ * @returns {Object}
+ */
+export function createBalanceEntry(fields, options = {}) {
+  const { actor = null, timestamp = new Date().toISOString() } = options;
+  return {
+    id: generateSecureId('balance'),
+    date: toDate(fields.date) || toDate(timestamp),
+    amount: itemAmount(fields),
+    source: fields.source || '',
+    verificationStatus: fields.verificationStatus || '',
+    recordedAt: timestamp,
+    recordedBy: actor,
+  };
+}
+
+// Entry for the amount an item had before it had a history
+const seedEntry = (item) => ({
+  ...createBalanceEntry(
+    {
+      amount: itemAmount(item),
+      date: item.dateAdded,
+      source: item.verificationSource || item.source,
+      verificationStatus: item.verificationStatus,
+    },
+    { timestamp: toDate(item.dateAdded) ? item.dateAdded : undefined },
+  ),
+  recordedBy: null,
+});
+
+const byDate = (a, b) =>
+  (a.date || '').localeCompare(b.date || '') ||
+  (a.recordedAt || '').localeCompare(b.recordedAt || '');
+
+/**
+ * Amounts of a financial item, oldest first. An item without a history yields a
+ * single entry (without an id) for its current amount.
+ * @param {Object} item
+ * @returns {Array<Object>}
+ */
+export function balanceHistory(item) {
+  if (!item) return [];
+  if (Array.isArray(item.balanceHistory) && item.balanceHistory.length > 0) {
+    return [...item.balanceHistory].sort(byDate);
+  }
+  const { id, ...entry } = seedEntry(item); // eslint-disable-line no-unused-vars
+  return [entry];
+}
+
+/**
+ * Financial item with a new current amount, the entry appended to its history
+ * @param {Object} item - Not mutated
+ * @param {Object} fields - { amount, date, source, verificationStatus }
+ * @param {Object} [options] - { actor, timestamp }
+ * @returns {Object}
+ */
+export function recordBalance(item, fields, options = {}) {
+  const history = Array.isArray(item.balanceHistory)
+    ? item.balanceHistory
+    : [seedEntry(item)];
+  const entry = createBalanceEntry(fields, options);
+  return {
+    ...item,
+    amount: entry.amount,
+    value: entry.amount,
+    balanceHistory: [...history, entry],
+  };
+}
+
+/**
+ * Financial item as saved from the edit form: a new item starts its history, an
+ * edited one keeps its history and gets an entry when the amount changed.
+ * @param {Object|null} previous - Item before the edit (null for a new item)
+ * @param {Object} next - Item as saved
+ * @param {Object} [options] - { actor, timestamp }
+ * @returns {Object}
+ */
+export function trackBalanceChange(previous, next, options = {}) {
+  const fields = {
+    amount: itemAmount(next),
+    source: next.verificationSource || next.source,
+    verificationStatus: next.verificationStatus,
+  };
+  if (!previous) {
+    return {
+      ...next,
+      balanceHistory: [
+        createBalanceEntry({ ...fields, date: next.dateAdded }, options),
+      ],
+    };
+  }
+  if (itemAmount(previous) === fields.amount) {
+    return previous.balanceHistory
+      ? { ...next, balanceHistory: previous.balanceHistory }
+      : next;
+  }
+  return recordBalance(
+    {
+      ...next,
+      balanceHistory: previous.balanceHistory || [seedEntry(previous)],
+    },
+    fields,
+    options,
+  );
+}
+
+/**
+ * Apply selected AVS accounts to a case's resources: an account that matches an
+ * existing item (`existingItem`, see AvsImportModal) appends its balance to that
+ * item's history; the others are added as new items.
+ * @param {Array<Object>} resources - Current resources (not mutated)
+ * @param {Array<Object>} imported - Selected AVS accounts
+ * @param {Object} [options] - { actor, timestamp, transform (turns the new
+ *   accounts into financial items; defaults to transformFinancialItems) }
+ * @returns {{ resources:Array<Object>, added:number, updated:number }}
+ */
+export function mergeAvsResources(resources, imported, options = {}) {
+  const { transform = transformFinancialItems, ...entryOptions } = options;
+  const updates = new Map();
+  const created = [];
+  (imported || []).forEach((account) => {
+    if (account.existingItem) updates.set(account.existingItem.id, account);
+    else created.push(account);
+  });
+
+  const updated = (resources || []).map((item) => {
+    const account = updates.get(item?.id);
+    if (!account) return item;
+    return {
+      ...recordBalance(
+        item,
+        {
+          amount: itemAmount(account),
+          date: account.balanceDate,
+          source: account.source,
+          verificationStatus: account.verificationStatus,
+        },
+        entryOptions,
+      ),
+      verificationStatus: account.verificationStatus || item.verificationStatus,
+      verificationSource: account.source || item.verificationSource,
+      source: account.source || item.source,
+    };
+  });
+
+  // New accounts start their history at the AVS balance date
+  const added = transform(created).map((item, index) => ({
+    ...item,
+    balanceHistory: [
+      createBalanceEntry(
+        {
+          amount: itemAmount(item),
+          date: created[index]?.balanceDate || item.dateAdded,
+          source: item.verificationSource || item.source,
+          verificationStatus: item.verificationStatus,
+        },
+        entryOptions,
+      ),
+    ],
+  }));
+
+  return {
+    resources: [...updated, ...added],
+    added: added.length,
+    updated: updates.size,
+  };
+}
+
+/**
+ * Change between the first and the latest amount of an item
+ * @param {Object} item
+ * @returns {{ first:Object, last:Object, change:number }|null} null with fewer
+ *   than two entries
+ */
+export function balanceTrend(item) {
+  const history = balanceHistory(item);
+  if (history.length < 2) return null;
+  const first = history[0];
+  const last = history[history.length - 1];
+  return { first, last, change: last.amount - first.amount };
+}
+
+/**
+ * SVG polyline points for a sparkline of the history
+ * @param {Array<Object>} history - Entries, oldest first
+ * @param {Object} [size] - { width, height }
+ * @returns {string} '' with fewer than two entries
+ */
+export function sparklinePoints(history, size = {}) {
+  const { width = 100, height = 24 } = size;
+  if (!Array.isArray(history) || history.length < 2) return '';
+  const amounts = history.map((entry) => itemAmount(entry));
+  const min = Math.min(...amounts);
+  const range = Math.max(...amounts) - min || 1;
+  const step = width / (amounts.length - 1);
+  return amounts
+    .map((amount, index) => {
+      const x = index * step;
+      const y = height - ((amount - min) / range) * height;
+      return `${Number(x.toFixed(2))},${Number(y.toFixed(2))}`;
+    })
+    .join(' ');
+}
+
+export default {
+  itemAmount,
+  createBalanceEntry,
+  balanceHistory,
+  recordBalance,
+  trackBalanceChange,
+  mergeAvsResources,
+  balanceTrend,
+  sparklinePoints,
+};
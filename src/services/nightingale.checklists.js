@@ -0,0 +1,269 @@
+/**
+ * Nightingale CMS Document Checklists
+ *
+ * Each case type (LTC, Waiver, SIMP) has a checklist template: the documents an
+ * application needs, each marked required or optional. Templates are edited in
+ * Settings → Document Checklists and stored in the dataset's `checklistTemplates`
+ * (keyed by case type); DEFAULT_CHECKLIST_TEMPLATES applies to a case type the
+ * dataset has no template for.
+ *
+ * A case carries its own instance in `documentChecklist`:
+ *   { caseType, items: [{ id, name, required, status, receivedDate }] }
+ * where `status` is a key of CHECKLIST_STATUSES. New cases get the instance of their
+ * case type; a required document is missing until it is received, waived or marked
+ * not applicable.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { dayjs } from './nightingale.dayjs.js';
+import { generateSecureId } from './nightingale.datamanagement.js';
+
+/** Item status keys with their display names */
+export const CHECKLIST_STATUSES = {
+  pending: 'Pending',
+  received: 'Received',
+  waived: 'Waived',
+  'not-applicable': 'Not applicable',
+};
+
+const SETTLED_STATUSES = new Set(['received', 'waived', 'not-applicable']);
+
+const item = (id, name, required = true) => ({ id, name, required });
+
+/** Built-in templates, by case type */
+export const DEFAULT_CHECKLIST_TEMPLATES = {
+  LTC: [
+    item('application', 'Signed application'),
+    item('photo-id', 'Photo ID'),
+    item('income', 'Proof of income'),
+    item('bank-statements', 'Bank statements'),
+    item('admission', 'Facility admission record'),
+    item('life-insurance', 'Life insurance policies', false),
+    item('burial', 'Burial or funeral contract', false),
+    item('property', 'Property and vehicle records', false),
+    item('authorized-rep', 'Authorized representative form', false),
+  ],
+  Waiver: [
+    item('application', 'Signed application'),
+    item('photo-id', 'Photo ID'),
+    item('income', 'Proof of income'),
+    item('bank-statements', 'Bank statements'),
+    item('level-of-care', 'Level of care assessment'),
+    item('service-plan', 'Service plan', false),
+    item('authorized-rep', 'Authorized representative form', false),
+  ],
+  SIMP: [
+    item('application', 'Signed application'),
+    item('photo-id', 'Photo ID'),
+    item('income', 'Proof of income'),
+    item('bank-statements', 'Bank statements'),
+    item('medicare-card', 'Medicare card'),
+  ],
+};
+
+export const CHECKLIST_CASE_TYPES = Object.keys(DEFAULT_CHECKLIST_TEMPLATES);
+
+function checklistError(message) {
+  const error = new Error(message);
+  error.name = 'ChecklistError';
+  return error;
+}
+
+/**
+ * Template items of a case type: the dataset's, else the built-in one
+ * @param {Object} data - Dataset
+ * @param {string} caseType
+ * @returns {Array<{ id:string, name:string, required:boolean }>}
+ */
+export function checklistTemplate(data, caseType) {
+  const stored = data?.checklistTemplates?.[caseType];
+  if (Array.isArray(stored)) return stored;
+  return DEFAULT_CHECKLIST_TEMPLATES[caseType] || [];
+}
+
+/**
+ * Problems with template items ([] when valid)
+ * @param {Array} items
+ * @returns {Array<string>}
+ */
+export function validateChecklistTemplate(items) {
+  if (!Array.isArray(items)) return ['A checklist template is a list of items'];
+  const problems = [];
+  const names = new Set();
+  items.forEach((entry, index) => {
+    const name = String(entry?.name || '').trim();
+    if (!name) {
+      problems.push(`Item ${index + 1} needs a name`);
+      return;
+    }
+    if (names.has(name.toLowerCase())) {
+      problems.push(`"${name}" is listed twice`);
+    }
+    names.add(name.toLowerCase());
+  });
+  return problems;
+}
+
+/**
+ * Dataset with the template of a case type replaced (or, with `null`, removed so the
+ * built-in one applies again). Items without an id get one.
+ *
+ * @param {Object} data - Not mutated
+ * @param {string} caseType
+ * @param {Array|null} items
+ * @returns {Object}
+ * @throws {Error} name 'ChecklistError' when the items are invalid
+ */
+export function setChecklistTemplate(data, caseType, items) {
+  const templates = { ...(data?.checklistTemplates || {}) };
+  if (items == null) {
+    delete templates[caseType];
+    return { ...data, checklistTemplates: templates };
+  }
+  const problems = validateChecklistTemplate(items);
+  if (problems.length > 0) throw checklistError(problems.join('; '));
+  templates[caseType] = items.map((entry) => ({
+    id: entry.id || generateSecureId('doc'),
+    name: String(entry.name).trim(),
+    required: entry.required !== false,
+  }));
+  return { ...data, checklistTemplates: templates };
+}
+
+/**
+ * New checklist instance with every item pending
+ * @param {string} caseType
+ * @param {Array} templateItems - From checklistTemplate()
+ * @returns {{ caseType:string, items:Array }}
+ */
+export function createChecklist(caseType, templateItems) {
+  return {
+    caseType,
+    items: (templateItems || []).map((entry) => ({
+      id: entry.id,
+      name: entry.name,
+      required: entry.required !== false,
+      status: 'pending',
+      receivedDate: null,
+    })),
+  };
+}
+
+/**
+ * Case with the checklist of its case type. Items the case already tracked (same
+ * id) keep their status and received date; a case without a case type is returned
+ * as is.
+ *
+ * @param {Object} caseItem - Not mutated
+ * @param {Object} data - Dataset holding the templates
+ * @returns {Object}
+ */
+export function applyChecklist(caseItem, data) {
+  if (!caseItem?.caseType) return caseItem;
+  const fresh = createChecklist(
+    caseItem.caseType,
+    checklistTemplate(data, caseItem.caseType),
+  );
+  const previous = new Map(
+    (caseItem.documentChecklist?.items || []).map((entry) => [entry.id, entry]),
+  );
+  return {
+    ...caseItem,
+    documentChecklist: {
+      ...fresh,
+      items: fresh.items.map((entry) =>
+        previous.has(entry.id)
+          ? {
+              ...entry,
+              status: previous.get(entry.id).status,
+              receivedDate: previous.get(entry.id).receivedDate ?? null,
+            }
+          : entry,
+      ),
+    },
+  };
+}
+
+/**
+ * Case with one checklist item changed. Marking an item received stamps today as
+ * its received date unless one is given; any other status clears it.
+ *
+ * @param {Object} caseItem - Not mutated
+ * @param {string} itemId
+ * @param {Object} patch - { status, receivedDate }
+ * @param {Object} [options] - { today: YYYY-MM-DD }
+ * @returns {Object}
+ * @throws {Error} name 'ChecklistError' for an unknown item or status
+ */
+export function updateChecklistItem(caseItem, itemId, patch, options = {}) {
+  const items = caseItem?.documentChecklist?.items || [];
+  const current = items.find((entry) => entry.id === itemId);
+  if (!current) throw checklistError(`No checklist item ${itemId}`);
+  const status = patch?.status ?? current.status;
+  if (!(status in CHECKLIST_STATUSES)) {
+    throw checklistError(`Unknown checklist status: ${status}`);
+  }
+  const receivedDate =
+    status === 'received'
+      ? patch?.receivedDate ||
+        current.receivedDate ||
+        options.today ||
+        dayjs().format('YYYY-MM-DD')
+      : null;
+  return {
+    ...caseItem,
+    documentChecklist: {
+      ...caseItem.documentChecklist,
+      items: items.map((entry) =>
+        entry === current ? { ...entry, status, receivedDate } : entry,
+      ),
+    },
+  };
+}
+
+/**
+ * Required documents still pending
+ * @param {Object} checklist - A case's `documentChecklist`
+ * @returns {Array<Object>}
+ */
+export function missingDocuments(checklist) {
+  return (checklist?.items || []).filter(
+    (entry) => entry.required && !SETTLED_STATUSES.has(entry.status),
+  );
+}
+
+/**
+ * Progress of a checklist: settled required items out of all required ones
+ * @param {Object} checklist
+ * @returns {{ required:number, settled:number, received:number,
+ *   missing:Array<Object>, complete:boolean }|null} null when there is no checklist
+ */
+export function checklistProgress(checklist) {
+  if (!checklist || !Array.isArray(checklist.items)) return null;
+  const required = checklist.items.filter((entry) => entry.required);
+  const missing = missingDocuments(checklist);
+  return {
+    required: required.length,
+    settled: required.length - missing.length,
+    received: checklist.items.filter((entry) => entry.status === 'received')
+      .length,
+    missing,
+    complete: missing.length === 0,
+  };
+}
+
+export default {
+  CHECKLIST_STATUSES,
+  DEFAULT_CHECKLIST_TEMPLATES,
+  CHECKLIST_CASE_TYPES,
+  checklistTemplate,
+  validateChecklistTemplate,
+  setChecklistTemplate,
+  createChecklist,
+  applyChecklist,
+  updateChecklistItem,
+  missingDocuments,
+  checklistProgress,
+};
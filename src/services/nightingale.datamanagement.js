@@ -14,6 +14,12 @@
  * @created 2025-08-24
  */
 
+import {
+  assertMigrationChain,
+  latestSchemaVersion,
+  runMigrations,
+} from './nightingale.migrations.js';
+
 // ========================================================================
 // UTILITY FUNCTIONS
 // ========================================================================
@@ -161,339 +167,257 @@ function findPersonById(people, personId) {
 // ========================================================================
 
 /**
- * Comprehensive data migration and normalization for CMS React compatibility
- * Handles legacy data formats and ensures consistency across the application
- *
- * @param {Object} data - Raw data object to normalize
- * @returns {Promise<Object>} Normalized data object
+ * Schema version of files without `metadata.schemaVersion`, and of files stamped by
+ * the pre-registry normalizer (which re-applied every fix on each load)
  */
-async function normalizeDataMigrations(data) {
-  if (!data) return data;
-  // Create a deep clone to prevent race conditions during concurrent modifications
-  const normalizedData = JSON.parse(JSON.stringify(data));
-
-  // Preserve empty objects without adding scaffolding to satisfy callers/tests expecting {} unchanged
-  if (Object.keys(normalizedData).length === 0) {
-    return normalizedData;
-  }
+const BASE_SCHEMA_VERSION = '2024.1';
 
-  // Ensure metadata scaffold
-  normalizedData.metadata = normalizedData.metadata || {};
-  if (!normalizedData.metadata.schemaVersion) {
-    normalizedData.metadata.schemaVersion = '2024.1';
-  }
-  if (!normalizedData.metadata.version) {
-    normalizedData.metadata.version = '1.0.0';
-  }
+const FINANCIAL_TYPES = ['resources', 'income', 'expenses'];
 
-  // Normalize case data structure
-  if (normalizedData.cases) {
-    const peopleById = new Map(
-      (normalizedData.people || []).map((p) => {
-        const person = { ...p };
-        // Derive composite name if missing
-        if (!person.name) {
-          const composite = [person.firstName, person.lastName]
-            .filter(Boolean)
-            .join(' ')
-            .trim();
-          if (composite) person.name = composite;
-        }
-        return [ensureStringId(person.id), person];
-      }),
-    );
-    normalizedData.cases = normalizedData.cases.map((caseItem) => {
-      const normalizedCase = { ...caseItem };
-
-      // Ensure every case has a proper ID with secure generation
-      if (!normalizedCase.id || normalizedCase.id === null) {
-        normalizedCase.id = generateSecureId('case');
-      }
-      normalizedCase.id = ensureStringId(normalizedCase.id);
+const financialItemsOf = (caseItem) =>
+  FINANCIAL_TYPES.flatMap((k) => caseItem.financials?.[k] || []);
 
-      // Ensure MCN field consistency - map both directions
-      // Legacy field migration: masterCaseNumber -> mcn
-      if (caseItem.masterCaseNumber && !caseItem.mcn) {
-        normalizedCase.mcn = caseItem.masterCaseNumber;
-      }
+/**
+ * Step 1: metadata scaffold and string ids everywhere (legacy files use numbers)
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateStringIds(data) {
+  data.metadata = data.metadata || {};
+  if (!data.metadata.version) {
+    data.metadata.version = '1.0.0';
+  }
 
-      // Enforce MCN numeric-only string if present
-      if (normalizedCase.mcn) {
-        normalizedCase.mcn = String(normalizedCase.mcn).replace(/\D/g, '');
-      }
+  (data.cases || []).forEach((caseItem) => {
+    // Ensure every case has a proper ID with secure generation
+    if (!caseItem.id) {
+      caseItem.id = generateSecureId('case');
+    }
+    caseItem.id = ensureStringId(caseItem.id);
 
-      // Map appDetails.appDate to applicationDate
-      if (caseItem.appDetails?.appDate && !caseItem.applicationDate) {
-        normalizedCase.applicationDate = caseItem.appDetails.appDate;
-      }
+    // Ensure personId is a string (legacy uses numbers)
+    if (caseItem.personId) {
+      caseItem.personId = ensureStringId(caseItem.personId);
+    }
 
-      // Map appDetails.caseType to caseType if missing
-      if (caseItem.appDetails?.caseType && !caseItem.caseType) {
-        normalizedCase.caseType = caseItem.appDetails.caseType;
-      }
+    financialItemsOf(caseItem).forEach((item) => {
+      item.id = item.id
+        ? ensureStringId(item.id)
+        : generateSecureId('financial');
+    });
+  });
 
-      // Convert legacy createdAt to createdDate
-      if (caseItem.createdAt && !caseItem.createdDate) {
-        normalizedCase.createdDate = caseItem.createdAt;
+  if (data.people) {
+    // Ensure ids, then resolve duplicate person IDs
+    const seenPersonIds = new Set();
+    data.people.forEach((person) => {
+      person.id = person.id
+        ? ensureStringId(person.id)
+        : generateSecureId('person');
+      if (seenPersonIds.has(person.id)) {
+        person.id = generateSecureId('person');
       }
+      seenPersonIds.add(person.id);
+    });
+  }
 
-      // Ensure personId is a string (legacy uses numbers)
-      if (
-        normalizedCase.personId &&
-        typeof normalizedCase.personId === 'number'
-      ) {
-        normalizedCase.personId = normalizedCase.personId.toString();
-      }
-      if (normalizedCase.personId) {
-        normalizedCase.personId = ensureStringId(normalizedCase.personId);
-      }
+  (data.organizations || []).forEach((org) => {
+    org.id = org.id ? ensureStringId(org.id) : generateSecureId('org');
+  });
+}
 
-      // Backfill clientName from person if missing
-      if (!normalizedCase.clientName && normalizedCase.personId) {
-        const person = peopleById.get(normalizedCase.personId);
-        if (person?.name) normalizedCase.clientName = person.name;
+/**
+ * Step 2: legacy case fields (masterCaseNumber, appDetails, createdAt), client
+ * snapshots from the linked person, and defaults for fields added since
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateCaseFields(data) {
+  if (!data.cases) return;
+  const peopleById = new Map(
+    (data.people || []).map((p) => {
+      const person = { ...p };
+      // Derive composite name if missing
+      if (!person.name) {
+        const composite = [person.firstName, person.lastName]
+          .filter(Boolean)
+          .join(' ')
+          .trim();
+        if (composite) person.name = composite;
       }
+      return [ensureStringId(person.id), person];
+    }),
+  );
 
-      // Backfill clientAddress from person if missing
-      if (!normalizedCase.clientAddress && normalizedCase.personId) {
-        const person = peopleById.get(normalizedCase.personId);
-        if (person?.address) {
-          normalizedCase.clientAddress = normalizeAddress(person.address);
-        }
-      }
+  data.cases.forEach((caseItem) => {
+    // Legacy field migration: masterCaseNumber -> mcn
+    if (caseItem.masterCaseNumber && !caseItem.mcn) {
+      caseItem.mcn = caseItem.masterCaseNumber;
+    }
 
-      // Add required fields with defaults for legacy cases
-      if (!normalizedCase.status) {
-        normalizedCase.status = 'Pending';
-      }
+    // Enforce MCN numeric-only string if present
+    if (caseItem.mcn) {
+      caseItem.mcn = String(caseItem.mcn).replace(/\D/g, '');
+    }
 
-      if (!normalizedCase.description) {
-        normalizedCase.description = '';
-      }
+    // Map appDetails.appDate to applicationDate
+    if (caseItem.appDetails?.appDate && !caseItem.applicationDate) {
+      caseItem.applicationDate = caseItem.appDetails.appDate;
+    }
 
-      if (!normalizedCase.priority) {
-        normalizedCase.priority = false;
-      }
+    // Map appDetails.caseType to caseType if missing
+    if (caseItem.appDetails?.caseType && !caseItem.caseType) {
+      caseItem.caseType = caseItem.appDetails.caseType;
+    }
 
-      if (!normalizedCase.withWaiver) {
-        normalizedCase.withWaiver = false;
-      }
+    // Convert legacy createdAt to createdDate
+    if (caseItem.createdAt && !caseItem.createdDate) {
+      caseItem.createdDate = caseItem.createdAt;
+    }
 
-      if (!normalizedCase.authorizedReps) {
-        normalizedCase.authorizedReps = [];
-      }
+    // Backfill clientName and clientAddress from person if missing
+    const person = caseItem.personId ? peopleById.get(caseItem.personId) : null;
+    if (!caseItem.clientName && person?.name) {
+      caseItem.clientName = person.name;
+    }
+    if (!caseItem.clientAddress && person?.address) {
+      caseItem.clientAddress = normalizeAddress(person.address);
+    }
 
-      if (!normalizedCase.retroRequested) {
-        normalizedCase.retroRequested = 'No';
-      }
+    // Add required fields with defaults for legacy cases
+    if (!caseItem.status) caseItem.status = 'Pending';
+    if (!caseItem.description) caseItem.description = '';
+    if (!caseItem.priority) caseItem.priority = false;
+    if (!caseItem.withWaiver) caseItem.withWaiver = false;
+    if (!caseItem.authorizedReps) caseItem.authorizedReps = [];
+    if (!caseItem.retroRequested) caseItem.retroRequested = 'No';
+
+    // Add default values for new fields if they don't exist
+    if (!caseItem.livingArrangement) {
+      caseItem.livingArrangement = 'Not specified';
+    }
+    if (!caseItem.organizationAddress) {
+      caseItem.organizationAddress = 'Not specified';
+    }
 
-      // Add default values for new fields if they don't exist
-      if (!normalizedCase.livingArrangement) {
-        normalizedCase.livingArrangement = 'Not specified';
-      }
+    // Ensure financials structure exists
+    if (!caseItem.financials) {
+      caseItem.financials = { resources: [], income: [], expenses: [] };
+    }
+  });
+}
 
-      if (!normalizedCase.organizationAddress) {
-        normalizedCase.organizationAddress = 'Not specified';
+/**
+ * Step 3: financial items from the CMSOld model (type/value/source) to the React
+ * model (description/amount/verificationSource), keeping both names in sync
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateFinancialItems(data) {
+  (data.cases || []).forEach((caseItem) => {
+    financialItemsOf(caseItem).forEach((item) => {
+      // Migrate type → description (CMSOld uses "type", React uses "description")
+      if (item.type && !item.description) {
+        item.description = item.type;
       }
-
-      // Ensure financials structure exists
-      if (!normalizedCase.financials) {
-        normalizedCase.financials = {
-          resources: [],
-          income: [],
-          expenses: [],
-        };
+      // Ensure backward compatibility: keep both fields
+      if (item.description && !item.type) {
+        item.type = item.description;
       }
 
-      // FINANCIAL ITEMS MIGRATION: type → description, value → amount
-      if (normalizedCase.financials) {
-        ['resources', 'income', 'expenses'].forEach((financialType) => {
-          if (normalizedCase.financials[financialType]) {
-            normalizedCase.financials[financialType] =
-              normalizedCase.financials[financialType].map((item) => {
-                const migratedItem = { ...item };
-
-                // Ensure id
-                if (!migratedItem.id) {
-                  migratedItem.id = generateSecureId('financial');
-                } else {
-                  migratedItem.id = ensureStringId(migratedItem.id);
-                }
-
-                // Migrate type → description (CMSOld uses "type", React uses "description")
-                if (item.type && !item.description) {
-                  migratedItem.description = item.type;
-                }
-
-                // Migrate value → amount (CMSOld uses "value", React uses "amount")
-                if (item.value !== undefined && item.amount === undefined) {
-                  migratedItem.amount = item.value;
-                }
-
-                // Ensure backward compatibility: keep both fields
-                if (item.description && !item.type) {
-                  migratedItem.type = item.description;
-                }
-                if (item.amount !== undefined && item.value === undefined) {
-                  migratedItem.value = item.amount;
-                }
-
-                // Add missing fields with defaults
-                if (!migratedItem.frequency) {
-                  migratedItem.frequency = 'monthly'; // Default frequency for new React model
-                }
-
-                if (!migratedItem.dateAdded) {
-                  migratedItem.dateAdded = new Date().toISOString();
-                }
-
-                // Ensure verificationSource instead of just source
-                if (item.source && !item.verificationSource) {
-                  migratedItem.verificationSource = item.source;
-                }
-
-                // Normalize numeric fields
-                migratedItem.amount = toNumber(migratedItem.amount, 0);
-                migratedItem.value = toNumber(
-                  migratedItem.value,
-                  migratedItem.amount,
-                );
-
-                // Defaults for UI expectations
-                if (!migratedItem.owner) migratedItem.owner = 'applicant';
-                if (!migratedItem.verificationStatus) {
-                  migratedItem.verificationStatus =
-                    item.verified === true ? 'Verified' : 'Needs VR';
-                }
-                if (
-                  migratedItem.accountNumber &&
-                  typeof migratedItem.accountNumber === 'number'
-                ) {
-                  migratedItem.accountNumber = String(
-                    migratedItem.accountNumber,
-                  );
-                }
-
-                return migratedItem;
-              });
-          }
-        });
+      // Migrate value → amount (CMSOld uses "value", React uses "amount")
+      if (item.value !== undefined && item.amount === undefined) {
+        item.amount = item.value;
       }
+      // Normalize numeric fields
+      item.amount = toNumber(item.amount, 0);
+      item.value = toNumber(item.value, item.amount);
 
-      return normalizedCase;
-    });
-  }
-
-  // Normalize people data structure
-  if (normalizedData.people) {
-    normalizedData.people = normalizedData.people.map((person) => {
-      const normalizedPerson = { ...person };
-
-      // Ensure every person has an ID with secure generation
-      if (!normalizedPerson.id) {
-        normalizedPerson.id = generateSecureId('person');
+      // Add missing fields with defaults
+      if (!item.frequency) {
+        item.frequency = 'monthly'; // Default frequency for new React model
       }
-      normalizedPerson.id = ensureStringId(normalizedPerson.id);
-
-      // Ensure default values for required fields
-      if (!normalizedPerson.name) {
-        const composite = [
-          normalizedPerson.firstName,
-          normalizedPerson.lastName,
-        ]
-          .filter(Boolean)
-          .join(' ')
-          .trim();
-        normalizedPerson.name = composite || 'Unknown Person';
+      if (!item.dateAdded) {
+        item.dateAdded = new Date().toISOString();
       }
 
-      if (!normalizedPerson.status) {
-        normalizedPerson.status = 'active';
+      // Ensure verificationSource instead of just source
+      if (item.source && !item.verificationSource) {
+        item.verificationSource = item.source;
       }
 
-      if (!normalizedPerson.dateAdded) {
-        normalizedPerson.dateAdded = new Date().toISOString();
+      // Defaults for UI expectations
+      if (!item.owner) item.owner = 'applicant';
+      if (!item.verificationStatus) {
+        item.verificationStatus =
+          item.verified === true ? 'Verified' : 'Needs VR';
       }
-
-      // Normalize address structures
-      if (normalizedPerson.address) {
-        normalizedPerson.address = normalizeAddress(normalizedPerson.address);
+      if (item.accountNumber && typeof item.accountNumber === 'number') {
+        item.accountNumber = String(item.accountNumber);
       }
-      if (normalizedPerson.mailingAddress) {
-        const m = normalizedPerson.mailingAddress;
-        normalizedPerson.mailingAddress = {
-          ...normalizeAddress(m),
-          sameAsPhysical:
-            typeof m.sameAsPhysical === 'boolean' ? m.sameAsPhysical : false,
-        };
-      } else {
-        normalizedPerson.mailingAddress = {
-          ...normalizeAddress(undefined),
-          sameAsPhysical: false,
-        };
-      }
-
-      return normalizedPerson;
-    });
-
-    // Resolve duplicate person IDs
-    const seenPersonIds = new Set();
-    normalizedData.people = normalizedData.people.map((person) => {
-      if (seenPersonIds.has(person.id)) {
-        person.id = generateSecureId('person');
-      }
-      seenPersonIds.add(person.id);
-      return person;
     });
-  }
-
-  // Normalize organizations data structure
-  if (normalizedData.organizations) {
-    normalizedData.organizations = normalizedData.organizations.map((org) => {
-      const normalizedOrg = { ...org };
-
-      // Ensure every organization has an ID with secure generation
-      if (!normalizedOrg.id) {
-        normalizedOrg.id = generateSecureId('org');
-      }
-      normalizedOrg.id = ensureStringId(normalizedOrg.id);
-
-      // Ensure default values for required fields
-      if (!normalizedOrg.name) {
-        normalizedOrg.name = 'Unknown Organization';
-      }
+  });
+}
 
-      if (!normalizedOrg.status) {
-        normalizedOrg.status = 'active';
-      }
+/**
+ * Step 4: people and organization defaults (names, status, addresses, personnel)
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migratePeopleAndOrganizations(data) {
+  (data.people || []).forEach((person) => {
+    // Ensure default values for required fields
+    if (!person.name) {
+      const composite = [person.firstName, person.lastName]
+        .filter(Boolean)
+        .join(' ')
+        .trim();
+      person.name = composite || 'Unknown Person';
+    }
+    if (!person.status) person.status = 'active';
+    if (!person.dateAdded) person.dateAdded = new Date().toISOString();
 
-      if (!normalizedOrg.dateAdded) {
-        normalizedOrg.dateAdded = new Date().toISOString();
-      }
+    // Normalize address structures
+    if (person.address) {
+      person.address = normalizeAddress(person.address);
+    }
+    const mailing = person.mailingAddress;
+    person.mailingAddress = {
+      ...normalizeAddress(mailing),
+      sameAsPhysical:
+        typeof mailing?.sameAsPhysical === 'boolean'
+          ? mailing.sameAsPhysical
+          : false,
+    };
+  });
 
-      // Normalize address and contact structures
-      if (normalizedOrg.address) {
-        normalizedOrg.address = normalizeAddress(normalizedOrg.address);
-      }
-      if (normalizedOrg.contactPerson) {
-        normalizedOrg.contactPerson = {
-          name: normalizedOrg.contactPerson.name || '',
-          title: normalizedOrg.contactPerson.title || '',
-          phone: normalizedOrg.contactPerson.phone || '',
-          email: normalizedOrg.contactPerson.email || '',
-        };
-      }
+  (data.organizations || []).forEach((org) => {
+    // Ensure default values for required fields
+    if (!org.name) org.name = 'Unknown Organization';
+    if (!org.status) org.status = 'active';
+    if (!org.dateAdded) org.dateAdded = new Date().toISOString();
 
-      // Ensure personnel list exists for modern UI
-      if (!Array.isArray(normalizedOrg.personnel)) {
-        normalizedOrg.personnel = [];
-      }
+    // Normalize address and contact structures
+    if (org.address) {
+      org.address = normalizeAddress(org.address);
+    }
+    if (org.contactPerson) {
+      org.contactPerson = {
+        name: org.contactPerson.name || '',
+        title: org.contactPerson.title || '',
+        phone: org.contactPerson.phone || '',
+        email: org.contactPerson.email || '',
+      };
+    }
 
-      return normalizedOrg;
-    });
-  }
+    // Ensure personnel list exists for modern UI
+    if (!Array.isArray(org.personnel)) {
+      org.personnel = [];
+    }
+  });
+}
 
-  // Ensure counters exist by deriving from current data when missing
+/**
+ * Step 5: id counters derived from current data, and optional collections
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateCountersAndScaffolds(data) {
   const deriveNext = (items, fallback = 1) => {
     if (!Array.isArray(items) || items.length === 0) return fallback;
     const maxNum = items.reduce((acc, it) => {
@@ -503,46 +427,159 @@ async function normalizeDataMigrations(data) {
     return (maxNum || 0) + 1;
   };
 
-  if (normalizedData.nextPersonId == null) {
-    normalizedData.nextPersonId = deriveNext(normalizedData.people, 1);
+  if (data.nextPersonId == null) {
+    data.nextPersonId = deriveNext(data.people, 1);
   }
-  if (normalizedData.nextOrganizationId == null) {
-    normalizedData.nextOrganizationId = deriveNext(
-      normalizedData.organizations,
-      1,
-    );
+  if (data.nextOrganizationId == null) {
+    data.nextOrganizationId = deriveNext(data.organizations, 1);
   }
-  if (normalizedData.nextCaseId == null) {
-    normalizedData.nextCaseId = deriveNext(normalizedData.cases, 1);
+  if (data.nextCaseId == null) {
+    data.nextCaseId = deriveNext(data.cases, 1);
   }
-  if (normalizedData.nextFinancialItemId == null) {
-    const allFin = (normalizedData.cases || []).flatMap((c) =>
-      ['resources', 'income', 'expenses'].flatMap(
-        (k) => c.financials?.[k] || [],
-      ),
+  if (data.nextFinancialItemId == null) {
+    data.nextFinancialItemId = deriveNext(
+      (data.cases || []).flatMap(financialItemsOf),
+      1,
     );
-    normalizedData.nextFinancialItemId = deriveNext(allFin, 1);
   }
-  if (normalizedData.nextNoteId == null) {
-    const allNotes = (normalizedData.cases || []).flatMap((c) => c.notes || []);
-    normalizedData.nextNoteId = deriveNext(allNotes, 1);
+  if (data.nextNoteId == null) {
+    data.nextNoteId = deriveNext(
+      (data.cases || []).flatMap((c) => c.notes || []),
+      1,
+    );
   }
 
   // Ensure optional scaffolds
-  normalizedData.vrTemplates = normalizedData.vrTemplates || [];
-  normalizedData.vrCategories = normalizedData.vrCategories || [];
-  normalizedData.vrRequests = normalizedData.vrRequests || [];
-  normalizedData.contacts = normalizedData.contacts || [];
-  normalizedData.viewState = normalizedData.viewState || {
+  data.vrTemplates = data.vrTemplates || [];
+  data.vrCategories = data.vrCategories || [];
+  data.vrRequests = data.vrRequests || [];
+  data.contacts = data.contacts || [];
+  data.viewState = data.viewState || {
     currentTab: 'case-management',
     currentTitle: 'Cases',
     currentCaseId: null,
     lastRefreshTimestamp: new Date().toISOString(),
     expandedFinancialCards: {},
   };
-  normalizedData.accordionState = normalizedData.accordionState || {};
+  data.accordionState = data.accordionState || {};
+}
+
+/**
+ * Step 6: task list
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateTasks(data) {
+  data.tasks = data.tasks || [];
+}
+
+/**
+ * Step 7: document checklist templates per case type
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateChecklistTemplates(data) {
+  data.checklistTemplates = data.checklistTemplates || {};
+}
+
+/**
+ * Step 8: case attachment records
+ * @param {Object} data - Dataset, mutated in place
+ */
+function migrateAttachments(data) {
+  data.attachments = data.attachments || [];
+}
+
+/**
+ * Ordered dataset migrations, keyed on `metadata.schemaVersion`.
+ * Append new steps at the end; never renumber or edit a released step.
+ * @type {Array<import('./nightingale.migrations.js').MigrationStep>}
+ */
+const DATA_MIGRATIONS = assertMigrationChain([
+  {
+    id: 1,
+    name: 'string-ids',
+    from: BASE_SCHEMA_VERSION,
+    to: '2024.2',
+    description: 'Metadata scaffold; string and unique ids',
+    migrate: migrateStringIds,
+  },
+  {
+    id: 2,
+    name: 'legacy-case-fields',
+    from: '2024.2',
+    to: '2024.3',
+    description: 'masterCaseNumber → mcn, appDetails, client snapshots',
+    migrate: migrateCaseFields,
+  },
+  {
+    id: 3,
+    name: 'financial-item-fields',
+    from: '2024.3',
+    to: '2024.4',
+    description: 'type/value → description/amount, verification defaults',
+    migrate: migrateFinancialItems,
+  },
+  {
+    id: 4,
+    name: 'people-organization-defaults',
+    from: '2024.4',
+    to: '2024.5',
+    description: 'Names, status and address structures',
+    migrate: migratePeopleAndOrganizations,
+  },
+  {
+    id: 5,
+    name: 'counters-and-scaffolds',
+    from: '2024.5',
+    to: '2024.6',
+    description: 'Id counters and optional collections',
+    migrate: migrateCountersAndScaffolds,
+  },
+  {
+    id: 6,
+    name: 'tasks',
+    from: '2024.6',
+    to: '2024.7',
+    description: 'Task list',
+    migrate: migrateTasks,
+  },
+  {
+    id: 7,
+    name: 'checklist-templates',
+    from: '2024.7',
+    to: '2024.8',
+    description: 'Document checklist templates',
+    migrate: migrateChecklistTemplates,
+  },
+  {
+    id: 8,
+    name: 'attachments',
+    from: '2024.8',
+    to: '2024.9',
+    description: 'Case attachment records',
+    migrate: migrateAttachments,
+  },
+]);
+
+/** Schema version written by the latest migration */
+const CURRENT_SCHEMA_VERSION = latestSchemaVersion(DATA_MIGRATIONS);
+
+/**
+ * Bring a dataset to the current schema version for CMS React compatibility.
+ * Only the migrations the data has not been through yet run (see DATA_MIGRATIONS);
+ * data already current, or from an unknown newer version, is returned as a copy.
+ *
+ * @param {Object} data - Raw data object to normalize
+ * @returns {Promise<Object>} Normalized data object
+ */
+async function normalizeDataMigrations(data) {
+  if (!data) return data;
+
+  // Preserve empty objects without adding scaffolding to satisfy callers/tests expecting {} unchanged
+  if (Object.keys(data).length === 0) {
+    return {};
+  }
 
-  return normalizedData;
+  return runMigrations(data, DATA_MIGRATIONS).data;
 }
 
 // ========================================================================
@@ -710,6 +747,8 @@ const NightingaleDataManagement = {
 
   // Migration functions
   normalizeDataMigrations,
+  DATA_MIGRATIONS,
+  CURRENT_SCHEMA_VERSION,
 
   // Collection update functions
   updateCaseInCollection,
@@ -735,6 +774,9 @@ export {
   ensureStringId,
   findPersonById,
   normalizeDataMigrations,
+  BASE_SCHEMA_VERSION,
+  CURRENT_SCHEMA_VERSION,
+  DATA_MIGRATIONS,
   updateCaseInCollection,
   updatePersonInCollection,
   updateOrganizationInCollection,
@@ -0,0 +1,472 @@
+/**
+ * Nightingale CMS Processing Deadlines
+ *
+ * Every pending application has a processing deadline counted from its
+ * `applicationDate`: a standard number of days per case type (e.g. 45 days for LTC,
+ * 90 for Waiver), in calendar or business days. Business days skip weekends and the
+ * holiday calendar (observed US federal holidays plus custom dates); a calendar-day
+ * deadline that lands on a non-business day moves to the next business day.
+ *
+ * The clock runs while the case status is one of the configured `clockStatuses`.
+ * Case events in `deadlineEvents` move the deadline:
+ *   - pause:     { type:'pause', start, end, reason } - the paused days are added
+ *                (an open pause keeps growing until it is resumed)
+ *   - extension: { type:'extension', days, date, reason } - adds `days`
+ * Paused and extension days use the unit of the case type's rule.
+ *
+ * Rules and holidays are configured in Settings → Processing Deadlines.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { dayjs } from './nightingale.dayjs.js';
+import { generateSecureId } from './nightingale.datamanagement.js';
+import { getHolidayCalendar, getProcessingDeadlines } from './settings.js';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+export const DEADLINE_UNITS = {
+  calendar: 'calendar days',
+  business: 'business days',
+};
+
+function deadlineError(message) {
+  const error = new Error(message);
+  error.name = 'DeadlineError';
+  return error;
+}
+
+const toDay = (value) => {
+  if (!value) return null;
+  const date = dayjs.isDayjs(value) ? value : dayjs(value);
+  return date.isValid() ? date.startOf('day') : null;
+};
+
+const formatDay = (date) => date.format(DATE_FORMAT);
+
+// ---------------------------------------------------------------------------
+// Holiday calendar
+// ---------------------------------------------------------------------------
+
+// nth (1-based) weekday of a month; n = -1 for the last one
+function nthWeekday(year, month, weekday, n) {
+  if (n < 0) {
+    let date = dayjs(new Date(year, month + 1, 0));
+    while (date.day() !== weekday) date = date.subtract(1, 'day');
+    return date;
+  }
+  let date = dayjs(new Date(year, month, 1));
+  while (date.day() !== weekday) date = date.add(1, 'day');
+  return date.add(n - 1, 'week');
+}
+
+// Fixed-date holidays falling on a weekend are observed on Friday / Monday
+function observed(year, month, day) {
+  const date = dayjs(new Date(year, month, day));
+  if (date.day() === 6) return date.subtract(1, 'day');
+  if (date.day() === 0) return date.add(1, 'day');
+  return date;
+}
+
+/**
+ * Observed US federal holidays of a year
+ * @param {number} year
+ * @returns {Array<{ date:string, name:string }>} Sorted by date
+ */
+export function federalHolidays(year) {
+  return [
+    [observed(year, 0, 1), "New Year's Day"],
+    [nthWeekday(year, 0, 1, 3), 'Martin Luther King Jr. Day'],
+    [nthWeekday(year, 1, 1, 3), "Washington's Birthday"],
+    [nthWeekday(year, 4, 1, -1), 'Memorial Day'],
+    [observed(year, 5, 19), 'Juneteenth'],
+    [observed(year, 6, 4), 'Independence Day'],
+    [nthWeekday(year, 8, 1, 1), 'Labor Day'],
+    [nthWeekday(year, 9, 1, 2), 'Columbus Day'],
+    [observed(year, 10, 11), 'Veterans Day'],
+    [nthWeekday(year, 10, 4, 4), 'Thanksgiving Day'],
+    [observed(year, 11, 25), 'Christmas Day'],
+  ].map(([date, name]) => ({ date: formatDay(date), name }));
+}
+
+/**
+ * Holiday lookup for a calendar setting
+ *
+ * @param {Object} [calendar] - { federal:boolean, custom:[{ date, name }] };
+ *   defaults to the saved setting
+ * @returns {{ isHoliday:function(*):boolean, holidays:function(number):Array }}
+ */
+export function createHolidayCalendar(calendar = getHolidayCalendar()) {
+  const custom = (calendar?.custom || [])
+    .map((holiday) => ({ ...holiday, date: toDay(holiday?.date) }))
+    .filter((holiday) => holiday.date)
+    .map((holiday) => ({ ...holiday, date: formatDay(holiday.date) }));
+  const byYear = new Map();
+  const holidays = (year) => {
+    if (!byYear.has(year)) {
+      const list = [
+        ...(calendar?.federal === false ? [] : federalHolidays(year)),
+        ...custom.filter((holiday) => holiday.date.startsWith(`${year}-`)),
+      ].sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+      byYear.set(year, { list, dates: new Set(list.map((h) => h.date)) });
+    }
+    return byYear.get(year);
+  };
+  return {
+    isHoliday(value) {
+      const date = toDay(value);
+      if (!date) return false;
+      const day = formatDay(date);
+      // A Jan 1 on a Saturday is observed on Dec 31 of the year before
+      return (
+        holidays(date.year()).dates.has(day) ||
+        holidays(date.year() + 1).dates.has(day)
+      );
+    },
+    holidays: (year) => holidays(year).list,
+  };
+}
+
+// ---------------------------------------------------------------------------
+// Business-day arithmetic
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a date is a weekday that is not a holiday
+ * @param {*} value - Date string, Date or dayjs
+ * @param {Object} [calendar] - From createHolidayCalendar()
+ * @returns {boolean}
+ */
+export function isBusinessDay(value, calendar = createHolidayCalendar()) {
+  const date = toDay(value);
+  if (!date) return false;
+  const weekday = date.day();
+  return weekday !== 0 && weekday !== 6 && !calendar.isHoliday(date);
+}
+
+/**
+ * The date itself when it is a business day, otherwise the next one
+ * @param {*} value
+ * @param {Object} [calendar]
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function nextBusinessDay(value, calendar = createHolidayCalendar()) {
+  let date = toDay(value);
+  if (!date) return null;
+  while (!isBusinessDay(date, calendar)) date = date.add(1, 'day');
+  return formatDay(date);
+}
+
+/**
+ * Date `days` business days after (or, when negative, before) a date
+ * @param {*} value
+ * @param {number} days
+ * @param {Object} [calendar]
+ * @returns {string|null} YYYY-MM-DD
+ */
+export function addBusinessDays(
+  value,
+  days,
+  calendar = createHolidayCalendar(),
+) {
+  let date = toDay(value);
+  if (!date) return null;
+  const step = days < 0 ? -1 : 1;
+  let remaining = Math.abs(Math.trunc(days || 0));
+  while (remaining > 0) {
+    date = date.add(step, 'day');
+    if (isBusinessDay(date, calendar)) remaining -= 1;
+  }
+  return formatDay(date);
+}
+
+/**
+ * Business days from `start` to `end`: those after `start` up to and including
+ * `end`; negative when `end` is before `start`
+ * @param {*} start
+ * @param {*} end
+ * @param {Object} [calendar]
+ * @returns {number}
+ */
+export function businessDaysBetween(
+  start,
+  end,
+  calendar = createHolidayCalendar(),
+) {
+  const from = toDay(start);
+  const to = toDay(end);
+  if (!from || !to || from.isSame(to)) return 0;
+  const [first, last, sign] = from.isBefore(to)
+    ? [from, to, 1]
+    : [to, from, -1];
+  let count = 0;
+  for (let date = first.add(1, 'day'); !date.isAfter(last); ) {
+    if (isBusinessDay(date, calendar)) count += 1;
+    date = date.add(1, 'day');
+  }
+  return count * sign;
+}
+
+// ---------------------------------------------------------------------------
+// Case deadlines
+// ---------------------------------------------------------------------------
+
+/**
+ * Rule of a case type
+ * @param {string} caseType
+ * @param {Object} [config] - Defaults to the saved Processing Deadlines setting
+ * @returns {{ days:number, unit:string }}
+ */
+export function deadlineRule(caseType, config = getProcessingDeadlines()) {
+  const rule = config?.byCaseType?.[caseType] || config?.defaultRule || {};
+  return {
+    days: Number(rule.days) > 0 ? Number(rule.days) : 45,
+    unit: rule.unit === 'business' ? 'business' : 'calendar',
+  };
+}
+
+const daysIn = (unit, start, end, calendar) =>
+  unit === 'business'
+    ? businessDaysBetween(start, end, calendar)
+    : end.diff(start, 'day');
+
+/**
+ * Deadline of one case
+ *
+ * @param {Object} caseItem
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD (defaults to today)
+ * @param {Object} [options.config] - Processing Deadlines setting
+ * @param {Object} [options.calendar] - From createHolidayCalendar()
+ * @returns {Object|null} null when the case has no (valid) application date, else
+ *   { startDate, rule, dueDate, pausedDays, extensionDays, running, paused,
+ *   decidedDate, daysRemaining, businessDaysRemaining, overdue, approaching,
+ *   state } - `state` is 'paused', 'overdue', 'approaching', 'on-track', 'met',
+ *   'missed' or 'stopped' (clock not running and no decision date)
+ */
+export function computeCaseDeadline(caseItem, options = {}) {
+  const config = options.config || getProcessingDeadlines();
+  const calendar = options.calendar || createHolidayCalendar();
+  const today = toDay(options.today) || dayjs().startOf('day');
+  const start = toDay(caseItem?.applicationDate);
+  if (!start) return null;
+
+  const rule = deadlineRule(caseItem.caseType, config);
+  const events = Array.isArray(caseItem.deadlineEvents)
+    ? caseItem.deadlineEvents
+    : [];
+  let pausedDays = 0;
+  let paused = false;
+  events
+    .filter((event) => event?.type === 'pause')
+    .forEach((event) => {
+      const from = toDay(event.start);
+      const to = toDay(event.end) || today;
+      if (!from) return;
+      if (!event.end) paused = true;
+      if (to.isAfter(from)) pausedDays += daysIn(rule.unit, from, to, calendar);
+    });
+  const extensionDays = events
+    .filter((event) => event?.type === 'extension')
+    .reduce((sum, event) => sum + (Number(event.days) || 0), 0);
+
+  const total = rule.days + pausedDays + extensionDays;
+  const dueDate =
+    rule.unit === 'business'
+      ? addBusinessDays(start, total, calendar)
+      : nextBusinessDay(start.add(total, 'day'), calendar);
+  const due = dayjs(dueDate);
+
+  const clockStatuses = config.clockStatuses || [];
+  const running = clockStatuses.includes(caseItem.status || '');
+  const decided = toDay(
+    caseItem.approvedDate || caseItem.deniedDate || caseItem.closedDate,
+  );
+  const daysRemaining = due.diff(today, 'day');
+  const businessDaysRemaining = businessDaysBetween(today, due, calendar);
+  const overdue = running && !paused && daysRemaining < 0;
+  const approaching =
+    running &&
+    !paused &&
+    daysRemaining >= 0 &&
+    daysRemaining <= (Number(config.warningDays) || 0);
+
+  let state;
+  if (running) {
+    if (paused) state = 'paused';
+    else if (overdue) state = 'overdue';
+    else if (approaching) state = 'approaching';
+    else state = 'on-track';
+  } else if (decided) {
+    state = decided.isAfter(due) ? 'missed' : 'met';
+  } else {
+    state = 'stopped';
+  }
+
+  return {
+    startDate: formatDay(start),
+    rule,
+    dueDate,
+    pausedDays,
+    extensionDays,
+    running,
+    paused,
+    decidedDate: decided ? formatDay(decided) : null,
+    daysRemaining,
+    businessDaysRemaining,
+    overdue,
+    approaching,
+    state,
+  };
+}
+
+/**
+ * Short text of a deadline: "Overdue by 3 days", "Due today", "12 days left",
+ * "Paused", "Met", "Missed"; '' when there is none or the clock stopped
+ * @param {Object|null} deadline - From computeCaseDeadline()
+ * @returns {string}
+ */
+export function describeDeadline(deadline) {
+  if (!deadline) return '';
+  const plural = (n) => `${n} day${n === 1 ? '' : 's'}`;
+  switch (deadline.state) {
+    case 'paused':
+      return 'Paused';
+    case 'met':
+      return 'Met';
+    case 'missed':
+      return 'Missed';
+    case 'stopped':
+      return '';
+    default:
+      if (deadline.daysRemaining < 0) {
+        return `Overdue by ${plural(-deadline.daysRemaining)}`;
+      }
+      if (deadline.daysRemaining === 0) return 'Due today';
+      return `${plural(deadline.daysRemaining)} left`;
+  }
+}
+
+/**
+ * Running deadlines that are overdue or approaching, most urgent first
+ * @param {Array<Object>} cases
+ * @param {Object} [options] - As for computeCaseDeadline()
+ * @returns {Array<{ caseItem:Object, deadline:Object }>}
+ */
+export function approachingDeadlines(cases, options = {}) {
+  const shared = {
+    ...options,
+    config: options.config || getProcessingDeadlines(),
+    calendar: options.calendar || createHolidayCalendar(),
+  };
+  return (Array.isArray(cases) ? cases : [])
+    .map((caseItem) => ({
+      caseItem,
+      deadline: computeCaseDeadline(caseItem, shared),
+    }))
+    .filter(({ deadline }) => deadline?.overdue || deadline?.approaching)
+    .sort((a, b) => a.deadline.daysRemaining - b.deadline.daysRemaining);
+}
+
+// ---------------------------------------------------------------------------
+// Pause / extension events
+// ---------------------------------------------------------------------------
+
+const openPause = (caseItem) =>
+  (caseItem?.deadlineEvents || []).find(
+    (event) => event?.type === 'pause' && !event.end,
+  );
+
+const withEvents = (caseItem, events) => ({
+  ...caseItem,
+  deadlineEvents: events,
+});
+
+/**
+ * Case with the deadline clock paused
+ * @param {Object} caseItem - Not mutated
+ * @param {Object} [options] - { date (YYYY-MM-DD, defaults to today), reason, actor }
+ * @returns {Object}
+ * @throws {Error} name 'DeadlineError' when the clock is already paused
+ */
+export function pauseDeadline(caseItem, options = {}) {
+  if (openPause(caseItem))
+    throw deadlineError('The deadline is already paused');
+  const start = toDay(options.date) || dayjs().startOf('day');
+  return withEvents(caseItem, [
+    ...(caseItem?.deadlineEvents || []),
+    {
+      id: generateSecureId('deadline'),
+      type: 'pause',
+      start: formatDay(start),
+      end: null,
+      reason: String(options.reason || '').trim(),
+      createdBy: options.actor || null,
+    },
+  ]);
+}
+
+/**
+ * Case with its open pause ended
+ * @param {Object} caseItem - Not mutated
+ * @param {Object} [options] - { date (YYYY-MM-DD, defaults to today) }
+ * @returns {Object}
+ * @throws {Error} name 'DeadlineError' when the clock is not paused or the date is
+ *   before the pause started
+ */
+export function resumeDeadline(caseItem, options = {}) {
+  const pause = openPause(caseItem);
+  if (!pause) throw deadlineError('The deadline is not paused');
+  const end = toDay(options.date) || dayjs().startOf('day');
+  if (end.isBefore(dayjs(pause.start))) {
+    throw deadlineError('The clock cannot resume before it was paused');
+  }
+  return withEvents(
+    caseItem,
+    caseItem.deadlineEvents.map((event) =>
+      event === pause ? { ...event, end: formatDay(end) } : event,
+    ),
+  );
+}
+
+/**
+ * Case with the deadline extended
+ * @param {Object} caseItem - Not mutated
+ * @param {Object} options - { days (required, > 0), reason, date, actor }
+ * @returns {Object}
+ * @throws {Error} name 'DeadlineError' when `days` is not a positive whole number
+ */
+export function extendDeadline(caseItem, options = {}) {
+  const days = Number(options.days);
+  if (!Number.isInteger(days) || days <= 0) {
+    throw deadlineError('An extension needs a positive number of days');
+  }
+  return withEvents(caseItem, [
+    ...(caseItem?.deadlineEvents || []),
+    {
+      id: generateSecureId('deadline'),
+      type: 'extension',
+      days,
+      date: formatDay(toDay(options.date) || dayjs().startOf('day')),
+      reason: String(options.reason || '').trim(),
+      createdBy: options.actor || null,
+    },
+  ]);
+}
+
+export default {
+  DEADLINE_UNITS,
+  federalHolidays,
+  createHolidayCalendar,
+  isBusinessDay,
+  nextBusinessDay,
+  addBusinessDays,
+  businessDaysBetween,
+  deadlineRule,
+  computeCaseDeadline,
+  describeDeadline,
+  approachingDeadlines,
+  pauseDeadline,
+  resumeDeadline,
+  extendDeadline,
+};
@@ -10,7 +10,7 @@
  * - Document content generation using templates and placeholders
  * - Financial item processing for verification requests
  * - Content compilation for multiple items/templates
- * - VR Request CRUD operations
+ * - VR Request CRUD operations (a new request gets a follow-up task)
  * - Status tracking and updates
  *
  * @version 1.0.0
@@ -23,6 +23,7 @@ import NightingaleDayJS from './nightingale.dayjs.js';
 import NightingaleToast from './nightingale.toast.js';
 import NightingaleLogger from './nightingale.logger.js';
 import { getFileService } from './fileServiceProvider.js';
+import { applyTaskRules } from './nightingale.tasks.js';
 
 /**
  * Document Generation Service
@@ -121,12 +122,13 @@ class NightingaleDocumentGeneration {
         }
       }
 
-      // Add request to data
+      // Add request to data, with its follow-up task (see nightingale.tasks.js)
       newData.vrRequests.push(newRequest);
+      const withTasks = applyTaskRules(data, newData);
 
       // Save file if requested
       if (saveFile && this._getFileService()) {
-        await this._getFileService().saveFile(newData);
+        await this._getFileService().saveFile(withTasks);
       }
 
       // Show success toast
@@ -136,7 +138,7 @@ class NightingaleDocumentGeneration {
 
       return {
         success: true,
-        data: newData,
+        data: withTasks,
         request: newRequest,
       };
     } catch (error) {
@@ -0,0 +1,478 @@
+/**
+ * Nightingale CMS Duplicate People
+ *
+ * Finds people that were probably entered twice with small differences, and merges
+ * two person records into one.
+ *
+ * Candidate pairs come from a fuzzy name search (nightingale.search.js / Fuse) plus
+ * pairs sharing a date of birth and SSN last 4. Each pair is scored from 0 to 1 on
+ * the fields both records have: normalized name, date of birth, SSN last 4, phone and
+ * address. A conflicting date of birth or SSN lowers the score.
+ *
+ * mergePeople() keeps one record with the field values chosen for it, repoints every
+ * reference to the other record (see RELATIONSHIPS in nightingale.integrity.js:
+ * case client, spouse and authorized representatives, person representatives) and
+ * removes it. mergeAuditChange() describes the merge for the audit trail.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { search } from './nightingale.search.js';
+import { dayjs } from './nightingale.dayjs.js';
+import { describeRecord, RELATIONSHIPS } from './nightingale.integrity.js';
+import { activeRecords } from './nightingale.recyclebin.js';
+import { ensureStringId } from './nightingale.datamanagement.js';
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 0.6;
+
+/** Compared fields with their weights and display names */
+export const DUPLICATE_FIELDS = {
+  name: { weight: 0.35, label: 'name' },
+  dateOfBirth: { weight: 0.25, label: 'date of birth' },
+  ssnLast4: { weight: 0.2, label: 'SSN last 4' },
+  phone: { weight: 0.1, label: 'phone' },
+  address: { weight: 0.1, label: 'address' },
+};
+
+/** Person fields chosen from either record in a merge, with their display names */
+export const MERGE_FIELDS = {
+  name: 'Name',
+  firstName: 'First name',
+  lastName: 'Last name',
+  dateOfBirth: 'Date of birth',
+  ssn: 'SSN',
+  phone: 'Phone',
+  email: 'Email',
+  address: 'Address',
+  mailingAddress: 'Mailing address',
+  organizationId: 'Organization',
+  status: 'Status',
+};
+
+// Fuse distance below which two names are candidates (0 = identical)
+const NAME_SEARCH_THRESHOLD = 0.4;
+
+const NAME_SUFFIXES = new Set(['jr', 'sr', 'ii', 'iii', 'iv']);
+
+const STREET_WORDS = {
+  street: 'st',
+  avenue: 'ave',
+  road: 'rd',
+  drive: 'dr',
+  lane: 'ln',
+  boulevard: 'blvd',
+  court: 'ct',
+  apartment: 'apt',
+  north: 'n',
+  south: 's',
+  east: 'e',
+  west: 'w',
+};
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const isBlank = (value) =>
+  value == null ||
+  value === '' ||
+  (typeof value === 'object' &&
+    Object.values(value).every((part) => part == null || part === ''));
+
+const words = (text) =>
+  String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+
+/**
+ * Name in a comparable form: accents, punctuation and suffixes removed, "Last, First"
+ * handled and words sorted, so "Doe, Jane" and "jane doe jr." compare equal
+ * @param {Object} person
+ * @returns {string}
+ */
+export function normalizeName(person) {
+  const name =
+    person?.name ||
+    [person?.firstName, person?.lastName].filter(Boolean).join(' ');
+  return words(name)
+    .filter((word) => !NAME_SUFFIXES.has(word))
+    .sort()
+    .join(' ');
+}
+
+function normalizeDate(value) {
+  if (!value) return '';
+  const date = dayjs(value);
+  return date.isValid() ? date.format('YYYY-MM-DD') : '';
+}
+
+const lastDigits = (value, count) =>
+  String(value || '')
+    .replace(/\D/g, '')
+    .slice(-count);
+
+function normalizeAddress(address) {
+  if (!address) return { street: '', zip: '' };
+  if (typeof address === 'string') {
+    const zip = address.match(/\b\d{5}\b(?!.*\b\d{5}\b)/)?.[0] || '';
+    const street = address.split(',')[0];
+    return { street: streetKey(street), zip };
+  }
+  return {
+    street: streetKey(address.street),
+    zip: lastDigits(address.zip, 5).slice(0, 5),
+  };
+}
+
+const streetKey = (street) =>
+  words(street)
+    .map((word) => STREET_WORDS[word] || word)
+    .join(' ');
+
+function comparable(person) {
+  return {
+    person,
+    id: ensureStringId(person.id),
+    name: normalizeName(person),
+    dateOfBirth: normalizeDate(person.dateOfBirth),
+    ssnLast4:
+      lastDigits(person.ssn, 4).length === 4 ? lastDigits(person.ssn, 4) : '',
+    phone: lastDigits(person.phone, 10),
+    address: normalizeAddress(person.address),
+  };
+}
+
+/**
+ * Similarity of each field both records have (0 to 1)
+ */
+function fieldSimilarities(a, b, nameSimilarity) {
+  const similarities = {};
+  if (a.name && b.name) similarities.name = nameSimilarity;
+  ['dateOfBirth', 'ssnLast4', 'phone'].forEach((field) => {
+    if (a[field] && b[field])
+      similarities[field] = a[field] === b[field] ? 1 : 0;
+  });
+  if (a.address.street && b.address.street) {
+    similarities.address = a.address.street === b.address.street ? 1 : 0;
+  } else if (a.address.zip && b.address.zip) {
+    similarities.address = a.address.zip === b.address.zip ? 0.5 : 0;
+  }
+  return similarities;
+}
+
+function scorePair(a, b, nameSimilarity) {
+  const similarities = fieldSimilarities(a, b, nameSimilarity);
+  let total = 0;
+  let weights = 0;
+  Object.entries(similarities).forEach(([field, similarity]) => {
+    total += DUPLICATE_FIELDS[field].weight * similarity;
+    weights += DUPLICATE_FIELDS[field].weight;
+  });
+  const score = weights > 0 ? total / weights : 0;
+  const matches = Object.keys(similarities).filter(
+    (field) => similarities[field] >= 0.99,
+  );
+  const conflicts = Object.keys(similarities).filter(
+    (field) => similarities[field] === 0,
+  );
+  return { score: Math.round(score * 100) / 100, matches, conflicts };
+}
+
+function nameSimilarityOf(a, b) {
+  if (!a.name || !b.name) return 0;
+  if (a.name === b.name) return 1;
+  const [result] = search([{ key: b.name }], a.name, {
+    forceFuse: true,
+    keys: ['key'],
+    threshold: 1,
+  });
+  return result ? Math.max(0, 1 - result.score) : 0;
+}
+
+/**
+ * Likely duplicate pairs among people (records in the Recycle Bin are skipped).
+ *
+ * @param {Array<Object>} people
+ * @param {Object} [options]
+ * @param {number} [options.threshold=0.6] - Minimum score of a listed pair
+ * @returns {Array<{ key:string, a:Object, b:Object, score:number,
+ *   matches:Array<string>, conflicts:Array<string> }>} Highest score first;
+ *   `matches` and `conflicts` name the DUPLICATE_FIELDS that agree or differ
+ */
+export function findDuplicatePeople(
+  people,
+  { threshold = DEFAULT_DUPLICATE_THRESHOLD } = {},
+) {
+  const entries = activeRecords(people)
+    .filter((person) => person?.id != null)
+    .map(comparable);
+  const indexList = entries.map((entry, index) => ({
+    key: entry.name,
+    index,
+  }));
+  const candidates = new Map();
+  const addCandidate = (i, j, nameSimilarity) => {
+    if (i === j) return;
+    const [first, second] = i < j ? [i, j] : [j, i];
+    const key = `${entries[first].id}|${entries[second].id}`;
+    if (
+      !candidates.has(key) ||
+      candidates.get(key).nameSimilarity < nameSimilarity
+    ) {
+      candidates.set(key, { first, second, nameSimilarity });
+    }
+  };
+
+  // Similar names
+  entries.forEach((entry, i) => {
+    if (!entry.name) return;
+    search(indexList, entry.name, {
+      forceFuse: true,
+      keys: ['key'],
+      threshold: NAME_SEARCH_THRESHOLD,
+    }).forEach(({ item, score }) => {
+      addCandidate(i, item.index, Math.max(0, 1 - score));
+    });
+  });
+
+  // Same date of birth and SSN last 4 (e.g. a changed last name)
+  const byIdentity = new Map();
+  entries.forEach((entry, i) => {
+    if (!entry.dateOfBirth || !entry.ssnLast4) return;
+    const key = `${entry.dateOfBirth}|${entry.ssnLast4}`;
+    const seen = byIdentity.get(key) || [];
+    seen.forEach((j) =>
+      addCandidate(i, j, nameSimilarityOf(entries[i], entries[j])),
+    );
+    byIdentity.set(key, [...seen, i]);
+  });
+
+  const pairs = [];
+  candidates.forEach(({ first, second, nameSimilarity }, key) => {
+    const a = entries[first];
+    const b = entries[second];
+    const result = scorePair(a, b, nameSimilarity);
+    if (result.score >= threshold) {
+      pairs.push({ key, a: a.person, b: b.person, ...result });
+    }
+  });
+  return pairs.sort((x, y) => y.score - x.score || x.key.localeCompare(y.key));
+}
+
+/**
+ * Text listing the fields a pair agrees on, e.g. "Same date of birth, SSN last 4"
+ * @param {Object} pair - From findDuplicatePeople()
+ * @returns {string}
+ */
+export function describeDuplicateMatch(pair) {
+  const same = pair.matches.map((field) => DUPLICATE_FIELDS[field].label);
+  const parts = [];
+  if (!pair.matches.includes('name') && !pair.conflicts.includes('name')) {
+    parts.push('Similar name');
+  }
+  if (same.length) parts.push(`Same ${same.join(', ')}`);
+  if (pair.conflicts.length) {
+    parts.push(
+      `different ${pair.conflicts.map((field) => DUPLICATE_FIELDS[field].label).join(', ')}`,
+    );
+  }
+  return parts.join('; ');
+}
+
+/**
+ * Records referring to a person (what a merge repoints)
+ * @param {Object} data - Dataset
+ * @param {string|number} personId
+ * @returns {Array<{ collection, id, label, field }>}
+ */
+export function personReferences(data, personId) {
+  const found = [];
+  RELATIONSHIPS.filter((relation) => relation.to === 'people').forEach(
+    (relation) => {
+      (data?.[relation.from] || []).forEach((record) => {
+        const value = record?.[relation.field];
+        const refers = relation.many
+          ? Array.isArray(value) && value.some((item) => sameId(item, personId))
+          : sameId(value, personId);
+        if (refers) {
+          found.push({
+            collection: relation.from,
+            id: record.id,
+            label: describeRecord(relation.from, record),
+            field: relation.field,
+            reason: relation.label,
+          });
+        }
+      });
+    },
+  );
+  return found;
+}
+
+/**
+ * Default merge choices: the kept record's value, or the other record's where the
+ * kept one is empty
+ * @param {Object} keep - Person kept
+ * @param {Object} merged - Person merged into it
+ * @returns {Object} field -> id of the person whose value is used
+ */
+export function defaultMergeChoices(keep, merged) {
+  const choices = {};
+  Object.keys(MERGE_FIELDS).forEach((field) => {
+    choices[field] =
+      isBlank(keep[field]) && !isBlank(merged[field]) ? merged.id : keep.id;
+  });
+  return choices;
+}
+
+function mergeError(message) {
+  const error = new Error(message);
+  error.name = 'MergeError';
+  return error;
+}
+
+/**
+ * Merge one person into another.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {string|number} keepId - Person kept
+ * @param {string|number} mergeId - Person merged into it and removed
+ * @param {Object} [choices] - field -> id of the person whose value is kept
+ *   (defaultMergeChoices() for the fields not given)
+ * @returns {{ data:Object, merge:{ keepId, mergeId, label, mergedLabel,
+ *   fields:Array<string>, references:Array } }} `fields` lists the fields that took
+ *   the merged person's value and `references` the repointed records
+ * @throws {Error} name 'MergeError' when a person is missing or both ids are the same
+ */
+export function mergePeople(data, keepId, mergeId, choices = {}) {
+  if (sameId(keepId, mergeId)) {
+    throw mergeError('A person cannot be merged with itself');
+  }
+  const people = data?.people || [];
+  const keep = people.find((p) => sameId(p.id, keepId));
+  const merged = people.find((p) => sameId(p.id, mergeId));
+  if (!keep || !merged) throw mergeError('Both people must exist to merge');
+
+  const chosen = { ...defaultMergeChoices(keep, merged), ...choices };
+  const fields = Object.keys(MERGE_FIELDS).filter(
+    (field) =>
+      sameId(chosen[field], merged.id) && keep[field] !== merged[field],
+  );
+  const survivor = { ...keep };
+  fields.forEach((field) => {
+    if (merged[field] === undefined) delete survivor[field];
+    else survivor[field] = merged[field];
+  });
+  // Representatives of both records are kept, each once
+  if (Array.isArray(merged.authorizedRepIds)) {
+    const repIds = [];
+    [...(keep.authorizedRepIds || []), ...merged.authorizedRepIds].forEach(
+      (id) => {
+        if (!repIds.some((existing) => sameId(existing, id))) repIds.push(id);
+      },
+    );
+    survivor.authorizedRepIds = repIds;
+  }
+
+  const references = personReferences(data, merged.id);
+  const repoint = (record, relation) => {
+    const value = record[relation.field];
+    if (!relation.many) {
+      return sameId(value, merged.id)
+        ? { ...record, [relation.field]: keep.id }
+        : record;
+    }
+    if (
+      !Array.isArray(value) ||
+      !value.some((item) => sameId(item, merged.id))
+    ) {
+      return record;
+    }
+    const ids = [];
+    value.forEach((item) => {
+      const next = sameId(item, merged.id) ? keep.id : item;
+      if (!ids.some((existing) => sameId(existing, next))) ids.push(next);
+    });
+    return { ...record, [relation.field]: ids };
+  };
+
+  const next = { ...data, people: [] };
+  people.forEach((person) => {
+    if (person === merged) return;
+    next.people.push(person === keep ? survivor : person);
+  });
+  RELATIONSHIPS.filter((relation) => relation.to === 'people').forEach(
+    (relation) => {
+      if (!Array.isArray(next[relation.from])) return;
+      next[relation.from] = next[relation.from].map((record) =>
+        record ? repoint(record, relation) : record,
+      );
+    },
+  );
+  // A person cannot represent itself
+  next.people = next.people.map((person) =>
+    sameId(person.id, keep.id) && Array.isArray(person.authorizedRepIds)
+      ? {
+          ...person,
+          authorizedRepIds: person.authorizedRepIds.filter(
+            (id) => !sameId(id, keep.id) && !sameId(id, merged.id),
+          ),
+        }
+      : person,
+  );
+
+  return {
+    data: next,
+    merge: {
+      keepId: keep.id,
+      mergeId: merged.id,
+      label: describeRecord('people', survivor),
+      mergedLabel: describeRecord('people', merged),
+      fields,
+      references,
+    },
+  };
+}
+
+/**
+ * Audit change for a merge (pass to recordChanges() `entries`)
+ * @param {Object} merge - `merge` of mergePeople()
+ * @returns {Object}
+ */
+export function mergeAuditChange(merge) {
+  return {
+    entityType: 'person',
+    entityId: ensureStringId(merge.keepId),
+    personId: ensureStringId(merge.keepId),
+    label: merge.label,
+    action: 'merged',
+    field: null,
+    oldValue: `${merge.mergedLabel} (${ensureStringId(merge.mergeId)})`,
+    newValue: merge.fields.length ? merge.fields.join(', ') : null,
+  };
+}
+
+/**
+ * Toast text for a merge
+ * @param {Object} merge - `merge` of mergePeople()
+ * @returns {string}
+ */
+export function describeMerge(merge) {
+  const count = merge.references.length;
+  return `${merge.mergedLabel} merged into ${merge.label}${
+    count ? ` (${count} reference${count === 1 ? '' : 's'} updated)` : ''
+  }`;
+}
+
+export default {
+  findDuplicatePeople,
+  describeDuplicateMatch,
+  personReferences,
+  defaultMergeChoices,
+  mergePeople,
+  mergeAuditChange,
+  describeMerge,
+};
@@ -0,0 +1,243 @@
+/**
+ * Nightingale CMS Encryption at Rest
+ *
+ * Passphrase-based encryption for the data file, backups and journal using WebCrypto:
+ * a PBKDF2-derived key encrypts UTF-8 text with AES-GCM. Ciphertext is stored in a
+ * JSON envelope that records the format version and KDF parameters, so a file can be
+ * unlocked with nothing but the passphrase:
+ *
+ *   {
+ *     "format": "nightingale-encrypted",
+ *     "version": 1,
+ *     "kdf": { "name": "PBKDF2", "hash": "SHA-256", "iterations": 600000, "salt": "<base64>" },
+ *     "cipher": { "name": "AES-GCM", "iv": "<base64>" },
+ *     "data": "<base64 ciphertext + tag>"
+ *   }
+ *
+ * Keys are non-extractable CryptoKeys; the passphrase itself is never stored.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+export const ENVELOPE_FORMAT = 'nightingale-encrypted';
+export const ENVELOPE_VERSION = 1;
+export const MIN_PASSPHRASE_LENGTH = 8;
+
+/** OWASP-recommended PBKDF2-HMAC-SHA256 work factor */
+export const DEFAULT_KDF = {
+  name: 'PBKDF2',
+  hash: 'SHA-256',
+  iterations: 600000,
+};
+
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+
+function encryptionError(name, message) {
+  const error = new Error(message);
+  error.name = name;
+  return error;
+}
+
+function getSubtle() {
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw encryptionError(
+      'NotSupportedError',
+      'WebCrypto is not available in this browser',
+    );
+  }
+  return subtle;
+}
+
+function randomBytes(length) {
+  return globalThis.crypto.getRandomValues(new Uint8Array(length));
+}
+
+function toBase64(bytes) {
+  const view = new Uint8Array(bytes);
+  let binary = '';
+  // Chunked to stay under argument-count limits for large files
+  for (let i = 0; i < view.length; i += 0x8000) {
+    binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+  }
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  const binary = atob(text);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Whether encryption can be used in this environment
+ * @returns {boolean}
+ */
+export function isEncryptionSupported() {
+  return !!globalThis.crypto?.subtle && typeof TextEncoder !== 'undefined';
+}
+
+/**
+ * Return the envelope when `contents` (text or parsed object) is encrypted, else null.
+ * @param {string|Object} contents
+ * @returns {Object|null}
+ */
+export function parseEnvelope(contents) {
+  let value = contents;
+  if (typeof contents === 'string') {
+    // Cheap pre-check before parsing a potentially large plaintext file
+    if (!contents.includes(ENVELOPE_FORMAT)) return null;
+    try {
+      value = JSON.parse(contents);
+    } catch (_) {
+      return null;
+    }
+  }
+  return value && typeof value === 'object' && value.format === ENVELOPE_FORMAT
+    ? value
+    : null;
+}
+
+/**
+ * @param {string|Object} contents
+ * @returns {boolean}
+ */
+export function isEncrypted(contents) {
+  return parseEnvelope(contents) !== null;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase.
+ * @param {string} passphrase
+ * @param {Object} [options]
+ * @param {Object} [options.kdf] - KDF parameters; `salt` (base64) is generated when absent
+ * @returns {Promise<{ key: CryptoKey, kdf: Object }>} Key plus the parameters to store
+ */
+export async function deriveKey(passphrase, { kdf = DEFAULT_KDF } = {}) {
+  if (!passphrase) {
+    throw encryptionError('DecryptionError', 'Passphrase is required');
+  }
+  if (kdf.name !== 'PBKDF2') {
+    throw encryptionError('NotSupportedError', `Unsupported KDF: ${kdf.name}`);
+  }
+  const subtle = getSubtle();
+  const params = {
+    name: kdf.name,
+    hash: kdf.hash || DEFAULT_KDF.hash,
+    iterations: kdf.iterations || DEFAULT_KDF.iterations,
+    salt: kdf.salt || toBase64(randomBytes(SALT_BYTES)),
+  };
+  const material = await subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey'],
+  );
+  const key = await subtle.deriveKey(
+    {
+      name: 'PBKDF2',
+      hash: params.hash,
+      iterations: params.iterations,
+      salt: fromBase64(params.salt),
+    },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt'],
+  );
+  return { key, kdf: params };
+}
+
+/**
+ * Derive the key for an existing envelope (same salt and parameters).
+ * @param {string} passphrase
+ * @param {Object} envelope
+ */
+export function deriveKeyForEnvelope(passphrase, envelope) {
+  if (envelope?.version !== ENVELOPE_VERSION) {
+    throw encryptionError(
+      'NotSupportedError',
+      `Unsupported encrypted file version: ${envelope?.version}`,
+    );
+  }
+  return deriveKey(passphrase, { kdf: envelope.kdf });
+}
+
+/**
+ * Encrypt text into an envelope (JSON string).
+ * @param {string} text
+ * @param {{ key: CryptoKey, kdf: Object }} keyInfo - From deriveKey
+ * @returns {Promise<string>}
+ */
+export async function encryptText(text, keyInfo) {
+  const iv = randomBytes(IV_BYTES);
+  const ciphertext = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv },
+    keyInfo.key,
+    new TextEncoder().encode(text),
+  );
+  return JSON.stringify({
+    format: ENVELOPE_FORMAT,
+    version: ENVELOPE_VERSION,
+    kdf: keyInfo.kdf,
+    cipher: { name: 'AES-GCM', iv: toBase64(iv) },
+    data: toBase64(ciphertext),
+  });
+}
+
+/**
+ * Decrypt an envelope. Throws a DecryptionError for a wrong key, a key derived
+ * for a different salt, or tampered data.
+ * @param {string|Object} contents - Envelope text or object
+ * @param {{ key: CryptoKey, kdf: Object }} keyInfo
+ * @returns {Promise<string>} Plaintext
+ */
+export async function decryptText(contents, keyInfo) {
+  const envelope = parseEnvelope(contents);
+  if (!envelope) {
+    throw encryptionError('DecryptionError', 'Not an encrypted envelope');
+  }
+  if (envelope.version !== ENVELOPE_VERSION) {
+    throw encryptionError(
+      'NotSupportedError',
+      `Unsupported encrypted file version: ${envelope.version}`,
+    );
+  }
+  if (!keyInfo?.key || envelope.kdf?.salt !== keyInfo.kdf?.salt) {
+    throw encryptionError(
+      'DecryptionError',
+      'File was encrypted with a different passphrase',
+    );
+  }
+  try {
+    const plaintext = await getSubtle().decrypt(
+      { name: 'AES-GCM', iv: fromBase64(envelope.cipher.iv) },
+      keyInfo.key,
+      fromBase64(envelope.data),
+    );
+    return new TextDecoder().decode(plaintext);
+  } catch (_) {
+    throw encryptionError(
+      'DecryptionError',
+      'Wrong passphrase or corrupted file',
+    );
+  }
+}
+
+export default {
+  ENVELOPE_FORMAT,
+  ENVELOPE_VERSION,
+  DEFAULT_KDF,
+  MIN_PASSPHRASE_LENGTH,
+  isEncryptionSupported,
+  parseEnvelope,
+  isEncrypted,
+  deriveKey,
+  deriveKeyForEnvelope,
+  encryptText,
+  decryptText,
+};
@@ -0,0 +1,159 @@
+/**
+ * Nightingale CMS Financial Calculations
+ *
+ * Totals of a case's financial items. Income and expense items are paid at a
+ * `frequency` (monthly, weekly, daily, yearly or one-time); recurring totals convert
+ * each to its monthly equivalent with the factors in Settings → Monthly Conversion
+ * (weekly × 4.3333 by default) and leave one-time items out, totalling those
+ * separately. Resources are balances and are added as they are. Items without a
+ * frequency count as monthly; items in the Recycle Bin are left out.
+ *
+ * Totals are also broken down by owner (applicant, spouse, joint); items without an
+ * owner belong to the applicant.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { itemAmount } from './nightingale.balancehistory.js';
+import { isDeleted } from './nightingale.recyclebin.js';
+import { getFrequencyFactors } from './settings.js';
+
+export const FREQUENCIES = ['monthly', 'weekly', 'daily', 'yearly', 'one-time'];
+export const OWNERS = ['applicant', 'spouse', 'joint'];
+
+const round = (amount) => Math.round(amount * 100) / 100;
+
+const activeItems = (items) =>
+  (Array.isArray(items) ? items : []).filter(
+    (item) => item && !isDeleted(item),
+  );
+
+/**
+ * Whether an item is paid once rather than every period
+ * @param {Object} item
+ * @returns {boolean}
+ */
+export function isOneTime(item) {
+  return item?.frequency === 'one-time';
+}
+
+/**
+ * Monthly equivalent of an income or expense item (0 for one-time items)
+ * @param {Object} item
+ * @param {Object} [factors] - Monthly factor per frequency
+ * @returns {number}
+ */
+export function monthlyAmount(item, factors = getFrequencyFactors()) {
+  if (isOneTime(item)) return 0;
+  const factor = Number(factors[item?.frequency] ?? factors.monthly ?? 1);
+  return itemAmount(item) * (Number.isFinite(factor) ? factor : 1);
+}
+
+/**
+ * Monthly total of recurring income or expense items, to the cent
+ * @param {Array<Object>} items
+ * @param {Object} [factors]
+ * @returns {number}
+ */
+export function monthlyTotal(items, factors = getFrequencyFactors()) {
+  return round(
+    activeItems(items).reduce(
+      (sum, item) => sum + monthlyAmount(item, factors),
+      0,
+    ),
+  );
+}
+
+/**
+ * Total of the one-time items
+ * @param {Array<Object>} items
+ * @returns {number}
+ */
+export function oneTimeTotal(items) {
+  return round(
+    activeItems(items)
+      .filter(isOneTime)
+      .reduce((sum, item) => sum + itemAmount(item), 0),
+  );
+}
+
+/**
+ * Total of resource balances
+ * @param {Array<Object>} items
+ * @returns {number}
+ */
+export function resourceTotal(items) {
+  return round(
+    activeItems(items).reduce((sum, item) => sum + itemAmount(item), 0),
+  );
+}
+
+/**
+ * Owner of a financial item
+ * @param {Object} item
+ * @returns {string} 'applicant', 'spouse' or 'joint'
+ */
+export function itemOwner(item) {
+  return OWNERS.includes(item?.owner) ? item.owner : 'applicant';
+}
+
+const groupTotals = (financials, factors) => ({
+  resources: resourceTotal(financials?.resources),
+  income: monthlyTotal(financials?.income, factors),
+  expenses: monthlyTotal(financials?.expenses, factors),
+});
+
+/**
+ * Financial totals of a case
+ * @param {Object} caseItem
+ * @param {Object} [options] - { factors }
+ * @returns {{ resources:number, income:number, expenses:number, net:number,
+ *   oneTime:{ income:number, expenses:number },
+ *   byOwner:Object<string, { resources:number, income:number, expenses:number }> }}
+ *   `income` and `expenses` are monthly; `net` is monthly income less expenses
+ */
+export function financialTotals(caseItem, options = {}) {
+  const { factors = getFrequencyFactors() } = options;
+  const financials = caseItem?.financials || {};
+  const totals = groupTotals(financials, factors);
+  const byOwner = Object.fromEntries(
+    OWNERS.map((owner) => {
+      const owned = (items) =>
+        (items || []).filter((item) => itemOwner(item) === owner);
+      return [
+        owner,
+        groupTotals(
+          {
+            resources: owned(financials.resources),
+            income: owned(financials.income),
+            expenses: owned(financials.expenses),
+          },
+          factors,
+        ),
+      ];
+    }),
+  );
+
+  return {
+    ...totals,
+    net: round(totals.income - totals.expenses),
+    oneTime: {
+      income: oneTimeTotal(financials.income),
+      expenses: oneTimeTotal(financials.expenses),
+    },
+    byOwner,
+  };
+}
+
+export default {
+  FREQUENCIES,
+  OWNERS,
+  isOneTime,
+  monthlyAmount,
+  monthlyTotal,
+  oneTimeTotal,
+  resourceTotal,
+  itemOwner,
+  financialTotals,
+};
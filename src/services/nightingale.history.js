@@ -0,0 +1,266 @@
+/**
+ * Nightingale CMS Undo/Redo History
+ *
+ * Bounded history of `fullData` states for application-wide undo/redo. The dataset
+ * is updated immutably, so each entry only keeps references to the state before and
+ * after a change; unchanged records are shared between entries.
+ *
+ * The history is only valid while it describes the current state: data replaced
+ * from elsewhere (file load, another tab, conflict resolution) makes it stale, and
+ * it is cleared on the next change.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { ensureStringId } from './nightingale.datamanagement.js';
+
+export const DEFAULT_HISTORY_LIMIT = 50;
+
+const COLLECTION_NOUNS = {
+  cases: 'case',
+  people: 'person',
+  organizations: 'organization',
+  vrRequests: 'VR request',
+  tasks: 'task',
+  attachments: 'attachment',
+};
+
+const FINANCIAL_NOUNS = {
+  resources: 'resource',
+  income: 'income item',
+  expenses: 'expense',
+};
+
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function indexById(list) {
+  const map = new Map();
+  (Array.isArray(list) ? list : []).forEach((item) => {
+    if (item && item.id != null) map.set(ensureStringId(item.id), item);
+  });
+  return map;
+}
+
+function recordName(key, record) {
+  if (key === 'cases') {
+    return record.mcn ? `MCN ${record.mcn}` : ensureStringId(record.id);
+  }
+  return (
+    record.name ||
+    record.title ||
+    record.description ||
+    ensureStringId(record.id)
+  );
+}
+
+function financialName(item) {
+  return (
+    [item.description || item.type, item.location]
+      .filter(Boolean)
+      .join(' - ') || ensureStringId(item.id)
+  );
+}
+
+/**
+ * Added/removed/updated items of a list matched by id
+ */
+function diffList(prev, next) {
+  const before = indexById(prev);
+  const after = indexById(next);
+  const changes = [];
+  after.forEach((item, id) => {
+    if (!before.has(id)) changes.push({ kind: 'Added', item });
+    else if (!same(before.get(id), item)) {
+      changes.push({ kind: 'Updated', item, previous: before.get(id) });
+    }
+  });
+  before.forEach((item, id) => {
+    if (!after.has(id)) changes.push({ kind: 'Deleted', item });
+  });
+  return changes;
+}
+
+/** Labels for changes inside one case (financial items, notes, fields) */
+function describeCaseUpdate(prev, next) {
+  const labels = [];
+  const caseName = recordName('cases', next);
+  Object.entries(FINANCIAL_NOUNS).forEach(([type, noun]) => {
+    diffList(prev.financials?.[type], next.financials?.[type]).forEach(
+      ({ kind, item }) =>
+        labels.push(`${kind} ${noun} '${financialName(item)}'`),
+    );
+  });
+  diffList(prev.notes, next.notes).forEach(({ kind }) =>
+    labels.push(`${kind} note on ${caseName}`),
+  );
+  const fields = Object.keys({ ...prev, ...next }).filter(
+    (field) =>
+      !['financials', 'notes', 'updatedDate'].includes(field) &&
+      !same(prev[field], next[field]),
+  );
+  if (fields.length > 0) {
+    labels.push(`Updated ${caseName} (${fields.join(', ')})`);
+  }
+  return labels;
+}
+
+/**
+ * Human-readable label for the change from `prev` to `next`, e.g.
+ * "Deleted resource 'Checking - First Bank'". Several changes are summarized
+ * as the first one plus a count.
+ *
+ * @param {Object|null} prev
+ * @param {Object} next
+ * @returns {string}
+ */
+export function describeChange(prev, next) {
+  if (!prev || !next) return 'Edited data';
+  const labels = [];
+  Object.entries(COLLECTION_NOUNS).forEach(([key, noun]) => {
+    if (prev[key] === next[key]) return;
+    diffList(prev[key], next[key]).forEach(({ kind, item, previous }) => {
+      if (kind === 'Updated' && key === 'cases') {
+        labels.push(...describeCaseUpdate(previous, item));
+      } else {
+        labels.push(`${kind} ${noun} '${recordName(key, item)}'`);
+      }
+    });
+  });
+  if (labels.length === 0) return 'Edited data';
+  return labels.length === 1
+    ? labels[0]
+    : `${labels[0]} (+${labels.length - 1} more)`;
+}
+
+/**
+ * Undo/redo stacks of { id, label, timestamp, before, after }
+ */
+export class UndoHistory {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.limit] - Maximum undo entries kept
+   */
+  constructor({ limit = DEFAULT_HISTORY_LIMIT } = {}) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Whether the stacks describe `current` (nothing replaced the data meanwhile)
+   */
+  matches(current) {
+    const undoTop = this.undoStack[this.undoStack.length - 1];
+    const redoTop = this.redoStack[this.redoStack.length - 1];
+    return (
+      (!undoTop || undoTop.after === current) &&
+      (!redoTop || redoTop.before === current)
+    );
+  }
+
+  /**
+   * Record a change. A label is derived from the data when none is given.
+   * @returns {Object|null} The entry, or null when there was nothing to record
+   */
+  record(before, after, label = null) {
+    if (!before || !after || before === after) return null;
+    if (!this.matches(before)) this.clear();
+
+    const entry = {
+      id: this.nextId++,
+      label: label || describeChange(before, after),
+      timestamp: Date.now(),
+      before,
+      after,
+    };
+    this.undoStack.push(entry);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+    return entry;
+  }
+
+  canUndo(current) {
+    return this.undoStack.length > 0 && this.matches(current);
+  }
+
+  canRedo(current) {
+    return this.redoStack.length > 0 && this.matches(current);
+  }
+
+  /**
+   * Step back from `current`. Returns { data, entry } or null.
+   */
+  undo(current) {
+    if (!this.canUndo(current)) return null;
+    const entry = this.undoStack.pop();
+    this.redoStack.push(entry);
+    return { data: entry.before, entry };
+  }
+
+  /**
+   * Step forward from `current`. Returns { data, entry } or null.
+   */
+  redo(current) {
+    if (!this.canRedo(current)) return null;
+    const entry = this.redoStack.pop();
+    this.undoStack.push(entry);
+    return { data: entry.after, entry };
+  }
+
+  /**
+   * Undo every change up to and including entry `id`.
+   * Returns { data, entries } (entries undone, newest first) or null.
+   */
+  undoTo(current, id) {
+    if (!this.canUndo(current) || !this.undoStack.some((e) => e.id === id)) {
+      return null;
+    }
+    const entries = [];
+    let data = current;
+    while (this.undoStack.length > 0) {
+      const step = this.undo(data);
+      entries.push(step.entry);
+      data = step.data;
+      if (step.entry.id === id) break;
+    }
+    return { data, entries };
+  }
+
+  /**
+   * Continue the history from `replacement` instead of `current`, e.g. when an
+   * applied step was annotated (audit trail) before being shown.
+   * @returns {boolean} Whether the history described `current`
+   */
+  adopt(current, replacement) {
+    if (!this.matches(current)) return false;
+    const undoTop = this.undoStack[this.undoStack.length - 1];
+    const redoTop = this.redoStack[this.redoStack.length - 1];
+    if (undoTop) undoTop.after = replacement;
+    if (redoTop) redoTop.before = replacement;
+    return true;
+  }
+
+  /**
+   * Entries for display (newest first), empty when the history is stale
+   * @returns {{ undo: Array<{id,label,timestamp}>, redo: Array<{id,label,timestamp}> }}
+   */
+  list(current) {
+    if (!this.matches(current)) return { undo: [], redo: [] };
+    const summary = ({ id, label, timestamp }) => ({ id, label, timestamp });
+    return {
+      undo: this.undoStack.slice().reverse().map(summary),
+      redo: this.redoStack.slice().reverse().map(summary),
+    };
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+export default UndoHistory;
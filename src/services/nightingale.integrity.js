@@ -0,0 +1,322 @@
+/**
+ * Nightingale CMS Referential Integrity
+ *
+ * Relationship map of the data model and the delete rules that keep it consistent.
+ * Each reference names the collection and field holding it, the collection it points
+ * to, and what happens to the referencing record when the target is deleted:
+ *
+ * - `deny`: the delete is refused while such records exist
+ * - `nullify`: the reference is cleared (removed from the list for `many` references)
+ * - `cascade`: the referencing record is deleted too (its own references apply)
+ *
+ * previewDelete() lists every affected record so the UI can show the impact before
+ * anything is removed; deleteRecord() applies it.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+export const ON_DELETE = ['deny', 'nullify', 'cascade'];
+
+/**
+ * @typedef {Object} Relationship
+ * @property {string} from - Collection holding the reference
+ * @property {string} field - Field name on records of `from`
+ * @property {string} to - Referenced collection
+ * @property {boolean} [many] - Field holds a list of ids
+ * @property {'deny'|'nullify'|'cascade'} onDelete
+ * @property {string} label - Describes the reference for people
+ */
+
+/** @type {Array<Relationship>} */
+export const RELATIONSHIPS = [
+  {
+    from: 'cases',
+    field: 'personId',
+    to: 'people',
+    onDelete: 'deny',
+    label: 'client of case',
+  },
+  {
+    from: 'cases',
+    field: 'spouseId',
+    to: 'people',
+    onDelete: 'nullify',
+    label: 'spouse on case',
+  },
+  {
+    from: 'cases',
+    field: 'authorizedReps',
+    to: 'people',
+    many: true,
+    onDelete: 'nullify',
+    label: 'authorized representative on case',
+  },
+  {
+    from: 'cases',
+    field: 'organizationId',
+    to: 'organizations',
+    onDelete: 'nullify',
+    label: 'organization of case',
+  },
+  {
+    from: 'people',
+    field: 'organizationId',
+    to: 'organizations',
+    onDelete: 'nullify',
+    label: 'organization of person',
+  },
+  {
+    from: 'people',
+    field: 'authorizedRepIds',
+    to: 'people',
+    many: true,
+    onDelete: 'nullify',
+    label: 'authorized representative of person',
+  },
+  {
+    from: 'vrRequests',
+    field: 'caseId',
+    to: 'cases',
+    onDelete: 'cascade',
+    label: 'verification request for case',
+  },
+  {
+    from: 'tasks',
+    field: 'caseId',
+    to: 'cases',
+    onDelete: 'cascade',
+    label: 'task for case',
+  },
+  {
+    from: 'attachments',
+    field: 'caseId',
+    to: 'cases',
+    onDelete: 'cascade',
+    label: 'attachment of case',
+  },
+];
+
+const sameId = (a, b) => a != null && b != null && String(a) === String(b);
+
+const references = (record, relation, id) => {
+  const value = record?.[relation.field];
+  return relation.many
+    ? Array.isArray(value) && value.some((item) => sameId(item, id))
+    : sameId(value, id);
+};
+
+/**
+ * Short human-readable name of a record
+ * @param {string} collection
+ * @param {Object} record
+ * @returns {string}
+ */
+export function describeRecord(collection, record) {
+  if (!record) return 'Unknown record';
+  switch (collection) {
+    case 'cases':
+      return record.mcn ? `Case MCN ${record.mcn}` : `Case ${record.id}`;
+    case 'people':
+      return (
+        record.name ||
+        [record.firstName, record.lastName].filter(Boolean).join(' ') ||
+        `Person ${record.id}`
+      );
+    case 'organizations':
+      return record.name || `Organization ${record.id}`;
+    case 'vrRequests':
+      return record.title || `Verification request ${record.id}`;
+    case 'tasks':
+      return record.title ? `Task "${record.title}"` : `Task ${record.id}`;
+    case 'attachments':
+      return record.name
+        ? `Attachment "${record.name}"`
+        : `Attachment ${record.id}`;
+    default:
+      return `${collection} ${record.id}`;
+  }
+}
+
+/**
+ * Everything deleting one record would touch.
+ *
+ * @param {Object} data - Dataset
+ * @param {string} collection - e.g. 'people'
+ * @param {string|number} id
+ * @param {Object} [options]
+ * @param {Array<Relationship>} [options.relationships]
+ * @returns {{ target:{ collection, id, label }|null, allowed:boolean,
+ *   blocked:Array, cascaded:Array, nullified:Array }}
+ *   Each entry is { collection, id, label, field, reason }; `blocked` lists the
+ *   records that deny the delete, `cascaded` those deleted with it and `nullified`
+ *   those whose reference is cleared.
+ */
+export function previewDelete(
+  data,
+  collection,
+  id,
+  { relationships = RELATIONSHIPS } = {},
+) {
+  const record = (data?.[collection] || []).find((item) =>
+    sameId(item?.id, id),
+  );
+  const impact = {
+    target: record
+      ? { collection, id: record.id, label: describeRecord(collection, record) }
+      : null,
+    allowed: !!record,
+    blocked: [],
+    cascaded: [],
+    nullified: [],
+  };
+  if (!record) return impact;
+
+  const deleting = new Set([`${collection}:${record.id}`]);
+  const queue = [{ collection, id: record.id }];
+  const seen = new Set();
+  while (queue.length > 0) {
+    const current = queue.shift();
+    relationships
+      .filter((relation) => relation.to === current.collection)
+      .forEach((relation) => {
+        (data[relation.from] || []).forEach((item) => {
+          if (!references(item, relation, current.id)) return;
+          const key = `${relation.from}:${item.id}`;
+          const entry = {
+            collection: relation.from,
+            id: item.id,
+            label: describeRecord(relation.from, item),
+            field: relation.field,
+            reason: relation.label,
+          };
+          const entryKey = `${relation.onDelete}:${key}:${relation.field}`;
+          if (seen.has(entryKey)) return;
+          seen.add(entryKey);
+          if (relation.onDelete === 'deny') {
+            impact.blocked.push(entry);
+          } else if (relation.onDelete === 'cascade') {
+            if (deleting.has(key)) return;
+            deleting.add(key);
+            impact.cascaded.push(entry);
+            queue.push({ collection: relation.from, id: item.id });
+          } else {
+            impact.nullified.push(entry);
+          }
+        });
+      });
+  }
+
+  // References held by records that are deleted anyway do not matter
+  const isDeleted = (entry) => deleting.has(`${entry.collection}:${entry.id}`);
+  impact.blocked = impact.blocked.filter((entry) => !isDeleted(entry));
+  impact.nullified = impact.nullified.filter((entry) => !isDeleted(entry));
+  impact.allowed = impact.blocked.length === 0;
+  return impact;
+}
+
+/**
+ * Throw unless a previewDelete() impact allows the delete.
+ * @param {Object} impact - previewDelete() result
+ * @param {string} collection
+ * @param {string|number} id
+ * @throws {Error} name 'IntegrityError' (with `impact`) when the record is missing
+ *   or referenced by a `deny` relationship
+ */
+export function assertDeletable(impact, collection, id) {
+  if (impact.target && impact.allowed) return;
+  const error = new Error(
+    impact.target
+      ? `${impact.target.label} is still referenced by ${impact.blocked.length} record(s)`
+      : `No ${collection} record with id ${id}`,
+  );
+  error.name = 'IntegrityError';
+  error.impact = impact;
+  throw error;
+}
+
+/**
+ * Delete a record and apply the onDelete rules of every reference to it.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {string} collection
+ * @param {string|number} id
+ * @param {Object} [options]
+ * @param {Array<Relationship>} [options.relationships]
+ * @returns {{ data:Object, impact:Object }} Updated dataset and the applied impact
+ * @throws {Error} name 'IntegrityError' (with `impact`) when the record is missing
+ *   or referenced by a `deny` relationship
+ */
+export function deleteRecord(
+  data,
+  collection,
+  id,
+  { relationships = RELATIONSHIPS } = {},
+) {
+  const impact = previewDelete(data, collection, id, { relationships });
+  assertDeletable(impact, collection, id);
+
+  const removed = new Set([
+    `${collection}:${impact.target.id}`,
+    ...impact.cascaded.map((entry) => `${entry.collection}:${entry.id}`),
+  ]);
+  const removedIds = (target) =>
+    [...removed]
+      .filter((key) => key.startsWith(`${target}:`))
+      .map((key) => key.slice(target.length + 1));
+
+  const next = { ...data };
+  const collections = new Set([
+    collection,
+    ...impact.cascaded.map((entry) => entry.collection),
+    ...impact.nullified.map((entry) => entry.collection),
+  ]);
+  collections.forEach((name) => {
+    next[name] = (data[name] || [])
+      .filter((item) => !removed.has(`${name}:${item.id}`))
+      .map((item) => {
+        let updated = item;
+        relationships
+          .filter((relation) => relation.from === name)
+          .forEach((relation) => {
+            removedIds(relation.to).forEach((gone) => {
+              if (!references(updated, relation, gone)) return;
+              updated = {
+                ...updated,
+                [relation.field]: relation.many
+                  ? updated[relation.field].filter(
+                      (value) => !sameId(value, gone),
+                    )
+                  : null,
+              };
+            });
+          });
+        return updated;
+      });
+  });
+
+  return { data: next, impact };
+}
+
+/**
+ * One-line summary of an applied delete, e.g.
+ * "Jane Doe deleted (1 related record deleted, 2 references cleared)"
+ * @param {Object} impact - previewDelete() / deleteRecord() impact
+ * @returns {string}
+ */
+export function describeDeleteResult(impact) {
+  const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  const details = [
+    impact.cascaded.length
+      ? `${plural(impact.cascaded.length, 'related record')} deleted`
+      : null,
+    impact.nullified.length
+      ? `${plural(impact.nullified.length, 'reference')} cleared`
+      : null,
+  ].filter(Boolean);
+  return `${impact.target.label} deleted${
+    details.length ? ` (${details.join(', ')})` : ''
+  }`;
+}
+
+export default { RELATIONSHIPS, previewDelete, deleteRecord };
@@ -0,0 +1,412 @@
+/**
+ * Nightingale CMS Write-Ahead Journal
+ *
+ * Append-only record of data mutations made between autosaves, so edits survive a
+ * browser crash during the debounce/interval window. Each entry holds the record-level
+ * changes since the previous entry (puts/deletes by id for the merged record collections
+ * and the audit log, so an edit journals only its new audit entries; whole-value sets for
+ * other keys). Entries are idempotent, so replaying a prefix twice is harmless.
+ *
+ * Storage:
+ * - `nightingale-journal.ndjson` (one JSON entry per line) in the connected storage adapter
+ * - IndexedDB (`NightingaleJournal`) when the storage is not writable
+ *
+ * An optional codec seals each line (e.g. encryption at rest); lines it cannot open
+ * are skipped.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import {
+  MERGED_COLLECTIONS,
+  APPEND_ONLY_COLLECTIONS,
+} from './threeWayMerge.js';
+import { ensureStringId } from './nightingale.datamanagement.js';
+
+export const JOURNAL_FILE_NAME = 'nightingale-journal.ndjson';
+export const JOURNAL_VERSION = 1;
+
+function same(a, b) {
+  return a === b || JSON.stringify(a) === JSON.stringify(b);
+}
+
+function hasIds(list) {
+  return Array.isArray(list) && list.every((r) => r && r.id != null);
+}
+
+/**
+ * Record-level operations turning `prev` into `next`.
+ * Without a previous dataset the whole dataset is recorded as a snapshot.
+ *
+ * @param {Object|null} prev
+ * @param {Object} next
+ * @returns {Array<Object>} ops ({op:'snapshot'|'put'|'delete'|'set'|'unset', ...})
+ */
+export function diffForJournal(prev, next) {
+  if (!prev || typeof prev !== 'object') {
+    return [{ op: 'snapshot', data: next }];
+  }
+  const ops = [];
+  const keys = new Set([...Object.keys(prev), ...Object.keys(next)]);
+  keys.forEach((key) => {
+    if (!(key in next)) {
+      ops.push({ op: 'unset', key });
+      return;
+    }
+    if (same(prev[key], next[key])) return;
+
+    if (
+      (MERGED_COLLECTIONS.includes(key) ||
+        APPEND_ONLY_COLLECTIONS.includes(key)) &&
+      hasIds(prev[key]) &&
+      hasIds(next[key])
+    ) {
+      const before = new Map(prev[key].map((r) => [ensureStringId(r.id), r]));
+      const seen = new Set();
+      next[key].forEach((record) => {
+        const id = ensureStringId(record.id);
+        seen.add(id);
+        if (!before.has(id) || !same(before.get(id), record)) {
+          ops.push({ op: 'put', collection: key, id, record });
+        }
+      });
+      before.forEach((_, id) => {
+        if (!seen.has(id)) ops.push({ op: 'delete', collection: key, id });
+      });
+      return;
+    }
+
+    ops.push({ op: 'set', key, value: next[key] });
+  });
+  return ops;
+}
+
+/**
+ * Apply journal entries, in order, on top of a dataset.
+ * @param {Object|null} base - Dataset from the data file
+ * @param {Array<Object>} entries
+ * @returns {Object} new dataset (base is not mutated)
+ */
+export function applyJournalEntries(base, entries) {
+  let data = { ...(base || {}) };
+  (entries || []).forEach((entry) => {
+    (entry.ops || []).forEach((op) => {
+      switch (op.op) {
+        case 'snapshot':
+          data = { ...op.data };
+          break;
+        case 'set':
+          data[op.key] = op.value;
+          break;
+        case 'unset':
+          delete data[op.key];
+          break;
+        case 'put': {
+          const list = Array.isArray(data[op.collection])
+            ? [...data[op.collection]]
+            : [];
+          const index = list.findIndex(
+            (r) => r && ensureStringId(r.id) === op.id,
+          );
+          if (index >= 0) list[index] = op.record;
+          else list.push(op.record);
+          data[op.collection] = list;
+          break;
+        }
+        case 'delete':
+          data[op.collection] = (data[op.collection] || []).filter(
+            (r) => !r || ensureStringId(r.id) !== op.id,
+          );
+          break;
+        default:
+          break;
+      }
+    });
+  });
+  return data;
+}
+
+/**
+ * Parse NDJSON journal text. A torn last line (crash mid-append) is skipped.
+ * @param {string} text
+ * @returns {Array<Object>}
+ */
+export function parseJournal(text) {
+  const entries = [];
+  String(text || '')
+    .split('\n')
+    .forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry && Array.isArray(entry.ops)) entries.push(entry);
+      } catch (_) {
+        // incomplete line
+      }
+    });
+  return entries;
+}
+
+function sortEntries(entries) {
+  return entries.sort((a, b) => a.ts - b.ts || (a.seq || 0) - (b.seq || 0));
+}
+
+/**
+ * IndexedDB journal store used when the storage adapter is not writable.
+ * Every method resolves (never rejects) so journaling cannot break editing.
+ */
+export class IndexedDBJournalStore {
+  constructor({ dbName = 'NightingaleJournal', storeName = 'entries' } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined' && !!indexedDB?.open;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      if (!this.isAvailable()) {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(this.dbName, 1);
+      request.onerror = () => resolve(null);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (e) => {
+        e.target.result.createObjectStore(this.storeName, {
+          autoIncrement: true,
+        });
+      };
+    });
+  }
+
+  async run(mode, fn, fallback) {
+    const db = await this.open();
+    if (!db) return fallback;
+    return new Promise((resolve) => {
+      try {
+        const store = db
+          .transaction(this.storeName, mode)
+          .objectStore(this.storeName);
+        const request = fn(store);
+        request.onsuccess = () => resolve(request.result ?? fallback);
+        request.onerror = () => resolve(fallback);
+      } catch (_) {
+        resolve(fallback);
+      }
+    });
+  }
+
+  async append(entry) {
+    const key = await this.run('readwrite', (s) => s.add(entry), null);
+    return key != null;
+  }
+
+  async readAll() {
+    return this.run('readonly', (s) => s.getAll(), []);
+  }
+
+  async replaceAll(entries) {
+    await this.run('readwrite', (s) => s.clear(), null);
+    for (const entry of entries) {
+      await this.append(entry);
+    }
+  }
+}
+
+/**
+ * Write-ahead journal for AutosaveFileService.
+ */
+class WriteAheadJournal {
+  /**
+   * @param {Object} options
+   * @param {Function} options.getStorage - async () => writable StorageAdapter or null
+   * @param {string} [options.tabId]
+   * @param {string} [options.fileName]
+   * @param {Object} [options.fallbackStore] - { append, readAll, replaceAll }
+   * @param {Object} [options.codec] - { encode(text), decode(text) } async line codec
+   */
+  constructor({
+    getStorage = async () => null,
+    tabId = null,
+    fileName = JOURNAL_FILE_NAME,
+    fallbackStore = new IndexedDBJournalStore(),
+    codec = null,
+  } = {}) {
+    this.getStorage = getStorage;
+    this.tabId = tabId;
+    this.fileName = fileName;
+    this.fallbackStore = fallbackStore;
+    this.codec = codec;
+    this.base = null;
+    this.seq = 0;
+    // True when entries may exist that a later save should compact
+    this.dirty = false;
+    // Appends and compactions run one at a time, in call order
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Dataset the next entry is diffed against (the data file as read or written).
+   */
+  setBase(data) {
+    this.base = data && typeof data === 'object' ? data : null;
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Append the changes from the previous dataset to `data`.
+   * Resolves to the entry written, or null when nothing changed or no store accepted it.
+   */
+  record(data) {
+    if (!data || typeof data !== 'object') return Promise.resolve(null);
+    const ops = diffForJournal(this.base, data);
+    this.base = data;
+    if (ops.length === 0) return Promise.resolve(null);
+
+    const entry = {
+      v: JOURNAL_VERSION,
+      ts: Date.now(),
+      seq: ++this.seq,
+      tabId: this.tabId,
+      ops,
+    };
+    this.dirty = true;
+    return this.enqueue(async () => {
+      if (await this.appendToFile(entry)) return entry;
+      if (await this.fallbackStore?.append(await this.sealRecord(entry))) {
+        return entry;
+      }
+      const logger = globalThis.NightingaleLogger?.get('autosave:journal');
+      logger?.warn('Journal entry could not be stored', { ts: entry.ts });
+      return null;
+    });
+  }
+
+  /** Stored text line for an entry */
+  async encodeEntry(entry) {
+    const line = JSON.stringify(entry);
+    return this.codec ? this.codec.encode(line) : line;
+  }
+
+  /** Entries from stored lines; lines that fail to decode are skipped */
+  async decodeLines(text) {
+    if (!this.codec) return parseJournal(text);
+    const entries = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(...parseJournal(await this.codec.decode(line)));
+      } catch (_) {
+        // Torn line, or sealed with a key this session does not hold
+      }
+    }
+    return entries;
+  }
+
+  /** IndexedDB record: ts/seq stay readable for compaction, the rest is sealed */
+  async sealRecord(entry) {
+    if (!this.codec) return entry;
+    return {
+      ts: entry.ts,
+      seq: entry.seq,
+      line: await this.encodeEntry(entry),
+    };
+  }
+
+  async readFallbackEntries() {
+    const records = (await this.fallbackStore?.readAll()) || [];
+    const entries = [];
+    for (const record of records) {
+      if (typeof record?.line === 'string') {
+        entries.push(...(await this.decodeLines(record.line)));
+      } else {
+        entries.push(record);
+      }
+    }
+    return entries;
+  }
+
+  async appendToFile(entry) {
+    const storage = await this.getStorage();
+    if (!storage) return false;
+    try {
+      await storage.append(this.fileName, `${await this.encodeEntry(entry)}\n`);
+      return true;
+    } catch (error) {
+      const logger = globalThis.NightingaleLogger?.get('autosave:journal');
+      logger?.warn('Journal append failed', { error: error.message });
+      return false;
+    }
+  }
+
+  async readFileEntries(storage) {
+    if (!storage) return [];
+    try {
+      const file = await storage.read(this.fileName);
+      return file ? await this.decodeLines(file.contents) : [];
+    } catch (_) {
+      return [];
+    }
+  }
+
+  /**
+   * All journal entries from the file and IndexedDB, oldest first.
+   */
+  async readEntries() {
+    await this.queue;
+    const storage = await this.getStorage();
+    const entries = [
+      ...(await this.readFileEntries(storage)),
+      ...(await this.readFallbackEntries()),
+    ];
+    if (entries.length > 0) this.dirty = true;
+    return sortEntries(entries);
+  }
+
+  /**
+   * Drop entries covered by a successful save.
+   * @param {Object} [options]
+   * @param {number} [options.before=Infinity] - Drop entries with ts < before
+   * @param {Object} [options.base] - Dataset just written (next diff base)
+   */
+  compact({ before = Infinity, base } = {}) {
+    if (base !== undefined) this.setBase(base);
+    if (!this.dirty) return Promise.resolve(false);
+    return this.enqueue(async () => {
+      const keep = (list) => list.filter((e) => e.ts >= before);
+      const storage = await this.getStorage();
+      let remaining = 0;
+      try {
+        if (storage) {
+          const kept = keep(await this.readFileEntries(storage));
+          const lines = [];
+          for (const e of kept) lines.push(`${await this.encodeEntry(e)}\n`);
+          await storage.writeNamed(this.fileName, lines.join(''));
+          remaining += kept.length;
+        }
+        if (this.fallbackStore) {
+          const kept = keep((await this.fallbackStore.readAll()) || []);
+          await this.fallbackStore.replaceAll(kept);
+          remaining += kept.length;
+        }
+        this.dirty = remaining > 0;
+        return true;
+      } catch (error) {
+        const logger = globalThis.NightingaleLogger?.get('autosave:journal');
+        logger?.warn('Journal compaction failed', { error: error.message });
+        return false;
+      }
+    });
+  }
+}
+
+export default WriteAheadJournal;
@@ -0,0 +1,219 @@
+/**
+ * Nightingale CMS Migration Runner
+ *
+ * Runs an ordered registry of numbered, named migration steps. Each step takes the
+ * dataset from schema version `from` to `to`; the chain is keyed on
+ * `metadata.schemaVersion`, so a file only goes through the steps it has not been
+ * through yet. Applied steps are recorded in `metadata.migrations`.
+ *
+ * The registry of dataset migrations lives in `nightingale.datamanagement.js`
+ * (DATA_MIGRATIONS); this module only knows how to plan, run and apply a registry.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { backupFileName } from './backups.js';
+
+/**
+ * @typedef {Object} MigrationStep
+ * @property {number} id - Step number, increasing along the registry
+ * @property {string} name - Short kebab-case name
+ * @property {string} from - Schema version the step applies to
+ * @property {string} to - Schema version after the step
+ * @property {string} [description]
+ * @property {function(Object):void} migrate - Mutates the dataset in place
+ */
+
+/**
+ * Check that a registry forms one ordered chain. Throws on the first problem.
+ * @param {Array<MigrationStep>} migrations
+ * @returns {Array<MigrationStep>} The registry
+ */
+export function assertMigrationChain(migrations) {
+  migrations.forEach((step, index) => {
+    if (typeof step.migrate !== 'function') {
+      throw new Error(`Migration ${step.id} (${step.name}) has no migrate()`);
+    }
+    const previous = migrations[index - 1];
+    if (previous && step.id <= previous.id) {
+      throw new Error(`Migration ${step.id} is out of order`);
+    }
+    if (previous && step.from !== previous.to) {
+      throw new Error(
+        `Migration ${step.id} starts at ${step.from}, expected ${previous.to}`,
+      );
+    }
+  });
+  return migrations;
+}
+
+/**
+ * Schema version of a dataset; unversioned data starts at the first step.
+ * @param {Object} data
+ * @param {Array<MigrationStep>} migrations
+ * @returns {string|null}
+ */
+export function getSchemaVersion(data, migrations) {
+  return data?.metadata?.schemaVersion || migrations[0]?.from || null;
+}
+
+/**
+ * Latest schema version a registry produces.
+ * @param {Array<MigrationStep>} migrations
+ * @returns {string|null}
+ */
+export function latestSchemaVersion(migrations) {
+  return migrations.length ? migrations[migrations.length - 1].to : null;
+}
+
+/**
+ * Steps still to run for `data`.
+ * @returns {{ fromVersion:string, steps:Array<MigrationStep>, unknownVersion:boolean }}
+ *   `unknownVersion` is true for versions outside the registry (e.g. a file
+ *   written by a newer release); nothing is planned for those.
+ */
+export function planMigrations(data, migrations) {
+  const fromVersion = getSchemaVersion(data, migrations);
+  const start = migrations.findIndex((step) => step.from === fromVersion);
+  if (start >= 0) {
+    return {
+      fromVersion,
+      steps: migrations.slice(start),
+      unknownVersion: false,
+    };
+  }
+  return {
+    fromVersion,
+    steps: [],
+    unknownVersion: fromVersion !== latestSchemaVersion(migrations),
+  };
+}
+
+/**
+ * Number of records that differ between two snapshots of a dataset. Collections
+ * are compared item by item; other top-level values count once. Metadata is ignored.
+ */
+export function countChanges(before, after) {
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+  keys.delete('metadata');
+  let changes = 0;
+  keys.forEach((key) => {
+    const a = before?.[key];
+    const b = after?.[key];
+    if (Array.isArray(a) && Array.isArray(b)) {
+      const length = Math.max(a.length, b.length);
+      for (let i = 0; i < length; i++) {
+        if (JSON.stringify(a[i]) !== JSON.stringify(b[i])) changes++;
+      }
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      changes++;
+    }
+  });
+  return changes;
+}
+
+/**
+ * Run the pending steps of a registry on a copy of `data`.
+ *
+ * @param {Object} data
+ * @param {Array<MigrationStep>} migrations
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Only count changes; `data` in the
+ *   result is then the unchanged input copy
+ * @returns {{ data:Object, fromVersion:string, toVersion:string, dryRun:boolean,
+ *   unknownVersion:boolean, steps:Array<{ id, name, from, to, changes }> }}
+ */
+export function runMigrations(data, migrations, { dryRun = false } = {}) {
+  const original = JSON.parse(JSON.stringify(data));
+  const plan = planMigrations(original, migrations);
+  const result = {
+    data: original,
+    fromVersion: plan.fromVersion,
+    toVersion: plan.fromVersion,
+    dryRun,
+    unknownVersion: plan.unknownVersion,
+    steps: [],
+  };
+  if (plan.steps.length === 0) return result;
+
+  const working = JSON.parse(JSON.stringify(original));
+  plan.steps.forEach((step) => {
+    const before = JSON.parse(JSON.stringify(working));
+    step.migrate(working);
+    result.steps.push({
+      id: step.id,
+      name: step.name,
+      from: step.from,
+      to: step.to,
+      changes: countChanges(before, working),
+    });
+  });
+  result.toVersion = latestSchemaVersion(plan.steps);
+  if (dryRun) return result;
+
+  const appliedAt = new Date().toISOString();
+  working.metadata = {
+    ...(working.metadata || {}),
+    schemaVersion: result.toVersion,
+    migrations: [
+      ...(working.metadata?.migrations || []),
+      ...result.steps.map((step) => ({ ...step, appliedAt })),
+    ],
+  };
+  result.data = working;
+  return result;
+}
+
+/**
+ * Write a backup of `original`, then save `migrated` as the data file. The data file
+ * is left untouched when the backup cannot be written.
+ *
+ * @param {Object} fileService - { writeNamedFile(name, data), writeFile(data), pruneBackups? }
+ * @param {Object} original - Data before migration
+ * @param {Object} migrated - Data to save
+ * @returns {Promise<{ backupName:string, written:boolean }>}
+ * @throws {Error} name 'MigrationError' when the backup cannot be written
+ */
+export async function writeWithBackup(fileService, original, migrated) {
+  const backupName = backupFileName();
+  if (!(await fileService.writeNamedFile(backupName, original))) {
+    const error = new Error(`Could not write backup ${backupName}`);
+    error.name = 'MigrationError';
+    throw error;
+  }
+  const written = !!(await fileService.writeFile(migrated));
+  await fileService.pruneBackups?.();
+  return { backupName, written };
+}
+
+/**
+ * Migrate `data` and save it through the file service, writing a backup of the
+ * unmigrated data first. Nothing is written for a dry run or when no step is pending.
+ *
+ * @param {Object} fileService - See writeWithBackup()
+ * @param {Object} data
+ * @param {Array<MigrationStep>} migrations
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false]
+ * @returns {Promise<Object>} runMigrations() result plus { backupName, written }
+ * @throws {Error} name 'MigrationError' when the backup cannot be written
+ */
+export async function applyMigrations(
+  fileService,
+  data,
+  migrations,
+  { dryRun = false } = {},
+) {
+  const result = runMigrations(data, migrations, { dryRun });
+  if (dryRun || result.steps.length === 0) {
+    return { ...result, backupName: null, written: false };
+  }
+  return {
+    ...result,
+    ...(await writeWithBackup(fileService, data, result.data)),
+  };
+}
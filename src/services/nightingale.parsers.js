@@ -78,6 +78,14 @@ class NightingaleParsers {
       ? balanceLine.match(/Balance as of .* - (.*)/)
       : null;
 
+    // Date the balance was reported as of (MM/DD/YYYY → YYYY-MM-DD)
+    const balanceDateMatch = balanceLine
+      ? balanceLine.match(/Balance as of (\d{1,2})\/(\d{1,2})\/(\d{4})/i)
+      : null;
+    const balanceDate = balanceDateMatch
+      ? `${balanceDateMatch[3]}-${balanceDateMatch[1].padStart(2, '0')}-${balanceDateMatch[2].padStart(2, '0')}`
+      : null;
+
     let accountNumber = accountNumberMatch
       ? accountNumberMatch[1].trim()
       : 'N/A';
@@ -98,6 +106,7 @@ class NightingaleParsers {
       value: balanceMatch
         ? parseFloat(balanceMatch[1].replace(/[^0-9.-]/g, '')) || 0
         : 0,
+      balanceDate,
       verificationStatus: 'Verified', // Data from AVS is considered verified
       source: `AVS as of ${today}`,
     };
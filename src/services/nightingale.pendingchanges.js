@@ -0,0 +1,192 @@
+/**
+ * Nightingale CMS Pending Changes Buffer
+ *
+ * Holds the latest unsaved dataset while the storage location cannot be written
+ * (e.g. directory permission lost after a browser restart), together with how many
+ * changes it contains and the data file it was based on. AutosaveFileService flushes
+ * it once permission is granted again, checking the file on disk for conflicts first.
+ *
+ * Only the latest dataset is kept (each change replaces it); the base file snapshot
+ * is captured when buffering starts so a later flush can tell whether the data file
+ * changed meanwhile.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+export const PENDING_VERSION = 1;
+
+/**
+ * IndexedDB store with a single record. Every method resolves (never rejects)
+ * so buffering cannot break editing.
+ */
+export class IndexedDBPendingStore {
+  constructor({
+    dbName = 'NightingalePending',
+    storeName = 'buffer',
+    key = 'latest',
+  } = {}) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.key = key;
+  }
+
+  isAvailable() {
+    return typeof indexedDB !== 'undefined' && !!indexedDB?.open;
+  }
+
+  open() {
+    return new Promise((resolve) => {
+      if (!this.isAvailable()) {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(this.dbName, 1);
+      request.onerror = () => resolve(null);
+      request.onsuccess = () => resolve(request.result);
+      request.onupgradeneeded = (e) => {
+        e.target.result.createObjectStore(this.storeName);
+      };
+    });
+  }
+
+  async run(mode, fn, fallback) {
+    const db = await this.open();
+    if (!db) return fallback;
+    return new Promise((resolve) => {
+      try {
+        const store = db
+          .transaction(this.storeName, mode)
+          .objectStore(this.storeName);
+        const request = fn(store);
+        request.onsuccess = () => resolve(request.result ?? fallback);
+        request.onerror = () => resolve(fallback);
+      } catch (_) {
+        resolve(fallback);
+      }
+    });
+  }
+
+  async get() {
+    return this.run('readonly', (s) => s.get(this.key), null);
+  }
+
+  async put(record) {
+    const key = await this.run(
+      'readwrite',
+      (s) => s.put(record, this.key),
+      null,
+    );
+    return key != null;
+  }
+
+  async clear() {
+    await this.run('readwrite', (s) => s.delete(this.key), null);
+    return true;
+  }
+}
+
+/**
+ * Latest unsaved dataset plus change count, persisted across sessions.
+ */
+class PendingChangesBuffer {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.store] - { get, put, clear } record store
+   * @param {Object} [options.codec] - { encode(text), decode(text) } async codec
+   */
+  constructor({ store = new IndexedDBPendingStore(), codec = null } = {}) {
+    this.store = store;
+    this.codec = codec;
+    // { count, since, updatedAt } of the stored record, null when empty
+    this.summary = null;
+    // Writes run one at a time, in call order
+    this.queue = Promise.resolve();
+  }
+
+  enqueue(task) {
+    const run = this.queue.then(task, task);
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  /**
+   * Read the stored summary (call once at startup).
+   * @returns {Promise<{ count:number, since:number, updatedAt:number }|null>}
+   */
+  async restore() {
+    const record = await this.store.get();
+    this.summary = record
+      ? {
+          count: record.count,
+          since: record.since,
+          updatedAt: record.updatedAt,
+        }
+      : null;
+    return this.getSummary();
+  }
+
+  getSummary() {
+    return this.summary ? { ...this.summary } : null;
+  }
+
+  /**
+   * Replace the buffered dataset with `data` and count one more change.
+   * @param {Object} data - Latest dataset
+   * @param {Object} [options]
+   * @param {Object} [options.base] - Data file snapshot ({ lastModified, hash, contents })
+   *   the changes started from; kept from the first buffered change
+   * @returns {Promise<{ count, since, updatedAt }|null>} null when not stored
+   */
+  add(data, { base = null } = {}) {
+    return this.enqueue(async () => {
+      const previous = await this.store.get();
+      const now = Date.now();
+      const text = JSON.stringify(data);
+      const record = {
+        v: PENDING_VERSION,
+        count: (previous?.count || 0) + 1,
+        since: previous?.since || now,
+        updatedAt: now,
+        base: previous ? previous.base : base,
+        data: this.codec ? await this.codec.encode(text) : text,
+      };
+      if (!(await this.store.put(record))) return null;
+      this.summary = {
+        count: record.count,
+        since: record.since,
+        updatedAt: record.updatedAt,
+      };
+      return this.getSummary();
+    });
+  }
+
+  /**
+   * The buffered dataset, or null when empty.
+   * Throws when the record cannot be decoded (e.g. sealed with a key this
+   * session does not hold yet).
+   * @returns {Promise<{ data:Object, count:number, since:number, base:Object|null }|null>}
+   */
+  async load() {
+    await this.queue;
+    const record = await this.store.get();
+    if (!record) return null;
+    const text = this.codec
+      ? await this.codec.decode(record.data)
+      : record.data;
+    return {
+      data: JSON.parse(text),
+      count: record.count,
+      since: record.since,
+      base: record.base || null,
+    };
+  }
+
+  clear() {
+    if (!this.summary) return Promise.resolve(false);
+    this.summary = null;
+    return this.enqueue(() => this.store.clear());
+  }
+}
+
+export default PendingChangesBuffer;
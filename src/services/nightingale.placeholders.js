@@ -9,6 +9,7 @@
  * - Dynamic placeholder replacement with {Placeholder} syntax
  * - Date formatting integration with NightingaleDayJS
  * - Person and organization data processing
+ * - Missing required documents from the case's document checklist
  * - Custom replacement support
  * - Comprehensive error handling and input validation
  *
@@ -17,6 +18,8 @@
  */
 
 import NightingaleDayJS from './nightingale.dayjs.js';
+import { missingDocuments } from './nightingale.checklists.js';
+import { monthlyTotal, resourceTotal } from './nightingale.financials.js';
 
 /**
  * Placeholder Processing Service
@@ -143,6 +146,11 @@ class NightingalePlaceholders {
       TotalExpensesFormatted:
         this._formatCurrency(this._getTotalExpenses(activeCase)) || '',
 
+      // Document checklist: required documents still pending, one per line
+      MissingDocuments: missingDocuments(activeCase?.documentChecklist)
+        .map((entry) => `- ${entry.name}`)
+        .join('\n'),
+
       // Custom replacements (override any defaults)
       ...customReplacements,
     };
@@ -296,40 +304,25 @@ class NightingalePlaceholders {
    * @returns {number} Total assets
    */
   _getTotalAssets(activeCase) {
-    if (!activeCase?.financials?.resources) return 0;
-
-    return activeCase.financials.resources.reduce((total, resource) => {
-      const value = parseFloat(resource.value) || 0;
-      return total + value;
-    }, 0);
+    return resourceTotal(activeCase?.financials?.resources);
   }
 
   /**
-   * Calculate total income from case financial data
+   * Calculate monthly income from case financial data (one-time items excluded)
    * @param {Object} activeCase - Case object
-   * @returns {number} Total income
+   * @returns {number} Total monthly income
    */
   _getTotalIncome(activeCase) {
-    if (!activeCase?.financials?.income) return 0;
-
-    return activeCase.financials.income.reduce((total, income) => {
-      const value = parseFloat(income.value) || 0;
-      return total + value;
-    }, 0);
+    return monthlyTotal(activeCase?.financials?.income);
   }
 
   /**
-   * Calculate total expenses from case financial data
+   * Calculate monthly expenses from case financial data (one-time items excluded)
    * @param {Object} activeCase - Case object
-   * @returns {number} Total expenses
+   * @returns {number} Total monthly expenses
    */
   _getTotalExpenses(activeCase) {
-    if (!activeCase?.financials?.expenses) return 0;
-
-    return activeCase.financials.expenses.reduce((total, expense) => {
-      const value = parseFloat(expense.value) || 0;
-      return total + value;
-    }, 0);
+    return monthlyTotal(activeCase?.financials?.expenses);
   }
 
   /**
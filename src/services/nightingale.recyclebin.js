@@ -0,0 +1,348 @@
+/**
+ * Nightingale CMS Recycle Bin
+ *
+ * Soft delete for cases, people, organizations, VR requests, financial items and
+ * notes. A deleted record stays in the dataset with `deletedAt` / `deletedBy` and is
+ * hidden from normal views (see activeRecords()); it can be restored or purged
+ * (removed for good) from the Recycle Bin in Settings.
+ *
+ * Top-level deletes follow the relationship map in nightingale.integrity.js: `deny`
+ * still refuses the delete, records that would be deleted in cascade are moved to the
+ * bin with it (`deletedWith` names the record they belong to) and are restored with
+ * it. References are only cleared when the record is purged.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { ensureStringId } from './nightingale.datamanagement.js';
+import {
+  RELATIONSHIPS,
+  assertDeletable,
+  deleteRecord,
+  describeRecord,
+  previewDelete,
+} from './nightingale.integrity.js';
+
+export const DEFAULT_RETENTION_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Top-level collections that can be soft deleted
+export const RECYCLABLE_COLLECTIONS = [
+  'cases',
+  'people',
+  'organizations',
+  'vrRequests',
+  'tasks',
+  'attachments',
+];
+
+// Lists inside a case: financial groups and notes
+const CASE_ITEM_LISTS = {
+  resources: 'financialItems',
+  income: 'financialItems',
+  expenses: 'financialItems',
+  notes: 'notes',
+};
+
+const sameId = (a, b) =>
+  a != null && b != null && ensureStringId(a) === ensureStringId(b);
+
+const recordKey = (collection, id) => `${collection}:${ensureStringId(id)}`;
+
+/**
+ * Whether a record is in the recycle bin
+ * @param {Object} record
+ * @returns {boolean}
+ */
+export function isDeleted(record) {
+  return !!record?.deletedAt;
+}
+
+/**
+ * Records that are not in the recycle bin (for normal views)
+ * @param {Array} list
+ * @returns {Array}
+ */
+export function activeRecords(list) {
+  return (Array.isArray(list) ? list : []).filter(
+    (record) => record && !isDeleted(record),
+  );
+}
+
+/**
+ * Copy of `record` marked as deleted
+ * @param {Object} record
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Worker name
+ * @param {string} [options.timestamp] - ISO time (defaults to now)
+ * @param {string} [options.deletedWith] - Key of the record it was deleted with
+ * @returns {Object}
+ */
+export function markDeleted(record, options = {}) {
+  const { actor = null, timestamp = new Date().toISOString() } = options;
+  return {
+    ...record,
+    deletedAt: timestamp,
+    deletedBy: actor || null,
+    ...(options.deletedWith ? { deletedWith: options.deletedWith } : {}),
+  };
+}
+
+function unmark(record) {
+  const { deletedAt, deletedBy, deletedWith, ...rest } = record; // eslint-disable-line no-unused-vars
+  return rest;
+}
+
+function findRecord(data, collection, id) {
+  return (data?.[collection] || []).find((item) => sameId(item?.id, id));
+}
+
+/**
+ * previewDelete() for a soft delete: records already in the bin are left out.
+ * @returns {Object} previewDelete() impact
+ */
+export function previewSoftDelete(
+  data,
+  collection,
+  id,
+  { relationships = RELATIONSHIPS } = {},
+) {
+  const impact = previewDelete(data, collection, id, { relationships });
+  return {
+    ...impact,
+    cascaded: impact.cascaded.filter(
+      (entry) => !isDeleted(findRecord(data, entry.collection, entry.id)),
+    ),
+  };
+}
+
+/**
+ * Move a top-level record, and the records deleted in cascade with it, to the bin.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {string} collection - One of RECYCLABLE_COLLECTIONS
+ * @param {string|number} id
+ * @param {Object} [options] - markDeleted() options plus `relationships`
+ * @returns {{ data:Object, impact:Object }}
+ * @throws {Error} name 'IntegrityError' when the delete is refused (see assertDeletable)
+ */
+export function softDeleteRecord(data, collection, id, options = {}) {
+  const impact = previewSoftDelete(data, collection, id, options);
+  assertDeletable(impact, collection, id);
+
+  const rootKey = recordKey(collection, impact.target.id);
+  const dependents = new Set(
+    impact.cascaded.map((entry) => recordKey(entry.collection, entry.id)),
+  );
+  const next = { ...data };
+  new Set([collection, ...impact.cascaded.map((e) => e.collection)]).forEach(
+    (name) => {
+      next[name] = (data[name] || []).map((item) => {
+        const key = recordKey(name, item?.id);
+        if (key === rootKey) return markDeleted(item, options);
+        if (dependents.has(key)) {
+          return markDeleted(item, { ...options, deletedWith: rootKey });
+        }
+        return item;
+      });
+    },
+  );
+  return { data: next, impact };
+}
+
+/**
+ * One-line summary of a soft delete, e.g.
+ * "Case MCN 1001 moved to the Recycle Bin (with 1 related record)"
+ * @param {Object} impact - softDeleteRecord() impact
+ * @returns {string}
+ */
+export function describeSoftDelete(impact) {
+  const count = impact.cascaded.length;
+  return `${impact.target.label} moved to the Recycle Bin${
+    count ? ` (with ${count} related record${count === 1 ? '' : 's'})` : ''
+  }`;
+}
+
+/**
+ * Everything in the recycle bin, newest first. Records deleted together with
+ * another one are counted as its `children` rather than listed.
+ *
+ * @param {Object} data
+ * @returns {Array<{ key, collection, id, caseId?, list?, label, parentLabel?,
+ *   deletedAt, deletedBy, children:number }>}
+ */
+export function listDeleted(data) {
+  const entries = [];
+  const children = new Map();
+  RECYCLABLE_COLLECTIONS.forEach((collection) => {
+    (data?.[collection] || []).forEach((record) => {
+      if (!isDeleted(record)) return;
+      if (record.deletedWith) {
+        children.set(
+          record.deletedWith,
+          (children.get(record.deletedWith) || 0) + 1,
+        );
+        return;
+      }
+      entries.push({
+        key: recordKey(collection, record.id),
+        collection,
+        id: record.id,
+        label: describeRecord(collection, record),
+        deletedAt: record.deletedAt,
+        deletedBy: record.deletedBy || null,
+      });
+    });
+  });
+  (data?.cases || []).forEach((caseItem) => {
+    Object.entries(CASE_ITEM_LISTS).forEach(([list, collection]) => {
+      const items =
+        list === 'notes' ? caseItem.notes : caseItem.financials?.[list];
+      (Array.isArray(items) ? items : []).forEach((item) => {
+        if (!isDeleted(item)) return;
+        entries.push({
+          key: `cases:${ensureStringId(caseItem.id)}:${list}:${ensureStringId(item.id)}`,
+          collection,
+          id: item.id,
+          caseId: caseItem.id,
+          list,
+          label:
+            collection === 'notes'
+              ? `${item.category || 'Note'}: ${String(item.text || '').slice(0, 40)}`
+              : item.description || item.type || `Item ${item.id}`,
+          parentLabel: describeRecord('cases', caseItem),
+          deletedAt: item.deletedAt,
+          deletedBy: item.deletedBy || null,
+        });
+      });
+    });
+  });
+  return entries
+    .map((entry) => ({ ...entry, children: children.get(entry.key) || 0 }))
+    .sort((a, b) => String(b.deletedAt).localeCompare(String(a.deletedAt)));
+}
+
+// Apply `update` to the list item an entry of a case item points at
+function updateCaseItem(data, entry, update) {
+  return {
+    ...data,
+    cases: data.cases.map((caseItem) => {
+      if (!sameId(caseItem.id, entry.caseId)) return caseItem;
+      if (entry.list === 'notes') {
+        return { ...caseItem, notes: update(caseItem.notes || []) };
+      }
+      return {
+        ...caseItem,
+        financials: {
+          ...caseItem.financials,
+          [entry.list]: update(caseItem.financials?.[entry.list] || []),
+        },
+      };
+    }),
+  };
+}
+
+/**
+ * Take an entry of listDeleted() out of the bin, with the records deleted with it.
+ * @param {Object} data - Dataset (not mutated)
+ * @param {Object} entry - listDeleted() entry
+ * @returns {Object} Updated dataset
+ */
+export function restoreDeleted(data, entry) {
+  if (entry.caseId != null) {
+    return updateCaseItem(data, entry, (items) =>
+      items.map((item) => (sameId(item?.id, entry.id) ? unmark(item) : item)),
+    );
+  }
+  const next = { ...data };
+  RECYCLABLE_COLLECTIONS.forEach((collection) => {
+    if (!Array.isArray(data[collection])) return;
+    const touched = data[collection].some(
+      (item) =>
+        recordKey(collection, item?.id) === entry.key ||
+        item?.deletedWith === entry.key,
+    );
+    if (!touched) return;
+    next[collection] = data[collection].map((item) =>
+      recordKey(collection, item?.id) === entry.key ||
+      item?.deletedWith === entry.key
+        ? unmark(item)
+        : item,
+    );
+  });
+  return next;
+}
+
+/**
+ * Remove an entry of listDeleted() for good. Top-level records go through
+ * deleteRecord(), so references to them are cleared and cascades applied.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {Object} entry - listDeleted() entry
+ * @param {Object} [options]
+ * @param {Array} [options.relationships]
+ * @returns {Object} Updated dataset
+ * @throws {Error} name 'IntegrityError' when another record still depends on it
+ */
+export function purgeDeleted(data, entry, { relationships } = {}) {
+  if (entry.caseId != null) {
+    return updateCaseItem(data, entry, (items) =>
+      items.filter((item) => !sameId(item?.id, entry.id)),
+    );
+  }
+  return deleteRecord(data, entry.collection, entry.id, { relationships }).data;
+}
+
+/**
+ * Entries deleted longer ago than the retention period
+ * @param {Object} data
+ * @param {number} [retentionDays]
+ * @param {number} [now] - Epoch ms
+ * @returns {Array<Object>} listDeleted() entries
+ */
+export function expiredEntries(
+  data,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  now = Date.now(),
+) {
+  const cutoff = now - retentionDays * DAY_MS;
+  return listDeleted(data).filter(
+    (entry) => Date.parse(entry.deletedAt) < cutoff,
+  );
+}
+
+/**
+ * Purge every expired entry. Entries another record still depends on are skipped.
+ * @returns {{ data:Object, purged:Array<Object>, skipped:Array<Object> }}
+ */
+export function purgeExpired(
+  data,
+  retentionDays = DEFAULT_RETENTION_DAYS,
+  now = Date.now(),
+) {
+  let next = data;
+  const purged = [];
+  const skipped = [];
+  expiredEntries(data, retentionDays, now).forEach((entry) => {
+    try {
+      next = purgeDeleted(next, entry);
+      purged.push(entry);
+    } catch (error) {
+      if (error.name !== 'IntegrityError') throw error;
+      skipped.push(entry);
+    }
+  });
+  return { data: next, purged, skipped };
+}
+
+export default {
+  isDeleted,
+  activeRecords,
+  softDeleteRecord,
+  listDeleted,
+  restoreDeleted,
+  purgeDeleted,
+  purgeExpired,
+};
@@ -0,0 +1,466 @@
+/**
+ * Nightingale CMS Renewals (Redetermination)
+ *
+ * An approved case is certified for a period (12 months by default, configurable
+ * per case type in Settings → Renewals). Each case records its periods in
+ * `certificationPeriods` ({ id, start, end } as YYYY-MM-DD, the first one starting
+ * on `approvedDate`) and the renewal due date is the end of the current period.
+ *
+ * `leadDays` before that date a renewal starts (applyRenewalCycle, run by the app
+ * after loading and hourly; or by hand from the case):
+ *   - a renewal record is added to the case's `renewals` history
+ *   - the case gets a fresh document checklist of its case type
+ *   - "Send renewal packet" and "Renewal due" tasks are added
+ *   - every financial item is flagged `needsReverification`
+ * Completing a renewal as renewed starts the next certification period and clears
+ * the flags; completing it as not renewed ends the cycle.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { dayjs } from './nightingale.dayjs.js';
+import {
+  ensureStringId,
+  generateSecureId,
+} from './nightingale.datamanagement.js';
+import { isDeleted } from './nightingale.recyclebin.js';
+import { describeRecord } from './nightingale.integrity.js';
+import {
+  checklistTemplate,
+  createChecklist,
+} from './nightingale.checklists.js';
+import { addTask, createTask, isOpenTask } from './nightingale.tasks.js';
+import { currentCaseWorkflow, isActiveStatus } from './nightingale.workflow.js';
+import { getRenewalSettings } from './settings.js';
+
+const DATE_FORMAT = 'YYYY-MM-DD';
+const FINANCIAL_GROUPS = ['resources', 'income', 'expenses'];
+
+/** Renewal outcomes with their display names */
+export const RENEWAL_OUTCOMES = {
+  renewed: 'Renewed',
+  'not-renewed': 'Not renewed',
+};
+
+function renewalError(message) {
+  const error = new Error(message);
+  error.name = 'RenewalError';
+  return error;
+}
+
+const toDay = (value) => {
+  if (!value) return null;
+  const date = dayjs(value);
+  return date.isValid() ? date.startOf('day') : null;
+};
+
+const today = () => dayjs().format(DATE_FORMAT);
+
+const sameId = (a, b) =>
+  a != null && b != null && ensureStringId(a) === ensureStringId(b);
+
+/**
+ * Certification period length in months for a case type
+ * @param {string} caseType
+ * @param {Object} [config] - Settings renewals
+ * @returns {number}
+ */
+export function certificationMonths(caseType, config = getRenewalSettings()) {
+  const months = Number(
+    config?.byCaseType?.[caseType] ?? config?.defaultMonths,
+  );
+  return Number.isInteger(months) && months > 0 ? months : 12;
+}
+
+/**
+ * A certification period starting on a date
+ * @param {string} start - YYYY-MM-DD (or any date dayjs parses)
+ * @param {number} months
+ * @returns {{ id:string, start:string, end:string }}
+ */
+export function createCertificationPeriod(start, months) {
+  const startDay = toDay(start);
+  if (!startDay) throw renewalError(`Invalid certification start: ${start}`);
+  return {
+    id: generateSecureId('cert'),
+    start: startDay.format(DATE_FORMAT),
+    end: startDay.add(months, 'month').subtract(1, 'day').format(DATE_FORMAT),
+  };
+}
+
+/**
+ * Latest certification period of a case
+ * @param {Object} caseItem
+ * @returns {Object|null}
+ */
+export function currentCertification(caseItem) {
+  const periods = [...(caseItem?.certificationPeriods || [])].sort((a, b) =>
+    a.start < b.start ? -1 : 1,
+  );
+  return periods[periods.length - 1] || null;
+}
+
+/**
+ * Renewal of a case not completed yet
+ * @param {Object} caseItem
+ * @returns {Object|null}
+ */
+export function openRenewal(caseItem) {
+  return (caseItem?.renewals || []).find((r) => !r.completedDate) || null;
+}
+
+/**
+ * Case with its first certification period, starting on `approvedDate`
+ * (unchanged when it already has one or was never approved)
+ * @param {Object} caseItem - Not mutated
+ * @param {Object} [options] - { config, start (defaults to approvedDate) }
+ * @returns {Object}
+ */
+export function ensureCertification(caseItem, options = {}) {
+  const { config = getRenewalSettings() } = options;
+  const start = options.start || caseItem?.approvedDate;
+  if (!caseItem || currentCertification(caseItem) || !toDay(start)) {
+    return caseItem;
+  }
+  return {
+    ...caseItem,
+    certificationPeriods: [
+      createCertificationPeriod(
+        start,
+        certificationMonths(caseItem.caseType, config),
+      ),
+    ],
+  };
+}
+
+/**
+ * Renewal state of a case
+ * @param {Object} caseItem
+ * @param {Object} [options] - { today (YYYY-MM-DD), config }
+ * @returns {{ period:Object, dueDate:string, startDate:string, daysLeft:number,
+ *   renewal:Object|null, completed:Object|null, due:boolean }|null} null without a
+ *   certification period. `renewal` is the renewal in progress, `completed` the
+ *   finished renewal of this period; `due` is true once the lead time is reached
+ *   and neither exists.
+ */
+export function renewalStatus(caseItem, options = {}) {
+  const { config = getRenewalSettings() } = options;
+  const period = currentCertification(caseItem);
+  if (!period) return null;
+  const day = toDay(options.today || today());
+  const dueDay = toDay(period.end);
+  const startDay = dueDay.subtract(Number(config.leadDays) || 0, 'day');
+  const renewal = openRenewal(caseItem);
+  const completed =
+    (caseItem.renewals || []).find(
+      (r) => r.dueDate === period.end && r.completedDate,
+    ) || null;
+  return {
+    period,
+    dueDate: period.end,
+    startDate: startDay.format(DATE_FORMAT),
+    daysLeft: dueDay.diff(day, 'day'),
+    renewal,
+    completed,
+    due: !renewal && !completed && !day.isBefore(startDay),
+  };
+}
+
+const flagFinancials = (financials, flag) => {
+  if (!financials) return financials;
+  const next = { ...financials };
+  FINANCIAL_GROUPS.forEach((group) => {
+    if (!Array.isArray(financials[group])) return;
+    next[group] = financials[group].map((item) => {
+      if (!item || isDeleted(item)) return item;
+      if (flag) return { ...item, needsReverification: true };
+      if (!item.needsReverification) return item;
+      const { needsReverification, ...rest } = item; // eslint-disable-line no-unused-vars
+      return rest;
+    });
+  });
+  return next;
+};
+
+const replaceCase = (data, caseItem) => ({
+  ...data,
+  cases: (data.cases || []).map((item) =>
+    sameId(item?.id, caseItem.id) ? caseItem : item,
+  ),
+});
+
+const findCase = (data, caseId) => {
+  const caseItem = (data?.cases || []).find((item) => sameId(item?.id, caseId));
+  if (!caseItem) throw renewalError(`No case with id ${caseId}`);
+  return caseItem;
+};
+
+/**
+ * Start the renewal of a case's current certification period.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {string|number} caseId
+ * @param {Object} [options] - { today (YYYY-MM-DD), actor }
+ * @returns {{ data:Object, renewal:Object }}
+ * @throws {Error} name 'RenewalError' when the case has no certification period or
+ *   a renewal is already in progress
+ */
+export function startRenewal(data, caseId, options = {}) {
+  const { actor = null } = options;
+  const day = options.today || today();
+  const caseItem = findCase(data, caseId);
+  const period = currentCertification(caseItem);
+  if (!period) {
+    throw renewalError(`${describeRecord('cases', caseItem)} is not certified`);
+  }
+  if (openRenewal(caseItem)) {
+    throw renewalError(
+      `${describeRecord('cases', caseItem)} already has a renewal in progress`,
+    );
+  }
+
+  const renewal = {
+    id: generateSecureId('renewal'),
+    dueDate: period.end,
+    startedDate: day,
+    completedDate: null,
+    outcome: null,
+  };
+  const template = checklistTemplate(data, caseItem.caseType);
+  const updated = {
+    ...caseItem,
+    renewals: [...(caseItem.renewals || []), renewal],
+    financials: flagFinancials(caseItem.financials, true),
+    ...(template.length > 0
+      ? { documentChecklist: createChecklist(caseItem.caseType, template) }
+      : {}),
+  };
+
+  const label = describeRecord('cases', caseItem);
+  const source = { rule: 'renewal', renewalId: renewal.id };
+  let next = replaceCase(data, updated);
+  next = addTask(
+    next,
+    createTask(
+      {
+        title: `Send renewal packet: ${label}`,
+        caseId: caseItem.id,
+        dueDate: day,
+        source,
+      },
+      { actor },
+    ),
+  );
+  next = addTask(
+    next,
+    createTask(
+      {
+        title: `Renewal due: ${label}`,
+        caseId: caseItem.id,
+        dueDate: period.end,
+        priority: 'High',
+        source,
+      },
+      { actor },
+    ),
+  );
+  return { data: next, renewal };
+}
+
+/**
+ * Complete a case's renewal in progress. A renewed case starts its next
+ * certification period the day after the current one ends.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {string|number} caseId
+ * @param {Object} [options] - { outcome ('renewed' | 'not-renewed'), today, actor,
+ *   config }
+ * @returns {Object} Updated dataset
+ * @throws {Error} name 'RenewalError' when no renewal is in progress or the
+ *   outcome is unknown
+ */
+export function completeRenewal(data, caseId, options = {}) {
+  const {
+    outcome = 'renewed',
+    actor = null,
+    config = getRenewalSettings(),
+  } = options;
+  const day = options.today || today();
+  if (!(outcome in RENEWAL_OUTCOMES)) {
+    throw renewalError(`Unknown renewal outcome: ${outcome}`);
+  }
+  const caseItem = findCase(data, caseId);
+  const renewal = openRenewal(caseItem);
+  if (!renewal) {
+    throw renewalError(
+      `${describeRecord('cases', caseItem)} has no renewal in progress`,
+    );
+  }
+
+  const period = currentCertification(caseItem);
+  const updated = {
+    ...caseItem,
+    renewals: caseItem.renewals.map((item) =>
+      item.id === renewal.id
+        ? { ...item, completedDate: day, outcome, completedBy: actor }
+        : item,
+    ),
+    financials: flagFinancials(caseItem.financials, false),
+  };
+  if (outcome === 'renewed') {
+    updated.certificationPeriods = [
+      ...(caseItem.certificationPeriods || []),
+      createCertificationPeriod(
+        toDay(period.end).add(1, 'day').format(DATE_FORMAT),
+        certificationMonths(caseItem.caseType, config),
+      ),
+    ];
+  }
+
+  // The renewal's reminders are done with it
+  const timestamp = new Date().toISOString();
+  return {
+    ...replaceCase(data, updated),
+    tasks: (data.tasks || []).map((task) =>
+      task?.source?.renewalId === renewal.id && isOpenTask(task)
+        ? {
+            ...task,
+            status: 'Done',
+            completedAt: timestamp,
+            completedBy: actor,
+          }
+        : task,
+    ),
+  };
+}
+
+/**
+ * Case with one financial item's re-verification flag cleared
+ * @param {Object} caseItem - Not mutated
+ * @param {string|number} itemId
+ * @returns {Object}
+ */
+export function markReverified(caseItem, itemId) {
+  const financials = { ...caseItem.financials };
+  FINANCIAL_GROUPS.forEach((group) => {
+    if (!Array.isArray(financials[group])) return;
+    financials[group] = financials[group].map((item) => {
+      if (!sameId(item?.id, itemId)) return item;
+      const { needsReverification, ...rest } = item; // eslint-disable-line no-unused-vars
+      return rest;
+    });
+  });
+  return { ...caseItem, financials };
+}
+
+/**
+ * Financial items of a case flagged for re-verification
+ * @param {Object} caseItem
+ * @returns {Array<Object>} Items with their `group`
+ */
+export function itemsToReverify(caseItem) {
+  return FINANCIAL_GROUPS.flatMap((group) =>
+    (caseItem?.financials?.[group] || [])
+      .filter((item) => item?.needsReverification && !isDeleted(item))
+      .map((item) => ({ ...item, group })),
+  );
+}
+
+const renewable = (caseItem, workflow) =>
+  !!caseItem &&
+  !isDeleted(caseItem) &&
+  isActiveStatus(workflow, caseItem.status);
+
+/**
+ * Give approved cases their first certification period and start the renewals
+ * whose lead time has been reached.
+ *
+ * @param {Object} data - Dataset (not mutated)
+ * @param {Object} [options] - { today, config, workflow, actor }
+ * @returns {{ data:Object, certified:Array<string>, started:Array<string> }}
+ *   Ids of the cases certified and of those whose renewal started; `data` is the
+ *   input itself when nothing changed
+ */
+export function applyRenewalCycle(data, options = {}) {
+  const {
+    config = getRenewalSettings(),
+    workflow = currentCaseWorkflow(),
+    actor = null,
+  } = options;
+  const day = options.today || today();
+  const certified = [];
+  const started = [];
+  let next = data;
+
+  (data?.cases || []).forEach((caseItem) => {
+    if (!renewable(caseItem, workflow)) return;
+    const withPeriod = ensureCertification(caseItem, { config });
+    if (withPeriod !== caseItem) {
+      next = replaceCase(next, withPeriod);
+      certified.push(ensureStringId(caseItem.id));
+    }
+    if (renewalStatus(withPeriod, { today: day, config })?.due) {
+      next = startRenewal(next, caseItem.id, { today: day, actor }).data;
+      started.push(ensureStringId(caseItem.id));
+    }
+  });
+  return { data: next, certified, started };
+}
+
+/**
+ * Renewals coming up, grouped by due month
+ * @param {Array<Object>} cases
+ * @param {Object} [options] - { today, config, workflow }
+ * @returns {{ overdue:Array, thisMonth:Array, nextMonth:Array }} Entries are
+ *   { caseItem, dueDate, daysLeft, renewal } sorted by due date
+ */
+export function upcomingRenewals(cases, options = {}) {
+  const { config = getRenewalSettings(), workflow = currentCaseWorkflow() } =
+    options;
+  const day = toDay(options.today || today());
+  const thisMonth = day.startOf('month');
+  const nextMonth = thisMonth.add(1, 'month');
+  const groups = { overdue: [], thisMonth: [], nextMonth: [] };
+
+  (Array.isArray(cases) ? cases : [])
+    .filter((caseItem) => renewable(caseItem, workflow))
+    .forEach((caseItem) => {
+      const status = renewalStatus(caseItem, {
+        today: day.format(DATE_FORMAT),
+        config,
+      });
+      if (!status || status.completed) return;
+      const entry = {
+        caseItem,
+        dueDate: status.dueDate,
+        daysLeft: status.daysLeft,
+        renewal: status.renewal,
+      };
+      const due = toDay(status.dueDate);
+      if (due.isBefore(day)) groups.overdue.push(entry);
+      else if (due.isSame(thisMonth, 'month')) groups.thisMonth.push(entry);
+      else if (due.isSame(nextMonth, 'month')) groups.nextMonth.push(entry);
+    });
+
+  Object.values(groups).forEach((list) =>
+    list.sort((a, b) => (a.dueDate < b.dueDate ? -1 : 1)),
+  );
+  return groups;
+}
+
+export default {
+  RENEWAL_OUTCOMES,
+  certificationMonths,
+  createCertificationPeriod,
+  currentCertification,
+  openRenewal,
+  ensureCertification,
+  renewalStatus,
+  startRenewal,
+  completeRenewal,
+  markReverified,
+  itemsToReverify,
+  applyRenewalCycle,
+  upcomingRenewals,
+};
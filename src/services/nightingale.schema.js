@@ -0,0 +1,498 @@
+/**
+ * Nightingale CMS Dataset Schema
+ *
+ * Versioned JSON Schema (draft 2020-12 subset) for the whole dataset stored in
+ * nightingale-data.json. Legacy fields are tolerated (objects stay open); the schema
+ * pins down ids, required fields, types and known value sets.
+ *
+ * Custom annotations used by `nightingale.validator.js`:
+ * - `x-severity` ('error' | 'warning'): severity of failures at and below that node
+ *   (default 'error')
+ * - `x-placeholder`: values filled in by normalizeDataMigrations when data was missing
+ *   ('Not specified', 'Unknown Person', ...); reported as warnings
+ * - `x-uniqueIds`: array items must have distinct `id` values
+ *
+ * Bump DATASET_SCHEMA_VERSION whenever the schema changes.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+export const DATASET_SCHEMA_VERSION = '1.10.0';
+
+const id = { type: ['string', 'number'], minLength: 1 };
+const date = { type: 'string', format: 'date-time' };
+const optionalDate = { type: ['string', 'null'], format: 'date-time' };
+const money = { type: 'number' };
+
+export const DATASET_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: `urn:nightingale-cms:dataset:${DATASET_SCHEMA_VERSION}`,
+  title: 'Nightingale CMS dataset',
+  version: DATASET_SCHEMA_VERSION,
+  type: 'object',
+  properties: {
+    metadata: { $ref: '#/$defs/metadata' },
+    cases: {
+      type: 'array',
+      items: { $ref: '#/$defs/case' },
+      'x-uniqueIds': true,
+    },
+    people: {
+      type: 'array',
+      items: { $ref: '#/$defs/person' },
+      'x-uniqueIds': true,
+    },
+    organizations: {
+      type: 'array',
+      items: { $ref: '#/$defs/organization' },
+      'x-uniqueIds': true,
+    },
+    vrTemplates: {
+      type: 'array',
+      items: { $ref: '#/$defs/vrTemplate' },
+      'x-uniqueIds': true,
+    },
+    vrCategories: { type: 'array' },
+    checklistTemplates: {
+      type: 'object',
+      additionalProperties: {
+        type: 'array',
+        items: { $ref: '#/$defs/checklistTemplateItem' },
+        'x-uniqueIds': true,
+      },
+    },
+    vrRequests: {
+      type: 'array',
+      items: { $ref: '#/$defs/vrRequest' },
+      'x-uniqueIds': true,
+    },
+    tasks: {
+      type: 'array',
+      items: { $ref: '#/$defs/task' },
+      'x-uniqueIds': true,
+    },
+    attachments: {
+      type: 'array',
+      items: { $ref: '#/$defs/attachment' },
+      'x-uniqueIds': true,
+    },
+    reportConfigs: {
+      type: 'array',
+      items: { $ref: '#/$defs/reportConfig' },
+      'x-uniqueIds': true,
+    },
+    contacts: { type: 'array' },
+    auditLog: {
+      type: 'array',
+      items: { $ref: '#/$defs/auditEntry' },
+      'x-uniqueIds': true,
+    },
+    nextCaseId: { $ref: '#/$defs/counter' },
+    nextPersonId: { $ref: '#/$defs/counter' },
+    nextOrganizationId: { $ref: '#/$defs/counter' },
+    nextFinancialItemId: { $ref: '#/$defs/counter' },
+    nextNoteId: { $ref: '#/$defs/counter' },
+    nextVrTemplateId: { $ref: '#/$defs/counter' },
+    nextVrRequestId: { $ref: '#/$defs/counter' },
+  },
+  $defs: {
+    counter: { type: 'integer', minimum: 1, 'x-severity': 'warning' },
+    metadata: {
+      type: 'object',
+      required: ['schemaVersion'],
+      properties: {
+        schemaVersion: { type: 'string', minLength: 1 },
+        version: { type: 'string' },
+      },
+    },
+    address: {
+      type: 'object',
+      'x-severity': 'warning',
+      properties: {
+        street: { type: 'string' },
+        city: { type: 'string' },
+        state: { type: 'string' },
+        zip: { type: 'string' },
+      },
+    },
+    financialItem: {
+      type: 'object',
+      required: ['id', 'amount'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        description: { type: 'string' },
+        type: { type: 'string' },
+        location: { type: 'string' },
+        accountNumber: { type: 'string' },
+        amount: money,
+        value: money,
+        frequency: {
+          enum: ['monthly', 'yearly', 'weekly', 'daily', 'one-time'],
+          'x-severity': 'warning',
+        },
+        owner: { type: 'string' },
+        verificationStatus: {
+          enum: ['Needs VR', 'VR Pending', 'AVS Pending', 'Verified'],
+          'x-severity': 'warning',
+        },
+        verificationSource: { type: 'string' },
+        needsReverification: { type: 'boolean' },
+        // Dated amounts, oldest first (nightingale.balancehistory.js)
+        balanceHistory: {
+          type: 'array',
+          items: { $ref: '#/$defs/balanceEntry' },
+          'x-uniqueIds': true,
+        },
+        dateAdded: date,
+      },
+    },
+    balanceEntry: {
+      type: 'object',
+      required: ['id', 'date', 'amount'],
+      properties: {
+        id,
+        date: { type: 'string', format: 'date' },
+        amount: money,
+        source: { type: 'string' },
+        verificationStatus: { type: 'string' },
+        recordedAt: date,
+        recordedBy: { type: ['string', 'null'] },
+      },
+    },
+    financialList: {
+      type: 'array',
+      items: { $ref: '#/$defs/financialItem' },
+      'x-uniqueIds': true,
+    },
+    note: {
+      type: 'object',
+      required: ['id', 'text'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        category: { type: 'string' },
+        text: { type: 'string' },
+        author: { type: 'string' },
+        createdAt: date,
+        timestamp: date,
+      },
+    },
+    case: {
+      type: 'object',
+      required: ['id', 'mcn', 'personId', 'status'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        mcn: { type: 'string', pattern: '^[0-9]+$', minLength: 1 },
+        personId: { type: 'string', minLength: 1 },
+        spouseId: { type: ['string', 'null'] },
+        organizationId: { type: ['string', 'null'] },
+        // Statuses come from the configurable case workflow (nightingale.workflow.js)
+        status: { type: 'string', 'x-severity': 'warning' },
+        approvedDate: optionalDate,
+        deniedDate: optionalDate,
+        closedDate: optionalDate,
+        denialReason: { type: 'string' },
+        closureReason: { type: 'string' },
+        reopenReason: { type: 'string' },
+        caseType: {
+          enum: ['LTC', 'Waiver', 'SIMP'],
+          'x-severity': 'warning',
+        },
+        applicationDate: optionalDate,
+        admissionDate: optionalDate,
+        createdDate: date,
+        updatedDate: date,
+        priority: { type: 'boolean' },
+        withWaiver: { type: 'boolean' },
+        retroRequested: { type: 'string' },
+        documentChecklist: {
+          type: 'object',
+          required: ['items'],
+          properties: {
+            caseType: { type: 'string' },
+            items: {
+              type: 'array',
+              items: { $ref: '#/$defs/checklistItem' },
+              'x-uniqueIds': true,
+            },
+          },
+        },
+        deadlineEvents: {
+          type: 'array',
+          items: { $ref: '#/$defs/deadlineEvent' },
+          'x-uniqueIds': true,
+        },
+        certificationPeriods: {
+          type: 'array',
+          items: { $ref: '#/$defs/certificationPeriod' },
+          'x-uniqueIds': true,
+        },
+        renewals: {
+          type: 'array',
+          items: { $ref: '#/$defs/renewal' },
+          'x-uniqueIds': true,
+        },
+        authorizedReps: { type: 'array' },
+        livingArrangement: {
+          type: 'string',
+          'x-placeholder': ['Not specified'],
+        },
+        organizationAddress: {
+          'x-placeholder': ['Not specified'],
+        },
+        financials: {
+          type: 'object',
+          required: ['resources', 'income', 'expenses'],
+          properties: {
+            resources: { $ref: '#/$defs/financialList' },
+            income: { $ref: '#/$defs/financialList' },
+            expenses: { $ref: '#/$defs/financialList' },
+          },
+        },
+        notes: {
+          type: 'array',
+          items: { $ref: '#/$defs/note' },
+          'x-uniqueIds': true,
+        },
+      },
+    },
+    person: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        name: {
+          type: 'string',
+          minLength: 1,
+          'x-placeholder': ['Unknown Person'],
+        },
+        firstName: { type: 'string' },
+        lastName: { type: 'string' },
+        dateOfBirth: { type: ['string', 'null'], 'x-severity': 'warning' },
+        ssn: {
+          type: 'string',
+          pattern: '^(\\d{3}-?\\d{2}-?\\d{4})?$',
+          'x-severity': 'warning',
+        },
+        email: { type: 'string' },
+        phone: { type: 'string' },
+        status: { type: 'string' },
+        organizationId: { type: ['string', 'null'] },
+        address: { $ref: '#/$defs/address' },
+        mailingAddress: { $ref: '#/$defs/address' },
+        authorizedRepIds: { type: 'array', items: id },
+        familyMembers: { type: 'array' },
+        dateAdded: date,
+      },
+    },
+    organization: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        name: {
+          type: 'string',
+          minLength: 1,
+          'x-placeholder': ['Unknown Organization'],
+        },
+        status: { type: 'string' },
+        phone: { type: 'string' },
+        email: { type: 'string' },
+        address: { $ref: '#/$defs/address' },
+        personnel: { type: 'array' },
+        dateAdded: date,
+      },
+    },
+    vrTemplate: {
+      type: 'object',
+      required: ['id', 'name', 'content'],
+      properties: {
+        id,
+        name: { type: 'string', minLength: 1 },
+        category: { type: 'string' },
+        content: { type: 'string' },
+        createdDate: date,
+        modifiedDate: date,
+      },
+    },
+    vrRequest: {
+      type: 'object',
+      required: ['id', 'caseId', 'status'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        title: { type: 'string' },
+        caseId: { type: 'string', minLength: 1 },
+        templateId: { type: ['string', 'number', 'null'] },
+        status: { type: 'string' },
+        content: { type: 'string' },
+        financialItems: { type: 'array' },
+        customReplacements: { type: 'object' },
+        createdDate: date,
+        modifiedDate: date,
+      },
+    },
+    checklistTemplateItem: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id,
+        name: { type: 'string', minLength: 1 },
+        required: { type: 'boolean' },
+      },
+    },
+    checklistItem: {
+      type: 'object',
+      required: ['id', 'name', 'status'],
+      properties: {
+        id,
+        name: { type: 'string', minLength: 1 },
+        required: { type: 'boolean' },
+        status: {
+          enum: ['pending', 'received', 'waived', 'not-applicable'],
+          'x-severity': 'warning',
+        },
+        receivedDate: { type: ['string', 'null'], format: 'date' },
+      },
+    },
+    deadlineEvent: {
+      type: 'object',
+      required: ['id', 'type'],
+      properties: {
+        id,
+        type: { enum: ['pause', 'extension'] },
+        start: { type: 'string', format: 'date' },
+        end: { type: ['string', 'null'], format: 'date' },
+        date: { type: 'string', format: 'date' },
+        days: { type: 'integer', minimum: 1 },
+        reason: { type: 'string' },
+      },
+    },
+    certificationPeriod: {
+      type: 'object',
+      required: ['id', 'start', 'end'],
+      properties: {
+        id,
+        start: { type: 'string', format: 'date' },
+        end: { type: 'string', format: 'date' },
+      },
+    },
+    renewal: {
+      type: 'object',
+      required: ['id', 'dueDate', 'startedDate'],
+      properties: {
+        id,
+        dueDate: { type: 'string', format: 'date' },
+        startedDate: { type: 'string', format: 'date' },
+        completedDate: { type: ['string', 'null'], format: 'date' },
+        outcome: {
+          enum: [null, 'renewed', 'not-renewed'],
+          'x-severity': 'warning',
+        },
+        completedBy: { type: ['string', 'null'] },
+      },
+    },
+    task: {
+      type: 'object',
+      required: ['id', 'title', 'status'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        title: { type: 'string', minLength: 1 },
+        caseId: { type: ['string', 'null'] },
+        dueDate: { type: ['string', 'null'], format: 'date' },
+        priority: { enum: ['Low', 'Normal', 'High'], 'x-severity': 'warning' },
+        assignee: { type: 'string' },
+        status: {
+          enum: ['Open', 'In Progress', 'Done', 'Cancelled'],
+          'x-severity': 'warning',
+        },
+        recurrence: {
+          enum: ['none', 'daily', 'weekly', 'monthly', 'yearly'],
+          'x-severity': 'warning',
+        },
+        notes: { type: 'string' },
+        source: { type: 'object' },
+        createdAt: date,
+        createdBy: { type: ['string', 'null'] },
+        completedAt: optionalDate,
+        completedBy: { type: ['string', 'null'] },
+      },
+    },
+    attachment: {
+      type: 'object',
+      required: ['id', 'caseId', 'entityType', 'entityId', 'name', 'path'],
+      properties: {
+        deletedAt: optionalDate,
+        id,
+        caseId: { type: 'string', minLength: 1 },
+        entityType: { enum: ['case', 'financialItem', 'vrRequest'] },
+        entityId: { type: 'string', minLength: 1 },
+        name: { type: 'string', minLength: 1 },
+        type: { type: 'string' },
+        size: { type: 'integer', minimum: 0 },
+        hash: { type: 'string', pattern: '^[0-9a-f]{64}$' },
+        path: { type: 'string', minLength: 1 },
+        uploadedAt: date,
+        uploadedBy: { type: ['string', 'null'] },
+      },
+    },
+    auditEntry: {
+      type: 'object',
+      required: [
+        'id',
+        'timestamp',
+        'source',
+        'entityType',
+        'entityId',
+        'action',
+      ],
+      'x-severity': 'warning',
+      properties: {
+        id,
+        timestamp: date,
+        actor: { type: ['string', 'null'] },
+        source: { type: 'string', minLength: 1 },
+        entityType: {
+          enum: [
+            'case',
+            'person',
+            'organization',
+            'financialItem',
+            'note',
+            'vrRequest',
+            'task',
+            'attachment',
+          ],
+        },
+        entityId: { type: 'string', minLength: 1 },
+        action: {
+          enum: [
+            'created',
+            'updated',
+            'deleted',
+            'restored',
+            'purged',
+            'merged',
+          ],
+        },
+        field: { type: ['string', 'null'] },
+      },
+    },
+    reportConfig: {
+      type: 'object',
+      required: ['id', 'name'],
+      properties: {
+        id,
+        name: { type: 'string', minLength: 1 },
+      },
+    },
+  },
+};
+
+export default DATASET_SCHEMA;
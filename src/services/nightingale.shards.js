@@ -0,0 +1,282 @@
+/**
+ * Nightingale CMS Sharded Storage Layout
+ *
+ * Splits the dataset into shard files so an autosave only rewrites what changed:
+ * - the data file holds a small manifest (shard file names, case order)
+ * - `people`, `organizations`, `templates`, `vrRequests`, `tasks`, `attachments` and
+ *   `audit` shards (attachment metadata only; the files live under `attachments/`)
+ * - `cases-NN` buckets (cases grouped by a hash of their id)
+ * - a `core` shard with every remaining top-level key (counters, UI flags)
+ *
+ * Shard files are copy-on-write: a changed shard is written under a new
+ * generation name and the manifest is written last, so the previous manifest
+ * stays readable until the new one lands. Files no longer referenced are
+ * removed after the manifest is committed.
+ *
+ * Joining the shards back yields the same `fullData` shape as the single-file layout.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { hashContent } from './nightingale.storage.base.js';
+
+export const SHARDED_FORMAT = 'nightingale-sharded';
+export const SHARDED_VERSION = 1;
+export const SHARD_PREFIX = 'nightingale-data.shard-';
+export const DEFAULT_CASE_BUCKETS = 16;
+
+// Top-level keys stored together in a named shard; other keys go to `core`
+export const SHARD_GROUPS = {
+  people: ['people'],
+  organizations: ['organizations'],
+  templates: ['vrTemplates', 'vrCategories', 'checklistTemplates'],
+  vrRequests: ['vrRequests'],
+  tasks: ['tasks'],
+  attachments: ['attachments'],
+  audit: ['auditLog'],
+};
+
+const GROUPED_KEYS = new Set(Object.values(SHARD_GROUPS).flat());
+
+/**
+ * Whether a parsed data file is a sharded-layout manifest
+ */
+export function isShardManifest(value) {
+  return (
+    !!value && typeof value === 'object' && value.format === SHARDED_FORMAT
+  );
+}
+
+/**
+ * Bucket index for a case id (stable across sessions)
+ */
+export function caseBucket(id, bucketCount = DEFAULT_CASE_BUCKETS) {
+  return parseInt(hashContent(String(id ?? '')), 16) % bucketCount;
+}
+
+export function bucketKey(index) {
+  return `cases-${String(index).padStart(2, '0')}`;
+}
+
+export function shardFileName(key, generation) {
+  return `${SHARD_PREFIX}${key}-${generation}.json`;
+}
+
+/**
+ * Split a dataset into shard values keyed by shard name.
+ * Cases are only bucketed when `cases` is an array; otherwise it stays in `core`.
+ *
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {number} [options.bucketCount]
+ * @returns {{ shards: Object<string, Object|Array>, caseOrder: Array|null }}
+ */
+export function splitIntoShards(
+  data,
+  { bucketCount = DEFAULT_CASE_BUCKETS } = {},
+) {
+  const shards = {};
+  const core = {};
+  const bucketCases = Array.isArray(data.cases);
+
+  Object.keys(data).forEach((key) => {
+    if (bucketCases && key === 'cases') return;
+    if (!GROUPED_KEYS.has(key)) core[key] = data[key];
+  });
+  shards.core = core;
+
+  Object.entries(SHARD_GROUPS).forEach(([name, keys]) => {
+    const present = keys.filter((key) => key in data);
+    if (present.length === 0) return;
+    shards[name] = Object.fromEntries(present.map((key) => [key, data[key]]));
+  });
+
+  if (!bucketCases) {
+    return { shards, caseOrder: null };
+  }
+  const buckets = [];
+  data.cases.forEach((caseItem) => {
+    const index = caseBucket(caseItem?.id, bucketCount);
+    (buckets[index] = buckets[index] || []).push(caseItem);
+  });
+  buckets.forEach((cases, index) => {
+    if (cases) shards[bucketKey(index)] = cases;
+  });
+  return { shards, caseOrder: data.cases.map((caseItem) => caseItem?.id) };
+}
+
+/**
+ * Rebuild the dataset from a manifest and its shard values (keyed by shard name)
+ */
+export function joinShards(manifest, values) {
+  const data = { ...(values.core || {}) };
+  Object.keys(SHARD_GROUPS).forEach((name) => {
+    Object.assign(data, values[name] || {});
+  });
+
+  if (Array.isArray(manifest.caseOrder)) {
+    const cases = Object.keys(values)
+      .filter((name) => name.startsWith('cases-'))
+      .sort()
+      .flatMap((name) => values[name]);
+    const position = new Map();
+    manifest.caseOrder.forEach((id, index) => {
+      if (!position.has(id)) position.set(id, index);
+    });
+    const rank = (caseItem) => position.get(caseItem?.id) ?? Infinity;
+    data.cases = cases
+      .map((caseItem, index) => ({ caseItem, index }))
+      .sort((a, b) => rank(a.caseItem) - rank(b.caseItem) || a.index - b.index)
+      .map(({ caseItem }) => caseItem);
+  }
+  return data;
+}
+
+/**
+ * Object identities a shard was built from; equal refs mean the shard is clean
+ * without serializing it (React state updates replace changed records only).
+ */
+function shardRefs(value) {
+  return Array.isArray(value) ? value.slice() : Object.entries(value).flat();
+}
+
+function sameRefs(a, b) {
+  return !!a && a.length === b.length && a.every((ref, i) => ref === b[i]);
+}
+
+/**
+ * Track a shard as read from or written to storage
+ * @returns {{ refs: Array, name: string, hash: string }}
+ */
+export function shardEntry(value, name, text) {
+  return { refs: shardRefs(value), name, hash: hashContent(text) };
+}
+
+/**
+ * Work out which shards must be written for `data`.
+ *
+ * @param {Object} data - Dataset to store
+ * @param {Object|null} previous - { generation, bucketCount, entries: Map } from the last read/write
+ * @param {Object} [options]
+ * @param {number} [options.bucketCount] - Used when there is no previous state
+ * @returns {{ manifest: Object, writes: Array<{ key, name, text }>, state: Object }}
+ */
+export function planShardWrite(data, previous = null, options = {}) {
+  const bucketCount =
+    previous?.bucketCount || options.bucketCount || DEFAULT_CASE_BUCKETS;
+  const generation = (previous?.generation || 0) + 1;
+  const before = previous?.entries || new Map();
+  const { shards, caseOrder } = splitIntoShards(data, { bucketCount });
+
+  const entries = new Map();
+  const writes = [];
+  Object.entries(shards).forEach(([key, value]) => {
+    const prior = before.get(key);
+    const refs = shardRefs(value);
+    if (sameRefs(prior?.refs, refs)) {
+      entries.set(key, prior);
+      return;
+    }
+    const text = JSON.stringify(value, null, 2);
+    const hash = hashContent(text);
+    if (prior && prior.hash === hash) {
+      entries.set(key, { ...prior, refs });
+      return;
+    }
+    const name = shardFileName(key, generation);
+    entries.set(key, { refs, name, hash });
+    writes.push({ key, name, text });
+  });
+
+  const manifest = {
+    format: SHARDED_FORMAT,
+    version: SHARDED_VERSION,
+    generation,
+    bucketCount,
+    caseOrder,
+    shards: Object.fromEntries(
+      [...entries].map(([key, entry]) => [key, entry.name]),
+    ),
+  };
+  return { manifest, writes, state: { generation, bucketCount, entries } };
+}
+
+/**
+ * Shard file names in `names` that `manifest` no longer references
+ */
+export function staleShardFiles(names, manifest) {
+  const keep = new Set(Object.values(manifest?.shards || {}));
+  return names.filter(
+    (name) => name.startsWith(SHARD_PREFIX) && !keep.has(name),
+  );
+}
+
+/**
+ * Convert a single-file dataset to the sharded layout.
+ * @returns {{ manifest: Object, files: Object<string, string> }} shard file texts by name
+ */
+export function toShardedLayout(data, options = {}) {
+  const { manifest, writes } = planShardWrite(data, null, options);
+  return {
+    manifest,
+    files: Object.fromEntries(writes.map(({ name, text }) => [name, text])),
+  };
+}
+
+/**
+ * Read a sharded layout: the dataset plus the shard state for dirty tracking.
+ * @param {Object} manifest
+ * @param {Object<string, string>} files - Shard file texts by name
+ * @returns {{ data: Object, state: { generation, bucketCount, entries: Map } }}
+ */
+export function loadShardedLayout(manifest, files) {
+  if (manifest.version > SHARDED_VERSION) {
+    throw new Error(`Unsupported sharded layout version: ${manifest.version}`);
+  }
+  const values = {};
+  Object.entries(manifest.shards).forEach(([key, name]) => {
+    if (typeof files[name] !== 'string') {
+      const error = new Error(`Missing shard file: ${name}`);
+      error.name = 'ShardError';
+      throw error;
+    }
+    values[key] = JSON.parse(files[name]);
+  });
+  const data = joinShards(manifest, values);
+
+  // Re-split so tracked refs are the objects in `data`
+  const bucketCount = manifest.bucketCount || DEFAULT_CASE_BUCKETS;
+  const entries = new Map();
+  Object.entries(splitIntoShards(data, { bucketCount }).shards).forEach(
+    ([key, value]) => {
+      const name = manifest.shards[key];
+      if (name) entries.set(key, shardEntry(value, name, files[name]));
+    },
+  );
+  return {
+    data,
+    state: { generation: manifest.generation || 0, bucketCount, entries },
+  };
+}
+
+/**
+ * Convert a sharded layout back to a single dataset
+ */
+export function fromShardedLayout(manifest, files) {
+  return loadShardedLayout(manifest, files).data;
+}
+
+export default {
+  SHARDED_FORMAT,
+  SHARDED_VERSION,
+  SHARD_PREFIX,
+  isShardManifest,
+  splitIntoShards,
+  joinShards,
+  planShardWrite,
+  staleShardFiles,
+  toShardedLayout,
+  loadShardedLayout,
+  fromShardedLayout,
+};
@@ -0,0 +1,182 @@
+/**
+ * Nightingale CMS Storage Adapter Interface
+ *
+ * Text-level storage used by AutosaveFileService. Every adapter stores named files
+ * (the primary data file, backups, the journal, bug reports) in one flat namespace:
+ * a picked folder, the Origin Private File System, IndexedDB or memory.
+ *
+ * Contract (all methods async unless noted):
+ * - read(name?)              → { contents, lastModified, size } | null when missing
+ * - write(contents)          → { lastModified } (primary data file)
+ * - writeNamed(name, text)   → { lastModified }
+ * - append(name, text)       → { lastModified }
+ * - list(prefix?)            → [{ name, size, lastModified }]
+ * - remove(name)             → true when removed
+ * - stat(name)               → { lastModified, size } | null
+ * - status()                 → { kind, label, permission, connected }
+ * - Binary files in sub-folders (attachments), where `supportsBlobs` is true; paths
+ *   are '/'-separated and relative to the storage root:
+ *   writeBlob(path, blob) → { lastModified }, readBlob(path) → Blob | null,
+ *   listBlobs(folder) → [{ path, size, lastModified }] (recursive), removeBlob(path)
+ * - connect() / restore() / requestPermission() / disconnect() for adapters that
+ *   need a user-granted location (File System Access); the others are always connected.
+ *
+ * I/O failures throw; a missing file is not a failure (read/stat return null).
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+/**
+ * FNV-1a 32-bit hash of file contents (hex). Synchronous and dependency free;
+ * used only to tell whether stored text still matches what we last saw.
+ */
+export function hashContent(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export class StorageAdapter {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.fileName] - Primary data file name
+   */
+  constructor({ fileName = 'nightingale-data.json' } = {}) {
+    this.fileName = fileName;
+  }
+
+  /** Adapter identifier stored in settings */
+  static get kind() {
+    return 'base';
+  }
+
+  /** Human-readable name for Settings */
+  static get label() {
+    return 'Storage';
+  }
+
+  /** Whether this browser can use the adapter (sync) */
+  static isSupported() {
+    return false;
+  }
+
+  get kind() {
+    return this.constructor.kind;
+  }
+
+  get label() {
+    return this.constructor.label;
+  }
+
+  isSupported() {
+    return this.constructor.isSupported();
+  }
+
+  /** Directory handle for directory-backed adapters, otherwise null */
+  get handle() {
+    return null;
+  }
+
+  async permission() {
+    return this.isSupported() ? 'granted' : 'unsupported';
+  }
+
+  async status() {
+    const permission = await this.permission();
+    return {
+      kind: this.kind,
+      label: this.label,
+      permission,
+      connected: permission === 'granted',
+    };
+  }
+
+  /** Silently re-open a previous connection. Returns { handle, permission } */
+  async restore() {
+    return { handle: this.handle, permission: await this.permission() };
+  }
+
+  /** Establish a connection (may prompt; call from a user gesture) */
+  async connect() {
+    return (await this.permission()) === 'granted';
+  }
+
+  async requestPermission() {
+    return (await this.permission()) === 'granted';
+  }
+
+  async disconnect() {}
+
+  async read(name = this.fileName) {
+    throw new Error(`${this.kind}: read(${name}) not implemented`);
+  }
+
+  async write(contents) {
+    return this.writeNamed(this.fileName, contents);
+  }
+
+  async writeNamed(name) {
+    throw new Error(`${this.kind}: writeNamed(${name}) not implemented`);
+  }
+
+  /** Default append: read-modify-write */
+  async append(name, text) {
+    const current = await this.read(name);
+    return this.writeNamed(name, `${current?.contents || ''}${text}`);
+  }
+
+  async list() {
+    return [];
+  }
+
+  async remove() {
+    return false;
+  }
+
+  async stat(name) {
+    const file = await this.read(name);
+    return file ? { lastModified: file.lastModified, size: file.size } : null;
+  }
+
+  /** Whether the adapter stores binary files in sub-folders */
+  get supportsBlobs() {
+    return false;
+  }
+
+  async writeBlob(path) {
+    throw new Error(`${this.kind}: writeBlob(${path}) not supported`);
+  }
+
+  async readBlob(path) {
+    throw new Error(`${this.kind}: readBlob(${path}) not supported`);
+  }
+
+  async listBlobs() {
+    return [];
+  }
+
+  async removeBlob() {
+    return false;
+  }
+}
+
+/**
+ * Folder names and file name of a '/'-separated blob path
+ * @param {string} path
+ * @returns {{ folders: Array<string>, name: string }}
+ */
+export function splitBlobPath(path) {
+  const parts = String(path || '')
+    .split('/')
+    .filter(Boolean);
+  if (parts.length === 0 || parts.some((part) => part === '..')) {
+    throw new Error(`Invalid file path: ${path}`);
+  }
+  return { folders: parts.slice(0, -1), name: parts[parts.length - 1] };
+}
+
+export default StorageAdapter;
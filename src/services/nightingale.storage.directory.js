@@ -0,0 +1,374 @@
+/**
+ * Nightingale CMS Directory Storage Adapters
+ *
+ * Adapters backed by a FileSystemDirectoryHandle:
+ * - FileSystemAccessAdapter ('fsa'): a folder the user picks (Chromium browsers);
+ *   the handle is persisted in IndexedDB and permission re-granted on user gesture
+ * - OPFSAdapter ('opfs'): the Origin Private File System (navigator.storage.getDirectory),
+ *   available in current Chromium, Firefox and Safari without prompts
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import StorageAdapter, { splitBlobPath } from './nightingale.storage.base.js';
+
+/**
+ * Shared file operations over a directory handle
+ */
+export class DirectoryStorageAdapter extends StorageAdapter {
+  constructor(options = {}) {
+    super(options);
+    this.directoryHandle = null;
+  }
+
+  get handle() {
+    return this.directoryHandle;
+  }
+
+  async permission() {
+    if (!this.directoryHandle) return 'prompt';
+    if (typeof this.directoryHandle.queryPermission !== 'function') {
+      return 'granted';
+    }
+    return this.directoryHandle.queryPermission({ mode: 'readwrite' });
+  }
+
+  async getFile(name) {
+    try {
+      const fileHandle = await this.directoryHandle.getFileHandle(name);
+      return await fileHandle.getFile();
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+  }
+
+  async stat(name) {
+    const file = await this.getFile(name);
+    return file
+      ? { lastModified: file.lastModified ?? null, size: file.size ?? null }
+      : null;
+  }
+
+  async read(name = this.fileName) {
+    const file = await this.getFile(name);
+    if (!file) return null;
+    return {
+      contents: await file.text(),
+      lastModified: file.lastModified ?? null,
+      size: file.size ?? null,
+    };
+  }
+
+  async lastModifiedOf(fileHandle) {
+    try {
+      const file = await fileHandle.getFile?.();
+      return file?.lastModified ?? null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  async writeNamed(name, contents) {
+    const fileHandle = await this.directoryHandle.getFileHandle(name, {
+      create: true,
+    });
+    const writable = await fileHandle.createWritable();
+    await writable.write(contents);
+    await writable.close();
+    return { lastModified: await this.lastModifiedOf(fileHandle) };
+  }
+
+  async append(name, text) {
+    const fileHandle = await this.directoryHandle.getFileHandle(name, {
+      create: true,
+    });
+    const file = await fileHandle.getFile();
+    const writable = await fileHandle.createWritable({
+      keepExistingData: true,
+    });
+    await writable.write({ type: 'write', position: file.size, data: text });
+    await writable.close();
+    return { lastModified: await this.lastModifiedOf(fileHandle) };
+  }
+
+  async list(prefix = '') {
+    if (!this.directoryHandle?.values) return [];
+    const files = [];
+    for await (const entry of this.directoryHandle.values()) {
+      if (entry.kind !== 'file' || !entry.name.startsWith(prefix)) continue;
+      let size = null;
+      let lastModified = null;
+      try {
+        const file = await entry.getFile();
+        size = file.size;
+        lastModified = file.lastModified;
+      } catch (_) {
+        // metadata optional
+      }
+      files.push({ name: entry.name, size, lastModified });
+    }
+    return files;
+  }
+
+  async remove(name) {
+    if (!this.directoryHandle?.removeEntry) return false;
+    await this.directoryHandle.removeEntry(name);
+    return true;
+  }
+
+  get supportsBlobs() {
+    return true;
+  }
+
+  /** Handle of a sub-folder; null when it does not exist and `create` is false */
+  async folderHandle(folders, create = false) {
+    let folder = this.directoryHandle;
+    try {
+      for (const name of folders) {
+        folder = await folder.getDirectoryHandle(name, { create });
+      }
+      return folder;
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+  }
+
+  async writeBlob(path, blob) {
+    const { folders, name } = splitBlobPath(path);
+    const folder = await this.folderHandle(folders, true);
+    const fileHandle = await folder.getFileHandle(name, { create: true });
+    const writable = await fileHandle.createWritable();
+    await writable.write(blob);
+    await writable.close();
+    return { lastModified: await this.lastModifiedOf(fileHandle) };
+  }
+
+  async readBlob(path) {
+    const { folders, name } = splitBlobPath(path);
+    const folder = await this.folderHandle(folders);
+    if (!folder) return null;
+    try {
+      const fileHandle = await folder.getFileHandle(name);
+      return await fileHandle.getFile();
+    } catch (err) {
+      if (err.name === 'NotFoundError') return null;
+      throw err;
+    }
+  }
+
+  async listBlobs(folderPath = '') {
+    const prefix = String(folderPath).split('/').filter(Boolean);
+    const root = await this.folderHandle(prefix);
+    if (!root?.values) return [];
+    const files = [];
+    const walk = async (folder, path) => {
+      for await (const entry of folder.values()) {
+        const entryPath = [...path, entry.name];
+        if (entry.kind === 'directory') {
+          await walk(entry, entryPath);
+          continue;
+        }
+        let size = null;
+        let lastModified = null;
+        try {
+          const file = await entry.getFile();
+          size = file.size;
+          lastModified = file.lastModified;
+        } catch (_) {
+          // metadata optional
+        }
+        files.push({ path: entryPath.join('/'), size, lastModified });
+      }
+    };
+    await walk(root, prefix);
+    return files;
+  }
+
+  async removeBlob(path) {
+    const { folders, name } = splitBlobPath(path);
+    const folder = await this.folderHandle(folders);
+    if (!folder?.removeEntry) return false;
+    try {
+      await folder.removeEntry(name);
+      return true;
+    } catch (err) {
+      if (err.name === 'NotFoundError') return false;
+      throw err;
+    }
+  }
+}
+
+/**
+ * User-picked folder via the File System Access API
+ */
+export class FileSystemAccessAdapter extends DirectoryStorageAdapter {
+  static get kind() {
+    return 'fsa';
+  }
+
+  static get label() {
+    return 'Project folder (File System Access)';
+  }
+
+  static isSupported() {
+    return typeof window !== 'undefined' && 'showDirectoryPicker' in window;
+  }
+
+  constructor(options = {}) {
+    super(options);
+    this.dbName = 'NightingaleFileAccess';
+    this.storeName = 'directoryHandles';
+    this.dbKey = 'nightingaleDirectory';
+  }
+
+  async connect() {
+    this.directoryHandle = await window.showDirectoryPicker();
+    const granted = await this.requestPermission();
+    if (granted) {
+      await this.storeDirectoryHandle();
+    }
+    return granted;
+  }
+
+  async requestPermission() {
+    if (!this.directoryHandle?.requestPermission) return false;
+    const permission = await this.directoryHandle.requestPermission({
+      mode: 'readwrite',
+    });
+    return permission === 'granted';
+  }
+
+  /**
+   * Re-open the folder picked in a previous session. Only queries permission;
+   * requesting must happen from a user gesture.
+   */
+  async restore() {
+    const handle = await this.getStoredDirectoryHandle();
+    if (!handle) return { handle: null, permission: 'prompt' };
+    this.directoryHandle = handle;
+    return { handle, permission: await this.permission() };
+  }
+
+  async disconnect() {
+    await this.clearStoredDirectoryHandle();
+    this.directoryHandle = null;
+  }
+
+  // IndexedDB operations for directory handle persistence
+  async getStoredDirectoryHandle() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onerror = () => reject(request.error);
+      request.onsuccess = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          resolve(null);
+          return;
+        }
+        const getRequest = db
+          .transaction(this.storeName)
+          .objectStore(this.storeName)
+          .get(this.dbKey);
+        getRequest.onsuccess = () => resolve(getRequest.result?.handle || null);
+        getRequest.onerror = () => resolve(null);
+      };
+      request.onupgradeneeded = (e) => {
+        e.target.result.createObjectStore(this.storeName);
+      };
+    });
+  }
+
+  async storeDirectoryHandle() {
+    if (!this.directoryHandle) return;
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onerror = (e) => reject(e);
+      request.onsuccess = () => {
+        const db = request.result;
+        const putRequest = db
+          .transaction(this.storeName, 'readwrite')
+          .objectStore(this.storeName)
+          .put({ handle: this.directoryHandle }, this.dbKey);
+        putRequest.onsuccess = () => resolve();
+        putRequest.onerror = (e) => reject(e);
+      };
+    });
+  }
+
+  async clearStoredDirectoryHandle() {
+    return new Promise((resolve) => {
+      const request = indexedDB.open(this.dbName, 1);
+      request.onsuccess = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          resolve();
+          return;
+        }
+        const deleteRequest = db
+          .transaction(this.storeName, 'readwrite')
+          .objectStore(this.storeName)
+          .delete(this.dbKey);
+        deleteRequest.onsuccess = () => resolve();
+        deleteRequest.onerror = () => resolve();
+      };
+      request.onerror = () => resolve();
+    });
+  }
+}
+
+/**
+ * Origin Private File System: browser-managed, per-origin, no prompts.
+ * Data lives under a `nightingale` sub-directory of the origin root.
+ */
+export class OPFSAdapter extends DirectoryStorageAdapter {
+  static get kind() {
+    return 'opfs';
+  }
+
+  static get label() {
+    return 'Browser file storage (OPFS)';
+  }
+
+  static isSupported() {
+    return (
+      typeof navigator !== 'undefined' && !!navigator.storage?.getDirectory
+    );
+  }
+
+  async open() {
+    if (this.directoryHandle) return this.directoryHandle;
+    const root = await navigator.storage.getDirectory();
+    this.directoryHandle = await root.getDirectoryHandle('nightingale', {
+      create: true,
+    });
+    return this.directoryHandle;
+  }
+
+  async permission() {
+    return this.directoryHandle ? 'granted' : 'prompt';
+  }
+
+  async restore() {
+    if (!this.isSupported()) return { handle: null, permission: 'unsupported' };
+    await this.open();
+    return { handle: this.directoryHandle, permission: 'granted' };
+  }
+
+  async connect() {
+    await this.open();
+    return true;
+  }
+
+  async requestPermission() {
+    return this.connect();
+  }
+
+  async disconnect() {
+    this.directoryHandle = null;
+  }
+}
+
+export default FileSystemAccessAdapter;
@@ -0,0 +1,194 @@
+/**
+ * Nightingale CMS HTTP Storage Adapter
+ *
+ * Talks to the local sync server (`scripts/sync-server.js`), which serves one data
+ * directory (e.g. on a shared drive) to browsers without the File System Access API.
+ *
+ * Writes are optimistic: the adapter sends `If-Match` with the ETag it last read or
+ * wrote for a file, and the server answers 412 when someone else changed it since.
+ * That surfaces as a `ConflictError`, which AutosaveFileService turns into its usual
+ * conflict resolution flow.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import StorageAdapter from './nightingale.storage.base.js';
+import { getSyncServerUrl } from './settings.js';
+
+function httpError(response) {
+  const error = new Error(
+    response.status === 412
+      ? 'File changed on the sync server'
+      : `Sync server error ${response.status} ${response.statusText || ''}`.trim(),
+  );
+  error.name = response.status === 412 ? 'ConflictError' : 'StorageError';
+  error.status = response.status;
+  return error;
+}
+
+export class HttpStorageAdapter extends StorageAdapter {
+  static get kind() {
+    return 'http';
+  }
+
+  static get label() {
+    return 'Sync server (HTTP)';
+  }
+
+  static isSupported() {
+    return typeof fetch === 'function';
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.baseUrl] - Sync server URL (default from Settings)
+   * @param {Function} [options.fetchFn] - fetch implementation (tests)
+   */
+  constructor({
+    baseUrl = getSyncServerUrl(),
+    fetchFn = null,
+    ...options
+  } = {}) {
+    super(options);
+    this.baseUrl = String(baseUrl).replace(/\/+$/, '');
+    this.fetchFn =
+      fetchFn ||
+      (HttpStorageAdapter.isSupported() ? (...args) => fetch(...args) : null);
+    // Last ETag seen per file name (read or written by us)
+    this.etags = new Map();
+    // null until the server was contacted
+    this.reachable = null;
+  }
+
+  isSupported() {
+    return !!this.fetchFn;
+  }
+
+  async request(method, path, { body, headers } = {}) {
+    let response;
+    try {
+      response = await this.fetchFn(`${this.baseUrl}${path}`, {
+        method,
+        headers,
+        body,
+        cache: 'no-store',
+      });
+    } catch (error) {
+      this.reachable = false;
+      throw error;
+    }
+    this.reachable = true;
+    return response;
+  }
+
+  fileUrl(name) {
+    return `/api/files/${encodeURIComponent(name)}`;
+  }
+
+  /** Whether the sync server answers */
+  async ping() {
+    try {
+      const response = await this.request('GET', '/api/health');
+      return response.ok;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  async permission() {
+    if (!this.isSupported()) return 'unsupported';
+    return this.reachable ? 'granted' : 'prompt';
+  }
+
+  async restore() {
+    await this.ping();
+    return { handle: null, permission: await this.permission() };
+  }
+
+  async connect() {
+    return this.ping();
+  }
+
+  async requestPermission() {
+    return this.ping();
+  }
+
+  async disconnect() {
+    this.reachable = null;
+    this.etags.clear();
+  }
+
+  async read(name = this.fileName) {
+    const response = await this.request('GET', this.fileUrl(name));
+    if (response.status === 404) {
+      this.etags.delete(name);
+      return null;
+    }
+    if (!response.ok) throw httpError(response);
+    const contents = await response.text();
+    this.etags.set(name, response.headers.get('ETag'));
+    return {
+      contents,
+      lastModified: Number(response.headers.get('X-Last-Modified')) || null,
+      size: contents.length,
+    };
+  }
+
+  async writeNamed(name, contents) {
+    const headers = { 'Content-Type': 'text/plain; charset=utf-8' };
+    const etag = this.etags.get(name);
+    if (etag) headers['If-Match'] = etag;
+
+    const response = await this.request('PUT', this.fileUrl(name), {
+      body: String(contents),
+      headers,
+    });
+    if (!response.ok) throw httpError(response);
+    const result = await response.json();
+    this.etags.set(name, result.etag);
+    return { lastModified: result.lastModified };
+  }
+
+  /** Server-side append (journal lines); no precondition */
+  async append(name, text) {
+    const response = await this.request('POST', this.fileUrl(name), {
+      body: String(text),
+      headers: { 'Content-Type': 'text/plain; charset=utf-8' },
+    });
+    if (!response.ok) throw httpError(response);
+    const result = await response.json();
+    this.etags.set(name, result.etag);
+    return { lastModified: result.lastModified };
+  }
+
+  async list(prefix = '') {
+    const response = await this.request(
+      'GET',
+      `/api/files?prefix=${encodeURIComponent(prefix)}`,
+    );
+    if (!response.ok) throw httpError(response);
+    return response.json();
+  }
+
+  async remove(name) {
+    const response = await this.request('DELETE', this.fileUrl(name));
+    this.etags.delete(name);
+    if (response.status === 404) return false;
+    if (!response.ok) throw httpError(response);
+    return true;
+  }
+
+  /** HEAD only; the ETag is not adopted since the contents were not seen */
+  async stat(name) {
+    const response = await this.request('HEAD', this.fileUrl(name));
+    if (response.status === 404) return null;
+    if (!response.ok) throw httpError(response);
+    return {
+      lastModified: Number(response.headers.get('X-Last-Modified')) || null,
+      size: Number(response.headers.get('Content-Length')) || 0,
+    };
+  }
+}
+
+export default HttpStorageAdapter;
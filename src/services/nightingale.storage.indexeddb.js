@@ -0,0 +1,108 @@
+/**
+ * Nightingale CMS IndexedDB Storage Adapter
+ *
+ * Stores each named file as a record { name, contents, lastModified } in the
+ * `NightingaleStorage` database. Works in every browser with IndexedDB, including
+ * Firefox, without any permission prompt.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import StorageAdapter from './nightingale.storage.base.js';
+
+export class IndexedDBStorageAdapter extends StorageAdapter {
+  static get kind() {
+    return 'indexeddb';
+  }
+
+  static get label() {
+    return 'Browser database (IndexedDB)';
+  }
+
+  static isSupported() {
+    return typeof indexedDB !== 'undefined' && !!indexedDB?.open;
+  }
+
+  constructor({
+    dbName = 'NightingaleStorage',
+    storeName = 'files',
+    ...options
+  } = {}) {
+    super(options);
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onerror = () => reject(request.error);
+        request.onsuccess = () => resolve(request.result);
+        request.onupgradeneeded = (e) => {
+          e.target.result.createObjectStore(this.storeName, {
+            keyPath: 'name',
+          });
+        };
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, fn) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const store = db
+        .transaction(this.storeName, mode)
+        .objectStore(this.storeName);
+      const request = fn(store);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async read(name = this.fileName) {
+    const record = await this.run('readonly', (s) => s.get(name));
+    if (!record) return null;
+    return {
+      contents: record.contents,
+      lastModified: record.lastModified,
+      size: record.contents.length,
+    };
+  }
+
+  async writeNamed(name, contents) {
+    const previous = await this.stat(name);
+    const lastModified = Math.max(
+      Date.now(),
+      (previous?.lastModified || 0) + 1,
+    );
+    await this.run('readwrite', (s) =>
+      s.put({ name, contents: String(contents), lastModified }),
+    );
+    return { lastModified };
+  }
+
+  async list(prefix = '') {
+    const records = (await this.run('readonly', (s) => s.getAll())) || [];
+    return records
+      .filter((r) => r.name.startsWith(prefix))
+      .map((r) => ({
+        name: r.name,
+        size: r.contents.length,
+        lastModified: r.lastModified,
+      }));
+  }
+
+  async remove(name) {
+    await this.run('readwrite', (s) => s.delete(name));
+    return true;
+  }
+}
+
+export default IndexedDBStorageAdapter;
@@ -0,0 +1,80 @@
+/**
+ * Nightingale CMS Storage Adapter Registry
+ *
+ * Chooses where the data file lives. The Settings choice ('auto' by default) is
+ * resolved against what the browser supports, in preference order:
+ * File System Access → OPFS → IndexedDB → memory. The sync server ('http') is
+ * only used when chosen explicitly, since it needs `scripts/sync-server.js` running.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import {
+  FileSystemAccessAdapter,
+  OPFSAdapter,
+} from './nightingale.storage.directory.js';
+import IndexedDBStorageAdapter from './nightingale.storage.indexeddb.js';
+import MemoryStorageAdapter from './nightingale.storage.memory.js';
+import HttpStorageAdapter from './nightingale.storage.http.js';
+import { getStorageAdapter } from './settings.js';
+
+export const STORAGE_ADAPTERS = {
+  fsa: FileSystemAccessAdapter,
+  opfs: OPFSAdapter,
+  indexeddb: IndexedDBStorageAdapter,
+  http: HttpStorageAdapter,
+  memory: MemoryStorageAdapter,
+};
+
+export const STORAGE_PREFERENCE = ['fsa', 'opfs', 'indexeddb', 'memory'];
+
+/**
+ * Adapters for the Settings selector.
+ * @returns {Array<{kind: string, label: string, supported: boolean}>}
+ */
+export function listStorageAdapters() {
+  return Object.keys(STORAGE_ADAPTERS).map((kind) => ({
+    kind,
+    label: STORAGE_ADAPTERS[kind].label,
+    supported: STORAGE_ADAPTERS[kind].isSupported(),
+  }));
+}
+
+/**
+ * Resolve a requested kind to one this browser supports.
+ * @param {string} [preferred='auto'] - Adapter kind or 'auto'
+ * @returns {string} Supported adapter kind
+ */
+export function detectStorageAdapterKind(preferred = 'auto') {
+  if (STORAGE_ADAPTERS[preferred]?.isSupported()) return preferred;
+  return STORAGE_PREFERENCE.find((kind) =>
+    STORAGE_ADAPTERS[kind].isSupported(),
+  );
+}
+
+/**
+ * Create a storage adapter. 'auto' uses the Settings choice when this browser
+ * supports it, otherwise the first supported adapter; an explicit kind is
+ * honored as-is (its isSupported() reports whether it can be used).
+ * @param {string} [kind='auto'] - Adapter kind or 'auto'
+ * @param {Object} [options] - Adapter constructor options
+ * @returns {import('./nightingale.storage.base.js').StorageAdapter}
+ */
+export function createStorageAdapter(kind = 'auto', options = {}) {
+  const resolved =
+    kind === 'auto' ? detectStorageAdapterKind(getStorageAdapter()) : kind;
+  const AdapterClass = STORAGE_ADAPTERS[resolved];
+  if (!AdapterClass) {
+    throw new Error(`Unknown storage adapter: ${kind}`);
+  }
+  return new AdapterClass(options);
+}
+
+export default {
+  STORAGE_ADAPTERS,
+  STORAGE_PREFERENCE,
+  listStorageAdapters,
+  detectStorageAdapterKind,
+  createStorageAdapter,
+};
@@ -0,0 +1,112 @@
+/**
+ * Nightingale CMS In-Memory Storage Adapter
+ *
+ * Keeps files in a Map for the lifetime of the page. Used for demo sessions,
+ * tests, and as the last-resort adapter when no persistent storage exists.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import StorageAdapter, { splitBlobPath } from './nightingale.storage.base.js';
+
+export class MemoryStorageAdapter extends StorageAdapter {
+  static get kind() {
+    return 'memory';
+  }
+
+  static get label() {
+    return 'Memory only (not saved)';
+  }
+
+  static isSupported() {
+    return true;
+  }
+
+  /**
+   * @param {Object} [options]
+   * @param {Object<string,string>} [options.files] - Initial file contents by name
+   */
+  constructor({ files = {}, ...options } = {}) {
+    super(options);
+    this.files = new Map();
+    this.blobs = new Map(); // path → { blob, lastModified }
+    Object.entries(files).forEach(([name, contents]) =>
+      this.files.set(name, { contents, lastModified: Date.now() }),
+    );
+  }
+
+  /** Strictly increasing timestamps so back-to-back writes are distinguishable */
+  nextTimestamp(name) {
+    const previous = this.files.get(name)?.lastModified || 0;
+    return Math.max(Date.now(), previous + 1);
+  }
+
+  async read(name = this.fileName) {
+    const file = this.files.get(name);
+    if (!file) return null;
+    return {
+      contents: file.contents,
+      lastModified: file.lastModified,
+      size: file.contents.length,
+    };
+  }
+
+  async writeNamed(name, contents) {
+    const lastModified = this.nextTimestamp(name);
+    this.files.set(name, { contents: String(contents), lastModified });
+    return { lastModified };
+  }
+
+  async list(prefix = '') {
+    return [...this.files.entries()]
+      .filter(([name]) => name.startsWith(prefix))
+      .map(([name, file]) => ({
+        name,
+        size: file.contents.length,
+        lastModified: file.lastModified,
+      }));
+  }
+
+  async remove(name) {
+    return this.files.delete(name);
+  }
+
+  get supportsBlobs() {
+    return true;
+  }
+
+  async writeBlob(path, blob) {
+    const { folders, name } = splitBlobPath(path);
+    const key = [...folders, name].join('/');
+    const lastModified = Math.max(
+      Date.now(),
+      (this.blobs.get(key)?.lastModified || 0) + 1,
+    );
+    this.blobs.set(key, { blob, lastModified });
+    return { lastModified };
+  }
+
+  async readBlob(path) {
+    const { folders, name } = splitBlobPath(path);
+    return this.blobs.get([...folders, name].join('/'))?.blob ?? null;
+  }
+
+  async listBlobs(folderPath = '') {
+    const prefix = String(folderPath).split('/').filter(Boolean).join('/');
+    return [...this.blobs.entries()]
+      .filter(([path]) => !prefix || path.startsWith(`${prefix}/`))
+      .map(([path, file]) => ({
+        path,
+        size: file.blob.size,
+        lastModified: file.lastModified,
+      }));
+  }
+
+  async removeBlob(path) {
+    const { folders, name } = splitBlobPath(path);
+    return this.blobs.delete([...folders, name].join('/'));
+  }
+}
+
+export default MemoryStorageAdapter;
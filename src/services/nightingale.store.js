@@ -0,0 +1,529 @@
+/**
+ * Nightingale CMS Data Store
+ *
+ * Single source of truth for the dataset. Cases, people, organizations, VR
+ * requests, tasks and attachments are kept keyed by id (`{ ids, byId }`), so an edit replaces one record
+ * and every other record - and every other collection - keeps its identity.
+ * Financial items and notes stay inside their case record.
+ *
+ * Changes are dispatched as typed actions (createCase, updateFinancialItem, addNote…)
+ * or, for code that still builds a whole dataset, as replaceData(). Readers use the
+ * memoized selectors below (or the hooks in src/hooks/useDataStore.js), which return
+ * the same value until the records they read change.
+ *
+ * Two subscriptions:
+ * - subscribe(fn): every state change, including data loaded from storage
+ * - subscribeChanges(fn): the change feed - edits only, with the action, label and
+ *   source - used by autosave, the undo history and other tabs
+ *
+ * Transforms (store.use) run on every edit before it is committed; the app uses one
+ * to append the audit trail.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import {
+  ensureStringId,
+  generateSecureId,
+} from './nightingale.datamanagement.js';
+import { activeRecords, markDeleted } from './nightingale.recyclebin.js';
+
+/** Top-level collections kept keyed by id */
+export const ENTITY_COLLECTIONS = [
+  'cases',
+  'people',
+  'organizations',
+  'vrRequests',
+  'tasks',
+  'attachments',
+];
+
+const FINANCIAL_GROUPS = ['resources', 'income', 'expenses'];
+
+export const STORE_ACTIONS = {
+  REPLACE_DATA: 'data/replace',
+  CREATE_CASE: 'cases/create',
+  UPDATE_CASE: 'cases/update',
+  CREATE_PERSON: 'people/create',
+  UPDATE_PERSON: 'people/update',
+  CREATE_ORGANIZATION: 'organizations/create',
+  UPDATE_ORGANIZATION: 'organizations/update',
+  ADD_FINANCIAL_ITEM: 'financials/add',
+  UPDATE_FINANCIAL_ITEM: 'financials/update',
+  REMOVE_FINANCIAL_ITEM: 'financials/remove',
+  ADD_NOTE: 'notes/add',
+  UPDATE_NOTE: 'notes/update',
+  REMOVE_NOTE: 'notes/remove',
+};
+
+const ID_PREFIXES = { cases: 'case', people: 'person', organizations: 'org' };
+
+const EMPTY_LIST = Object.freeze([]);
+
+function storeError(message) {
+  const error = new Error(message);
+  error.name = 'StoreError';
+  return error;
+}
+
+// ========================================================================
+// NORMALIZED STATE
+// ========================================================================
+
+// Collection state -> record array, and back (so a dataset built from getData()
+// is normalized again without rebuilding untouched collections)
+const listCache = new WeakMap();
+const collectionCache = new WeakMap();
+// Normalized state -> dataset
+const dataCache = new WeakMap();
+
+function normalizeCollection(list) {
+  const cached = collectionCache.get(list);
+  // Arrays edited in place (legacy code) are indexed again
+  if (cached && cached.ids.length === list.length) return cached;
+  const ids = [];
+  const byId = {};
+  list.forEach((record, index) => {
+    let key = record?.id != null ? ensureStringId(record.id) : `#${index}`;
+    // Records without an id, or repeating one, are kept under a positional key
+    if (key in byId) key = `${key}#${index}`;
+    ids.push(key);
+    byId[key] = record;
+  });
+  const collection = { ids, byId };
+  listCache.set(collection, list);
+  collectionCache.set(list, collection);
+  return collection;
+}
+
+function collectionList(collection) {
+  if (!collection) return EMPTY_LIST;
+  let list = listCache.get(collection);
+  if (!list) {
+    list = collection.ids.map((id) => collection.byId[id]);
+    listCache.set(collection, list);
+    collectionCache.set(list, collection);
+  }
+  return list;
+}
+
+/**
+ * Normalized state for a dataset
+ * @param {Object|null} data
+ * @returns {Object|null} { keys, entities, rest }
+ */
+export function normalizeData(data) {
+  if (!data || typeof data !== 'object') return null;
+  const entities = {};
+  const rest = {};
+  Object.keys(data).forEach((key) => {
+    if (ENTITY_COLLECTIONS.includes(key) && Array.isArray(data[key])) {
+      entities[key] = normalizeCollection(data[key]);
+    } else {
+      rest[key] = data[key];
+    }
+  });
+  const state = { keys: Object.keys(data), entities, rest };
+  // The dataset is its own denormalized form
+  dataCache.set(state, data);
+  return state;
+}
+
+/**
+ * Dataset (`fullData` shape) for a normalized state; the same object until the
+ * state changes, and unchanged collections keep their array identity.
+ * @param {Object|null} state
+ * @returns {Object|null}
+ */
+export function denormalizeData(state) {
+  if (!state) return null;
+  let data = dataCache.get(state);
+  if (!data) {
+    data = {};
+    state.keys.forEach((key) => {
+      data[key] =
+        key in state.entities
+          ? collectionList(state.entities[key])
+          : state.rest[key];
+    });
+    dataCache.set(state, data);
+  }
+  return data;
+}
+
+function withCollection(state, name, collection) {
+  return {
+    keys: state.keys.includes(name) ? state.keys : [...state.keys, name],
+    entities: { ...state.entities, [name]: collection },
+    rest: state.rest,
+  };
+}
+
+function findKey(collection, id) {
+  const key = ensureStringId(id);
+  return collection && key in collection.byId ? key : null;
+}
+
+function insertRecord(state, name, record) {
+  const collection = state.entities[name] || { ids: [], byId: {} };
+  const withId =
+    record.id != null
+      ? record
+      : { ...record, id: generateSecureId(ID_PREFIXES[name]) };
+  const key = ensureStringId(withId.id);
+  if (key in collection.byId) {
+    throw storeError(`A ${name} record with id ${key} already exists`);
+  }
+  return withCollection(state, name, {
+    ids: [...collection.ids, key],
+    byId: { ...collection.byId, [key]: withId },
+  });
+}
+
+function updateRecord(state, name, id, update) {
+  const collection = state.entities[name];
+  const key = findKey(collection, id);
+  if (!key) throw storeError(`No ${name} record with id ${id}`);
+  const current = collection.byId[key];
+  const next = update(current);
+  if (next === current) return state;
+  return withCollection(state, name, {
+    ids: collection.ids,
+    byId: { ...collection.byId, [key]: next },
+  });
+}
+
+const patchRecord = (patch) => (record) => ({ ...record, ...patch });
+
+// Apply `update` to one list of a case (`notes` or a financial group)
+function updateCaseList(state, caseId, list, update) {
+  if (list !== 'notes' && !FINANCIAL_GROUPS.includes(list)) {
+    throw storeError(`Unknown financial group: ${list}`);
+  }
+  return updateRecord(state, 'cases', caseId, (caseItem) => {
+    if (list === 'notes') {
+      return { ...caseItem, notes: update(caseItem.notes || []) };
+    }
+    return {
+      ...caseItem,
+      financials: {
+        resources: [],
+        income: [],
+        expenses: [],
+        ...caseItem.financials,
+        [list]: update(caseItem.financials?.[list] || []),
+      },
+    };
+  });
+}
+
+function updateListItem(items, itemId, update) {
+  const key = ensureStringId(itemId);
+  if (!items.some((item) => ensureStringId(item?.id) === key)) {
+    throw storeError(`No item with id ${itemId}`);
+  }
+  return items.map((item) =>
+    ensureStringId(item?.id) === key ? update(item) : item,
+  );
+}
+
+const withItemId = (item, prefix) =>
+  item.id != null ? item : { ...item, id: generateSecureId(prefix) };
+
+/**
+ * Apply an action to a normalized state (pure)
+ * @param {Object|null} state
+ * @param {Object} action - From the action creators below
+ * @returns {Object|null} Next state (the same object when nothing changed)
+ * @throws {Error} name 'StoreError' for unknown actions or missing records
+ */
+export function storeReducer(state, action) {
+  const { type, payload = {} } = action || {};
+  if (type === STORE_ACTIONS.REPLACE_DATA) {
+    return payload.data === denormalizeData(state)
+      ? state
+      : normalizeData(payload.data);
+  }
+  if (!state) throw storeError('No data loaded');
+
+  switch (type) {
+    case STORE_ACTIONS.CREATE_CASE:
+      return insertRecord(state, 'cases', payload.record);
+    case STORE_ACTIONS.CREATE_PERSON:
+      return insertRecord(state, 'people', payload.record);
+    case STORE_ACTIONS.CREATE_ORGANIZATION:
+      return insertRecord(state, 'organizations', payload.record);
+    case STORE_ACTIONS.UPDATE_CASE:
+      return updateRecord(
+        state,
+        'cases',
+        payload.id,
+        patchRecord(payload.patch),
+      );
+    case STORE_ACTIONS.UPDATE_PERSON:
+      return updateRecord(
+        state,
+        'people',
+        payload.id,
+        patchRecord(payload.patch),
+      );
+    case STORE_ACTIONS.UPDATE_ORGANIZATION:
+      return updateRecord(
+        state,
+        'organizations',
+        payload.id,
+        patchRecord(payload.patch),
+      );
+    case STORE_ACTIONS.ADD_FINANCIAL_ITEM:
+      return updateCaseList(state, payload.caseId, payload.group, (items) => [
+        ...items,
+        withItemId(payload.item, 'item'),
+      ]);
+    case STORE_ACTIONS.UPDATE_FINANCIAL_ITEM:
+      return updateCaseList(state, payload.caseId, payload.group, (items) =>
+        updateListItem(items, payload.itemId, patchRecord(payload.patch)),
+      );
+    case STORE_ACTIONS.REMOVE_FINANCIAL_ITEM:
+      return updateCaseList(state, payload.caseId, payload.group, (items) =>
+        updateListItem(items, payload.itemId, (item) =>
+          markDeleted(item, payload),
+        ),
+      );
+    case STORE_ACTIONS.ADD_NOTE:
+      return updateCaseList(state, payload.caseId, 'notes', (notes) => [
+        withItemId(payload.note, 'note'),
+        ...notes,
+      ]);
+    case STORE_ACTIONS.UPDATE_NOTE:
+      return updateCaseList(state, payload.caseId, 'notes', (notes) =>
+        updateListItem(notes, payload.noteId, patchRecord(payload.patch)),
+      );
+    case STORE_ACTIONS.REMOVE_NOTE:
+      return updateCaseList(state, payload.caseId, 'notes', (notes) =>
+        updateListItem(notes, payload.noteId, (note) =>
+          markDeleted(note, payload),
+        ),
+      );
+    default:
+      throw storeError(`Unknown store action: ${type}`);
+  }
+}
+
+// ========================================================================
+// ACTION CREATORS
+// ========================================================================
+// `meta` is optional: { label, source } name the change in the undo history and
+// the audit trail (see NightingaleCMSApp.handleDataUpdate).
+
+const action = (type, payload, meta = {}) => ({ type, payload, meta });
+
+/** Replace the whole dataset (components that still build fullData themselves) */
+export const replaceData = (data, meta) =>
+  action(STORE_ACTIONS.REPLACE_DATA, { data }, meta);
+
+export const createCase = (record, meta) =>
+  action(STORE_ACTIONS.CREATE_CASE, { record }, meta);
+export const updateCase = (id, patch, meta) =>
+  action(STORE_ACTIONS.UPDATE_CASE, { id, patch }, meta);
+export const createPerson = (record, meta) =>
+  action(STORE_ACTIONS.CREATE_PERSON, { record }, meta);
+export const updatePerson = (id, patch, meta) =>
+  action(STORE_ACTIONS.UPDATE_PERSON, { id, patch }, meta);
+export const createOrganization = (record, meta) =>
+  action(STORE_ACTIONS.CREATE_ORGANIZATION, { record }, meta);
+export const updateOrganization = (id, patch, meta) =>
+  action(STORE_ACTIONS.UPDATE_ORGANIZATION, { id, patch }, meta);
+
+/** @param {string} group - 'resources' | 'income' | 'expenses' */
+export const addFinancialItem = (caseId, group, item, meta) =>
+  action(STORE_ACTIONS.ADD_FINANCIAL_ITEM, { caseId, group, item }, meta);
+export const updateFinancialItem = (caseId, group, itemId, patch, meta) =>
+  action(
+    STORE_ACTIONS.UPDATE_FINANCIAL_ITEM,
+    { caseId, group, itemId, patch },
+    meta,
+  );
+/** Moves the item to the Recycle Bin; `options` are markDeleted() options */
+export const removeFinancialItem = (caseId, group, itemId, options, meta) =>
+  action(
+    STORE_ACTIONS.REMOVE_FINANCIAL_ITEM,
+    { caseId, group, itemId, ...options },
+    meta,
+  );
+
+export const addNote = (caseId, note, meta) =>
+  action(STORE_ACTIONS.ADD_NOTE, { caseId, note }, meta);
+export const updateNote = (caseId, noteId, patch, meta) =>
+  action(STORE_ACTIONS.UPDATE_NOTE, { caseId, noteId, patch }, meta);
+/** Moves the note to the Recycle Bin; `options` are markDeleted() options */
+export const removeNote = (caseId, noteId, options, meta) =>
+  action(STORE_ACTIONS.REMOVE_NOTE, { caseId, noteId, ...options }, meta);
+
+// ========================================================================
+// SELECTORS
+// ========================================================================
+// Selectors take the normalized state and return the same value until the data
+// they read changes, so they can be used directly with useSyncExternalStore.
+
+/**
+ * Memoize a function of one object argument by identity
+ */
+function memoizeByRef(fn) {
+  const cache = new WeakMap();
+  return (value) => {
+    if (!value || typeof value !== 'object') return fn(value);
+    if (!cache.has(value)) cache.set(value, fn(value));
+    return cache.get(value);
+  };
+}
+
+const activeList = memoizeByRef((list) => activeRecords(list));
+
+/** Whole dataset (`fullData` shape) */
+export const selectData = (state) => denormalizeData(state);
+
+/** All records of a collection, including those in the Recycle Bin */
+export const selectCollection = (state, name) =>
+  collectionList(state?.entities[name]);
+
+/** One record by id (null when missing) */
+export const selectRecord = (state, name, id) => {
+  const collection = state?.entities[name];
+  const key = findKey(collection, id);
+  return key ? collection.byId[key] : null;
+};
+
+// Records not in the Recycle Bin
+export const selectCases = (state) =>
+  activeList(selectCollection(state, 'cases'));
+export const selectPeople = (state) =>
+  activeList(selectCollection(state, 'people'));
+export const selectOrganizations = (state) =>
+  activeList(selectCollection(state, 'organizations'));
+export const selectVrRequests = (state) =>
+  activeList(selectCollection(state, 'vrRequests'));
+export const selectTasks = (state) =>
+  activeList(selectCollection(state, 'tasks'));
+export const selectAttachments = (state) =>
+  activeList(selectCollection(state, 'attachments'));
+
+export const selectCase = (state, id) => selectRecord(state, 'cases', id);
+export const selectPerson = (state, id) => selectRecord(state, 'people', id);
+export const selectOrganization = (state, id) =>
+  selectRecord(state, 'organizations', id);
+
+// ========================================================================
+// STORE
+// ========================================================================
+
+function notifyAll(listeners, value) {
+  listeners.forEach((listener) => {
+    try {
+      listener(value);
+    } catch (_) {
+      /* a failing listener must not block the others */
+    }
+  });
+}
+
+/**
+ * Create a data store.
+ *
+ * @param {Object} [options]
+ * @param {Object|null} [options.data] - Initial dataset
+ * @returns {Object} Store: getState, getData, dispatch, replaceData, load, use,
+ *   subscribe, subscribeChanges
+ */
+export function createDataStore({ data = null } = {}) {
+  let state = normalizeData(data);
+  const listeners = new Set();
+  const changeListeners = new Set();
+  const transforms = new Set();
+
+  const getState = () => state;
+  const getData = () => denormalizeData(state);
+
+  /**
+   * Apply an edit: reduce, run transforms, commit, then notify subscribers and
+   * the change feed.
+   * @returns {Object|null} The dataset after the change
+   */
+  function dispatch(storeAction) {
+    const previous = getData();
+    let next = storeReducer(state, storeAction);
+    if (next === state) return previous;
+    const meta = { source: 'manual', ...storeAction.meta };
+    if (transforms.size > 0) {
+      let transformed = denormalizeData(next);
+      transforms.forEach((transform) => {
+        transformed = transform(previous, transformed, meta) ?? transformed;
+      });
+      if (transformed !== denormalizeData(next)) {
+        next = normalizeData(transformed);
+      }
+    }
+    state = next;
+    const current = getData();
+    notifyAll(listeners, current);
+    notifyAll(changeListeners, {
+      action: storeAction,
+      previous,
+      data: current,
+      label: meta.label,
+      source: meta.source,
+    });
+    return current;
+  }
+
+  /**
+   * Replace the dataset without an entry in the change feed (data read from
+   * storage, another tab or a conflict resolution is already saved).
+   */
+  function load(nextData) {
+    if (nextData && nextData === getData()) return;
+    state = normalizeData(nextData);
+    notifyAll(listeners, getData());
+  }
+
+  function subscribe(fn) {
+    if (typeof fn !== 'function') return () => {};
+    listeners.add(fn);
+    return () => listeners.delete(fn);
+  }
+
+  function subscribeChanges(fn) {
+    if (typeof fn !== 'function') return () => {};
+    changeListeners.add(fn);
+    return () => changeListeners.delete(fn);
+  }
+
+  /**
+   * Add a transform run on each edit: (previousData, nextData, meta) => nextData
+   * @returns {Function} Removes the transform
+   */
+  function use(transform) {
+    if (typeof transform !== 'function') return () => {};
+    transforms.add(transform);
+    return () => transforms.delete(transform);
+  }
+
+  return {
+    getState,
+    getData,
+    dispatch,
+    replaceData: (nextData, meta) => dispatch(replaceData(nextData, meta)),
+    load,
+    use,
+    subscribe,
+    subscribeChanges,
+  };
+}
+
+export default {
+  STORE_ACTIONS,
+  createDataStore,
+  storeReducer,
+  normalizeData,
+  denormalizeData,
+};
@@ -0,0 +1,379 @@
+/**
+ * Nightingale CMS Tab Coordinator v1.0
+ *
+ * Coordinates the Nightingale pages (main app, Reports, Correspondence) that are
+ * open at the same time against a single data folder.
+ *
+ * Features:
+ * - Leader election so only one tab runs autosave writes
+ *   (Web Locks when available, localStorage lease otherwise)
+ * - Cross-tab messaging for data changes and completed saves
+ *   (BroadcastChannel when available, storage events otherwise; storage events
+ *   carry signals only, never the dataset)
+ * - Leadership hand-off when the leader tab closes
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+const DEFAULT_CHANNEL = 'nightingale-cms';
+const LEASE_KEY = 'nightingale:tabs:leader';
+const MESSAGE_KEY = 'nightingale:tabs:message';
+
+/**
+ * Message types exchanged between tabs
+ */
+const TAB_MESSAGES = {
+  DATA_CHANGED: 'data-changed',
+  SAVED: 'saved',
+  LEADER_RESIGNED: 'leader-resigned',
+};
+
+/**
+ * Tab Coordinator
+ * Elects a single writer tab and relays messages between tabs
+ */
+class TabCoordinator {
+  constructor({
+    tabId = null,
+    channelName = DEFAULT_CHANNEL,
+    heartbeatInterval = 2000,
+    useWebLocks = true,
+    useBroadcastChannel = true,
+  } = {}) {
+    this.tabId = tabId || `cms-tab-${Date.now()}`;
+    this.channelName = channelName;
+    this.heartbeatInterval = heartbeatInterval;
+    // Lease survives a couple of missed heartbeats before another tab takes over
+    this.leaseDuration = heartbeatInterval * 3;
+    this.useWebLocks = useWebLocks;
+    this.useBroadcastChannel = useBroadcastChannel;
+
+    this.channel = null;
+    this.leader = false;
+    this.running = false;
+    this.candidate = false;
+    this.releaseLock = null;
+    this.timers = { heartbeat: null };
+
+    this.messageListeners = new Set();
+    this.leadershipListeners = new Set();
+
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+    this.handleUnload = this.handleUnload.bind(this);
+  }
+
+  // =============================================================================
+  // CAPABILITY DETECTION
+  // =============================================================================
+
+  hasBroadcastChannel() {
+    return this.useBroadcastChannel && typeof BroadcastChannel !== 'undefined';
+  }
+
+  hasWebLocks() {
+    return (
+      this.useWebLocks &&
+      typeof navigator !== 'undefined' &&
+      typeof navigator.locks?.request === 'function'
+    );
+  }
+
+  // =============================================================================
+  // LIFECYCLE
+  // =============================================================================
+
+  /**
+   * Open the message transport and join leader election. A tab started with
+   * `candidate: false` only exchanges messages until joinElection() is called.
+   */
+  start({ candidate = true } = {}) {
+    if (this.running) return;
+    this.running = true;
+
+    if (this.hasBroadcastChannel()) {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.receive(event.data);
+    }
+
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('storage', this.handleStorageEvent);
+      window.addEventListener('pagehide', this.handleUnload);
+      window.addEventListener('beforeunload', this.handleUnload);
+    }
+
+    if (candidate) this.joinElection();
+  }
+
+  /**
+   * Compete for leadership (Web Locks, or the localStorage lease)
+   */
+  joinElection() {
+    if (!this.running || this.candidate) return;
+    this.candidate = true;
+
+    if (this.hasWebLocks()) {
+      this.requestLock();
+    } else {
+      this.renewLease();
+      this.timers.heartbeat = setInterval(
+        () => this.renewLease(),
+        this.heartbeatInterval,
+      );
+    }
+  }
+
+  /**
+   * Leave the election (handing leadership to another tab) and close transports
+   */
+  stop() {
+    if (!this.running) return;
+    this.running = false;
+    this.candidate = false;
+
+    if (this.timers.heartbeat) {
+      clearInterval(this.timers.heartbeat);
+      this.timers.heartbeat = null;
+    }
+
+    if (this.leader) {
+      this.resign();
+    }
+
+    if (this.releaseLock) {
+      this.releaseLock();
+      this.releaseLock = null;
+    }
+
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('storage', this.handleStorageEvent);
+      window.removeEventListener('pagehide', this.handleUnload);
+      window.removeEventListener('beforeunload', this.handleUnload);
+    }
+
+    if (this.channel) {
+      this.channel.close();
+      this.channel = null;
+    }
+  }
+
+  handleUnload() {
+    this.stop();
+  }
+
+  // =============================================================================
+  // LEADER ELECTION
+  // =============================================================================
+
+  isLeader() {
+    return this.leader;
+  }
+
+  setLeader(isLeader) {
+    if (this.leader === isLeader) return;
+    this.leader = isLeader;
+
+    const logger = globalThis.NightingaleLogger?.get('autosave:tabs');
+    logger?.debug('Tab leadership changed', {
+      tabId: this.tabId,
+      isLeader,
+    });
+
+    this.leadershipListeners.forEach((listener) => {
+      try {
+        listener(isLeader);
+      } catch (_) {
+        /* ignore listener errors */
+      }
+    });
+  }
+
+  /**
+   * Web Locks election: the lock is held until this tab stops or closes,
+   * at which point the browser grants it to the next waiting tab.
+   */
+  requestLock() {
+    navigator.locks
+      .request(`${this.channelName}:leader`, () => {
+        if (!this.running) return undefined;
+        this.setLeader(true);
+        return new Promise((resolve) => {
+          this.releaseLock = resolve;
+        });
+      })
+      .catch((error) => {
+        const logger = globalThis.NightingaleLogger?.get('autosave:tabs');
+        logger?.warn('Web Locks election failed, using lease fallback', {
+          error: error.message,
+        });
+        this.useWebLocks = false;
+        if (this.running && !this.timers.heartbeat) {
+          this.renewLease();
+          this.timers.heartbeat = setInterval(
+            () => this.renewLease(),
+            this.heartbeatInterval,
+          );
+        }
+      });
+  }
+
+  readLease() {
+    try {
+      const raw = localStorage.getItem(LEASE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Storage fallback election: claim the lease when it is free, expired or ours,
+   * then confirm the claim by reading it back.
+   */
+  renewLease() {
+    if (!this.running) return;
+    const now = Date.now();
+    const lease = this.readLease();
+
+    if (!lease || lease.expiresAt <= now || lease.tabId === this.tabId) {
+      try {
+        localStorage.setItem(
+          LEASE_KEY,
+          JSON.stringify({
+            tabId: this.tabId,
+            expiresAt: now + this.leaseDuration,
+          }),
+        );
+      } catch (_) {
+        // Storage unavailable; confirmation below decides
+      }
+      const confirmed = this.readLease();
+      // Without readable storage there is nothing to coordinate against
+      this.setLeader(!confirmed || confirmed.tabId === this.tabId);
+    } else {
+      this.setLeader(false);
+    }
+  }
+
+  resign() {
+    if (!this.hasWebLocks()) {
+      const lease = this.readLease();
+      if (lease?.tabId === this.tabId) {
+        try {
+          localStorage.removeItem(LEASE_KEY);
+        } catch (_) {
+          /* ignore */
+        }
+      }
+    }
+    this.broadcast(TAB_MESSAGES.LEADER_RESIGNED);
+    this.setLeader(false);
+  }
+
+  // =============================================================================
+  // MESSAGING
+  // =============================================================================
+
+  /**
+   * Whether messages reach other tabs with their payload. Without
+   * BroadcastChannel only signals are sent (see broadcast).
+   */
+  relaysData() {
+    return Boolean(this.channel);
+  }
+
+  /**
+   * Send a message to every other tab on the channel.
+   * Returns true when a transport accepted the message.
+   */
+  broadcast(type, payload = {}) {
+    const message = {
+      type,
+      tabId: this.tabId,
+      sentAt: Date.now(),
+      payload,
+    };
+
+    if (this.channel) {
+      try {
+        this.channel.postMessage(message);
+        return true;
+      } catch (error) {
+        const logger = globalThis.NightingaleLogger?.get('autosave:tabs');
+        logger?.warn('Broadcast failed', { type, error: error.message });
+        return false;
+      }
+    }
+
+    // Storage fallback: writing the key fires a storage event in other tabs.
+    // The value passes through localStorage in plaintext, so `data` is left out
+    // and other tabs pick the change up by re-reading the file once it is saved.
+    const { data, ...signal } = payload; // eslint-disable-line no-unused-vars
+    try {
+      localStorage.setItem(
+        MESSAGE_KEY,
+        JSON.stringify({ ...message, payload: signal }),
+      );
+      localStorage.removeItem(MESSAGE_KEY);
+      return true;
+    } catch (_) {
+      // Storage is full or unavailable; other tabs catch up on save
+      return false;
+    }
+  }
+
+  handleStorageEvent(event) {
+    if (!event) return;
+    if (event.key === MESSAGE_KEY && event.newValue) {
+      try {
+        this.receive(JSON.parse(event.newValue));
+      } catch (_) {
+        /* ignore malformed messages */
+      }
+    } else if (event.key === LEASE_KEY && !event.newValue) {
+      // Leader released the lease; compete immediately instead of waiting a heartbeat
+      if (this.candidate && !this.hasWebLocks()) this.renewLease();
+    }
+  }
+
+  receive(message) {
+    if (!message || !message.type || message.tabId === this.tabId) return;
+
+    if (
+      message.type === TAB_MESSAGES.LEADER_RESIGNED &&
+      !this.hasWebLocks() &&
+      this.candidate
+    ) {
+      this.renewLease();
+    }
+
+    this.messageListeners.forEach((listener) => {
+      try {
+        listener(message);
+      } catch (_) {
+        /* ignore listener errors */
+      }
+    });
+  }
+
+  /**
+   * Subscribe to messages from other tabs. Returns an unsubscribe function.
+   */
+  subscribe(fn) {
+    if (typeof fn !== 'function') return () => {};
+    this.messageListeners.add(fn);
+    return () => this.messageListeners.delete(fn);
+  }
+
+  /**
+   * Subscribe to leadership changes for this tab. Returns an unsubscribe function.
+   */
+  onLeadershipChange(fn) {
+    if (typeof fn !== 'function') return () => {};
+    this.leadershipListeners.add(fn);
+    return () => this.leadershipListeners.delete(fn);
+  }
+}
+
+export { TAB_MESSAGES };
+export default TabCoordinator;
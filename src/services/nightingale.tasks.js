@@ -0,0 +1,359 @@
+/**
+ * Nightingale CMS Tasks and Reminders
+ *
+ * Tasks live in the dataset's top-level `tasks` list: a title, the case they belong
+ * to (optional), a due date, priority, assignee (worker name), status and
+ * recurrence. Completing a recurring task creates the next one.
+ *
+ * Tasks are added by hand (Dashboard → My Tasks, case details → Tasks) or by the
+ * rules in AUTO_TASK_RULES, which run on every edit (see applyTaskRules) and when a
+ * VR request is created by the document generation service or the Correspondence
+ * page: a new VR request gets a "VR due back" task. A rule never adds a second task for the same record.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { dayjs } from './nightingale.dayjs.js';
+import {
+  ensureStringId,
+  generateSecureId,
+} from './nightingale.datamanagement.js';
+import { isDeleted } from './nightingale.recyclebin.js';
+
+export const TASK_STATUSES = ['Open', 'In Progress', 'Done', 'Cancelled'];
+export const TASK_PRIORITIES = ['Low', 'Normal', 'High'];
+
+/** Recurrence keys with their display names */
+export const TASK_RECURRENCES = {
+  none: 'Does not repeat',
+  daily: 'Daily',
+  weekly: 'Weekly',
+  monthly: 'Monthly',
+  yearly: 'Yearly',
+};
+
+const RECURRENCE_UNITS = {
+  daily: 'day',
+  weekly: 'week',
+  monthly: 'month',
+  yearly: 'year',
+};
+
+const CLOSED_STATUSES = new Set(['Done', 'Cancelled']);
+const PRIORITY_ORDER = { High: 0, Normal: 1, Low: 2 };
+const DATE_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * @typedef {Object} TaskRule
+ * @property {string} id - Recorded on the task as `source.rule`
+ * @property {string} collection - Top-level collection watched for new records
+ * @property {function(Object):string} title
+ * @property {function(Object):(string|null)} caseId
+ * @property {number} dueInDays - Due date, counted from the day the record appears
+ * @property {string} [priority]
+ */
+
+/** @type {Array<TaskRule>} */
+export const AUTO_TASK_RULES = [
+  {
+    id: 'vr-follow-up',
+    collection: 'vrRequests',
+    // Requests made on the Correspondence page have no title, only the client
+    title: (vr) =>
+      `VR due back: ${vr.title || vr.clientName || 'verification request'}`,
+    caseId: (vr) => vr.caseId ?? null,
+    dueInDays: 10,
+    priority: 'Normal',
+  },
+];
+
+function taskError(message) {
+  const error = new Error(message);
+  error.name = 'TaskError';
+  return error;
+}
+
+const today = () => dayjs().format(DATE_FORMAT);
+
+const sameId = (a, b) =>
+  a != null && b != null && ensureStringId(a) === ensureStringId(b);
+
+/**
+ * Whether a task still needs doing (not done, cancelled or in the Recycle Bin)
+ * @param {Object} task
+ * @returns {boolean}
+ */
+export function isOpenTask(task) {
+  return !!task && !isDeleted(task) && !CLOSED_STATUSES.has(task.status);
+}
+
+/**
+ * New task record
+ *
+ * @param {Object} fields - title (required), caseId, dueDate (YYYY-MM-DD),
+ *   priority, assignee, recurrence, notes, source
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Worker name (createdBy)
+ * @param {string} [options.timestamp] - ISO time (defaults to now)
+ * @returns {Object}
+ * @throws {Error} name 'TaskError' when the title is missing or a value is unknown
+ */
+export function createTask(fields = {}, options = {}) {
+  const { actor = null, timestamp = new Date().toISOString() } = options;
+  const title = String(fields.title || '').trim();
+  if (!title) throw taskError('A task needs a title');
+  const priority = fields.priority || 'Normal';
+  if (!TASK_PRIORITIES.includes(priority)) {
+    throw taskError(`Unknown task priority: ${priority}`);
+  }
+  const recurrence = fields.recurrence || 'none';
+  if (!(recurrence in TASK_RECURRENCES)) {
+    throw taskError(`Unknown task recurrence: ${recurrence}`);
+  }
+  return {
+    id: generateSecureId('task'),
+    title,
+    caseId: fields.caseId ? ensureStringId(fields.caseId) : null,
+    dueDate: fields.dueDate || null,
+    priority,
+    assignee: String(fields.assignee || '').trim(),
+    status: 'Open',
+    recurrence,
+    ...(fields.notes ? { notes: String(fields.notes) } : {}),
+    ...(fields.source ? { source: fields.source } : {}),
+    createdAt: timestamp,
+    createdBy: actor || null,
+  };
+}
+
+/**
+ * Dataset with a task added
+ * @param {Object} data - Not mutated
+ * @param {Object} task - From createTask()
+ * @returns {Object}
+ */
+export function addTask(data, task) {
+  return { ...data, tasks: [...(data?.tasks || []), task] };
+}
+
+/**
+ * Dataset with one task changed
+ * @param {Object} data - Not mutated
+ * @param {string} taskId
+ * @param {Object} patch
+ * @returns {Object}
+ * @throws {Error} name 'TaskError' when the task does not exist
+ */
+export function updateTask(data, taskId, patch) {
+  const tasks = data?.tasks || [];
+  if (!tasks.some((task) => sameId(task?.id, taskId))) {
+    throw taskError(`No task with id ${taskId}`);
+  }
+  return {
+    ...data,
+    tasks: tasks.map((task) =>
+      sameId(task?.id, taskId) ? { ...task, ...patch } : task,
+    ),
+  };
+}
+
+/**
+ * Due date of the next occurrence of a recurring task
+ * @param {string|null} dueDate - YYYY-MM-DD; today when empty
+ * @param {string} recurrence - Key of TASK_RECURRENCES
+ * @returns {string|null} YYYY-MM-DD, or null for 'none'
+ */
+export function nextDueDate(dueDate, recurrence) {
+  const unit = RECURRENCE_UNITS[recurrence];
+  if (!unit) return null;
+  const from = dueDate ? dayjs(dueDate) : dayjs();
+  return from.add(1, unit).format(DATE_FORMAT);
+}
+
+/**
+ * Mark a task done; a recurring task is followed by its next occurrence.
+ *
+ * @param {Object} data - Not mutated
+ * @param {string} taskId
+ * @param {Object} [options] - { actor, timestamp }
+ * @returns {{ data:Object, task:Object, next:Object|null }}
+ * @throws {Error} name 'TaskError' when the task does not exist
+ */
+export function completeTask(data, taskId, options = {}) {
+  const { actor = null, timestamp = new Date().toISOString() } = options;
+  const task = (data?.tasks || []).find((item) => sameId(item?.id, taskId));
+  if (!task) throw taskError(`No task with id ${taskId}`);
+  let next = updateTask(data, taskId, {
+    status: 'Done',
+    completedAt: timestamp,
+    completedBy: actor || null,
+  });
+  const dueDate = nextDueDate(task.dueDate, task.recurrence);
+  let following = null;
+  if (dueDate) {
+    following = createTask(
+      { ...task, dueDate, source: { recurrenceOf: task.id } },
+      { actor, timestamp },
+    );
+    next = addTask(next, following);
+  }
+  return {
+    data: next,
+    task: next.tasks.find((item) => sameId(item.id, taskId)),
+    next: following,
+  };
+}
+
+const byDueDate = (a, b) => {
+  if (a.dueDate !== b.dueDate) {
+    if (!a.dueDate) return 1;
+    if (!b.dueDate) return -1;
+    return a.dueDate < b.dueDate ? -1 : 1;
+  }
+  return (PRIORITY_ORDER[a.priority] ?? 1) - (PRIORITY_ORDER[b.priority] ?? 1);
+};
+
+/**
+ * Open tasks grouped by due date, each group sorted by due date then priority.
+ * Tasks without a due date are listed last under `upcoming`.
+ *
+ * @param {Array<Object>} tasks
+ * @param {Object} [options]
+ * @param {string} [options.today] - YYYY-MM-DD (defaults to today)
+ * @returns {{ overdue:Array, today:Array, upcoming:Array }}
+ */
+export function groupTasksByDue(tasks, options = {}) {
+  const day = options.today || today();
+  const groups = { overdue: [], today: [], upcoming: [] };
+  (Array.isArray(tasks) ? tasks : [])
+    .filter(isOpenTask)
+    .sort(byDueDate)
+    .forEach((task) => {
+      if (task.dueDate && task.dueDate < day) groups.overdue.push(task);
+      else if (task.dueDate === day) groups.today.push(task);
+      else groups.upcoming.push(task);
+    });
+  return groups;
+}
+
+/**
+ * Tasks assigned to a worker, or to nobody; all tasks when no worker is named
+ * @param {Array<Object>} tasks
+ * @param {string} worker - Worker name (Settings → Worker Identity)
+ * @returns {Array<Object>}
+ */
+export function tasksForWorker(tasks, worker) {
+  const name = String(worker || '')
+    .trim()
+    .toLowerCase();
+  const list = Array.isArray(tasks) ? tasks : [];
+  if (!name) return list;
+  return list.filter(
+    (task) => !task.assignee || task.assignee.toLowerCase() === name,
+  );
+}
+
+/**
+ * Open tasks of a case, soonest first
+ * @param {Array<Object>} tasks
+ * @param {string|number} caseId
+ * @returns {Array<Object>}
+ */
+export function caseTasks(tasks, caseId) {
+  return (Array.isArray(tasks) ? tasks : [])
+    .filter((task) => isOpenTask(task) && sameId(task.caseId, caseId))
+    .sort(byDueDate);
+}
+
+/**
+ * Short due text: "Overdue by 2 days", "Due today", "Due in 3 days", "No due date"
+ * @param {Object} task
+ * @param {string} [day] - YYYY-MM-DD (defaults to today)
+ * @returns {string}
+ */
+export function describeDue(task, day = today()) {
+  if (!task?.dueDate) return 'No due date';
+  const days = dayjs(task.dueDate).diff(dayjs(day), 'day');
+  const plural = (n) => `${n} day${n === 1 ? '' : 's'}`;
+  if (days < 0) return `Overdue by ${plural(-days)}`;
+  if (days === 0) return 'Due today';
+  return `Due in ${plural(days)}`;
+}
+
+/**
+ * Add the tasks the rules call for: one per record that appears in a watched
+ * collection between `previous` and `next` (records restored from the Recycle Bin
+ * do not count) and has no task from that rule yet.
+ *
+ * @param {Object|null} previous - Dataset before the change
+ * @param {Object} next - Dataset after the change (not mutated)
+ * @param {Object} [options]
+ * @param {string} [options.actor] - Worker name
+ * @param {string} [options.timestamp] - ISO time (defaults to now)
+ * @param {Array<TaskRule>} [options.rules]
+ * @returns {Object} `next` with the tasks added, or `next` itself
+ */
+export function applyTaskRules(previous, next, options = {}) {
+  const {
+    actor = null,
+    timestamp = new Date().toISOString(),
+    rules = AUTO_TASK_RULES,
+  } = options;
+  if (!next || previous === next) return next;
+  const existing = new Set(
+    (next.tasks || [])
+      .filter((task) => task?.source?.rule)
+      .map((task) => `${task.source.rule}:${task.source.id}`),
+  );
+  const created = [];
+  rules.forEach((rule) => {
+    const list = next[rule.collection];
+    if (!Array.isArray(list) || list === previous?.[rule.collection]) return;
+    const before = new Set(
+      (previous?.[rule.collection] || []).map((record) =>
+        ensureStringId(record?.id),
+      ),
+    );
+    list.forEach((record) => {
+      if (!record || record.id == null || isDeleted(record)) return;
+      const id = ensureStringId(record.id);
+      if (before.has(id) || existing.has(`${rule.id}:${id}`)) return;
+      created.push(
+        createTask(
+          {
+            title: rule.title(record),
+            caseId: rule.caseId(record),
+            dueDate: dayjs(timestamp)
+              .add(rule.dueInDays, 'day')
+              .format(DATE_FORMAT),
+            priority: rule.priority,
+            source: { rule: rule.id, collection: rule.collection, id },
+          },
+          { actor, timestamp },
+        ),
+      );
+    });
+  });
+  return created.length === 0
+    ? next
+    : { ...next, tasks: [...(next.tasks || []), ...created] };
+}
+
+export default {
+  TASK_STATUSES,
+  TASK_PRIORITIES,
+  TASK_RECURRENCES,
+  AUTO_TASK_RULES,
+  isOpenTask,
+  createTask,
+  addTask,
+  updateTask,
+  nextDueDate,
+  completeTask,
+  groupTasksByDue,
+  tasksForWorker,
+  caseTasks,
+  describeDue,
+  applyTaskRules,
+};
@@ -0,0 +1,273 @@
+/**
+ * Nightingale CMS Dataset Validator
+ *
+ * Validates data against the JSON Schema subset used by `nightingale.schema.js` and
+ * reports every issue with the exact JSON path (`$.cases[3].financials.income[0].amount`)
+ * and a severity. Supported keywords: $ref (local `#/$defs/...`), type, enum, required,
+ * properties, additionalProperties, items, minLength, pattern, minimum, format
+ * (date, date-time) and anyOf, plus the `x-severity`, `x-placeholder` and `x-uniqueIds`
+ * annotations.
+ *
+ * Format mismatches are always warnings: legacy files mix ISO and MM/DD/YYYY dates.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import DATASET_SCHEMA, {
+  DATASET_SCHEMA_VERSION,
+} from './nightingale.schema.js';
+
+export const SEVERITIES = ['error', 'warning'];
+
+/** Issues reported per validation run at most (the summary still counts all) */
+export const MAX_REPORTED_ISSUES = 500;
+
+const IDENTIFIER = /^[A-Za-z_$][A-Za-z0-9_$]*$/;
+
+/**
+ * JSON path of a child node
+ * @param {string} path - Parent path ('$' for the root)
+ * @param {string|number} key
+ * @returns {string}
+ */
+export function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return IDENTIFIER.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? 'integer' : 'number';
+  }
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function matchesFormat(value, format) {
+  if (typeof value !== 'string' || value === '') return true;
+  if (format === 'date' || format === 'date-time') {
+    return !Number.isNaN(Date.parse(value));
+  }
+  return true;
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new Error(`Unsupported schema reference: ${ref}`);
+  }
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, part) => node?.[part], root);
+}
+
+/**
+ * Validate `value` against `schema`.
+ *
+ * @param {*} value
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {Object} [options.root] - Schema used to resolve $ref (default: schema)
+ * @param {string} [options.path='$'] - Path of `value`
+ * @returns {Array<{ path:string, message:string, severity:'error'|'warning', keyword:string }>}
+ */
+export function validateAgainstSchema(
+  value,
+  schema,
+  { root = schema, path = '$' } = {},
+) {
+  const issues = [];
+
+  const visit = (node, rule, at, severity) => {
+    if (!rule) return;
+    if (rule.$ref) {
+      const target = resolveRef(root, rule.$ref);
+      if (!target) throw new Error(`Unresolved schema reference: ${rule.$ref}`);
+      visit(node, target, at, rule['x-severity'] || severity);
+      return;
+    }
+    const level = rule['x-severity'] || severity;
+    const report = (keyword, message, override) =>
+      issues.push({ path: at, message, severity: override || level, keyword });
+
+    if (rule.type) {
+      const types = Array.isArray(rule.type) ? rule.type : [rule.type];
+      if (!types.some((type) => matchesType(node, type))) {
+        report('type', `Expected ${types.join(' or ')}, got ${typeOf(node)}`);
+        return;
+      }
+    }
+    if (rule.enum && !rule.enum.some((option) => option === node)) {
+      report(
+        'enum',
+        `Unexpected value ${JSON.stringify(node)} (allowed: ${rule.enum
+          .map((option) => JSON.stringify(option))
+          .join(', ')})`,
+      );
+    }
+    if (rule['x-placeholder']?.includes(node)) {
+      report(
+        'x-placeholder',
+        `Placeholder value ${JSON.stringify(node)} filled in for missing data`,
+        'warning',
+      );
+    }
+    if (rule.anyOf) {
+      const matched = rule.anyOf.some(
+        (option) =>
+          validateAgainstSchema(node, option, { root, path: at }).length === 0,
+      );
+      if (!matched) report('anyOf', 'Does not match any allowed shape');
+    }
+
+    if (typeof node === 'string') {
+      if (rule.minLength != null && node.length < rule.minLength) {
+        report(
+          'minLength',
+          node.length === 0
+            ? 'Must not be empty'
+            : `Must be at least ${rule.minLength} characters`,
+        );
+      }
+      if (rule.pattern && !new RegExp(rule.pattern).test(node)) {
+        report('pattern', `Does not match ${rule.pattern}`);
+      }
+      if (rule.format && !matchesFormat(node, rule.format)) {
+        report('format', `Not a valid ${rule.format}`, 'warning');
+      }
+    }
+    if (typeof node === 'number' && rule.minimum != null) {
+      if (node < rule.minimum) report('minimum', `Must be >= ${rule.minimum}`);
+    }
+
+    if (typeOf(node) === 'object') {
+      (rule.required || []).forEach((key) => {
+        if (node[key] === undefined) {
+          issues.push({
+            path: childPath(at, key),
+            message: 'Required field is missing',
+            severity: level,
+            keyword: 'required',
+          });
+        }
+      });
+      const properties = rule.properties || {};
+      Object.keys(node).forEach((key) => {
+        if (properties[key]) {
+          visit(node[key], properties[key], childPath(at, key), level);
+        } else if (rule.additionalProperties === false) {
+          issues.push({
+            path: childPath(at, key),
+            message: 'Unknown field',
+            severity: level,
+            keyword: 'additionalProperties',
+          });
+        } else if (typeof rule.additionalProperties === 'object') {
+          visit(
+            node[key],
+            rule.additionalProperties,
+            childPath(at, key),
+            level,
+          );
+        }
+      });
+    }
+
+    if (Array.isArray(node)) {
+      if (rule.items) {
+        node.forEach((item, index) =>
+          visit(item, rule.items, childPath(at, index), level),
+        );
+      }
+      if (rule['x-uniqueIds']) {
+        const seen = new Map();
+        node.forEach((item, index) => {
+          if (item?.id == null) return;
+          const key = String(item.id);
+          if (seen.has(key)) {
+            issues.push({
+              path: childPath(childPath(at, index), 'id'),
+              message: `Duplicate id ${JSON.stringify(key)} (also at ${childPath(at, seen.get(key))})`,
+              severity: level,
+              keyword: 'x-uniqueIds',
+            });
+          } else {
+            seen.set(key, index);
+          }
+        });
+      }
+    }
+  };
+
+  visit(value, schema, path, 'error');
+  return issues;
+}
+
+/**
+ * Validate a whole dataset against the Nightingale schema.
+ *
+ * @param {Object} data
+ * @param {Object} [options]
+ * @param {Object} [options.schema] - Schema override (tests)
+ * @returns {{ valid:boolean, schemaVersion:string, checkedAt:number,
+ *   summary:{ errors:number, warnings:number }, issues:Array, truncated:boolean }}
+ *   `valid` is false only for error-severity issues.
+ */
+export function validateDataset(data, { schema = DATASET_SCHEMA } = {}) {
+  const all =
+    data && typeof data === 'object' && !Array.isArray(data)
+      ? validateAgainstSchema(data, schema)
+      : [
+          {
+            path: '$',
+            message: 'Dataset must be an object',
+            severity: 'error',
+            keyword: 'type',
+          },
+        ];
+  const summary = { errors: 0, warnings: 0 };
+  all.forEach((issue) => {
+    if (issue.severity === 'error') summary.errors++;
+    else summary.warnings++;
+  });
+  // Errors first, then document order
+  const ordered = [
+    ...all.filter((issue) => issue.severity === 'error'),
+    ...all.filter((issue) => issue.severity !== 'error'),
+  ];
+  return {
+    valid: summary.errors === 0,
+    schemaVersion: schema.version || DATASET_SCHEMA_VERSION,
+    checkedAt: Date.now(),
+    summary,
+    issues: ordered.slice(0, MAX_REPORTED_ISSUES),
+    truncated: ordered.length > MAX_REPORTED_ISSUES,
+  };
+}
+
+/**
+ * One-line description of a report, e.g. "2 errors, 5 warnings"
+ */
+export function describeValidation(report) {
+  if (!report) return 'Not validated';
+  const { errors, warnings } = report.summary;
+  if (errors === 0 && warnings === 0) return 'No issues';
+  const part = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+  return [
+    errors ? part(errors, 'error') : null,
+    warnings ? part(warnings, 'warning') : null,
+  ]
+    .filter(Boolean)
+    .join(', ');
+}
+
+export default validateDataset;
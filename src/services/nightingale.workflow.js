@@ -0,0 +1,285 @@
+/**
+ * Nightingale CMS Case Status Workflow
+ *
+ * The case `status` follows a workflow definition: the statuses a case can have,
+ * which of them count as open (`active`), and the allowed transitions between them.
+ * A transition can require a reason (e.g. a denial reason, stored on the case in the
+ * transition's `reason.field`) and clear fields; entering a status can stamp a date
+ * field (e.g. `approvedDate`, `closedDate`).
+ *
+ * The definition is configurable in Settings → Case Workflow and stored with the
+ * other settings; DEFAULT_CASE_WORKFLOW applies when none is saved or the saved one
+ * is invalid. Cases with a status the workflow does not know (older data) can move
+ * to any status.
+ *
+ * @version 1.0.0
+ * @author Nightingale CMS Team
+ */
+
+import { getCaseWorkflow } from './settings.js';
+
+/**
+ * @typedef {Object} WorkflowStatus
+ * @property {string} name
+ * @property {boolean} active - Case is open (counted as active, shown by the Open filter)
+ * @property {string} [color] - Tailwind background class for badges
+ * @property {string} [stamp] - Date field set when a case enters the status
+ *
+ * @typedef {Object} WorkflowTransition
+ * @property {Array<string>|string} from - Status names, or '*' for any status
+ * @property {string} to
+ * @property {{ field:string, label:string }} [reason] - Required reason and where it is stored
+ * @property {Array<string>} [clear] - Fields removed from the case
+ */
+
+/** Built-in workflow */
+export const DEFAULT_CASE_WORKFLOW = {
+  initialStatus: 'Pending',
+  statuses: [
+    { name: 'Pending', active: true, color: 'bg-yellow-500' },
+    { name: 'In Progress', active: true, color: 'bg-blue-500' },
+    {
+      name: 'Approved',
+      active: true,
+      color: 'bg-emerald-500',
+      stamp: 'approvedDate',
+    },
+    { name: 'Active', active: true, color: 'bg-green-500' },
+    {
+      name: 'Denied',
+      active: false,
+      color: 'bg-red-500',
+      stamp: 'deniedDate',
+    },
+    {
+      name: 'Closed',
+      active: false,
+      color: 'bg-gray-500',
+      stamp: 'closedDate',
+    },
+  ],
+  transitions: [
+    { from: ['Pending'], to: 'In Progress' },
+    { from: ['In Progress'], to: 'Pending' },
+    { from: ['Pending', 'In Progress'], to: 'Approved' },
+    {
+      from: ['Pending', 'In Progress'],
+      to: 'Denied',
+      reason: { field: 'denialReason', label: 'Denial reason' },
+    },
+    { from: ['Approved'], to: 'Active' },
+    {
+      from: ['Pending', 'In Progress', 'Approved', 'Active'],
+      to: 'Closed',
+      reason: { field: 'closureReason', label: 'Closure reason' },
+    },
+    {
+      from: ['Denied', 'Closed'],
+      to: 'Pending',
+      reason: { field: 'reopenReason', label: 'Reason for reopening' },
+      clear: ['deniedDate', 'closedDate', 'denialReason', 'closureReason'],
+    },
+  ],
+};
+
+function workflowError(message) {
+  const error = new Error(message);
+  error.name = 'WorkflowError';
+  return error;
+}
+
+const fromList = (transition) =>
+  Array.isArray(transition.from) ? transition.from : [transition.from];
+
+/**
+ * Problems with a workflow definition
+ * @param {Object} definition
+ * @returns {Array<string>} Empty when the definition is usable
+ */
+export function validateWorkflow(definition) {
+  if (!definition || typeof definition !== 'object') {
+    return ['The workflow must be an object'];
+  }
+  const errors = [];
+  const statuses = Array.isArray(definition.statuses)
+    ? definition.statuses
+    : [];
+  if (statuses.length === 0) errors.push('At least one status is required');
+  const names = new Set();
+  statuses.forEach((status, index) => {
+    if (!status?.name || typeof status.name !== 'string') {
+      errors.push(`Status ${index + 1} has no name`);
+    } else if (names.has(status.name)) {
+      errors.push(`Status "${status.name}" is listed twice`);
+    } else {
+      names.add(status.name);
+    }
+  });
+  if (!names.has(definition.initialStatus)) {
+    errors.push(`Initial status "${definition.initialStatus}" is not a status`);
+  }
+  if (!Array.isArray(definition.transitions)) {
+    errors.push('Transitions must be a list');
+    return errors;
+  }
+  definition.transitions.forEach((transition, index) => {
+    const label = `Transition ${index + 1}`;
+    if (!names.has(transition?.to)) {
+      errors.push(`${label}: "${transition?.to}" is not a status`);
+    }
+    fromList(transition || {}).forEach((from) => {
+      if (from !== '*' && !names.has(from)) {
+        errors.push(`${label}: "${from}" is not a status`);
+      }
+    });
+    if (transition?.reason && !transition.reason.field) {
+      errors.push(`${label}: the reason needs a field`);
+    }
+  });
+  return errors;
+}
+
+/**
+ * A usable workflow: the definition when it is valid, DEFAULT_CASE_WORKFLOW otherwise
+ * @param {Object|null} definition
+ * @returns {Object}
+ */
+export function resolveWorkflow(definition) {
+  return definition && validateWorkflow(definition).length === 0
+    ? definition
+    : DEFAULT_CASE_WORKFLOW;
+}
+
+/** Workflow from Settings (or the default) */
+export function currentCaseWorkflow() {
+  return resolveWorkflow(getCaseWorkflow());
+}
+
+/** Status names in workflow order */
+export const statusNames = (workflow) =>
+  workflow.statuses.map((status) => status.name);
+
+/**
+ * @returns {WorkflowStatus|null}
+ */
+export function findStatus(workflow, name) {
+  return workflow.statuses.find((status) => status.name === name) || null;
+}
+
+/**
+ * Whether a case with this status is open. Statuses the workflow does not know are
+ * treated as open.
+ */
+export function isActiveStatus(workflow, name) {
+  const status = findStatus(workflow, name);
+  return status ? status.active !== false : true;
+}
+
+/** Badge class for a status */
+export function statusColor(workflow, name) {
+  return findStatus(workflow, name)?.color || 'bg-gray-500';
+}
+
+/**
+ * The transition from one status to another, or null when it is not allowed
+ * @returns {WorkflowTransition|null}
+ */
+export function findTransition(workflow, from, to) {
+  if (!findStatus(workflow, to)) return null;
+  const known = !!findStatus(workflow, from);
+  const matches = workflow.transitions.filter((t) => t.to === to);
+  const transition = matches.find((t) => {
+    const list = fromList(t);
+    return list.includes('*') || list.includes(from);
+  });
+  if (transition) return transition;
+  // Statuses unknown to the workflow may move anywhere (reason rules still apply)
+  return known ? null : matches[0] || { from: '*', to };
+}
+
+/**
+ * Statuses a case can move to from `from`, in workflow order
+ * @returns {Array<{ to:string, reason:Object|null }>}
+ */
+export function nextStatuses(workflow, from) {
+  return statusNames(workflow)
+    .filter((name) => name !== from)
+    .map((name) => ({
+      to: name,
+      transition: findTransition(workflow, from, name),
+    }))
+    .filter(({ transition }) => transition)
+    .map(({ to, transition }) => ({ to, reason: transition.reason || null }));
+}
+
+/**
+ * Case after a status change, with the transition's side effects applied.
+ *
+ * @param {Object} caseItem - Not mutated
+ * @param {string} to - New status
+ * @param {Object} [options]
+ * @param {string} [options.reason] - Required when the transition asks for one
+ * @param {Object} [options.workflow] - Defaults to currentCaseWorkflow()
+ * @param {string} [options.timestamp] - ISO time for stamped dates (defaults to now)
+ * @returns {Object} The case (the same object when the status does not change)
+ * @throws {Error} name 'WorkflowError' when the transition is not allowed or the
+ *   reason is missing
+ */
+export function applyStatusChange(caseItem, to, options = {}) {
+  const {
+    reason,
+    workflow = currentCaseWorkflow(),
+    timestamp = new Date().toISOString(),
+  } = options;
+  const from = caseItem?.status || '';
+  if (from === to) return caseItem;
+  const transition = findTransition(workflow, from, to);
+  if (!transition) {
+    throw workflowError(
+      `A case cannot move from ${from || 'no status'} to ${to}`,
+    );
+  }
+  const next = { ...caseItem, status: to };
+  (transition.clear || []).forEach((field) => {
+    delete next[field];
+  });
+  if (transition.reason) {
+    const text = String(reason || '').trim();
+    if (!text) throw workflowError(`${transition.reason.label} is required`);
+    next[transition.reason.field] = text;
+  }
+  const stamp = findStatus(workflow, to)?.stamp;
+  if (stamp) next[stamp] = timestamp;
+  return next;
+}
+
+/**
+ * New case in the workflow's initial status (with its stamp)
+ * @param {Object} caseItem
+ * @param {Object} [options] - { workflow, timestamp }
+ * @returns {Object}
+ */
+export function applyInitialStatus(caseItem, options = {}) {
+  const {
+    workflow = currentCaseWorkflow(),
+    timestamp = new Date().toISOString(),
+  } = options;
+  const next = { ...caseItem, status: workflow.initialStatus };
+  const stamp = findStatus(workflow, workflow.initialStatus)?.stamp;
+  if (stamp) next[stamp] = timestamp;
+  return next;
+}
+
+export default {
+  DEFAULT_CASE_WORKFLOW,
+  validateWorkflow,
+  resolveWorkflow,
+  currentCaseWorkflow,
+  findStatus,
+  isActiveStatus,
+  statusColor,
+  findTransition,
+  nextStatuses,
+  applyStatusChange,
+  applyInitialStatus,
+};
@@ -5,6 +5,50 @@ const STORAGE_KEY = 'nightingale:settings:v1';
 
 const defaultSettings = {
   strictValidation: false, // When true, creation modals require fields to proceed
+  // Timestamped nightingale-data.backup-*.json files kept in the data folder
+  backupRetention: {
+    keepLast: 10, // most recent backups always kept
+    dailyDays: 30, // newest backup per day for this many days
+    monthlyMonths: 12, // newest backup per month for this many months
+  },
+  // Where the data file lives: 'auto' or an adapter kind (fsa, opfs, indexeddb, http, memory)
+  storageAdapter: 'auto',
+  // Local sync server used by the 'http' storage adapter (scripts/sync-server.js)
+  syncServerUrl: 'http://localhost:8787',
+  // Worker identity recorded in the audit trail
+  workerName: '',
+  // Days a record stays in the Recycle Bin before it is purged for good
+  recycleBinRetentionDays: 30,
+  // Case status workflow (nightingale.workflow.js); null uses the built-in one
+  caseWorkflow: null,
+  // Application processing timeframes (nightingale.deadlines.js)
+  processingDeadlines: {
+    defaultRule: { days: 45, unit: 'calendar' },
+    byCaseType: {
+      LTC: { days: 45, unit: 'calendar' },
+      Waiver: { days: 90, unit: 'calendar' },
+      SIMP: { days: 45, unit: 'calendar' },
+    },
+    warningDays: 10, // "approaching" when this many days or fewer remain
+    clockStatuses: ['', 'Pending', 'In Progress'], // statuses the clock runs in
+  },
+  // Non-business days besides weekends: observed US federal holidays plus custom dates
+  holidayCalendar: { federal: true, custom: [] },
+  // Certification period length (months) per case type, and how many days before the
+  // period ends a renewal starts
+  renewals: {
+    defaultMonths: 12,
+    byCaseType: { LTC: 12, Waiver: 12, SIMP: 12 },
+    leadDays: 60,
+  },
+  // Monthly equivalent of one payment at each frequency (one-time items are left out
+  // of recurring totals)
+  frequencyFactors: {
+    monthly: 1,
+    weekly: 4.3333,
+    daily: 30.4167,
+    yearly: 1 / 12,
+  },
 };
 
 function loadRaw() {
@@ -47,6 +91,72 @@ export function setStrictValidationEnabled(value) {
   return updateSettings({ strictValidation: !!value });
 }
 
+export function getBackupRetention() {
+  return {
+    ...defaultSettings.backupRetention,
+    ...(getSettings().backupRetention || {}),
+  };
+}
+
+export function getStorageAdapter() {
+  return getSettings().storageAdapter || defaultSettings.storageAdapter;
+}
+
+export function getSyncServerUrl() {
+  return getSettings().syncServerUrl || defaultSettings.syncServerUrl;
+}
+
+export function getWorkerName() {
+  return String(getSettings().workerName || '').trim();
+}
+
+export function getRecycleBinRetentionDays() {
+  const days = Number(getSettings().recycleBinRetentionDays);
+  return Number.isFinite(days) && days >= 1
+    ? Math.floor(days)
+    : defaultSettings.recycleBinRetentionDays;
+}
+
+export function getCaseWorkflow() {
+  const workflow = getSettings().caseWorkflow;
+  return workflow && typeof workflow === 'object' ? workflow : null;
+}
+
+export function getProcessingDeadlines() {
+  const stored = getSettings().processingDeadlines || {};
+  const defaults = defaultSettings.processingDeadlines;
+  return {
+    ...defaults,
+    ...stored,
+    byCaseType: stored.byCaseType || defaults.byCaseType,
+  };
+}
+
+export function getHolidayCalendar() {
+  const stored = getSettings().holidayCalendar || {};
+  return {
+    federal: stored.federal !== false,
+    custom: Array.isArray(stored.custom) ? stored.custom : [],
+  };
+}
+
+export function getRenewalSettings() {
+  const stored = getSettings().renewals || {};
+  const defaults = defaultSettings.renewals;
+  return {
+    ...defaults,
+    ...stored,
+    byCaseType: stored.byCaseType || defaults.byCaseType,
+  };
+}
+
+export function getFrequencyFactors() {
+  return {
+    ...defaultSettings.frequencyFactors,
+    ...(getSettings().frequencyFactors || {}),
+  };
+}
+
 // Provide a simple event subscription (in-memory only) for UI reactivity.
 const listeners = new Set();
 export function subscribeSettings(fn) {
@@ -81,11 +191,89 @@ export function writeSettings(patch) {
   return next;
 }
 
+export function setBackupRetention(policy) {
+  return writeSettings({
+    backupRetention: { ...getBackupRetention(), ...(policy || {}) },
+  });
+}
+
+export function setStorageAdapter(kind) {
+  return writeSettings({ storageAdapter: kind || 'auto' });
+}
+
+export function setSyncServerUrl(url) {
+  return writeSettings({ syncServerUrl: String(url || '').trim() || null });
+}
+
+export function setWorkerName(name) {
+  return writeSettings({ workerName: String(name || '').trim() });
+}
+
+export function setRecycleBinRetentionDays(days) {
+  const value = Math.floor(Number(days));
+  return writeSettings({
+    recycleBinRetentionDays:
+      Number.isFinite(value) && value >= 1
+        ? value
+        : defaultSettings.recycleBinRetentionDays,
+  });
+}
+
+export function setCaseWorkflow(workflow) {
+  return writeSettings({
+    caseWorkflow: workflow && typeof workflow === 'object' ? workflow : null,
+  });
+}
+
+export function setProcessingDeadlines(config) {
+  return writeSettings({
+    processingDeadlines: { ...getProcessingDeadlines(), ...(config || {}) },
+  });
+}
+
+export function setHolidayCalendar(calendar) {
+  return writeSettings({
+    holidayCalendar: { ...getHolidayCalendar(), ...(calendar || {}) },
+  });
+}
+
+export function setRenewalSettings(config) {
+  return writeSettings({
+    renewals: { ...getRenewalSettings(), ...(config || {}) },
+  });
+}
+
+export function setFrequencyFactors(factors) {
+  return writeSettings({
+    frequencyFactors: { ...getFrequencyFactors(), ...(factors || {}) },
+  });
+}
+
 export default {
   getSettings,
   updateSettings: writeSettings,
   getStrictValidationEnabled,
   setStrictValidationEnabled,
   toggleStrictValidation,
+  getBackupRetention,
+  setBackupRetention,
+  getStorageAdapter,
+  setStorageAdapter,
+  getSyncServerUrl,
+  setSyncServerUrl,
+  getWorkerName,
+  setWorkerName,
+  getRecycleBinRetentionDays,
+  setRecycleBinRetentionDays,
+  getCaseWorkflow,
+  setCaseWorkflow,
+  getProcessingDeadlines,
+  setProcessingDeadlines,
+  getHolidayCalendar,
+  setHolidayCalendar,
+  getRenewalSettings,
+  setRenewalSettings,
+  getFrequencyFactors,
+  setFrequencyFactors,
   subscribeSettings,
 };
@@ -0,0 +1,231 @@
+/**
+ * threeWayMerge.js
+ * Field-level three-way merge of two edited copies of the dataset against their common base.
+ * Used when nightingale-data.json changed on disk while this tab held unsaved edits.
+ *
+ * Records in `cases`, `people`, `organizations`, `vrRequests`, `tasks` and `attachments`
+ * are matched by id. For each field:
+ *  - changed on one side only → that side wins
+ *  - changed identically on both sides → kept
+ *  - changed differently on both sides → local ("mine") wins and a conflict is reported
+ * `auditLog` is append-only: the result is the union of both sides' entries by id, in time order.
+ * Other top-level keys are merged with the same rules as whole values; id counters take the max.
+ */
+
+import { ensureStringId } from './nightingale.datamanagement.js';
+
+export const MERGED_COLLECTIONS = [
+  'cases',
+  'people',
+  'organizations',
+  'vrRequests',
+  'tasks',
+  'attachments',
+];
+
+export const APPEND_ONLY_COLLECTIONS = ['auditLog'];
+
+function same(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Three-way merge of a single value.
+ * @returns {{ value:any, conflict:boolean }}
+ */
+function mergeValue(base, mine, theirs) {
+  if (same(mine, theirs)) return { value: mine, conflict: false };
+  if (same(mine, base)) return { value: theirs, conflict: false };
+  if (same(theirs, base)) return { value: mine, conflict: false };
+  return { value: mine, conflict: true };
+}
+
+function indexById(list) {
+  const map = new Map();
+  (Array.isArray(list) ? list : []).forEach((item) => {
+    if (item && item.id != null) map.set(ensureStringId(item.id), item);
+  });
+  return map;
+}
+
+/**
+ * Merge one record field by field.
+ * @returns {{ record:Object, conflicts:Array<{field:string, mine:any, theirs:any}> }}
+ */
+function mergeRecord(base = {}, mine = {}, theirs = {}) {
+  const record = {};
+  const conflicts = [];
+  const fields = new Set([
+    ...Object.keys(base),
+    ...Object.keys(mine),
+    ...Object.keys(theirs),
+  ]);
+  fields.forEach((field) => {
+    const { value, conflict } = mergeValue(
+      base[field],
+      mine[field],
+      theirs[field],
+    );
+    if (value !== undefined) record[field] = value;
+    if (conflict) {
+      conflicts.push({ field, mine: mine[field], theirs: theirs[field] });
+    }
+  });
+  return { record, conflicts };
+}
+
+/**
+ * Merge one id-keyed collection. Order follows the local list, then records
+ * only present on disk in their disk order.
+ */
+function mergeCollection(name, baseList, mineList, theirsList) {
+  const base = indexById(baseList);
+  const mine = indexById(mineList);
+  const theirs = indexById(theirsList);
+  const ids = [
+    ...mine.keys(),
+    ...[...theirs.keys()].filter((id) => !mine.has(id)),
+  ];
+  const records = [];
+  const conflicts = [];
+
+  ids.forEach((id) => {
+    const b = base.get(id);
+    const m = mine.get(id);
+    const t = theirs.get(id);
+
+    if (m && t) {
+      const merged = mergeRecord(b, m, t);
+      records.push(merged.record);
+      merged.conflicts.forEach((c) =>
+        conflicts.push({ collection: name, id, ...c }),
+      );
+      return;
+    }
+
+    if (m && !t) {
+      // Added locally, or deleted on disk
+      if (!b) {
+        records.push(m);
+      } else if (!same(m, b)) {
+        // Deleted on disk but edited locally: keep the edit
+        records.push(m);
+        conflicts.push({
+          collection: name,
+          id,
+          field: null,
+          mine: m,
+          theirs: undefined,
+        });
+      }
+      return;
+    }
+
+    if (t && !m) {
+      // Added on disk, or deleted locally
+      if (!b) {
+        records.push(t);
+      } else if (!same(t, b)) {
+        // Deleted locally but edited on disk: keep the disk edit
+        records.push(t);
+        conflicts.push({
+          collection: name,
+          id,
+          field: null,
+          mine: undefined,
+          theirs: t,
+        });
+      }
+    }
+  });
+
+  return { records, conflicts };
+}
+
+/**
+ * Union of an append-only collection. Entries are never edited or removed, so
+ * both sides' additions are kept; ties in time keep local order first.
+ */
+function unionCollection(mineList, theirsList) {
+  const mine = indexById(mineList);
+  const theirs = indexById(theirsList);
+  const entries = [
+    ...mine.values(),
+    ...[...theirs.entries()]
+      .filter(([id]) => !mine.has(id))
+      .map(([, entry]) => entry),
+  ];
+  return entries.sort((a, b) =>
+    String(a.timestamp || '').localeCompare(String(b.timestamp || '')),
+  );
+}
+
+/**
+ * Three-way merge of full datasets.
+ *
+ * @param {Object} base - Dataset as last read from / written to disk
+ * @param {Object} mine - Current in-memory dataset
+ * @param {Object} theirs - Dataset currently on disk
+ * @returns {{ merged:Object, conflicts:Array<Object>, summary:Object }}
+ */
+export function threeWayMergeDataset(base, mine, theirs) {
+  const b = base && typeof base === 'object' ? base : {};
+  const m = mine && typeof mine === 'object' ? mine : {};
+  const t = theirs && typeof theirs === 'object' ? theirs : {};
+
+  const merged = {};
+  const conflicts = [];
+  const summary = {};
+
+  const keys = new Set([
+    ...Object.keys(b),
+    ...Object.keys(m),
+    ...Object.keys(t),
+  ]);
+  keys.forEach((key) => {
+    if (MERGED_COLLECTIONS.includes(key)) {
+      const result = mergeCollection(key, b[key], m[key], t[key]);
+      merged[key] = result.records;
+      conflicts.push(...result.conflicts);
+      summary[key] = {
+        records: result.records.length,
+        conflicts: result.conflicts.length,
+      };
+      return;
+    }
+    if (APPEND_ONLY_COLLECTIONS.includes(key)) {
+      merged[key] = unionCollection(m[key], t[key]);
+      summary[key] = { records: merged[key].length, conflicts: 0 };
+      return;
+    }
+    // Id counters (nextCaseId, nextPersonId, ...) must never move backwards
+    if (
+      /^next[A-Z]\w*Id$/.test(key) &&
+      typeof m[key] === 'number' &&
+      typeof t[key] === 'number'
+    ) {
+      merged[key] = Math.max(m[key], t[key]);
+      return;
+    }
+    const { value, conflict } = mergeValue(b[key], m[key], t[key]);
+    if (value !== undefined) merged[key] = value;
+    if (conflict) {
+      conflicts.push({
+        collection: null,
+        id: null,
+        field: key,
+        mine: m[key],
+        theirs: t[key],
+      });
+    }
+  });
+
+  return { merged, conflicts, summary };
+}
+
+export default {
+  threeWayMergeDataset,
+  MERGED_COLLECTIONS,
+  APPEND_ONLY_COLLECTIONS,
+};
@@ -82,6 +82,23 @@ const localStorageMock = {
 };
 global.localStorage = localStorageMock;
 
+// WebCrypto and text encoding exist in browsers but not in jsdom (encryption at rest)
+const { webcrypto } = require('crypto');
+const { TextEncoder, TextDecoder } = require('util');
+if (!global.crypto) {
+  Object.defineProperty(global, 'crypto', {
+    value: webcrypto,
+    configurable: true,
+  });
+} else if (!global.crypto.subtle) {
+  Object.defineProperty(global.crypto, 'subtle', {
+    value: webcrypto.subtle,
+    configurable: true,
+  });
+}
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+if (typeof global.TextDecoder === 'undefined') global.TextDecoder = TextDecoder;
+
 // Mock IntersectionObserver for components that might use it
 global.IntersectionObserver = jest.fn(() => ({
   observe: jest.fn(),
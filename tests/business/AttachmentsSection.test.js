@@ -0,0 +1,170 @@
+import React from 'react';
+import {
+  render,
+  screen,
+  fireEvent,
+  waitFor,
+  within,
+} from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import AttachmentsSection from '../../src/components/business/AttachmentsSection.jsx';
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import { addAttachment } from '../../src/services/nightingale.attachments.js';
+
+const caseData = {
+  id: 'c1',
+  mcn: '1001',
+  financials: { resources: [{ id: 'r1', description: 'Checking' }] },
+};
+
+describe('AttachmentsSection', () => {
+  let service;
+  const createObjectURL = URL.createObjectURL;
+  const revokeObjectURL = URL.revokeObjectURL;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = new AutosaveFileService({
+      enabled: false,
+      multiTab: false,
+      adapter: new MemoryStorageAdapter(),
+    });
+    URL.createObjectURL = jest.fn(() => 'blob:preview');
+    URL.revokeObjectURL = jest.fn();
+  });
+
+  afterEach(() => {
+    service.destroy();
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = revokeObjectURL;
+  });
+
+  test('asks for a data folder when storage cannot hold files', () => {
+    render(
+      <AttachmentsSection
+        caseData={caseData}
+        fullData={{ cases: [caseData] }}
+      />,
+    );
+    expect(
+      screen.getByText('Connect a data folder to store attachments.'),
+    ).toBeInTheDocument();
+  });
+
+  test('explains that files cannot be attached while encrypted', () => {
+    service.encryption = { key: {}, kdf: { salt: 'salt' } };
+    render(
+      <AttachmentsSection
+        caseData={caseData}
+        fullData={{ cases: [caseData] }}
+        fileService={service}
+      />,
+    );
+    expect(
+      screen.getByText(
+        'Attachments cannot be added while the data file is encrypted, because attachment files are stored unencrypted.',
+      ),
+    ).toBeInTheDocument();
+    expect(screen.queryByLabelText('Choose files')).not.toBeInTheDocument();
+  });
+
+  test('attaches dropped files to the chosen record', async () => {
+    const onUpdateData = jest.fn();
+    render(
+      <AttachmentsSection
+        caseData={caseData}
+        fullData={{ cases: [caseData], attachments: [] }}
+        onUpdateData={onUpdateData}
+        fileService={service}
+      />,
+    );
+    fireEvent.change(screen.getByLabelText('Attach to'), {
+      target: { value: 'financialItem:r1' },
+    });
+    fireEvent.drop(screen.getByLabelText('Drop files to attach'), {
+      dataTransfer: {
+        files: [
+          new File(['%PDF'], 'statement.pdf', { type: 'application/pdf' }),
+        ],
+      },
+    });
+
+    await waitFor(() => expect(onUpdateData).toHaveBeenCalled());
+    const [data, label] = onUpdateData.mock.calls[0];
+    expect(label).toBe('Attach "statement.pdf"');
+    expect(data.attachments[0]).toMatchObject({
+      caseId: 'c1',
+      entityType: 'financialItem',
+      entityId: 'r1',
+      name: 'statement.pdf',
+    });
+    expect(await service.listBlobFiles('attachments/c1')).toHaveLength(1);
+  });
+
+  test('previews a PDF and checks for orphaned files', async () => {
+    const { data } = await addAttachment(
+      service,
+      { cases: [caseData] },
+      new File(['%PDF'], 'scan.pdf', { type: 'application/pdf' }),
+      { caseId: 'c1' },
+    );
+    await service.writeBlobFile('attachments/c1/stray.bin', new Blob(['x']));
+    render(
+      <AttachmentsSection
+        caseData={caseData}
+        fullData={data}
+        fileService={service}
+      />,
+    );
+
+    const list = screen.getByRole('list', { name: 'Attached files' });
+    expect(within(list).getByText(/^Case MCN 1001 · 4 B/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Preview scan.pdf' }));
+    expect(await screen.findByTitle('scan.pdf')).toHaveAttribute(
+      'src',
+      'blob:preview',
+    );
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Check for Orphaned Files' }),
+    );
+    expect(await screen.findByRole('status')).toHaveTextContent(
+      '1 file(s) in the attachments folder have no record (1 B)',
+    );
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Delete Orphaned Files' }),
+    );
+    expect(
+      await screen.findByText('Every attachment file has a record.'),
+    ).toBeInTheDocument();
+  });
+
+  test('moves a removed attachment to the Recycle Bin', async () => {
+    const { data } = await addAttachment(
+      service,
+      { cases: [caseData] },
+      new File(['a'], 'note.txt', { type: 'text/plain' }),
+      { caseId: 'c1' },
+    );
+    const onUpdateData = jest.fn();
+    render(
+      <AttachmentsSection
+        caseData={caseData}
+        fullData={data}
+        onUpdateData={onUpdateData}
+        fileService={service}
+      />,
+    );
+    expect(
+      screen.queryByRole('button', { name: 'Preview note.txt' }),
+    ).toBeNull();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Remove note.txt' }));
+    const [next, label] = onUpdateData.mock.calls[0];
+    expect(label).toBe('Delete Attachment "note.txt"');
+    expect(next.attachments[0].deletedAt).toEqual(expect.any(String));
+  });
+});
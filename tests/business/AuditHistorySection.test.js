@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import AuditHistorySection from '../../src/components/business/AuditHistorySection.jsx';
+
+const entry = (overrides) => ({
+  id: `a-${overrides.field || overrides.action}`,
+  timestamp: '2025-03-01T10:00:00.000Z',
+  actor: 'Pat Worker',
+  source: 'manual',
+  entityType: 'case',
+  entityId: 'c1',
+  caseId: 'c1',
+  label: 'MCN 1001',
+  action: 'updated',
+  field: 'status',
+  oldValue: 'Pending',
+  newValue: 'Denied',
+  ...overrides,
+});
+
+const auditLog = [
+  entry({}),
+  entry({
+    entityType: 'financialItem',
+    entityId: 'f1',
+    label: 'Checking',
+    field: 'amount',
+    oldValue: 500,
+    newValue: 750,
+    actor: 'Sam Worker',
+    source: 'avs-import',
+  }),
+  entry({ caseId: 'c2', field: 'priority', oldValue: false, newValue: true }),
+];
+
+describe('AuditHistorySection', () => {
+  test('lists the changes of one case, newest first', () => {
+    render(
+      <AuditHistorySection
+        auditLog={auditLog}
+        caseId="c1"
+      />,
+    );
+
+    expect(screen.getByText('2 changes')).toBeInTheDocument();
+    const items = within(
+      screen.getByRole('list', { name: 'History entries' }),
+    ).getAllByRole('listitem');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toHaveTextContent('amount: 500 → 750');
+    expect(items[0]).toHaveTextContent('(AVS import)');
+    expect(items[1]).toHaveTextContent('Pat Worker');
+    expect(items[1]).toHaveTextContent('status: Pending → Denied');
+  });
+
+  test('filters by source, worker and text', () => {
+    render(
+      <AuditHistorySection
+        auditLog={auditLog}
+        caseId="c1"
+      />,
+    );
+    const list = () => screen.getByRole('list', { name: 'History entries' });
+
+    fireEvent.change(screen.getByLabelText('Source filter'), {
+      target: { value: 'manual' },
+    });
+    expect(within(list()).getAllByRole('listitem')).toHaveLength(1);
+
+    fireEvent.change(screen.getByLabelText('Source filter'), {
+      target: { value: '' },
+    });
+    fireEvent.change(screen.getByLabelText('Worker filter'), {
+      target: { value: 'Sam Worker' },
+    });
+    expect(list()).toHaveTextContent('Checking');
+
+    fireEvent.change(screen.getByLabelText('Search history'), {
+      target: { value: 'status' },
+    });
+    expect(screen.getByText('No changes recorded.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,123 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+// Import Modal first so ConfirmationModal registers in the UI registry
+import '../../src/components/ui/Modal.jsx';
+import BackupsPanel from '../../src/components/business/BackupsPanel.jsx';
+import { backupFileName } from '../../src/services/backups.js';
+import { getBackupRetention } from '../../src/services/settings.js';
+
+const BACKUP = backupFileName(new Date('2025-01-02T03:04:05.000Z'));
+const backupData = {
+  cases: [
+    { id: 'c1', mcn: 'MCN-OLD' },
+    { id: 'c2', mcn: 'MCN-GONE' },
+  ],
+  people: [{ id: 'p1', name: 'Ann' }],
+  organizations: [],
+};
+const currentData = {
+  cases: [{ id: 'c1', mcn: 'MCN-NEW' }],
+  people: [{ id: 'p1', name: 'Ann' }],
+  organizations: [],
+};
+
+function createFileService() {
+  const disk = { [BACKUP]: backupData };
+  return {
+    disk,
+    fileName: 'nightingale-data.json',
+    listFiles: jest.fn(async () => Object.keys(disk).map((name) => ({ name }))),
+    readNamedFile: jest.fn(async (name) => disk[name] ?? null),
+    writeNamedFile: jest.fn(async (name, data) => {
+      disk[name] = data;
+      return true;
+    }),
+    removeNamedFile: jest.fn(async () => true),
+    writeFile: jest.fn(async () => true),
+  };
+}
+
+describe('BackupsPanel', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  test('lists backups with entity counts', async () => {
+    render(
+      <BackupsPanel
+        fileService={createFileService()}
+        fileStatus="connected"
+        currentData={currentData}
+      />,
+    );
+    expect(
+      await screen.findByText('2 cases · 1 people · 0 orgs'),
+    ).toBeInTheDocument();
+  });
+
+  test('asks to connect when disconnected', () => {
+    const fileService = createFileService();
+    render(
+      <BackupsPanel
+        fileService={fileService}
+        fileStatus="disconnected"
+      />,
+    );
+    expect(screen.getByText(/Connect to a directory/)).toBeInTheDocument();
+    expect(fileService.listFiles).not.toHaveBeenCalled();
+  });
+
+  test('diffs a backup against current data', async () => {
+    render(
+      <BackupsPanel
+        fileService={createFileService()}
+        fileStatus="connected"
+        currentData={currentData}
+      />,
+    );
+    fireEvent.click(await screen.findByText('Diff'));
+
+    expect(await screen.findByText(/Diff vs current/)).toBeInTheDocument();
+    expect(
+      screen.getByText('Only in backup (1):').parentElement,
+    ).toHaveTextContent('MCN-GONE');
+    expect(screen.getByText('Changed (1):').parentElement).toHaveTextContent(
+      'MCN-OLD',
+    );
+  });
+
+  test('restores after confirmation and reports the data', async () => {
+    const fileService = createFileService();
+    const onRestored = jest.fn();
+    render(
+      <BackupsPanel
+        fileService={fileService}
+        fileStatus="connected"
+        currentData={currentData}
+        onRestored={onRestored}
+      />,
+    );
+    fireEvent.click(await screen.findByText('Restore'));
+    fireEvent.click(
+      screen.getAllByRole('button', { name: 'Restore' }).slice(-1)[0],
+    );
+
+    await waitFor(() => expect(onRestored).toHaveBeenCalledWith(backupData));
+    expect(fileService.writeNamedFile).toHaveBeenCalledWith(
+      expect.stringMatching(/^nightingale-data\.backup-/),
+      currentData,
+    );
+    expect(fileService.writeFile).toHaveBeenCalledWith(backupData);
+  });
+
+  test('saves the retention policy', () => {
+    render(<BackupsPanel fileStatus="disconnected" />);
+    fireEvent.change(screen.getByLabelText('Keep last'), {
+      target: { value: '3' },
+    });
+    fireEvent.click(screen.getByText('Save Policy'));
+    expect(getBackupRetention().keepLast).toBe(3);
+  });
+});
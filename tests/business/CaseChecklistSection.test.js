@@ -0,0 +1,80 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import CaseChecklistSection from '../../src/components/business/CaseChecklistSection.jsx';
+import { applyChecklist } from '../../src/services/nightingale.checklists.js';
+
+const fullData = {
+  checklistTemplates: {
+    LTC: [
+      { id: 'id', name: 'Photo ID', required: true },
+      { id: 'burial', name: 'Burial contract', required: false },
+    ],
+  },
+};
+
+describe('CaseChecklistSection', () => {
+  test('starts the checklist of the case type', () => {
+    const onUpdateCase = jest.fn();
+    render(
+      <CaseChecklistSection
+        caseData={{ id: 'c1', caseType: 'LTC' }}
+        fullData={fullData}
+        onUpdateCase={onUpdateCase}
+      />,
+    );
+    expect(
+      screen.getByText('No document checklist for this case.'),
+    ).toBeInTheDocument();
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Start LTC checklist' }),
+    );
+    expect(onUpdateCase.mock.calls[0][0].documentChecklist.items).toHaveLength(
+      2,
+    );
+  });
+
+  test('shows progress and marks a document received', () => {
+    const onUpdateCase = jest.fn();
+    const caseData = applyChecklist({ id: 'c1', caseType: 'LTC' }, fullData);
+    render(
+      <CaseChecklistSection
+        caseData={caseData}
+        fullData={fullData}
+        onUpdateCase={onUpdateCase}
+      />,
+    );
+    expect(
+      screen.getByText('0 of 1 required documents in · 1 missing'),
+    ).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /checklist/ })).toBeNull();
+
+    fireEvent.change(screen.getByLabelText('Photo ID status'), {
+      target: { value: 'received' },
+    });
+    expect(onUpdateCase.mock.calls[0][0].documentChecklist.items[0]).toEqual(
+      expect.objectContaining({
+        status: 'received',
+        receivedDate: expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+      }),
+    );
+  });
+
+  test('offers to switch when the case type changed', () => {
+    const caseData = {
+      ...applyChecklist({ id: 'c1', caseType: 'LTC' }, fullData),
+      caseType: 'SIMP',
+    };
+    render(
+      <CaseChecklistSection
+        caseData={caseData}
+        fullData={fullData}
+        onUpdateCase={jest.fn()}
+      />,
+    );
+    expect(
+      screen.getByRole('button', { name: 'Switch to SIMP checklist' }),
+    ).toBeInTheDocument();
+  });
+});
@@ -177,5 +177,14 @@ describe('CaseCreationModal (business)', () => {
     const createdCase = onCaseCreated.mock.calls[0][0];
     expect(createdCase.mcn).toBe('12345');
     expect(createdCase.personId).toBe('p1');
+    // New cases start with the document checklist of their case type
+    expect(createdCase.documentChecklist.caseType).toBe('LTC');
+    expect(createdCase.documentChecklist.items[0]).toEqual({
+      id: 'application',
+      name: 'Signed application',
+      required: true,
+      status: 'pending',
+      receivedDate: null,
+    });
   });
 });
@@ -124,6 +124,58 @@ describe('CaseDetailsView - Batch 2 interactions', () => {
     expect(updated.cases[0].status).toBe('Approved');
   });
 
+  test('status select offers only the transitions the workflow allows', () => {
+    render(
+      <CaseDetailsView
+        caseId={baseCase.id}
+        fullData={fullData}
+        onUpdateData={noop}
+      />,
+    );
+    const options = Array.from(
+      screen.getByLabelText('Case status').querySelectorAll('option'),
+    ).map((option) => option.value);
+    expect(options).toEqual([
+      'Pending',
+      'In Progress',
+      'Approved',
+      'Denied',
+      'Closed',
+    ]);
+  });
+
+  test('a status that needs a reason asks for it before updating', () => {
+    const updateSpy = jest.fn();
+    render(
+      <CaseDetailsView
+        caseId={baseCase.id}
+        fullData={fullData}
+        onUpdateData={updateSpy}
+      />,
+    );
+    fireEvent.change(screen.getByLabelText('Case status'), {
+      target: { value: 'Denied' },
+    });
+    expect(updateSpy).not.toHaveBeenCalled();
+
+    const submit = screen.getByRole('button', { name: 'Set Denied' });
+    expect(submit).toBeDisabled();
+    fireEvent.change(screen.getByLabelText('Denial reason'), {
+      target: { value: 'Over resource limit' },
+    });
+    fireEvent.click(submit);
+
+    const updated = updateSpy.mock.calls[0][0].cases[0];
+    expect(updated).toMatchObject({
+      status: 'Denied',
+      denialReason: 'Over resource limit',
+    });
+    expect(updated.deniedDate).toEqual(expect.any(String));
+    expect(
+      screen.queryByRole('form', { name: 'Status change reason' }),
+    ).not.toBeInTheDocument();
+  });
+
   test('priority and retro toggles trigger separate updates', () => {
     const updateSpy = jest.fn();
     render(
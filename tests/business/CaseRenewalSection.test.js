@@ -0,0 +1,91 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import CaseRenewalSection from '../../src/components/business/CaseRenewalSection.jsx';
+import {
+  currentCertification,
+  ensureCertification,
+  startRenewal,
+} from '../../src/services/nightingale.renewals.js';
+
+const approvedCase = ensureCertification({
+  id: 'c1',
+  mcn: '100',
+  caseType: 'LTC',
+  status: 'Approved',
+  approvedDate: '2025-01-15',
+  financials: {
+    resources: [{ id: 'r1', description: 'Checking', amount: 100 }],
+    income: [],
+    expenses: [],
+  },
+});
+
+const renderSection = (caseData, fullData = { cases: [caseData] }) => {
+  const onUpdateData = jest.fn();
+  render(
+    <CaseRenewalSection
+      caseData={caseData}
+      fullData={fullData}
+      onUpdateData={onUpdateData}
+      today="2025-11-20"
+    />,
+  );
+  return onUpdateData;
+};
+
+describe('CaseRenewalSection', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('starts a certification period for a case without one', () => {
+    const caseData = { id: 'c2', status: 'Pending' };
+    const onUpdateData = renderSection(caseData);
+    expect(
+      screen.getByText(
+        'No certification period. One starts when the case is approved.',
+      ),
+    ).toBeInTheDocument();
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Start Certification Period' }),
+    );
+    const [data, label] = onUpdateData.mock.calls[0];
+    expect(currentCertification(data.cases[0]).start).toBe('2025-11-20');
+    expect(label).toBe('Start certification period');
+  });
+
+  test('shows the renewal due date and starts the renewal', () => {
+    const onUpdateData = renderSection(approvedCase);
+    expect(screen.getByRole('region', { name: 'Renewal' })).toHaveTextContent(
+      '(55 days left)',
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Start Renewal' }));
+    const [data, label] = onUpdateData.mock.calls[0];
+    expect(data.cases[0].renewals).toHaveLength(1);
+    expect(label).toBe('Start renewal');
+  });
+
+  test('re-verifies items and completes the renewal in progress', () => {
+    const { data } = startRenewal({ cases: [approvedCase] }, 'c1', {
+      today: '2025-11-20',
+    });
+    const onUpdateData = renderSection(data.cases[0], data);
+    expect(
+      screen.getByRole('list', { name: 'Financial items to re-verify' }),
+    ).toHaveTextContent('Checking (resources)');
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Mark Checking re-verified' }),
+    );
+    expect(
+      onUpdateData.mock.calls[0][0].cases[0].financials.resources[0],
+    ).not.toHaveProperty('needsReverification');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Mark Renewed' }));
+    const [renewed, label] = onUpdateData.mock.calls[1];
+    expect(renewed.cases[0].certificationPeriods).toHaveLength(2);
+    expect(label).toBe('Complete renewal: Renewed');
+  });
+});
@@ -0,0 +1,83 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import '../../src/components/ui/Modal.jsx';
+import CaseTasksSection from '../../src/components/business/CaseTasksSection.jsx';
+
+const fullData = {
+  cases: [{ id: 'c1', mcn: '1001' }],
+  tasks: [
+    {
+      id: 't1',
+      title: 'Later',
+      caseId: 'c1',
+      dueDate: '2099-01-01',
+      status: 'Open',
+    },
+    {
+      id: 't2',
+      title: 'Sooner',
+      caseId: 'c1',
+      dueDate: '2098-01-01',
+      status: 'Open',
+    },
+    { id: 't3', title: 'Done', caseId: 'c1', status: 'Done' },
+    { id: 't4', title: 'Other case', caseId: 'c2', status: 'Open' },
+  ],
+};
+
+describe('CaseTasksSection', () => {
+  test('lists the open tasks of the case, soonest first', () => {
+    render(
+      <CaseTasksSection
+        caseId="c1"
+        fullData={fullData}
+        onUpdateData={jest.fn()}
+      />,
+    );
+
+    expect(screen.getByText('Tasks (2)')).toBeInTheDocument();
+    const items = within(
+      screen.getByRole('list', { name: 'Open tasks' }),
+    ).getAllByRole('listitem');
+    expect(items.map((item) => item.textContent)).toEqual([
+      expect.stringContaining('Sooner'),
+      expect.stringContaining('Later'),
+    ]);
+  });
+
+  test('adds a task linked to the case', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <CaseTasksSection
+        caseId="c1"
+        fullData={fullData}
+        onUpdateData={onUpdateData}
+      />,
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add Task' }));
+    const dialog = screen.getByRole('dialog');
+    expect(within(dialog).queryByLabelText('Case')).not.toBeInTheDocument();
+    const submit = within(dialog).getByRole('button', { name: 'Add Task' });
+    expect(submit).toBeDisabled();
+
+    fireEvent.change(within(dialog).getByLabelText('Title'), {
+      target: { value: 'Request bank statements' },
+    });
+    fireEvent.change(within(dialog).getByLabelText('Priority'), {
+      target: { value: 'High' },
+    });
+    fireEvent.click(submit);
+
+    const [data, label] = onUpdateData.mock.calls[0];
+    expect(label).toBe('Add task Request bank statements');
+    expect(data.tasks[4]).toMatchObject({
+      title: 'Request bank statements',
+      caseId: 'c1',
+      priority: 'High',
+    });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+});
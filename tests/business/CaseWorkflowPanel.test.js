@@ -0,0 +1,56 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import CaseWorkflowPanel from '../../src/components/business/CaseWorkflowPanel.jsx';
+import {
+  getCaseWorkflow,
+  setCaseWorkflow,
+} from '../../src/services/settings.js';
+
+describe('CaseWorkflowPanel', () => {
+  afterEach(() => setCaseWorkflow(null));
+
+  test('summarizes the transitions of the default workflow', () => {
+    render(<CaseWorkflowPanel />);
+
+    expect(screen.getByText('Default')).toBeInTheDocument();
+    const list = screen.getByRole('list', { name: 'Status transitions' });
+    expect(list).toHaveTextContent(
+      'Pending → In Progress, Approved, Denied*, Closed*',
+    );
+    expect(list).toHaveTextContent('Denied (closed) → Pending*');
+  });
+
+  test('rejects an invalid definition and saves a valid one', () => {
+    const onSaved = jest.fn();
+    render(<CaseWorkflowPanel onSaved={onSaved} />);
+    const editor = screen.getByLabelText('Workflow definition');
+    const save = screen.getByRole('button', { name: 'Save Workflow' });
+
+    fireEvent.change(editor, { target: { value: '{ nope' } });
+    fireEvent.click(save);
+    expect(screen.getByRole('alert')).toHaveTextContent('Invalid JSON');
+
+    const custom = {
+      initialStatus: 'Open',
+      statuses: [
+        { name: 'Open', active: true },
+        { name: 'Done', active: false },
+      ],
+      transitions: [{ from: ['Open'], to: 'Done' }],
+    };
+    fireEvent.change(editor, { target: { value: JSON.stringify(custom) } });
+    fireEvent.click(save);
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(getCaseWorkflow()).toEqual(custom);
+    expect(onSaved).toHaveBeenCalledWith(custom);
+    expect(
+      screen.getByRole('list', { name: 'Status transitions' }),
+    ).toHaveTextContent('Open → Done');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset to Default' }));
+    expect(getCaseWorkflow()).toBeNull();
+  });
+});
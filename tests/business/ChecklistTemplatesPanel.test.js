@@ -0,0 +1,60 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import ChecklistTemplatesPanel from '../../src/components/business/ChecklistTemplatesPanel.jsx';
+
+describe('ChecklistTemplatesPanel', () => {
+  test('edits the template of a case type and saves it to the dataset', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <ChecklistTemplatesPanel
+        currentData={{ cases: [] }}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    expect(screen.getByText('Default')).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Checklist case type'), {
+      target: { value: 'SIMP' },
+    });
+    const list = screen.getByRole('list', { name: 'Checklist items' });
+    expect(within(list).getAllByRole('listitem')).toHaveLength(5);
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Remove Medicare card' }),
+    );
+    fireEvent.change(screen.getByLabelText('New document'), {
+      target: { value: 'Insurance card' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Document' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Save Checklist' }));
+
+    const [data, label] = onUpdateData.mock.calls[0];
+    expect(label).toBe('Save SIMP document checklist');
+    expect(data.checklistTemplates.SIMP.map((item) => item.name)).toEqual([
+      'Signed application',
+      'Photo ID',
+      'Proof of income',
+      'Bank statements',
+      'Insurance card',
+    ]);
+  });
+
+  test('rejects an unnamed document', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <ChecklistTemplatesPanel
+        currentData={{}}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    fireEvent.change(screen.getByLabelText('Document 1 name'), {
+      target: { value: ' ' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Checklist' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Item 1 needs a name');
+    expect(onUpdateData).not.toHaveBeenCalled();
+  });
+});
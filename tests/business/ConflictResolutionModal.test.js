@@ -0,0 +1,119 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+// Import Modal first so it registers in the UI registry
+import '../../src/components/ui/Modal.jsx';
+import ConflictResolutionModal from '../../src/components/business/ConflictResolutionModal.jsx';
+
+function createFileService(overrides = {}) {
+  return {
+    fileName: 'nightingale-data.json',
+    previewConflictResolution: jest.fn().mockResolvedValue({
+      mine: { cases: [{ id: 'c1' }], people: [], organizations: [] },
+      theirs: {
+        cases: [{ id: 'c1' }, { id: 'c2' }],
+        people: [],
+        organizations: [],
+      },
+      merge: {
+        merged: { cases: [{ id: 'c1' }, { id: 'c2' }] },
+        conflicts: [
+          {
+            collection: 'cases',
+            id: 'c1',
+            field: 'status',
+            mine: 'Approved',
+            theirs: 'Denied',
+          },
+        ],
+        summary: { cases: { records: 2, conflicts: 1 } },
+      },
+    }),
+    resolveConflict: jest.fn().mockResolvedValue({
+      strategy: 'merge',
+      data: { cases: [{ id: 'c1' }, { id: 'c2' }] },
+      conflicts: [],
+    }),
+    ...overrides,
+  };
+}
+
+describe('ConflictResolutionModal', () => {
+  test('does not render when closed', () => {
+    render(
+      <ConflictResolutionModal
+        isOpen={false}
+        onClose={jest.fn()}
+        fileService={createFileService()}
+      />,
+    );
+    expect(screen.queryByText(/Changed on Disk/i)).not.toBeInTheDocument();
+  });
+
+  test('shows merge preview and field conflicts', async () => {
+    render(
+      <ConflictResolutionModal
+        isOpen
+        onClose={jest.fn()}
+        fileService={createFileService()}
+      />,
+    );
+    expect(
+      await screen.findByText(/Merge conflicts \(1\)/i),
+    ).toBeInTheDocument();
+    expect(screen.getByText(/cases c1 · status/)).toBeInTheDocument();
+    expect(screen.getByText('Approved')).toBeInTheDocument();
+    expect(screen.getByText('Denied')).toBeInTheDocument();
+  });
+
+  test.each([
+    ['Keep Mine', 'mine'],
+    ['Keep Theirs', 'theirs'],
+    ['Merge', 'merge'],
+  ])('%s resolves with the %s strategy', async (label, strategy) => {
+    const fileService = createFileService();
+    const onResolved = jest.fn();
+    const onClose = jest.fn();
+    render(
+      <ConflictResolutionModal
+        isOpen
+        onClose={onClose}
+        fileService={fileService}
+        onResolved={onResolved}
+      />,
+    );
+    await screen.findByText(/Merge conflicts/i);
+
+    fireEvent.click(screen.getByRole('button', { name: label }));
+
+    await waitFor(() =>
+      expect(fileService.resolveConflict).toHaveBeenCalledWith(strategy),
+    );
+    await waitFor(() => expect(onClose).toHaveBeenCalled());
+    expect(onResolved).toHaveBeenCalledWith(
+      { cases: [{ id: 'c1' }, { id: 'c2' }] },
+      expect.any(Object),
+    );
+  });
+
+  test('stays open when the resolution write fails', async () => {
+    const fileService = createFileService({
+      resolveConflict: jest.fn().mockResolvedValue(null),
+    });
+    const onClose = jest.fn();
+    render(
+      <ConflictResolutionModal
+        isOpen
+        onClose={onClose}
+        fileService={fileService}
+      />,
+    );
+    await screen.findByText(/Merge conflicts/i);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Keep Mine' }));
+
+    await waitFor(() => expect(fileService.resolveConflict).toHaveBeenCalled());
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
@@ -3,7 +3,7 @@
  */
 import '@testing-library/jest-dom';
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, act, within } from '@testing-library/react';
 
 // Provide global React for legacy components using window.React internally
 window.React = React;
@@ -15,6 +15,14 @@ window.NightingaleToast = {
 
 // Import component AFTER globals
 import DashboardTab from '../../src/components/business/DashboardTab.jsx';
+import { DataStoreProvider } from '../../src/hooks/useDataStore.js';
+import { setCaseWorkflow } from '../../src/services/settings.js';
+import { DEFAULT_CASE_WORKFLOW } from '../../src/services/nightingale.workflow.js';
+import { dayjs } from '../../src/services/nightingale.dayjs.js';
+import {
+  createDataStore,
+  updateCase,
+} from '../../src/services/nightingale.store.js';
 
 function createFullData() {
   return {
@@ -75,4 +83,88 @@ describe('DashboardTab', () => {
     // restore
     window.location.hash = originalHash;
   });
+
+  test('reads cases from the data store and updates on dispatch', () => {
+    const store = createDataStore({ data: createFullData() });
+    render(
+      <DataStoreProvider store={store}>
+        <DashboardTab />
+      </DataStoreProvider>,
+    );
+    expect(screen.getByText('4')).toBeInTheDocument(); // total cases
+
+    act(() => {
+      store.dispatch(updateCase('c1', { status: 'Closed' }));
+    });
+    expect(screen.getByText('Active Cases').nextSibling).toHaveTextContent('1');
+  });
+
+  test('counts active cases and the status breakdown from the case workflow', () => {
+    // A workflow where Approved cases are no longer open
+    setCaseWorkflow({
+      ...DEFAULT_CASE_WORKFLOW,
+      statuses: DEFAULT_CASE_WORKFLOW.statuses.map((status) =>
+        status.name === 'Approved' ? { ...status, active: false } : status,
+      ),
+    });
+    try {
+      render(<DashboardTab fullData={createFullData()} />);
+      expect(screen.getByText('Active Cases').nextSibling).toHaveTextContent(
+        '1',
+      );
+      const breakdown = screen.getByRole('list', { name: 'Cases by status' });
+      expect(breakdown).toHaveTextContent('Pending: 1');
+      expect(breakdown).toHaveTextContent('Closed: 1');
+    } finally {
+      setCaseWorkflow(null);
+    }
+  });
+
+  test('lists cases whose processing deadline is approaching or past', () => {
+    const appliedDaysAgo = (days) =>
+      dayjs().subtract(days, 'day').format('YYYY-MM-DD');
+    const fullData = {
+      cases: [
+        {
+          id: 'c1',
+          mcn: '1001',
+          caseType: 'LTC',
+          status: 'Pending',
+          applicationDate: appliedDaysAgo(40),
+        },
+        {
+          id: 'c2',
+          mcn: '1002',
+          caseType: 'LTC',
+          status: 'Pending',
+          applicationDate: appliedDaysAgo(60),
+        },
+        {
+          id: 'c3',
+          mcn: '1003',
+          caseType: 'LTC',
+          status: 'Pending',
+          applicationDate: appliedDaysAgo(5),
+        },
+        {
+          id: 'c4',
+          mcn: '1004',
+          caseType: 'LTC',
+          status: 'Closed',
+          applicationDate: appliedDaysAgo(60),
+        },
+      ],
+      vrRequests: [],
+    };
+    render(<DashboardTab fullData={fullData} />);
+
+    const items = within(
+      screen.getByRole('list', { name: 'Approaching deadlines' }),
+    ).getAllByRole('listitem');
+    expect(items).toHaveLength(2);
+    expect(items[0]).toHaveTextContent('Case MCN 1002 (LTC)');
+    expect(items[0]).toHaveTextContent('Overdue by');
+    expect(items[1]).toHaveTextContent('Case MCN 1001');
+    expect(items[1]).toHaveTextContent(/days? left|Due today/);
+  });
 });
@@ -0,0 +1,99 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import DeadlineBanner from '../../src/components/business/DeadlineBanner.jsx';
+
+const caseData = {
+  id: 'c1',
+  caseType: 'LTC',
+  status: 'Pending',
+  applicationDate: '2025-03-01',
+};
+
+describe('DeadlineBanner', () => {
+  test('shows the due date, days left and the standard', () => {
+    render(
+      <DeadlineBanner
+        caseData={caseData}
+        onUpdateCase={jest.fn()}
+        today="2025-04-10"
+      />,
+    );
+    const banner = screen.getByRole('region', { name: 'Processing deadline' });
+    expect(banner).toHaveTextContent(
+      'Processing deadline: 04/15/2025 (5 days left)',
+    );
+    expect(banner).toHaveTextContent('45 calendar days (LTC) from 03/01/2025');
+  });
+
+  test('pauses the clock with a reason and resumes it', () => {
+    const onUpdateCase = jest.fn();
+    const { rerender } = render(
+      <DeadlineBanner
+        caseData={caseData}
+        onUpdateCase={onUpdateCase}
+        today="2025-04-10"
+      />,
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Pause Clock' }));
+    fireEvent.change(screen.getByLabelText('Reason'), {
+      target: { value: 'Waiting on client' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+
+    const paused = onUpdateCase.mock.calls[0][0];
+    expect(paused.deadlineEvents).toEqual([
+      expect.objectContaining({
+        type: 'pause',
+        end: null,
+        reason: 'Waiting on client',
+      }),
+    ]);
+
+    rerender(
+      <DeadlineBanner
+        caseData={paused}
+        onUpdateCase={onUpdateCase}
+        today="2025-04-10"
+      />,
+    );
+    expect(
+      screen.getByRole('region', { name: 'Processing deadline' }),
+    ).toHaveTextContent('(Paused)');
+    fireEvent.click(screen.getByRole('button', { name: 'Resume Clock' }));
+    expect(onUpdateCase.mock.calls[1][0].deadlineEvents[0].end).toEqual(
+      expect.any(String),
+    );
+  });
+
+  test('adds an extension', () => {
+    const onUpdateCase = jest.fn();
+    render(
+      <DeadlineBanner
+        caseData={caseData}
+        onUpdateCase={onUpdateCase}
+        today="2025-04-10"
+      />,
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Extend' }));
+    fireEvent.change(screen.getByLabelText('Extension days'), {
+      target: { value: '15' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Extension' }));
+
+    expect(onUpdateCase.mock.calls[0][0].deadlineEvents).toEqual([
+      expect.objectContaining({ type: 'extension', days: 15 }),
+    ]);
+  });
+
+  test('renders nothing once the clock stopped without a decision', () => {
+    const { container } = render(
+      <DeadlineBanner
+        caseData={{ ...caseData, status: 'Active' }}
+        onUpdateCase={jest.fn()}
+      />,
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,64 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import DeadlinesPanel from '../../src/components/business/DeadlinesPanel.jsx';
+import {
+  getHolidayCalendar,
+  getProcessingDeadlines,
+} from '../../src/services/settings.js';
+
+describe('DeadlinesPanel', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('saves case type rules, the warning window and custom holidays', () => {
+    const onSaved = jest.fn();
+    render(<DeadlinesPanel onSaved={onSaved} />);
+
+    expect(screen.getByLabelText('Waiver days')).toHaveValue(90);
+    fireEvent.change(screen.getByLabelText('SIMP days'), {
+      target: { value: '30' },
+    });
+    fireEvent.change(screen.getByLabelText('SIMP unit'), {
+      target: { value: 'business' },
+    });
+    fireEvent.change(screen.getByLabelText('Warning days'), {
+      target: { value: '5' },
+    });
+    fireEvent.change(screen.getByLabelText('Holiday date'), {
+      target: { value: '2025-12-26' },
+    });
+    fireEvent.change(screen.getByLabelText('Holiday name'), {
+      target: { value: 'Office closed' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Add Holiday' }));
+    expect(
+      screen.getByRole('list', { name: 'Custom holidays' }),
+    ).toHaveTextContent('12/26/2025 · Office closed');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Save Deadlines' }));
+
+    expect(getProcessingDeadlines()).toMatchObject({
+      warningDays: 5,
+      byCaseType: { SIMP: { days: 30, unit: 'business' } },
+    });
+    expect(getHolidayCalendar()).toEqual({
+      federal: true,
+      custom: [{ date: '2025-12-26', name: 'Office closed' }],
+    });
+    expect(onSaved).toHaveBeenCalled();
+  });
+
+  test('rejects days that are not positive whole numbers', () => {
+    render(<DeadlinesPanel />);
+    fireEvent.change(screen.getByLabelText('LTC days'), {
+      target: { value: '0' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Deadlines' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'LTC: days must be a positive whole number',
+    );
+    expect(getProcessingDeadlines().byCaseType.LTC.days).toBe(45);
+  });
+});
@@ -0,0 +1,74 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+// Import Modal first so it registers in the UI registry
+import '../../src/components/ui/Modal.jsx';
+import DeleteImpactModal from '../../src/components/business/DeleteImpactModal.jsx';
+import { previewDelete } from '../../src/services/nightingale.integrity.js';
+
+const data = {
+  people: [
+    { id: 'p1', name: 'Jane Doe' },
+    { id: 'p2', name: 'Rita Rep' },
+  ],
+  cases: [{ id: 'c1', mcn: '1001', personId: 'p1', authorizedReps: ['p2'] }],
+  vrRequests: [{ id: 'vr1', caseId: 'c1', title: 'Bank statement' }],
+};
+
+describe('DeleteImpactModal', () => {
+  test('lists cascaded records and confirms the delete', () => {
+    const onConfirm = jest.fn();
+    render(
+      <DeleteImpactModal
+        isOpen
+        impact={previewDelete(data, 'cases', 'c1')}
+        entityName="Case"
+        onConfirm={onConfirm}
+        onCancel={jest.fn()}
+      />,
+    );
+
+    expect(screen.getByText('Delete Case')).toBeInTheDocument();
+    expect(
+      screen.getByRole('list', { name: 'Also deleted' }),
+    ).toHaveTextContent('Bank statement');
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    expect(onConfirm).toHaveBeenCalled();
+  });
+
+  test('explains why a blocked delete is not possible', () => {
+    const onConfirm = jest.fn();
+    render(
+      <DeleteImpactModal
+        isOpen
+        impact={previewDelete(data, 'people', 'p1')}
+        entityName="Person"
+        onConfirm={onConfirm}
+        onCancel={jest.fn()}
+      />,
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Jane Doe cannot be deleted',
+    );
+    expect(
+      screen.getByRole('list', { name: 'Prevent deletion' }),
+    ).toHaveTextContent('Case MCN 1001');
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled();
+  });
+
+  test('lists cleared references', () => {
+    render(
+      <DeleteImpactModal
+        isOpen
+        impact={previewDelete(data, 'people', 'p2')}
+        onConfirm={jest.fn()}
+        onCancel={jest.fn()}
+      />,
+    );
+    expect(
+      screen.getByRole('list', { name: 'Reference cleared' }),
+    ).toHaveTextContent('authorized representative on case');
+  });
+});
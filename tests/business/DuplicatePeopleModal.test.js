@@ -0,0 +1,85 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+// Import Modal first so it registers in the UI registry
+import '../../src/components/ui/Modal.jsx';
+import DuplicatePeopleModal from '../../src/components/business/DuplicatePeopleModal.jsx';
+
+const fullData = {
+  people: [
+    { id: 'p1', name: 'Jane Doe', phone: '555-123-4567' },
+    {
+      id: 'p2',
+      name: 'Doe, Jane',
+      phone: '555 123 4567',
+      email: 'jane@example.com',
+    },
+    { id: 'p3', name: 'Robert Smith' },
+  ],
+  cases: [{ id: 'c1', mcn: '1001', personId: 'p2', spouseId: 'p3' }],
+};
+
+describe('DuplicatePeopleModal', () => {
+  test('lists likely duplicate pairs with their score', () => {
+    render(
+      <DuplicatePeopleModal
+        isOpen
+        fullData={fullData}
+      />,
+    );
+    const items = within(
+      screen.getByRole('list', { name: 'Duplicate candidates' }),
+    ).getAllByRole('listitem');
+    expect(items).toHaveLength(1);
+    expect(items[0]).toHaveTextContent('Jane Doe and Doe, Jane');
+    expect(items[0]).toHaveTextContent('100% match · Same name, phone');
+  });
+
+  test('shows an empty state when no duplicates are found', () => {
+    render(
+      <DuplicatePeopleModal
+        isOpen
+        fullData={{ people: [fullData.people[0], fullData.people[2]] }}
+      />,
+    );
+    expect(
+      screen.getByText('No likely duplicate people found.'),
+    ).toBeInTheDocument();
+  });
+
+  test('merges with the kept record and chosen values', () => {
+    const onMerge = jest.fn();
+    render(
+      <DuplicatePeopleModal
+        isOpen
+        fullData={fullData}
+        onMerge={onMerge}
+      />,
+    );
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Review Jane Doe and Doe, Jane' }),
+    );
+    expect(screen.getByText(/1 reference will point/)).toBeInTheDocument();
+
+    fireEvent.click(screen.getByLabelText('Keep Doe, Jane'));
+    expect(
+      screen.getByText(/No other records refer to it/),
+    ).toBeInTheDocument();
+    fireEvent.click(screen.getByLabelText('Use Phone from Jane Doe'));
+    fireEvent.click(screen.getByRole('button', { name: 'Merge' }));
+
+    const [{ data, merge }] = onMerge.mock.calls[0];
+    expect(data.people.map((p) => p.id)).toEqual(['p2', 'p3']);
+    expect(data.people[0]).toMatchObject({
+      name: 'Doe, Jane',
+      phone: '555-123-4567',
+      email: 'jane@example.com',
+    });
+    expect(merge).toMatchObject({ keepId: 'p2', mergeId: 'p1' });
+    // Back to the list after merging
+    expect(
+      screen.getByRole('list', { name: 'Duplicate candidates' }),
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,98 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import EncryptionPanel from '../../src/components/business/EncryptionPanel.jsx';
+
+function createFileService({ encrypted = false, locked = false } = {}) {
+  const state = { encrypted, locked };
+  return {
+    getEncryptionStatus: jest.fn(() => ({ supported: true, ...state })),
+    enableEncryption: jest.fn(async () => {
+      state.encrypted = true;
+      return { backups: 2, failed: [] };
+    }),
+    changePassphrase: jest.fn(async (current) =>
+      current === 'old passphrase' ? { backups: 0, failed: [] } : null,
+    ),
+  };
+}
+
+function fill(label, value) {
+  fireEvent.change(screen.getByLabelText(label), { target: { value } });
+}
+
+describe('EncryptionPanel', () => {
+  test('encrypts a plaintext data file after validating the passphrase', async () => {
+    const fileService = createFileService();
+    render(
+      <EncryptionPanel
+        fileService={fileService}
+        fileStatus="connected"
+      />,
+    );
+
+    fill('Passphrase', 'short');
+    fill('Confirm passphrase', 'short');
+    fireEvent.click(screen.getByRole('button', { name: 'Encrypt Data File' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('at least 8');
+    expect(fileService.enableEncryption).not.toHaveBeenCalled();
+
+    fill('Passphrase', 'long enough');
+    fill('Confirm passphrase', 'different!');
+    fireEvent.click(screen.getByRole('button', { name: 'Encrypt Data File' }));
+    expect(screen.getByRole('alert')).toHaveTextContent('do not match');
+
+    fill('Confirm passphrase', 'long enough');
+    fireEvent.click(screen.getByRole('button', { name: 'Encrypt Data File' }));
+
+    await waitFor(() =>
+      expect(fileService.enableEncryption).toHaveBeenCalledWith('long enough'),
+    );
+    expect(
+      await screen.findByRole('button', { name: 'Change Passphrase' }),
+    ).toBeInTheDocument();
+  });
+
+  test('changes the passphrase and reports a wrong current passphrase', async () => {
+    const fileService = createFileService({ encrypted: true });
+    render(
+      <EncryptionPanel
+        fileService={fileService}
+        fileStatus="connected"
+      />,
+    );
+
+    fill('Current passphrase', 'nope');
+    fill('New passphrase', 'brand new pass');
+    fill('Confirm passphrase', 'brand new pass');
+    fireEvent.click(screen.getByRole('button', { name: 'Change Passphrase' }));
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Current passphrase is incorrect',
+    );
+
+    fill('Current passphrase', 'old passphrase');
+    fireEvent.click(screen.getByRole('button', { name: 'Change Passphrase' }));
+    await waitFor(() =>
+      expect(fileService.changePassphrase).toHaveBeenLastCalledWith(
+        'old passphrase',
+        'brand new pass',
+      ),
+    );
+    await waitFor(() =>
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument(),
+    );
+  });
+
+  test('is disabled while disconnected', () => {
+    render(
+      <EncryptionPanel
+        fileService={createFileService()}
+        fileStatus="disconnected"
+      />,
+    );
+    expect(
+      screen.getByRole('button', { name: 'Encrypt Data File' }),
+    ).toBeDisabled();
+  });
+});
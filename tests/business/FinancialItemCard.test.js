@@ -162,4 +162,55 @@ describe('FinancialItemCard', () => {
     const badge = getByTestId('badge');
     expect(badge).toHaveAttribute('data-status', 'VR Pending');
   });
+
+  test('shows the balance trend and history table', () => {
+    const onEdit = jest.fn();
+    const item = {
+      ...mockItem,
+      amount: 900,
+      balanceHistory: [
+        { id: 'b1', date: '2025-01-10', amount: 1500, source: 'Statement' },
+        {
+          id: 'b2',
+          date: '2025-02-28',
+          amount: 900,
+          source: 'AVS as of 2025-03-01',
+          recordedBy: 'Avery',
+        },
+      ],
+    };
+    const { getByRole, queryByRole } = render(
+      <FinancialItemCard
+        item={item}
+        itemType="resources"
+        onEdit={onEdit}
+      />,
+    );
+
+    expect(
+      getByRole('img', { name: 'Balance trend: $1,500.00 to $900.00' }),
+    ).toBeInTheDocument();
+    expect(
+      queryByRole('table', { name: 'Balance history of Test Savings Account' }),
+    ).not.toBeInTheDocument();
+
+    fireEvent.click(
+      getByRole('button', { name: 'Balance history of Test Savings Account' }),
+    );
+    const table = getByRole('table', {
+      name: 'Balance history of Test Savings Account',
+    });
+    expect(table).toHaveTextContent('01/10/2025$1,500.00Statement');
+    expect(table).toHaveTextContent(
+      '02/28/2025$900.00AVS as of 2025-03-01Avery',
+    );
+    expect(onEdit).not.toHaveBeenCalled();
+  });
+
+  test('flags items to re-verify', () => {
+    const { getByText } = render(
+      <FinancialItemCard item={{ ...mockItem, needsReverification: true }} />,
+    );
+    expect(getByText('Re-verify')).toBeInTheDocument();
+  });
 });
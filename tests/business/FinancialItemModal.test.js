@@ -266,6 +266,34 @@ describe('FinancialItemModal - Edit', () => {
     );
     expect(closeSpy).toHaveBeenCalled();
   });
+
+  test('keeps the previous amount in the balance history', () => {
+    const updateSpy = jest.fn((d) => d);
+    render(
+      <FinancialItemModal
+        isOpen
+        onClose={jest.fn()}
+        caseData={baseCase}
+        fullData={fullData}
+        onUpdateData={updateSpy}
+        itemType="expenses"
+        editingItem={existingItem}
+      />,
+    );
+    fireEvent.change(screen.getAllByRole('spinbutton')[0], {
+      target: { value: '1250' },
+    });
+    fireEvent.click(screen.getByText('Update Item'));
+
+    const updatedItem =
+      updateSpy.mock.calls[0][0].cases[0].financials.expenses[0];
+    expect(
+      updatedItem.balanceHistory.map((entry) => [entry.date, entry.amount]),
+    ).toEqual([
+      ['2024-01-01', 1200],
+      [expect.any(String), 1250],
+    ]);
+  });
 });
 
 describe('FinancialItemModal - Verification Source', () => {
@@ -144,6 +144,65 @@ describe('FinancialManagementSection - Batch 1 (Smoke & Empty States)', () => {
     expect(importLabelButtons).toHaveLength(1);
   });
 
+  test('headers show monthly totals with one-time items apart', () => {
+    renderSection({
+      financials: {
+        resources: [{ id: 'r1', amount: 1500 }],
+        income: [
+          { id: 'i1', amount: 100, frequency: 'weekly' },
+          { id: 'i2', amount: 400, frequency: 'one-time' },
+        ],
+        expenses: [{ id: 'e1', amount: 1200, frequency: 'yearly' }],
+      },
+    });
+    expect(screen.getByLabelText('Resources total')).toHaveTextContent(
+      'Total $1,500.00',
+    );
+    expect(screen.getByLabelText('Income total')).toHaveTextContent(
+      '$433.33/mo + $400.00 one-time',
+    );
+    expect(screen.getByLabelText('Expenses total')).toHaveTextContent(
+      '$100.00/mo',
+    );
+  });
+
+  test('SIMP accordion headers break totals down by owner', () => {
+    renderSection({
+      appDetails: { caseType: 'SIMP' },
+      financials: {
+        resources: [{ id: 'r1', amount: 2000, owner: 'joint' }],
+        income: [
+          { id: 'i1', amount: 900, frequency: 'monthly', owner: 'spouse' },
+        ],
+        expenses: [],
+      },
+    });
+    expect(screen.getByLabelText('Spouse Financials totals')).toHaveTextContent(
+      'Resources $0.00 · Income $900.00/mo',
+    );
+    expect(screen.getByLabelText('Joint Financials totals')).toHaveTextContent(
+      'Resources $2,000.00 · Income $0.00/mo',
+    );
+  });
+
+  test('SIMP applicant section lists the items without an owner it totals', () => {
+    renderSection({
+      appDetails: { caseType: 'SIMP' },
+      financials: {
+        resources: [{ id: 'legacy1', name: 'Legacy Savings', amount: 500 }],
+        income: [],
+        expenses: [],
+      },
+    });
+    expect(
+      screen.getByLabelText('Applicant Financials totals'),
+    ).toHaveTextContent('Resources $500.00');
+    fireEvent.click(screen.getByText('Applicant Financials'));
+    expect(
+      screen.getByTestId('financial-item-card-legacy1'),
+    ).toBeInTheDocument();
+  });
+
   test('SIMP case renders accordion sections instead of direct grid', () => {
     renderSection({ appDetails: { caseType: 'SIMP' } });
     expect(screen.getByText('Applicant Financials')).toBeInTheDocument();
@@ -267,15 +326,16 @@ describe('FinancialManagementSection - Batch 3 (Edit & Delete Flows)', () => {
     expect(res2.name).toBe('Resource Two');
   });
 
-  test('deleting a resource item after confirm removes it', () => {
+  test('deleting a resource item after confirm moves it to the Recycle Bin', () => {
     renderSection();
     const card = screen.getByTestId('financial-item-card-res2');
     fireEvent.click(within(card).getByText('Delete'));
     fireEvent.click(within(card).getByText('Confirm'));
     const updatedCase = onUpdateData.mock.calls[0][0].cases[0];
-    expect(updatedCase.financials.resources.some((r) => r.id === 'res2')).toBe(
-      false,
+    const deleted = updatedCase.financials.resources.find(
+      (r) => r.id === 'res2',
     );
+    expect(deleted.deletedAt).toEqual(expect.any(String));
   });
 
   test('cancel delete does not call onUpdateData', () => {
@@ -286,6 +346,21 @@ describe('FinancialManagementSection - Batch 3 (Edit & Delete Flows)', () => {
     expect(onUpdateData).not.toHaveBeenCalled();
   });
 
+  test('items in the Recycle Bin are not shown', () => {
+    renderSection({
+      financials: {
+        ...baseCase.financials,
+        resources: baseCase.financials.resources.map((r) =>
+          r.id === 'res2' ? { ...r, deletedAt: '2025-01-01T00:00:00Z' } : r,
+        ),
+      },
+    });
+    expect(screen.getByTestId('financial-item-card-res1')).toBeInTheDocument();
+    expect(
+      screen.queryByTestId('financial-item-card-res2'),
+    ).not.toBeInTheDocument();
+  });
+
   test('SIMP accordion delete flow for applicant resource', () => {
     renderSection({
       appDetails: { caseType: 'SIMP' },
@@ -301,9 +376,10 @@ describe('FinancialManagementSection - Batch 3 (Edit & Delete Flows)', () => {
     fireEvent.click(within(card).getByText('Delete'));
     fireEvent.click(within(card).getByText('Confirm'));
     const updatedCase = onUpdateData.mock.calls[0][0].cases[0];
-    expect(updatedCase.financials.resources.some((r) => r.id === 'resA')).toBe(
-      false,
+    const deleted = updatedCase.financials.resources.find(
+      (r) => r.id === 'resA',
     );
+    expect(deleted.deletedAt).toEqual(expect.any(String));
   });
 });
 
@@ -398,6 +474,46 @@ describe('FinancialManagementSection - Batch 4 (Show More, AVS Import, Edge Item
     );
   });
 
+  test('AVS import records a new balance on a matching account', () => {
+    const existing = {
+      id: 'res1',
+      description: 'Checking',
+      amount: 5000,
+      dateAdded: '2025-01-10T09:00:00.000Z',
+    };
+    const importedItems = [
+      {
+        id: 'avs1',
+        value: 3000,
+        balanceDate: '2025-02-28',
+        source: 'AVS as of 2025-03-01',
+        verificationStatus: 'Verified',
+        existingItem: existing,
+      },
+    ];
+    registerComponent('business', 'AvsImportModal', (props) => {
+      if (props.isOpen) props.onImport(importedItems);
+      return null;
+    });
+    try {
+      const { onUpdateData } = renderWithCase({
+        financials: { resources: [existing], income: [], expenses: [] },
+      });
+      fireEvent.click(screen.getByTitle('Import financial data from AVS'));
+
+      const [data, label] = onUpdateData.mock.calls[0];
+      const resources = data.cases[0].financials.resources;
+      expect(resources).toHaveLength(1);
+      expect(resources[0]).toMatchObject({ id: 'res1', amount: 3000 });
+      expect(resources[0].balanceHistory.map((entry) => entry.amount)).toEqual([
+        5000, 3000,
+      ]);
+      expect(label).toBe('Imported 1 AVS item');
+    } finally {
+      registerComponent('business', 'AvsImportModal', StubAvsImportModal);
+    }
+  });
+
   test('zero and negative amount items still render', () => {
     const resources = [
       { id: 'zr1', name: 'Zero Amount', amount: 0 },
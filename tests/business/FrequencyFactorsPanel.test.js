@@ -0,0 +1,43 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import FrequencyFactorsPanel from '../../src/components/business/FrequencyFactorsPanel.jsx';
+import { getFrequencyFactors } from '../../src/services/settings.js';
+
+describe('FrequencyFactorsPanel', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('saves the monthly factors', () => {
+    const onSaved = jest.fn();
+    render(<FrequencyFactorsPanel onSaved={onSaved} />);
+
+    expect(screen.getByLabelText('Weekly factor')).toHaveValue(4.3333);
+    fireEvent.change(screen.getByLabelText('Weekly factor'), {
+      target: { value: '4.345' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Factors' }));
+
+    expect(getFrequencyFactors()).toMatchObject({
+      monthly: 1,
+      weekly: 4.345,
+      daily: 30.4167,
+    });
+    expect(onSaved).toHaveBeenCalledWith(
+      expect.objectContaining({ weekly: 4.345 }),
+    );
+  });
+
+  test('rejects factors that are not positive numbers', () => {
+    render(<FrequencyFactorsPanel />);
+    fireEvent.change(screen.getByLabelText('Daily factor'), {
+      target: { value: '0' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Factors' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Daily: factor must be a positive number',
+    );
+    expect(getFrequencyFactors().daily).toBe(30.4167);
+  });
+});
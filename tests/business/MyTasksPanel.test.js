@@ -0,0 +1,109 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import '../../src/components/ui/Modal.jsx';
+import MyTasksPanel from '../../src/components/business/MyTasksPanel.jsx';
+import { setWorkerName } from '../../src/services/settings.js';
+
+const TODAY = '2025-05-01';
+
+const fullData = () => ({
+  cases: [{ id: 'c1', mcn: '1001' }],
+  tasks: [
+    {
+      id: 't1',
+      title: 'Send denial letter',
+      caseId: 'c1',
+      dueDate: '2025-04-28',
+      status: 'Open',
+      priority: 'High',
+      assignee: 'Ann',
+      recurrence: 'none',
+    },
+    {
+      id: 't2',
+      title: 'Check VR',
+      caseId: 'c1',
+      dueDate: TODAY,
+      status: 'Open',
+      priority: 'Normal',
+      assignee: '',
+      recurrence: 'weekly',
+    },
+    {
+      id: 't3',
+      title: 'Bob only',
+      dueDate: '2025-05-09',
+      status: 'Open',
+      priority: 'Normal',
+      assignee: 'Bob',
+      recurrence: 'none',
+    },
+  ],
+});
+
+describe('MyTasksPanel', () => {
+  afterEach(() => setWorkerName(''));
+
+  test('groups the worker’s tasks as overdue, today and upcoming', () => {
+    setWorkerName('Ann');
+    render(
+      <MyTasksPanel
+        fullData={fullData()}
+        today={TODAY}
+      />,
+    );
+
+    expect(
+      screen.getByText('Assigned to Ann or unassigned'),
+    ).toBeInTheDocument();
+    const overdue = screen.getByRole('list', { name: 'Overdue tasks' });
+    expect(overdue).toHaveTextContent('Send denial letter');
+    expect(overdue).toHaveTextContent('Overdue by 3 days');
+    expect(overdue).toHaveTextContent('Case MCN 1001');
+    expect(screen.getByRole('list', { name: 'Today tasks' })).toHaveTextContent(
+      'Check VR',
+    );
+    expect(screen.queryByText('Bob only')).not.toBeInTheDocument();
+  });
+
+  test('completes a task and adds a new one', () => {
+    const onUpdateData = jest.fn();
+    const data = fullData();
+    render(
+      <MyTasksPanel
+        fullData={data}
+        onUpdateData={onUpdateData}
+        today={TODAY}
+      />,
+    );
+
+    fireEvent.click(screen.getByLabelText('Complete Check VR'));
+    const [completed, label] = onUpdateData.mock.calls[0];
+    expect(label).toBe('Complete task Check VR');
+    expect(completed.tasks[1].status).toBe('Done');
+    // Weekly task: the next one is scheduled
+    expect(completed.tasks[3]).toMatchObject({
+      title: 'Check VR',
+      dueDate: '2025-05-08',
+    });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Add Task' }));
+    const dialog = screen.getByRole('dialog');
+    fireEvent.change(within(dialog).getByLabelText('Title'), {
+      target: { value: 'Renewal packet' },
+    });
+    fireEvent.change(within(dialog).getByLabelText('Case'), {
+      target: { value: 'c1' },
+    });
+    fireEvent.click(within(dialog).getByRole('button', { name: 'Add Task' }));
+
+    const [added] = onUpdateData.mock.calls[1];
+    expect(added.tasks[3]).toMatchObject({
+      title: 'Renewal packet',
+      caseId: 'c1',
+      status: 'Open',
+    });
+  });
+});
@@ -4,7 +4,7 @@
  */
 
 import React from 'react';
-import { render } from '@testing-library/react';
+import { act, fireEvent, render, screen } from '@testing-library/react';
 import '@testing-library/jest-dom';
 
 // Mock all the complex dependencies
@@ -30,6 +30,8 @@ jest.mock('../../src/services/registry', () => ({
             {children}
           </div>
         ),
+        ConfirmationModal: ({ isOpen, onCancel, cancelText }) =>
+          isOpen ? <button onClick={onCancel}>{cancelText}</button> : null,
       },
       business: {
         SettingsModal: ({ children, ...props }) => (
@@ -54,9 +56,12 @@ jest.mock('../../src/services/registry', () => ({
   }),
 }));
 
-// Mock the tab components
+// Mock the tab components; the dashboard hands the app's data store to the tests
+const mockStoreRef = { current: null };
 jest.mock('../../src/components/business/DashboardTab.jsx', () => {
+  const { useDataStore } = require('../../src/hooks/useDataStore.js');
   return function DashboardTab(props) {
+    mockStoreRef.current = useDataStore();
     return <div data-testid="dashboard-tab">Dashboard Tab</div>;
   };
 });
@@ -130,6 +135,7 @@ global.globalThis.NightingaleLogger = {
 
 // Import the component after mocking
 import NightingaleCMSApp from '../../src/components/business/NightingaleCMSApp.jsx';
+import { getFileService } from '../../src/services/fileServiceProvider.js';
 
 describe('NightingaleCMSApp smoke tests', () => {
   beforeEach(() => {
@@ -187,3 +193,153 @@ describe('NightingaleCMSApp smoke tests', () => {
     expect(mainElement).toBeInTheDocument();
   });
 });
+
+describe('NightingaleCMSApp automatic edits', () => {
+  const expired = {
+    id: 'p9',
+    name: 'Old Record',
+    deletedAt: '2020-01-01T00:00:00.000Z',
+  };
+  const loaded = () => ({
+    cases: [{ id: 'c1', mcn: '100', status: 'Pending' }],
+    people: [{ id: 'p1', name: 'Ann' }, expired],
+    organizations: [],
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockLocalStorage.getItem.mockReturnValue(null);
+    mockStoreRef.current = null;
+  });
+
+  test('purge expired Recycle Bin entries after loading, as a change of their own', () => {
+    render(<NightingaleCMSApp />);
+    const store = mockStoreRef.current;
+    act(() => store.load(loaded()));
+
+    expect(store.getData().people.map((p) => p.id)).toEqual(['p1']);
+    expect(store.getData().auditLog).toEqual([
+      expect.objectContaining({ source: 'retention', action: 'purged' }),
+    ]);
+
+    const data = store.getData();
+    act(() => {
+      store.replaceData(
+        { ...data, people: [{ ...data.people[0], name: 'Ann B' }] },
+        { label: 'Rename Ann' },
+      );
+    });
+    fireEvent.keyDown(document, { key: 'z', ctrlKey: true });
+    expect(store.getData().people).toEqual([{ id: 'p1', name: 'Ann' }]);
+
+    fireEvent.keyDown(document, { key: 'z', ctrlKey: true });
+    expect(store.getData().people).toContainEqual(expired);
+  });
+
+  test('purge expired entries on a timer', () => {
+    jest.useFakeTimers();
+    try {
+      render(<NightingaleCMSApp />);
+      const store = mockStoreRef.current;
+      act(() => store.load({ ...loaded(), people: [{ id: 'p1' }] }));
+
+      const data = store.getData();
+      act(() => store.load({ ...data, people: [...data.people, expired] }));
+      expect(store.getData().people).toContainEqual(expired);
+
+      act(() => jest.advanceTimersByTime(60 * 60 * 1000));
+      expect(store.getData().people.map((p) => p.id)).toEqual(['p1']);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('wait for a pending journal recovery before purging', async () => {
+    getFileService.mockReturnValue({
+      checkPermission: jest.fn(async () => 'granted'),
+      readFile: jest.fn(async () => loaded()),
+      flushPendingChanges: jest.fn(async () => {}),
+      checkJournalRecovery: jest.fn(async () => ({
+        count: 1,
+        lastChange: Date.now(),
+      })),
+      discardJournal: jest.fn(async () => {}),
+    });
+    try {
+      render(<NightingaleCMSApp />);
+      const discard = await screen.findByText('Discard');
+      const store = mockStoreRef.current;
+      expect(store.getData().people).toContainEqual(expired);
+
+      await act(async () => fireEvent.click(discard));
+      expect(store.getData().people.map((p) => p.id)).toEqual(['p1']);
+    } finally {
+      getFileService.mockReturnValue(null);
+    }
+  });
+
+  test('certify approved cases after loading, as a change of their own', () => {
+    render(<NightingaleCMSApp />);
+    const store = mockStoreRef.current;
+    act(() =>
+      store.load({
+        ...loaded(),
+        people: [{ id: 'p1', name: 'Ann' }],
+        cases: [
+          {
+            id: 'c1',
+            mcn: '100',
+            status: 'Approved',
+            approvedDate: '2025-01-15',
+          },
+        ],
+      }),
+    );
+
+    expect(store.getData().cases[0].certificationPeriods).toHaveLength(1);
+    expect(store.getData().auditLog).toEqual(
+      expect.arrayContaining([expect.objectContaining({ source: 'renewal' })]),
+    );
+    expect(
+      store.getData().auditLog.every((entry) => entry.source === 'renewal'),
+    ).toBe(true);
+
+    fireEvent.keyDown(document, { key: 'z', ctrlKey: true });
+    expect(store.getData().cases[0].certificationPeriods).toBeUndefined();
+  });
+
+  test('start a renewal on its lead date without an edit', () => {
+    jest.useFakeTimers();
+    jest.setSystemTime(new Date('2025-11-14T12:00:00'));
+    try {
+      render(<NightingaleCMSApp />);
+      const store = mockStoreRef.current;
+      act(() =>
+        store.load({
+          ...loaded(),
+          people: [{ id: 'p1', name: 'Ann' }],
+          cases: [
+            {
+              id: 'c1',
+              mcn: '100',
+              status: 'Approved',
+              approvedDate: '2025-01-15',
+            },
+          ],
+        }),
+      );
+      expect(store.getData().cases[0].renewals).toBeUndefined();
+
+      act(() => jest.advanceTimersByTime(24 * 60 * 60 * 1000));
+
+      expect(store.getData().cases[0].renewals).toEqual([
+        expect.objectContaining({
+          dueDate: '2026-01-14',
+          startedDate: '2025-11-15',
+        }),
+      ]);
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+});
@@ -379,7 +379,7 @@ describe('NotesModal Batch4 - delete confirm/cancel + success', () => {
     expect(screen.getByText('Second note')).toBeInTheDocument();
   });
 
-  test('delete flow: confirm deletion removes note and shows toast', () => {
+  test('delete flow: confirm deletion moves note to the Recycle Bin and shows toast', () => {
     const { onNotesUpdate } = setup();
     const deleteButtons = screen.getAllByRole('button', { name: 'Delete' });
     fireEvent.click(deleteButtons[0]);
@@ -395,8 +395,12 @@ describe('NotesModal Batch4 - delete confirm/cancel + success', () => {
     // After deleting first (which was most recent), remaining note text still present
     expect(screen.getByText(/Existing Notes \(1\)/)).toBeInTheDocument();
     expect(onNotesUpdate).toHaveBeenCalledTimes(1);
+    // The note is kept with deletedAt so it can be restored
+    const [, updatedNotes] = onNotesUpdate.mock.calls[0];
+    expect(updatedNotes).toHaveLength(2);
+    expect(updatedNotes.filter((note) => note.deletedAt)).toHaveLength(1);
     expect(toastSpy).toHaveBeenCalledWith(
-      'Note deleted successfully',
+      'Note moved to the Recycle Bin',
       'success',
     );
 
@@ -525,7 +529,7 @@ describe('NotesModal Batch5 - error handling & timestamp fallback', () => {
     );
     // Success message should not appear
     expect(toastSpy).not.toHaveBeenCalledWith(
-      'Note deleted successfully',
+      'Note moved to the Recycle Bin',
       'success',
     );
 
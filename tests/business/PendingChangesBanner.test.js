@@ -0,0 +1,36 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import PendingChangesBanner from '../../src/components/business/PendingChangesBanner.jsx';
+
+describe('PendingChangesBanner', () => {
+  test('renders nothing without pending changes', () => {
+    const { container } = render(
+      <PendingChangesBanner
+        pending={null}
+        onReconnect={jest.fn()}
+      />,
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows the count and reconnects', async () => {
+    const onReconnect = jest.fn(() => Promise.resolve(true));
+    render(
+      <PendingChangesBanner
+        pending={{ count: 3, since: Date.now() }}
+        onReconnect={onReconnect}
+      />,
+    );
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      '3 unsaved changes, reconnect to save.',
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Reconnect' }));
+    expect(onReconnect).toHaveBeenCalledTimes(1);
+    await waitFor(() =>
+      expect(screen.getByRole('button', { name: 'Reconnect' })).toBeEnabled(),
+    );
+  });
+});
@@ -58,6 +58,10 @@ function CardStub({ children }) {
 }
 window.NightingaleUI.registerComponent('Card', CardStub);
 
+import '../../src/components/ui/Modal.jsx';
+import '../../src/components/business/DeleteImpactModal.jsx';
+import '../../src/components/business/DuplicatePeopleModal.jsx';
+
 // Import PeopleTab after stubbing modal
 import PeopleTab from '../../src/components/business/PeopleTab.jsx';
 
@@ -140,4 +144,90 @@ describe('PeopleTab (MUI version)', () => {
     expect(screen.getByText('Bob Smith')).toBeInTheDocument();
     expect(screen.getByText(/3 people/)).toBeInTheDocument();
   });
+
+  test('blocks deleting a person who is the client of a case', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <PeopleTab
+        fullData={{
+          people: PEOPLE,
+          cases: [{ id: 'c1', mcn: '1001', personId: 'p1' }],
+        }}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Delete Alice Johnson' }),
+    );
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Alice Johnson cannot be deleted',
+    );
+    expect(screen.getByRole('button', { name: 'Delete' })).toBeDisabled();
+    expect(onUpdateData).not.toHaveBeenCalled();
+  });
+
+  test('moves a person to the Recycle Bin after confirming the impact preview', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <PeopleTab
+        {...baseProps}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Delete Bob Smith' }));
+    expect(
+      screen.getByText(/No other records refer to it/),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByText(/can be restored from Settings/),
+    ).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Delete' }));
+    const [updated, label] = onUpdateData.mock.calls[0];
+    expect(updated.people.map((p) => p.id)).toEqual(['p1', 'p2', 'p3']);
+    expect(updated.people[1].deletedAt).toEqual(expect.any(String));
+    expect(label).toBe('Delete Bob Smith');
+  });
+
+  test('hides people in the Recycle Bin', () => {
+    render(
+      <PeopleTab
+        {...baseProps}
+        fullData={{
+          ...baseProps.fullData,
+          people: PEOPLE.map((p) =>
+            p.id === 'p2' ? { ...p, deletedAt: '2025-01-01T00:00:00Z' } : p,
+          ),
+        }}
+      />,
+    );
+    expect(screen.queryByText('Bob Smith')).not.toBeInTheDocument();
+    expect(screen.getByText('Alice Johnson')).toBeInTheDocument();
+  });
+
+  test('merges duplicate people from Find Duplicates', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <PeopleTab
+        fullData={{
+          people: [...PEOPLE, { id: 'p4', name: 'Smith, Bob' }],
+          cases: [{ id: 'c1', mcn: '1001', personId: 'p4' }],
+        }}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Find Duplicates' }));
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Review Bob Smith and Smith, Bob' }),
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Merge' }));
+
+    const [updated, label, source, entries] = onUpdateData.mock.calls[0];
+    expect(updated.people.map((p) => p.id)).toEqual(['p1', 'p2', 'p3']);
+    expect(updated.cases[0].personId).toBe('p2');
+    expect(label).toBe('Merge Smith, Bob into Bob Smith');
+    expect(source).toBe('merge');
+    expect(entries).toEqual([
+      expect.objectContaining({ action: 'merged', entityId: 'p2' }),
+    ]);
+  });
 });
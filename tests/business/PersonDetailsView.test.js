@@ -54,4 +54,35 @@ describe('PersonDetailsView (MUI)', () => {
       screen.getByRole('button', { name: /Back to People/i }),
     ).toBeInTheDocument();
   });
+
+  test('shows the history of the person', () => {
+    render(
+      <PersonDetailsView
+        personId="p1"
+        fullData={{
+          people,
+          cases: [],
+          auditLog: [
+            {
+              id: 'a1',
+              timestamp: '2025-03-01T10:00:00.000Z',
+              actor: 'Pat Worker',
+              source: 'manual',
+              entityType: 'person',
+              entityId: 'p1',
+              personId: 'p1',
+              label: 'Jane Doe',
+              action: 'updated',
+              field: 'phone',
+              oldValue: '555-0000',
+              newValue: '555-1234',
+            },
+          ],
+        }}
+      />,
+    );
+    expect(screen.getByRole('region', { name: 'History' })).toHaveTextContent(
+      'phone: 555-0000 → 555-1234',
+    );
+  });
 });
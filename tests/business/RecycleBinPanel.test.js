@@ -0,0 +1,110 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+// Import Modal first so ConfirmationModal registers in the UI registry
+import '../../src/components/ui/Modal.jsx';
+import RecycleBinPanel from '../../src/components/business/RecycleBinPanel.jsx';
+import { getRecycleBinRetentionDays } from '../../src/services/settings.js';
+
+const DELETED_AT = '2025-03-01T10:00:00.000Z';
+
+const currentData = {
+  people: [
+    { id: 'p1', name: 'Jane Doe' },
+    { id: 'p2', name: 'John Roe', deletedAt: DELETED_AT, deletedBy: 'Ann' },
+  ],
+  organizations: [],
+  cases: [
+    {
+      id: 'c1',
+      mcn: '1001',
+      personId: 'p1',
+      deletedAt: DELETED_AT,
+      deletedBy: 'Bob',
+      financials: {
+        resources: [
+          { id: 'f1', description: 'Checking', deletedAt: DELETED_AT },
+        ],
+      },
+    },
+  ],
+  vrRequests: [
+    { id: 'vr1', caseId: 'c1', deletedAt: DELETED_AT, deletedWith: 'cases:c1' },
+  ],
+};
+
+const entryNames = () =>
+  within(screen.getByRole('list', { name: 'Deleted records' }))
+    .getAllByRole('listitem')
+    .map((item) => item.textContent);
+
+describe('RecycleBinPanel', () => {
+  afterEach(() => localStorage.clear());
+
+  test('lists deleted records and filters them by type and text', () => {
+    render(<RecycleBinPanel currentData={currentData} />);
+
+    expect(screen.getByText('3 items')).toBeInTheDocument();
+    expect(entryNames()).toHaveLength(3);
+    expect(screen.getByText(/1 related record/)).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Type filter'), {
+      target: { value: 'financialItems' },
+    });
+    expect(entryNames()).toEqual([
+      expect.stringContaining('Checking · Case MCN 1001'),
+    ]);
+
+    fireEvent.change(screen.getByLabelText('Type filter'), {
+      target: { value: '' },
+    });
+    fireEvent.change(screen.getByLabelText('Search Recycle Bin'), {
+      target: { value: 'ann' },
+    });
+    expect(entryNames()).toEqual([expect.stringContaining('John Roe')]);
+  });
+
+  test('restores a record with the records deleted with it', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <RecycleBinPanel
+        currentData={currentData}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Restore Case MCN 1001' }),
+    );
+
+    const [data, label, source] = onUpdateData.mock.calls[0];
+    expect(data.cases[0].deletedAt).toBeUndefined();
+    expect(data.vrRequests[0].deletedAt).toBeUndefined();
+    expect(label).toBe('Restore Case MCN 1001');
+    expect(source).toBe('recycle-bin');
+  });
+
+  test('purges a record after confirmation', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <RecycleBinPanel
+        currentData={currentData}
+        onUpdateData={onUpdateData}
+      />,
+    );
+    fireEvent.click(screen.getByRole('button', { name: 'Purge John Roe' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Purge' }));
+
+    const [data] = onUpdateData.mock.calls[0];
+    expect(data.people.map((p) => p.id)).toEqual(['p1']);
+  });
+
+  test('saves the retention period', () => {
+    render(<RecycleBinPanel currentData={currentData} />);
+    fireEvent.change(screen.getByLabelText('Keep for (days)'), {
+      target: { value: '90' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Retention' }));
+    expect(getRecycleBinRetentionDays()).toBe(90);
+  });
+});
@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import RenewalsPanel from '../../src/components/business/RenewalsPanel.jsx';
+import { getRenewalSettings } from '../../src/services/settings.js';
+
+describe('RenewalsPanel', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('saves period lengths and the lead time', () => {
+    const onSaved = jest.fn();
+    render(<RenewalsPanel onSaved={onSaved} />);
+
+    expect(screen.getByLabelText('LTC certification months')).toHaveValue(12);
+    fireEvent.change(screen.getByLabelText('Waiver certification months'), {
+      target: { value: '6' },
+    });
+    fireEvent.change(screen.getByLabelText('Default certification months'), {
+      target: { value: '24' },
+    });
+    fireEvent.change(screen.getByLabelText('Renewal lead days'), {
+      target: { value: '45' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Renewals' }));
+
+    expect(getRenewalSettings()).toMatchObject({
+      defaultMonths: 24,
+      leadDays: 45,
+      byCaseType: { LTC: 12, Waiver: 6 },
+    });
+    expect(onSaved).toHaveBeenCalled();
+  });
+
+  test('rejects invalid months and lead days', () => {
+    render(<RenewalsPanel />);
+    fireEvent.change(screen.getByLabelText('SIMP certification months'), {
+      target: { value: '0' },
+    });
+    fireEvent.change(screen.getByLabelText('Renewal lead days'), {
+      target: { value: '-1' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Save Renewals' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'SIMP: months must be a positive whole number',
+    );
+    expect(screen.getByRole('alert')).toHaveTextContent(
+      'Lead days must be zero or more',
+    );
+    expect(getRenewalSettings().leadDays).toBe(60);
+  });
+});
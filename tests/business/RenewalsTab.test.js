@@ -0,0 +1,78 @@
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import RenewalsTab from '../../src/components/business/RenewalsTab.jsx';
+import { ensureCertification } from '../../src/services/nightingale.renewals.js';
+
+const certified = (id, mcn, approvedDate) =>
+  ensureCertification({
+    id,
+    mcn,
+    personId: 'p1',
+    caseType: 'LTC',
+    status: 'Approved',
+    approvedDate,
+  });
+
+const fullData = {
+  cases: [
+    certified('c1', '100', '2025-01-15'),
+    certified('c2', '200', '2025-02-03'),
+  ],
+  people: [{ id: 'p1', name: 'Jane Doe' }],
+  tasks: [],
+};
+
+describe('RenewalsTab', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('lists renewals due this month and next month', () => {
+    render(
+      <RenewalsTab
+        fullData={fullData}
+        today="2026-01-05"
+      />,
+    );
+
+    expect(
+      screen.queryByRole('region', { name: 'Overdue' }),
+    ).not.toBeInTheDocument();
+    const thisMonth = screen.getByRole('region', { name: 'Due this month' });
+    expect(thisMonth).toHaveTextContent('Due this month (1)');
+    expect(thisMonth).toHaveTextContent('Case MCN 100 · Jane Doe (LTC)');
+    expect(thisMonth).toHaveTextContent('9 days left');
+    expect(
+      within(screen.getByRole('region', { name: 'Due next month' })).getByText(
+        'Case MCN 200 · Jane Doe (LTC)',
+      ),
+    ).toBeInTheDocument();
+  });
+
+  test('starts a renewal', () => {
+    const onUpdateData = jest.fn();
+    render(
+      <RenewalsTab
+        fullData={fullData}
+        onUpdateData={onUpdateData}
+        today="2026-01-05"
+      />,
+    );
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Start renewal of Case MCN 200' }),
+    );
+    const [data, label] = onUpdateData.mock.calls[0];
+    expect(data.cases[1].renewals[0].startedDate).toBe('2026-01-05');
+    expect(label).toBe('Start renewal of Case MCN 200');
+  });
+
+  test('shows an empty month', () => {
+    render(
+      <RenewalsTab
+        fullData={{ cases: [] }}
+        today="2026-01-05"
+      />,
+    );
+    expect(screen.getAllByText('No renewals.')).toHaveLength(2);
+  });
+});
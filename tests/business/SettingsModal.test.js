@@ -264,4 +264,119 @@ describe('SettingsModal', () => {
     await waitFor(() => expect(fileService.readFile).toHaveBeenCalled());
     expect(localStorage.getItem('nightingale_data')).toBeNull();
   });
+
+  test('switching storage location saves the choice and reloads data', async () => {
+    const fileService = {
+      ...createFileService({ readData: { cases: [{ id: 'idb' }] } }),
+      getStorageInfo: jest.fn().mockResolvedValue({
+        kind: 'indexeddb',
+        label: 'Browser database (IndexedDB)',
+        connected: true,
+      }),
+      switchAdapter: jest.fn().mockResolvedValue(true),
+    };
+    const onDataLoaded = jest.fn();
+    const onFileStatusChange = jest.fn();
+    render(
+      <SettingsModal
+        isOpen
+        onClose={jest.fn()}
+        fileService={fileService}
+        onDataLoaded={onDataLoaded}
+        onFileStatusChange={onFileStatusChange}
+        fileStatus="connected"
+      />,
+    );
+
+    expect(
+      await screen.findByText('Using Browser database (IndexedDB)'),
+    ).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText(/Storage location/i), {
+      target: { value: 'memory' },
+    });
+
+    await waitFor(() =>
+      expect(onDataLoaded).toHaveBeenCalledWith({ cases: [{ id: 'idb' }] }),
+    );
+    expect(fileService.switchAdapter).toHaveBeenCalledWith('memory');
+    expect(onFileStatusChange).toHaveBeenCalledWith('connected');
+    expect(
+      JSON.parse(localStorage.getItem('nightingale:settings:v1'))
+        .storageAdapter,
+    ).toBe('memory');
+  });
+
+  test('converting the storage layout calls convertLayout', async () => {
+    const fileService = {
+      ...createFileService(),
+      getLayoutInfo: jest.fn(() => ({ layout: 'single', shards: 0 })),
+      convertLayout: jest
+        .fn()
+        .mockResolvedValue({ layout: 'sharded', shards: 5 }),
+    };
+    render(
+      <SettingsModal
+        isOpen
+        onClose={jest.fn()}
+        fileService={fileService}
+        fileStatus="connected"
+      />,
+    );
+
+    const select = screen.getByLabelText(/Storage layout/i);
+    expect(select).toHaveValue('single');
+    fireEvent.change(select, { target: { value: 'sharded' } });
+
+    await waitFor(() => expect(select).toHaveValue('sharded'));
+    expect(fileService.convertLayout).toHaveBeenCalledWith('sharded');
+    expect(window.showToast).toHaveBeenCalledWith(
+      'Data file split into 5 shards',
+      'success',
+    );
+  });
+
+  test('migration panel previews steps and backs up the original before writing', async () => {
+    const legacy = {
+      cases: [{ id: 1, masterCaseNumber: 'MCN-7', personId: 2 }],
+      people: [{ id: 2, firstName: 'Ada', lastName: 'Lovelace' }],
+    };
+    const fileService = {
+      ...createFileService({ readData: legacy }),
+      writeNamedFile: jest.fn().mockResolvedValue(true),
+      writeFile: jest.fn().mockResolvedValue(true),
+    };
+    const onDataLoaded = jest.fn();
+    render(
+      <SettingsModal
+        isOpen
+        onClose={jest.fn()}
+        fileService={fileService}
+        fileStatus="connected"
+        onDataLoaded={onDataLoaded}
+      />,
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /Data Migration/i }));
+    const steps = await screen.findByRole('list', { name: 'Migration steps' });
+    expect(steps).toHaveTextContent('string-ids (2024.1 → 2024.2): 2 changes');
+    expect(screen.getByText(/2024.1 → 2024.9 \(dry run\)/)).toBeInTheDocument();
+
+    fireEvent.click(
+      screen.getByRole('button', { name: /Run Full Migration/i }),
+    );
+    await screen.findByText('Migration Report');
+    fireEvent.click(screen.getByRole('button', { name: /Write & Backup/i }));
+
+    await waitFor(() => expect(fileService.writeFile).toHaveBeenCalled());
+    const [backupName, backupData] = fileService.writeNamedFile.mock.calls[0];
+    expect(backupName).toMatch(/^nightingale-data\.backup-/);
+    expect(backupData).toEqual(legacy);
+    expect(fileService.writeNamedFile.mock.invocationCallOrder[0]).toBeLessThan(
+      fileService.writeFile.mock.invocationCallOrder[0],
+    );
+    const written = fileService.writeFile.mock.calls[0][0];
+    expect(written.metadata.schemaVersion).toBe('2024.9');
+    expect(written.cases[0].mcn).toBe('7');
+    expect(onDataLoaded).toHaveBeenCalledWith(written);
+  });
 });
@@ -0,0 +1,53 @@
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import UnlockScreen from '../../src/components/business/UnlockScreen.jsx';
+
+describe('UnlockScreen', () => {
+  test('renders nothing while unlocked', () => {
+    render(
+      <UnlockScreen
+        isOpen={false}
+        onUnlock={jest.fn()}
+      />,
+    );
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  test('shows an error for a wrong passphrase and retries', async () => {
+    const onUnlock = jest
+      .fn()
+      .mockResolvedValueOnce(false)
+      .mockResolvedValueOnce(true);
+    render(
+      <UnlockScreen
+        isOpen
+        onUnlock={onUnlock}
+        fileName="data.json"
+      />,
+    );
+    expect(screen.getByText(/data.json is encrypted/)).toBeInTheDocument();
+    const unlock = screen.getByRole('button', { name: 'Unlock' });
+    expect(unlock).toBeDisabled();
+
+    fireEvent.change(screen.getByLabelText('Passphrase'), {
+      target: { value: 'guess' },
+    });
+    fireEvent.click(unlock);
+    expect(await screen.findByRole('alert')).toHaveTextContent(
+      'Incorrect passphrase',
+    );
+
+    fireEvent.change(screen.getByLabelText('Passphrase'), {
+      target: { value: 'correct horse' },
+    });
+    fireEvent.click(screen.getByRole('button', { name: 'Unlock' }));
+    await waitFor(() =>
+      expect(onUnlock).toHaveBeenLastCalledWith('correct horse'),
+    );
+    await waitFor(() =>
+      expect(screen.getByLabelText('Passphrase')).toHaveValue(''),
+    );
+  });
+});
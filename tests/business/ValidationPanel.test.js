@@ -0,0 +1,44 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import '@testing-library/jest-dom';
+
+import ValidationPanel from '../../src/components/business/ValidationPanel.jsx';
+import { validateDataset } from '../../src/services/nightingale.validator.js';
+
+const invalid = {
+  cases: [{ id: 'c1', mcn: '123', status: 'Pending' }],
+  people: [{ id: 'p1', name: 'Unknown Person' }],
+};
+
+describe('ValidationPanel', () => {
+  test('shows the load and save reports from the file service', () => {
+    const fileService = {
+      getValidationReport: jest.fn(() => ({
+        load: validateDataset(invalid),
+        save: null,
+      })),
+    };
+    render(<ValidationPanel fileService={fileService} />);
+
+    expect(screen.getByText('1 error, 1 warning')).toBeInTheDocument();
+    expect(screen.getByText('Not validated')).toBeInTheDocument();
+    expect(screen.getByText('$.cases[0].personId')).toBeInTheDocument();
+  });
+
+  test('validates the current data and filters by severity', () => {
+    render(<ValidationPanel currentData={invalid} />);
+
+    fireEvent.click(
+      screen.getByRole('button', { name: 'Validate Current Data' }),
+    );
+    expect(
+      screen.getByText(/Current data: 1 error, 1 warning/),
+    ).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Severity filter'), {
+      target: { value: 'warning' },
+    });
+    expect(screen.queryByText('$.cases[0].personId')).toBeNull();
+    expect(screen.getByText('$.people[0].name')).toBeInTheDocument();
+  });
+});
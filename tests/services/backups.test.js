@@ -0,0 +1,248 @@
+/**
+ * Tests for backup naming, retention selection, summaries, diffs and restore
+ */
+
+import {
+  backupFileName,
+  parseBackupDate,
+  listBackups,
+  selectBackupsToPrune,
+  applyBackupRetention,
+  summarizeDataset,
+  diffDatasets,
+  restoreBackup,
+} from '../../src/services/backups.js';
+
+/** In-memory file service exposing the named-file API used by backups.js */
+function createFileService(files = {}) {
+  const disk = { ...files };
+  return {
+    disk,
+    fileName: 'nightingale-data.json',
+    listFiles: jest.fn(async (prefix = '') =>
+      Object.keys(disk)
+        .filter((name) => name.startsWith(prefix))
+        .map((name) => ({ name, size: 10, lastModified: 0 })),
+    ),
+    readNamedFile: jest.fn(async (name) => disk[name] ?? null),
+    writeNamedFile: jest.fn(async (name, data) => {
+      disk[name] = data;
+      return true;
+    }),
+    removeNamedFile: jest.fn(async (name) => {
+      delete disk[name];
+      return true;
+    }),
+    writeFile: jest.fn(async (data) => {
+      disk['nightingale-data.json'] = data;
+      return true;
+    }),
+  };
+}
+
+const at = (iso) => ({
+  name: backupFileName(new Date(iso)),
+  date: new Date(iso),
+});
+
+describe('backup file names', () => {
+  test('round-trips the timestamp through the file name', () => {
+    const date = new Date('2025-09-17T12:30:45.123Z');
+    const name = backupFileName(date);
+    expect(name).toBe('nightingale-data.backup-2025-09-17T12-30-45.123Z.json');
+    expect(parseBackupDate(name)).toEqual(date);
+  });
+
+  test('returns null for unrelated names', () => {
+    expect(parseBackupDate('nightingale-data.json')).toBeNull();
+    expect(parseBackupDate('nightingale-data.backup-garbage.json')).toBeNull();
+  });
+
+  test('listBackups sorts newest first and skips unparseable names', async () => {
+    const fs = createFileService({
+      [backupFileName(new Date('2025-01-01T00:00:00Z'))]: {},
+      [backupFileName(new Date('2025-03-01T00:00:00Z'))]: {},
+      'nightingale-data.backup-notes.json': {},
+    });
+    const list = await listBackups(fs);
+    expect(list.map((b) => b.date.toISOString())).toEqual([
+      '2025-03-01T00:00:00.000Z',
+      '2025-01-01T00:00:00.000Z',
+    ]);
+  });
+});
+
+describe('selectBackupsToPrune', () => {
+  const now = new Date('2025-09-17T12:00:00Z');
+
+  test('keeps only the newest N when other rules are disabled', () => {
+    const backups = [
+      at('2025-09-17T10:00:00Z'),
+      at('2025-09-17T09:00:00Z'),
+      at('2025-09-17T08:00:00Z'),
+    ];
+    const { keep, prune } = selectBackupsToPrune(backups, { keepLast: 2 }, now);
+    expect(keep).toEqual([backups[0].name, backups[1].name]);
+    expect(prune).toEqual([backups[2].name]);
+  });
+
+  test('keeps the newest backup per day within the daily window', () => {
+    const backups = [
+      at('2025-09-16T18:00:00Z'),
+      at('2025-09-16T08:00:00Z'),
+      at('2025-09-10T08:00:00Z'),
+      at('2025-07-01T08:00:00Z'),
+    ];
+    const { keep } = selectBackupsToPrune(backups, { dailyDays: 30 }, now);
+    expect(keep).toEqual([backups[0].name, backups[2].name]);
+  });
+
+  test('keeps the newest backup per month within the monthly window', () => {
+    const backups = [
+      at('2025-09-02T08:00:00Z'),
+      at('2025-09-01T08:00:00Z'),
+      at('2025-08-20T08:00:00Z'),
+      at('2024-08-20T08:00:00Z'),
+    ];
+    const { keep, prune } = selectBackupsToPrune(
+      backups,
+      { monthlyMonths: 12 },
+      now,
+    );
+    expect(keep).toEqual([backups[0].name, backups[2].name]);
+    expect(prune).toEqual([backups[1].name, backups[3].name]);
+  });
+
+  test('rules combine so a backup kept by any rule survives', () => {
+    const backups = [
+      at('2025-09-17T11:00:00Z'),
+      at('2025-09-17T10:00:00Z'),
+      at('2025-09-01T10:00:00Z'),
+      at('2025-05-01T10:00:00Z'),
+    ];
+    const { prune } = selectBackupsToPrune(
+      backups,
+      { keepLast: 1, dailyDays: 7, monthlyMonths: 6 },
+      now,
+    );
+    // 09-17 11:00 is the newest overall, of its day and of its month;
+    // 05-01 is the newest of May within six months
+    expect(prune).toEqual([backups[1].name, backups[2].name]);
+  });
+});
+
+describe('applyBackupRetention', () => {
+  test('removes backups the policy does not keep', async () => {
+    const old = backupFileName(new Date('2020-01-01T00:00:00Z'));
+    const recent = backupFileName(new Date());
+    const fs = createFileService({ [old]: {}, [recent]: {} });
+
+    const { removed } = await applyBackupRetention(fs, {
+      keepLast: 1,
+      dailyDays: 0,
+      monthlyMonths: 0,
+    });
+
+    expect(removed).toEqual([old]);
+    expect(Object.keys(fs.disk)).toEqual([recent]);
+  });
+
+  test('is a no-op for services without removeNamedFile', async () => {
+    expect(await applyBackupRetention({}, { keepLast: 0 })).toEqual({
+      kept: [],
+      removed: [],
+    });
+  });
+});
+
+describe('summaries and diffs', () => {
+  const current = {
+    cases: [
+      {
+        id: 1,
+        mcn: '100',
+        notes: [{ id: 'n1' }],
+        financials: { resources: [{ id: 'r1' }], income: [], expenses: [] },
+      },
+      { id: 2, mcn: '200' },
+    ],
+    people: [{ id: 'p1', name: 'Ann' }],
+    organizations: [],
+  };
+
+  test('summarizeDataset counts entities', () => {
+    expect(summarizeDataset(current)).toEqual({
+      cases: 2,
+      people: 1,
+      organizations: 0,
+      financialItems: 1,
+      notes: 1,
+      vrRequests: 0,
+    });
+    expect(summarizeDataset(null).cases).toBe(0);
+  });
+
+  test('diffDatasets reports added, removed and changed records by id', () => {
+    const backup = {
+      cases: [
+        { id: '1', mcn: '100-changed' },
+        { id: '3', mcn: '300' },
+      ],
+      people: [{ id: 'p1', name: 'Ann' }],
+      organizations: [{ id: 'o1', name: 'Acme' }],
+    };
+    const diff = diffDatasets(current, backup);
+    expect(diff.cases.added).toEqual([{ id: '3', label: '300' }]);
+    expect(diff.cases.removed).toEqual([{ id: '2', label: '200' }]);
+    expect(diff.cases.changed).toEqual([{ id: '1', label: '100-changed' }]);
+    expect(diff.people).toEqual({ added: [], removed: [], changed: [] });
+    expect(diff.organizations.added).toEqual([{ id: 'o1', label: 'Acme' }]);
+  });
+});
+
+describe('restoreBackup', () => {
+  const name = backupFileName(new Date('2025-01-01T00:00:00Z'));
+  const backupData = { cases: [{ id: 'old' }] };
+  const currentData = { cases: [{ id: 'new' }] };
+
+  test('writes a safety backup of current data before restoring', async () => {
+    const fs = createFileService({ [name]: backupData });
+
+    const result = await restoreBackup(fs, name, currentData);
+
+    expect(result.restored).toBe(true);
+    expect(result.data).toEqual(backupData);
+    expect(fs.disk[result.safetyBackup]).toEqual(currentData);
+    expect(fs.writeFile).toHaveBeenCalledWith(backupData);
+    expect(fs.writeNamedFile.mock.invocationCallOrder[0]).toBeLessThan(
+      fs.writeFile.mock.invocationCallOrder[0],
+    );
+  });
+
+  test('reads current data from disk when not provided', async () => {
+    const fs = createFileService({
+      [name]: backupData,
+      'nightingale-data.json': currentData,
+    });
+    const result = await restoreBackup(fs, name);
+    expect(fs.disk[result.safetyBackup]).toEqual(currentData);
+  });
+
+  test('aborts without touching the data file when the safety backup fails', async () => {
+    const fs = createFileService({ [name]: backupData });
+    fs.writeNamedFile.mockResolvedValue(false);
+
+    const result = await restoreBackup(fs, name, currentData);
+
+    expect(result).toEqual(
+      expect.objectContaining({ restored: false, reason: 'backup-failed' }),
+    );
+    expect(fs.writeFile).not.toHaveBeenCalled();
+  });
+
+  test('reports a missing backup', async () => {
+    const fs = createFileService();
+    const result = await restoreBackup(fs, name, currentData);
+    expect(result.reason).toBe('missing');
+  });
+});
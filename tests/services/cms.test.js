@@ -192,6 +192,30 @@ describe('NightingaleCMSUtilities', () => {
       expect(result.notes.categories).toEqual(['Financial', 'General']);
     });
 
+    test('should total income and expenses as monthly equivalents', () => {
+      const result = NightingaleCMSUtilities.generateCaseSummary({
+        id: 2,
+        financials: {
+          resources: [{ value: 500 }],
+          income: [
+            { amount: 200, frequency: 'weekly', owner: 'spouse' },
+            { amount: 1000, frequency: 'one-time' },
+          ],
+          expenses: [{ amount: 600, frequency: 'yearly' }],
+        },
+      });
+
+      expect(result.financials).toMatchObject({
+        totalResources: 500,
+        totalIncome: 866.66,
+        totalExpenses: 50,
+        netWorth: 500,
+        monthlyNet: 816.66,
+        oneTimeIncome: 1000,
+      });
+      expect(result.financials.byOwner.spouse.income).toBe(866.66);
+    });
+
     test('should handle missing person and organization', () => {
       const result = NightingaleCMSUtilities.generateCaseSummary(mockCase, {});
 
@@ -1,5 +1,6 @@
 import {
   detectLegacyProfile,
+  previewMigrations,
   runFullMigration,
 } from '../../src/services/migration.js';
 
@@ -55,4 +56,49 @@ describe('migration service', () => {
     expect(person.name).toBe('Jane Doe');
     expect(migratedData.cases[0].clientName).toBeUndefined();
   });
+
+  test('previewMigrations is a dry run with per-step change counts', () => {
+    const preview = previewMigrations(legacySample);
+    expect(preview.fromVersion).toBe('2024.1');
+    expect(preview.toVersion).toBe('2024.9');
+    expect(preview.steps[0]).toEqual(
+      expect.objectContaining({ name: 'string-ids', changes: 3 }),
+    );
+    expect(legacySample.cases[0].id).toBe(1);
+  });
+
+  test('runFullMigration reports the applied schema migrations', async () => {
+    const { migratedData, report } = await runFullMigration(legacySample);
+    expect(report.migrations.toVersion).toBe('2024.9');
+    expect(report.migrations.steps).toHaveLength(8);
+    expect(migratedData.metadata.schemaVersion).toBe('2024.9');
+
+    const again = await runFullMigration(migratedData);
+    expect(again.report.migrations.steps).toEqual([]);
+    expect(detectLegacyProfile(migratedData).indicators.pendingMigrations).toBe(
+      false,
+    );
+  });
+
+  test('runFullMigration records the migrated fields in the audit trail', async () => {
+    const { migratedData } = await runFullMigration(legacySample, {
+      actor: 'Pat Worker',
+    });
+    const mcnEntry = migratedData.auditLog.find(
+      (entry) => entry.field === 'mcn',
+    );
+    expect(mcnEntry).toEqual(
+      expect.objectContaining({
+        source: 'migration',
+        actor: 'Pat Worker',
+        entityType: 'case',
+        entityId: '1',
+        oldValue: null,
+        newValue: '001',
+      }),
+    );
+
+    const dry = await runFullMigration(legacySample, { dryRun: true });
+    expect(dry.migratedData.auditLog).toBeUndefined();
+  });
 });
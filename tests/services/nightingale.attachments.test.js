@@ -0,0 +1,213 @@
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import IndexedDBStorageAdapter from '../../src/services/nightingale.storage.indexeddb.js';
+import {
+  addAttachment,
+  attachmentPath,
+  attachmentTargets,
+  caseAttachments,
+  findOrphans,
+  hashBlob,
+  previewKind,
+  readAttachment,
+  removeOrphanFiles,
+  safeFileName,
+} from '../../src/services/nightingale.attachments.js';
+import {
+  purgeDeleted,
+  softDeleteRecord,
+} from '../../src/services/nightingale.recyclebin.js';
+import { validateDataset } from '../../src/services/nightingale.validator.js';
+
+const caseItem = {
+  id: 'c1',
+  mcn: '1001',
+  financials: {
+    resources: [{ id: 'r1', description: 'Checking' }],
+    income: [],
+    expenses: [],
+  },
+};
+
+const dataset = () => ({
+  cases: [caseItem],
+  vrRequests: [{ id: 'vr1', caseId: 'c1', title: 'Bank letter' }],
+  attachments: [],
+});
+
+const file = (contents, name, type = 'text/plain') =>
+  new File([contents], name, { type });
+
+function createService(adapter = new MemoryStorageAdapter()) {
+  return new AutosaveFileService({ enabled: false, multiTab: false, adapter });
+}
+
+describe('nightingale.attachments', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    service = createService();
+  });
+
+  afterEach(() => {
+    service.destroy();
+  });
+
+  test('builds safe per-case paths', () => {
+    expect(safeFileName('../bank/statement?.pdf')).toBe('_bank_statement_.pdf');
+    expect(safeFileName('')).toBe('file');
+    expect(attachmentPath('c1', 'att-1', 'scan 1.pdf')).toBe(
+      'attachments/c1/att-1-scan 1.pdf',
+    );
+  });
+
+  test('hashes file contents with SHA-256', async () => {
+    expect(await hashBlob(new Blob(['abc']))).toBe(
+      'ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad',
+    );
+  });
+
+  test('copies the file into the case folder and records its metadata', async () => {
+    const { data, attachment } = await addAttachment(
+      service,
+      dataset(),
+      file('hello', 'letter.txt'),
+      {
+        caseId: 'c1',
+        entityType: 'financialItem',
+        entityId: 'r1',
+        actor: 'Alex',
+        timestamp: '2025-05-01T12:00:00.000Z',
+      },
+    );
+
+    expect(attachment).toEqual({
+      id: expect.stringMatching(/^att/),
+      caseId: 'c1',
+      entityType: 'financialItem',
+      entityId: 'r1',
+      name: 'letter.txt',
+      type: 'text/plain',
+      size: 5,
+      hash: expect.stringMatching(/^[0-9a-f]{64}$/),
+      path: `attachments/c1/${attachment.id}-letter.txt`,
+      uploadedAt: '2025-05-01T12:00:00.000Z',
+      uploadedBy: 'Alex',
+    });
+    expect(data.attachments).toEqual([attachment]);
+    expect(
+      validateDataset(data).issues.filter((issue) =>
+        issue.path.startsWith('$.attachments'),
+      ),
+    ).toEqual([]);
+    expect((await readAttachment(service, attachment)).size).toBe(5);
+    expect(caseAttachments(data, 'c1')).toEqual([attachment]);
+  });
+
+  test('refuses the same file twice on one record', async () => {
+    const { data } = await addAttachment(
+      service,
+      dataset(),
+      file('same', 'a.txt'),
+      { caseId: 'c1' },
+    );
+    await expect(
+      addAttachment(service, data, file('same', 'b.txt'), { caseId: 'c1' }),
+    ).rejects.toMatchObject({
+      name: 'AttachmentError',
+      message: '"b.txt" is already attached as "a.txt"',
+    });
+    // The same file may be linked to another record of the case
+    await expect(
+      addAttachment(service, data, file('same', 'b.txt'), {
+        caseId: 'c1',
+        entityType: 'vrRequest',
+        entityId: 'vr1',
+      }),
+    ).resolves.toBeDefined();
+  });
+
+  test('requires storage that holds binary files', async () => {
+    service.destroy();
+    service = createService(new IndexedDBStorageAdapter());
+    await expect(
+      addAttachment(service, dataset(), file('x', 'x.txt'), { caseId: 'c1' }),
+    ).rejects.toThrow('Connect a data folder to store attachments');
+  });
+
+  test('refuses files while the data file is encrypted', async () => {
+    service.encryption = { key: {}, kdf: { salt: 'salt' } };
+
+    await expect(
+      addAttachment(service, dataset(), file('x', 'x.txt'), { caseId: 'c1' }),
+    ).rejects.toThrow(
+      'Attachments cannot be added while the data file is encrypted',
+    );
+    expect(
+      await service.writeBlobFile('attachments/c1/x.txt', file('x', 'x.txt')),
+    ).toBe(false);
+    expect(await service.listBlobFiles('attachments')).toEqual([]);
+  });
+
+  test('lists the case, its financial items and VR requests as targets', () => {
+    expect(attachmentTargets(dataset(), caseItem)).toEqual([
+      { entityType: 'case', entityId: 'c1', label: 'Case MCN 1001' },
+      {
+        entityType: 'financialItem',
+        entityId: 'r1',
+        label: 'Checking (resources)',
+      },
+      { entityType: 'vrRequest', entityId: 'vr1', label: 'VR: Bank letter' },
+    ]);
+    expect(previewKind({ type: 'image/png' })).toBe('image');
+    expect(previewKind({ type: 'application/pdf' })).toBe('pdf');
+    expect(previewKind({ type: 'text/plain' })).toBeNull();
+  });
+
+  test('finds orphaned files once a record is purged', async () => {
+    const { data, attachment } = await addAttachment(
+      service,
+      dataset(),
+      file('keep', 'keep.txt'),
+      { caseId: 'c1' },
+    );
+    await service.writeBlobFile('attachments/c9/stray.txt', new Blob(['x']));
+
+    // Deleting the case sends its attachments to the Recycle Bin with it
+    const deleted = softDeleteRecord(data, 'cases', 'c1').data;
+    expect(deleted.attachments[0].deletedWith).toBe('cases:c1');
+    expect(caseAttachments(deleted, 'c1')).toEqual([]);
+    expect((await findOrphans(service, deleted)).orphanFiles).toEqual([
+      expect.objectContaining({ path: 'attachments/c9/stray.txt' }),
+    ]);
+
+    const purged = purgeDeleted(deleted, {
+      collection: 'cases',
+      id: 'c1',
+    });
+    const report = await findOrphans(service, purged);
+    expect(report.orphanFiles.map((f) => f.path).sort()).toEqual([
+      attachment.path,
+      'attachments/c9/stray.txt',
+    ]);
+    expect(await removeOrphanFiles(service, report.orphanFiles)).toBe(2);
+    expect(await service.listBlobFiles('attachments')).toEqual([]);
+  });
+
+  test('reports records whose file is missing', async () => {
+    const { data, attachment } = await addAttachment(
+      service,
+      dataset(),
+      file('gone', 'gone.txt'),
+      { caseId: 'c1' },
+    );
+    await service.removeBlobFile(attachment.path);
+    expect((await findOrphans(service, data)).missingFiles).toEqual([
+      attachment,
+    ]);
+    await expect(readAttachment(service, attachment)).rejects.toThrow(
+      '"gone.txt" is missing from the data folder',
+    );
+  });
+});
@@ -0,0 +1,192 @@
+import {
+  diffDataset,
+  filterAuditEntries,
+  formatAuditValue,
+  recordChanges,
+} from '../../src/services/nightingale.audit.js';
+
+const TIMESTAMP = '2025-03-01T10:00:00.000Z';
+
+const dataset = () => ({
+  cases: [
+    {
+      id: 'c1',
+      mcn: '1001',
+      personId: 'p1',
+      status: 'Pending',
+      financials: {
+        resources: [{ id: 'f1', description: 'Checking', amount: 500 }],
+        income: [],
+        expenses: [],
+      },
+      notes: [],
+    },
+  ],
+  people: [{ id: 'p1', name: 'Jane Doe', phone: '555-1234' }],
+  organizations: [],
+  vrRequests: [{ id: 'vr1', caseId: 'c1', status: 'Draft' }],
+});
+
+const updateCase = (data, patch) => ({
+  ...data,
+  cases: data.cases.map((c) => (c.id === 'c1' ? { ...c, ...patch } : c)),
+});
+
+describe('nightingale.audit', () => {
+  test('records field changes with old and new values', () => {
+    const before = dataset();
+    const after = updateCase(before, {
+      status: 'Denied',
+      updatedDate: TIMESTAMP,
+    });
+    const audited = recordChanges(before, after, {
+      actor: 'Pat Worker',
+      timestamp: TIMESTAMP,
+    });
+
+    expect(audited.auditLog).toEqual([
+      expect.objectContaining({
+        timestamp: TIMESTAMP,
+        actor: 'Pat Worker',
+        source: 'manual',
+        entityType: 'case',
+        entityId: 'c1',
+        caseId: 'c1',
+        label: 'MCN 1001',
+        action: 'updated',
+        field: 'status',
+        oldValue: 'Pending',
+        newValue: 'Denied',
+      }),
+    ]);
+    expect(after.auditLog).toBeUndefined();
+  });
+
+  test('audits financial items, notes and VR requests under their case', () => {
+    const before = dataset();
+    const caseItem = before.cases[0];
+    const after = {
+      ...updateCase(before, {
+        financials: {
+          ...caseItem.financials,
+          resources: [
+            { id: 'f1', description: 'Checking', amount: 750 },
+            { id: 'f2', description: 'Savings', amount: 20 },
+          ],
+        },
+        notes: [{ id: 'n1', category: 'General', text: 'Called client' }],
+      }),
+      vrRequests: [{ id: 'vr1', caseId: 'c1', status: 'Pending' }],
+    };
+
+    const changes = diffDataset(before, after);
+    expect(
+      changes.map((c) => [c.entityType, c.entityId, c.action, c.field]),
+    ).toEqual([
+      ['financialItem', 'f1', 'updated', 'amount'],
+      ['financialItem', 'f2', 'created', null],
+      ['note', 'n1', 'created', null],
+      ['vrRequest', 'vr1', 'updated', 'status'],
+    ]);
+    expect(changes.every((c) => c.caseId === 'c1')).toBe(true);
+    expect(changes[0]).toMatchObject({
+      group: 'resources',
+      oldValue: 500,
+      newValue: 750,
+    });
+  });
+
+  test('created and purged records are single entries', () => {
+    const before = dataset();
+    const after = {
+      ...before,
+      people: [{ id: 'p2', name: 'John Roe' }],
+    };
+    expect(
+      diffDataset(before, after).map((c) => [c.entityId, c.action]),
+    ).toEqual([
+      ['p2', 'created'],
+      ['p1', 'purged'],
+    ]);
+  });
+
+  test('moving a record to the Recycle Bin and back is one entry each', () => {
+    const before = dataset();
+    const deleted = {
+      ...before,
+      people: [{ ...before.people[0], deletedAt: TIMESTAMP, deletedBy: 'Ann' }],
+    };
+
+    expect(diffDataset(before, deleted)).toEqual([
+      expect.objectContaining({
+        entityId: 'p1',
+        action: 'deleted',
+        field: null,
+      }),
+    ]);
+    expect(diffDataset(deleted, before)).toEqual([
+      expect.objectContaining({ entityId: 'p1', action: 'restored' }),
+    ]);
+  });
+
+  test('the log continues from the state before the change', () => {
+    const start = dataset();
+    const edited = recordChanges(
+      start,
+      updateCase(start, { status: 'Denied' }),
+      {
+        timestamp: TIMESTAMP,
+      },
+    );
+    // Undo back to the start keeps the edit on record and adds the reversal
+    const undone = recordChanges(edited, start, { source: 'undo' });
+
+    expect(undone.auditLog).toHaveLength(2);
+    expect(undone.auditLog[1]).toMatchObject({
+      source: 'undo',
+      oldValue: 'Denied',
+      newValue: 'Pending',
+    });
+    expect(undone.cases).toBe(start.cases);
+    expect(recordChanges(undone, undone)).toBe(undone);
+  });
+
+  test('numeric and string ids of the same record are matched', () => {
+    const before = { people: [{ id: 1, name: 'Jane' }] };
+    const after = { people: [{ id: '1', name: 'Jane' }] };
+    expect(diffDataset(before, after)).toEqual([]);
+  });
+
+  test('filters entries by record, source and text, newest first', () => {
+    const start = dataset();
+    const step1 = recordChanges(
+      start,
+      updateCase(start, { status: 'Denied' }),
+      {
+        actor: 'Pat',
+      },
+    );
+    const step2 = recordChanges(
+      step1,
+      {
+        ...step1,
+        people: [{ id: 'p1', name: 'Jane Doe', phone: '555-9999' }],
+      },
+      { actor: 'Sam', source: 'avs-import' },
+    );
+    const log = step2.auditLog;
+
+    expect(filterAuditEntries(log, { caseId: 'c1' })).toHaveLength(1);
+    expect(filterAuditEntries(log, { personId: 'p1' })[0].field).toBe('phone');
+    expect(filterAuditEntries(log, { source: 'avs-import' })).toHaveLength(1);
+    expect(filterAuditEntries(log, { actor: 'Pat' })[0].field).toBe('status');
+    expect(filterAuditEntries(log, { search: '9999' })).toHaveLength(1);
+    expect(filterAuditEntries(log).map((e) => e.actor)).toEqual(['Sam', 'Pat']);
+  });
+
+  test('formats values for display', () => {
+    expect(formatAuditValue(null)).toBe('(empty)');
+    expect(formatAuditValue(false)).toBe('false');
+    expect(formatAuditValue({ city: 'Omaha' })).toBe('{"city":"Omaha"}');
+  });
+});
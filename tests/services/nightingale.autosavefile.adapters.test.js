@@ -0,0 +1,131 @@
+/**
+ * Tests for AutosaveFileService running on non-directory storage adapters
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import { JOURNAL_FILE_NAME } from '../../src/services/nightingale.journal.js';
+import { listBackups } from '../../src/services/backups.js';
+
+function createService(adapter = new MemoryStorageAdapter(), options = {}) {
+  return new AutosaveFileService({
+    enabled: false,
+    multiTab: false,
+    adapter,
+    ...options,
+  });
+}
+
+describe('AutosaveFileService with storage adapters', () => {
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    service?.destroy();
+    localStorage.clear();
+  });
+
+  test('accepts an adapter kind', () => {
+    service = createService('memory', { fileName: 'custom.json' });
+    expect(service.adapter).toBeInstanceOf(MemoryStorageAdapter);
+    expect(service.adapter.fileName).toBe('custom.json');
+  });
+
+  test('restores as connected without a directory handle', async () => {
+    service = createService();
+    expect(await service.restoreLastDirectoryAccess()).toEqual({
+      handle: null,
+      permission: 'granted',
+    });
+    expect(service.state.permissionStatus).toBe('granted');
+    expect(await service.getStorageInfo()).toEqual(
+      expect.objectContaining({ kind: 'memory', connected: true }),
+    );
+  });
+
+  test('writes and reads the data file through the adapter', async () => {
+    const adapter = new MemoryStorageAdapter();
+    service = createService(adapter);
+
+    expect(await service.writeFile({ cases: [{ id: 1 }] })).toBe(true);
+
+    expect(JSON.parse((await adapter.read()).contents)).toEqual({
+      cases: [{ id: 1 }],
+    });
+    expect(await service.readFile()).toEqual({ cases: [{ id: 1 }] });
+  });
+
+  test('backups and retention work without a directory', async () => {
+    const adapter = new MemoryStorageAdapter();
+    service = createService(adapter);
+
+    const res = await service.backupAndWrite({ cases: [] });
+
+    expect(res.backupCreated).toBe(true);
+    expect(res.written).toBe(true);
+    expect((await listBackups(service)).map((b) => b.name)).toEqual([
+      res.backupName,
+    ]);
+    expect(await service.readNamedFile(res.backupName)).toEqual({ cases: [] });
+    expect(await service.removeNamedFile(res.backupName)).toBe(true);
+    expect(await service.listFiles(res.backupName)).toEqual([]);
+  });
+
+  test('detects changes written to the storage by someone else', async () => {
+    const adapter = new MemoryStorageAdapter();
+    service = createService(adapter);
+    await service.writeFile({ cases: [] });
+
+    await adapter.write('{"cases":[{"id":9}]}');
+
+    expect(await service.writeFile({ cases: [{ id: 1 }] })).toBe(false);
+    expect(service.getConflict()).toEqual(
+      expect.objectContaining({ fileName: 'nightingale-data.json' }),
+    );
+    expect((await service.previewConflictResolution()).theirs).toEqual({
+      cases: [{ id: 9 }],
+    });
+  });
+
+  test('journals edits into the adapter', async () => {
+    const adapter = new MemoryStorageAdapter();
+    service = createService(adapter);
+    await service.writeFile({ cases: [] });
+
+    service.notifyDataChange({ cases: [{ id: 1 }] });
+    await service.journal.queue;
+
+    expect((await adapter.read(JOURNAL_FILE_NAME)).contents).toContain(
+      '"collection":"cases"',
+    );
+  });
+
+  test('switchAdapter copies the current dataset to empty storage', async () => {
+    service = createService(new MemoryStorageAdapter());
+    service.setDataProvider(() => ({ cases: [{ id: 1 }] }));
+    const target = new MemoryStorageAdapter();
+
+    expect(await service.switchAdapter(target)).toBe(true);
+
+    expect(service.adapter).toBe(target);
+    expect(JSON.parse((await target.read()).contents)).toEqual({
+      cases: [{ id: 1 }],
+    });
+  });
+
+  test('switchAdapter keeps existing data in the new storage', async () => {
+    service = createService(new MemoryStorageAdapter());
+    service.setDataProvider(() => ({ cases: [{ id: 1 }] }));
+    const target = new MemoryStorageAdapter({
+      files: { 'nightingale-data.json': '{"cases":[]}' },
+    });
+
+    await service.switchAdapter(target);
+
+    expect((await target.read()).contents).toBe('{"cases":[]}');
+    expect(await service.readFile()).toEqual({ cases: [] });
+  });
+});
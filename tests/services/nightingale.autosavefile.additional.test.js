@@ -4,6 +4,10 @@
  */
 
 import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import {
+  createDataStore,
+  updateCase,
+} from '../../src/services/nightingale.store.js';
 
 describe('nightingale.autosavefile minimal coverage', () => {
   let service;
@@ -139,4 +143,22 @@ describe('nightingale.autosavefile minimal coverage', () => {
     expect(typeof status.config.saveInterval).toBe('number');
     expect(typeof status.config.maxRetries).toBe('number');
   });
+
+  test('connectStore notifies on store edits but not on loads', () => {
+    const store = createDataStore({ data: { cases: [{ id: 'c1' }] } });
+    const notify = jest.spyOn(service, 'notifyDataChange');
+    const disconnect = service.connectStore(store);
+
+    expect(service.dataProvider()).toBe(store.getData());
+
+    store.load({ cases: [{ id: 'c2' }] });
+    expect(notify).not.toHaveBeenCalled();
+
+    store.dispatch(updateCase('c2', { status: 'Closed' }));
+    expect(notify).toHaveBeenCalledWith(store.getData());
+
+    disconnect();
+    store.dispatch(updateCase('c2', { status: 'Open' }));
+    expect(notify).toHaveBeenCalledTimes(1);
+  });
 });
@@ -0,0 +1,179 @@
+/**
+ * Tests for AutosaveFileService named-file helpers and backup retention on backupAndWrite
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import { backupFileName } from '../../src/services/backups.js';
+import NightingaleDataManagement from '../../src/services/nightingale.datamanagement.js';
+
+/** In-memory directory handle holding several files */
+function createDirectory(files = {}) {
+  const disk = new Map(Object.entries(files));
+  const fileHandleFor = (name) => ({
+    kind: 'file',
+    name,
+    getFile: async () => ({
+      size: disk.get(name).length,
+      lastModified: 1000,
+      text: async () => disk.get(name),
+    }),
+    createWritable: async () => {
+      let pending = '';
+      return {
+        write: async (chunk) => {
+          pending += chunk;
+        },
+        close: async () => {
+          disk.set(name, pending);
+        },
+      };
+    },
+  });
+  const handle = {
+    queryPermission: jest.fn(() => Promise.resolve('granted')),
+    getFileHandle: jest.fn(async (name, opts = {}) => {
+      if (!disk.has(name)) {
+        if (!opts.create) {
+          const err = new Error('not found');
+          err.name = 'NotFoundError';
+          throw err;
+        }
+        disk.set(name, '');
+      }
+      return fileHandleFor(name);
+    }),
+    removeEntry: jest.fn(async (name) => {
+      disk.delete(name);
+    }),
+    values: async function* values() {
+      for (const name of [...disk.keys()]) yield fileHandleFor(name);
+    },
+  };
+  return { disk, handle };
+}
+
+describe('AutosaveFileService backups', () => {
+  let service;
+  let dir;
+
+  beforeEach(() => {
+    localStorage.clear();
+    dir = createDirectory({
+      'nightingale-data.json': '{"cases":[]}',
+      [backupFileName(new Date('2020-01-01T00:00:00Z'))]: '{"cases":[]}',
+      'notes.txt': 'x',
+    });
+    service = new AutosaveFileService({ enabled: false, multiTab: false });
+    service.directoryHandle = dir.handle;
+  });
+
+  afterEach(() => {
+    service.destroy();
+    localStorage.clear();
+  });
+
+  test('listFiles filters directory entries by prefix', async () => {
+    const files = await service.listFiles('nightingale-data.backup-');
+    expect(files).toEqual([
+      {
+        name: 'nightingale-data.backup-2020-01-01T00-00-00.000Z.json',
+        size: 12,
+        lastModified: 1000,
+      },
+    ]);
+  });
+
+  test('readNamedFile parses JSON and returns null for missing files', async () => {
+    expect(await service.readNamedFile('nightingale-data.json')).toEqual({
+      cases: [],
+    });
+    expect(await service.readNamedFile('missing.json')).toBeNull();
+  });
+
+  test('removeNamedFile deletes the entry', async () => {
+    expect(await service.removeNamedFile('notes.txt')).toBe(true);
+    expect(dir.disk.has('notes.txt')).toBe(false);
+  });
+
+  test('backupAndWrite prunes backups using the stored retention policy', async () => {
+    localStorage.setItem(
+      'nightingale:settings:v1',
+      JSON.stringify({
+        backupRetention: { keepLast: 1, dailyDays: 0, monthlyMonths: 0 },
+      }),
+    );
+
+    const result = await service.backupAndWrite({ cases: [{ id: 1 }] });
+
+    expect(result.written).toBe(true);
+    const backups = [...dir.disk.keys()].filter((n) =>
+      n.startsWith('nightingale-data.backup-'),
+    );
+    expect(backups).toEqual([result.backupName]);
+  });
+
+  describe('data upgraded on load', () => {
+    const backupsOnDisk = () =>
+      [...dir.disk.keys()].filter(
+        (n) =>
+          n.startsWith('nightingale-data.backup-') && !n.includes('2020-01-01'),
+      );
+
+    beforeEach(() => {
+      globalThis.NightingaleDataManagement = NightingaleDataManagement;
+    });
+
+    afterEach(() => {
+      delete globalThis.NightingaleDataManagement;
+    });
+
+    test('the first save backs up the file as it was before the upgrade', async () => {
+      const data = await service.readFile();
+      expect(data.metadata.schemaVersion).toBe(
+        NightingaleDataManagement.CURRENT_SCHEMA_VERSION,
+      );
+
+      expect(await service.writeFile(data)).toBe(true);
+      await service.writeFile(data);
+
+      const backups = backupsOnDisk();
+      expect(backups).toHaveLength(1);
+      expect(JSON.parse(dir.disk.get(backups[0]))).toEqual({ cases: [] });
+      expect(
+        JSON.parse(dir.disk.get('nightingale-data.json')).metadata
+          .schemaVersion,
+      ).toBe(NightingaleDataManagement.CURRENT_SCHEMA_VERSION);
+    });
+
+    test('the save is refused while that backup cannot be written', async () => {
+      const errorCallback = jest.fn();
+      service.errorCallback = errorCallback;
+      const data = await service.readFile();
+      jest.spyOn(service, 'writeNamedFile').mockResolvedValue(false);
+
+      expect(await service.writeFile(data)).toBe(false);
+      expect(dir.disk.get('nightingale-data.json')).toBe('{"cases":[]}');
+      expect(errorCallback).toHaveBeenCalledWith(
+        expect.stringContaining('could not back up'),
+        'error',
+      );
+    });
+
+    test('current data is saved without a backup', async () => {
+      const data = await service.readFile();
+      await service.writeFile(data);
+      const current = await service.readFile();
+
+      await service.writeFile({ ...current, cases: [{ id: 1 }] });
+
+      expect(backupsOnDisk()).toHaveLength(1);
+    });
+  });
+
+  test('pruneBackups reports failures instead of throwing', async () => {
+    dir.handle.values = () => {
+      throw new Error('boom');
+    };
+    expect(await service.pruneBackups({ keepLast: 0 })).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * Tests for AutosaveFileService external modification detection
+ * and conflict resolution (keep mine / keep theirs / merge)
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+
+/**
+ * In-memory directory handle whose single file can be changed "externally"
+ */
+function createDirectory(initialContents) {
+  const disk = { contents: initialContents, lastModified: 1000 };
+  const fileHandle = {
+    getFile: jest.fn(async () => ({
+      lastModified: disk.lastModified,
+      text: async () => disk.contents,
+    })),
+    createWritable: jest.fn(async () => {
+      let pending = '';
+      return {
+        write: async (chunk) => {
+          pending += chunk;
+        },
+        close: async () => {
+          disk.contents = pending;
+          disk.lastModified += 1;
+        },
+      };
+    }),
+  };
+  const handle = {
+    queryPermission: jest.fn(() => Promise.resolve('granted')),
+    getFileHandle: jest.fn(async () => fileHandle),
+  };
+  const externalWrite = (data) => {
+    disk.contents = JSON.stringify(data, null, 2);
+    disk.lastModified += 100;
+  };
+  return { disk, handle, externalWrite };
+}
+
+describe('AutosaveFileService external modification detection', () => {
+  const base = {
+    cases: [{ id: 'c1', status: 'Pending', mcn: '100' }],
+    people: [{ id: 'p1', name: 'Ann' }],
+    organizations: [],
+  };
+  let service;
+  let statusEvents;
+  let dir;
+  let current;
+
+  beforeEach(async () => {
+    statusEvents = [];
+    dir = createDirectory(JSON.stringify(base, null, 2));
+    service = new AutosaveFileService({
+      enabled: false,
+      multiTab: false,
+      statusCallback: (s) => statusEvents.push(s),
+    });
+    service.directoryHandle = dir.handle;
+    current = await service.readFile();
+    service.setDataProvider(() => current);
+  });
+
+  afterEach(() => {
+    service.destroy();
+  });
+
+  test('readFile records lastModified and content hash', () => {
+    expect(service.lastKnownFile).toEqual({
+      lastModified: 1000,
+      hash: expect.stringMatching(/^[0-9a-f]{8}$/),
+      contents: dir.disk.contents,
+    });
+  });
+
+  test('writes normally when the file is unchanged', async () => {
+    const ok = await service.writeFile({ ...current, extra: true });
+    expect(ok).toBe(true);
+    expect(JSON.parse(dir.disk.contents).extra).toBe(true);
+    expect(service.getConflict()).toBeNull();
+  });
+
+  test('consecutive own writes do not raise a conflict', async () => {
+    await service.writeFile({ ...current, a: 1 });
+    const ok = await service.writeFile({ ...current, a: 2 });
+    expect(ok).toBe(true);
+    expect(JSON.parse(dir.disk.contents).a).toBe(2);
+  });
+
+  test('a touched file with identical contents is not a conflict', async () => {
+    dir.disk.lastModified += 50;
+    const ok = await service.writeFile(current);
+    expect(ok).toBe(true);
+  });
+
+  test('external change blocks the write and pauses autosave', async () => {
+    dir.externalWrite({ ...base, cases: [{ ...base.cases[0], mcn: '101' }] });
+
+    const ok = await service.writeFile({ ...current, local: true });
+
+    expect(ok).toBe(false);
+    expect(JSON.parse(dir.disk.contents).local).toBeUndefined();
+    expect(service.getConflict()).toEqual(
+      expect.objectContaining({ fileName: 'nightingale-data.json' }),
+    );
+    expect(statusEvents.pop()).toEqual(
+      expect.objectContaining({ status: 'conflict' }),
+    );
+
+    service.state.isRunning = true;
+    const writeSpy = jest.spyOn(service, 'writeFile');
+    await service.performAutosave('interval');
+    expect(writeSpy).not.toHaveBeenCalled();
+    expect(service.state.consecutiveFailures).toBe(0);
+  });
+
+  test("resolve 'mine' overwrites the file and resumes", async () => {
+    dir.externalWrite({ ...base, people: [] });
+    current = { ...current, cases: [{ ...current.cases[0], status: 'Done' }] };
+    await service.writeFile(current);
+
+    const result = await service.resolveConflict('mine');
+
+    expect(result.data).toBe(current);
+    expect(JSON.parse(dir.disk.contents).cases[0].status).toBe('Done');
+    expect(service.getConflict()).toBeNull();
+    expect(await service.writeFile(current)).toBe(true);
+  });
+
+  test("resolve 'theirs' adopts the file without writing", async () => {
+    dir.externalWrite({ ...base, people: [] });
+    const diskBefore = dir.disk.contents;
+    await service.writeFile({ ...current, local: true });
+
+    const result = await service.resolveConflict('theirs');
+
+    expect(result.data.people).toEqual([]);
+    expect(dir.disk.contents).toBe(diskBefore);
+    expect(service.getConflict()).toBeNull();
+    // Subsequent writes compare against the adopted file
+    expect(await service.writeFile(result.data)).toBe(true);
+  });
+
+  test("resolve 'merge' combines both sides field by field", async () => {
+    dir.externalWrite({
+      ...base,
+      cases: [{ ...base.cases[0], mcn: '101' }],
+      people: [...base.people, { id: 'p2', name: 'Bob' }],
+    });
+    current = {
+      ...current,
+      cases: [{ ...current.cases[0], status: 'Approved' }],
+    };
+    await service.writeFile(current);
+
+    const result = await service.resolveConflict('merge');
+
+    expect(result.conflicts).toEqual([]);
+    const saved = JSON.parse(dir.disk.contents);
+    expect(saved.cases[0]).toEqual(
+      expect.objectContaining({ status: 'Approved', mcn: '101' }),
+    );
+    expect(saved.people.map((p) => p.id)).toEqual(['p1', 'p2']);
+  });
+
+  test('previewConflictResolution returns null without a conflict', async () => {
+    expect(await service.previewConflictResolution()).toBeNull();
+    expect(await service.resolveConflict('mine')).toBeNull();
+  });
+
+  test('rejects unknown strategies', async () => {
+    dir.externalWrite({ ...base, people: [] });
+    await service.writeFile(current);
+    await expect(service.resolveConflict('bogus')).rejects.toThrow(
+      'Unknown conflict strategy',
+    );
+  });
+});
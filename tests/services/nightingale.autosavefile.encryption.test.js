@@ -0,0 +1,154 @@
+/**
+ * Tests for AutosaveFileService encryption at rest: migration, unlock, rotation
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import {
+  DEFAULT_KDF,
+  isEncrypted,
+} from '../../src/services/nightingale.encryption.js';
+import { JOURNAL_FILE_NAME } from '../../src/services/nightingale.journal.js';
+import { backupFileName } from '../../src/services/backups.js';
+
+const FAST_KDF = { ...DEFAULT_KDF, iterations: 1000 };
+const PLAIN = { cases: [{ id: 1, ssn: '123-45-6789' }] };
+const BACKUP = backupFileName(new Date('2024-01-01T00:00:00Z'));
+
+function createService(adapter, statusCallback = jest.fn()) {
+  return new AutosaveFileService({
+    enabled: false,
+    multiTab: false,
+    adapter,
+    statusCallback,
+  });
+}
+
+describe('AutosaveFileService encryption', () => {
+  let adapter;
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    adapter = new MemoryStorageAdapter({
+      files: {
+        'nightingale-data.json': JSON.stringify(PLAIN),
+        [BACKUP]: JSON.stringify({ cases: [] }),
+      },
+    });
+    service = createService(adapter);
+  });
+
+  afterEach(() => {
+    service.destroy();
+    localStorage.clear();
+  });
+
+  test('enableEncryption migrates the data file and backups', async () => {
+    await service.readFile();
+
+    const result = await service.enableEncryption('correct horse', {
+      kdf: FAST_KDF,
+    });
+
+    expect(result).toEqual({ backups: 1, failed: [] });
+    const stored = (await adapter.read()).contents;
+    expect(isEncrypted(stored)).toBe(true);
+    expect(stored).not.toContain('123-45-6789');
+    expect(isEncrypted((await adapter.read(BACKUP)).contents)).toBe(true);
+    expect(await service.readFile()).toEqual(PLAIN);
+    expect(await service.readNamedFile(BACKUP)).toEqual({ cases: [] });
+    expect(service.getEncryptionStatus()).toEqual({
+      supported: true,
+      encrypted: true,
+      locked: false,
+    });
+  });
+
+  test('rejects short passphrases', async () => {
+    await expect(service.enableEncryption('short')).rejects.toThrow(
+      'at least 8 characters',
+    );
+  });
+
+  test('a new session starts locked and unlocks with the passphrase', async () => {
+    await service.enableEncryption('correct horse', { kdf: FAST_KDF });
+    const statusCallback = jest.fn();
+    const next = createService(adapter, statusCallback);
+
+    expect(await next.readFile()).toBeNull();
+    expect(next.getEncryptionStatus().locked).toBe(true);
+    expect(statusCallback).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'locked' }),
+    );
+
+    expect(await next.unlock('wrong passphrase')).toBeNull();
+    expect(next.getEncryptionStatus().locked).toBe(true);
+
+    expect(await next.unlock('correct horse')).toEqual(PLAIN);
+    expect(next.getEncryptionStatus()).toEqual(
+      expect.objectContaining({ encrypted: true, locked: false }),
+    );
+    next.destroy();
+  });
+
+  test('a locked session never overwrites the encrypted file', async () => {
+    await service.enableEncryption('correct horse', { kdf: FAST_KDF });
+    const before = (await adapter.read()).contents;
+    const next = createService(adapter);
+
+    expect(await next.writeFile({ cases: [] })).toBe(false);
+    expect(await next.writeNamedFile('other.json', {})).toBe(false);
+
+    expect((await adapter.read()).contents).toBe(before);
+    expect(next.getEncryptionStatus().locked).toBe(true);
+    next.destroy();
+  });
+
+  test('saves after unlocking stay encrypted', async () => {
+    await service.enableEncryption('correct horse', { kdf: FAST_KDF });
+
+    expect(await service.writeFile({ cases: [{ id: 2 }] })).toBe(true);
+
+    expect(isEncrypted((await adapter.read()).contents)).toBe(true);
+    expect(await service.readFile()).toEqual({ cases: [{ id: 2 }] });
+  });
+
+  test('changePassphrase rotates the salt and re-encrypts everything', async () => {
+    await service.enableEncryption('correct horse', { kdf: FAST_KDF });
+    const oldSalt = JSON.parse((await adapter.read()).contents).kdf.salt;
+
+    expect(
+      await service.changePassphrase('wrong passphrase', 'new pass 1'),
+    ).toBe(null);
+    expect(
+      await service.changePassphrase('correct horse', 'battery staple'),
+    ).toEqual({ backups: 1, failed: [] });
+
+    const envelope = JSON.parse((await adapter.read()).contents);
+    expect(envelope.kdf.salt).not.toBe(oldSalt);
+    expect(envelope.kdf.iterations).toBe(1000);
+
+    const next = createService(adapter);
+    expect(await next.unlock('correct horse')).toBeNull();
+    expect(await next.unlock('battery staple')).toEqual(PLAIN);
+    expect(await next.readNamedFile(BACKUP)).toEqual({ cases: [] });
+    next.destroy();
+  });
+
+  test('journal lines are encrypted while encryption is on', async () => {
+    await service.enableEncryption('correct horse', { kdf: FAST_KDF });
+    // Edits in the same millisecond as the save count as saved
+    await new Promise((resolve) => setTimeout(resolve, 5));
+
+    service.notifyDataChange({ cases: [{ id: 1, ssn: '987-65-4321' }] });
+    await service.journal.queue;
+
+    const journal = (await adapter.read(JOURNAL_FILE_NAME)).contents;
+    expect(journal).not.toContain('987-65-4321');
+    expect(isEncrypted(journal.trim())).toBe(true);
+    expect(await service.checkJournalRecovery()).toEqual(
+      expect.objectContaining({ count: 1 }),
+    );
+  });
+});
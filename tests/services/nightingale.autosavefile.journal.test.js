@@ -0,0 +1,257 @@
+/**
+ * Tests for AutosaveFileService crash recovery journal
+ * Covers journaling on data changes, compaction after saves, and replay on startup
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import WriteAheadJournal, {
+  JOURNAL_FILE_NAME,
+  parseJournal,
+} from '../../src/services/nightingale.journal.js';
+
+/** In-memory directory with a controllable clock for lastModified */
+function createDirectory(files = {}) {
+  const disk = new Map(
+    Object.entries(files).map(([name, text]) => [
+      name,
+      { text, lastModified: 1000 },
+    ]),
+  );
+  const handle = {
+    queryPermission: jest.fn(() => Promise.resolve('granted')),
+    getFileHandle: jest.fn(async (name, opts = {}) => {
+      if (!disk.has(name)) {
+        if (!opts.create) {
+          const err = new Error('not found');
+          err.name = 'NotFoundError';
+          throw err;
+        }
+        disk.set(name, { text: '', lastModified: Date.now() });
+      }
+      return {
+        getFile: async () => ({
+          size: disk.get(name).text.length,
+          lastModified: disk.get(name).lastModified,
+          text: async () => disk.get(name).text,
+        }),
+        createWritable: async ({ keepExistingData = false } = {}) => {
+          let pending = keepExistingData ? disk.get(name).text : '';
+          return {
+            write: async (chunk) => {
+              if (typeof chunk === 'string') pending += chunk;
+              else pending = pending.slice(0, chunk.position) + chunk.data;
+            },
+            close: async () => {
+              disk.set(name, { text: pending, lastModified: Date.now() });
+            },
+          };
+        },
+      };
+    }),
+  };
+  return { disk, handle };
+}
+
+function createMemoryStore() {
+  let entries = [];
+  return {
+    append: async (entry) => {
+      entries.push(entry);
+      return true;
+    },
+    readAll: async () => [...entries],
+    replaceAll: async (next) => {
+      entries = [...next];
+    },
+  };
+}
+
+describe('AutosaveFileService journal', () => {
+  const saved = {
+    cases: [{ id: 'c1', status: 'Pending' }],
+    people: [],
+    organizations: [],
+  };
+  let dir;
+  let service;
+
+  const createService = () => {
+    const s = new AutosaveFileService({ enabled: false, multiTab: false });
+    s.journal = new WriteAheadJournal({
+      tabId: s.tabId,
+      getStorage: () => s.getWritableStorage(),
+      fallbackStore: createMemoryStore(),
+    });
+    s.directoryHandle = dir.handle;
+    return s;
+  };
+
+  const journalEntries = () =>
+    parseJournal(dir.disk.get(JOURNAL_FILE_NAME)?.text || '');
+
+  beforeEach(() => {
+    dir = createDirectory({
+      'nightingale-data.json': JSON.stringify(saved, null, 2),
+    });
+    service = createService();
+  });
+
+  afterEach(() => {
+    service.destroy();
+  });
+
+  test('notifyDataChange appends the change to the journal file', async () => {
+    await service.readFile();
+    const edited = { ...saved, cases: [{ id: 'c1', status: 'Approved' }] };
+
+    service.notifyDataChange(edited);
+    await service.journal.queue;
+
+    expect(journalEntries()).toEqual([
+      expect.objectContaining({
+        ops: [
+          {
+            op: 'put',
+            collection: 'cases',
+            id: 'c1',
+            record: { id: 'c1', status: 'Approved' },
+          },
+        ],
+      }),
+    ]);
+  });
+
+  test('a successful save compacts the journal', async () => {
+    await service.readFile();
+    const edited = { ...saved, cases: [{ id: 'c1', status: 'Approved' }] };
+    service.notifyDataChange(edited);
+    await service.journal.queue;
+    await new Promise((r) => setTimeout(r, 2));
+
+    expect(await service.writeFile(edited)).toBe(true);
+    await service.journal.queue;
+
+    expect(journalEntries()).toEqual([]);
+  });
+
+  test('offers and replays edits journaled after the last save', async () => {
+    await service.readFile();
+    await new Promise((r) => setTimeout(r, 2));
+    service.notifyDataChange({
+      ...saved,
+      cases: [
+        { id: 'c1', status: 'Approved' },
+        { id: 'c2', status: 'Pending' },
+      ],
+    });
+    await service.journal.queue;
+    service.destroy();
+
+    // Simulate a restart after a crash
+    service = createService();
+    await service.readFile();
+    const recovery = await service.checkJournalRecovery();
+
+    expect(recovery).toEqual(
+      expect.objectContaining({ count: 1, since: 1000 }),
+    );
+    const data = await service.replayJournal();
+    expect(data.cases).toEqual([
+      { id: 'c1', status: 'Approved' },
+      { id: 'c2', status: 'Pending' },
+    ]);
+  });
+
+  test('autosave pauses while recovery is pending', async () => {
+    await service.readFile();
+    await new Promise((r) => setTimeout(r, 2));
+    const crashed = {
+      ...saved,
+      cases: [{ id: 'c1', status: 'Approved' }],
+    };
+    service.notifyDataChange(crashed);
+    await service.journal.queue;
+    service.destroy();
+
+    service = createService();
+    await service.readFile();
+    expect(await service.checkJournalRecovery()).not.toBeNull();
+
+    jest.useFakeTimers();
+    try {
+      service.setDataProvider(() => saved);
+      service.startAutosave();
+      const writeSpy = jest.spyOn(service, '_performWrite');
+      jest.advanceTimersByTime(service.config.saveInterval);
+      expect(writeSpy).not.toHaveBeenCalled();
+      expect(await service.writeFile(saved)).toBe(false);
+    } finally {
+      jest.useRealTimers();
+    }
+    await service.journal.queue;
+    expect(journalEntries()).toHaveLength(1);
+
+    const data = await service.replayJournal();
+    expect(data.cases).toEqual(crashed.cases);
+    expect(await service.writeFile(data)).toBe(true);
+  });
+
+  test('discarding the journal resumes saving', async () => {
+    dir.disk.set(JOURNAL_FILE_NAME, {
+      text: '{"ts":5000,"ops":[{"op":"set","key":"x","value":1}]}\n',
+      lastModified: 5000,
+    });
+    await service.readFile();
+    await service.checkJournalRecovery();
+    expect(await service.writeFile(saved)).toBe(false);
+
+    await service.discardJournal();
+
+    expect(await service.writeFile(saved)).toBe(true);
+  });
+
+  test('ignores entries older than the data file', async () => {
+    dir.disk.set(JOURNAL_FILE_NAME, {
+      text: '{"ts":500,"ops":[{"op":"set","key":"x","value":1}]}\n',
+      lastModified: 500,
+    });
+    await service.readFile();
+
+    expect(await service.checkJournalRecovery()).toBeNull();
+  });
+
+  test('discardJournal clears pending entries', async () => {
+    dir.disk.set(JOURNAL_FILE_NAME, {
+      text: '{"ts":5000,"ops":[{"op":"set","key":"x","value":1}]}\n',
+      lastModified: 5000,
+    });
+    await service.readFile();
+    expect(await service.checkJournalRecovery()).not.toBeNull();
+
+    await service.discardJournal();
+
+    expect(journalEntries()).toEqual([]);
+    expect(await service.checkJournalRecovery()).toBeNull();
+  });
+
+  test('journals to the fallback store when permission is lost', async () => {
+    await service.readFile();
+    dir.handle.queryPermission.mockResolvedValue('prompt');
+
+    const entry = await service.journal.record({ ...saved, nextCaseId: 2 });
+
+    expect(entry).not.toBeNull();
+    expect(journalEntries()).toEqual([]);
+    expect(await service.journal.fallbackStore.readAll()).toHaveLength(1);
+  });
+
+  test('can be disabled', () => {
+    const plain = new AutosaveFileService({
+      enabled: false,
+      multiTab: false,
+      journal: false,
+    });
+    expect(plain.journal).toBeNull();
+    plain.destroy();
+  });
+});
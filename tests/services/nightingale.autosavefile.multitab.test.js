@@ -0,0 +1,286 @@
+/**
+ * Tests for AutosaveFileService multi-tab coordination
+ * Uses a stub coordinator to drive leadership and incoming messages
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import { TAB_MESSAGES } from '../../src/services/nightingale.tabcoordinator.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+
+function createStubCoordinator(isLeader = true) {
+  const messageListeners = new Set();
+  const leadershipListeners = new Set();
+  return {
+    leader: isLeader,
+    start: jest.fn(),
+    joinElection: jest.fn(),
+    stop: jest.fn(),
+    isLeader() {
+      return this.leader;
+    },
+    relays: true,
+    relaysData() {
+      return this.relays;
+    },
+    broadcast: jest.fn(() => true),
+    subscribe: jest.fn((fn) => {
+      messageListeners.add(fn);
+      return () => messageListeners.delete(fn);
+    }),
+    onLeadershipChange: jest.fn((fn) => {
+      leadershipListeners.add(fn);
+      return () => leadershipListeners.delete(fn);
+    }),
+    emit(message) {
+      messageListeners.forEach((fn) => fn(message));
+    },
+    setLeader(value) {
+      this.leader = value;
+      leadershipListeners.forEach((fn) => fn(value));
+    },
+  };
+}
+
+describe('AutosaveFileService multi-tab coordination', () => {
+  let service;
+  let coordinator;
+  let statusEvents;
+
+  beforeEach(async () => {
+    statusEvents = [];
+    coordinator = createStubCoordinator(true);
+    service = new AutosaveFileService({
+      enabled: false,
+      coordinator,
+      statusCallback: (s) => statusEvents.push(s),
+    });
+    // Let async initialize() join the election
+    await Promise.resolve();
+    await Promise.resolve();
+  });
+
+  afterEach(() => {
+    service.destroy();
+  });
+
+  test('joins the election during initialization', () => {
+    expect(coordinator.start).toHaveBeenCalledTimes(1);
+    expect(coordinator.subscribe).toHaveBeenCalled();
+  });
+
+  test('does not create a coordinator when multiTab is disabled', () => {
+    const single = new AutosaveFileService({ enabled: false, multiTab: false });
+    expect(single.coordinator).toBeNull();
+    expect(single.isLeader()).toBe(true);
+    single.destroy();
+  });
+
+  test('notifyDataChange relays the dataset to other tabs', () => {
+    const data = { cases: [{ id: 'case-1' }] };
+    service.notifyDataChange(data);
+    expect(coordinator.broadcast).toHaveBeenCalledWith(
+      TAB_MESSAGES.DATA_CHANGED,
+      { data },
+    );
+  });
+
+  test('notifyDataChange without data does not broadcast', () => {
+    service.notifyDataChange();
+    expect(coordinator.broadcast).not.toHaveBeenCalled();
+  });
+
+  test('follower tabs skip autosave writes', async () => {
+    coordinator.leader = false;
+    service.state.isRunning = true;
+    service.setDataProvider(() => ({ a: 1 }));
+    service.checkPermission = jest.fn(() => Promise.resolve('granted'));
+    service.writeFile = jest.fn(() => Promise.resolve(true));
+
+    await service.performAutosave('interval');
+
+    expect(service.writeFile).not.toHaveBeenCalled();
+    expect(statusEvents.pop()).toEqual(
+      expect.objectContaining({ status: 'follower' }),
+    );
+  });
+
+  test('follower tabs save their own edits when data cannot be relayed', async () => {
+    coordinator.leader = false;
+    coordinator.relays = false;
+    service.state.isRunning = true;
+    service.setDataProvider(() => ({ a: 1 }));
+    service.checkPermission = jest.fn(() => Promise.resolve('granted'));
+    service.writeFile = jest.fn(() => Promise.resolve(true));
+
+    await service.performAutosave('interval');
+
+    expect(service.writeFile).toHaveBeenCalledWith({ a: 1 });
+  });
+
+  test('a change signal without data is not emitted as a remote change', () => {
+    const listener = jest.fn();
+    service.subscribeTabEvents(listener);
+    const scheduleSpy = jest.spyOn(service, 'scheduleSave');
+
+    coordinator.emit({
+      type: TAB_MESSAGES.DATA_CHANGED,
+      tabId: 'other-tab',
+      payload: {},
+    });
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(scheduleSpy).not.toHaveBeenCalled();
+  });
+
+  test('follower tabs still honor manual saves', async () => {
+    coordinator.leader = false;
+    service.state.isRunning = true;
+    service.setDataProvider(() => ({ a: 1 }));
+    service.checkPermission = jest.fn(() => Promise.resolve('granted'));
+    service.writeFile = jest.fn(() => Promise.resolve(true));
+
+    await service.save();
+
+    expect(service.writeFile).toHaveBeenCalledWith({ a: 1 });
+  });
+
+  test('remote data changes are emitted and scheduled for save by the leader', () => {
+    const listener = jest.fn();
+    service.subscribeTabEvents(listener);
+    const scheduleSpy = jest.spyOn(service, 'scheduleSave');
+
+    coordinator.emit({
+      type: TAB_MESSAGES.DATA_CHANGED,
+      tabId: 'other-tab',
+      payload: { data: { cases: [] } },
+    });
+
+    expect(listener).toHaveBeenCalledWith({
+      type: 'remote-change',
+      data: { cases: [] },
+      tabId: 'other-tab',
+    });
+    expect(scheduleSpy).toHaveBeenCalled();
+  });
+
+  test('followers do not schedule saves for remote changes', () => {
+    coordinator.leader = false;
+    const scheduleSpy = jest.spyOn(service, 'scheduleSave');
+
+    coordinator.emit({
+      type: TAB_MESSAGES.DATA_CHANGED,
+      tabId: 'other-tab',
+      payload: { data: { cases: [] } },
+    });
+
+    expect(scheduleSpy).not.toHaveBeenCalled();
+  });
+
+  test('reloads the file when another tab saves it', async () => {
+    const listener = jest.fn();
+    service.subscribeTabEvents(listener);
+    service.readFile = jest.fn(() => Promise.resolve({ cases: [{ id: 1 }] }));
+
+    await service.handleTabMessage({
+      type: TAB_MESSAGES.SAVED,
+      tabId: 'other-tab',
+      payload: { fileName: 'nightingale-data.json' },
+    });
+
+    expect(service.readFile).toHaveBeenCalled();
+    expect(listener).toHaveBeenCalledWith({
+      type: 'external-save',
+      data: { cases: [{ id: 1 }] },
+      tabId: 'other-tab',
+    });
+  });
+
+  test('ignores saves of other file names', async () => {
+    service.readFile = jest.fn();
+    await service.handleTabMessage({
+      type: TAB_MESSAGES.SAVED,
+      tabId: 'other-tab',
+      payload: { fileName: 'bug-reports.json' },
+    });
+    expect(service.readFile).not.toHaveBeenCalled();
+  });
+
+  test('successful writes broadcast a saved message', async () => {
+    const writable = { write: jest.fn(), close: jest.fn() };
+    service.directoryHandle = {
+      queryPermission: jest.fn(() => Promise.resolve('granted')),
+      getFileHandle: jest.fn(() => ({ createWritable: () => writable })),
+    };
+
+    const ok = await service._performWrite({ cases: [] });
+
+    expect(ok).toBe(true);
+    expect(coordinator.broadcast).toHaveBeenCalledWith(TAB_MESSAGES.SAVED, {
+      timestamp: expect.any(Number),
+      fileName: 'nightingale-data.json',
+    });
+  });
+
+  test('reports leadership changes through status', () => {
+    coordinator.setLeader(false);
+    expect(statusEvents.pop()).toEqual(
+      expect.objectContaining({ status: 'follower' }),
+    );
+    coordinator.setLeader(true);
+    expect(statusEvents.pop()).toEqual(
+      expect.objectContaining({ status: 'leader' }),
+    );
+  });
+
+  test('destroy leaves the election and drops listeners', () => {
+    const listener = jest.fn();
+    service.subscribeTabEvents(listener);
+    service.destroy();
+
+    expect(coordinator.stop).toHaveBeenCalled();
+    expect(service.tabListeners.size).toBe(0);
+  });
+});
+
+describe('AutosaveFileService leader election across pages', () => {
+  let services;
+
+  const create = (tabId) => {
+    const service = new AutosaveFileService({ adapter, tabId });
+    services.push(service);
+    return service;
+  };
+  let adapter;
+
+  beforeEach(() => {
+    localStorage.clear();
+    services = [];
+    adapter = new MemoryStorageAdapter();
+  });
+
+  afterEach(() => {
+    services.forEach((service) => service.destroy());
+    localStorage.clear();
+  });
+
+  test('a page without data to save does not take the writer role', async () => {
+    // Reports opens first and only reads and merges
+    const reports = create('reports-tab');
+    await reports.initialize();
+    expect(reports.isLeader()).toBe(false);
+
+    let data = { cases: [], people: [], organizations: [] };
+    const app = create('app-tab');
+    app.setDataProvider(() => data);
+    await app.initialize();
+    expect(app.isLeader()).toBe(true);
+
+    data = { ...data, cases: [{ id: 'c1', mcn: '100' }] };
+    app.notifyDataChange(data);
+    await app.performAutosave('interval');
+
+    const file = await adapter.read();
+    expect(JSON.parse(file.contents).cases).toEqual([{ id: 'c1', mcn: '100' }]);
+    expect(reports.isLeader()).toBe(false);
+  });
+});
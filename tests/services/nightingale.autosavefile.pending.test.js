@@ -0,0 +1,169 @@
+/**
+ * Tests for AutosaveFileService offline buffering while permission is missing
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import PendingChangesBuffer from '../../src/services/nightingale.pendingchanges.js';
+
+function createMemoryStore() {
+  let record = null;
+  return {
+    get: async () => record,
+    put: async (next) => {
+      record = next;
+      return true;
+    },
+    clear: async () => {
+      record = null;
+      return true;
+    },
+  };
+}
+
+const FILE = 'nightingale-data.json';
+const initial = { cases: [{ id: 'c1', status: 'Pending' }], people: [] };
+
+function setup({ store = createMemoryStore() } = {}) {
+  const adapter = new MemoryStorageAdapter({
+    files: { [FILE]: JSON.stringify(initial) },
+  });
+  let permission = 'granted';
+  adapter.permission = jest.fn(async () => permission);
+  adapter.requestPermission = jest.fn(async () => {
+    permission = 'granted';
+    return true;
+  });
+  const statusCallback = jest.fn();
+  const service = new AutosaveFileService({
+    enabled: false,
+    multiTab: false,
+    journal: false,
+    adapter,
+    pendingChanges: new PendingChangesBuffer({ store }),
+    statusCallback,
+  });
+  return {
+    adapter,
+    service,
+    store,
+    statusCallback,
+    revoke: () => {
+      permission = 'prompt';
+    },
+  };
+}
+
+describe('AutosaveFileService offline buffer', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('buffers changes while permission is missing and reports the count', async () => {
+    const { service, statusCallback, revoke } = setup();
+    await service.readFile();
+    revoke();
+
+    const events = [];
+    service.subscribePendingChanges((event) => events.push(event));
+    await service.bufferPendingChange({ ...initial, people: [{ id: 'p1' }] });
+    await service.bufferPendingChange({ ...initial, people: [] });
+
+    expect(service.getPendingChanges()).toEqual(
+      expect.objectContaining({ count: 2 }),
+    );
+    expect(events.at(-1)).toEqual({
+      type: 'change',
+      pending: expect.objectContaining({ count: 2 }),
+    });
+    expect(statusCallback).toHaveBeenLastCalledWith(
+      expect.objectContaining({
+        status: 'waiting',
+        message: '2 unsaved changes, reconnect to save',
+      }),
+    );
+    service.destroy();
+  });
+
+  test('does not buffer while the storage is writable', async () => {
+    const { service } = setup();
+    await service.readFile();
+    expect(await service.bufferPendingChange(initial)).toBeNull();
+    expect(service.getPendingChanges()).toBeNull();
+    service.destroy();
+  });
+
+  test('flushes the buffer once permission is granted again', async () => {
+    const { service, adapter, revoke } = setup();
+    await service.readFile();
+    revoke();
+    const edited = { ...initial, people: [{ id: 'p1', name: 'Jane' }] };
+    service.setDataProvider(() => edited);
+    await service.bufferPendingChange(edited);
+
+    expect(await service.ensurePermission()).toBe(true);
+
+    expect(JSON.parse((await adapter.read(FILE)).contents)).toEqual(edited);
+    expect(service.getPendingChanges()).toBeNull();
+    service.destroy();
+  });
+
+  test('opens a conflict when the file changed while offline', async () => {
+    const { service, adapter, revoke, statusCallback } = setup();
+    await service.readFile();
+    revoke();
+    const edited = { ...initial, people: [{ id: 'p1', name: 'Jane' }] };
+    service.setDataProvider(() => edited);
+    await service.bufferPendingChange(edited);
+
+    // Another workstation saved meanwhile
+    await adapter.writeNamed(
+      FILE,
+      JSON.stringify({ ...initial, organizations: [{ id: 'o1' }] }),
+    );
+
+    await service.requestPermission();
+
+    expect(statusCallback).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'conflict' }),
+    );
+    expect(service.getPendingChanges()).toEqual(
+      expect.objectContaining({ count: 1 }),
+    );
+    const { merged } = (await service.previewConflictResolution()).merge;
+    expect(merged.people).toEqual(edited.people);
+    expect(merged.organizations).toEqual([{ id: 'o1' }]);
+
+    await service.resolveConflict('merge');
+    expect(service.getPendingChanges()).toBeNull();
+    service.destroy();
+  });
+
+  test('a new session restores the buffered dataset before saving it', async () => {
+    const store = createMemoryStore();
+    const first = setup({ store });
+    await first.service.readFile();
+    first.revoke();
+    const edited = { ...initial, people: [{ id: 'p1', name: 'Jane' }] };
+    await first.service.bufferPendingChange(edited);
+    first.service.destroy();
+
+    const adapter = first.adapter;
+    const service = new AutosaveFileService({
+      enabled: false,
+      multiTab: false,
+      journal: false,
+      adapter,
+      pendingChanges: new PendingChangesBuffer({ store }),
+    });
+    const events = [];
+    service.subscribePendingChanges((event) => events.push(event));
+    adapter.permission = jest.fn(async () => 'granted');
+
+    expect(await service.flushPendingChanges()).toEqual({
+      status: 'saved',
+      count: 1,
+    });
+    expect(events[0]).toEqual({ type: 'restore', data: edited });
+    expect(JSON.parse((await adapter.read(FILE)).contents)).toEqual(edited);
+    service.destroy();
+  });
+});
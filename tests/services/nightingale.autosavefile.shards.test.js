@@ -0,0 +1,150 @@
+/**
+ * Tests for AutosaveFileService with the sharded storage layout
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import {
+  SHARD_PREFIX,
+  isShardManifest,
+} from '../../src/services/nightingale.shards.js';
+import {
+  DEFAULT_KDF,
+  isEncrypted,
+} from '../../src/services/nightingale.encryption.js';
+
+const FAST_KDF = { ...DEFAULT_KDF, iterations: 1000 };
+const DATA = {
+  cases: Array.from({ length: 12 }, (_, i) => ({ id: `case-${i}`, notes: [] })),
+  people: [{ id: 'p1', name: 'Ada' }],
+  organizations: [],
+  vrTemplates: [],
+  nextCaseId: 13,
+};
+
+function createService(adapter) {
+  return new AutosaveFileService({
+    enabled: false,
+    multiTab: false,
+    journal: false,
+    adapter,
+  });
+}
+
+function shardNames(adapter) {
+  return [...adapter.files.keys()].filter((n) => n.startsWith(SHARD_PREFIX));
+}
+
+async function storedManifest(adapter) {
+  return JSON.parse((await adapter.read()).contents);
+}
+
+describe('AutosaveFileService sharded layout', () => {
+  let adapter;
+  let service;
+
+  beforeEach(() => {
+    localStorage.clear();
+    adapter = new MemoryStorageAdapter({
+      files: { 'nightingale-data.json': JSON.stringify(DATA) },
+    });
+    service = createService(adapter);
+  });
+
+  afterEach(() => {
+    service.destroy();
+    localStorage.clear();
+  });
+
+  test('convertLayout splits the data file and reads back the same dataset', async () => {
+    const info = await service.convertLayout('sharded');
+
+    const manifest = await storedManifest(adapter);
+    expect(isShardManifest(manifest)).toBe(true);
+    expect(shardNames(adapter).sort()).toEqual(
+      Object.values(manifest.shards).sort(),
+    );
+    expect(info).toEqual({
+      layout: 'sharded',
+      shards: shardNames(adapter).length,
+    });
+
+    const next = createService(adapter);
+    expect(await next.readFile()).toEqual(DATA);
+    expect(next.getLayoutInfo().layout).toBe('sharded');
+    next.destroy();
+  });
+
+  test('saves write only dirty shards and remove replaced ones', async () => {
+    await service.convertLayout('sharded');
+    const data = await service.readFile();
+    const before = await storedManifest(adapter);
+    const writeNamed = jest.spyOn(adapter, 'writeNamed');
+
+    const cases = data.cases.slice();
+    cases[0] = { ...cases[0], notes: [{ id: 1, text: 'called' }] };
+    expect(await service.writeFile({ ...data, cases })).toBe(true);
+
+    const shardWrites = writeNamed.mock.calls
+      .map(([name]) => name)
+      .filter((name) => name.startsWith(SHARD_PREFIX));
+    expect(shardWrites).toHaveLength(1);
+
+    const after = await storedManifest(adapter);
+    const changed = Object.keys(after.shards).filter(
+      (key) => after.shards[key] !== before.shards[key],
+    );
+    expect(changed).toHaveLength(1);
+    expect(changed[0]).toMatch(/^cases-/);
+    expect(shardNames(adapter)).not.toContain(before.shards[changed[0]]);
+    expect((await service.readFile()).cases[0].notes).toHaveLength(1);
+  });
+
+  test('an interrupted save leaves the previous manifest readable', async () => {
+    await service.convertLayout('sharded');
+    const data = await service.readFile();
+    jest.spyOn(adapter, 'write').mockRejectedValueOnce(new Error('disk full'));
+
+    expect(
+      await service.writeFile({ ...data, people: [{ id: 'p2', name: 'Bo' }] }),
+    ).toBe(false);
+
+    const next = createService(adapter);
+    expect(await next.readFile()).toEqual(DATA);
+    next.destroy();
+  });
+
+  test('converting back to a single file removes the shards', async () => {
+    await service.convertLayout('sharded');
+
+    expect(await service.convertLayout('single')).toEqual({
+      layout: 'single',
+      shards: 0,
+    });
+
+    expect(JSON.parse((await adapter.read()).contents)).toEqual(DATA);
+    expect(shardNames(adapter)).toEqual([]);
+  });
+
+  test('rejects unknown layouts', async () => {
+    await expect(service.convertLayout('zip')).rejects.toThrow(
+      'Unknown storage layout: zip',
+    );
+  });
+
+  test('shards are encrypted along with the manifest', async () => {
+    await service.convertLayout('sharded');
+    await service.readFile();
+    await service.enableEncryption('correct horse', { kdf: FAST_KDF });
+
+    expect(isEncrypted((await adapter.read()).contents)).toBe(true);
+    for (const name of shardNames(adapter)) {
+      expect(isEncrypted((await adapter.read(name)).contents)).toBe(true);
+    }
+
+    const next = createService(adapter);
+    expect(await next.readFile()).toBeNull();
+    expect(await next.unlock('correct horse')).toEqual(DATA);
+    next.destroy();
+  });
+});
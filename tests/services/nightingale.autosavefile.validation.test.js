@@ -0,0 +1,91 @@
+/**
+ * Tests for AutosaveFileService schema validation on load and save
+ */
+
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+
+const FILE = 'nightingale-data.json';
+const valid = {
+  metadata: { schemaVersion: '2024.1' },
+  cases: [{ id: 'c1', mcn: '123', personId: 'p1', status: 'Pending' }],
+  people: [{ id: 'p1', name: 'Jane Doe' }],
+};
+const invalid = {
+  ...valid,
+  cases: [{ id: 'c1', mcn: '123', status: 'Pending' }],
+};
+
+function setup(options = {}) {
+  const adapter = new MemoryStorageAdapter({
+    files: { [FILE]: JSON.stringify(invalid) },
+  });
+  const errorCallback = jest.fn();
+  const service = new AutosaveFileService({
+    enabled: false,
+    multiTab: false,
+    journal: false,
+    pendingChanges: false,
+    adapter,
+    errorCallback,
+    ...options,
+  });
+  return { adapter, service, errorCallback };
+}
+
+describe('AutosaveFileService schema validation', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('validates loaded data and reports issue paths', async () => {
+    const { service } = setup();
+    await service.readFile();
+
+    const { load, save } = service.getValidationReport();
+    expect(save).toBeNull();
+    expect(load.valid).toBe(false);
+    expect(load.issues[0]).toEqual(
+      expect.objectContaining({
+        path: '$.cases[0].personId',
+        severity: 'error',
+      }),
+    );
+    service.destroy();
+  });
+
+  test('warn mode reports but still saves invalid data', async () => {
+    const { adapter, service } = setup();
+    await service.readFile();
+
+    expect(await service.writeFile(invalid)).toBe(true);
+    expect(service.getValidationReport().save.summary.errors).toBe(1);
+    expect(JSON.parse((await adapter.read(FILE)).contents).cases).toEqual(
+      invalid.cases,
+    );
+    service.destroy();
+  });
+
+  test('block mode refuses to save data with errors', async () => {
+    const { adapter, service, errorCallback } = setup({ validation: 'block' });
+    await service.readFile();
+    const before = (await adapter.read(FILE)).contents;
+
+    expect(await service.writeFile(invalid)).toBe(false);
+    expect(errorCallback).toHaveBeenCalledWith(
+      'Save blocked by validation: 1 error',
+      'error',
+    );
+    expect((await adapter.read(FILE)).contents).toBe(before);
+
+    expect(await service.writeFile(valid)).toBe(true);
+    expect(service.getValidationReport().save.valid).toBe(true);
+    service.destroy();
+  });
+
+  test('off mode skips validation', async () => {
+    const { service } = setup({ validation: 'off' });
+    await service.readFile();
+    await service.writeFile(invalid);
+    expect(service.getValidationReport()).toEqual({ load: null, save: null });
+    service.destroy();
+  });
+});
@@ -0,0 +1,169 @@
+import {
+  balanceHistory,
+  balanceTrend,
+  itemAmount,
+  mergeAvsResources,
+  recordBalance,
+  sparklinePoints,
+  trackBalanceChange,
+} from '../../src/services/nightingale.balancehistory.js';
+import { validateDataset } from '../../src/services/nightingale.validator.js';
+
+const timestamp = '2025-03-01T12:00:00.000Z';
+
+const checking = {
+  id: 'r1',
+  description: 'Checking',
+  location: 'First Bank',
+  accountNumber: '1234',
+  amount: 5000,
+  value: 5000,
+  verificationStatus: 'Verified',
+  verificationSource: 'Bank statement',
+  dateAdded: '2025-01-10T09:00:00.000Z',
+};
+
+describe('nightingale.balancehistory', () => {
+  test('reads the amount or the legacy value', () => {
+    expect(itemAmount({ amount: 12 })).toBe(12);
+    expect(itemAmount({ value: '7.5' })).toBe(7.5);
+    expect(itemAmount({})).toBe(0);
+  });
+
+  test('an item without a history has its current amount as history', () => {
+    expect(balanceHistory(checking)).toEqual([
+      expect.objectContaining({
+        date: '2025-01-10',
+        amount: 5000,
+        source: 'Bank statement',
+      }),
+    ]);
+    expect(balanceTrend(checking)).toBeNull();
+  });
+
+  test('recording a balance keeps the previous amount', () => {
+    const item = recordBalance(
+      checking,
+      { amount: 3200, date: '2025-02-28', source: 'AVS as of 2025-03-01' },
+      { actor: 'Avery', timestamp },
+    );
+
+    expect(item).toMatchObject({ amount: 3200, value: 3200 });
+    expect(
+      item.balanceHistory.map((entry) => [entry.date, entry.amount]),
+    ).toEqual([
+      ['2025-01-10', 5000],
+      ['2025-02-28', 3200],
+    ]);
+    expect(item.balanceHistory[1]).toMatchObject({
+      recordedAt: timestamp,
+      recordedBy: 'Avery',
+    });
+    expect(balanceTrend(item).change).toBe(-1800);
+    expect(checking.balanceHistory).toBeUndefined();
+  });
+
+  test('form saves start a history and add entries only on amount changes', () => {
+    const created = trackBalanceChange(null, checking, { timestamp });
+    expect(created.balanceHistory).toHaveLength(1);
+
+    const renamed = trackBalanceChange(
+      created,
+      { ...checking, description: 'Main checking' },
+      { timestamp },
+    );
+    expect(renamed.balanceHistory).toBe(created.balanceHistory);
+
+    const spent = trackBalanceChange(
+      renamed,
+      { ...renamed, amount: 4100, value: 4100 },
+      { actor: 'Avery', timestamp },
+    );
+    expect(spent.balanceHistory.map((entry) => entry.amount)).toEqual([
+      5000, 4100,
+    ]);
+    expect(spent.balanceHistory[1].date).toBe('2025-03-01');
+  });
+
+  test('a legacy item gets an entry for its old amount on its first change', () => {
+    const edited = trackBalanceChange(
+      checking,
+      { ...checking, amount: 4500, value: 4500 },
+      { timestamp },
+    );
+    expect(edited.balanceHistory.map((entry) => entry.amount)).toEqual([
+      5000, 4500,
+    ]);
+  });
+
+  test('AVS imports update matching accounts and add the others', () => {
+    const { resources, added, updated } = mergeAvsResources(
+      [checking, { id: 'r2', description: 'Savings', amount: 100 }],
+      [
+        {
+          type: 'Checking',
+          value: 2750,
+          balanceDate: '2025-02-28',
+          verificationStatus: 'Verified',
+          source: 'AVS as of 2025-03-01',
+          existingItem: checking,
+        },
+        {
+          type: 'Savings',
+          location: 'Credit Union',
+          value: 800,
+          balanceDate: '2025-02-27',
+          verificationStatus: 'Verified',
+          source: 'AVS as of 2025-03-01',
+        },
+      ],
+      { actor: 'Avery', timestamp },
+    );
+
+    expect({ added, updated }).toEqual({ added: 1, updated: 1 });
+    expect(resources).toHaveLength(3);
+    expect(resources[0]).toMatchObject({
+      id: 'r1',
+      amount: 2750,
+      verificationSource: 'AVS as of 2025-03-01',
+    });
+    expect(
+      resources[0].balanceHistory.map((entry) => [entry.date, entry.amount]),
+    ).toEqual([
+      ['2025-01-10', 5000],
+      ['2025-02-28', 2750],
+    ]);
+    expect(resources[2]).toMatchObject({
+      description: 'Savings - Credit Union',
+      amount: 800,
+    });
+    expect(resources[2].balanceHistory).toEqual([
+      expect.objectContaining({ date: '2025-02-27', amount: 800 }),
+    ]);
+  });
+
+  test('histories pass dataset validation', () => {
+    const item = recordBalance(checking, { amount: 10 }, { timestamp });
+    const { issues } = validateDataset({
+      cases: [
+        {
+          id: 'c1',
+          mcn: '1',
+          personId: 'p1',
+          status: 'Pending',
+          financials: { resources: [item], income: [], expenses: [] },
+        },
+      ],
+    });
+    expect(
+      issues.filter((issue) => issue.path.includes('balanceHistory')),
+    ).toEqual([]);
+  });
+
+  test('sparkline points span the size, lowest amount at the bottom', () => {
+    expect(
+      sparklinePoints([{ amount: 10 }, { amount: 30 }, { amount: 20 }]),
+    ).toBe('0,24 50,0 100,12');
+    expect(sparklinePoints([{ amount: 10 }])).toBe('');
+  });
+});
@@ -0,0 +1,132 @@
+import {
+  DEFAULT_CHECKLIST_TEMPLATES,
+  applyChecklist,
+  checklistProgress,
+  checklistTemplate,
+  createChecklist,
+  missingDocuments,
+  setChecklistTemplate,
+  updateChecklistItem,
+} from '../../src/services/nightingale.checklists.js';
+
+const template = [
+  { id: 'id', name: 'Photo ID', required: true },
+  { id: 'income', name: 'Proof of income', required: true },
+  { id: 'burial', name: 'Burial contract', required: false },
+];
+
+const dataset = () => ({ cases: [], checklistTemplates: { LTC: template } });
+
+describe('nightingale.checklists', () => {
+  test('uses the dataset template, else the built-in one', () => {
+    expect(checklistTemplate(dataset(), 'LTC')).toBe(template);
+    expect(checklistTemplate(dataset(), 'SIMP')).toBe(
+      DEFAULT_CHECKLIST_TEMPLATES.SIMP,
+    );
+    expect(checklistTemplate({}, 'Other')).toEqual([]);
+  });
+
+  test('saves and resets a template', () => {
+    const data = setChecklistTemplate({}, 'Waiver', [
+      { name: '  Signed application ' },
+      { id: 'plan', name: 'Service plan', required: false },
+    ]);
+    expect(data.checklistTemplates.Waiver).toEqual([
+      {
+        id: expect.stringMatching(/^doc/),
+        name: 'Signed application',
+        required: true,
+      },
+      { id: 'plan', name: 'Service plan', required: false },
+    ]);
+    expect(() =>
+      setChecklistTemplate(data, 'Waiver', [{ name: 'A' }, { name: 'a' }]),
+    ).toThrow(
+      expect.objectContaining({
+        name: 'ChecklistError',
+        message: '"a" is listed twice',
+      }),
+    );
+    expect(
+      setChecklistTemplate(data, 'Waiver', null).checklistTemplates,
+    ).toEqual({});
+  });
+
+  test('new checklists start with every item pending', () => {
+    expect(createChecklist('LTC', template).items[2]).toEqual({
+      id: 'burial',
+      name: 'Burial contract',
+      required: false,
+      status: 'pending',
+      receivedDate: null,
+    });
+  });
+
+  test('switching case type keeps the shared items', () => {
+    let caseItem = applyChecklist({ id: 'c1', caseType: 'LTC' }, dataset());
+    caseItem = updateChecklistItem(caseItem, 'income', {
+      status: 'received',
+      receivedDate: '2025-03-02',
+    });
+    const waiver = applyChecklist(
+      { ...caseItem, caseType: 'Waiver' },
+      { checklistTemplates: { Waiver: template.slice(1) } },
+    );
+    expect(waiver.documentChecklist).toEqual({
+      caseType: 'Waiver',
+      items: [
+        expect.objectContaining({
+          id: 'income',
+          status: 'received',
+          receivedDate: '2025-03-02',
+        }),
+        expect.objectContaining({ id: 'burial', status: 'pending' }),
+      ],
+    });
+    expect(applyChecklist({ id: 'c2' }, dataset())).toEqual({ id: 'c2' });
+  });
+
+  test('received items get a date; other statuses clear it', () => {
+    const caseItem = applyChecklist({ id: 'c1', caseType: 'LTC' }, dataset());
+    const received = updateChecklistItem(
+      caseItem,
+      'id',
+      { status: 'received' },
+      { today: '2025-04-01' },
+    );
+    expect(received.documentChecklist.items[0]).toMatchObject({
+      status: 'received',
+      receivedDate: '2025-04-01',
+    });
+    const waived = updateChecklistItem(received, 'id', { status: 'waived' });
+    expect(waived.documentChecklist.items[0].receivedDate).toBeNull();
+
+    expect(() => updateChecklistItem(caseItem, 'nope', {})).toThrow(
+      expect.objectContaining({ name: 'ChecklistError' }),
+    );
+    expect(() =>
+      updateChecklistItem(caseItem, 'id', { status: 'lost' }),
+    ).toThrow('Unknown checklist status: lost');
+    // Input is not mutated
+    expect(caseItem.documentChecklist.items[0].status).toBe('pending');
+  });
+
+  test('progress counts settled required documents', () => {
+    let caseItem = applyChecklist({ id: 'c1', caseType: 'LTC' }, dataset());
+    expect(
+      missingDocuments(caseItem.documentChecklist).map((i) => i.id),
+    ).toEqual(['id', 'income']);
+    caseItem = updateChecklistItem(caseItem, 'id', { status: 'received' });
+    caseItem = updateChecklistItem(caseItem, 'income', {
+      status: 'not-applicable',
+    });
+    expect(checklistProgress(caseItem.documentChecklist)).toMatchObject({
+      required: 2,
+      settled: 2,
+      received: 1,
+      missing: [],
+      complete: true,
+    });
+    expect(checklistProgress(undefined)).toBeNull();
+  });
+});
@@ -0,0 +1,196 @@
+import {
+  addBusinessDays,
+  approachingDeadlines,
+  businessDaysBetween,
+  computeCaseDeadline,
+  createHolidayCalendar,
+  describeDeadline,
+  extendDeadline,
+  federalHolidays,
+  isBusinessDay,
+  pauseDeadline,
+  resumeDeadline,
+} from '../../src/services/nightingale.deadlines.js';
+import {
+  getProcessingDeadlines,
+  setHolidayCalendar,
+  setProcessingDeadlines,
+} from '../../src/services/settings.js';
+
+const pendingCase = (fields = {}) => ({
+  id: 'c1',
+  caseType: 'LTC',
+  status: 'Pending',
+  applicationDate: '2025-03-01',
+  ...fields,
+});
+
+describe('nightingale.deadlines', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('lists the observed federal holidays of a year', () => {
+    expect(federalHolidays(2025).map((h) => h.date)).toEqual([
+      '2025-01-01',
+      '2025-01-20',
+      '2025-02-17',
+      '2025-05-26',
+      '2025-06-19',
+      '2025-07-04',
+      '2025-09-01',
+      '2025-10-13',
+      '2025-11-11',
+      '2025-11-27',
+      '2025-12-25',
+    ]);
+    // Weekend holidays move to the nearest weekday
+    expect(federalHolidays(2026)).toContainEqual({
+      date: '2026-07-03',
+      name: 'Independence Day',
+    });
+    expect(createHolidayCalendar().isHoliday('2021-12-31')).toBe(true);
+  });
+
+  test('counts business days around weekends and holidays', () => {
+    expect(isBusinessDay('2025-07-04')).toBe(false);
+    expect(isBusinessDay('2025-07-05')).toBe(false);
+    expect(isBusinessDay('2025-07-07')).toBe(true);
+    expect(addBusinessDays('2025-06-30', 5)).toBe('2025-07-08');
+    expect(addBusinessDays('2025-07-08', -5)).toBe('2025-06-30');
+    expect(businessDaysBetween('2025-06-30', '2025-07-08')).toBe(5);
+    expect(businessDaysBetween('2025-07-08', '2025-06-30')).toBe(-5);
+  });
+
+  test('custom holidays extend the calendar', () => {
+    const calendar = createHolidayCalendar({
+      federal: false,
+      custom: [{ date: '2025-04-15', name: 'Office closed' }],
+    });
+    expect(calendar.isHoliday('2025-07-04')).toBe(false);
+    expect(calendar.holidays(2025)).toEqual([
+      { date: '2025-04-15', name: 'Office closed' },
+    ]);
+  });
+
+  test('computes the due date from the case type rule', () => {
+    expect(
+      computeCaseDeadline(pendingCase(), { today: '2025-03-02' }),
+    ).toMatchObject({
+      rule: { days: 45, unit: 'calendar' },
+      dueDate: '2025-04-15',
+      daysRemaining: 44,
+      state: 'on-track',
+    });
+    expect(
+      computeCaseDeadline(pendingCase({ caseType: 'Waiver' }), {
+        today: '2025-03-02',
+      }).dueDate,
+    ).toBe('2025-05-30');
+    // Landing on Veterans Day moves to the next business day
+    expect(
+      computeCaseDeadline(pendingCase({ applicationDate: '2025-09-27' }))
+        .dueDate,
+    ).toBe('2025-11-12');
+    expect(computeCaseDeadline({ id: 'c2', status: 'Pending' })).toBeNull();
+  });
+
+  test('business-day rules and the saved holiday calendar', () => {
+    setProcessingDeadlines({
+      byCaseType: {
+        ...getProcessingDeadlines().byCaseType,
+        SIMP: { days: 10, unit: 'business' },
+      },
+    });
+    expect(
+      computeCaseDeadline(
+        pendingCase({ caseType: 'SIMP', applicationDate: '2025-06-30' }),
+      ).dueDate,
+    ).toBe('2025-07-15');
+
+    setHolidayCalendar({ custom: [{ date: '2025-04-15', name: 'Closed' }] });
+    expect(computeCaseDeadline(pendingCase()).dueDate).toBe('2025-04-16');
+  });
+
+  test('flags approaching and overdue deadlines', () => {
+    const soon = computeCaseDeadline(pendingCase(), { today: '2025-04-10' });
+    expect(soon).toMatchObject({
+      daysRemaining: 5,
+      businessDaysRemaining: 3,
+      approaching: true,
+      overdue: false,
+    });
+    expect(describeDeadline(soon)).toBe('5 days left');
+
+    const late = computeCaseDeadline(pendingCase(), { today: '2025-04-20' });
+    expect(late).toMatchObject({ overdue: true, state: 'overdue' });
+    expect(describeDeadline(late)).toBe('Overdue by 5 days');
+
+    const list = approachingDeadlines(
+      [
+        pendingCase(),
+        pendingCase({ id: 'c2', applicationDate: '2025-02-20' }),
+        pendingCase({ id: 'c3', caseType: 'Waiver' }),
+      ],
+      { today: '2025-04-10' },
+    );
+    expect(list.map((entry) => entry.caseItem.id)).toEqual(['c2', 'c1']);
+  });
+
+  test('the clock stops outside the clock statuses', () => {
+    expect(
+      computeCaseDeadline(
+        pendingCase({ status: 'Approved', approvedDate: '2025-04-01' }),
+        { today: '2025-06-01' },
+      ),
+    ).toMatchObject({ state: 'met', overdue: false });
+    expect(
+      computeCaseDeadline(
+        pendingCase({ status: 'Denied', deniedDate: '2025-05-01' }),
+      ).state,
+    ).toBe('missed');
+    const stopped = computeCaseDeadline(pendingCase({ status: 'Active' }));
+    expect(stopped.state).toBe('stopped');
+    expect(describeDeadline(stopped)).toBe('');
+  });
+
+  test('pauses and extensions move the due date', () => {
+    const paused = pauseDeadline(pendingCase(), {
+      date: '2025-03-10',
+      reason: 'Waiting on client',
+    });
+    expect(computeCaseDeadline(paused, { today: '2025-03-15' })).toMatchObject({
+      paused: true,
+      pausedDays: 5,
+      state: 'paused',
+    });
+    expect(() => pauseDeadline(paused)).toThrow(
+      expect.objectContaining({ name: 'DeadlineError' }),
+    );
+    expect(() => resumeDeadline(paused, { date: '2025-03-01' })).toThrow(
+      'The clock cannot resume before it was paused',
+    );
+
+    const resumed = resumeDeadline(paused, { date: '2025-03-20' });
+    expect(resumed.deadlineEvents[0]).toMatchObject({
+      type: 'pause',
+      start: '2025-03-10',
+      end: '2025-03-20',
+      reason: 'Waiting on client',
+    });
+    expect(computeCaseDeadline(resumed).dueDate).toBe('2025-04-25');
+
+    const extended = extendDeadline(resumed, {
+      days: 15,
+      reason: 'Good cause',
+    });
+    expect(computeCaseDeadline(extended)).toMatchObject({
+      pausedDays: 10,
+      extensionDays: 15,
+      dueDate: '2025-05-12',
+    });
+    expect(() => extendDeadline(resumed, { days: 0 })).toThrow(
+      expect.objectContaining({ name: 'DeadlineError' }),
+    );
+    // Input is not mutated
+    expect(paused.deadlineEvents[0].end).toBeNull();
+  });
+});
@@ -26,6 +26,8 @@ jest.mock('../../src/services/nightingale.templates.js', () => ({
 
 jest.mock('../../src/services/nightingale.dayjs.js', () => ({
   formatToday: jest.fn(() => '2024-03-15'),
+  // Follow-up task due dates (nightingale.tasks.js)
+  dayjs: jest.requireActual('dayjs'),
 }));
 
 jest.mock('../../src/services/nightingale.toast.js', () => ({
@@ -212,6 +214,25 @@ describe('NightingaleDocumentGeneration', () => {
       expect(result.request.createdDate).toBe('2024-03-15');
     });
 
+    test('adds a follow-up task for the new request', async () => {
+      const result = await NightingaleDocumentGeneration.createVRRequest(
+        mockData,
+        { title: 'Bank statements', caseId: '1', templateId: 1 },
+        { showToast: false, saveFile: false },
+      );
+
+      expect(result.success).toBe(true);
+      expect(result.data.tasks).toEqual([
+        expect.objectContaining({
+          title: 'VR due back: Bank statements',
+          caseId: '1',
+          status: 'Open',
+          source: { rule: 'vr-follow-up', collection: 'vrRequests', id: '3' },
+        }),
+      ]);
+      expect(mockData.tasks).toBeUndefined();
+    });
+
     test('should fail validation for invalid VR request', async () => {
       const requestData = {
         title: '',
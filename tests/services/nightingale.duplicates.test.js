@@ -0,0 +1,174 @@
+import {
+  defaultMergeChoices,
+  describeDuplicateMatch,
+  describeMerge,
+  findDuplicatePeople,
+  mergeAuditChange,
+  mergePeople,
+  normalizeName,
+} from '../../src/services/nightingale.duplicates.js';
+import { recordChanges } from '../../src/services/nightingale.audit.js';
+
+const people = () => [
+  {
+    id: 'p1',
+    name: 'Jane Doe',
+    dateOfBirth: '1950-04-12',
+    ssn: '123-45-6789',
+    phone: '(555) 123-4567',
+    address: { street: '12 Main Street', city: 'Springfield', zip: '62701' },
+  },
+  {
+    id: 'p2',
+    name: 'Doe, Jane',
+    dateOfBirth: '04/12/1950',
+    ssn: '6789',
+    phone: '555.123.4567',
+    email: 'jane@example.com',
+    address: { street: '12 Main St.', zip: '62701' },
+  },
+  {
+    id: 'p3',
+    name: 'Jane Doe',
+    dateOfBirth: '1982-09-30',
+    ssn: '987-65-4321',
+  },
+  { id: 'p4', name: 'Robert Smith', dateOfBirth: '1940-01-01' },
+  {
+    id: 'p5',
+    name: 'Jane Smith',
+    dateOfBirth: '1950-04-12',
+    ssn: '123-45-6789',
+  },
+];
+
+describe('nightingale.duplicates', () => {
+  test('normalizes names for comparison', () => {
+    expect(normalizeName({ name: 'Doe, Jane' })).toBe('doe jane');
+    expect(normalizeName({ name: 'Jane  Doe Jr.' })).toBe('doe jane');
+    expect(normalizeName({ firstName: 'Zoë', lastName: 'Ames' })).toBe(
+      'ames zoe',
+    );
+  });
+
+  test('finds pairs scored on name, DOB, SSN last 4, phone and address', () => {
+    const pairs = findDuplicatePeople(people());
+    const keys = pairs.map((pair) => pair.key);
+
+    expect(pairs[0]).toMatchObject({
+      key: 'p1|p2',
+      score: 1,
+      matches: ['name', 'dateOfBirth', 'ssnLast4', 'phone', 'address'],
+      conflicts: [],
+    });
+    // Same DOB and SSN with a different last name
+    expect(keys).toContain('p1|p5');
+    // Same name with a conflicting DOB and SSN is not listed
+    expect(keys).not.toContain('p1|p3');
+    expect(keys).not.toContain('p1|p4');
+  });
+
+  test('describes what a pair agrees on', () => {
+    const pair = findDuplicatePeople(people()).find((p) => p.key === 'p1|p5');
+    expect(describeDuplicateMatch(pair)).toBe(
+      'Similar name; Same date of birth, SSN last 4',
+    );
+  });
+
+  test('skips records in the Recycle Bin', () => {
+    const list = people();
+    list[1].deletedAt = '2025-03-01T10:00:00.000Z';
+    expect(findDuplicatePeople(list).map((p) => p.key)).not.toContain('p1|p2');
+  });
+
+  test('default choices fill empty fields from the merged record', () => {
+    const [a, b] = people();
+    const choices = defaultMergeChoices(a, b);
+    expect(choices.name).toBe('p1');
+    expect(choices.email).toBe('p2');
+  });
+
+  test('merges the chosen values and repoints every reference', () => {
+    const data = {
+      people: [
+        ...people().slice(0, 2),
+        { id: 'p9', name: 'Helper', authorizedRepIds: ['p2', 'p1'] },
+      ],
+      cases: [
+        { id: 'c1', mcn: '1001', personId: 'p2', authorizedReps: ['p2'] },
+        { id: 'c2', mcn: '1002', personId: 'p9', spouseId: 'p2' },
+      ],
+    };
+    const { data: next, merge } = mergePeople(data, 'p1', 'p2', {
+      phone: 'p2',
+    });
+
+    expect(next.people.map((p) => p.id)).toEqual(['p1', 'p9']);
+    expect(next.people[0]).toMatchObject({
+      name: 'Jane Doe',
+      phone: '555.123.4567',
+      email: 'jane@example.com',
+    });
+    expect(next.people[1].authorizedRepIds).toEqual(['p1']);
+    expect(next.cases[0]).toMatchObject({
+      personId: 'p1',
+      authorizedReps: ['p1'],
+    });
+    expect(next.cases[1]).toMatchObject({ personId: 'p9', spouseId: 'p1' });
+    expect(merge.fields).toEqual(['phone', 'email']);
+    expect(merge.references).toHaveLength(4);
+    expect(describeMerge(merge)).toBe(
+      'Doe, Jane merged into Jane Doe (4 references updated)',
+    );
+    // Input is not mutated
+    expect(data.cases[0].personId).toBe('p2');
+  });
+
+  test('keeps each representative of both records once', () => {
+    const [a, b] = people();
+    const data = {
+      people: [
+        { ...a, authorizedRepIds: ['p7', 8] },
+        { ...b, authorizedRepIds: ['8', 'p7', 'p9'] },
+      ],
+    };
+
+    const { data: next } = mergePeople(data, 'p1', 'p2');
+
+    expect(next.people[0].authorizedRepIds).toEqual(['p7', 8, 'p9']);
+  });
+
+  test('refuses to merge a person with itself or a missing person', () => {
+    const data = { people: people() };
+    expect(() => mergePeople(data, 'p1', 'p1')).toThrow(
+      expect.objectContaining({ name: 'MergeError' }),
+    );
+    expect(() => mergePeople(data, 'p1', 'p42')).toThrow(
+      'Both people must exist to merge',
+    );
+  });
+
+  test('records the merge in the audit trail', () => {
+    const data = { people: people().slice(0, 2), cases: [] };
+    const { data: next, merge } = mergePeople(data, 'p1', 'p2');
+    const audited = recordChanges(data, next, {
+      actor: 'Ann',
+      source: 'merge',
+      entries: [mergeAuditChange(merge)],
+    });
+
+    expect(audited.auditLog).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          entityId: 'p1',
+          personId: 'p1',
+          action: 'merged',
+          oldValue: 'Doe, Jane (p2)',
+          actor: 'Ann',
+          source: 'merge',
+        }),
+        expect.objectContaining({ entityId: 'p2', action: 'purged' }),
+      ]),
+    );
+  });
+});
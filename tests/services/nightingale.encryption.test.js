@@ -0,0 +1,125 @@
+/**
+ * Tests for passphrase encryption envelopes (PBKDF2 + AES-GCM)
+ */
+
+import {
+  ENVELOPE_FORMAT,
+  ENVELOPE_VERSION,
+  DEFAULT_KDF,
+  isEncryptionSupported,
+  parseEnvelope,
+  isEncrypted,
+  deriveKey,
+  deriveKeyForEnvelope,
+  encryptText,
+  decryptText,
+} from '../../src/services/nightingale.encryption.js';
+
+// Low work factor keeps the suite fast; production uses DEFAULT_KDF
+const FAST_KDF = { ...DEFAULT_KDF, iterations: 1000 };
+
+describe('encryption envelope', () => {
+  test('is supported with WebCrypto', () => {
+    expect(isEncryptionSupported()).toBe(true);
+  });
+
+  test('round-trips UTF-8 text and records KDF parameters', async () => {
+    const keyInfo = await deriveKey('correct horse', { kdf: FAST_KDF });
+    const text = JSON.stringify({ people: [{ name: 'Zoë Ångström' }] });
+
+    const sealed = await encryptText(text, keyInfo);
+    const envelope = JSON.parse(sealed);
+
+    expect(envelope).toEqual({
+      format: ENVELOPE_FORMAT,
+      version: ENVELOPE_VERSION,
+      kdf: {
+        name: 'PBKDF2',
+        hash: 'SHA-256',
+        iterations: 1000,
+        salt: expect.any(String),
+      },
+      cipher: { name: 'AES-GCM', iv: expect.any(String) },
+      data: expect.any(String),
+    });
+    expect(sealed).not.toContain('Zo');
+    expect(await decryptText(sealed, keyInfo)).toBe(text);
+  });
+
+  test('uses a fresh IV per encryption', async () => {
+    const keyInfo = await deriveKey('correct horse', { kdf: FAST_KDF });
+    const a = JSON.parse(await encryptText('same', keyInfo));
+    const b = JSON.parse(await encryptText('same', keyInfo));
+    expect(a.cipher.iv).not.toBe(b.cipher.iv);
+    expect(a.data).not.toBe(b.data);
+  });
+
+  test('the passphrase alone re-derives the key from the envelope', async () => {
+    const sealed = await encryptText(
+      'secret',
+      await deriveKey('correct horse', { kdf: FAST_KDF }),
+    );
+    const keyInfo = await deriveKeyForEnvelope(
+      'correct horse',
+      parseEnvelope(sealed),
+    );
+    expect(await decryptText(sealed, keyInfo)).toBe('secret');
+  });
+
+  test('a wrong passphrase fails with DecryptionError', async () => {
+    const sealed = await encryptText(
+      'secret',
+      await deriveKey('correct horse', { kdf: FAST_KDF }),
+    );
+    const wrong = await deriveKeyForEnvelope('battery', parseEnvelope(sealed));
+    await expect(decryptText(sealed, wrong)).rejects.toMatchObject({
+      name: 'DecryptionError',
+    });
+  });
+
+  test('tampered ciphertext fails authentication', async () => {
+    const keyInfo = await deriveKey('correct horse', { kdf: FAST_KDF });
+    const envelope = JSON.parse(await encryptText('secret', keyInfo));
+    const bytes = atob(envelope.data);
+    envelope.data = btoa(
+      String.fromCharCode(bytes.charCodeAt(0) ^ 1) + bytes.slice(1),
+    );
+    await expect(decryptText(envelope, keyInfo)).rejects.toMatchObject({
+      name: 'DecryptionError',
+    });
+  });
+
+  test('a key for another salt is rejected before decrypting', async () => {
+    const sealed = await encryptText(
+      'secret',
+      await deriveKey('correct horse', { kdf: FAST_KDF }),
+    );
+    const other = await deriveKey('correct horse', { kdf: FAST_KDF });
+    await expect(decryptText(sealed, other)).rejects.toThrow(
+      'different passphrase',
+    );
+  });
+
+  test('rejects unknown envelope versions', async () => {
+    const envelope = { format: ENVELOPE_FORMAT, version: 99, kdf: FAST_KDF };
+    expect(() => deriveKeyForEnvelope('x', envelope)).toThrow(
+      'Unsupported encrypted file version: 99',
+    );
+  });
+
+  test('detects envelopes in text and objects', () => {
+    expect(isEncrypted('{"cases":[]}')).toBe(false);
+    expect(isEncrypted('not json nightingale-encrypted')).toBe(false);
+    expect(isEncrypted({ format: ENVELOPE_FORMAT })).toBe(true);
+    expect(parseEnvelope(JSON.stringify({ format: ENVELOPE_FORMAT }))).toEqual({
+      format: ENVELOPE_FORMAT,
+    });
+    expect(parseEnvelope(null)).toBeNull();
+  });
+
+  test('requires a passphrase', async () => {
+    await expect(deriveKey('', { kdf: FAST_KDF })).rejects.toThrow(
+      'Passphrase is required',
+    );
+  });
+});
@@ -0,0 +1,83 @@
+import {
+  financialTotals,
+  itemOwner,
+  monthlyAmount,
+  monthlyTotal,
+  oneTimeTotal,
+  resourceTotal,
+} from '../../src/services/nightingale.financials.js';
+import {
+  getFrequencyFactors,
+  setFrequencyFactors,
+} from '../../src/services/settings.js';
+
+const caseItem = {
+  id: 'c1',
+  financials: {
+    resources: [
+      { id: 'r1', amount: 2500.5, owner: 'applicant' },
+      { id: 'r2', amount: 1000, owner: 'joint' },
+      { id: 'r3', amount: 9999, deletedAt: '2025-01-01T00:00:00.000Z' },
+    ],
+    income: [
+      { id: 'i1', amount: 300, frequency: 'weekly', owner: 'applicant' },
+      { id: 'i2', amount: 1200, frequency: 'yearly', owner: 'spouse' },
+      { id: 'i3', amount: 500, frequency: 'one-time', owner: 'applicant' },
+      { id: 'i4', value: 800 },
+    ],
+    expenses: [
+      { id: 'e1', amount: 10, frequency: 'daily', owner: 'joint' },
+      { id: 'e2', amount: 250, frequency: 'one-time' },
+    ],
+  },
+};
+
+describe('nightingale.financials', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('converts amounts to monthly equivalents', () => {
+    expect(monthlyAmount({ amount: 300, frequency: 'weekly' })).toBeCloseTo(
+      1299.99,
+    );
+    expect(monthlyAmount({ amount: 1200, frequency: 'yearly' })).toBe(100);
+    expect(monthlyAmount({ amount: 10, frequency: 'daily' })).toBeCloseTo(
+      304.167,
+    );
+    expect(monthlyAmount({ amount: 80 })).toBe(80);
+    expect(monthlyAmount({ amount: 500, frequency: 'one-time' })).toBe(0);
+  });
+
+  test('factors come from settings', () => {
+    expect(getFrequencyFactors()).toMatchObject({ monthly: 1, weekly: 4.3333 });
+    setFrequencyFactors({ weekly: 52 / 12 });
+    expect(monthlyTotal([{ amount: 120, frequency: 'weekly' }])).toBe(520);
+    expect(getFrequencyFactors().daily).toBe(30.4167);
+  });
+
+  test('recurring totals leave one-time and deleted items out', () => {
+    expect(monthlyTotal(caseItem.financials.income)).toBe(2199.99);
+    expect(oneTimeTotal(caseItem.financials.income)).toBe(500);
+    expect(resourceTotal(caseItem.financials.resources)).toBe(3500.5);
+    expect(monthlyTotal(undefined)).toBe(0);
+  });
+
+  test('items without an owner belong to the applicant', () => {
+    expect(itemOwner({})).toBe('applicant');
+    expect(itemOwner({ owner: 'spouse' })).toBe('spouse');
+  });
+
+  test('case totals are broken down by owner', () => {
+    expect(financialTotals(caseItem)).toEqual({
+      resources: 3500.5,
+      income: 2199.99,
+      expenses: 304.17,
+      net: 1895.82,
+      oneTime: { income: 500, expenses: 250 },
+      byOwner: {
+        applicant: { resources: 2500.5, income: 2099.99, expenses: 0 },
+        spouse: { resources: 0, income: 100, expenses: 0 },
+        joint: { resources: 1000, income: 0, expenses: 304.17 },
+      },
+    });
+  });
+});
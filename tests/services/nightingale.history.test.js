@@ -0,0 +1,167 @@
+import UndoHistory, {
+  describeChange,
+  DEFAULT_HISTORY_LIMIT,
+} from '../../src/services/nightingale.history.js';
+
+const resource = {
+  id: 'r1',
+  description: 'Checking',
+  location: 'First Bank',
+  value: 100,
+};
+
+function makeData() {
+  return {
+    cases: [
+      {
+        id: 'c1',
+        mcn: '12345',
+        status: 'Pending',
+        financials: { resources: [resource], income: [], expenses: [] },
+        notes: [],
+      },
+    ],
+    people: [{ id: 'p1', name: 'Jane Doe' }],
+    organizations: [],
+  };
+}
+
+function updateCase(data, changes) {
+  return {
+    ...data,
+    cases: data.cases.map((c) => (c.id === 'c1' ? { ...c, ...changes } : c)),
+  };
+}
+
+describe('describeChange', () => {
+  test('labels deleted financial items', () => {
+    const before = makeData();
+    const after = updateCase(before, {
+      financials: { resources: [], income: [], expenses: [] },
+    });
+    expect(describeChange(before, after)).toBe(
+      "Deleted resource 'Checking - First Bank'",
+    );
+  });
+
+  test('labels added people and updated case fields', () => {
+    const before = makeData();
+    expect(
+      describeChange(before, {
+        ...before,
+        people: [...before.people, { id: 'p2', name: 'John Roe' }],
+      }),
+    ).toBe("Added person 'John Roe'");
+    expect(
+      describeChange(
+        before,
+        updateCase(before, { status: 'Approved', updatedDate: 'x' }),
+      ),
+    ).toBe('Updated MCN 12345 (status)');
+  });
+
+  test('summarizes several changes and falls back to a generic label', () => {
+    const before = makeData();
+    const after = updateCase(
+      { ...before, people: [], organizations: [{ id: 'o1', name: 'Acme' }] },
+      { notes: [{ id: 'n1', text: 'hi' }] },
+    );
+    expect(describeChange(before, after)).toBe(
+      'Added note on MCN 12345 (+2 more)',
+    );
+    expect(describeChange(before, { ...before })).toBe('Edited data');
+  });
+});
+
+describe('UndoHistory', () => {
+  test('undo and redo walk between recorded states', () => {
+    const history = new UndoHistory();
+    const s0 = makeData();
+    const s1 = updateCase(s0, { status: 'Approved' });
+    const s2 = { ...s1, people: [] };
+    history.record(s0, s1);
+    history.record(s1, s2, 'Cleared people');
+
+    const undone = history.undo(s2);
+    expect(undone.data).toBe(s1);
+    expect(undone.entry.label).toBe('Cleared people');
+    expect(history.undo(s1).data).toBe(s0);
+    expect(history.canUndo(s0)).toBe(false);
+
+    expect(history.redo(s0).data).toBe(s1);
+    expect(history.list(s1).redo.map((e) => e.label)).toEqual([
+      'Cleared people',
+    ]);
+  });
+
+  test('a new change clears the redo stack', () => {
+    const history = new UndoHistory();
+    const s0 = makeData();
+    const s1 = { ...s0, people: [] };
+    history.record(s0, s1);
+    history.undo(s1);
+    const s2 = { ...s0, organizations: [{ id: 'o1', name: 'Acme' }] };
+    history.record(s0, s2);
+    expect(history.canRedo(s2)).toBe(false);
+    expect(history.list(s2).undo).toHaveLength(1);
+  });
+
+  test('becomes stale when the data was replaced elsewhere', () => {
+    const history = new UndoHistory();
+    const s0 = makeData();
+    const s1 = { ...s0, people: [] };
+    history.record(s0, s1);
+
+    const loaded = makeData();
+    expect(history.canUndo(loaded)).toBe(false);
+    expect(history.undo(loaded)).toBeNull();
+    expect(history.list(loaded)).toEqual({ undo: [], redo: [] });
+
+    const next = { ...loaded, people: [] };
+    history.record(loaded, next);
+    expect(history.list(next).undo).toHaveLength(1);
+  });
+
+  test('undoTo reverts several entries at once', () => {
+    const history = new UndoHistory();
+    const s0 = makeData();
+    const s1 = { ...s0, people: [] };
+    const s2 = { ...s1, organizations: [{ id: 'o1', name: 'Acme' }] };
+    const first = history.record(s0, s1);
+    history.record(s1, s2);
+
+    const result = history.undoTo(s2, first.id);
+    expect(result.data).toBe(s0);
+    expect(result.entries).toHaveLength(2);
+    expect(history.list(s0).redo).toHaveLength(2);
+    expect(history.undoTo(s0, 999)).toBeNull();
+  });
+
+  test('adopt continues the history from an annotated state', () => {
+    const history = new UndoHistory();
+    const s0 = makeData();
+    const s1 = { ...s0, people: [] };
+    const s2 = { ...s1, organizations: [{ id: 'o1', name: 'Acme' }] };
+    history.record(s0, s1);
+    history.record(s1, s2);
+
+    const undone = history.undo(s2);
+    const annotated = { ...undone.data, auditLog: [{ id: 'a1' }] };
+    expect(history.adopt(undone.data, annotated)).toBe(true);
+    expect(history.canUndo(annotated)).toBe(true);
+    expect(history.redo(annotated).data).toBe(s2);
+    expect(history.adopt(makeData(), annotated)).toBe(false);
+  });
+
+  test('keeps at most `limit` entries', () => {
+    expect(DEFAULT_HISTORY_LIMIT).toBe(50);
+    const history = new UndoHistory({ limit: 3 });
+    let state = makeData();
+    for (let i = 0; i < 5; i++) {
+      const next = { ...state, people: [{ id: `p${i}`, name: `P${i}` }] };
+      history.record(state, next);
+      state = next;
+    }
+    expect(history.list(state).undo).toHaveLength(3);
+  });
+});
@@ -0,0 +1,135 @@
+import {
+  RELATIONSHIPS,
+  describeDeleteResult,
+  deleteRecord,
+  previewDelete,
+} from '../../src/services/nightingale.integrity.js';
+
+const dataset = () => ({
+  people: [
+    { id: 'p1', name: 'Jane Doe', organizationId: 'o1' },
+    { id: 'p2', name: 'John Doe', authorizedRepIds: ['p3'] },
+    { id: 'p3', name: 'Rita Rep' },
+  ],
+  organizations: [{ id: 'o1', name: 'Helping Hands' }],
+  cases: [
+    {
+      id: 'c1',
+      mcn: '1001',
+      personId: 'p1',
+      spouseId: 'p2',
+      organizationId: 'o1',
+      authorizedReps: ['p3'],
+    },
+  ],
+  vrRequests: [
+    { id: 'vr1', caseId: 'c1' },
+    { id: 'vr2', caseId: 'c2' },
+  ],
+});
+
+describe('nightingale.integrity', () => {
+  test('every relationship uses a known onDelete policy', () => {
+    RELATIONSHIPS.forEach((relation) => {
+      expect(['deny', 'nullify', 'cascade']).toContain(relation.onDelete);
+    });
+  });
+
+  test('deny: a person who is the client of a case cannot be deleted', () => {
+    const data = dataset();
+    const impact = previewDelete(data, 'people', 'p1');
+    expect(impact.allowed).toBe(false);
+    expect(impact.blocked).toEqual([
+      expect.objectContaining({
+        collection: 'cases',
+        id: 'c1',
+        field: 'personId',
+      }),
+    ]);
+
+    let error;
+    try {
+      deleteRecord(data, 'people', 'p1');
+    } catch (err) {
+      error = err;
+    }
+    expect(error.name).toBe('IntegrityError');
+    expect(error.impact.blocked).toHaveLength(1);
+    expect(data.people).toHaveLength(3);
+  });
+
+  test('nullify: clears single and list references without mutating the input', () => {
+    const data = dataset();
+    const { data: next, impact } = deleteRecord(data, 'people', 'p3');
+
+    expect(
+      impact.nullified.map((entry) => `${entry.collection}:${entry.id}`),
+    ).toEqual(['cases:c1', 'people:p2']);
+    expect(next.people.map((p) => p.id)).toEqual(['p1', 'p2']);
+    expect(next.cases[0].authorizedReps).toEqual([]);
+    expect(next.people[1].authorizedRepIds).toEqual([]);
+    expect(data.cases[0].authorizedReps).toEqual(['p3']);
+
+    const org = deleteRecord(data, 'organizations', 'o1').data;
+    expect(org.cases[0].organizationId).toBeNull();
+    expect(org.people[0].organizationId).toBeNull();
+  });
+
+  test('cascade: deleting a case deletes its verification requests', () => {
+    const { data: next, impact } = deleteRecord(dataset(), 'cases', 'c1');
+    expect(impact.cascaded).toEqual([
+      expect.objectContaining({ collection: 'vrRequests', id: 'vr1' }),
+    ]);
+    expect(next.cases).toEqual([]);
+    expect(next.vrRequests.map((vr) => vr.id)).toEqual(['vr2']);
+    expect(describeDeleteResult(impact)).toBe(
+      'Case MCN 1001 deleted (1 related record deleted)',
+    );
+  });
+
+  test('references held by cascaded records do not block or get cleared', () => {
+    const relationships = [
+      ...RELATIONSHIPS,
+      {
+        from: 'vrRequests',
+        field: 'personId',
+        to: 'people',
+        onDelete: 'deny',
+        label: 'subject of request',
+      },
+      {
+        from: 'people',
+        field: 'caseId',
+        to: 'cases',
+        onDelete: 'cascade',
+        label: 'person of case',
+      },
+    ];
+    const data = {
+      cases: [{ id: 'c1' }],
+      people: [{ id: 'p1', caseId: 'c1' }],
+      vrRequests: [{ id: 'vr1', personId: 'p1' }],
+    };
+    const impact = previewDelete(data, 'cases', 'c1', { relationships });
+    expect(impact.cascaded.map((entry) => entry.id)).toEqual(['p1']);
+    expect(impact.blocked).toHaveLength(1);
+    expect(impact.allowed).toBe(false);
+  });
+
+  test('missing records are reported, not deleted', () => {
+    expect(previewDelete(dataset(), 'people', 'nope')).toMatchObject({
+      target: null,
+      allowed: false,
+    });
+    expect(() => deleteRecord(dataset(), 'people', 'nope')).toThrow(
+      'No people record with id nope',
+    );
+  });
+
+  test('describeDeleteResult summarizes cleared references', () => {
+    const { impact } = deleteRecord(dataset(), 'organizations', 'o1');
+    expect(describeDeleteResult(impact)).toBe(
+      'Helping Hands deleted (2 references cleared)',
+    );
+  });
+});
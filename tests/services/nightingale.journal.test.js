@@ -0,0 +1,209 @@
+/**
+ * Tests for the write-ahead journal: diffing, replay, NDJSON parsing and storage
+ */
+
+import WriteAheadJournal, {
+  diffForJournal,
+  applyJournalEntries,
+  parseJournal,
+  JOURNAL_FILE_NAME,
+} from '../../src/services/nightingale.journal.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+
+function createMemoryStore() {
+  let entries = [];
+  return {
+    append: jest.fn(async (entry) => {
+      entries.push(entry);
+      return true;
+    }),
+    readAll: jest.fn(async () => [...entries]),
+    replaceAll: jest.fn(async (next) => {
+      entries = [...next];
+    }),
+  };
+}
+
+describe('diffForJournal', () => {
+  test('records a snapshot when there is no base', () => {
+    expect(diffForJournal(null, { cases: [] })).toEqual([
+      { op: 'snapshot', data: { cases: [] } },
+    ]);
+  });
+
+  test('records record-level puts and deletes for id collections', () => {
+    const prev = {
+      cases: [
+        { id: 1, status: 'Pending' },
+        { id: 2, status: 'Pending' },
+      ],
+      people: [{ id: 'p1', name: 'Ann' }],
+    };
+    const next = {
+      cases: [
+        { id: 1, status: 'Approved' },
+        { id: 3, status: 'Pending' },
+      ],
+      people: prev.people,
+    };
+    expect(diffForJournal(prev, next)).toEqual([
+      {
+        op: 'put',
+        collection: 'cases',
+        id: '1',
+        record: { id: 1, status: 'Approved' },
+      },
+      {
+        op: 'put',
+        collection: 'cases',
+        id: '3',
+        record: { id: 3, status: 'Pending' },
+      },
+      { op: 'delete', collection: 'cases', id: '2' },
+    ]);
+  });
+
+  test('records only the audit entries an edit appended', () => {
+    const first = { id: 'audit-1', timestamp: '2024-01-01T00:00:00Z' };
+    const second = { id: 'audit-2', timestamp: '2024-01-02T00:00:00Z' };
+    expect(
+      diffForJournal({ auditLog: [first] }, { auditLog: [first, second] }),
+    ).toEqual([
+      { op: 'put', collection: 'auditLog', id: 'audit-2', record: second },
+    ]);
+  });
+
+  test('records whole-value sets and unsets for other keys', () => {
+    expect(
+      diffForJournal({ nextCaseId: 2, meta: {} }, { nextCaseId: 3 }),
+    ).toEqual([
+      { op: 'set', key: 'nextCaseId', value: 3 },
+      { op: 'unset', key: 'meta' },
+    ]);
+  });
+
+  test('returns no ops for identical datasets', () => {
+    const data = { cases: [{ id: 1 }] };
+    expect(diffForJournal(data, { cases: [{ id: 1 }] })).toEqual([]);
+  });
+});
+
+describe('applyJournalEntries', () => {
+  test('replays diffs to reproduce the latest dataset', () => {
+    const v0 = { cases: [{ id: 1, status: 'Pending' }], nextCaseId: 2 };
+    const v1 = {
+      cases: [
+        { id: 1, status: 'Approved' },
+        { id: 2, status: 'Pending' },
+      ],
+      nextCaseId: 3,
+    };
+    const v2 = { cases: [{ id: 2, status: 'Pending' }], nextCaseId: 3 };
+    const entries = [
+      { ts: 1, ops: diffForJournal(v0, v1) },
+      { ts: 2, ops: diffForJournal(v1, v2) },
+    ];
+
+    expect(applyJournalEntries(v0, entries)).toEqual(v2);
+    expect(v0.cases).toHaveLength(1);
+  });
+
+  test('replaying the same entries twice is idempotent', () => {
+    const base = { cases: [] };
+    const entries = [
+      { ts: 1, ops: diffForJournal(base, { cases: [{ id: 1 }] }) },
+    ];
+    const once = applyJournalEntries(base, entries);
+    expect(applyJournalEntries(once, entries)).toEqual(once);
+  });
+});
+
+describe('parseJournal', () => {
+  test('skips blank and torn lines', () => {
+    const text =
+      '{"ts":1,"ops":[]}\n\n{"ts":2,"ops":[{"op":"set"}]}\n{"ts":3,"op';
+    expect(parseJournal(text).map((e) => e.ts)).toEqual([1, 2]);
+  });
+});
+
+describe('WriteAheadJournal', () => {
+  test('appends NDJSON entries to the storage file', async () => {
+    const storage = new MemoryStorageAdapter();
+    const journal = new WriteAheadJournal({
+      tabId: 'tab-a',
+      getStorage: async () => storage,
+      fallbackStore: createMemoryStore(),
+    });
+    journal.setBase({ cases: [] });
+
+    await journal.record({ cases: [{ id: 1 }] });
+    await journal.record({ cases: [{ id: 1 }, { id: 2 }] });
+
+    const lines = (await storage.read(JOURNAL_FILE_NAME)).contents
+      .trim()
+      .split('\n');
+    expect(lines).toHaveLength(2);
+    expect(JSON.parse(lines[1])).toEqual(
+      expect.objectContaining({
+        tabId: 'tab-a',
+        seq: 2,
+        ops: [{ op: 'put', collection: 'cases', id: '2', record: { id: 2 } }],
+      }),
+    );
+  });
+
+  test('falls back to the IndexedDB store without writable storage', async () => {
+    const store = createMemoryStore();
+    const journal = new WriteAheadJournal({ fallbackStore: store });
+    journal.setBase({ cases: [] });
+
+    await journal.record({ cases: [{ id: 1 }] });
+
+    expect(store.append).toHaveBeenCalledTimes(1);
+    expect(await journal.readEntries()).toHaveLength(1);
+  });
+
+  test('does not write when nothing changed', async () => {
+    const store = createMemoryStore();
+    const journal = new WriteAheadJournal({ fallbackStore: store });
+    journal.setBase({ cases: [] });
+
+    expect(await journal.record({ cases: [] })).toBeNull();
+    expect(store.append).not.toHaveBeenCalled();
+  });
+
+  test('compact drops entries older than the save and keeps newer ones', async () => {
+    const storage = new MemoryStorageAdapter();
+    const store = createMemoryStore();
+    const journal = new WriteAheadJournal({
+      getStorage: async () => storage,
+      fallbackStore: store,
+    });
+    await store.append({ ts: 5, ops: [] });
+    await storage.writeNamed(
+      JOURNAL_FILE_NAME,
+      '{"ts":10,"ops":[]}\n{"ts":20,"ops":[]}\n',
+    );
+    await journal.readEntries();
+
+    await journal.compact({ before: 15, base: { cases: [] } });
+
+    expect(
+      parseJournal((await storage.read(JOURNAL_FILE_NAME)).contents),
+    ).toEqual([{ ts: 20, ops: [] }]);
+    expect(await store.readAll()).toEqual([]);
+    expect(journal.base).toEqual({ cases: [] });
+    expect(journal.dirty).toBe(true);
+  });
+
+  test('compact is skipped when nothing was journaled', async () => {
+    const getStorage = jest.fn(async () => null);
+    const journal = new WriteAheadJournal({
+      getStorage,
+      fallbackStore: createMemoryStore(),
+    });
+
+    expect(await journal.compact()).toBe(false);
+    expect(getStorage).not.toHaveBeenCalled();
+  });
+});
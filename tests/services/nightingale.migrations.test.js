@@ -0,0 +1,225 @@
+/**
+ * Tests for the versioned migration runner and the dataset migration registry
+ */
+
+import {
+  applyMigrations,
+  assertMigrationChain,
+  countChanges,
+  planMigrations,
+  runMigrations,
+} from '../../src/services/nightingale.migrations.js';
+import {
+  BASE_SCHEMA_VERSION,
+  CURRENT_SCHEMA_VERSION,
+  DATA_MIGRATIONS,
+  normalizeDataMigrations,
+} from '../../src/services/nightingale.datamanagement.js';
+
+const registry = [
+  {
+    id: 1,
+    name: 'rename-title',
+    from: '1',
+    to: '2',
+    migrate: (data) => {
+      data.items.forEach((item) => {
+        if (item.title) {
+          item.name = item.title;
+          delete item.title;
+        }
+      });
+    },
+  },
+  {
+    id: 2,
+    name: 'add-tags',
+    from: '2',
+    to: '3',
+    migrate: (data) => {
+      data.items.forEach((item) => {
+        item.tags = item.tags || [];
+      });
+    },
+  },
+];
+
+describe('migration runner', () => {
+  test('runs pending steps in order and records them in metadata', () => {
+    const input = { items: [{ title: 'a' }, { name: 'b', tags: ['x'] }] };
+    const result = runMigrations(input, registry);
+
+    expect(result.fromVersion).toBe('1');
+    expect(result.toVersion).toBe('3');
+    expect(result.steps).toEqual([
+      { id: 1, name: 'rename-title', from: '1', to: '2', changes: 1 },
+      { id: 2, name: 'add-tags', from: '2', to: '3', changes: 1 },
+    ]);
+    expect(result.data.items).toEqual([
+      { name: 'a', tags: [] },
+      { name: 'b', tags: ['x'] },
+    ]);
+    expect(result.data.metadata.schemaVersion).toBe('3');
+    expect(result.data.metadata.migrations).toEqual([
+      expect.objectContaining({ id: 1, appliedAt: expect.any(String) }),
+      expect.objectContaining({ id: 2, appliedAt: expect.any(String) }),
+    ]);
+    // Input is not mutated
+    expect(input.items[0]).toEqual({ title: 'a' });
+  });
+
+  test('only runs steps the data has not been through', () => {
+    const input = {
+      metadata: { schemaVersion: '2', migrations: [{ id: 1 }] },
+      items: [{ title: 'kept' }],
+    };
+    const result = runMigrations(input, registry);
+
+    expect(result.steps.map((step) => step.id)).toEqual([2]);
+    expect(result.data.items[0]).toEqual({ title: 'kept', tags: [] });
+    expect(result.data.metadata.migrations.map((m) => m.id)).toEqual([1, 2]);
+
+    const again = runMigrations(result.data, registry);
+    expect(again.steps).toEqual([]);
+    expect(again.data).toEqual(result.data);
+  });
+
+  test('dry run reports change counts without changing the data', () => {
+    const input = { items: [{ title: 'a' }] };
+    const result = runMigrations(input, registry, { dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.steps.map((step) => step.changes)).toEqual([1, 1]);
+    expect(result.data).toEqual(input);
+  });
+
+  test('leaves data from unknown versions alone', () => {
+    const plan = planMigrations({ metadata: { schemaVersion: '9' } }, registry);
+    expect(plan).toEqual({ fromVersion: '9', steps: [], unknownVersion: true });
+    expect(
+      planMigrations({ metadata: { schemaVersion: '3' } }, registry)
+        .unknownVersion,
+    ).toBe(false);
+  });
+
+  test('rejects registries that do not form a chain', () => {
+    expect(() => assertMigrationChain(registry)).not.toThrow();
+    expect(() =>
+      assertMigrationChain([registry[0], { ...registry[1], from: '5' }]),
+    ).toThrow('Migration 2 starts at 5, expected 2');
+    expect(() => assertMigrationChain([registry[1], registry[0]])).toThrow(
+      'out of order',
+    );
+  });
+
+  test('counts changed records per collection', () => {
+    expect(
+      countChanges(
+        { a: [1, 2], b: { x: 1 }, metadata: {} },
+        { a: [1, 3, 4], b: { x: 1 }, metadata: { v: 2 } },
+      ),
+    ).toBe(2);
+  });
+
+  test('applyMigrations writes a backup of the original data first', async () => {
+    const calls = [];
+    const fileService = {
+      writeNamedFile: jest.fn(async (name) => {
+        calls.push(`backup:${name}`);
+        return true;
+      }),
+      writeFile: jest.fn(async () => {
+        calls.push('write');
+        return true;
+      }),
+    };
+    const input = { items: [{ title: 'a' }] };
+    const result = await applyMigrations(fileService, input, registry);
+
+    expect(calls).toEqual([`backup:${result.backupName}`, 'write']);
+    expect(fileService.writeNamedFile).toHaveBeenCalledWith(
+      result.backupName,
+      input,
+    );
+    expect(fileService.writeFile).toHaveBeenCalledWith(result.data);
+    expect(result.written).toBe(true);
+
+    const dry = await applyMigrations(fileService, input, registry, {
+      dryRun: true,
+    });
+    expect(dry.written).toBe(false);
+    expect(fileService.writeFile).toHaveBeenCalledTimes(1);
+  });
+
+  test('applyMigrations does not write when the backup fails', async () => {
+    const fileService = {
+      writeNamedFile: jest.fn(async () => false),
+      writeFile: jest.fn(),
+    };
+    await expect(
+      applyMigrations(fileService, { items: [] }, registry),
+    ).rejects.toMatchObject({ name: 'MigrationError' });
+    expect(fileService.writeFile).not.toHaveBeenCalled();
+  });
+});
+
+describe('DATA_MIGRATIONS', () => {
+  test('forms a chain from the base to the current schema version', () => {
+    expect(DATA_MIGRATIONS[0].from).toBe(BASE_SCHEMA_VERSION);
+    expect(DATA_MIGRATIONS.at(-1).to).toBe(CURRENT_SCHEMA_VERSION);
+    expect(() => assertMigrationChain(DATA_MIGRATIONS)).not.toThrow();
+  });
+
+  test('migrates a legacy file once and records every step', async () => {
+    const legacy = {
+      cases: [
+        {
+          id: 1,
+          masterCaseNumber: 'MCN-12',
+          personId: 3,
+          financials: { income: [{ id: 4, type: 'SSA', value: '900' }] },
+        },
+      ],
+      people: [{ id: 3, firstName: 'Ada', lastName: 'Lovelace' }],
+    };
+
+    const migrated = await normalizeDataMigrations(legacy);
+    expect(migrated.metadata.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+    expect(migrated.metadata.migrations.map((m) => m.name)).toEqual(
+      DATA_MIGRATIONS.map((step) => step.name),
+    );
+    expect(migrated.cases[0]).toEqual(
+      expect.objectContaining({ id: '1', mcn: '12', personId: '3' }),
+    );
+    expect(migrated.cases[0].financials.income[0]).toEqual(
+      expect.objectContaining({ description: 'SSA', amount: 900 }),
+    );
+
+    // Fixes are not re-applied to a current file
+    migrated.people[0].status = '';
+    const reloaded = await normalizeDataMigrations(migrated);
+    expect(reloaded.people[0].status).toBe('');
+    expect(reloaded.metadata.migrations).toHaveLength(DATA_MIGRATIONS.length);
+  });
+
+  test('files migrated by a released step get the collections added since', async () => {
+    const migrated = await normalizeDataMigrations({
+      metadata: { schemaVersion: '2024.6' },
+      cases: [],
+      people: [],
+    });
+
+    expect(migrated.tasks).toEqual([]);
+    expect(migrated.checklistTemplates).toEqual({});
+    expect(migrated.attachments).toEqual([]);
+    expect(migrated.metadata.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  test('files stamped by the pre-registry normalizer are migrated', () => {
+    const { steps } = planMigrations(
+      { metadata: { schemaVersion: '2024.1' } },
+      DATA_MIGRATIONS,
+    );
+    expect(steps).toHaveLength(DATA_MIGRATIONS.length);
+  });
+});
@@ -38,6 +38,7 @@ Balance as of 03/14/2024 - $1,234.56`;
         location: 'First National Bank',
         accountNumber: '5678',
         value: 1234.56,
+        balanceDate: '2024-03-14',
         verificationStatus: 'Verified',
         source: 'AVS as of 2024-03-15',
       });
@@ -59,6 +60,7 @@ Balance as of 03/14/2024 - $500.00`;
         location: 'Credit Union',
         accountNumber: '5432',
         value: 500,
+        balanceDate: '2024-03-14',
         verificationStatus: 'Verified',
         source: 'AVS as of 2024-03-15',
       });
@@ -80,6 +82,7 @@ Balance as of 03/14/2024 - $100.00`;
         location: 'Bank Name',
         accountNumber: '1111',
         value: 100,
+        balanceDate: '2024-03-14',
         verificationStatus: 'Verified',
         source: 'AVS as of 2024-03-15',
       });
@@ -0,0 +1,79 @@
+/**
+ * Tests for the offline pending-changes buffer
+ */
+
+import PendingChangesBuffer, {
+  IndexedDBPendingStore,
+} from '../../src/services/nightingale.pendingchanges.js';
+
+function createMemoryStore() {
+  let record = null;
+  return {
+    get: jest.fn(async () => record),
+    put: jest.fn(async (next) => {
+      record = next;
+      return true;
+    }),
+    clear: jest.fn(async () => {
+      record = null;
+      return true;
+    }),
+    peek: () => record,
+  };
+}
+
+describe('PendingChangesBuffer', () => {
+  test('keeps the latest dataset and counts changes', async () => {
+    const store = createMemoryStore();
+    const buffer = new PendingChangesBuffer({ store });
+    const base = { lastModified: 1000, hash: 'abc', contents: '{}' };
+
+    await buffer.add({ cases: [{ id: 1 }] }, { base });
+    const summary = await buffer.add(
+      { cases: [{ id: 1 }, { id: 2 }] },
+      { base: { lastModified: 2000, hash: 'later', contents: '{"x":1}' } },
+    );
+
+    expect(summary.count).toBe(2);
+    const pending = await buffer.load();
+    expect(pending.data).toEqual({ cases: [{ id: 1 }, { id: 2 }] });
+    expect(pending.count).toBe(2);
+    // The base is the file the first change started from
+    expect(pending.base).toEqual(base);
+  });
+
+  test('restores the summary in a new session and clears', async () => {
+    const store = createMemoryStore();
+    await new PendingChangesBuffer({ store }).add({ people: [] });
+
+    const buffer = new PendingChangesBuffer({ store });
+    expect(buffer.getSummary()).toBeNull();
+    expect(await buffer.restore()).toEqual(
+      expect.objectContaining({ count: 1 }),
+    );
+
+    await buffer.clear();
+    expect(buffer.getSummary()).toBeNull();
+    expect(await buffer.load()).toBeNull();
+  });
+
+  test('seals the dataset with the codec', async () => {
+    const store = createMemoryStore();
+    const codec = {
+      encode: async (text) => `sealed:${text}`,
+      decode: async (text) => text.replace(/^sealed:/, ''),
+    };
+    const buffer = new PendingChangesBuffer({ store, codec });
+    await buffer.add({ cases: [{ id: 1, ssn: '123-45-6789' }] });
+
+    expect(store.peek().data.startsWith('sealed:')).toBe(true);
+    expect((await buffer.load()).data.cases[0].ssn).toBe('123-45-6789');
+  });
+
+  test('IndexedDB store resolves without IndexedDB', async () => {
+    const store = new IndexedDBPendingStore();
+    expect(store.isAvailable()).toBe(false);
+    expect(await store.get()).toBeNull();
+    expect(await store.put({ count: 1 })).toBe(false);
+  });
+});
@@ -189,6 +189,52 @@ describe('NightingalePlaceholders', () => {
       expect(result).toBe('Custom value: Custom Value');
     });
 
+    test('should list the missing required documents', () => {
+      const template = 'Please send:\n{MissingDocuments}';
+      const activeCase = {
+        ...mockActiveCase,
+        documentChecklist: {
+          caseType: 'LTC',
+          items: [
+            { id: 'a', name: 'Photo ID', required: true, status: 'pending' },
+            {
+              id: 'b',
+              name: 'Bank statements',
+              required: true,
+              status: 'received',
+            },
+            {
+              id: 'c',
+              name: 'Burial contract',
+              required: false,
+              status: 'pending',
+            },
+            {
+              id: 'd',
+              name: 'Proof of income',
+              required: true,
+              status: 'pending',
+            },
+          ],
+        },
+      };
+
+      expect(
+        NightingalePlaceholders.processPlaceholders(
+          template,
+          activeCase,
+          mockFullData,
+        ),
+      ).toBe('Please send:\n- Photo ID\n- Proof of income');
+      expect(
+        NightingalePlaceholders.processPlaceholders(
+          '{MissingDocuments}',
+          mockActiveCase,
+          mockFullData,
+        ),
+      ).toBe('');
+    });
+
     test('should leave unknown placeholders unchanged', () => {
       const template = 'Unknown: {UnknownPlaceholder}';
       const result = NightingalePlaceholders.processPlaceholders(
@@ -442,6 +488,20 @@ describe('NightingalePlaceholders', () => {
       ).toBe(0);
     });
 
+    test('should total income and expenses per month', () => {
+      const activeCase = {
+        financials: {
+          income: [
+            { amount: 1000, frequency: 'weekly' },
+            { amount: 250, frequency: 'one-time' },
+          ],
+          expenses: [{ amount: 2400, frequency: 'yearly' }],
+        },
+      };
+      expect(NightingalePlaceholders._getTotalIncome(activeCase)).toBe(4333.3);
+      expect(NightingalePlaceholders._getTotalExpenses(activeCase)).toBe(200);
+    });
+
     test('should handle invalid values in financial arrays', () => {
       const caseWithInvalidValues = {
         ...mockActiveCase,
@@ -0,0 +1,182 @@
+import {
+  activeRecords,
+  describeSoftDelete,
+  listDeleted,
+  markDeleted,
+  purgeDeleted,
+  purgeExpired,
+  restoreDeleted,
+  softDeleteRecord,
+} from '../../src/services/nightingale.recyclebin.js';
+
+const DELETED_AT = '2025-03-01T10:00:00.000Z';
+const DAY = 24 * 60 * 60 * 1000;
+
+const dataset = () => ({
+  people: [
+    { id: 'p1', name: 'Jane Doe', organizationId: 'o1' },
+    { id: 'p2', name: 'John Doe' },
+  ],
+  organizations: [{ id: 'o1', name: 'Helping Hands' }],
+  cases: [
+    {
+      id: 'c1',
+      mcn: '1001',
+      personId: 'p1',
+      organizationId: 'o1',
+      financials: {
+        resources: [{ id: 'f1', description: 'Checking', amount: 500 }],
+        income: [],
+        expenses: [],
+      },
+      notes: [{ id: 'n1', category: 'General', text: 'Called client' }],
+    },
+  ],
+  vrRequests: [
+    { id: 'vr1', caseId: 'c1' },
+    { id: 'vr2', caseId: 'c2' },
+  ],
+});
+
+const options = { actor: 'Ann', timestamp: DELETED_AT };
+
+describe('nightingale.recyclebin', () => {
+  test('soft delete marks the record and its cascaded records', () => {
+    const data = dataset();
+    const { data: next, impact } = softDeleteRecord(
+      data,
+      'cases',
+      'c1',
+      options,
+    );
+
+    expect(next.cases[0]).toMatchObject({
+      deletedAt: DELETED_AT,
+      deletedBy: 'Ann',
+    });
+    expect(next.cases[0].deletedWith).toBeUndefined();
+    expect(next.vrRequests[0]).toMatchObject({
+      deletedAt: DELETED_AT,
+      deletedWith: 'cases:c1',
+    });
+    expect(next.vrRequests[1].deletedAt).toBeUndefined();
+    expect(activeRecords(next.cases)).toEqual([]);
+    expect(describeSoftDelete(impact)).toBe(
+      'Case MCN 1001 moved to the Recycle Bin (with 1 related record)',
+    );
+    // Input is not mutated
+    expect(data.cases[0].deletedAt).toBeUndefined();
+  });
+
+  test('tasks of a case go to the Recycle Bin with it', () => {
+    const data = {
+      ...dataset(),
+      tasks: [
+        { id: 't1', title: 'Call client', caseId: 'c1', status: 'Open' },
+        { id: 't2', title: 'Unrelated', caseId: null, status: 'Open' },
+      ],
+    };
+    const { data: next } = softDeleteRecord(data, 'cases', 'c1', options);
+
+    expect(next.tasks[0]).toMatchObject({ deletedWith: 'cases:c1' });
+    expect(next.tasks[1].deletedAt).toBeUndefined();
+    const [entry] = listDeleted(next);
+    expect(entry).toMatchObject({ key: 'cases:c1', children: 2 });
+    expect(restoreDeleted(next, entry).tasks[0].deletedAt).toBeUndefined();
+  });
+
+  test('deny relationships still refuse the delete', () => {
+    expect(() => softDeleteRecord(dataset(), 'people', 'p1')).toThrow(
+      expect.objectContaining({ name: 'IntegrityError' }),
+    );
+  });
+
+  test('references are kept until the record is purged', () => {
+    const { data } = softDeleteRecord(
+      dataset(),
+      'organizations',
+      'o1',
+      options,
+    );
+    expect(data.people[0].organizationId).toBe('o1');
+    expect(data.cases[0].organizationId).toBe('o1');
+
+    const [entry] = listDeleted(data);
+    const purged = purgeDeleted(data, entry);
+    expect(purged.organizations).toEqual([]);
+    expect(purged.people[0].organizationId).toBeNull();
+    expect(purged.cases[0].organizationId).toBeNull();
+  });
+
+  test('lists deleted records with their children and nested items', () => {
+    let { data } = softDeleteRecord(dataset(), 'people', 'p2', options);
+    data = {
+      ...data,
+      cases: data.cases.map((c) => ({
+        ...c,
+        notes: c.notes.map((n) =>
+          markDeleted(n, { actor: 'Bob', timestamp: '2025-03-02T00:00:00Z' }),
+        ),
+      })),
+    };
+    const deletedCase = softDeleteRecord(data, 'cases', 'c1', {
+      timestamp: '2025-03-03T00:00:00Z',
+    }).data;
+
+    expect(listDeleted(deletedCase).map((e) => [e.key, e.children])).toEqual([
+      ['cases:c1', 1],
+      ['cases:c1:notes:n1', 0],
+      ['people:p2', 0],
+    ]);
+    expect(listDeleted(deletedCase)[1]).toMatchObject({
+      collection: 'notes',
+      caseId: 'c1',
+      label: 'General: Called client',
+      parentLabel: 'Case MCN 1001',
+      deletedBy: 'Bob',
+    });
+  });
+
+  test('restore clears the flags of the record and its children', () => {
+    const { data } = softDeleteRecord(dataset(), 'cases', 'c1', options);
+    const restored = restoreDeleted(data, listDeleted(data)[0]);
+
+    expect(restored.cases[0].deletedAt).toBeUndefined();
+    expect(restored.vrRequests[0]).toEqual({ id: 'vr1', caseId: 'c1' });
+    expect(listDeleted(restored)).toEqual([]);
+  });
+
+  test('nested items are restored and purged within their case', () => {
+    const data = dataset();
+    data.cases[0].financials.resources[0] = markDeleted(
+      data.cases[0].financials.resources[0],
+      options,
+    );
+    const [entry] = listDeleted(data);
+    expect(entry).toMatchObject({
+      collection: 'financialItems',
+      list: 'resources',
+    });
+
+    expect(
+      restoreDeleted(data, entry).cases[0].financials.resources[0].deletedAt,
+    ).toBeUndefined();
+    expect(purgeDeleted(data, entry).cases[0].financials.resources).toEqual([]);
+  });
+
+  test('purgeExpired removes entries older than the retention period', () => {
+    let { data } = softDeleteRecord(dataset(), 'people', 'p2', options);
+    data = softDeleteRecord(data, 'organizations', 'o1', {
+      timestamp: new Date(Date.parse(DELETED_AT) + 20 * DAY).toISOString(),
+    }).data;
+
+    const now = Date.parse(DELETED_AT) + 31 * DAY;
+    const result = purgeExpired(data, 30, now);
+
+    expect(result.purged.map((e) => e.key)).toEqual(['people:p2']);
+    expect(result.data.people.map((p) => p.id)).toEqual(['p1']);
+    expect(listDeleted(result.data).map((e) => e.key)).toEqual([
+      'organizations:o1',
+    ]);
+  });
+});
@@ -0,0 +1,201 @@
+import {
+  applyRenewalCycle,
+  certificationMonths,
+  completeRenewal,
+  createCertificationPeriod,
+  currentCertification,
+  ensureCertification,
+  itemsToReverify,
+  markReverified,
+  renewalStatus,
+  startRenewal,
+  upcomingRenewals,
+} from '../../src/services/nightingale.renewals.js';
+import {
+  getRenewalSettings,
+  setRenewalSettings,
+} from '../../src/services/settings.js';
+
+const approvedCase = (fields = {}) => ({
+  id: 'c1',
+  mcn: '100',
+  caseType: 'LTC',
+  status: 'Approved',
+  approvedDate: '2025-01-15T10:00:00.000Z',
+  financials: {
+    resources: [{ id: 'r1', description: 'Checking', amount: 100 }],
+    income: [{ id: 'i1', description: 'Pension', amount: 900 }],
+    expenses: [],
+  },
+  ...fields,
+});
+
+const certified = (fields = {}) => ensureCertification(approvedCase(fields));
+
+describe('nightingale.renewals', () => {
+  beforeEach(() => localStorage.clear());
+
+  test('period lengths come from settings per case type', () => {
+    expect(getRenewalSettings()).toMatchObject({
+      defaultMonths: 12,
+      leadDays: 60,
+    });
+    setRenewalSettings({ byCaseType: { LTC: 6 }, defaultMonths: 24 });
+    expect(certificationMonths('LTC')).toBe(6);
+    expect(certificationMonths('Other')).toBe(24);
+    expect(getRenewalSettings().leadDays).toBe(60);
+  });
+
+  test('a period ends the day before the same date months later', () => {
+    expect(createCertificationPeriod('2025-01-15', 12)).toMatchObject({
+      start: '2025-01-15',
+      end: '2026-01-14',
+    });
+  });
+
+  test('certifies an approved case from its approval date', () => {
+    const caseItem = certified();
+    expect(currentCertification(caseItem)).toMatchObject({
+      start: '2025-01-15',
+      end: '2026-01-14',
+    });
+    expect(ensureCertification(caseItem)).toBe(caseItem);
+    const pending = { id: 'c2', status: 'Pending' };
+    expect(ensureCertification(pending)).toBe(pending);
+    expect(renewalStatus(pending)).toBeNull();
+  });
+
+  test('a renewal is due once the lead time is reached', () => {
+    const caseItem = certified();
+    expect(renewalStatus(caseItem, { today: '2025-11-14' })).toMatchObject({
+      dueDate: '2026-01-14',
+      startDate: '2025-11-15',
+      daysLeft: 61,
+      due: false,
+    });
+    expect(renewalStatus(caseItem, { today: '2025-11-15' }).due).toBe(true);
+  });
+
+  test('starting a renewal adds a checklist, tasks and re-verification flags', () => {
+    const data = { cases: [certified()], tasks: [] };
+    const { data: next, renewal } = startRenewal(data, 'c1', {
+      today: '2025-11-20',
+      actor: 'Avery',
+    });
+
+    expect(renewal).toMatchObject({
+      dueDate: '2026-01-14',
+      startedDate: '2025-11-20',
+      completedDate: null,
+    });
+    const caseItem = next.cases[0];
+    expect(caseItem.documentChecklist.items.length).toBeGreaterThan(0);
+    expect(itemsToReverify(caseItem).map((item) => item.id)).toEqual([
+      'r1',
+      'i1',
+    ]);
+    expect(next.tasks.map((task) => [task.title, task.dueDate])).toEqual([
+      ['Send renewal packet: Case MCN 100', '2025-11-20'],
+      ['Renewal due: Case MCN 100', '2026-01-14'],
+    ]);
+    expect(data.cases[0].renewals).toBeUndefined();
+    expect(() => startRenewal(next, 'c1')).toThrow(
+      'Case MCN 100 already has a renewal in progress',
+    );
+  });
+
+  test('rejects a renewal for an uncertified case', () => {
+    const data = { cases: [{ id: 'c2', status: 'Pending' }] };
+    expect(() => startRenewal(data, 'c2')).toThrow(
+      expect.objectContaining({ name: 'RenewalError' }),
+    );
+  });
+
+  test('marks single financial items re-verified', () => {
+    const { data } = startRenewal({ cases: [certified()] }, 'c1', {
+      today: '2025-11-20',
+    });
+    const caseItem = markReverified(data.cases[0], 'r1');
+    expect(itemsToReverify(caseItem).map((item) => item.id)).toEqual(['i1']);
+  });
+
+  test('renewing starts the next period and closes the tasks', () => {
+    const { data } = startRenewal({ cases: [certified()], tasks: [] }, 'c1', {
+      today: '2025-11-20',
+    });
+    const next = completeRenewal(data, 'c1', {
+      outcome: 'renewed',
+      today: '2025-12-10',
+      actor: 'Avery',
+    });
+    const caseItem = next.cases[0];
+
+    expect(caseItem.renewals[0]).toMatchObject({
+      completedDate: '2025-12-10',
+      outcome: 'renewed',
+      completedBy: 'Avery',
+    });
+    expect(currentCertification(caseItem)).toMatchObject({
+      start: '2026-01-15',
+      end: '2027-01-14',
+    });
+    expect(itemsToReverify(caseItem)).toEqual([]);
+    expect(next.tasks.every((task) => task.status === 'Done')).toBe(true);
+  });
+
+  test('not renewing ends the cycle', () => {
+    const { data } = startRenewal({ cases: [certified()] }, 'c1', {
+      today: '2025-11-20',
+    });
+    const next = completeRenewal(data, 'c1', {
+      outcome: 'not-renewed',
+      today: '2025-12-10',
+    });
+    const status = renewalStatus(next.cases[0], { today: '2025-12-20' });
+    expect(status.completed.outcome).toBe('not-renewed');
+    expect(status.due).toBe(false);
+    expect(() => completeRenewal(next, 'c1')).toThrow(
+      'Case MCN 100 has no renewal in progress',
+    );
+  });
+
+  test('the cycle certifies approved cases and starts due renewals', () => {
+    const data = {
+      cases: [
+        approvedCase(),
+        approvedCase({ id: 'c2', approvedDate: '2025-06-01' }),
+        { id: 'c3', status: 'Denied', approvedDate: '2025-01-01' },
+        { id: 'c4', status: 'Pending' },
+      ],
+      tasks: [],
+    };
+    const result = applyRenewalCycle(data, { today: '2025-12-01' });
+
+    expect(result.certified).toEqual(['c1', 'c2']);
+    expect(result.started).toEqual(['c1']);
+    expect(result.data.cases[0].renewals).toHaveLength(1);
+    expect(result.data.cases[1].renewals).toBeUndefined();
+    expect(result.data.cases[2]).toBe(data.cases[2]);
+
+    const again = applyRenewalCycle(result.data, { today: '2025-12-02' });
+    expect(again.data).toBe(result.data);
+  });
+
+  test('lists renewals due this month and next month', () => {
+    const cases = [
+      certified(),
+      certified({ id: 'c2', mcn: '200', approvedDate: '2025-02-03' }),
+      certified({ id: 'c3', mcn: '300', approvedDate: '2025-03-10' }),
+      certified({ id: 'c4', mcn: '400', approvedDate: '2024-12-01' }),
+    ];
+    const groups = upcomingRenewals(cases, { today: '2026-01-05' });
+
+    expect(groups.overdue.map((entry) => entry.caseItem.id)).toEqual(['c4']);
+    expect(groups.thisMonth).toEqual([
+      expect.objectContaining({ dueDate: '2026-01-14', daysLeft: 9 }),
+    ]);
+    expect(groups.nextMonth.map((entry) => entry.dueDate)).toEqual([
+      '2026-02-02',
+    ]);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Tests for the sharded storage layout (split/join, dirty tracking, converters)
+ */
+
+import {
+  SHARDED_FORMAT,
+  SHARD_PREFIX,
+  isShardManifest,
+  caseBucket,
+  splitIntoShards,
+  joinShards,
+  planShardWrite,
+  staleShardFiles,
+  toShardedLayout,
+  fromShardedLayout,
+} from '../../src/services/nightingale.shards.js';
+
+function dataset(caseCount = 20) {
+  return {
+    cases: Array.from({ length: caseCount }, (_, i) => ({
+      id: `case-${i}`,
+      notes: [{ id: i, text: `note ${i}` }],
+    })),
+    people: [{ id: 'p1', name: 'Ada' }],
+    organizations: [{ id: 'o1', name: 'Clinic' }],
+    vrTemplates: [{ id: 't1' }],
+    vrCategories: ['Income'],
+    vrRequests: [],
+    nextCaseId: caseCount + 1,
+    showAllCases: false,
+  };
+}
+
+describe('sharded layout', () => {
+  test('splits collections, templates and case buckets; the rest goes to core', () => {
+    const { shards, caseOrder } = splitIntoShards(dataset(), {
+      bucketCount: 4,
+    });
+
+    expect(shards.core).toEqual({ nextCaseId: 21, showAllCases: false });
+    expect(shards.people).toEqual({ people: [{ id: 'p1', name: 'Ada' }] });
+    expect(shards.templates).toEqual({
+      vrTemplates: [{ id: 't1' }],
+      vrCategories: ['Income'],
+    });
+    const buckets = Object.keys(shards).filter((k) => k.startsWith('cases-'));
+    expect(buckets.length).toBeGreaterThan(1);
+    expect(buckets.flatMap((k) => shards[k])).toHaveLength(20);
+    expect(caseOrder[0]).toBe('case-0');
+  });
+
+  test('buckets are stable per case id', () => {
+    expect(caseBucket('case-7', 16)).toBe(caseBucket('case-7', 16));
+    expect(caseBucket('case-7', 16)).toBeLessThan(16);
+  });
+
+  test('joining restores the same dataset, including case order', () => {
+    const data = dataset();
+    const { shards, caseOrder } = splitIntoShards(data, { bucketCount: 4 });
+    expect(joinShards({ caseOrder }, shards)).toEqual(data);
+    expect(joinShards({ caseOrder }, shards).cases.map((c) => c.id)).toEqual(
+      data.cases.map((c) => c.id),
+    );
+  });
+
+  test('keeps a non-array cases value in core', () => {
+    const { shards, caseOrder } = splitIntoShards({ cases: null, a: 1 });
+    expect(shards.core).toEqual({ cases: null, a: 1 });
+    expect(caseOrder).toBeNull();
+  });
+
+  test('only shards with replaced records are written', () => {
+    const data = dataset();
+    const first = planShardWrite(data, null, { bucketCount: 4 });
+    expect(isShardManifest(first.manifest)).toBe(true);
+    expect(first.writes).toHaveLength(
+      Object.keys(first.manifest.shards).length,
+    );
+
+    const cases = data.cases.slice();
+    cases[3] = { ...cases[3], notes: [] };
+    const second = planShardWrite({ ...data, cases }, first.state);
+
+    const bucket = `cases-${String(caseBucket('case-3', 4)).padStart(2, '0')}`;
+    expect(second.writes.map((w) => w.key)).toEqual([bucket]);
+    expect(second.manifest.shards[bucket]).not.toBe(
+      first.manifest.shards[bucket],
+    );
+    expect(second.manifest.shards.people).toBe(first.manifest.shards.people);
+  });
+
+  test('a shard rebuilt with equal content is not rewritten', () => {
+    const data = dataset();
+    const first = planShardWrite(data, null);
+    const copy = JSON.parse(JSON.stringify(data));
+    expect(planShardWrite(copy, first.state).writes).toEqual([]);
+  });
+
+  test('lists shard files the manifest no longer references', () => {
+    const manifest = { shards: { core: `${SHARD_PREFIX}core-2.json` } };
+    expect(
+      staleShardFiles(
+        [
+          `${SHARD_PREFIX}core-1.json`,
+          `${SHARD_PREFIX}core-2.json`,
+          'nightingale-data.backup-2024.json',
+        ],
+        manifest,
+      ),
+    ).toEqual([`${SHARD_PREFIX}core-1.json`]);
+  });
+
+  test('converts to the sharded layout and back', () => {
+    const data = dataset(50);
+    const { manifest, files } = toShardedLayout(data, { bucketCount: 8 });
+
+    expect(manifest).toEqual(
+      expect.objectContaining({ format: SHARDED_FORMAT, bucketCount: 8 }),
+    );
+    Object.keys(files).forEach((name) =>
+      expect(name.startsWith(SHARD_PREFIX)).toBe(true),
+    );
+    expect(fromShardedLayout(manifest, files)).toEqual(data);
+  });
+
+  test('a missing shard file fails with ShardError', () => {
+    const { manifest } = toShardedLayout(dataset());
+    expect(() => fromShardedLayout(manifest, {})).toThrow(
+      expect.objectContaining({ name: 'ShardError' }),
+    );
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * Tests for the sync server storage adapter (ETag / If-Match concurrency)
+ */
+
+import HttpStorageAdapter from '../../src/services/nightingale.storage.http.js';
+import AutosaveFileService from '../../src/services/nightingale.autosavefile.js';
+import { setSyncServerUrl } from '../../src/services/settings.js';
+
+/** In-memory stand-in for scripts/sync-server.js */
+function createFakeServer(files = {}) {
+  const disk = new Map();
+  let clock = 1000;
+  let version = 0;
+  const put = (name, contents) =>
+    disk.set(name, {
+      contents,
+      etag: `"v${++version}"`,
+      lastModified: ++clock,
+    });
+  Object.entries(files).forEach(([name, contents]) => put(name, contents));
+
+  const reply = (status, body = null, headers = {}) => ({
+    status,
+    ok: status >= 200 && status < 300,
+    headers: { get: (key) => headers[key] ?? null },
+    text: async () => body,
+    json: async () => JSON.parse(body),
+  });
+  const fileHeaders = (file) => ({
+    ETag: file.etag,
+    'X-Last-Modified': String(file.lastModified),
+    'Content-Length': String(file.contents.length),
+  });
+
+  const fetchFn = jest.fn(async (url, { method, headers = {}, body }) => {
+    const { pathname, searchParams } = new URL(url);
+    if (pathname === '/api/health') return reply(200, '{"ok":true}');
+    if (pathname === '/api/files') {
+      const prefix = searchParams.get('prefix') || '';
+      const list = [...disk]
+        .filter(([name]) => name.startsWith(prefix))
+        .map(([name, f]) => ({
+          name,
+          size: f.contents.length,
+          lastModified: f.lastModified,
+        }));
+      return reply(200, JSON.stringify(list));
+    }
+    const name = decodeURIComponent(pathname.slice('/api/files/'.length));
+    const file = disk.get(name);
+    if (method === 'GET' || method === 'HEAD') {
+      return file
+        ? reply(200, method === 'GET' ? file.contents : null, fileHeaders(file))
+        : reply(404);
+    }
+    if (method === 'DELETE') {
+      return disk.delete(name) ? reply(204) : reply(404);
+    }
+    const ifMatch = headers['If-Match'];
+    if (method === 'PUT' && ifMatch && ifMatch !== file?.etag) {
+      return reply(412, '{"error":"Precondition failed"}');
+    }
+    put(name, method === 'POST' ? `${file?.contents || ''}${body}` : body);
+    const written = disk.get(name);
+    return reply(
+      200,
+      JSON.stringify({
+        etag: written.etag,
+        lastModified: written.lastModified,
+      }),
+    );
+  });
+
+  return { disk, put, fetchFn };
+}
+
+describe('HttpStorageAdapter', () => {
+  let server;
+  let adapter;
+
+  beforeEach(() => {
+    localStorage.clear();
+    server = createFakeServer({ 'nightingale-data.json': '{"cases":[]}' });
+    adapter = new HttpStorageAdapter({
+      baseUrl: 'http://localhost:8787/',
+      fetchFn: server.fetchFn,
+    });
+  });
+
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('reports prompt until the server answers', async () => {
+    expect(await adapter.permission()).toBe('prompt');
+    expect(await adapter.restore()).toEqual({
+      handle: null,
+      permission: 'granted',
+    });
+    expect(server.fetchFn).toHaveBeenCalledWith(
+      'http://localhost:8787/api/health',
+      expect.objectContaining({ method: 'GET' }),
+    );
+  });
+
+  test('an unreachable server is not connected', async () => {
+    const offline = new HttpStorageAdapter({
+      baseUrl: 'http://localhost:1',
+      fetchFn: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')),
+    });
+    expect(await offline.connect()).toBe(false);
+    expect(await offline.permission()).toBe('prompt');
+  });
+
+  test('writes send If-Match with the ETag last read', async () => {
+    await adapter.read();
+    await adapter.write('{"cases":[1]}');
+
+    const [, init] = server.fetchFn.mock.calls.at(-1);
+    expect(init.method).toBe('PUT');
+    expect(init.headers['If-Match']).toBe('"v1"');
+    expect(server.disk.get('nightingale-data.json').contents).toBe(
+      '{"cases":[1]}',
+    );
+  });
+
+  test('a stale write fails with ConflictError', async () => {
+    await adapter.read();
+    server.put('nightingale-data.json', '{"cases":["elsewhere"]}');
+
+    await expect(adapter.write('{"cases":[1]}')).rejects.toMatchObject({
+      name: 'ConflictError',
+      status: 412,
+    });
+    expect(server.disk.get('nightingale-data.json').contents).toBe(
+      '{"cases":["elsewhere"]}',
+    );
+  });
+
+  test('stat does not adopt the ETag of unseen contents', async () => {
+    await adapter.read();
+    server.put('nightingale-data.json', '{"cases":["elsewhere"]}');
+
+    expect(await adapter.stat('nightingale-data.json')).toEqual({
+      lastModified: 1002,
+      size: 23,
+    });
+    await expect(adapter.write('{}')).rejects.toMatchObject({
+      name: 'ConflictError',
+    });
+  });
+
+  test('lists, appends, reads and removes named files', async () => {
+    await adapter.writeNamed('nightingale-data.backup-1.json', '{}');
+    await adapter.append('journal.ndjson', 'a\n');
+    await adapter.append('journal.ndjson', 'b\n');
+
+    expect((await adapter.read('journal.ndjson')).contents).toBe('a\nb\n');
+    expect(
+      (await adapter.list('nightingale-data.backup-')).map((f) => f.name),
+    ).toEqual(['nightingale-data.backup-1.json']);
+    expect(await adapter.remove('journal.ndjson')).toBe(true);
+    expect(await adapter.remove('journal.ndjson')).toBe(false);
+    expect(await adapter.read('journal.ndjson')).toBeNull();
+  });
+
+  test('uses the sync server URL from settings by default', () => {
+    setSyncServerUrl('http://nas.local:9000/');
+    expect(new HttpStorageAdapter().baseUrl).toBe('http://nas.local:9000');
+  });
+});
+
+describe('AutosaveFileService with the sync server', () => {
+  let server;
+  let service;
+
+  beforeEach(async () => {
+    localStorage.clear();
+    server = createFakeServer({
+      'nightingale-data.json': JSON.stringify({
+        cases: [{ id: 'c1', status: 'Open', notes: '' }],
+      }),
+    });
+    service = new AutosaveFileService({
+      enabled: false,
+      multiTab: false,
+      journal: false,
+      adapter: new HttpStorageAdapter({
+        baseUrl: 'http://localhost:8787',
+        fetchFn: server.fetchFn,
+      }),
+    });
+    await service.restoreLastDirectoryAccess();
+    await service.readFile();
+  });
+
+  afterEach(() => {
+    service.destroy();
+    localStorage.clear();
+  });
+
+  function changeElsewhere() {
+    server.put(
+      'nightingale-data.json',
+      JSON.stringify({ cases: [{ id: 'c1', status: 'Closed', notes: '' }] }),
+    );
+    // Lose the race with the pre-write check so the server has to refuse
+    jest.spyOn(service.adapter, 'stat').mockResolvedValue(null);
+  }
+
+  test('a 412 opens the conflict flow instead of overwriting', async () => {
+    const statusCallback = jest.fn();
+    service.statusCallback = statusCallback;
+    changeElsewhere();
+
+    expect(
+      await service.writeFile({
+        cases: [{ id: 'c1', status: 'Open', notes: 'mine' }],
+      }),
+    ).toBe(false);
+
+    expect(service.getConflict()).not.toBeNull();
+    expect(statusCallback).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'conflict' }),
+    );
+    expect(
+      JSON.parse(server.disk.get('nightingale-data.json').contents).cases[0]
+        .status,
+    ).toBe('Closed');
+  });
+
+  test('writeFileMerging merges with the newer file and saves', async () => {
+    changeElsewhere();
+
+    const result = await service.writeFileMerging({
+      cases: [{ id: 'c1', status: 'Open', notes: 'mine' }],
+    });
+
+    expect(result).toEqual({
+      written: true,
+      data: { cases: [{ id: 'c1', status: 'Closed', notes: 'mine' }] },
+      conflicts: [],
+    });
+    expect(
+      JSON.parse(server.disk.get('nightingale-data.json').contents),
+    ).toEqual(result.data);
+    expect(service.getConflict()).toBeNull();
+  });
+});
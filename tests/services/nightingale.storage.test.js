@@ -0,0 +1,397 @@
+/**
+ * Tests for storage adapters (memory, directory, IndexedDB) and adapter selection
+ */
+
+import {
+  STORAGE_ADAPTERS,
+  listStorageAdapters,
+  detectStorageAdapterKind,
+  createStorageAdapter,
+} from '../../src/services/nightingale.storage.js';
+import MemoryStorageAdapter from '../../src/services/nightingale.storage.memory.js';
+import IndexedDBStorageAdapter from '../../src/services/nightingale.storage.indexeddb.js';
+import HttpStorageAdapter from '../../src/services/nightingale.storage.http.js';
+import {
+  FileSystemAccessAdapter,
+  OPFSAdapter,
+} from '../../src/services/nightingale.storage.directory.js';
+import { setStorageAdapter } from '../../src/services/settings.js';
+
+/** In-memory directory handle supporting positional writes */
+function createDirectory(files = {}) {
+  const disk = new Map(Object.entries(files));
+  let clock = 1000;
+  const stamps = new Map();
+  const fileHandleFor = (name) => ({
+    kind: 'file',
+    name,
+    getFile: async () => ({
+      size: disk.get(name).length,
+      lastModified: stamps.get(name) || 1000,
+      text: async () => disk.get(name),
+    }),
+    createWritable: async ({ keepExistingData = false } = {}) => {
+      let pending = keepExistingData ? disk.get(name) : '';
+      return {
+        write: async (chunk) => {
+          if (typeof chunk === 'string') pending += chunk;
+          else pending = pending.slice(0, chunk.position) + chunk.data;
+        },
+        close: async () => {
+          disk.set(name, pending);
+          stamps.set(name, ++clock);
+        },
+      };
+    },
+  });
+  const handle = {
+    getFileHandle: jest.fn(async (name, opts = {}) => {
+      if (!disk.has(name)) {
+        if (!opts.create) {
+          const err = new Error('not found');
+          err.name = 'NotFoundError';
+          throw err;
+        }
+        disk.set(name, '');
+      }
+      return fileHandleFor(name);
+    }),
+    removeEntry: jest.fn(async (name) => {
+      disk.delete(name);
+    }),
+    values: async function* values() {
+      for (const name of [...disk.keys()]) yield fileHandleFor(name);
+    },
+  };
+  return { disk, handle };
+}
+
+/** In-memory nested folder handle for binary files */
+function createFolder(name = '') {
+  const entries = new Map();
+  const notFound = () => {
+    const err = new Error('not found');
+    err.name = 'NotFoundError';
+    return err;
+  };
+  return {
+    kind: 'directory',
+    name,
+    entries,
+    getDirectoryHandle: async (child, { create = false } = {}) => {
+      if (!entries.has(child)) {
+        if (!create) throw notFound();
+        entries.set(child, createFolder(child));
+      }
+      return entries.get(child);
+    },
+    getFileHandle: async (child, { create = false } = {}) => {
+      if (!entries.has(child)) {
+        if (!create) throw notFound();
+        entries.set(child, {
+          kind: 'file',
+          name: child,
+          blob: new Blob([]),
+          getFile: async function getFile() {
+            return this.blob;
+          },
+          createWritable: async function createWritable() {
+            return {
+              write: async (blob) => {
+                this.blob = blob;
+              },
+              close: async () => {},
+            };
+          },
+        });
+      }
+      return entries.get(child);
+    },
+    removeEntry: async (child) => {
+      if (!entries.delete(child)) throw notFound();
+    },
+    values: async function* values() {
+      yield* entries.values();
+    },
+  };
+}
+
+/** Binary-file contract of adapters with `supportsBlobs` */
+async function expectBlobContract(adapter) {
+  expect(adapter.supportsBlobs).toBe(true);
+  expect(await adapter.readBlob('attachments/c1/a.txt')).toBeNull();
+
+  const blob = new Blob(['hello'], { type: 'text/plain' });
+  await adapter.writeBlob('attachments/c1/a.txt', blob);
+  await adapter.writeBlob('attachments/c2/b.txt', new Blob(['b']));
+  expect(await adapter.readBlob('attachments/c1/a.txt')).toBe(blob);
+
+  const paths = (await adapter.listBlobs('attachments'))
+    .map((file) => file.path)
+    .sort();
+  expect(paths).toEqual(['attachments/c1/a.txt', 'attachments/c2/b.txt']);
+  expect(await adapter.listBlobs('missing')).toEqual([]);
+
+  expect(await adapter.removeBlob('attachments/c1/a.txt')).toBe(true);
+  expect(await adapter.removeBlob('attachments/c1/a.txt')).toBe(false);
+  await expect(adapter.readBlob('../secret')).rejects.toThrow(
+    'Invalid file path',
+  );
+}
+
+/** Minimal asynchronous IndexedDB stand-in for a single keyPath store */
+function createFakeIndexedDB() {
+  const stores = new Map();
+  const respond = (result) => {
+    const request = { result };
+    setTimeout(() => request.onsuccess?.(), 0);
+    return request;
+  };
+  const db = {
+    transaction: (name) => ({
+      objectStore: () => {
+        const rows = stores.get(name);
+        return {
+          get: (key) => respond(rows.get(key)),
+          getAll: () => respond([...rows.values()]),
+          put: (value) => {
+            rows.set(value.name, value);
+            return respond(value.name);
+          },
+          delete: (key) => {
+            rows.delete(key);
+            return respond(undefined);
+          },
+        };
+      },
+    }),
+  };
+  return {
+    open: jest.fn(() => {
+      const request = { result: db };
+      setTimeout(() => {
+        if (stores.size === 0) {
+          request.onupgradeneeded?.({
+            target: {
+              result: {
+                createObjectStore: (name) => stores.set(name, new Map()),
+              },
+            },
+          });
+        }
+        request.onsuccess?.();
+      }, 0);
+      return request;
+    }),
+  };
+}
+
+/** Contract every adapter implementation must satisfy */
+async function expectFileContract(adapter) {
+  expect(await adapter.read()).toBeNull();
+
+  const first = await adapter.write('{"cases":[]}');
+  expect(first.lastModified).toEqual(expect.any(Number));
+  expect(await adapter.read()).toEqual(
+    expect.objectContaining({ contents: '{"cases":[]}', size: 12 }),
+  );
+
+  const second = await adapter.write('{"cases":[1]}');
+  expect(second.lastModified).toBeGreaterThan(first.lastModified);
+  expect((await adapter.stat(adapter.fileName)).lastModified).toBe(
+    second.lastModified,
+  );
+
+  await adapter.writeNamed('backup-1.json', 'a');
+  await adapter.append('backup-1.json', 'b');
+  expect((await adapter.read('backup-1.json')).contents).toBe('ab');
+
+  const names = (await adapter.list('backup-')).map((f) => f.name);
+  expect(names).toEqual(['backup-1.json']);
+
+  expect(await adapter.remove('backup-1.json')).toBe(true);
+  expect(await adapter.read('backup-1.json')).toBeNull();
+}
+
+describe('MemoryStorageAdapter', () => {
+  test('implements the storage contract', async () => {
+    await expectFileContract(new MemoryStorageAdapter());
+  });
+
+  test('is always connected', async () => {
+    expect(await new MemoryStorageAdapter().status()).toEqual({
+      kind: 'memory',
+      label: MemoryStorageAdapter.label,
+      permission: 'granted',
+      connected: true,
+    });
+  });
+
+  test('stores binary files in folders', async () => {
+    await expectBlobContract(new MemoryStorageAdapter());
+  });
+
+  test('accepts initial files', async () => {
+    const adapter = new MemoryStorageAdapter({
+      files: { 'nightingale-data.json': '{}' },
+    });
+    expect((await adapter.read()).contents).toBe('{}');
+  });
+});
+
+describe('FileSystemAccessAdapter', () => {
+  test('implements the storage contract over a directory handle', async () => {
+    const adapter = new FileSystemAccessAdapter();
+    adapter.directoryHandle = createDirectory().handle;
+    await expectFileContract(adapter);
+  });
+
+  test('stores binary files in nested folders', async () => {
+    const adapter = new FileSystemAccessAdapter();
+    adapter.directoryHandle = createFolder();
+    await expectBlobContract(adapter);
+    expect([...adapter.directoryHandle.entries.keys()]).toEqual([
+      'attachments',
+    ]);
+  });
+
+  test('reports prompt without a handle and queries permission with one', async () => {
+    const adapter = new FileSystemAccessAdapter();
+    expect(await adapter.permission()).toBe('prompt');
+    expect(await adapter.requestPermission()).toBe(false);
+
+    adapter.directoryHandle = {
+      queryPermission: jest.fn(async () => 'denied'),
+    };
+    expect(await adapter.status()).toEqual(
+      expect.objectContaining({ kind: 'fsa', connected: false }),
+    );
+  });
+
+  test('append writes at the end of the existing file', async () => {
+    const dir = createDirectory({ 'log.ndjson': '1\n' });
+    const adapter = new FileSystemAccessAdapter();
+    adapter.directoryHandle = dir.handle;
+
+    await adapter.append('log.ndjson', '2\n');
+
+    expect(dir.disk.get('log.ndjson')).toBe('1\n2\n');
+  });
+});
+
+describe('OPFSAdapter', () => {
+  const originalStorage = navigator.storage;
+
+  afterEach(() => {
+    Object.defineProperty(navigator, 'storage', {
+      value: originalStorage,
+      configurable: true,
+    });
+  });
+
+  test('opens a nightingale sub-directory of the origin root', async () => {
+    const dir = createDirectory();
+    const getDirectoryHandle = jest.fn(async () => dir.handle);
+    Object.defineProperty(navigator, 'storage', {
+      value: { getDirectory: async () => ({ getDirectoryHandle }) },
+      configurable: true,
+    });
+    const adapter = new OPFSAdapter();
+
+    expect(adapter.isSupported()).toBe(true);
+    expect(await adapter.restore()).toEqual({
+      handle: dir.handle,
+      permission: 'granted',
+    });
+    expect(getDirectoryHandle).toHaveBeenCalledWith('nightingale', {
+      create: true,
+    });
+    await expectFileContract(adapter);
+  });
+});
+
+describe('IndexedDBStorageAdapter', () => {
+  const originalIndexedDB = global.indexedDB;
+
+  beforeEach(() => {
+    global.indexedDB = createFakeIndexedDB();
+  });
+
+  afterEach(() => {
+    global.indexedDB = originalIndexedDB;
+  });
+
+  test('implements the storage contract', async () => {
+    await expectFileContract(new IndexedDBStorageAdapter());
+  });
+
+  test('reuses one database connection', async () => {
+    const adapter = new IndexedDBStorageAdapter();
+    await adapter.write('{}');
+    await adapter.read();
+    expect(global.indexedDB.open).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('adapter selection', () => {
+  const originalIndexedDB = global.indexedDB;
+
+  afterEach(() => {
+    delete window.showDirectoryPicker;
+    global.indexedDB = originalIndexedDB;
+    localStorage.clear();
+  });
+
+  test('lists every adapter with support flags in preference order', () => {
+    delete global.indexedDB;
+    expect(listStorageAdapters()).toEqual([
+      { kind: 'fsa', label: FileSystemAccessAdapter.label, supported: false },
+      { kind: 'opfs', label: OPFSAdapter.label, supported: false },
+      {
+        kind: 'indexeddb',
+        label: IndexedDBStorageAdapter.label,
+        supported: false,
+      },
+      { kind: 'http', label: HttpStorageAdapter.label, supported: false },
+      { kind: 'memory', label: MemoryStorageAdapter.label, supported: true },
+    ]);
+  });
+
+  test('auto detection prefers File System Access, then falls back', () => {
+    delete global.indexedDB;
+    expect(detectStorageAdapterKind()).toBe('memory');
+
+    global.indexedDB = createFakeIndexedDB();
+    expect(detectStorageAdapterKind()).toBe('indexeddb');
+
+    window.showDirectoryPicker = jest.fn();
+    expect(detectStorageAdapterKind()).toBe('fsa');
+  });
+
+  test('an unsupported preference falls back to a supported adapter', () => {
+    global.indexedDB = createFakeIndexedDB();
+    expect(detectStorageAdapterKind('fsa')).toBe('indexeddb');
+    expect(detectStorageAdapterKind('memory')).toBe('memory');
+  });
+
+  test('createStorageAdapter resolves auto through the Settings choice', () => {
+    global.indexedDB = createFakeIndexedDB();
+    expect(createStorageAdapter().kind).toBe('indexeddb');
+
+    setStorageAdapter('memory');
+    expect(createStorageAdapter()).toBeInstanceOf(MemoryStorageAdapter);
+  });
+
+  test('createStorageAdapter honors explicit kinds and passes options', () => {
+    const adapter = createStorageAdapter('fsa', { fileName: 'custom.json' });
+    expect(adapter).toBeInstanceOf(STORAGE_ADAPTERS.fsa);
+    expect(adapter.fileName).toBe('custom.json');
+    expect(adapter.isSupported()).toBe(false);
+  });
+
+  test('createStorageAdapter rejects unknown kinds', () => {
+    expect(() => createStorageAdapter('ftp')).toThrow(
+      'Unknown storage adapter: ftp',
+    );
+  });
+});
@@ -0,0 +1,199 @@
+import {
+  addFinancialItem,
+  addNote,
+  createCase,
+  createDataStore,
+  denormalizeData,
+  normalizeData,
+  removeFinancialItem,
+  removeNote,
+  selectCase,
+  selectCases,
+  selectPeople,
+  storeReducer,
+  updateCase,
+  updateFinancialItem,
+  updatePerson,
+} from '../../src/services/nightingale.store.js';
+
+const dataset = () => ({
+  version: '1.2.0',
+  cases: [
+    {
+      id: 'c1',
+      mcn: '1001',
+      personId: 'p1',
+      financials: {
+        resources: [{ id: 'f1', description: 'Checking', amount: 500 }],
+        income: [],
+        expenses: [],
+      },
+      notes: [{ id: 'n1', text: 'Called client' }],
+    },
+    { id: 'c2', mcn: '1002', personId: 'p2' },
+  ],
+  people: [
+    { id: 'p1', name: 'Jane Doe' },
+    { id: 'p2', name: 'John Roe', deletedAt: '2025-03-01T10:00:00.000Z' },
+  ],
+  organizations: [],
+});
+
+describe('nightingale.store', () => {
+  test('round-trips a dataset and keeps key order and identity', () => {
+    const data = dataset();
+    const state = normalizeData(data);
+    const restored = denormalizeData(state);
+
+    expect(restored).toEqual(data);
+    expect(Object.keys(restored)).toEqual(Object.keys(data));
+    expect(restored.cases).toBe(data.cases);
+    expect(denormalizeData(state)).toBe(restored);
+    expect(state.entities.cases.byId.c1).toBe(data.cases[0]);
+  });
+
+  test('an edit replaces one record and keeps the others', () => {
+    const data = dataset();
+    const state = normalizeData(data);
+    const next = storeReducer(state, updateCase('c1', { status: 'Closed' }));
+    const nextData = denormalizeData(next);
+
+    expect(nextData.cases[0]).toMatchObject({ id: 'c1', status: 'Closed' });
+    expect(nextData.cases[1]).toBe(data.cases[1]);
+    expect(nextData.people).toBe(data.people);
+    expect(data.cases[0].status).toBeUndefined();
+  });
+
+  test('financial item and note actions edit lists inside the case', () => {
+    let state = normalizeData(dataset());
+    state = storeReducer(
+      state,
+      addFinancialItem('c1', 'income', { id: 'i1', amount: 900 }),
+    );
+    state = storeReducer(
+      state,
+      updateFinancialItem('c1', 'resources', 'f1', { amount: 650 }),
+    );
+    state = storeReducer(
+      state,
+      removeFinancialItem('c1', 'income', 'i1', { actor: 'Ann' }),
+    );
+    state = storeReducer(state, addNote('c1', { id: 'n2', text: 'Visit' }));
+    state = storeReducer(state, removeNote('c1', 'n1', { actor: 'Ann' }));
+
+    const caseItem = selectCase(state, 'c1');
+    expect(caseItem.financials.resources[0].amount).toBe(650);
+    expect(caseItem.financials.income[0]).toMatchObject({
+      id: 'i1',
+      deletedBy: 'Ann',
+    });
+    expect(caseItem.notes.map((n) => n.id)).toEqual(['n2', 'n1']);
+    expect(caseItem.notes[1].deletedAt).toEqual(expect.any(String));
+  });
+
+  test('creates records with generated ids and refuses duplicates', () => {
+    const state = storeReducer(
+      normalizeData(dataset()),
+      createCase({ mcn: '1003' }),
+    );
+    const created = denormalizeData(state).cases[2];
+    expect(created.id).toEqual(expect.any(String));
+    expect(selectCase(state, created.id)).toBe(created);
+
+    expect(() => storeReducer(state, createCase({ id: 'c1' }))).toThrow(
+      expect.objectContaining({ name: 'StoreError' }),
+    );
+  });
+
+  test('throws StoreError for missing records and unknown actions', () => {
+    const state = normalizeData(dataset());
+    expect(() => storeReducer(state, updatePerson('p9', {}))).toThrow(
+      'No people record with id p9',
+    );
+    expect(() =>
+      storeReducer(state, updateFinancialItem('c1', 'assets', 'f1', {})),
+    ).toThrow('Unknown financial group: assets');
+    expect(() => storeReducer(state, { type: 'cases/explode' })).toThrow(
+      expect.objectContaining({ name: 'StoreError' }),
+    );
+    expect(() => storeReducer(null, updateCase('c1', {}))).toThrow(
+      'No data loaded',
+    );
+  });
+
+  test('selectors are memoized and hide records in the Recycle Bin', () => {
+    const state = normalizeData(dataset());
+    expect(selectPeople(state).map((p) => p.id)).toEqual(['p1']);
+    expect(selectPeople(state)).toBe(selectPeople(state));
+
+    const next = storeReducer(state, updatePerson('p1', { phone: '555' }));
+    expect(selectCases(next)).toBe(selectCases(state));
+    expect(selectPeople(next)).not.toBe(selectPeople(state));
+  });
+
+  describe('createDataStore', () => {
+    test('dispatch notifies subscribers and the change feed', () => {
+      const store = createDataStore({ data: dataset() });
+      const listener = jest.fn();
+      const changes = jest.fn();
+      store.subscribe(listener);
+      store.subscribeChanges(changes);
+
+      const previous = store.getData();
+      const data = store.dispatch(
+        updateCase('c2', { status: 'Pending' }, { label: 'Set status' }),
+      );
+
+      expect(store.getData()).toBe(data);
+      expect(listener).toHaveBeenCalledWith(data);
+      expect(changes).toHaveBeenCalledWith(
+        expect.objectContaining({
+          previous,
+          data,
+          label: 'Set status',
+          source: 'manual',
+        }),
+      );
+    });
+
+    test('transforms run before the change is committed', () => {
+      const store = createDataStore({ data: dataset() });
+      const remove = store.use((previous, next, meta) => ({
+        ...next,
+        lastSource: meta.source,
+      }));
+
+      store.replaceData({ ...store.getData(), cases: [] }, { source: 'undo' });
+      expect(store.getData()).toMatchObject({ cases: [], lastSource: 'undo' });
+
+      remove();
+      store.dispatch(createCase({ id: 'c9' }));
+      expect(store.getData().lastSource).toBe('undo');
+    });
+
+    test('load replaces data without a change-feed entry', () => {
+      const store = createDataStore();
+      const listener = jest.fn();
+      const changes = jest.fn();
+      store.subscribe(listener);
+      store.subscribeChanges(changes);
+
+      const data = dataset();
+      store.load(data);
+
+      expect(store.getData()).toEqual(data);
+      expect(listener).toHaveBeenCalledTimes(1);
+      expect(changes).not.toHaveBeenCalled();
+    });
+
+    test('a no-op edit does not notify', () => {
+      const data = dataset();
+      const store = createDataStore({ data });
+      const listener = jest.fn();
+      store.subscribe(listener);
+
+      expect(store.replaceData(data)).toBe(data);
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * Tests for Nightingale Tab Coordinator
+ * Covers lease-based leader election and storage-event messaging fallbacks
+ */
+
+import TabCoordinator, {
+  TAB_MESSAGES,
+} from '../../src/services/nightingale.tabcoordinator.js';
+
+describe('TabCoordinator', () => {
+  let coordinators;
+
+  const create = (tabId) => {
+    const coordinator = new TabCoordinator({ tabId, heartbeatInterval: 100 });
+    coordinators.push(coordinator);
+    return coordinator;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    coordinators = [];
+    localStorage.clear();
+  });
+
+  afterEach(() => {
+    coordinators.forEach((c) => c.stop());
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    localStorage.clear();
+  });
+
+  test('first tab to start becomes leader, second follows', () => {
+    const first = create('tab-a');
+    const second = create('tab-b');
+
+    first.start();
+    second.start();
+
+    expect(first.isLeader()).toBe(true);
+    expect(second.isLeader()).toBe(false);
+  });
+
+  test('a tab started as a non-candidate leads only after joining the election', () => {
+    const reader = create('tab-a');
+    reader.start({ candidate: false });
+    jest.advanceTimersByTime(400);
+    expect(reader.isLeader()).toBe(false);
+
+    const writer = create('tab-b');
+    writer.start();
+    expect(writer.isLeader()).toBe(true);
+
+    writer.stop();
+    expect(reader.isLeader()).toBe(false);
+    reader.joinElection();
+    expect(reader.isLeader()).toBe(true);
+  });
+
+  test('follower takes over after the leader lease expires', () => {
+    const first = create('tab-a');
+    const second = create('tab-b');
+    first.start();
+    second.start();
+
+    // Simulate a crashed leader: stop heartbeats without releasing the lease
+    clearInterval(first.timers.heartbeat);
+    first.timers.heartbeat = null;
+
+    jest.advanceTimersByTime(400);
+
+    expect(second.isLeader()).toBe(true);
+  });
+
+  test('stopping the leader releases the lease for the next tab', () => {
+    const first = create('tab-a');
+    const second = create('tab-b');
+    first.start();
+    second.start();
+
+    first.stop();
+    expect(localStorage.getItem('nightingale:tabs:leader')).toBeNull();
+
+    second.renewLease();
+    expect(second.isLeader()).toBe(true);
+  });
+
+  test('notifies leadership listeners on change', () => {
+    const coordinator = create('tab-a');
+    const listener = jest.fn();
+    coordinator.onLeadershipChange(listener);
+
+    coordinator.start();
+
+    expect(listener).toHaveBeenCalledWith(true);
+  });
+
+  test('treats the tab as leader when storage cannot be read back', () => {
+    jest.spyOn(Storage.prototype, 'getItem').mockReturnValue(null);
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {});
+    const coordinator = create('tab-a');
+
+    coordinator.start();
+
+    expect(coordinator.isLeader()).toBe(true);
+  });
+
+  test('delivers storage-event messages from other tabs only', () => {
+    const coordinator = create('tab-a');
+    const listener = jest.fn();
+    coordinator.subscribe(listener);
+    coordinator.start();
+
+    const fromOther = {
+      type: TAB_MESSAGES.SAVED,
+      tabId: 'tab-b',
+      payload: { fileName: 'nightingale-data.json' },
+    };
+    coordinator.handleStorageEvent({
+      key: 'nightingale:tabs:message',
+      newValue: JSON.stringify(fromOther),
+    });
+    coordinator.handleStorageEvent({
+      key: 'nightingale:tabs:message',
+      newValue: JSON.stringify({ ...fromOther, tabId: 'tab-a' }),
+    });
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(expect.objectContaining(fromOther));
+  });
+
+  test('broadcast writes and clears the storage message key', () => {
+    const coordinator = create('tab-a');
+    coordinator.start();
+
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+    const sent = coordinator.broadcast(TAB_MESSAGES.SAVED, {
+      fileName: 'nightingale-data.json',
+    });
+
+    expect(sent).toBe(true);
+    const [, value] = setItem.mock.calls.find(
+      ([k]) => k === 'nightingale:tabs:message',
+    );
+    expect(JSON.parse(value)).toEqual(
+      expect.objectContaining({
+        type: TAB_MESSAGES.SAVED,
+        tabId: 'tab-a',
+        payload: { fileName: 'nightingale-data.json' },
+      }),
+    );
+    expect(localStorage.getItem('nightingale:tabs:message')).toBeNull();
+  });
+
+  test('the storage fallback signals data changes without the dataset', () => {
+    const coordinator = create('tab-a');
+    coordinator.start();
+    const setItem = jest.spyOn(Storage.prototype, 'setItem');
+
+    coordinator.broadcast(TAB_MESSAGES.DATA_CHANGED, {
+      data: { people: [{ id: 'p1', ssn: '123-45-6789' }] },
+    });
+
+    expect(coordinator.relaysData()).toBe(false);
+    const [, value] = setItem.mock.calls.find(
+      ([k]) => k === 'nightingale:tabs:message',
+    );
+    expect(value).not.toContain('123-45-6789');
+    expect(JSON.parse(value)).toEqual(
+      expect.objectContaining({
+        type: TAB_MESSAGES.DATA_CHANGED,
+        payload: {},
+      }),
+    );
+  });
+
+  test('broadcast reports failure when storage quota is exceeded', () => {
+    const coordinator = create('tab-a');
+    coordinator.start();
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    expect(coordinator.broadcast(TAB_MESSAGES.DATA_CHANGED, {})).toBe(false);
+  });
+
+  test('uses BroadcastChannel when available', () => {
+    const posted = [];
+    const close = jest.fn();
+    global.BroadcastChannel = jest.fn(() => ({
+      postMessage: (m) => posted.push(m),
+      close,
+      onmessage: null,
+    }));
+    try {
+      const coordinator = create('tab-a');
+      coordinator.start();
+      coordinator.broadcast(TAB_MESSAGES.SAVED, { fileName: 'x.json' });
+
+      expect(global.BroadcastChannel).toHaveBeenCalledWith('nightingale-cms');
+      expect(posted[0]).toEqual(
+        expect.objectContaining({ type: TAB_MESSAGES.SAVED, tabId: 'tab-a' }),
+      );
+
+      coordinator.stop();
+      expect(close).toHaveBeenCalled();
+    } finally {
+      delete global.BroadcastChannel;
+    }
+  });
+
+  test('uses Web Locks for election when available', async () => {
+    const request = jest.fn((name, cb) => Promise.resolve(cb()));
+    Object.defineProperty(navigator, 'locks', {
+      value: { request },
+      configurable: true,
+    });
+    try {
+      const coordinator = create('tab-a');
+      coordinator.start();
+      await Promise.resolve();
+
+      expect(request).toHaveBeenCalledWith(
+        'nightingale-cms:leader',
+        expect.any(Function),
+      );
+      expect(coordinator.isLeader()).toBe(true);
+      expect(coordinator.timers.heartbeat).toBeNull();
+    } finally {
+      delete navigator.locks;
+    }
+  });
+});
@@ -0,0 +1,208 @@
+import {
+  applyTaskRules,
+  caseTasks,
+  completeTask,
+  createTask,
+  describeDue,
+  groupTasksByDue,
+  nextDueDate,
+  tasksForWorker,
+} from '../../src/services/nightingale.tasks.js';
+
+const NOW = '2025-05-01T12:00:00.000Z';
+const TODAY = '2025-05-01';
+
+const task = (id, fields) => ({
+  id,
+  title: `Task ${id}`,
+  status: 'Open',
+  priority: 'Normal',
+  recurrence: 'none',
+  ...fields,
+});
+
+describe('nightingale.tasks', () => {
+  test('creates a task with defaults and refuses one without a title', () => {
+    expect(
+      createTask(
+        { title: ' Call client ', caseId: 7, dueDate: '2025-05-03' },
+        { actor: 'Ann', timestamp: NOW },
+      ),
+    ).toEqual({
+      id: expect.stringMatching(/^task/),
+      title: 'Call client',
+      caseId: '7',
+      dueDate: '2025-05-03',
+      priority: 'Normal',
+      assignee: '',
+      status: 'Open',
+      recurrence: 'none',
+      createdAt: NOW,
+      createdBy: 'Ann',
+    });
+    expect(() => createTask({ title: '  ' })).toThrow(
+      expect.objectContaining({ name: 'TaskError' }),
+    );
+    expect(() => createTask({ title: 'X', priority: 'Urgent' })).toThrow(
+      'Unknown task priority: Urgent',
+    );
+  });
+
+  test('groups open tasks as overdue, today and upcoming', () => {
+    const groups = groupTasksByDue(
+      [
+        task('a', { dueDate: '2025-05-04' }),
+        task('b', { dueDate: '2025-04-28' }),
+        task('c', { dueDate: TODAY, priority: 'Low' }),
+        task('d', { dueDate: TODAY, priority: 'High' }),
+        task('e', {}),
+        task('f', { dueDate: '2025-04-01', status: 'Done' }),
+        task('g', { dueDate: '2025-04-01', deletedAt: NOW }),
+      ],
+      { today: TODAY },
+    );
+    const ids = (list) => list.map((t) => t.id);
+
+    expect(ids(groups.overdue)).toEqual(['b']);
+    expect(ids(groups.today)).toEqual(['d', 'c']);
+    expect(ids(groups.upcoming)).toEqual(['a', 'e']);
+  });
+
+  test('describes when a task is due', () => {
+    expect(describeDue(task('a', { dueDate: '2025-04-29' }), TODAY)).toBe(
+      'Overdue by 2 days',
+    );
+    expect(describeDue(task('a', { dueDate: TODAY }), TODAY)).toBe('Due today');
+    expect(describeDue(task('a', { dueDate: '2025-05-02' }), TODAY)).toBe(
+      'Due in 1 day',
+    );
+    expect(describeDue(task('a', {}), TODAY)).toBe('No due date');
+  });
+
+  test('filters tasks for a worker and for a case', () => {
+    const tasks = [
+      task('a', { assignee: 'Ann', caseId: 'c1' }),
+      task('b', { assignee: 'Bob', caseId: 'c1' }),
+      task('c', { caseId: 'c2' }),
+      task('d', { caseId: 'c1', status: 'Cancelled' }),
+    ];
+    expect(tasksForWorker(tasks, 'ann').map((t) => t.id)).toEqual([
+      'a',
+      'c',
+      'd',
+    ]);
+    expect(tasksForWorker(tasks, '')).toHaveLength(4);
+    expect(caseTasks(tasks, 'c1').map((t) => t.id)).toEqual(['a', 'b']);
+  });
+
+  test('completing a recurring task schedules the next one', () => {
+    expect(nextDueDate('2025-01-31', 'monthly')).toBe('2025-02-28');
+    expect(nextDueDate('2025-05-01', 'none')).toBeNull();
+
+    const data = {
+      tasks: [
+        task('t1', {
+          caseId: 'c1',
+          dueDate: '2025-05-01',
+          recurrence: 'weekly',
+          assignee: 'Ann',
+        }),
+      ],
+    };
+    const result = completeTask(data, 't1', { actor: 'Ann', timestamp: NOW });
+
+    expect(result.task).toMatchObject({
+      status: 'Done',
+      completedAt: NOW,
+      completedBy: 'Ann',
+    });
+    expect(result.next).toMatchObject({
+      title: 'Task t1',
+      caseId: 'c1',
+      dueDate: '2025-05-08',
+      assignee: 'Ann',
+      recurrence: 'weekly',
+      status: 'Open',
+      source: { recurrenceOf: 't1' },
+    });
+    expect(result.data.tasks).toHaveLength(2);
+    expect(data.tasks[0].status).toBe('Open');
+    expect(() => completeTask(data, 'nope')).toThrow('No task with id nope');
+  });
+
+  test('adds a follow-up task for each new VR request only once', () => {
+    const previous = {
+      vrRequests: [{ id: 1, caseId: 'c1', title: 'Old' }],
+      tasks: [],
+    };
+    const next = {
+      ...previous,
+      vrRequests: [
+        ...previous.vrRequests,
+        { id: 2, caseId: 'c1', title: 'Bank statements' },
+      ],
+    };
+    const withTasks = applyTaskRules(previous, next, {
+      actor: 'Ann',
+      timestamp: NOW,
+    });
+
+    expect(withTasks.tasks).toEqual([
+      expect.objectContaining({
+        title: 'VR due back: Bank statements',
+        caseId: 'c1',
+        dueDate: '2025-05-11',
+        createdBy: 'Ann',
+        source: { rule: 'vr-follow-up', collection: 'vrRequests', id: '2' },
+      }),
+    ]);
+    // Running the rules again, or on an unrelated change, adds nothing
+    expect(applyTaskRules(previous, withTasks)).toBe(withTasks);
+    expect(applyTaskRules(withTasks, { ...withTasks, people: [] })).toEqual({
+      ...withTasks,
+      people: [],
+    });
+  });
+
+  test('adds a follow-up task for a VR request from the Correspondence page', () => {
+    const previous = { vrRequests: [], nextVrRequestId: 8 };
+    const next = {
+      ...previous,
+      nextVrRequestId: 9,
+      vrRequests: [
+        {
+          id: 8,
+          caseId: 'c1',
+          mcn: '1001',
+          clientName: 'Ann Smith',
+          status: 'Pending',
+          financialItemIds: [],
+        },
+      ],
+    };
+
+    const withTasks = applyTaskRules(previous, next, { timestamp: NOW });
+
+    expect(withTasks.tasks).toEqual([
+      expect.objectContaining({
+        title: 'VR due back: Ann Smith',
+        caseId: 'c1',
+        source: { rule: 'vr-follow-up', collection: 'vrRequests', id: '8' },
+      }),
+    ]);
+  });
+
+  test('restored and deleted VR requests do not get a task', () => {
+    const deleted = { id: 1, caseId: 'c1', deletedAt: NOW };
+    const restored = applyTaskRules(
+      { vrRequests: [deleted] },
+      { vrRequests: [{ id: 1, caseId: 'c1' }] },
+    );
+    expect(restored.tasks).toBeUndefined();
+    const created = applyTaskRules(
+      { vrRequests: [] },
+      { vrRequests: [deleted] },
+    );
+    expect(created.tasks).toBeUndefined();
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Tests for the dataset schema and path-precise validator
+ */
+
+import {
+  validateDataset,
+  validateAgainstSchema,
+  describeValidation,
+  childPath,
+} from '../../src/services/nightingale.validator.js';
+import {
+  DATASET_SCHEMA,
+  DATASET_SCHEMA_VERSION,
+} from '../../src/services/nightingale.schema.js';
+
+function validData() {
+  return {
+    metadata: { schemaVersion: '2024.1', version: '1.0.0' },
+    cases: [
+      {
+        id: 'case-1',
+        mcn: '12345',
+        personId: 'person-1',
+        status: 'Pending',
+        caseType: 'LTC',
+        financials: {
+          resources: [
+            {
+              id: 'fin-1',
+              description: 'Checking',
+              amount: 100,
+              frequency: 'monthly',
+              verificationStatus: 'Verified',
+            },
+          ],
+          income: [],
+          expenses: [],
+        },
+        notes: [{ id: 1, text: 'Called client', category: 'Contact' }],
+      },
+    ],
+    people: [{ id: 'person-1', name: 'Jane Doe' }],
+    organizations: [{ id: 'org-1', name: 'Regional Health' }],
+    vrTemplates: [{ id: 1, name: 'Bank VR', content: 'Dear {Name}' }],
+    vrRequests: [{ id: 1, caseId: 'case-1', status: 'Draft' }],
+    reportConfigs: [{ id: 'report-1', name: 'Monthly' }],
+    nextCaseId: 2,
+  };
+}
+
+describe('validateDataset', () => {
+  test('accepts a well-formed dataset', () => {
+    const report = validateDataset(validData());
+    expect(report).toEqual(
+      expect.objectContaining({
+        valid: true,
+        schemaVersion: DATASET_SCHEMA_VERSION,
+        summary: { errors: 0, warnings: 0 },
+        issues: [],
+      }),
+    );
+  });
+
+  test('reports errors with exact JSON paths', () => {
+    const data = validData();
+    data.cases[0].financials.resources[0].amount = '100';
+    delete data.cases[0].personId;
+    data.people.push({ id: 'person-2', name: '' });
+
+    const report = validateDataset(data);
+
+    expect(report.valid).toBe(false);
+    expect(report.issues).toEqual(
+      expect.arrayContaining([
+        expect.objectContaining({
+          path: '$.cases[0].financials.resources[0].amount',
+          severity: 'error',
+          keyword: 'type',
+        }),
+        expect.objectContaining({
+          path: '$.cases[0].personId',
+          keyword: 'required',
+        }),
+        expect.objectContaining({
+          path: '$.people[1].name',
+          keyword: 'minLength',
+        }),
+      ]),
+    );
+  });
+
+  test('flags placeholders, unknown values and duplicate ids as warnings or errors', () => {
+    const data = validData();
+    data.people.push({ id: 'person-1', name: 'Unknown Person' });
+    data.cases[0].livingArrangement = 'Not specified';
+    data.cases[0].financials.resources[0].frequency = 'fortnightly';
+
+    const { issues, summary } = validateDataset(data);
+
+    const byPath = Object.fromEntries(issues.map((i) => [i.path, i]));
+    expect(byPath['$.people[1].id']).toEqual(
+      expect.objectContaining({ keyword: 'x-uniqueIds', severity: 'error' }),
+    );
+    expect(byPath['$.people[1].id'].message).toContain('$.people[0]');
+    expect(byPath['$.people[1].name'].severity).toBe('warning');
+    expect(byPath['$.cases[0].livingArrangement'].keyword).toBe(
+      'x-placeholder',
+    );
+    expect(
+      byPath['$.cases[0].financials.resources[0].frequency'].severity,
+    ).toBe('warning');
+    expect(summary).toEqual({ errors: 1, warnings: 3 });
+    // Errors are listed first
+    expect(issues[0].severity).toBe('error');
+  });
+
+  test('rejects non-object datasets', () => {
+    expect(validateDataset(null).issues).toEqual([
+      expect.objectContaining({ path: '$', severity: 'error' }),
+    ]);
+  });
+
+  test('describes reports', () => {
+    expect(describeValidation(null)).toBe('Not validated');
+    expect(describeValidation(validateDataset(validData()))).toBe('No issues');
+    expect(describeValidation({ summary: { errors: 1, warnings: 2 } })).toBe(
+      '1 error, 2 warnings',
+    );
+  });
+});
+
+describe('validateAgainstSchema', () => {
+  test('quotes keys that are not identifiers', () => {
+    expect(childPath('$', 'cases')).toBe('$.cases');
+    expect(childPath('$', 'odd key')).toBe('$["odd key"]');
+    expect(childPath('$.cases', 2)).toBe('$.cases[2]');
+  });
+
+  test('supports additionalProperties and anyOf', () => {
+    const schema = {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        value: { anyOf: [{ type: 'string' }, { type: 'integer', minimum: 0 }] },
+      },
+    };
+    expect(validateAgainstSchema({ value: 3 }, schema)).toEqual([]);
+    expect(
+      validateAgainstSchema({ value: -1, extra: true }, schema).map(
+        (i) => `${i.path} ${i.keyword}`,
+      ),
+    ).toEqual(['$.value anyOf', '$.extra additionalProperties']);
+  });
+
+  test('every $ref in the dataset schema resolves', () => {
+    expect(() => validateDataset(validData())).not.toThrow();
+    const refs = JSON.stringify(DATASET_SCHEMA).match(/#\/\$defs\/\w+/g);
+    refs.forEach((ref) =>
+      expect(DATASET_SCHEMA.$defs[ref.split('/').pop()]).toBeDefined(),
+    );
+  });
+});
@@ -0,0 +1,129 @@
+import {
+  DEFAULT_CASE_WORKFLOW,
+  applyInitialStatus,
+  applyStatusChange,
+  currentCaseWorkflow,
+  isActiveStatus,
+  nextStatuses,
+  resolveWorkflow,
+  validateWorkflow,
+} from '../../src/services/nightingale.workflow.js';
+import { setCaseWorkflow } from '../../src/services/settings.js';
+
+const workflow = DEFAULT_CASE_WORKFLOW;
+const NOW = '2025-05-01T12:00:00.000Z';
+
+describe('nightingale.workflow', () => {
+  afterEach(() => setCaseWorkflow(null));
+
+  test('lists the statuses a case can move to', () => {
+    expect(nextStatuses(workflow, 'Pending')).toEqual([
+      { to: 'In Progress', reason: null },
+      { to: 'Approved', reason: null },
+      {
+        to: 'Denied',
+        reason: { field: 'denialReason', label: 'Denial reason' },
+      },
+      {
+        to: 'Closed',
+        reason: { field: 'closureReason', label: 'Closure reason' },
+      },
+    ]);
+    expect(nextStatuses(workflow, 'Denied').map((n) => n.to)).toEqual([
+      'Pending',
+    ]);
+    // Statuses the workflow does not know may move anywhere
+    expect(nextStatuses(workflow, 'Legacy')).toHaveLength(6);
+  });
+
+  test('stamps dates and stores the required reason', () => {
+    const approved = applyStatusChange(
+      { id: 'c1', status: 'In Progress' },
+      'Approved',
+      { workflow, timestamp: NOW },
+    );
+    expect(approved).toEqual({
+      id: 'c1',
+      status: 'Approved',
+      approvedDate: NOW,
+    });
+
+    const closed = applyStatusChange(approved, 'Closed', {
+      workflow,
+      timestamp: NOW,
+      reason: '  Moved out of state ',
+    });
+    expect(closed).toMatchObject({
+      status: 'Closed',
+      closedDate: NOW,
+      closureReason: 'Moved out of state',
+    });
+
+    const reopened = applyStatusChange(closed, 'Pending', {
+      workflow,
+      reason: 'Returned',
+    });
+    expect(reopened.closedDate).toBeUndefined();
+    expect(reopened.closureReason).toBeUndefined();
+    expect(reopened.reopenReason).toBe('Returned');
+  });
+
+  test('refuses transitions that are not allowed or miss their reason', () => {
+    expect(() =>
+      applyStatusChange({ status: 'Denied' }, 'Approved', { workflow }),
+    ).toThrow(
+      expect.objectContaining({
+        name: 'WorkflowError',
+        message: 'A case cannot move from Denied to Approved',
+      }),
+    );
+    expect(() =>
+      applyStatusChange({ status: 'Pending' }, 'Denied', { workflow }),
+    ).toThrow('Denial reason is required');
+  });
+
+  test('keeps the same case when the status does not change', () => {
+    const caseItem = { id: 'c1', status: 'Pending' };
+    expect(applyStatusChange(caseItem, 'Pending', { workflow })).toBe(caseItem);
+  });
+
+  test('treats inactive and unknown statuses for counts and filters', () => {
+    expect(isActiveStatus(workflow, 'Approved')).toBe(true);
+    expect(isActiveStatus(workflow, 'Denied')).toBe(false);
+    expect(isActiveStatus(workflow, 'Legacy')).toBe(true);
+  });
+
+  test('validates definitions and falls back to the default', () => {
+    const broken = {
+      initialStatus: 'Open',
+      statuses: [{ name: 'New' }, { name: 'New' }],
+      transitions: [{ from: ['New'], to: 'Done' }],
+    };
+    expect(validateWorkflow(broken)).toEqual([
+      'Status "New" is listed twice',
+      'Initial status "Open" is not a status',
+      'Transition 1: "Done" is not a status',
+    ]);
+    expect(resolveWorkflow(broken)).toBe(DEFAULT_CASE_WORKFLOW);
+    expect(validateWorkflow(DEFAULT_CASE_WORKFLOW)).toEqual([]);
+  });
+
+  test('reads a custom workflow from the settings', () => {
+    const custom = {
+      initialStatus: 'Intake',
+      statuses: [
+        { name: 'Intake', active: true, stamp: 'intakeDate' },
+        { name: 'Done', active: false },
+      ],
+      transitions: [{ from: '*', to: 'Done' }],
+    };
+    setCaseWorkflow(custom);
+
+    expect(currentCaseWorkflow()).toEqual(custom);
+    expect(applyInitialStatus({ id: 'c9' }, { timestamp: NOW })).toEqual({
+      id: 'c9',
+      status: 'Intake',
+      intakeDate: NOW,
+    });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * @jest-environment node
+ */
+/**
+ * Tests for the sync server request handler (scripts/sync-server.js)
+ * Covers ETag preconditions, Host/Origin checks and file name validation
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import { createHandler } from '../../scripts/sync-server.js';
+
+const PORT = 8787;
+const ORIGIN = 'http://localhost:3000';
+
+/** Drive the handler with an in-memory request and capture the response */
+async function request(handler, method, url, { headers = {}, body } = {}) {
+  const chunks = body === undefined ? [] : [].concat(body);
+  const req = Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+  Object.assign(req, {
+    method,
+    url,
+    headers: { host: `127.0.0.1:${PORT}`, ...headers },
+  });
+  const res = { status: null, headers: {}, body: null };
+  let onFinish = () => {};
+  await handler(req, {
+    once: (event, fn) => {
+      if (event === 'finish') onFinish = fn;
+    },
+    setHeader: (name, value) => {
+      res.headers[name.toLowerCase()] = value;
+    },
+    writeHead: (status, headers = {}) => {
+      res.status = status;
+      Object.entries(headers).forEach(([name, value]) => {
+        res.headers[name.toLowerCase()] = value;
+      });
+    },
+    end: (payload) => {
+      res.body = payload === undefined || payload === null ? null : payload;
+      res.destroyedBeforeEnd = req.destroyed;
+      onFinish();
+    },
+  });
+  res.requestDestroyed = req.destroyed;
+  if (res.headers['content-type'] === 'application/json') {
+    res.json = JSON.parse(res.body);
+  }
+  return res;
+}
+
+describe('sync server handler', () => {
+  let dir;
+  let handler;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'nightingale-sync-'));
+    handler = createHandler({
+      dir,
+      origins: [ORIGIN],
+      host: '127.0.0.1',
+      port: PORT,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes and reads a file with its ETag', async () => {
+    const put = await request(handler, 'PUT', '/api/data', {
+      body: '{"cases":[]}',
+    });
+    expect(put.status).toBe(201);
+    expect(put.json.etag).toMatch(/^"[0-9a-f]{40}"$/);
+
+    const get = await request(handler, 'GET', '/api/data');
+    expect(get.status).toBe(200);
+    expect(get.headers.etag).toBe(put.json.etag);
+    expect(get.body.toString()).toBe('{"cases":[]}');
+  });
+
+  test('a PUT with a stale If-Match fails with 412', async () => {
+    const first = await request(handler, 'PUT', '/api/data', { body: 'a' });
+    await request(handler, 'PUT', '/api/data', {
+      headers: { 'if-match': first.json.etag },
+      body: 'b',
+    });
+
+    const stale = await request(handler, 'PUT', '/api/data', {
+      headers: { 'if-match': first.json.etag },
+      body: 'c',
+    });
+
+    expect(stale.status).toBe(412);
+    expect(stale.json.etag).not.toBe(first.json.etag);
+    expect(
+      fs.readFileSync(path.join(dir, 'nightingale-data.json'), 'utf8'),
+    ).toBe('b');
+  });
+
+  test('If-None-Match: * refuses to replace an existing file', async () => {
+    await request(handler, 'PUT', '/api/files/notes.json', { body: 'a' });
+    const res = await request(handler, 'PUT', '/api/files/notes.json', {
+      headers: { 'if-none-match': '*' },
+      body: 'b',
+    });
+    expect(res.status).toBe(412);
+  });
+
+  test.each([['evil.example:8787'], ['127.0.0.1:9999'], ['']])(
+    'rejects Host %p',
+    async (host) => {
+      const res = await request(handler, 'GET', '/api/health', {
+        headers: { host },
+      });
+      expect(res.status).toBe(403);
+    },
+  );
+
+  test.each([['localhost:8787'], ['127.0.0.1:8787'], ['[::1]:8787']])(
+    'answers loopback Host %p',
+    async (host) => {
+      const res = await request(handler, 'GET', '/api/health', {
+        headers: { host },
+      });
+      expect(res.status).toBe(200);
+      expect(res.json).toEqual({
+        ok: true,
+        dataFile: 'nightingale-data.json',
+      });
+    },
+  );
+
+  test('rejects origins that are not allowed', async () => {
+    const res = await request(handler, 'GET', '/api/health', {
+      headers: { origin: 'http://evil.example' },
+    });
+    expect(res.status).toBe(403);
+
+    const ok = await request(handler, 'GET', '/api/health', {
+      headers: { origin: ORIGIN },
+    });
+    expect(ok.status).toBe(200);
+    expect(ok.headers['access-control-allow-origin']).toBe(ORIGIN);
+  });
+
+  test.each([['..%2Fsecret'], ['.hidden'], ['a%2Fb.json'], ['a%20b']])(
+    'rejects file name %p',
+    async (name) => {
+      const res = await request(handler, 'PUT', `/api/files/${name}`, {
+        body: 'x',
+      });
+      expect(res.status).toBe(400);
+      expect(fs.readdirSync(dir)).toEqual([]);
+    },
+  );
+
+  test('answers 413 to an oversized body before closing the connection', async () => {
+    handler = createHandler({
+      dir,
+      origins: [ORIGIN],
+      host: '127.0.0.1',
+      port: PORT,
+      maxBodyBytes: 4,
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(handler, 'PUT', '/api/data', {
+      body: ['too', ' la', 'rge', ' body'],
+    });
+
+    expect(res.status).toBe(413);
+    expect(res.headers.connection).toBe('close');
+    expect(res.json).toEqual({ error: 'Body too large' });
+    expect(res.destroyedBeforeEnd).toBe(false);
+    expect(res.requestDestroyed).toBe(true);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('appends with POST and lists files by prefix', async () => {
+    await request(handler, 'POST', '/api/files/journal.log', { body: '1\n' });
+    await request(handler, 'POST', '/api/files/journal.log', { body: '2\n' });
+    await request(handler, 'PUT', '/api/files/backup-1.json', { body: '{}' });
+
+    const list = await request(handler, 'GET', '/api/files?prefix=backup-');
+
+    expect(list.json.map((file) => file.name)).toEqual(['backup-1.json']);
+    expect(fs.readFileSync(path.join(dir, 'journal.log'), 'utf8')).toBe(
+      '1\n2\n',
+    );
+  });
+});
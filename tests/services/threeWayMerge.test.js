@@ -0,0 +1,175 @@
+import { threeWayMergeDataset } from '../../src/services/threeWayMerge.js';
+
+describe('threeWayMergeDataset', () => {
+  const base = {
+    cases: [
+      { id: 'c1', status: 'Pending', mcn: '100' },
+      { id: 'c2', status: 'Pending', mcn: '200' },
+    ],
+    people: [{ id: 'p1', name: 'Ann' }],
+    organizations: [],
+    nextCaseId: 3,
+  };
+
+  test('takes one-sided field edits from each side', () => {
+    const mine = {
+      ...base,
+      cases: [{ ...base.cases[0], status: 'Approved' }, base.cases[1]],
+    };
+    const theirs = {
+      ...base,
+      cases: [base.cases[0], { ...base.cases[1], mcn: '201' }],
+    };
+
+    const { merged, conflicts } = threeWayMergeDataset(base, mine, theirs);
+
+    expect(merged.cases).toEqual([
+      { id: 'c1', status: 'Approved', mcn: '100' },
+      { id: 'c2', status: 'Pending', mcn: '201' },
+    ]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('keeps local value and reports conflicting edits to the same field', () => {
+    const mine = {
+      ...base,
+      cases: [{ ...base.cases[0], status: 'Approved' }, base.cases[1]],
+    };
+    const theirs = {
+      ...base,
+      cases: [{ ...base.cases[0], status: 'Denied' }, base.cases[1]],
+    };
+
+    const { merged, conflicts, summary } = threeWayMergeDataset(
+      base,
+      mine,
+      theirs,
+    );
+
+    expect(merged.cases[0].status).toBe('Approved');
+    expect(conflicts).toEqual([
+      {
+        collection: 'cases',
+        id: 'c1',
+        field: 'status',
+        mine: 'Approved',
+        theirs: 'Denied',
+      },
+    ]);
+    expect(summary.cases).toEqual({ records: 2, conflicts: 1 });
+  });
+
+  test('includes records added on either side', () => {
+    const mine = {
+      ...base,
+      people: [...base.people, { id: 'p2', name: 'Mine' }],
+    };
+    const theirs = {
+      ...base,
+      people: [...base.people, { id: 'p3', name: 'Theirs' }],
+    };
+
+    const { merged } = threeWayMergeDataset(base, mine, theirs);
+
+    expect(merged.people.map((p) => p.id)).toEqual(['p1', 'p2', 'p3']);
+  });
+
+  test('applies unedited deletions from either side', () => {
+    const mine = { ...base, cases: [base.cases[1]] };
+    const theirs = { ...base, people: [] };
+
+    const { merged, conflicts } = threeWayMergeDataset(base, mine, theirs);
+
+    expect(merged.cases.map((c) => c.id)).toEqual(['c2']);
+    expect(merged.people).toEqual([]);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('keeps a record edited on one side and deleted on the other', () => {
+    const mine = {
+      ...base,
+      cases: [{ ...base.cases[0], status: 'Approved' }, base.cases[1]],
+    };
+    const theirs = { ...base, cases: [base.cases[1]] };
+
+    const { merged, conflicts } = threeWayMergeDataset(base, mine, theirs);
+
+    expect(merged.cases.map((c) => c.id)).toEqual(['c1', 'c2']);
+    expect(conflicts).toHaveLength(1);
+    expect(conflicts[0]).toEqual(
+      expect.objectContaining({ collection: 'cases', id: 'c1', field: null }),
+    );
+  });
+
+  test('matches numeric and string ids', () => {
+    const numericBase = { people: [{ id: 1, name: 'Ann' }] };
+    const mine = { people: [{ id: 1, name: 'Ann B' }] };
+    const theirs = { people: [{ id: '1', name: 'Ann' }] };
+
+    const { merged } = threeWayMergeDataset(numericBase, mine, theirs);
+
+    expect(merged.people).toHaveLength(1);
+    expect(merged.people[0].name).toBe('Ann B');
+  });
+
+  test('id counters take the larger value', () => {
+    const { merged, conflicts } = threeWayMergeDataset(
+      base,
+      { ...base, nextCaseId: 4 },
+      { ...base, nextCaseId: 5 },
+    );
+    expect(merged.nextCaseId).toBe(5);
+    expect(conflicts).toEqual([]);
+  });
+
+  test('handles a missing base as all-new records', () => {
+    const { merged } = threeWayMergeDataset(null, base, base);
+    expect(merged.cases).toHaveLength(2);
+  });
+
+  test('keeps audit entries added on both sides in time order', () => {
+    const entry = (id, timestamp) => ({ id, timestamp, source: 'manual' });
+    const auditBase = { auditLog: [entry('a1', '2024-01-01T00:00:00Z')] };
+    const mine = {
+      auditLog: [...auditBase.auditLog, entry('a3', '2024-01-03T00:00:00Z')],
+    };
+    const theirs = {
+      auditLog: [...auditBase.auditLog, entry('a2', '2024-01-02T00:00:00Z')],
+    };
+
+    const { merged, conflicts, summary } = threeWayMergeDataset(
+      auditBase,
+      mine,
+      theirs,
+    );
+
+    expect(merged.auditLog.map((e) => e.id)).toEqual(['a1', 'a2', 'a3']);
+    expect(conflicts).toEqual([]);
+    expect(summary.auditLog).toEqual({ records: 3, conflicts: 0 });
+  });
+
+  test.each([['vrRequests'], ['tasks'], ['attachments']])(
+    'merges %s by id',
+    (collection) => {
+      const listBase = { [collection]: [{ id: 'x1', status: 'Open' }] };
+      const mine = {
+        [collection]: [{ id: 'x1', status: 'Done' }],
+      };
+      const theirs = {
+        [collection]: [...listBase[collection], { id: 'x2', status: 'Open' }],
+      };
+
+      const { merged, conflicts } = threeWayMergeDataset(
+        listBase,
+        mine,
+        theirs,
+      );
+
+      expect(merged[collection]).toEqual([
+        { id: 'x1', status: 'Done' },
+        { id: 'x2', status: 'Open' },
+      ]);
+      expect(conflicts).toEqual([]);
+    },
+  );
+});
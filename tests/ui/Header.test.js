@@ -362,3 +362,62 @@ describe('Header Integration', () => {
     expect(screen.getByText('Manual')).toBeInTheDocument();
   });
 });
+
+describe('Header undo/redo history', () => {
+  const history = {
+    undo: [
+      {
+        id: 2,
+        label: "Deleted resource 'Checking - First Bank'",
+        timestamp: 2,
+      },
+      { id: 1, label: "Added person 'Jane Doe'", timestamp: 1 },
+    ],
+    redo: [],
+  };
+
+  test('hides undo controls without onUndo', () => {
+    render(<Header />);
+    expect(screen.queryByRole('button', { name: 'Undo' })).toBeNull();
+  });
+
+  test('undo and redo buttons follow the history', () => {
+    const onUndo = jest.fn();
+    const onRedo = jest.fn();
+    render(
+      <Header
+        history={history}
+        onUndo={onUndo}
+        onRedo={onRedo}
+      />,
+    );
+
+    const undo = screen.getByRole('button', { name: 'Undo' });
+    expect(undo).toHaveAttribute(
+      'title',
+      "Undo: Deleted resource 'Checking - First Bank' (Ctrl+Z)",
+    );
+    fireEvent.click(undo);
+    expect(onUndo).toHaveBeenCalledTimes(1);
+    expect(screen.getByRole('button', { name: 'Redo' })).toBeDisabled();
+  });
+
+  test('history menu undoes back to the chosen entry', () => {
+    const onUndoTo = jest.fn();
+    render(
+      <Header
+        history={history}
+        onUndo={jest.fn()}
+        onUndoTo={onUndoTo}
+      />,
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: /history/i }));
+    const items = screen.getAllByRole('menuitem');
+    expect(items).toHaveLength(2);
+    fireEvent.click(items[1]);
+
+    expect(onUndoTo).toHaveBeenCalledWith(1);
+    expect(screen.queryByRole('menu')).toBeNull();
+  });
+});